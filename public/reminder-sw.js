@@ -0,0 +1,95 @@
+/**
+ * Reminder Service Worker Extension
+ *
+ * Pulled into the generated Workbox service worker via `importScripts`
+ * (see vite.config.js). Fallback delivery for browsers without Notification
+ * Triggers: the page posts its reminder schedule here, and due reminders are
+ * shown on periodic background sync, or when the page asks for a check.
+ * Also focuses the app when a reminder notification is tapped.
+ *
+ * Plain script — it runs inside the service worker, outside the Vite build.
+ * Message and tag names must match src/services/reminderService.js.
+ */
+
+const REMINDER_DB_NAME = 'm-session-reminders';
+const REMINDER_STORE = 'schedule';
+const REMINDER_SYNC_TAG = 'm-session-reminders';
+// A reminder that comes due while the device is asleep is still worth
+// showing shortly after; past this it's dropped rather than shown late.
+const REMINDER_LATE_GRACE_MS = 15 * 60 * 1000;
+
+function openReminderDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDER_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(REMINDER_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function readSchedule() {
+  const db = await openReminderDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(REMINDER_STORE).objectStore(REMINDER_STORE).get('pending');
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function writeSchedule(reminders) {
+  const db = await openReminderDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REMINDER_STORE, 'readwrite');
+    tx.objectStore(REMINDER_STORE).put(reminders, 'pending');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function deliverDueReminders() {
+  const now = Date.now();
+  const reminders = await readSchedule();
+  const due = reminders.filter((r) => r.fireAt <= now);
+  if (due.length === 0) return;
+
+  // Several of one type may have piled up while asleep — only the latest matters
+  const latestByType = new Map();
+  for (const reminder of due) {
+    if (now - reminder.fireAt <= REMINDER_LATE_GRACE_MS) latestByType.set(reminder.type, reminder);
+  }
+  await Promise.all([...latestByType.values()].map((reminder) =>
+    self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      tag: reminder.tag,
+      icon: reminder.icon,
+      data: { reminderId: reminder.id, fireAt: reminder.fireAt },
+    })
+  ));
+  await writeSchedule(reminders.filter((r) => r.fireAt > now));
+}
+
+self.addEventListener('message', (event) => {
+  const { type, reminders } = event.data || {};
+  if (type === 'reminders:schedule') {
+    event.waitUntil(writeSchedule(Array.isArray(reminders) ? reminders : []));
+  } else if (type === 'reminders:check') {
+    event.waitUntil(deliverDueReminders());
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(deliverDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  if (!event.notification.data?.reminderId) return;
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find((client) => client.url.startsWith(self.registration.scope));
+    if (existing) return existing.focus();
+    return self.clients.openWindow(self.registration.scope);
+  })());
+});
@@ -5,7 +5,8 @@
  * (44100 Hz, mono, 128kbps) for use in client-side audio composition.
  *
  * Also generates a volume-adjusted gong file (66% volume) for embedding
- * in the composed meditation stream.
+ * in the composed meditation stream, and the short breath cue tones the
+ * breathing module lays into its silence timer (in / hold / out).
  *
  * Prerequisites: ffmpeg must be installed and available in PATH.
  *
@@ -39,6 +40,15 @@ const GONG_SOFT_DST = resolve(projectRoot, 'public/audio/meditation-bell-soft.mp
 // Gong volume (matching GONG_VOLUME = 0.66 in useMeditationPlayback.js)
 const GONG_VOLUME = 0.66;
 
+// Breath cue tones: soft sine blips, highest for the inhale, lowest for the exhale
+const BREATH_CUE_SECONDS = 0.5;
+const BREATH_CUE_VOLUME = 0.25;
+const BREATH_CUES = [
+  { name: 'in', frequency: 528 },
+  { name: 'hold', frequency: 440 },
+  { name: 'out', frequency: 396 },
+];
+
 function run(cmd, description) {
   console.log(`\n${description}`);
   console.log(`  $ ${cmd}`);
@@ -79,6 +89,15 @@ function main() {
     `Generating meditation-bell-soft.mp3 (${Math.round(GONG_VOLUME * 100)}% volume, mono, ${SAMPLE_RATE}Hz, ${BITRATE})`
   );
 
+  // Generate breath cue tones (no ID3 tag — they repeat through the composed stream)
+  for (const { name, frequency } of BREATH_CUES) {
+    const outputPath = resolve(projectRoot, `public/audio/breath-cue-${name}.mp3`);
+    run(
+      `ffmpeg -y -f lavfi -i "sine=frequency=${frequency}:sample_rate=${SAMPLE_RATE}:duration=${BREATH_CUE_SECONDS}" -af "afade=t=in:d=0.02,afade=t=out:st=0.1:d=0.4,volume=${BREATH_CUE_VOLUME}" -id3v2_version 0 -ab ${BITRATE} -ar ${SAMPLE_RATE} -ac ${CHANNELS} "${outputPath}"`,
+      `Generating breath-cue-${name}.mp3 (${frequency}Hz, ${BREATH_CUE_SECONDS}s)`
+    );
+  }
+
   console.log('\n=== Done ===');
   if (!DRY_RUN) {
     console.log(`\nGenerated files:`);
@@ -86,6 +105,9 @@ function main() {
       console.log(`  public/audio/silence/silence-${duration}s.mp3`);
     }
     console.log(`  public/audio/meditation-bell-soft.mp3`);
+    for (const { name } of BREATH_CUES) {
+      console.log(`  public/audio/breath-cue-${name}.mp3`);
+    }
   }
 }
 
@@ -0,0 +1,90 @@
+/**
+ * Generate Background Soundscape Loops
+ *
+ * Creates the loopable tracks in public/audio/soundscapes/ used by the
+ * soundscape layer (src/content/soundscapes.js). Brown noise is synthesized,
+ * so the app ships no third-party recordings.
+ *
+ * Each loop is LOOP_SECONDS long with the tail crossfaded into the head so
+ * it repeats without a seam, and normalized to a low loudness so it sits
+ * under the TTS voice even where the browser ignores element volume (iOS).
+ *
+ * Prerequisites: ffmpeg (5.1+) must be installed and available in PATH.
+ *
+ * Usage: node scripts/generate-soundscapes.mjs [--dry-run]
+ */
+
+import { execSync } from 'child_process';
+import { existsSync, mkdirSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Audio format matching TTS clips
+const SAMPLE_RATE = 44100;
+const CHANNELS = 1; // mono
+const BITRATE = '128k';
+
+const LOOP_SECONDS = 60;
+const CROSSFADE_SECONDS = 4;
+// Well under the voice clips, with headroom for the in-app volume slider
+const LOUDNESS = 'I=-30:TP=-10:LRA=7';
+
+const OUTPUT_DIR = resolve(projectRoot, 'public/audio/soundscapes');
+
+function run(cmd, description) {
+  console.log(`\n${description}`);
+  console.log(`  $ ${cmd}`);
+  if (!DRY_RUN) {
+    execSync(cmd, { stdio: 'inherit' });
+  }
+}
+
+/**
+ * Filter graph: cut LOOP_SECONDS + CROSSFADE_SECONDS, fade the extra tail
+ * out over the faded-in head, then normalize.
+ */
+function loopFilter() {
+  const loopEnd = LOOP_SECONDS + CROSSFADE_SECONDS;
+  return [
+    `[0:a]atrim=0:${loopEnd},asetpts=N/SR/TB,asplit=3[a][b][c]`,
+    `[a]atrim=0:${CROSSFADE_SECONDS},asetpts=N/SR/TB,afade=t=in:d=${CROSSFADE_SECONDS}[head]`,
+    `[b]atrim=${LOOP_SECONDS}:${loopEnd},asetpts=N/SR/TB,afade=t=out:d=${CROSSFADE_SECONDS}[tail]`,
+    `[c]atrim=${CROSSFADE_SECONDS}:${LOOP_SECONDS},asetpts=N/SR/TB[body]`,
+    `[head][tail]amix=inputs=2:duration=first:normalize=0[seam]`,
+    `[seam][body]concat=n=2:v=0:a=1,loudnorm=${LOUDNESS}[out]`,
+  ].join(';');
+}
+
+function encode(inputArgs, outputPath, description) {
+  run(
+    `ffmpeg -y ${inputArgs} -filter_complex "${loopFilter()}" -map "[out]" -ac ${CHANNELS} -ar ${SAMPLE_RATE} -ab ${BITRATE} "${outputPath}"`,
+    description
+  );
+}
+
+function main() {
+  console.log('=== Soundscape Loop Generator ===');
+  if (DRY_RUN) console.log('(DRY RUN — no files will be created)\n');
+
+  if (!existsSync(OUTPUT_DIR) && !DRY_RUN) {
+    mkdirSync(OUTPUT_DIR, { recursive: true });
+    console.log(`Created directory: ${OUTPUT_DIR}`);
+  }
+
+  const totalSeconds = LOOP_SECONDS + CROSSFADE_SECONDS;
+  encode(
+    `-f lavfi -i anoisesrc=color=brown:sample_rate=${SAMPLE_RATE}:duration=${totalSeconds}`,
+    resolve(OUTPUT_DIR, 'brown-noise.mp3'),
+    `Generating brown-noise.mp3 (${LOOP_SECONDS}s loop)`
+  );
+
+  console.log('\n=== Done ===');
+}
+
+main();
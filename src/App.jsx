@@ -10,6 +10,13 @@
 import { useEffect, useState, lazy, Suspense } from 'react';
 import { useAppStore } from './stores/useAppStore';
 import { useAIStore } from './stores/useAIStore';
+import { useCompanionStore } from './stores/useCompanionStore';
+// Side effect: registers recorded-voice clip durations with the meditation content
+import './stores/useVoiceRecordingStore';
+// Side effect: registers custom meditations with the content and module library
+import './stores/useCustomMeditationStore';
+import { useCompanionConnection } from './hooks/useCompanionConnection';
+import { useReminderScheduler } from './hooks/useReminderScheduler';
 import AppShell from './components/layout/AppShell';
 import HomeView from './components/home/HomeView';
 import PrivacyNotice from './components/shared/PrivacyNotice';
@@ -21,6 +28,7 @@ import ErrorBoundary from './components/shared/ErrorBoundary';
 const ActiveView = lazy(() => import('./components/active/ActiveView'));
 const JournalView = lazy(() => import('./components/journal/JournalView'));
 const ToolsView = lazy(() => import('./components/tools/ToolsView'));
+const SitterView = lazy(() => import('./components/companion/SitterView'));
 
 const LazyFallback = (
   <div className="flex items-center justify-center min-h-[60vh]">
@@ -31,6 +39,13 @@ const LazyFallback = (
 function App() {
   const currentTab = useAppStore((state) => state.currentTab);
   const previewOverlay = useAppStore((state) => state.previewOverlay);
+  const isFollowingCompanion = useCompanionStore((state) => state.role === 'follower');
+
+  // Companion mode connection (sharing this session, or following another)
+  useCompanionConnection();
+
+  // Water, booster, check-in and follow-up reminders (opt-in per type in Settings)
+  useReminderScheduler();
 
   // Track which tabs have been visited so we keep them mounted after first load
   const [mountedTabs, setMountedTabs] = useState({ home: true, active: true });
@@ -61,6 +76,19 @@ function App() {
     return () => clearInterval(interval);
   }, [checkKeyExpiration, clearApiKey]);
 
+  // Sitter device: show only the followed session until the user stops following
+  if (isFollowingCompanion) {
+    return (
+      <AppShell>
+        <ErrorBoundary>
+          <Suspense fallback={LazyFallback}>
+            <SitterView />
+          </Suspense>
+        </ErrorBoundary>
+      </AppShell>
+    );
+  }
+
   return (
     <AppShell>
       {/* Home is always mounted (critical path) */}
@@ -17,6 +17,7 @@ import { Suspense } from 'react';
 import { useSessionStore } from '../../stores/useSessionStore';
 import { getModuleById } from '../../content/modules';
 import { getModuleComponent } from './moduleRegistry';
+import { isCustomMeditationId } from '../../content/meditations/customMeditations';
 
 export default function ModuleRenderer({ module, onProgressUpdate, onComplete: onCompleteOverride, onSkip: onSkipOverride }) {
   const completeModule = useSessionStore((state) => state.completeModule);
@@ -24,9 +25,12 @@ export default function ModuleRenderer({ module, onProgressUpdate, onComplete: o
 
   if (!module) return null;
 
-  // Get the library module info for type
+  // Get the library module info for type. A custom meditation deleted after
+  // it was added has no library entry but still routes to its own module.
   const libraryModule = getModuleById(module.libraryId);
-  const moduleType = libraryModule?.type || module.type || 'open-space';
+  const moduleType = libraryModule?.type
+    || (isCustomMeditationId(module.libraryId) ? 'custom-meditation' : module.type)
+    || 'open-space';
 
   // Get the component to render from the registry
   const ModuleComponent = getModuleComponent(moduleType);
@@ -400,9 +400,11 @@ export function MuteButton({ isMuted, onToggle, disabled = false }) {
 }
 
 /**
- * Volume button with popup slider for right slot
+ * Volume button with popup slider for right slot. When a background
+ * soundscape is playing (useSoundscapeLayer), the popup adds a second
+ * slider for its per-module volume.
  */
-export function VolumeButton({ volume, onVolumeChange, disabled = false }) {
+export function VolumeButton({ volume, onVolumeChange, soundscape = null, disabled = false }) {
   const [isOpen, setIsOpen] = useState(false);
   const containerRef = useRef(null);
 
@@ -427,7 +429,7 @@ export function VolumeButton({ volume, onVolumeChange, disabled = false }) {
   return (
     <div ref={containerRef} className="relative pointer-events-auto">
       {isOpen && (
-        <VolumeSliderPopup volume={volume} onVolumeChange={onVolumeChange} />
+        <VolumeSliderPopup volume={volume} onVolumeChange={onVolumeChange} soundscape={soundscape?.track ? soundscape : null} />
       )}
       <button
         onClick={() => !disabled && setIsOpen(!isOpen)}
@@ -449,7 +451,44 @@ export function VolumeButton({ volume, onVolumeChange, disabled = false }) {
 /**
  * Volume slider popup — appears above the volume button
  */
-function VolumeSliderPopup({ volume, onVolumeChange }) {
+function VolumeSliderPopup({ volume, onVolumeChange, soundscape }) {
+  if (!soundscape) {
+    return (
+      <div
+        className="absolute bottom-full mb-3 left-1/2 -translate-x-1/2
+          bg-[var(--color-bg)] border border-[var(--color-border)] rounded-full
+          px-4 py-2 animate-fadeIn"
+        style={{ zIndex: 40, touchAction: 'none' }}
+      >
+        <VolumeSlider volume={volume} onVolumeChange={onVolumeChange} label="Volume" />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="absolute bottom-full mb-3 left-1/2 -translate-x-1/2
+        bg-[var(--color-bg)] border border-[var(--color-border)] rounded-2xl
+        px-4 pt-3 pb-2 flex gap-5 animate-fadeIn"
+      style={{ zIndex: 40, touchAction: 'none' }}
+    >
+      {[
+        { label: 'Voice', value: volume, onChange: onVolumeChange },
+        { label: soundscape.track.label, value: soundscape.volume, onChange: soundscape.setVolume },
+      ].map(({ label, value, onChange }) => (
+        <div key={label} className="flex flex-col items-center gap-2">
+          <VolumeSlider volume={value} onVolumeChange={onChange} label={`${label} volume`} />
+          <span className="text-[9px] uppercase tracking-wider text-[var(--color-text-tertiary)] whitespace-nowrap">{label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Vertical drag slider (0–1)
+ */
+function VolumeSlider({ volume, onVolumeChange, label }) {
   const trackRef = useRef(null);
   const isDragging = useRef(false);
 
@@ -487,29 +526,27 @@ function VolumeSliderPopup({ volume, onVolumeChange }) {
 
   return (
     <div
-      className="absolute bottom-full mb-3 left-1/2 -translate-x-1/2
-        bg-[var(--color-bg)] border border-[var(--color-border)] rounded-full
-        px-4 py-2 animate-fadeIn"
-      style={{ zIndex: 40, touchAction: 'none' }}
+      ref={trackRef}
+      role="slider"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(volume * 100)}
+      className="relative w-1.5 h-24 bg-[var(--color-border)] rounded-full cursor-pointer"
+      onMouseDown={(e) => { isDragging.current = true; handleInteraction(e.clientY); }}
+      onTouchStart={(e) => { e.stopPropagation(); isDragging.current = true; handleInteraction(e.touches[0].clientY); }}
     >
+      {/* Filled portion */}
       <div
-        ref={trackRef}
-        className="relative w-1.5 h-24 bg-[var(--color-border)] rounded-full cursor-pointer"
-        onMouseDown={(e) => { isDragging.current = true; handleInteraction(e.clientY); }}
-        onTouchStart={(e) => { e.stopPropagation(); isDragging.current = true; handleInteraction(e.touches[0].clientY); }}
-      >
-        {/* Filled portion */}
-        <div
-          className="absolute bottom-0 w-full bg-[var(--color-text-primary)] rounded-full pointer-events-none"
-          style={{ height: `${volume * 100}%` }}
-        />
-        {/* Thumb */}
-        <div
-          className="absolute left-1/2 -translate-x-1/2 w-5 h-5 rounded-full
-            bg-[var(--color-text-primary)] pointer-events-none"
-          style={{ bottom: `calc(${volume * 100}% - 10px)` }}
-        />
-      </div>
+        className="absolute bottom-0 w-full bg-[var(--color-text-primary)] rounded-full pointer-events-none"
+        style={{ height: `${volume * 100}%` }}
+      />
+      {/* Thumb */}
+      <div
+        className="absolute left-1/2 -translate-x-1/2 w-5 h-5 rounded-full
+          bg-[var(--color-text-primary)] pointer-events-none"
+        style={{ bottom: `calc(${volume * 100}% - 10px)` }}
+      />
     </div>
   );
 }
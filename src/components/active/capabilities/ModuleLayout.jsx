@@ -171,8 +171,9 @@ export function CompletionScreen({
  * shape so the layout is consistent across meditations regardless of how
  * many voices they ship.
  * The active voice name fades out/in when cycling.
+ * `label` renames the pill for other option lists (e.g. breath patterns).
  */
-export function VoicePill({ voices, selectedVoiceId, onVoiceChange }) {
+export function VoicePill({ voices, selectedVoiceId, onVoiceChange, label = 'voice' }) {
   const activeIndex = Math.max(0, voices.findIndex((v) => v.id === selectedVoiceId));
   const activeVoice = voices[activeIndex];
   const [displayVoice, setDisplayVoice] = useState(activeVoice);
@@ -222,7 +223,7 @@ export function VoicePill({ voices, selectedVoiceId, onVoiceChange }) {
         onClick={canCycle ? () => cycle(-1) : undefined}
         disabled={!canCycle}
         className={`${arrowBase} ${canCycle ? arrowActive : arrowDisabled}`}
-        aria-label="Previous voice"
+        aria-label={`Previous ${label}`}
       >
         <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
           <path d="M9 2 L4 7 L9 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
@@ -230,7 +231,7 @@ export function VoicePill({ voices, selectedVoiceId, onVoiceChange }) {
       </button>
 
       <div className="rounded-full border-[1.5px] border-[var(--accent)] px-4 py-1 min-w-[14rem] flex items-center justify-start gap-2 whitespace-nowrap">
-        <span className="text-sm font-bold text-[var(--accent)] lowercase tracking-wide">voice:</span>
+        <span className="text-sm font-bold text-[var(--accent)] lowercase tracking-wide">{label}:</span>
         <span
           className={`text-sm text-[var(--color-text-primary)] transition-opacity duration-200 ${opacityClass}`}
           aria-live="polite"
@@ -244,7 +245,7 @@ export function VoicePill({ voices, selectedVoiceId, onVoiceChange }) {
         onClick={canCycle ? () => cycle(1) : undefined}
         disabled={!canCycle}
         className={`${arrowBase} ${canCycle ? arrowActive : arrowDisabled}`}
-        aria-label="Next voice"
+        aria-label={`Next ${label}`}
       >
         <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
           <path d="M5 2 L10 7 L5 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
@@ -13,7 +13,7 @@
  * - Text: Phase name + countdown timer
  *
  * Movement Pattern (clockwise from bottom):
- * - Inhale: 180° → 360° (bottom → top via left)
+ * - Inhale (and a sigh's top-up inhale): 180° → 360° (bottom → top via left)
  * - Hold: stays at 360°/0° (top)
  * - Exhale: 0° → 180° (top → bottom via right)
  * - Hold after exhale: stays at 180° (bottom)
@@ -23,8 +23,10 @@ import { memo, useMemo } from 'react';
 
 /**
  * @param {Object} props
- * @param {string} props.phase - Current breath phase: 'inhale' | 'hold' | 'exhale' | 'holdAfterExhale'
+ * @param {string} props.phase - Current breath phase: 'inhale' | 'secondInhale' | 'hold' | 'exhale' | 'holdAfterExhale'
  * @param {number} props.phaseProgress - Progress through current phase (0-1)
+ * @param {number} [props.expansion] - How full the orb is (0-1); overrides the phase-derived scale
+ *   (from utils/breathTiming.js — needed for patterns where one phase doesn't fill the orb)
  * @param {number} props.phaseDuration - Duration of current phase in seconds
  * @param {number} props.phaseSecondsRemaining - Seconds remaining in current phase
  * @param {number} props.moonAngle - Current moon position in degrees (0-360)
@@ -39,6 +41,7 @@ export default memo(function BreathOrb({
   _phaseDuration = 4,
   phaseSecondsRemaining = 4,
   moonAngle = 180,
+  expansion,
   isActive = false,
   isIdle = false,
   hideText = false,
@@ -94,6 +97,11 @@ export default memo(function BreathOrb({
       return sizeConfig.orbBaseSize / sizeConfig.orbExpandedSize;
     }
 
+    if (typeof expansion === 'number') {
+      const baseScale = sizeConfig.orbBaseSize / sizeConfig.orbExpandedSize;
+      return baseScale + (1 - baseScale) * expansion;
+    }
+
     switch (phase) {
       case 'inhale': {
         // Expand from base to full
@@ -124,6 +132,7 @@ export default memo(function BreathOrb({
   const getPhaseText = () => {
     switch (phase) {
       case 'inhale': return 'inhale';
+      case 'secondInhale': return 'inhale more';
       case 'hold': return 'hold';
       case 'exhale': return 'exhale';
       case 'holdAfterExhale': return 'hold';
@@ -278,6 +287,7 @@ export default memo(function BreathOrb({
   if (prev.size !== next.size) return false;
   if (prev.phaseSecondsRemaining !== next.phaseSecondsRemaining) return false;
   if (Math.abs(prev.phaseProgress - next.phaseProgress) > 0.01) return false;
+  if (Math.abs((prev.expansion ?? 0) - (next.expansion ?? 0)) > 0.01) return false;
   if (Math.abs(prev.moonAngle - next.moonAngle) > 1.5) return false;
   return true;
 });
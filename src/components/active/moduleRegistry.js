@@ -18,6 +18,8 @@ const SelfCompassionModule = lazy(() => import('./modules/SelfCompassionModule')
 const SimpleGroundingModule = lazy(() => import('./modules/SimpleGroundingModule'));
 const MusicListeningModule = lazy(() => import('./modules/MusicListeningModule'));
 const OpenSpaceModule = lazy(() => import('./modules/OpenSpaceModule'));
+const BreathingModule = lazy(() => import('./modules/BreathingModule'));
+const CustomMeditationModule = lazy(() => import('./modules/CustomMeditationModule'));
 const LeavesOnAStreamModule = lazy(() => import('./modules/LeavesOnAStreamModule'));
 const StayWithItModule = lazy(() => import('./modules/StayWithItModule'));
 const ValuesCompassModule = lazy(() => import('./modules/ValuesCompassModule'));
@@ -79,6 +81,12 @@ export const CUSTOM_MODULES = {
   // Centering Breath — reuses SimpleGroundingModule (idle screen uses WaveLoop)
   'centering-breath': SimpleGroundingModule,
 
+  // Guided breathing has pattern/cue pickers, BreathOrb, and a cued silence timer
+  breathing: BreathingModule,
+
+  // User-written meditations — MeditationSection with the device voice or recorded clips
+  'custom-meditation': CustomMeditationModule,
+
   // Music listening has duration picker, alarm prompt, and recommendations
   'music-listening': MusicListeningModule,
 
@@ -172,6 +180,8 @@ export const MODULE_CATEGORIES = {
     'simple-grounding',
     'short-grounding',
     'centering-breath',
+    'breathing',
+    'custom-meditation',
   ],
   journaling: [
     'journaling',
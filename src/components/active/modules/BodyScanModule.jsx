@@ -296,6 +296,7 @@ export default function BodyScanModule({ module, onComplete, onSkip, onProgressU
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           ) : null
         }
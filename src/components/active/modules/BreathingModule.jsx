@@ -0,0 +1,367 @@
+/**
+ * BreathingModule Component
+ *
+ * Breath-paced guided breathing: pick a pattern (coherent, box, 4-7-8,
+ * physiological sigh), a duration and how you'd like to be cued, then follow
+ * the BreathOrb.
+ *
+ * Features:
+ * - Pattern / duration / cue pickers on the idle screen
+ * - Silence audio blob timer (useSilenceTimer) — optional breath tones are
+ *   composed into the blob, so cues stay on time with the screen locked
+ * - Breath state derived from the timer's wall-clock elapsed time
+ *   (useBreathController in external-clock mode), so the orb never drifts
+ *   from the tones and catches up after the page is backgrounded
+ * - Haptic pulse at each phase change (Vibration API — Android only)
+ * - Screen wake lock while breathing
+ * - Safety note, emphasized during the peak
+ * - Auto-completes when blob finishes playing; Pause/Resume support
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getModuleById } from '../../../content/modules';
+import {
+  BREATH_PATTERNS,
+  DEFAULT_PATTERN_ID,
+  getBreathPatternById,
+  CUE_MODES,
+  DEFAULT_CUE_MODE,
+  SAFETY_NOTE,
+  PEAK_SAFETY_NOTE,
+} from '../../../content/modules/breathingContent';
+import { useSessionStore } from '../../../stores/useSessionStore';
+import useSyncedDuration from '../../../hooks/useSyncedDuration';
+import { useSilenceTimer } from '../../../hooks/useSilenceTimer';
+import { useBreathController } from '../hooks/useBreathController';
+import { getBreathPhaseTimes, getBreathTotalDuration } from '../../../utils/breathTiming';
+
+// Shared UI components
+import ModuleControlBar, { VolumeButton } from '../capabilities/ModuleControlBar';
+import { DurationPill, VoicePill } from '../capabilities/ModuleLayout';
+import BreathOrb from '../capabilities/animations/BreathOrb';
+
+const DURATION_STEPS = [3, 5, 10, 15, 20];
+
+// Gong delay (1s) + soft gong (~7.6s) + a moment to settle, so the first
+// inhale starts after the gong has rung out
+const GONG_PREAMBLE = 10;
+
+// Composed cue tone per phase
+const PHASE_TONES = {
+  inhale: 'in',
+  secondInhale: 'in',
+  hold: 'hold',
+  exhale: 'out',
+  holdAfterExhale: 'hold',
+};
+
+// Vibration patterns (ms) per phase
+const PHASE_HAPTICS = {
+  inhale: [60],
+  secondInhale: [30],
+  hold: [20],
+  exhale: [40, 80, 40],
+  holdAfterExhale: [20],
+};
+
+const canVibrate = typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+function hapticPulse(pattern) {
+  try {
+    if (canVibrate) {
+      navigator.vibrate(pattern);
+    }
+  } catch {
+    // Silently fail
+  }
+}
+
+export default function BreathingModule({ module, onComplete, onSkip, onProgressUpdate }) {
+  const libraryModule = getModuleById(module.libraryId);
+  const isPeak = useSessionStore((state) => state.timeline.currentPhase) === 'peak';
+
+  // Derive hasStarted from store (needed before useSyncedDuration call)
+  const meditationPlayback = useSessionStore((state) => state.meditationPlayback);
+  const hasStarted = meditationPlayback.moduleInstanceId === module.instanceId && meditationPlayback.hasStarted;
+
+  // Duration (synced with session store)
+  const duration = useSyncedDuration(module, { hasStarted });
+
+  // Local UI state
+  const [patternId, setPatternId] = useState(DEFAULT_PATTERN_ID);
+  const [cueMode, setCueMode] = useState(DEFAULT_CUE_MODE);
+  const [hapticsOn, setHapticsOn] = useState(true);
+  const [clock, setClock] = useState(0);
+
+  const breathPattern = getBreathPatternById(patternId);
+
+  // Whole breaths filling the chosen minutes — the timer runs to the end of
+  // the last exhale rather than cutting it off
+  const sequences = useMemo(
+    () => [{ type: 'duration', seconds: duration.selected * 60, pattern: breathPattern.pattern }],
+    [duration.selected, breathPattern]
+  );
+  const breathSeconds = getBreathTotalDuration(sequences);
+
+  const composerOptions = useMemo(() => {
+    if (cueMode === 'off') return { skipOpeningGong: true, skipClosingGong: true };
+    return {
+      gongPreamble: GONG_PREAMBLE,
+      cues: cueMode === 'tones'
+        ? getBreathPhaseTimes(sequences).map(({ at, phase }) => ({ at, tone: PHASE_TONES[phase] }))
+        : [],
+    };
+  }, [cueMode, sequences]);
+
+  const timer = useSilenceTimer({
+    moduleInstanceId: module.instanceId,
+    durationSeconds: breathSeconds,
+    composerOptions,
+    onComplete,
+    onSkip,
+    onProgressUpdate,
+    title: 'Guided Breathing',
+  });
+
+  // Follow the timer smoothly while playing — its elapsedTime only updates
+  // a few times a second. rAF stops in the background; the wall-clock read
+  // picks up exactly where the audio is when the page is visible again.
+  const isBreathing = timer.hasStarted && timer.isPlaying && !timer.isComplete;
+  const { getElapsedTime } = timer;
+  useEffect(() => {
+    if (!isBreathing) return;
+    let frame;
+    const tick = () => {
+      setClock(getElapsedTime());
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isBreathing, getElapsedTime]);
+
+  const breathElapsed = isBreathing ? clock : timer.elapsedTime;
+  const breath = useBreathController({ sequences, elapsedSeconds: breathElapsed });
+  const isInPreamble = timer.hasStarted && breathElapsed <= 0;
+
+  // Haptic pulse at each phase change
+  useEffect(() => {
+    if (!hapticsOn || !isBreathing || isInPreamble) return;
+    hapticPulse(PHASE_HAPTICS[breath.phase] || [40]);
+  }, [breath.phase, breath.currentCycle, hapticsOn, isBreathing, isInPreamble]);
+
+  // Keep the screen on while following the orb (see timer-and-wake-lock.md)
+  useEffect(() => {
+    if (!isBreathing || !('wakeLock' in navigator)) return;
+    let sentinel = null;
+    let released = false;
+    const request = () => {
+      if (document.visibilityState !== 'visible') return;
+      navigator.wakeLock.request('screen')
+        .then((lock) => {
+          if (released) lock.release();
+          else sentinel = lock;
+        })
+        .catch(() => {
+          // Denied (e.g. low battery) — the orb still works
+        });
+    };
+    request();
+    // The lock is dropped whenever the page is hidden; take it again on return
+    document.addEventListener('visibilitychange', request);
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', request);
+      sentinel?.release().catch(() => {});
+    };
+  }, [isBreathing]);
+
+  // Step navigation for the DurationPill arrows (idle only — cues are
+  // composed for the whole practice up front)
+  const stepIndex = DURATION_STEPS.indexOf(duration.selected);
+  const canStepBack = stepIndex > 0;
+  const canStepForward = stepIndex >= 0 && stepIndex < DURATION_STEPS.length - 1;
+  const stepTo = (nextIndex) => {
+    const next = DURATION_STEPS[nextIndex];
+    if (typeof next === 'number') duration.handleChange(next);
+  };
+
+  const handleBegin = useCallback(() => {
+    useSessionStore.getState().beginModule(module.instanceId);
+    timer.handleStart();
+  }, [timer, module.instanceId]);
+
+  // Control bar phase
+  const getControlPhase = () => {
+    const phase = timer.getPhase();
+    if (phase === 'loading') return 'idle';
+    return phase;
+  };
+
+  // Primary button config
+  const getPrimaryButton = () => {
+    const phase = timer.getPhase();
+
+    if (phase === 'idle') {
+      return { label: 'Begin', onClick: handleBegin };
+    }
+
+    if (phase === 'loading') {
+      return { label: 'Preparing...', onClick: () => {}, disabled: true };
+    }
+
+    if (phase === 'active') {
+      return {
+        label: timer.isPlaying ? 'Pause' : 'Resume',
+        onClick: timer.handlePauseResume,
+      };
+    }
+
+    if (phase === 'completed') {
+      return { label: 'Continue', onClick: timer.handleComplete };
+    }
+
+    return null;
+  };
+
+  const safetyNote = isPeak ? (
+    <div className="border border-[var(--accent)] px-4 py-3 text-left">
+      <p className="text-xs text-[var(--color-text-secondary)] leading-relaxed" style={{ textTransform: 'none' }}>
+        {PEAK_SAFETY_NOTE}
+      </p>
+    </div>
+  ) : (
+    <p className="text-xs text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+      {SAFETY_NOTE}
+    </p>
+  );
+
+  return (
+    <>
+      <div className="px-6 py-8 flex flex-col items-center">
+        <div className="max-w-md text-center">
+          <h2
+            className="text-2xl mb-6"
+            style={{ fontFamily: 'DM Serif Text, serif', textTransform: 'none' }}
+          >
+            {timer.hasStarted ? breathPattern.label : 'Guided Breathing'}
+          </h2>
+
+          {/* Idle state */}
+          {!timer.hasStarted && (
+            <div className="animate-fadeIn">
+              <div className="flex justify-center mb-6">
+                <BreathOrb isIdle size="small" />
+              </div>
+
+              <div className="space-y-3 mb-6">
+                <VoicePill
+                  label="pattern"
+                  voices={BREATH_PATTERNS}
+                  selectedVoiceId={patternId}
+                  onVoiceChange={setPatternId}
+                />
+                <DurationPill
+                  minutes={duration.selected}
+                  showArrows={true}
+                  canStepBack={canStepBack}
+                  canStepForward={canStepForward}
+                  onStepBack={() => stepTo(stepIndex - 1)}
+                  onStepForward={() => stepTo(stepIndex + 1)}
+                />
+                <VoicePill
+                  label="cues"
+                  voices={CUE_MODES}
+                  selectedVoiceId={cueMode}
+                  onVoiceChange={setCueMode}
+                />
+              </div>
+
+              <p className="text-xs text-[var(--color-text-tertiary)] mb-3">
+                {breathPattern.summary}
+              </p>
+              <p className="text-[var(--color-text-secondary)] mb-6">
+                {breathPattern.description || libraryModule?.content?.instructions}
+              </p>
+
+              {canVibrate && (
+                <button
+                  onClick={() => setHapticsOn(!hapticsOn)}
+                  className="text-xs text-[var(--color-text-tertiary)] hover:text-[var(--color-text-secondary)] transition-colors mb-6"
+                >
+                  vibration cues: {hapticsOn ? 'on' : 'off'}
+                </button>
+              )}
+
+              <div className="mb-10">{safetyNote}</div>
+            </div>
+          )}
+
+          {/* Active state */}
+          {timer.hasStarted && !timer.isComplete && (
+            <div className="animate-fadeIn">
+              <div className="flex justify-center mb-6">
+                <BreathOrb
+                  phase={breath.phase}
+                  phaseProgress={breath.phaseProgress}
+                  phaseSecondsRemaining={breath.phaseSecondsRemaining}
+                  moonAngle={breath.moonAngle}
+                  expansion={breath.expansion}
+                  isActive={!isInPreamble}
+                  isIdle={isInPreamble}
+                />
+              </div>
+
+              <p className="text-2xl font-light text-[var(--color-text-secondary)]">
+                {formatTime(timer.elapsedTime)}
+              </p>
+              <p className="text-xs text-[var(--color-text-tertiary)] mt-2">
+                {isInPreamble ? 'settle in' : `breath ${breath.currentCycle + 1}`} · {breathPattern.summary}
+              </p>
+
+              {isPeak && <div className="mt-6">{safetyNote}</div>}
+            </div>
+          )}
+
+          {/* Completed state */}
+          {timer.isComplete && (
+            <div className="animate-fadeIn">
+              <div className="flex justify-center mb-8">
+                <BreathOrb isIdle size="small" hideText />
+              </div>
+
+              <div className="px-4 py-2 border border-[var(--color-border)] text-[var(--color-text-secondary)] inline-block">
+                <span className="text-2xl font-light">{formatTime(breathSeconds)}</span>
+                <span className="text-xs ml-2 text-[var(--color-text-tertiary)]">/ {duration.selected}m</span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Control bar */}
+      <ModuleControlBar
+        phase={getControlPhase()}
+        primary={getPrimaryButton()}
+        showBack={false}
+        showSkip={!timer.isComplete}
+        onSkip={timer.handleSkip}
+        skipConfirmMessage="Skip this breathing practice?"
+        rightSlot={
+          timer.hasStarted ? (
+            <VolumeButton
+              volume={timer.audio.volume}
+              onVolumeChange={timer.audio.setVolume}
+              soundscape={timer.soundscape}
+            />
+          ) : null
+        }
+      />
+    </>
+  );
+}
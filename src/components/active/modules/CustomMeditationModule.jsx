@@ -0,0 +1,38 @@
+/**
+ * CustomMeditationModule Component
+ *
+ * A meditation the user wrote (Tools → Write Your Own Meditation), added to
+ * the timeline from the Your Meditations section of the library. Renders
+ * MasterModule's MeditationSection as the whole module, so it gets the same
+ * idle screen, voice and duration pills, loading transition, audio-text
+ * sync and controls as the authored meditations.
+ *
+ * The module's libraryId is the meditation's id. If the meditation has since
+ * been deleted, MeditationSection shows "content not found" with Continue.
+ */
+
+import { useMemo } from 'react';
+import { useCustomMeditationStore } from '../../../stores/useCustomMeditationStore';
+import MeditationSection from './MasterModule/sectionRenderers/MeditationSection';
+
+export default function CustomMeditationModule({ module, onComplete, onSkip, onProgressUpdate }) {
+  // Re-render when the meditation is edited or deleted
+  useCustomMeditationStore((state) => state.meditations);
+
+  const section = useMemo(() => ({
+    id: 'meditation',
+    type: 'meditation',
+    meditationId: module.libraryId,
+    animation: 'morphing-shapes',
+  }), [module.libraryId]);
+
+  return (
+    <MeditationSection
+      section={section}
+      module={module}
+      onSectionComplete={onComplete}
+      onSectionSkip={onSkip}
+      onProgressUpdate={onProgressUpdate}
+    />
+  );
+}
@@ -832,6 +832,7 @@ export default function FeltSenseModule({ module, onComplete, onSkip, onProgress
               <VolumeButton
                 volume={playback.audio.volume}
                 onVolumeChange={playback.audio.setVolume}
+                soundscape={playback.soundscape}
               />
             }
             rightSlot={
@@ -504,6 +504,7 @@ export default function LeavesOnAStreamModule({ module, onComplete, onSkip, onPr
               <VolumeButton
                 volume={playback.audio.volume}
                 onVolumeChange={playback.audio.setVolume}
+                soundscape={playback.soundscape}
               />
             }
             rightSlot={
@@ -503,10 +503,12 @@ export default function MasterModule({ module, onComplete, onSkip, onProgressUpd
     );
   }
 
-  // Get current generated image info for the viewer
-  const viewerImage = state.viewerState.generatorId
-    ? state.generatedImages[state.viewerState.generatorId]
-    : null;
+  // Get current generated image (or sketch) info for the viewer
+  const viewerImage = state.viewerState.sketchKey
+    ? state.sketches[state.viewerState.sketchKey]
+    : state.viewerState.generatorId
+      ? state.generatedImages[state.viewerState.generatorId]
+      : null;
 
   // Find section config for imageName (from the generate section that created it)
   const viewerSection = state.viewerState.generatorId
@@ -531,6 +533,13 @@ export default function MasterModule({ module, onComplete, onSkip, onProgressUpd
           visitedSections={state.visitedSections}
           allBlocksWithPromptIndex={state.allBlocksWithPromptIndex}
           onSetPromptResponse={state.setPromptResponse}
+          voiceMemos={state.voiceMemos}
+          onSaveVoiceMemo={state.saveVoiceMemo}
+          onRemoveVoiceMemo={state.removeVoiceMemo}
+          sketches={state.sketches}
+          onSaveSketch={state.saveSketch}
+          onRemoveSketch={state.removeSketch}
+          onViewSketch={state.openSketchViewer}
           onToggleSelector={state.toggleSelector}
           onSetSelectorJournal={state.setSelectorJournal}
           onChoiceSelect={state.setChoiceValue}
@@ -659,8 +668,8 @@ export default function MasterModule({ module, onComplete, onSkip, onProgressUpd
         onClose={handleViewerClose}
         imageUrl={viewerImage?.url}
         imageBlob={viewerImage?.blob}
-        imageAlt={viewerSection?.imageName || 'Generated image'}
-        imageName={viewerSection?.imageName || 'image'}
+        imageAlt={viewerSection?.imageName || (state.viewerState.sketchKey ? 'Sketch' : 'Generated image')}
+        imageName={viewerSection?.imageName || (state.viewerState.sketchKey ? 'sketch' : 'image')}
       />
     </>
   );
@@ -3,15 +3,24 @@
  *
  * Renders a DM Serif prompt question + optional context + textarea.
  * Respects journal font settings (fontSize, fontFamily, lineHeight).
+ *
+ * When the host passes `onRecordVoiceMemo`, the prompt can also be answered
+ * out loud: a recorder sits under the textarea, and once a memo exists it's
+ * shown with play and delete. Typing and speaking can be combined.
  */
 
 import { useJournalStore } from '../../../../../stores/useJournalStore';
 import { renderLineWithMarkup, substituteTokensPlain } from '../utils/renderContentLines';
+import VoiceMemoPlayer from '../../../../shared/VoiceMemoPlayer';
+import VoiceMemoRecorder from '../../../../shared/VoiceMemoRecorder';
 
 export default function PromptBlock({
   screen,
   value,
   onChange,
+  voiceMemo,
+  onRecordVoiceMemo,
+  onRemoveVoiceMemo,
   promptNumber,
   totalPrompts,
   accentTerms,
@@ -78,6 +87,27 @@ export default function PromptBlock({
         style={{ textTransform: 'none' }}
       />
 
+      {onRecordVoiceMemo && (
+        voiceMemo ? (
+          <div className="flex items-center justify-between gap-2 mt-2">
+            <VoiceMemoPlayer key={voiceMemo.entryId} entryId={voiceMemo.entryId} duration={voiceMemo.duration} />
+            <div className="flex items-center gap-3">
+              <VoiceMemoRecorder onRecorded={onRecordVoiceMemo} label="Re-record" />
+              {onRemoveVoiceMemo && (
+                <button
+                  onClick={onRemoveVoiceMemo}
+                  className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <VoiceMemoRecorder onRecorded={onRecordVoiceMemo} label="Speak instead" className="mt-2" />
+        )
+      )}
+
       {totalPrompts > 1 && promptNumber != null && (
         <p className="text-[var(--color-text-tertiary)] text-[10px] uppercase tracking-wider mt-2 text-center">
           {promptNumber} of {totalPrompts}
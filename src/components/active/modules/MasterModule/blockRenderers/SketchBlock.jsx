@@ -0,0 +1,84 @@
+/**
+ * SketchBlock — Drawing prompt with a freehand canvas
+ *
+ * Renders an optional context line + DM Serif prompt + SketchCanvas. Saving
+ * hands the PNG to the host (useMasterModuleState.saveSketch), which files it
+ * as its own journal entry. Once saved, the sketch shows as a thumbnail that
+ * opens the module's ImageViewerModal, with Redraw and Delete.
+ *
+ * Renders nothing when the host doesn't pass `onSaveSketch` (TransitionModule
+ * has no sketch storage).
+ */
+
+import { useState } from 'react';
+import { renderLineWithMarkup } from '../utils/renderContentLines';
+import SketchCanvas from '../../../../shared/SketchCanvas';
+
+export default function SketchBlock({
+  screen,
+  sketch,
+  onSaveSketch,
+  onRemoveSketch,
+  onViewSketch,
+  accentTerms,
+}) {
+  const [isRedrawing, setIsRedrawing] = useState(false);
+
+  if (!onSaveSketch) return null;
+
+  const handleSave = async (blob) => {
+    await onSaveSketch(blob);
+    setIsRedrawing(false);
+  };
+
+  return (
+    <div>
+      {screen.context && (
+        <p className="text-[var(--color-text-primary)] text-sm uppercase tracking-wider leading-relaxed mb-3">
+          {renderLineWithMarkup(screen.context, accentTerms)}
+        </p>
+      )}
+
+      {screen.prompt && (
+        <p
+          className="text-base mb-3 text-[var(--color-text-primary)]"
+          style={{ fontFamily: 'DM Serif Text, serif', textTransform: 'none' }}
+        >
+          {renderLineWithMarkup(screen.prompt, accentTerms)}
+        </p>
+      )}
+
+      {sketch && !isRedrawing ? (
+        <div>
+          <button onClick={onViewSketch} className="block w-full" aria-label="View sketch">
+            <img
+              src={sketch.url}
+              alt="Your sketch"
+              className="w-full border border-[var(--color-border)]"
+            />
+          </button>
+          <div className="flex items-center justify-end gap-3 mt-2">
+            <button
+              onClick={() => setIsRedrawing(true)}
+              className="text-[10px] uppercase tracking-wider text-[var(--color-text-secondary)] hover:opacity-70"
+            >
+              Redraw
+            </button>
+            <button
+              onClick={onRemoveSketch}
+              className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      ) : (
+        <SketchCanvas
+          onSave={handleSave}
+          saveLabel={sketch ? 'Replace sketch' : 'Save sketch'}
+          aspectRatio={screen.aspectRatio || 4 / 3}
+        />
+      )}
+    </div>
+  );
+}
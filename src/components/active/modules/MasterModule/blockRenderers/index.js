@@ -16,3 +16,4 @@ export { default as AlarmBlock } from './AlarmBlock';
 export { default as ReviewBlock } from './ReviewBlock';
 export { default as MeditationAudioBlock } from './MeditationAudioBlock';
 export { default as DotSeparatorBlock } from './DotSeparatorBlock';
+export { default as SketchBlock } from './SketchBlock';
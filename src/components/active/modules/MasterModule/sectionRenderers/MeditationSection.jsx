@@ -14,6 +14,8 @@
  * - ±10s seek controls
  *
  * On playback completion → onSectionComplete (not module completion).
+ * Skipping also calls onSectionComplete unless onSectionSkip is given — used
+ * by CustomMeditationModule, which renders this section as a whole module.
  */
 
 import { useState, useMemo, useCallback, useEffect } from 'react';
@@ -40,6 +42,7 @@ export default function MeditationSection({
   section,
   module,
   onSectionComplete,
+  onSectionSkip,
   onProgressUpdate,
   canGoBackToPreviousSection = false,
   onBackToPreviousSection,
@@ -144,13 +147,14 @@ export default function MeditationSection({
   }, [meditation, hasVariations, selectedVariation]);
 
   // Playback hook — both onComplete and onSkip advance to the next section
+  // (unless the caller tells skips apart)
   const playback = useMeditationPlayback({
     meditationId,
     moduleInstanceId: module.instanceId,
     timedSequence,
     totalDuration,
     onComplete: onSectionComplete,
-    onSkip: onSectionComplete,
+    onSkip: onSectionSkip || onSectionComplete,
     onProgressUpdate,
     composerOptions: section.composerOptions,
   });
@@ -381,7 +385,7 @@ export default function MeditationSection({
             // Wrapping div makes the slot content fade in when it mounts
             // (on meditation start) rather than snapping to full opacity.
             <div className="animate-fadeIn">
-              <VolumeButton volume={playback.audio.volume} onVolumeChange={playback.audio.setVolume} />
+              <VolumeButton volume={playback.audio.volume} onVolumeChange={playback.audio.setVolume} soundscape={playback.soundscape} />
             </div>
           ) : null
         }
@@ -28,7 +28,7 @@ import { ViewImageIcon } from '../../../capabilities/ImageViewerModal';
 import {
   TextBlock, PromptBlock, SelectorBlock,
   ChoiceBlock, AnimationBlock, AlarmBlock, ReviewBlock,
-  DotSeparatorBlock,
+  DotSeparatorBlock, SketchBlock,
 } from '../blockRenderers';
 import { ANIMATION_MAP } from '../blockRenderers/HeaderBlock';
 import { renderLineWithMarkup } from '../utils/renderContentLines';
@@ -54,6 +54,17 @@ export default function ScreensSection({
   visitedSections,
   allBlocksWithPromptIndex,
   onSetPromptResponse,
+  // Voice answers to prompts (MasterModule only; PromptBlock hides the
+  // recorder when these aren't passed)
+  voiceMemos,
+  onSaveVoiceMemo,
+  onRemoveVoiceMemo,
+  // Drawings for `sketch` blocks (MasterModule only; SketchBlock renders
+  // nothing when these aren't passed)
+  sketches,
+  onSaveSketch,
+  onRemoveSketch,
+  onViewSketch,
   onToggleSelector,
   onSetSelectorJournal,
   onChoiceSelect,
@@ -542,6 +553,10 @@ export default function ScreensSection({
             screen={block}
             value={responses[block.promptIndex]}
             onChange={(value) => onSetPromptResponse(block.promptIndex, value)}
+            voiceMemo={voiceMemos?.[block.promptIndex]}
+            onRecordVoiceMemo={onSaveVoiceMemo
+              && ((recording) => onSaveVoiceMemo(block.promptIndex, block.prompt || block.journalLabel, recording))}
+            onRemoveVoiceMemo={onRemoveVoiceMemo && (() => onRemoveVoiceMemo(block.promptIndex))}
             promptNumber={promptNumber}
             totalPrompts={totalVisiblePrompts}
             accentTerms={accentTerms}
@@ -579,6 +594,19 @@ export default function ScreensSection({
         );
       }
 
+      case 'sketch':
+        return (
+          <SketchBlock
+            screen={block}
+            sketch={sketches?.[block.key]}
+            onSaveSketch={onSaveSketch
+              && ((blob) => onSaveSketch(block.key, block.prompt || block.journalLabel, blob))}
+            onRemoveSketch={onRemoveSketch && (() => onRemoveSketch(block.key))}
+            onViewSketch={onViewSketch && (() => onViewSketch(block.key))}
+            accentTerms={accentTerms}
+          />
+        );
+
       case 'animation':
         return <AnimationBlock screen={block} accentTerms={accentTerms} />;
 
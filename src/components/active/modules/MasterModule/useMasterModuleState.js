@@ -7,7 +7,8 @@
  *
  * State shape:
  *   Navigation:   modulePhase, currentSectionIndex, routeStack[]
- *   Data:         responses{}, selectorValues{}, selectorJournals{}, choiceValues{}
+ *   Data:         responses{}, selectorValues{}, selectorJournals{}, choiceValues{},
+ *                 voiceMemos{}, sketches{}
  *   Transitions:  isLeaving
  */
 
@@ -15,6 +16,8 @@ import { useState, useCallback, useMemo, useEffect } from 'react';
 import { useJournalStore } from '../../../../stores/useJournalStore';
 import { useSessionStore } from '../../../../stores/useSessionStore';
 import { assembleJournalEntry } from './utils/journalAssembler';
+import { saveAudioMemo } from '../../../../utils/audioMemoStorage';
+import { saveImage } from '../../../../utils/imageStorage';
 import expandScreenToBlocks from './utils/expandScreenToBlocks';
 
 const FADE_MS = 400;
@@ -51,6 +54,8 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
   const [selectorValues, setSelectorValues] = useState({}); // { key: id | [ids] }
   const [selectorJournals, setSelectorJournals] = useState({}); // { key: text }
   const [choiceValues, setChoiceValues] = useState({});     // { key: optionId }
+  const [voiceMemos, setVoiceMemos] = useState({});         // { promptIndex: { entryId, duration } }
+  const [sketches, setSketches] = useState({});             // { key: { entryId, blob, url } }
 
   // ── Section visit tracking ────────────────────────────────────────────────
 
@@ -64,7 +69,8 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
   const [overlayState, setOverlayState] = useState({ active: false, key: 0 });
 
   // ImageViewerModal control (rendered at MasterModule root)
-  const [viewerState, setViewerState] = useState({ open: false, closing: false, generatorId: null });
+  // `sketchKey` is set instead of `generatorId` when the viewer shows a sketch
+  const [viewerState, setViewerState] = useState({ open: false, closing: false, generatorId: null, sketchKey: null });
 
   // ── Prompt indexing (blocks-aware) ──────────────────────────────────────────
   //
@@ -140,6 +146,7 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
 
   const addEntry = useJournalStore((state) => state.addEntry);
   const updateEntry = useJournalStore((state) => state.updateEntry);
+  const deleteEntry = useJournalStore((state) => state.deleteEntry);
   const ingestionTime = useSessionStore((state) => state.substanceChecklist.ingestionTime);
   const sessionId = ingestionTime ? new Date(ingestionTime).toISOString() : null;
 
@@ -160,6 +167,8 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
       responses,
       selectorValues,
       selectorJournals,
+      voiceMemos,
+      sketches,
       conditionContext: { choiceValues, selectorValues, visitedSections },
       storeState,
     });
@@ -193,7 +202,7 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
       sessionId,
       moduleTitle,
     });
-  }, [content, module.title, allBlocksWithPromptIndex, responses, selectorValues, selectorJournals, choiceValues, visitedSections, addEntry, updateEntry, sessionId]);
+  }, [content, module.title, allBlocksWithPromptIndex, responses, selectorValues, selectorJournals, voiceMemos, sketches, choiceValues, visitedSections, addEntry, updateEntry, sessionId]);
 
   // ── Actions ───────────────────────────────────────────────────────────────
 
@@ -330,6 +339,8 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
         responses,
         selectorValues,
         selectorJournals,
+        voiceMemos,
+        sketches,
         conditionContext: { choiceValues, selectorValues, visitedSections },
         storeState: useSessionStore.getState(),
       });
@@ -343,7 +354,7 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
         });
       }
     }
-  }, [content, module.title, allBlocksWithPromptIndex, responses, selectorValues, selectorJournals, choiceValues, visitedSections, addEntry, sessionId]);
+  }, [content, module.title, allBlocksWithPromptIndex, responses, selectorValues, selectorJournals, voiceMemos, sketches, choiceValues, visitedSections, addEntry, sessionId]);
 
   const goBackToPreviousSection = useCallback(() => {
     if (sectionHistory.length === 0) return;
@@ -376,6 +387,78 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
     setResponses((prev) => ({ ...prev, [index]: value }));
   }, []);
 
+  // Answer a prompt by voice. The recording is saved straight away as its
+  // own session journal entry (like a generated image), so it survives even
+  // if the module is abandoned; the module's entry notes it (see
+  // journalAssembler). Re-recording replaces the earlier memo.
+  const saveVoiceMemo = useCallback(async (promptIndex, promptLabel, { blob, duration, type }) => {
+    const moduleTitle = content?.journal?.moduleTitle || module.title;
+    const entry = addEntry({
+      content: `${promptLabel || moduleTitle}\n\nVoice memo`,
+      source: 'session',
+      sessionId,
+      moduleTitle,
+      audio: { duration, type },
+    });
+    try {
+      await saveAudioMemo(entry.id, blob);
+    } catch (err) {
+      console.warn('Failed to save voice memo:', err);
+      deleteEntry(entry.id);
+      return;
+    }
+    if (voiceMemos[promptIndex]) deleteEntry(voiceMemos[promptIndex].entryId);
+    setVoiceMemos((prev) => ({ ...prev, [promptIndex]: { entryId: entry.id, duration } }));
+  }, [content, module.title, voiceMemos, addEntry, deleteEntry, sessionId]);
+
+  // Delete a prompt's memo, journal entry included
+  const removeVoiceMemo = useCallback((promptIndex) => {
+    if (!voiceMemos[promptIndex]) return;
+    deleteEntry(voiceMemos[promptIndex].entryId);
+    setVoiceMemos((prev) => {
+      const { [promptIndex]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, [voiceMemos, deleteEntry]);
+
+  // Save a sketch block's drawing. Like a voice memo it becomes its own
+  // session journal entry (hasImage, PNG in imageStorage) straight away, and
+  // redrawing replaces the earlier one.
+  const saveSketch = useCallback(async (key, promptLabel, blob) => {
+    const moduleTitle = content?.journal?.moduleTitle || module.title;
+    const entry = addEntry({
+      content: `${promptLabel || moduleTitle}\n\nSketch`,
+      source: 'session',
+      sessionId,
+      moduleTitle,
+      hasImage: true,
+    });
+    try {
+      await saveImage(entry.id, blob);
+    } catch (err) {
+      deleteEntry(entry.id);
+      throw err;
+    }
+    const previous = sketches[key];
+    if (previous) {
+      deleteEntry(previous.entryId);
+      URL.revokeObjectURL(previous.url);
+    }
+    setSketches((prev) => ({ ...prev, [key]: { entryId: entry.id, blob, url: URL.createObjectURL(blob) } }));
+  }, [content, module.title, sketches, addEntry, deleteEntry, sessionId]);
+
+  // Delete a sketch block's drawing, journal entry included
+  const removeSketch = useCallback((key) => {
+    const sketch = sketches[key];
+    if (!sketch) return;
+    deleteEntry(sketch.entryId);
+    URL.revokeObjectURL(sketch.url);
+    setSketches((prev) => {
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, [sketches, deleteEntry]);
+
   const toggleSelector = useCallback((key, optionId, multiSelect) => {
     setSelectorValues((prev) => {
       if (multiSelect) {
@@ -414,21 +497,25 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
   }, []);
 
   const openViewer = useCallback((generatorId) => {
-    setViewerState({ open: true, closing: false, generatorId });
+    setViewerState({ open: true, closing: false, generatorId, sketchKey: null });
+  }, []);
+
+  const openSketchViewer = useCallback((sketchKey) => {
+    setViewerState({ open: true, closing: false, generatorId: null, sketchKey });
   }, []);
 
   const closeViewer = useCallback(() => {
     setViewerState((prev) => ({ ...prev, closing: true }));
     // After fade completes, unmount
     setTimeout(() => {
-      setViewerState({ open: false, closing: false, generatorId: null });
+      setViewerState({ open: false, closing: false, generatorId: null, sketchKey: null });
     }, FADE_MS + VIEWER_CLOSE_BUFFER);
   }, []);
 
-  // Cleanup: revoke generated image object URLs on unmount
+  // Cleanup: revoke generated image and sketch object URLs on unmount
   useEffect(() => {
     return () => {
-      Object.values(generatedImages).forEach((img) => {
+      [...Object.values(generatedImages), ...Object.values(sketches)].forEach((img) => {
         if (img.url) {
           try { URL.revokeObjectURL(img.url); } catch (_e) { /* ignore */ }
         }
@@ -555,6 +642,8 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
     selectorValues,
     selectorJournals,
     choiceValues,
+    voiceMemos,
+    sketches,
     visitedSections,
     allBlocksWithPromptIndex,
 
@@ -574,6 +663,10 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
 
     // Response handlers
     setPromptResponse,
+    saveVoiceMemo,
+    removeVoiceMemo,
+    saveSketch,
+    removeSketch,
     toggleSelector,
     setSelectorJournal,
     setChoiceValue,
@@ -583,6 +676,7 @@ export default function useMasterModuleState(content, module, callbacks = {}) {
     startRevealOverlay,
     stopRevealOverlay,
     openViewer,
+    openSketchViewer,
     closeViewer,
   };
 }
@@ -6,7 +6,7 @@
  * they didn't type anything — marks unanswered prompts with "no entry" + timestamp
  * to support users who journal physically.
  *
- * Core block types captured: `prompt`, `selector`.
+ * Core block types captured: `prompt`, `selector`, `sketch`.
  * Transition-aware block types captured (when `storeState` is provided):
  *   `body-check-in`, `ingestion-time`, `store-display`.
  *
@@ -24,12 +24,15 @@
  * @param {object} params.responses
  * @param {object} params.selectorValues
  * @param {object} params.selectorJournals
+ * @param {object} [params.voiceMemos] - { promptIndex: { entryId, duration } } for prompts answered by voice
+ * @param {object} [params.sketches] - { key: { entryId } } for sketch blocks the user saved a drawing for
  * @param {object} [params.conditionContext] - { choiceValues, selectorValues, visitedSections, storeState, sessionData }
  * @param {object} [params.storeState] - Full session store snapshot (needed for transition block types)
  * @returns {string} Formatted journal entry text
  */
 
 import evaluateCondition from './evaluateCondition';
+import { formatMemoDuration } from '../../../../../utils/audioMemoStorage';
 import { sensationLabelById, PHASE_LABELS } from '../../../../../content/transitions/somaticSensations';
 
 export function assembleJournalEntry({
@@ -38,6 +41,8 @@ export function assembleJournalEntry({
   responses = {},
   selectorValues = {},
   selectorJournals = {},
+  voiceMemos = {},
+  sketches = {},
   conditionContext = null,
   storeState = null,
 }) {
@@ -78,6 +83,7 @@ export function assembleJournalEntry({
   // prompt/question + response again.
   const emittedPromptIndices = new Set();
   const emittedSelectorKeys = new Set();
+  const emittedSketchKeys = new Set();
   const emittedBodyCheckInPhases = new Set();
 
   // ── Pass 2: emit content ──────────────────────────────────────────────────
@@ -94,9 +100,14 @@ export function assembleJournalEntry({
       const overrideLabel = block.journalLabel ? `${block.journalLabel}:` : '';
       const label = naturalLabel || overrideLabel;
       if (label) content += `\n${label}\n`;
+      // A spoken answer is its own journal entry (with the recording); note it here
+      const memo = voiceMemos[block.promptIndex];
       if (responses[block.promptIndex]?.trim()) {
         content += `${responses[block.promptIndex].trim()}\n`;
-      } else {
+      }
+      if (memo) {
+        content += `[voice memo — ${formatMemoDuration(memo.duration)}]\n`;
+      } else if (!responses[block.promptIndex]?.trim()) {
         content += `[no entry — ${timestamp}]\n`;
       }
       return;
@@ -126,6 +137,17 @@ export function assembleJournalEntry({
       return;
     }
 
+    if (block.type === 'sketch') {
+      if (emittedSketchKeys.has(block.key)) return;
+      emittedSketchKeys.add(block.key);
+
+      const label = block.prompt || (block.journalLabel ? `${block.journalLabel}:` : '');
+      if (label) content += `\n${label}\n`;
+      // The drawing is its own journal entry (with the PNG); note it here
+      content += sketches[block.key] ? '[sketch]\n' : `[no entry — ${timestamp}]\n`;
+      return;
+    }
+
     // ── Transition-aware block types (require storeState) ───────────────────
 
     if (block.type === 'body-check-in' && storeState) {
@@ -285,6 +285,7 @@ export default function OpenAwarenessModule({ module, onComplete, onSkip, onProg
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           ) : null
         }
@@ -251,6 +251,7 @@ export default function OpenSpaceModule({ module, onComplete, onSkip, onProgress
             <VolumeButton
               volume={timer.audio.volume}
               onVolumeChange={timer.audio.setVolume}
+              soundscape={timer.soundscape}
             />
           ) : null
         }
@@ -271,6 +271,7 @@ function MeditationSection({
           <VolumeButton
             volume={playback.audio.volume}
             onVolumeChange={playback.audio.setVolume}
+            soundscape={playback.soundscape}
           />
         }
         rightSlot={
@@ -327,6 +327,7 @@ export default function SelfCompassionModule({ module, onComplete, onSkip, onPro
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           ) : null
         }
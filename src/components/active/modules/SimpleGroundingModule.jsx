@@ -274,6 +274,7 @@ export default function SimpleGroundingModule({ module, onComplete, onSkip, onPr
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           ) : null
         }
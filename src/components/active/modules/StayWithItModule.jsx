@@ -695,6 +695,7 @@ export default function StayWithItModule({ module, onComplete, onSkip, onProgres
               <VolumeButton
                 volume={playback.audio.volume}
                 onVolumeChange={playback.audio.setVolume}
+                soundscape={playback.soundscape}
               />
             }
             rightSlot={
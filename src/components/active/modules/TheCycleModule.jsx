@@ -1605,6 +1605,7 @@ export default function TheCycleModule({ module, onComplete, onSkip, onProgressU
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           }
           rightSlot={
@@ -738,6 +738,7 @@ export default function TheDescentModule({ module, onComplete, onSkip, onProgres
             <VolumeButton
               volume={playback.audio.volume}
               onVolumeChange={playback.audio.setVolume}
+              soundscape={playback.soundscape}
             />
           }
           rightSlot={
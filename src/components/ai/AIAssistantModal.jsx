@@ -10,6 +10,9 @@ import { useSessionStore } from '../../stores/useSessionStore';
 import { useJournalStore } from '../../stores/useJournalStore';
 import { AIService } from '../../services/aiService';
 import { buildSystemPrompt, buildMinimalSystemPrompt, buildCompletedSessionPrompt } from '../../utils/buildSystemPrompt';
+import { getAssistantTools, validateToolCall, formatMessageForProvider } from '../../utils/assistantTools';
+import { detectCrisisLanguage } from '../../utils/crisisDetection';
+import { redactOutgoing } from '../../utils/piiRedaction';
 import { DesktopSidebar, MobileSidebar, MobileMenuButton } from './ChatSidebar';
 import ChatWindow from './ChatWindow';
 import ChatInput from './ChatInput';
@@ -32,7 +35,10 @@ export default function AIAssistantModal({ onClose, isClosing = false }) {
   const addMessage = useAIStore((state) => state.addMessage);
   const startGenerating = useAIStore((state) => state.startGenerating);
   const appendToStream = useAIStore((state) => state.appendToStream);
+  const appendToolCall = useAIStore((state) => state.appendToolCall);
   const finalizeStream = useAIStore((state) => state.finalizeStream);
+  const setConversationRedactions = useAIStore((state) => state.setConversationRedactions);
+  const setMessageSent = useAIStore((state) => state.setMessageSent);
   const setStreamError = useAIStore((state) => state.setStreamError);
   const cancelStreaming = useAIStore((state) => state.cancelStreaming);
   const checkKeyExpiration = useAIStore((state) => state.checkKeyExpiration);
@@ -113,9 +119,14 @@ export default function AIAssistantModal({ onClose, isClosing = false }) {
       conversationId = createConversation();
     }
 
-    // Add user message (unless retrying - message already exists)
+    // Add user message (unless retrying - message already exists). Crisis
+    // language is checked on-device first; a medical emergency gets the
+    // emergency options instead of a model reply.
     if (!isRetry) {
-      addMessage('user', content);
+      const crisis = detectCrisisLanguage(content);
+      const suppressed = crisis?.category === 'medical-emergency';
+      addMessage('user', content, crisis ? { crisis: { category: crisis.category, suppressed } } : {});
+      if (suppressed) return;
     }
 
     // Create abort controller for cancellation
@@ -126,8 +137,9 @@ export default function AIAssistantModal({ onClose, isClosing = false }) {
 
     try {
       // Get decrypted key
+      // Custom endpoints may have an empty key, so only null is a failure
       const apiKey = await getDecryptedKey();
-      if (!apiKey) {
+      if (apiKey === null) {
         throw new Error('Failed to decrypt API key');
       }
 
@@ -150,37 +162,86 @@ export default function AIAssistantModal({ onClose, isClosing = false }) {
       const currentSettings = useAIStore.getState().settings;
 
       const phase = sessionState.sessionPhase;
+      // Actions are offered during and after a session, unless turned off in Settings
+      const canProposeActions = currentSettings.enableActions !== false
+        && (phase === 'active' || phase === 'paused' || phase === 'completed');
+      const tools = canProposeActions ? getAssistantTools(sessionState) : null;
+
       let systemPrompt;
       if (phase === 'active' || phase === 'paused') {
-        systemPrompt = buildSystemPrompt(sessionState, journalState, currentSettings.contextSettings);
+        systemPrompt = buildSystemPrompt(sessionState, journalState, currentSettings.contextSettings, { canProposeActions });
       } else if (phase === 'completed') {
-        systemPrompt = buildCompletedSessionPrompt(sessionState, journalState, currentSettings.contextSettings);
+        systemPrompt = buildCompletedSessionPrompt(sessionState, journalState, currentSettings.contextSettings, { canProposeActions });
       } else {
         systemPrompt = buildMinimalSystemPrompt(sessionState);
       }
 
       // Create AI service and stream response
-      const service = new AIService(provider, apiKey);
+      const service = new AIService(provider, apiKey, useAIStore.getState().customEndpoint);
 
       // Get updated messages (including the one we just added)
       const currentConversation = useAIStore.getState().conversations.find(
         (c) => c.id === conversationId
       );
       const currentMessages = currentConversation?.messages || [];
+      const providerMessages = currentMessages.map(formatMessageForProvider);
+
+      // Swap personal details for placeholders before anything leaves the device
+      const redactionEnabled = currentSettings.redactPersonalInfo !== false;
+      const outgoing = redactionEnabled
+        ? redactOutgoing({
+          systemPrompt,
+          messages: providerMessages,
+          sessionState,
+          journalState,
+          entries: currentConversation?.redactions,
+        })
+        : { systemPrompt, messages: providerMessages, redactor: null, count: 0 };
+      if (outgoing.redactor) {
+        setConversationRedactions(conversationId, outgoing.redactor.getEntries());
+      }
+
+      // Keep a copy of exactly what was sent on the user message
+      const userIndex = currentMessages.findLastIndex((m) => m.role === 'user');
+      if (userIndex !== -1) {
+        setMessageSent(currentMessages[userIndex].id, {
+          content: outgoing.messages[userIndex].content,
+          systemPrompt: outgoing.systemPrompt,
+          redactionCount: outgoing.count,
+          redacted: redactionEnabled,
+        });
+      }
+
+      const rehydrator = outgoing.redactor?.createStreamRehydrator();
 
       // Stream the response
       for await (const chunk of service.streamMessage(
-        currentMessages,
-        systemPrompt,
+        outgoing.messages,
+        outgoing.systemPrompt,
         settings.modelPreference,
-        abortController.signal
+        abortController.signal,
+        tools
       )) {
         if (abortController.signal.aborted) break;
-        appendToStream(chunk);
+        if (typeof chunk === 'string') {
+          appendToStream(rehydrator ? rehydrator.push(chunk) : chunk);
+        } else {
+          // Proposed action — shown as a confirm card, never run here
+          const input = outgoing.redactor ? outgoing.redactor.rehydrateDeep(chunk.input) : chunk.input;
+          const check = validateToolCall({ ...chunk, input }, useSessionStore.getState());
+          appendToolCall({
+            id: chunk.id,
+            name: chunk.name,
+            input,
+            status: check.valid ? 'pending' : 'unavailable',
+            error: check.error || null,
+          });
+        }
       }
 
       // Finalize
       if (!abortController.signal.aborted) {
+        if (rehydrator) appendToStream(rehydrator.flush());
         finalizeStream();
       }
     } catch (error) {
@@ -200,6 +261,9 @@ export default function AIAssistantModal({ onClose, isClosing = false }) {
     provider,
     settings.modelPreference,
     appendToStream,
+    appendToolCall,
+    setConversationRedactions,
+    setMessageSent,
     finalizeStream,
     setStreamError,
   ]);
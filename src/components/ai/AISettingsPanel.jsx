@@ -16,9 +16,11 @@ export default function AISettingsPanel({ isOpen, onClose }) {
   // AI Store
   const settings = useAIStore((state) => state.settings);
   const updateSettings = useAIStore((state) => state.updateSettings);
+  const provider = useAIStore((state) => state.provider);
+  const customEndpoint = useAIStore((state) => state.customEndpoint);
 
   // Session context toggles - use local state for pending changes
-  const savedContextSettings = settings.contextSettings || { ...CONTEXT_DEFAULTS };
+  const savedContextSettings = { ...CONTEXT_DEFAULTS, ...settings.contextSettings };
 
   // Local state for pending changes (before Apply)
   const [localContextSettings, setLocalContextSettings] = useState(savedContextSettings);
@@ -62,10 +64,11 @@ export default function AISettingsPanel({ isOpen, onClose }) {
   const sessionPhase = sessionState.sessionPhase;
   const isInActiveSession = sessionPhase === 'active' || sessionPhase === 'paused';
   const isCompletedSession = sessionPhase === 'completed';
+  const promptOptions = { canProposeActions: settings.enableActions !== false };
   const systemPrompt = isInActiveSession
-    ? buildSystemPrompt(sessionState, journalState, localContextSettings)
+    ? buildSystemPrompt(sessionState, journalState, localContextSettings, promptOptions)
     : isCompletedSession
-      ? buildCompletedSessionPrompt(sessionState, journalState, localContextSettings)
+      ? buildCompletedSessionPrompt(sessionState, journalState, localContextSettings, promptOptions)
       : buildMinimalSystemPrompt(sessionState);
 
   // Handle click outside to close
@@ -86,6 +89,7 @@ export default function AISettingsPanel({ isOpen, onClose }) {
     { key: 'includeJournal', label: 'Journal Entries', description: 'Recent journal entries (last 3)' },
     { key: 'includeIntention', label: 'User Intention', description: 'Focus area and holding question from intake' },
     { key: 'includeHelperModal', label: 'Helper Modal', description: 'If you used the Helper, what was selected' },
+    { key: 'includeBodyCheck', label: 'Body Check', description: 'Water, temperature, and breaks you logged' },
     { key: 'includeModuleLibrary', label: 'Activity Library', description: 'Available activities the AI can suggest' },
     { key: 'includeEmergencyContact', label: 'Emergency Contact', description: 'Your saved emergency contact name and phone' },
   ];
@@ -145,6 +149,12 @@ export default function AISettingsPanel({ isOpen, onClose }) {
                 Disabling options may reduce the AI's ability to provide relevant support.
               </p>
 
+              {provider === 'custom' && (
+                <p className="text-[10px] text-[var(--text-tertiary)] mb-4">
+                  Using your own server: this context is sent only to {customEndpoint.baseUrl}.
+                </p>
+              )}
+
               {contextOptions.map((option) => (
                 <div
                   key={option.key}
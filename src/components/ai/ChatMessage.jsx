@@ -1,9 +1,15 @@
 /**
  * ChatMessage Component
- * Individual message bubble for user and assistant messages
+ * Individual message bubble for user and assistant messages, with a confirm
+ * card for each action the assistant proposed (see utils/assistantTools.js)
+ * and a crisis notice under user messages flagged by utils/crisisDetection.js
  */
 
 import { useState } from 'react';
+import { useAIStore } from '../../stores/useAIStore';
+import { describeToolCall, executeToolCall } from '../../utils/assistantTools';
+import { CRISIS_NOTICES } from '../../content/crisisLanguage';
+import CrisisNotice from '../shared/CrisisNotice';
 
 /**
  * Simple markdown-like formatting for assistant messages
@@ -99,46 +105,138 @@ function formatTime(timestamp) {
   return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+const ACTION_STATUS_LABELS = {
+  confirmed: 'Done',
+  dismissed: 'Not now',
+};
+
+/**
+ * Confirm card for a proposed action. Nothing runs until the user confirms.
+ */
+function ActionCard({ messageId, toolCall }) {
+  const resolveToolCall = useAIStore((state) => state.resolveToolCall);
+  const { title, detail } = describeToolCall(toolCall);
+  const isPending = toolCall.status === 'pending';
+
+  const handleConfirm = (e) => {
+    e.stopPropagation();
+    const result = executeToolCall(toolCall);
+    resolveToolCall(
+      messageId,
+      toolCall.id,
+      result.success
+        ? { status: 'confirmed', resolvedAt: Date.now() }
+        : { status: 'failed', error: result.error, resolvedAt: Date.now() }
+    );
+  };
+
+  const handleDismiss = (e) => {
+    e.stopPropagation();
+    resolveToolCall(messageId, toolCall.id, { status: 'dismissed', resolvedAt: Date.now() });
+  };
+
+  return (
+    <div
+      className={`mt-3 p-3 border bg-[var(--bg-primary)] ${
+        isPending ? 'border-[var(--accent)]' : 'border-[var(--border)]'
+      }`}
+    >
+      <p className="text-[9px] uppercase tracking-wider text-[var(--text-tertiary)] mb-1">
+        Suggested action
+      </p>
+      <p className="text-[11px] text-[var(--text-primary)]">{title}</p>
+      {detail && (
+        <p className="mt-1 text-[10px] leading-relaxed text-[var(--text-secondary)] whitespace-pre-wrap">
+          {detail}
+        </p>
+      )}
+
+      {isPending ? (
+        <div className="flex gap-3 mt-3">
+          <button
+            onClick={handleConfirm}
+            className="px-3 py-1 text-[10px] uppercase tracking-wider border border-[var(--accent)] text-[var(--accent)] hover:bg-[var(--accent-bg)] transition-colors"
+          >
+            Confirm
+          </button>
+          <button
+            onClick={handleDismiss}
+            className="text-[10px] uppercase tracking-wider text-[var(--text-tertiary)] hover:opacity-70 transition-opacity"
+          >
+            Not now
+          </button>
+        </div>
+      ) : (
+        <p
+          className={`mt-2 text-[10px] uppercase tracking-wider ${
+            toolCall.error ? 'text-[var(--accent)]' : 'text-[var(--text-tertiary)]'
+          }`}
+        >
+          {toolCall.error || ACTION_STATUS_LABELS[toolCall.status] || toolCall.status}
+        </p>
+      )}
+    </div>
+  );
+}
+
 export default function ChatMessage({ message, isStreaming = false }) {
   const [showTimestamp, setShowTimestamp] = useState(false);
 
   const isUser = message.role === 'user';
+  const crisis = isUser ? message.crisis : null;
 
   return (
-    <div
-      className={`flex ${isUser ? 'justify-end' : 'justify-start'} mb-3`}
-      onClick={() => setShowTimestamp(!showTimestamp)}
-    >
+    <>
       <div
-        className={`
-          max-w-[85%] md:max-w-[75%] px-4 py-3
-          ${isUser
-            ? 'bg-[var(--accent)] text-[var(--bg-primary)]'
-            : 'bg-[var(--bg-secondary)] text-[var(--text-primary)]'
-          }
-        `}
+        className={`flex ${isUser ? 'justify-end' : 'justify-start'} ${crisis ? 'mb-2' : 'mb-3'}`}
+        onClick={() => setShowTimestamp(!showTimestamp)}
       >
-        {/* Message content */}
-        <div className="text-[11px] leading-relaxed whitespace-pre-wrap break-words">
-          {isUser ? message.content : formatContent(message.content)}
-          {isStreaming && (
-            <span className="inline-block w-1 h-3 ml-0.5 bg-current animate-pulse" />
+        <div
+          className={`
+            max-w-[85%] md:max-w-[75%] px-4 py-3
+            ${isUser
+              ? 'bg-[var(--accent)] text-[var(--bg-primary)]'
+              : 'bg-[var(--bg-secondary)] text-[var(--text-primary)]'
+            }
+          `}
+        >
+          {/* Message content */}
+          <div className="text-[11px] leading-relaxed whitespace-pre-wrap break-words">
+            {isUser ? message.content : formatContent(message.content)}
+            {isStreaming && (
+              <span className="inline-block w-1 h-3 ml-0.5 bg-current animate-pulse" />
+            )}
+          </div>
+
+          {/* Proposed actions */}
+          {message.toolCalls?.map((toolCall) => (
+            <ActionCard key={toolCall.id} messageId={message.id} toolCall={toolCall} />
+          ))}
+
+          {/* Timestamp (shown on click/tap) */}
+          {showTimestamp && message.timestamp && (
+            <div
+              className={`
+                mt-2 text-[9px] uppercase tracking-wider
+                ${isUser ? 'text-[var(--bg-primary)]/70' : 'text-[var(--text-tertiary)]'}
+              `}
+            >
+              {formatTime(message.timestamp)}
+            </div>
           )}
         </div>
-
-        {/* Timestamp (shown on click/tap) */}
-        {showTimestamp && message.timestamp && (
-          <div
-            className={`
-              mt-2 text-[9px] uppercase tracking-wider
-              ${isUser ? 'text-[var(--bg-primary)]/70' : 'text-[var(--text-tertiary)]'}
-            `}
-          >
-            {formatTime(message.timestamp)}
-          </div>
-        )}
       </div>
-    </div>
+
+      {/* Crisis notice — medical emergencies weren't sent to the provider */}
+      {crisis && (
+        <div className="ml-auto mb-3 max-w-[85%] md:max-w-[75%]">
+          <CrisisNotice
+            category={crisis.category}
+            note={crisis.suppressed ? CRISIS_NOTICES[crisis.category]?.chatNote : null}
+          />
+        </div>
+      )}
+    </>
   );
 }
 
@@ -1,11 +1,13 @@
 /**
  * ChatWindow Component
- * Scrollable message list with auto-scroll and streaming support
+ * Scrollable message list with auto-scroll and streaming support, plus a
+ * "what was sent" inspector under each user message that reached the provider
  */
 
-import { useRef, useEffect, useMemo } from 'react';
+import { Fragment, useRef, useEffect, useMemo } from 'react';
 import { useAIStore } from '../../stores/useAIStore';
 import ChatMessage, { TypingIndicator, ErrorMessage } from './ChatMessage';
+import SentInspector from './SentInspector';
 
 export default function ChatWindow({ onRetry }) {
   const scrollRef = useRef(null);
@@ -74,7 +76,10 @@ export default function ChatWindow({ onRetry }) {
     >
       {/* Messages */}
       {messages.map((message) => (
-        <ChatMessage key={message.id} message={message} />
+        <Fragment key={message.id}>
+          <ChatMessage message={message} />
+          {message.sent && <SentInspector sent={message.sent} />}
+        </Fragment>
       ))}
 
       {/* Streaming message */}
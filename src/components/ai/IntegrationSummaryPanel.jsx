@@ -0,0 +1,112 @@
+/**
+ * IntegrationSummaryPanel Component
+ * Opt-in "Summarize my session" action for a completed session. Streams the
+ * AI-written integration summary (see hooks/useIntegrationSummary.js) and
+ * shows the saved one afterwards. Used by the closing ritual and by Session
+ * History for archived sessions.
+ */
+
+import { useAIStore } from '../../stores/useAIStore';
+import { getProviderInfo } from '../../services/aiService';
+import { useIntegrationSummary } from '../../hooks/useIntegrationSummary';
+import { INTEGRATION_SUMMARY_TITLE } from '../../utils/integrationSummary';
+
+/**
+ * Render the summary's "## Heading" lines as labels and the rest as text
+ */
+function SummaryText({ content }) {
+  const body = content.startsWith(`${INTEGRATION_SUMMARY_TITLE}\n`)
+    ? content.slice(INTEGRATION_SUMMARY_TITLE.length + 1)
+    : content;
+
+  return (
+    <div className="space-y-1">
+      {body.trim().split('\n').map((line, i) => {
+        const heading = line.match(/^#{1,4}\s+(.*)$/);
+        if (heading) {
+          return (
+            <p key={i} className="pt-2 text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)]">
+              {heading[1]}
+            </p>
+          );
+        }
+        return (
+          <p key={i} className="text-xs leading-relaxed text-[var(--color-text-primary)]" style={{ textTransform: 'none' }}>
+            {line || ' '}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object|null} [props.archive] - Archived session; the live session when omitted
+ */
+export default function IntegrationSummaryPanel({ archive = null }) {
+  const isKeyValid = useAIStore((state) => state.isKeyValid);
+  const provider = useAIStore((state) => state.provider);
+  const redactPersonalInfo = useAIStore((state) => state.settings.redactPersonalInfo);
+  const { existing, isStreaming, text, error, generate, cancel } = useIntegrationSummary({ archive });
+
+  if (!isKeyValid) {
+    return (
+      <p className="text-[10px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+        Add an AI provider in Settings to get a written summary of this session.
+      </p>
+    );
+  }
+
+  const providerName = getProviderInfo(provider)?.name || 'your AI provider';
+
+  return (
+    <div className="space-y-3" onClick={(e) => e.stopPropagation()}>
+      {isStreaming && (
+        <div className="p-4 border border-[var(--color-text-tertiary)] animate-fadeIn" aria-live="polite">
+          {text ? <SummaryText content={text} /> : (
+            <p className="text-xs text-[var(--color-text-tertiary)]">Reading your session...</p>
+          )}
+        </div>
+      )}
+
+      {!isStreaming && existing && (
+        <div className="p-4 border border-[var(--color-text-tertiary)]">
+          <p className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)]">{INTEGRATION_SUMMARY_TITLE}</p>
+          <SummaryText content={existing.content} />
+          <p className="pt-3 text-[10px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+            Saved to your journal and included in exports.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-[10px] text-[var(--accent)]" style={{ textTransform: 'none' }}>{error}</p>
+      )}
+
+      {isStreaming ? (
+        <button
+          type="button"
+          onClick={cancel}
+          className="w-full py-3 border border-[var(--color-text-tertiary)] text-[var(--color-text-primary)] uppercase tracking-wider text-xs hover:border-[var(--color-text-primary)] transition-colors"
+        >
+          Stop
+        </button>
+      ) : (
+        <>
+          <button
+            type="button"
+            onClick={generate}
+            className="w-full py-3 border border-[var(--color-text-tertiary)] text-[var(--color-text-primary)] uppercase tracking-wider text-xs hover:border-[var(--color-text-primary)] transition-colors"
+          >
+            {existing ? 'Summarize Again' : 'Summarize My Session'}
+          </button>
+          <p className="text-[10px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+            Sends your journal entries and reflections from this session to {providerName}
+            {redactPersonalInfo !== false ? ', with personal details hidden.' : '.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * SentInspector Component
+ * "What was sent" toggle under a user message. Shows the message and the
+ * system prompt exactly as they went to the provider, placeholders and all
+ * (see utils/piiRedaction.js), so the user can check what left the device.
+ */
+
+import { useState } from 'react';
+
+export default function SentInspector({ sent }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showPrompt, setShowPrompt] = useState(false);
+
+  const summary = sent.redacted
+    ? `${sent.redactionCount} detail${sent.redactionCount === 1 ? '' : 's'} hidden`
+    : 'Not redacted';
+
+  return (
+    <div className="flex flex-col items-end -mt-2 mb-3">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-[9px] uppercase tracking-wider text-[var(--text-tertiary)] hover:opacity-70 transition-opacity"
+        aria-expanded={isOpen}
+      >
+        {isOpen ? 'Hide what was sent' : `What was sent · ${summary}`}
+      </button>
+
+      {isOpen && (
+        <div className="mt-1 w-full max-w-[85%] md:max-w-[75%] p-3 border border-[var(--border)] space-y-2 animate-fadeIn">
+          <p className="text-[9px] uppercase tracking-wider text-[var(--text-tertiary)]">Your message</p>
+          <p className="text-[10px] leading-relaxed whitespace-pre-wrap break-words text-[var(--text-secondary)]" style={{ textTransform: 'none' }}>
+            {sent.content}
+          </p>
+
+          <button
+            type="button"
+            onClick={() => setShowPrompt(!showPrompt)}
+            className="text-[9px] uppercase tracking-wider text-[var(--text-tertiary)] hover:opacity-70 transition-opacity"
+            aria-expanded={showPrompt}
+          >
+            {showPrompt ? 'Hide session context' : 'Show session context'}
+          </button>
+          {showPrompt && (
+            <pre className="max-h-64 overflow-y-auto text-[9px] leading-relaxed whitespace-pre-wrap break-words font-mono text-[var(--text-secondary)]">
+              {sent.systemPrompt}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * BodyCheckButton
+ * A droplet-icon button rendered in the Header that opens the Body Check
+ * tracker. Same structure as HelperButton for consistent alignment.
+ *
+ * Only shown during the active session. A dot marks the button while a
+ * hydration or temperature warning applies, so it can be noticed without
+ * opening the tracker.
+ */
+
+import { useSessionStore } from '../../stores/useSessionStore';
+import { useBodyCheckStore } from '../../stores/useBodyCheckStore';
+import { useBodyCheckAssessment } from '../../hooks/useBodyCheckAssessment';
+import { DropletIcon } from '../shared/Icons';
+
+function BodyCheckButtonInner() {
+  const isOpen = useBodyCheckStore((state) => state.isOpen);
+  const openBodyCheck = useBodyCheckStore((state) => state.openBodyCheck);
+  const { warnings } = useBodyCheckAssessment();
+  const hasWarning = warnings.length > 0;
+
+  return (
+    <div className="h-full flex items-end pb-2">
+      <button
+        type="button"
+        onClick={openBodyCheck}
+        className="relative w-10 h-10 flex items-center justify-center touch-target transition-opacity duration-200"
+        style={{
+          opacity: isOpen ? 0 : 1,
+          pointerEvents: isOpen ? 'none' : 'auto',
+        }}
+        aria-label={hasWarning ? 'Open body check (needs attention)' : 'Open body check'}
+      >
+        <DropletIcon size={20} strokeWidth={2.5} className="text-[var(--color-text-secondary)]" />
+        {hasWarning && (
+          <span
+            className="absolute top-2 right-2 w-2 h-2 rounded-full"
+            style={{ backgroundColor: 'var(--accent)' }}
+            aria-hidden="true"
+          />
+        )}
+      </button>
+    </div>
+  );
+}
+
+export default function BodyCheckButton() {
+  const sessionPhase = useSessionStore((state) => state.sessionPhase);
+  if (sessionPhase !== 'active') return null;
+  return <BodyCheckButtonInner />;
+}
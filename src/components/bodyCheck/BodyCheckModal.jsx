@@ -0,0 +1,255 @@
+/**
+ * BodyCheckModal Component
+ * Quick physical-safety log for the active session: water, how warm you
+ * feel, and breaks from dancing. Warnings come from assessBodyCheck(); the
+ * log is kept in useSessionStore.bodyCheck.
+ *
+ * Mounted in AppShell when useBodyCheckStore.isOpen — same panel chrome as
+ * InsightsModal.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSessionStore } from '../../stores/useSessionStore';
+import { useBodyCheckStore } from '../../stores/useBodyCheckStore';
+import { useBodyCheckAssessment } from '../../hooks/useBodyCheckAssessment';
+import { describeBodyCheckEntry } from '../../utils/bodyCheck';
+import {
+  DRINK_OPTIONS,
+  TEMPERATURE_OPTIONS,
+  TEMPERATURE_LABELS,
+  BODY_CHECK_WARNINGS,
+  OVERHEATING_EMERGENCY,
+} from '../../content/bodyCheck';
+
+const MAX_LOG_ROWS = 6;
+const URGENT_WARNINGS = ['over-hydration-urgent', 'overheating'];
+
+const monoStyle = { fontFamily: 'Azeret Mono, monospace' };
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+function SectionTitle({ children }) {
+  return (
+    <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)] mb-2" style={monoStyle}>
+      {children}
+    </p>
+  );
+}
+
+function OptionButton({ onClick, isSelected = false, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="px-3 py-2 text-xs border transition-opacity hover:opacity-70"
+      style={{
+        borderColor: isSelected ? 'var(--accent)' : 'var(--color-border)',
+        color: 'var(--color-text-primary)',
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function BodyCheckModal() {
+  const closeBodyCheck = useBodyCheckStore((state) => state.closeBodyCheck);
+  const entries = useSessionStore((state) => state.bodyCheck.entries);
+  const logBodyCheck = useSessionStore((state) => state.logBodyCheck);
+  const removeBodyCheckEntry = useSessionStore((state) => state.removeBodyCheckEntry);
+  const assessment = useBodyCheckAssessment();
+  const [isClosingModal, setIsClosingModal] = useState(false);
+
+  const handleClose = useCallback(() => {
+    if (isClosingModal) return;
+    setIsClosingModal(true);
+    setTimeout(() => closeBodyCheck(), 180);
+  }, [closeBodyCheck, isClosingModal]);
+
+  // Prevent body scroll
+  useEffect(() => {
+    document.body.style.overflow = 'hidden';
+    return () => { document.body.style.overflow = ''; };
+  }, []);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') handleClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [handleClose]);
+
+  const { warnings, recentDance, latestTemperature } = assessment;
+  const isUrgent = warnings.some((id) => URGENT_WARNINGS.includes(id));
+  const recentEntries = [...entries].sort((a, b) => b.timestamp - a.timestamp).slice(0, MAX_LOG_ROWS);
+
+  const handleBreak = () => {
+    logBodyCheck({
+      type: 'break',
+      afterModuleId: recentDance?.libraryId ?? null,
+      afterModuleTitle: recentDance?.title ?? null,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div
+        className="absolute inset-0 bg-black/25"
+        onClick={handleClose}
+        style={{ animation: isClosingModal ? 'bodyCheckFadeOut 180ms ease-in forwards' : 'bodyCheckBackdropIn 180ms ease-out' }}
+      />
+
+      <div
+        className="relative z-10 w-full max-w-md max-h-[80vh] flex flex-col mx-auto mt-20 px-4"
+        onClick={(e) => e.stopPropagation()}
+        style={{ animation: isClosingModal ? 'bodyCheckFadeOut 180ms ease-in forwards' : 'bodyCheckFadeIn 180ms ease-out' }}
+      >
+        <div className="overflow-y-auto" style={{ border: '2px solid var(--color-text-primary)', backgroundColor: 'var(--color-bg)' }}>
+          {/* Header */}
+          <div
+            className="relative flex items-center justify-center px-4 sticky top-0 z-10"
+            style={{ backgroundColor: 'var(--color-bg)', color: 'var(--color-text-primary)', borderBottom: '2px solid var(--color-text-primary)', minHeight: '52px' }}
+          >
+            <h2 className="uppercase tracking-widest text-[11px]" style={{ ...monoStyle, marginBottom: 0 }}>
+              Body Check
+            </h2>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="absolute right-3 top-1/2 -translate-y-1/2 w-8 h-8 flex items-center justify-center hover:opacity-70 transition-opacity"
+              style={{ color: 'var(--color-text-tertiary)' }}
+              aria-label="Close"
+            >
+              <span className="text-lg leading-none">×</span>
+            </button>
+          </div>
+
+          <div className="px-5 py-5 space-y-6">
+            {/* Warnings */}
+            {warnings.map((id) => (
+              <div
+                key={id}
+                className="p-3"
+                style={{ border: URGENT_WARNINGS.includes(id) ? '2px solid var(--color-text-primary)' : '1px solid var(--accent)' }}
+              >
+                <p className="text-sm text-[var(--color-text-primary)] mb-1">{BODY_CHECK_WARNINGS[id].title}</p>
+                <p className="text-xs leading-relaxed text-[var(--color-text-secondary)]">{BODY_CHECK_WARNINGS[id].body}</p>
+              </div>
+            ))}
+
+            {isUrgent && (
+              <div>
+                <SectionTitle>{OVERHEATING_EMERGENCY.title}</SectionTitle>
+                <ul className="space-y-1 text-xs text-[var(--color-text-secondary)]">
+                  {OVERHEATING_EMERGENCY.signs.map((sign) => <li key={sign}>· {sign}</li>)}
+                </ul>
+                <p className="text-xs mt-2">
+                  <a href="tel:911" className="underline">Call 911 (US)</a>
+                  {' · '}
+                  <a href="tel:112" className="underline">Call 112 (EU)</a>
+                </p>
+                <p className="text-[10px] text-[var(--color-text-tertiary)] mt-1">{OVERHEATING_EMERGENCY.note}</p>
+              </div>
+            )}
+
+            {/* Summary */}
+            <div className="flex justify-between text-[10px] uppercase tracking-wider text-[var(--color-text-secondary)]" style={monoStyle}>
+              <span>Last hour {assessment.waterLastHourMl} ml</span>
+              <span>Total {assessment.waterTotalMl} ml</span>
+              <span>
+                {assessment.minutesSinceWater === null ? 'No drinks yet' : `Last drink ${assessment.minutesSinceWater}m ago`}
+              </span>
+            </div>
+
+            {/* Water */}
+            <div>
+              <SectionTitle>I just drank</SectionTitle>
+              <div className="flex flex-wrap gap-2">
+                {DRINK_OPTIONS.map((option) => (
+                  <OptionButton
+                    key={option.id}
+                    onClick={() => logBodyCheck({ type: 'water', amountMl: option.amountMl, drink: option.drink })}
+                  >
+                    {option.label}
+                  </OptionButton>
+                ))}
+              </div>
+            </div>
+
+            {/* Temperature */}
+            <div>
+              <SectionTitle>Right now I feel</SectionTitle>
+              <div className="flex flex-wrap gap-2">
+                {TEMPERATURE_OPTIONS.map((option) => (
+                  <OptionButton
+                    key={option.id}
+                    isSelected={latestTemperature?.level === option.id}
+                    onClick={() => logBodyCheck({ type: 'temperature', level: option.id })}
+                  >
+                    {option.label}
+                  </OptionButton>
+                ))}
+              </div>
+            </div>
+
+            {/* Break */}
+            <div>
+              <SectionTitle>Moving</SectionTitle>
+              <OptionButton onClick={handleBreak} isSelected={warnings.includes('dance-break')}>
+                {recentDance ? `Taking a break from ${recentDance.title}` : 'Taking a break from moving'}
+              </OptionButton>
+            </div>
+
+            {/* Log */}
+            {recentEntries.length > 0 && (
+              <div>
+                <SectionTitle>Logged</SectionTitle>
+                <div className="space-y-1">
+                  {recentEntries.map((entry) => (
+                    <div key={entry.id} className="flex items-center justify-between text-xs text-[var(--color-text-secondary)]">
+                      <span>
+                        <span className="text-[10px] text-[var(--color-text-tertiary)] mr-2" style={monoStyle}>{formatClock(entry.timestamp)}</span>
+                        {describeBodyCheckEntry(entry)}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeBodyCheckEntry(entry.id)}
+                        className="w-6 h-6 flex items-center justify-center hover:opacity-70 transition-opacity text-[var(--color-text-tertiary)]"
+                        aria-label={`Remove ${describeBodyCheckEntry(entry)} at ${formatClock(entry.timestamp)}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <p className="text-[10px] leading-relaxed text-[var(--color-text-tertiary)]">
+              About a cup (250 ml) of water an hour is enough while resting, up to two if you&apos;re dancing.
+              {latestTemperature && ` Last temperature check: ${TEMPERATURE_LABELS[latestTemperature.level]?.toLowerCase()} at ${formatClock(latestTemperature.timestamp)}.`}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <style>{`
+        @keyframes bodyCheckFadeIn {
+          from { opacity: 0; transform: scale(0.97); }
+          to { opacity: 1; transform: scale(1); }
+        }
+        @keyframes bodyCheckFadeOut {
+          from { opacity: 1; transform: scale(1); }
+          to { opacity: 0; transform: scale(0.97); }
+        }
+        @keyframes bodyCheckBackdropIn {
+          from { opacity: 0; }
+          to { opacity: 1; }
+        }
+      `}</style>
+    </div>
+  );
+}
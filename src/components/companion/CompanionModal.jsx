@@ -0,0 +1,357 @@
+/**
+ * CompanionModal Component
+ * Pairing UI for sitter/partner companion mode, opened from the session
+ * menu. The primary device shares a pairing code (text + QR); the sitter's
+ * device pastes or scans it and switches to SitterView.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import qrcode from 'qrcode-generator';
+import { useCompanionStore } from '../../stores/useCompanionStore';
+import { useSessionStore } from '../../stores/useSessionStore';
+
+const monoStyle = { fontFamily: 'Azeret Mono, monospace' };
+
+const SHARED_MODES = ['with-sitter', 'with-partner', 'group'];
+
+const STATUS_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Sharing',
+  error: 'Not connected',
+};
+
+function PairingQRCode({ code }) {
+  const svg = useMemo(() => {
+    const qr = qrcode(0, 'M');
+    qr.addData(code);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+  }, [code]);
+
+  return (
+    <div
+      className="w-48 h-48 mx-auto bg-white p-1"
+      aria-label="Pairing QR code"
+      role="img"
+      // Generated locally from the pairing code — no user-supplied markup
+      dangerouslySetInnerHTML={{ __html: svg }}
+    />
+  );
+}
+
+/**
+ * Camera QR scanner using the browser's BarcodeDetector. Only rendered
+ * where BarcodeDetector exists; elsewhere the code is pasted.
+ */
+function QRScanner({ onScan, onError }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    let stream = null;
+    let frame = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        const [result] = await detector.detect(videoRef.current);
+        if (result?.rawValue) {
+          onScan(result.rawValue);
+          return;
+        }
+      } catch {
+        // Video not ready yet — try the next frame
+      }
+      frame = setTimeout(scan, 300);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((s) => {
+        if (stopped) {
+          s.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = s;
+        videoRef.current.srcObject = s;
+        videoRef.current.play();
+        scan();
+      })
+      .catch((error) => {
+        console.warn('[Companion] Camera unavailable:', error);
+        onError('Couldn\'t open the camera. Paste the code instead.');
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onScan, onError]);
+
+  return <video ref={videoRef} className="w-full aspect-square object-cover bg-black" muted playsInline />;
+}
+
+function HostPanel({ pairingCode, status, error, onStop }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(pairingCode);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (copyError) {
+      console.warn('[Companion] Clipboard unavailable:', copyError);
+    }
+  };
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-[var(--color-text-secondary)] leading-relaxed">
+        On your sitter&apos;s device, open the menu, choose Sitter Companion, and scan or paste this code.
+      </p>
+      <PairingQRCode code={pairingCode} />
+      <div>
+        <p className="text-[10px] break-all p-2 border border-[var(--color-border)] text-[var(--color-text-secondary)]" style={monoStyle}>
+          {pairingCode}
+        </p>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="mt-2 w-full py-2 border border-[var(--color-border)] uppercase tracking-wider text-[10px]"
+          style={monoStyle}
+        >
+          {copied ? 'Copied' : 'Copy Code'}
+        </button>
+      </div>
+      <p className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)]" style={monoStyle}>
+        {STATUS_LABELS[status] || ''}{error ? ` — ${error}` : ''}
+      </p>
+      <SharedDataNote />
+      <button
+        type="button"
+        onClick={onStop}
+        className="w-full py-3 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
+      >
+        Stop Sharing
+      </button>
+    </div>
+  );
+}
+
+function SharedDataNote() {
+  return (
+    <p className="text-xs text-[var(--color-text-tertiary)] leading-relaxed">
+      Your sitter sees your current phase and activity, time since ingestion, booster status,
+      your check-in answers, when you open the Helper, and your emergency contact. Your
+      intention, journal, and reflections are never shared. Updates are encrypted with a key
+      that only exists in this code.
+    </p>
+  );
+}
+
+function SetupPanel({ isSharedSession, onShare, onFollow }) {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+  const follow = useCallback((value) => {
+    try {
+      onFollow(value);
+    } catch (followError) {
+      setError(followError.message);
+      setIsScanning(false);
+    }
+  }, [onFollow]);
+
+  const handleScanError = useCallback((message) => {
+    setError(message);
+    setIsScanning(false);
+  }, []);
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+          Share this session
+        </p>
+        <p className="text-sm text-[var(--color-text-secondary)] leading-relaxed">
+          {isSharedSession
+            ? 'You planned this session with someone else present. Let them follow along from their own device.'
+            : 'Let a sitter or partner follow along from their own device.'}
+        </p>
+        <SharedDataNote />
+        <button
+          type="button"
+          onClick={onShare}
+          className="w-full py-3 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
+        >
+          Create Pairing Code
+        </button>
+      </div>
+
+      <div className="border-t border-[var(--color-border)]" />
+
+      <div className="space-y-3">
+        <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+          Follow someone&apos;s session
+        </p>
+        {isScanning ? (
+          <QRScanner onScan={follow} onError={handleScanError} />
+        ) : (
+          <textarea
+            value={code}
+            onChange={(e) => { setCode(e.target.value); setError(null); }}
+            placeholder="Paste pairing code"
+            rows={3}
+            className="w-full p-2 text-xs border border-[var(--color-border)] bg-transparent text-[var(--color-text-primary)]"
+            style={monoStyle}
+          />
+        )}
+        {error && <p className="text-xs text-[var(--color-text-secondary)]">{error}</p>}
+        <div className="flex gap-2">
+          {canScan && (
+            <button
+              type="button"
+              onClick={() => { setIsScanning((s) => !s); setError(null); }}
+              className="flex-1 py-3 border border-[var(--color-border)] uppercase tracking-wider text-xs"
+            >
+              {isScanning ? 'Cancel Scan' : 'Scan QR'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => follow(code)}
+            disabled={!code.trim()}
+            className="flex-1 py-3 border border-[var(--color-text-primary)] uppercase tracking-wider text-xs disabled:opacity-30"
+          >
+            Follow
+          </button>
+        </div>
+      </div>
+
+      <p className="text-[10px] leading-relaxed text-[var(--color-text-tertiary)]">
+        This version connects copies of the app open in the same browser, for trying
+        companion mode out. Connecting two separate phones needs a connection type that
+        isn&apos;t available yet.
+      </p>
+    </div>
+  );
+}
+
+export default function CompanionModal({ onClose }) {
+  const role = useCompanionStore((s) => s.role);
+  const pairingCode = useCompanionStore((s) => s.pairingCode);
+  const status = useCompanionStore((s) => s.status);
+  const error = useCompanionStore((s) => s.error);
+  const startSharing = useCompanionStore((s) => s.startSharing);
+  const startFollowing = useCompanionStore((s) => s.startFollowing);
+  const stopCompanion = useCompanionStore((s) => s.stopCompanion);
+  const sessionMode = useSessionStore((s) => s.sessionProfile.sessionMode);
+  const [isClosingModal, setIsClosingModal] = useState(false);
+
+  const handleClose = useCallback(() => {
+    if (isClosingModal) return;
+    setIsClosingModal(true);
+    setTimeout(() => onClose(), 180);
+  }, [onClose, isClosingModal]);
+
+  const handleFollow = useCallback((code) => {
+    startFollowing(code);
+    handleClose();
+  }, [startFollowing, handleClose]);
+
+  // Prevent body scroll
+  useEffect(() => {
+    document.body.style.overflow = 'hidden';
+    return () => { document.body.style.overflow = ''; };
+  }, []);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') handleClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [handleClose]);
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div
+        className="absolute inset-0 bg-black/25"
+        onClick={handleClose}
+        style={{ animation: isClosingModal ? 'companionFadeOut 180ms ease-in forwards' : 'companionBackdropIn 180ms ease-out' }}
+      />
+
+      <div
+        className="relative z-10 w-full max-w-md max-h-[80vh] flex flex-col mx-auto mt-20 px-4"
+        onClick={(e) => e.stopPropagation()}
+        style={{ animation: isClosingModal ? 'companionFadeOut 180ms ease-in forwards' : 'companionFadeIn 180ms ease-out' }}
+      >
+        <div className="overflow-y-auto" style={{ border: '2px solid var(--color-text-primary)', backgroundColor: 'var(--color-bg)' }}>
+          {/* Header */}
+          <div
+            className="relative flex items-center justify-center px-4 sticky top-0 z-10"
+            style={{ backgroundColor: 'var(--color-bg)', color: 'var(--color-text-primary)', borderBottom: '2px solid var(--color-text-primary)', minHeight: '52px' }}
+          >
+            <h2 className="uppercase tracking-widest text-[11px]" style={{ ...monoStyle, marginBottom: 0 }}>
+              Sitter Companion
+            </h2>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="absolute right-3 top-1/2 -translate-y-1/2 w-8 h-8 flex items-center justify-center hover:opacity-70 transition-opacity"
+              style={{ color: 'var(--color-text-tertiary)' }}
+              aria-label="Close"
+            >
+              <span className="text-lg leading-none">×</span>
+            </button>
+          </div>
+
+          <div className="px-5 py-5">
+            {role === 'host' && (
+              <HostPanel pairingCode={pairingCode} status={status} error={error} onStop={stopCompanion} />
+            )}
+            {role === 'follower' && (
+              <div className="space-y-4">
+                <p className="text-sm text-[var(--color-text-secondary)]">
+                  This device is following someone&apos;s session.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => { stopCompanion(); handleClose(); }}
+                  className="w-full py-3 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
+                >
+                  Stop Following
+                </button>
+              </div>
+            )}
+            {!role && (
+              <SetupPanel
+                isSharedSession={SHARED_MODES.includes(sessionMode)}
+                onShare={startSharing}
+                onFollow={handleFollow}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      <style>{`
+        @keyframes companionFadeIn {
+          from { opacity: 0; transform: scale(0.97); }
+          to { opacity: 1; transform: scale(1); }
+        }
+        @keyframes companionFadeOut {
+          from { opacity: 1; transform: scale(1); }
+          to { opacity: 0; transform: scale(0.97); }
+        }
+        @keyframes companionBackdropIn {
+          from { opacity: 0; }
+          to { opacity: 1; }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * SitterGuidancePanel Component
+ * Sitter-facing guidance that adapts to where the person is in their
+ * session: what to expect now, how to respond to what they last reached
+ * the Helper for, their latest check-ins, water, and when to get help.
+ *
+ * Takes a companion snapshot so it works the same on a follower device
+ * (SitterView) and on the primary device (SitterGuideTool).
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { resolveSitterGuidance } from '../../content/sitter/resolveSitterGuidance';
+
+const monoStyle = { fontFamily: 'Azeret Mono, monospace' };
+
+function SectionLabel({ children }) {
+  return (
+    <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)] mb-2" style={monoStyle}>
+      {children}
+    </p>
+  );
+}
+
+function BulletList({ items }) {
+  return (
+    <ul className="space-y-1.5 text-sm text-[var(--color-text-secondary)] leading-relaxed">
+      {items.map((item) => (
+        <li key={item} className="pl-3 relative">
+          <span className="absolute left-0">·</span>
+          {item}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function EscalationSection({ escalation, emergencyContact }) {
+  const { emergency, support, contact } = escalation;
+  return (
+    <section className={`p-4 border ${escalation.isUrgent ? 'border-2 border-[var(--color-text-primary)]' : 'border-[var(--color-border)]'}`}>
+      <SectionLabel>When to get help</SectionLabel>
+      <div className="space-y-4">
+        <div>
+          <p className="text-sm text-[var(--color-text-primary)] mb-1">{emergency.title}</p>
+          <BulletList items={emergency.signs} />
+          <p className="text-xs text-[var(--color-text-tertiary)] mt-2">{emergency.note}</p>
+          <p className="text-sm mt-2">
+            <a href="tel:911" className="underline">Call 911 (US)</a>
+            {' · '}
+            <a href="tel:112" className="underline">Call 112 (EU)</a>
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-[var(--color-text-primary)] mb-1">{support.title}</p>
+          <BulletList items={support.signs} />
+          <p className="text-xs text-[var(--color-text-tertiary)] mt-2">{support.note}</p>
+          <p className="text-sm mt-2">
+            <a href="tel:62347373433" className="underline">Call 62-FIRESIDE</a>
+            {' · '}
+            <a href="sms:62373&body=FIRESIDE" className="underline">Text</a>
+          </p>
+        </div>
+        {emergencyContact?.phone && (
+          <div>
+            <p className="text-sm text-[var(--color-text-primary)] mb-1">{contact.title}</p>
+            <BulletList items={contact.signs} />
+            <p className="text-sm mt-2">
+              <a href={`tel:${emergencyContact.phone}`} className="underline">
+                Call {emergencyContact.name || emergencyContact.phone}
+              </a>
+            </p>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default function SitterGuidancePanel({ snapshot }) {
+  // Re-resolve as time passes so the phase window advances between snapshots
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const guidance = useMemo(() => resolveSitterGuidance(snapshot, now), [snapshot, now]);
+  const { phase, category, checkInNotes, hydration, escalation } = guidance;
+
+  const escalationSection = (
+    <EscalationSection escalation={escalation} emergencyContact={snapshot.emergencyContact} />
+  );
+
+  return (
+    <div className="space-y-6">
+      {escalation.isUrgent && escalationSection}
+
+      <section>
+        <SectionLabel>Right now · {phase.title}</SectionLabel>
+        <p className="text-sm text-[var(--color-text-primary)] leading-relaxed mb-3">{phase.expect}</p>
+        <BulletList items={phase.help} />
+      </section>
+
+      {category && (
+        <section className="p-4 border border-[var(--accent)]">
+          <SectionLabel>They reached for help with · {category.label}</SectionLabel>
+          <p className="text-sm text-[var(--color-text-primary)] leading-relaxed mb-3">{category.summary}</p>
+          <p className="text-xs text-[var(--color-text-tertiary)] mb-1">What helps</p>
+          <BulletList items={category.do} />
+          <p className="text-xs text-[var(--color-text-tertiary)] mt-3 mb-1">What to avoid</p>
+          <BulletList items={category.avoid} />
+        </section>
+      )}
+
+      {checkInNotes.length > 0 && (
+        <section>
+          <SectionLabel>From their check-ins</SectionLabel>
+          <BulletList items={checkInNotes} />
+        </section>
+      )}
+
+      {hydration && (
+        <section>
+          <SectionLabel>Water &amp; electrolytes</SectionLabel>
+          <BulletList
+            items={hydration.emphasizeElectrolytes
+              ? [hydration.electrolytes, hydration.general, hydration.caution]
+              : [hydration.general, hydration.caution, hydration.electrolytes]}
+          />
+        </section>
+      )}
+
+      {!escalation.isUrgent && escalationSection}
+    </div>
+  );
+}
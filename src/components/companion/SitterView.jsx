@@ -0,0 +1,236 @@
+/**
+ * SitterView Component
+ * Replaces the tab views while this device follows someone else's session
+ * in companion mode. Renders only the companion snapshot received from the
+ * primary device (see utils/companionProjection.js) — nothing here reads
+ * this device's own session.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCompanionStore } from '../../stores/useCompanionStore';
+import { COMPANION_STALE_AFTER_MS } from '../../hooks/useCompanionConnection';
+import SitterGuidancePanel from './SitterGuidancePanel';
+
+const monoStyle = { fontFamily: 'Azeret Mono, monospace' };
+
+const SESSION_PHASE_LABELS = {
+  'not-started': 'Not started yet',
+  intake: 'Setting up',
+  'pre-session': 'Preparing',
+  'substance-checklist': 'Getting ready to begin',
+  active: 'In session',
+  paused: 'Paused',
+  completed: 'Session complete',
+};
+
+const PHASE_LABELS = {
+  'come-up': 'Come-Up',
+  peak: 'Peak',
+  integration: 'Synthesis',
+};
+
+const TRANSITION_LABELS = {
+  'come-up-to-peak': 'Moving into the peak',
+  'peak-to-integration': 'Moving into synthesis',
+  'session-closing': 'Closing the session',
+};
+
+const BOOSTER_LABELS = {
+  pending: 'Not yet offered',
+  prompted: 'Deciding now',
+  snoozed: 'Deciding later',
+  taken: 'Taken',
+  skipped: 'Skipped',
+  expired: 'Window passed',
+};
+
+function formatElapsed(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+function Row({ label, children }) {
+  return (
+    <div className="py-3 border-b border-[var(--color-border)] last:border-b-0">
+      <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)] mb-1" style={monoStyle}>
+        {label}
+      </p>
+      <div className="text-[var(--color-text-primary)]">{children}</div>
+    </div>
+  );
+}
+
+function ConnectionNote({ status, error, isStale, lastReceivedAt }) {
+  let text = null;
+  if (status === 'error') text = error || 'Couldn\'t connect.';
+  else if (status === 'ended') text = 'They stopped sharing their session.';
+  else if (!lastReceivedAt) text = 'Waiting for the sharing device… Keep the app open on both devices.';
+  else if (isStale) text = `No updates since ${formatClock(lastReceivedAt)}. Their app may be closed or asleep.`;
+  if (!text) return null;
+
+  return (
+    <p className="text-sm mb-4 p-3 border border-[var(--color-border)] text-[var(--color-text-secondary)]">
+      {text}
+    </p>
+  );
+}
+
+export default function SitterView() {
+  const snapshot = useCompanionStore((state) => state.snapshot);
+  const status = useCompanionStore((state) => state.status);
+  const error = useCompanionStore((state) => state.error);
+  const lastReceivedAt = useCompanionStore((state) => state.lastReceivedAt);
+  const stopCompanion = useCompanionStore((state) => state.stopCompanion);
+
+  // Tick so elapsed times and staleness stay current between snapshots
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const isStale = lastReceivedAt !== null && now - lastReceivedAt > COMPANION_STALE_AFTER_MS;
+  const helper = snapshot?.helper;
+  const contact = snapshot?.emergencyContact;
+
+  return (
+    <div className="max-w-md mx-auto px-6 py-8">
+      <h2
+        className="text-2xl mb-1 text-[var(--color-text-primary)]"
+        style={{ fontFamily: 'DM Serif Text, serif', textTransform: 'none' }}
+      >
+        Sitter View
+      </h2>
+      <p className="text-sm text-[var(--color-text-tertiary)] mb-6">
+        You&apos;re following someone&apos;s session. Their intentions and journal stay private to their device.
+      </p>
+
+      <ConnectionNote status={status} error={error} isStale={isStale} lastReceivedAt={lastReceivedAt} />
+
+      {helper?.isOpen && (
+        <div className="mb-4 p-4 border-2 border-[var(--accent)]">
+          <p className="uppercase tracking-wider text-[10px] mb-1" style={monoStyle}>Reaching for support</p>
+          <p className="text-sm text-[var(--color-text-secondary)]">
+            They have the Helper open right now. Consider checking in gently.
+          </p>
+        </div>
+      )}
+
+      {helper?.lastEmergencyAction && (
+        <div className="mb-4 p-4 border-2 border-[var(--color-text-primary)]">
+          <p className="uppercase tracking-wider text-[10px] mb-1" style={monoStyle}>Emergency action</p>
+          <p className="text-sm text-[var(--color-text-secondary)]">
+            {helper.lastEmergencyAction.action} at {formatClock(helper.lastEmergencyAction.at)}
+          </p>
+        </div>
+      )}
+
+      {snapshot && (
+        <div className="border border-[var(--color-border)] px-4">
+          <Row label="Where they are">
+            <p>
+              {snapshot.sessionPhase === 'active' && snapshot.currentPhase
+                ? PHASE_LABELS[snapshot.currentPhase] || snapshot.currentPhase
+                : SESSION_PHASE_LABELS[snapshot.sessionPhase] || snapshot.sessionPhase}
+            </p>
+            {snapshot.activeTransition && (
+              <p className="text-sm text-[var(--color-text-tertiary)]">{TRANSITION_LABELS[snapshot.activeTransition]}</p>
+            )}
+            {snapshot.phaseStartedAt && snapshot.sessionPhase === 'active' && (
+              <p className="text-sm text-[var(--color-text-tertiary)]">For {formatElapsed(now - snapshot.phaseStartedAt)}</p>
+            )}
+          </Row>
+
+          <Row label="Since ingestion">
+            <p>{snapshot.ingestionTime ? formatElapsed(now - snapshot.ingestionTime) : 'Not taken yet'}</p>
+            {snapshot.ingestionTime && (
+              <p className="text-sm text-[var(--color-text-tertiary)]">Taken at {formatClock(snapshot.ingestionTime)}</p>
+            )}
+          </Row>
+
+          <Row label="Current activity">
+            {snapshot.currentModule ? (
+              <>
+                <p>{snapshot.currentModule.title}</p>
+                {snapshot.currentModule.startedAt && (
+                  <p className="text-sm text-[var(--color-text-tertiary)]">Started {formatClock(snapshot.currentModule.startedAt)}</p>
+                )}
+              </>
+            ) : (
+              <p>{snapshot.inOpenSpace ? 'Open space — resting between activities' : 'None'}</p>
+            )}
+          </Row>
+
+          <Row label="Booster">
+            <p>{BOOSTER_LABELS[snapshot.booster.status] || 'Not planned'}</p>
+            {snapshot.booster.takenAt && (
+              <p className="text-sm text-[var(--color-text-tertiary)]">At {formatClock(snapshot.booster.takenAt)}</p>
+            )}
+          </Row>
+
+          <Row label="Helper">
+            {helper.useCount > 0 ? (
+              <p>
+                Used {helper.useCount === 1 ? 'once' : `${helper.useCount} times`}, last at {formatClock(helper.lastUsedAt)}
+                {helper.lastCategory ? ` (${helper.lastCategory})` : ''}
+              </p>
+            ) : (
+              <p>Not used</p>
+            )}
+          </Row>
+
+          <Row label="Emergency contact">
+            {contact ? (
+              <>
+                <p>{contact.name || 'Unnamed contact'}</p>
+                {contact.phone && (
+                  <p className="text-sm">
+                    <a href={`tel:${contact.phone}`} className="underline">Call {contact.phone}</a>
+                    {' · '}
+                    <a href={`sms:${contact.phone}`} className="underline">Text</a>
+                  </p>
+                )}
+                {contact.notes && (
+                  <p className="text-sm text-[var(--color-text-tertiary)] mt-1 whitespace-pre-wrap">{contact.notes}</p>
+                )}
+              </>
+            ) : (
+              <p>None saved</p>
+            )}
+          </Row>
+        </div>
+      )}
+
+      {lastReceivedAt && (
+        <p className="text-[10px] text-[var(--color-text-tertiary)] mt-3" style={monoStyle}>
+          Last update {formatClock(lastReceivedAt)}
+        </p>
+      )}
+
+      {snapshot && (
+        <div className="mt-8">
+          <h3
+            className="text-xl mb-4 text-[var(--color-text-primary)]"
+            style={{ fontFamily: 'DM Serif Text, serif', textTransform: 'none' }}
+          >
+            How to Support Them
+          </h3>
+          <SitterGuidancePanel snapshot={snapshot} />
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={stopCompanion}
+        className="w-full mt-8 py-2 text-[var(--color-text-tertiary)] text-xs uppercase tracking-wider underline"
+      >
+        Stop following
+      </button>
+    </div>
+  );
+}
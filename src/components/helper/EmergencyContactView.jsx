@@ -47,6 +47,7 @@ export default function EmergencyContactView({
   onEditToggle,
   onContactAction,
   onEmergencyExpandedChange,
+  defaultEmergencyExpanded = false,
 }) {
   const emergencyContactDetails = useSessionStore(
     (state) => state.sessionProfile?.emergencyContactDetails
@@ -67,7 +68,9 @@ export default function EmergencyContactView({
   //   'closing' — EmergencyFlow gets opacity 0 with a 200ms transition; once
   //               the timer fires, state moves to 'closed' and EmergencyFlow
   //               unmounts.
-  const [emergencyState, setEmergencyState] = useState('closed');
+  // `defaultEmergencyExpanded` starts it 'open' when the modal was opened
+  // from a crisis language notice.
+  const [emergencyState, setEmergencyState] = useState(defaultEmergencyExpanded ? 'open' : 'closed');
 
   // Notes textarea ref + focus state. The save button is shown only while
   // the textarea is focused AND has content, and tapping it dismisses the
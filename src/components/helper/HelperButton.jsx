@@ -40,7 +40,7 @@ export default function HelperButton() {
     <div className="h-full flex items-end pb-2">
       <button
         type="button"
-        onClick={openHelper}
+        onClick={() => openHelper()}
         className="w-10 h-10 flex items-center justify-center touch-target transition-opacity duration-200"
         style={{
           opacity: isOpen ? 0 : 1,
@@ -52,11 +52,24 @@ export default function HelperModal() {
   const insertAtActive = useSessionStore((state) => state.insertAtActive);
 
   const closeHelper = useHelperStore((state) => state.closeHelper);
+  // Opened on a specific category (e.g. from the AI assistant) — start in its
+  // triage flow, with the grid one Back away. Read once; the modal remounts
+  // on every open.
+  const [initialCategory] = useState(() => {
+    const { initialCategoryId } = useHelperStore.getState();
+    return helperCategories.find((c) => c.id === initialCategoryId) || null;
+  });
 
+  // Opened from a crisis language notice — start on the emergency contact
+  // view with the emergency options expanded, grid one Back away
+  const [opensOnEmergency] = useState(() => useHelperStore.getState().initialView === 'emergency');
   const [isClosing, setIsClosing] = useState(false);
-  const [currentStep, setCurrentStep] = useState('initial');
-  const [stepHistory, setStepHistory] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [currentStep, setCurrentStep] = useState(() => {
+    if (opensOnEmergency) return 'emergency-contact';
+    return initialCategory ? 'triage' : 'initial';
+  });
+  const [stepHistory, setStepHistory] = useState(initialCategory || opensOnEmergency ? ['initial'] : []);
+  const [selectedCategory, setSelectedCategory] = useState(initialCategory);
   const [isContentVisible, setIsContentVisible] = useState(true);
   // Lifted from EmergencyContactView so the modal can react to edit-mode for
   // its height transition. Reset on back/exit so re-entering the view always
@@ -325,6 +338,7 @@ export default function HelperModal() {
             onEditToggle={setIsEditingContact}
             onContactAction={handleEmergencyAction}
             onEmergencyExpandedChange={setIsContactEmergencyExpanded}
+            defaultEmergencyExpanded={opensOnEmergency}
           />
         );
 
@@ -0,0 +1,369 @@
+/**
+ * InsightsModal Component
+ * Longitudinal view across archived sessions + the current one.
+ * Same panel chrome as SessionHistoryModal; charts are plain divs so they
+ * follow the theme variables. All data comes from computeInsights().
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
+import { collectInsightSessions, computeInsights } from '../../utils/sessionInsights';
+import { RECOMMENDED_SESSION_SPACING_DAYS, MINIMUM_SESSION_SPACING_DAYS } from '../../utils/sessionSpacing';
+
+// Come-up check-in timeline spans this many minutes after ingestion
+const COME_UP_WINDOW_MINUTES = 120;
+const MAX_LIST_ROWS = 8;
+
+const COME_UP_COLORS = {
+  waiting: 'var(--color-text-tertiary)',
+  starting: 'var(--color-text-secondary)',
+  'fully-arrived': 'var(--accent)',
+};
+
+const THEME_LABELS = {
+  values: 'Values Compass',
+  oneWords: 'Peak in One Word',
+  bodySensations: 'Body at the Peak',
+  focuses: 'Focus Shifts',
+  protectors: 'Protectors',
+};
+
+const monoStyle = { fontFamily: 'Azeret Mono, monospace' };
+
+function formatShortDate(timestamp) {
+  return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: '2-digit' }).format(new Date(timestamp));
+}
+
+export default function InsightsModal({ onClose }) {
+  const archives = useSessionHistoryStore((s) => s.sessions);
+  const [isClosingModal, setIsClosingModal] = useState(false);
+
+  const insights = useMemo(
+    () => computeInsights(collectInsightSessions()),
+    // Recompute if archives change while open (e.g. a session was deleted)
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- collectInsightSessions reads stores directly
+    [archives]
+  );
+
+  const handleClose = useCallback(() => {
+    if (isClosingModal) return;
+    setIsClosingModal(true);
+    setTimeout(() => onClose(), 180);
+  }, [onClose, isClosingModal]);
+
+  // Prevent body scroll
+  useEffect(() => {
+    document.body.style.overflow = 'hidden';
+    return () => { document.body.style.overflow = ''; };
+  }, []);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') handleClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [handleClose]);
+
+  const hasEnoughData = insights.sessionCount >= 2;
+
+  return (
+    <div className="fixed inset-0 z-50">
+      <div
+        className="absolute inset-0 bg-black/25"
+        onClick={handleClose}
+        style={{ animation: isClosingModal ? 'insightsFadeOut 180ms ease-in forwards' : 'insightsBackdropIn 180ms ease-out' }}
+      />
+
+      <div
+        className="relative z-10 w-full max-w-md max-h-[80vh] flex flex-col mx-auto mt-20 px-4"
+        onClick={(e) => e.stopPropagation()}
+        style={{ animation: isClosingModal ? 'insightsFadeOut 180ms ease-in forwards' : 'insightsFadeIn 180ms ease-out' }}
+      >
+        <div className="overflow-y-auto" style={{ border: '2px solid var(--color-text-primary)', backgroundColor: 'var(--color-bg)' }}>
+          {/* Header */}
+          <div
+            className="relative flex items-center justify-center px-4 sticky top-0 z-10"
+            style={{ backgroundColor: 'var(--color-bg)', color: 'var(--color-text-primary)', borderBottom: '2px solid var(--color-text-primary)', minHeight: '52px' }}
+          >
+            <h2 className="uppercase tracking-widest text-[11px]" style={{ ...monoStyle, marginBottom: 0 }}>
+              Insights
+            </h2>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="absolute right-3 top-1/2 -translate-y-1/2 w-8 h-8 flex items-center justify-center hover:opacity-70 transition-opacity"
+              style={{ color: 'var(--color-text-tertiary)' }}
+              aria-label="Close"
+            >
+              <span className="text-lg leading-none">×</span>
+            </button>
+          </div>
+
+          {!hasEnoughData ? (
+            <div className="px-6 py-12 text-center">
+              <p className="text-sm" style={{ color: 'var(--color-text-tertiary)' }}>
+                Insights appear once you have at least two sessions.
+              </p>
+            </div>
+          ) : (
+            <div className="px-5 py-5 space-y-7">
+              <SummaryRow insights={insights} />
+              <DosageChart doses={insights.doses} />
+              <SpacingChart intervals={insights.intervals} />
+              <ComeUpChart sessions={insights.comeUp} />
+              <CountList
+                title="Activities"
+                rows={insights.modules.map((m) => ({ label: m.title, value: m.completed, secondary: m.skipped }))}
+                legend="completed / skipped"
+              />
+              <CountList
+                title="Helper Categories"
+                rows={insights.helperCategories.map((c) => ({ label: c.label, value: c.count }))}
+              />
+              <Themes themes={insights.themes} />
+              <p className="text-[10px] leading-relaxed text-[var(--color-text-tertiary)]">
+                Computed on this device from your saved sessions. Nothing is sent anywhere.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <style>{`
+        @keyframes insightsFadeIn {
+          from { opacity: 0; transform: scale(0.97); }
+          to { opacity: 1; transform: scale(1); }
+        }
+        @keyframes insightsFadeOut {
+          from { opacity: 1; transform: scale(1); }
+          to { opacity: 0; transform: scale(0.97); }
+        }
+        @keyframes insightsBackdropIn {
+          from { opacity: 0; }
+          to { opacity: 1; }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+function SectionTitle({ children }) {
+  return (
+    <p className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] mb-3" style={monoStyle}>
+      {children}
+    </p>
+  );
+}
+
+function SummaryRow({ insights }) {
+  const { spacing, sessionCount } = insights;
+  const stats = [
+    { label: 'Sessions', value: sessionCount },
+    { label: 'Since Last', value: spacing.daysSinceLast !== null ? `${spacing.daysSinceLast}d` : '—' },
+    { label: 'Avg Gap', value: spacing.averageDays !== null ? `${spacing.averageDays}d` : '—' },
+  ];
+  return (
+    <div className="grid grid-cols-3 gap-3">
+      {stats.map((stat) => (
+        <div key={stat.label}>
+          <p className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] mb-0.5" style={monoStyle}>
+            {stat.label}
+          </p>
+          <p className="text-lg text-[var(--color-text-primary)]" style={monoStyle}>{stat.value}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DosageChart({ doses }) {
+  const withDose = doses.filter((d) => d.initialMg);
+  if (withDose.length === 0) return null;
+  const maxMg = Math.max(...withDose.map((d) => d.initialMg + (d.boosterMg || 0)));
+
+  return (
+    <div>
+      <SectionTitle>Dose &amp; Booster</SectionTitle>
+      <div className="flex items-end gap-2 h-28">
+        {withDose.map((d) => {
+          const total = d.initialMg + (d.boosterMg || 0);
+          return (
+            <div key={d.sessionId} className="flex-1 flex flex-col items-center justify-end h-full min-w-0">
+              <span className="text-[9px] text-[var(--color-text-secondary)] mb-1" style={monoStyle}>{total}</span>
+              <div className="w-full max-w-[28px] flex flex-col justify-end" style={{ height: `${(total / maxMg) * 100}%` }}>
+                {d.boosterMg && (
+                  <div style={{ flex: d.boosterMg, backgroundColor: 'var(--accent)' }} title={`Booster ${d.boosterMg}mg`} />
+                )}
+                <div style={{ flex: d.initialMg, backgroundColor: 'var(--color-text-primary)' }} title={`Initial ${d.initialMg}mg`} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-2 mt-1">
+        {withDose.map((d) => (
+          <span key={d.sessionId} className="flex-1 text-center text-[8px] text-[var(--color-text-tertiary)] truncate" style={monoStyle}>
+            {formatShortDate(d.startedAt)}
+          </span>
+        ))}
+      </div>
+      <p className="mt-2 text-[10px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+        mg · <span className="text-[var(--accent)]">■</span> booster
+      </p>
+    </div>
+  );
+}
+
+function SpacingChart({ intervals }) {
+  if (intervals.length === 0) return null;
+  const scaleMax = Math.max(RECOMMENDED_SESSION_SPACING_DAYS * 1.5, ...intervals.map((i) => i.days));
+  const markerLeft = (days) => `${(days / scaleMax) * 100}%`;
+
+  return (
+    <div>
+      <SectionTitle>Days Between Sessions</SectionTitle>
+      <div className="space-y-2">
+        {intervals.map((interval) => {
+          const tooSoon = interval.days < MINIMUM_SESSION_SPACING_DAYS;
+          const short = interval.days < RECOMMENDED_SESSION_SPACING_DAYS;
+          return (
+            <div key={interval.toSessionId} className="flex items-center gap-2">
+              <span className="w-16 flex-shrink-0 text-[9px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+                {formatShortDate(interval.startedAt)}
+              </span>
+              <div className="relative flex-1 h-3">
+                <div
+                  className="absolute inset-y-0 left-0"
+                  style={{
+                    width: markerLeft(Math.min(interval.days, scaleMax)),
+                    backgroundColor: short ? 'var(--accent)' : 'var(--color-text-primary)',
+                    opacity: tooSoon || !short ? 1 : 0.6,
+                  }}
+                />
+                <div className="absolute inset-y-[-2px] w-px bg-[var(--color-text-tertiary)]" style={{ left: markerLeft(MINIMUM_SESSION_SPACING_DAYS) }} />
+                <div className="absolute inset-y-[-2px] w-px bg-[var(--color-text-tertiary)]" style={{ left: markerLeft(RECOMMENDED_SESSION_SPACING_DAYS) }} />
+              </div>
+              <span className="w-10 flex-shrink-0 text-right text-[10px] text-[var(--color-text-secondary)]" style={monoStyle}>
+                {interval.days}d
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <p className="mt-2 text-[10px] leading-relaxed text-[var(--color-text-tertiary)]">
+        Lines mark {MINIMUM_SESSION_SPACING_DAYS} and {RECOMMENDED_SESSION_SPACING_DAYS} days. Waiting at least 3 months
+        between sessions gives serotonin time to replenish and keeps the experience effective.
+      </p>
+    </div>
+  );
+}
+
+function ComeUpChart({ sessions }) {
+  if (sessions.length === 0) return null;
+
+  return (
+    <div>
+      <SectionTitle>Come-Up Check-Ins</SectionTitle>
+      <div className="space-y-2">
+        {sessions.map((s) => (
+          <div key={s.sessionId} className="flex items-center gap-2">
+            <span className="w-16 flex-shrink-0 text-[9px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+              {formatShortDate(s.startedAt)}
+            </span>
+            <div className="relative flex-1 h-3">
+              <div className="absolute left-0 right-0 top-1/2 h-px bg-[var(--color-border)]" />
+              {s.responses.map((r, i) => (
+                <span
+                  key={i}
+                  className="absolute top-1/2 w-2.5 h-2.5 rounded-full -translate-x-1/2 -translate-y-1/2"
+                  style={{
+                    left: `${(Math.min(r.minutes, COME_UP_WINDOW_MINUTES) / COME_UP_WINDOW_MINUTES) * 100}%`,
+                    backgroundColor: COME_UP_COLORS[r.response] || 'var(--color-text-tertiary)',
+                  }}
+                  title={`${r.minutes} min`}
+                />
+              ))}
+            </div>
+            <span className="w-10 flex-shrink-0 text-right text-[10px] text-[var(--color-text-secondary)]" style={monoStyle}>
+              {s.arrivedAtMinutes !== null ? `${s.arrivedAtMinutes}m` : '—'}
+            </span>
+          </div>
+        ))}
+      </div>
+      <p className="mt-2 text-[10px] text-[var(--color-text-tertiary)]" style={monoStyle}>
+        0–{COME_UP_WINDOW_MINUTES} min · <span className="text-[var(--accent)]">●</span> fully arrived
+      </p>
+    </div>
+  );
+}
+
+function CountList({ title, rows, legend }) {
+  if (rows.length === 0) return null;
+  const visible = rows.slice(0, MAX_LIST_ROWS);
+  const max = Math.max(...visible.map((r) => r.value + (r.secondary || 0)));
+
+  return (
+    <div>
+      <SectionTitle>{title}</SectionTitle>
+      <div className="space-y-2">
+        {visible.map((row) => (
+          <div key={row.label}>
+            <div className="flex justify-between text-xs text-[var(--color-text-primary)] mb-0.5">
+              <span className="truncate">{row.label}</span>
+              <span className="flex-shrink-0 ml-2 text-[10px] text-[var(--color-text-secondary)]" style={monoStyle}>
+                {row.value}{row.secondary !== undefined ? ` / ${row.secondary}` : ''}
+              </span>
+            </div>
+            <div className="flex h-1.5">
+              <div style={{ width: `${(row.value / max) * 100}%`, backgroundColor: 'var(--color-text-primary)' }} />
+              {row.secondary > 0 && (
+                <div style={{ width: `${(row.secondary / max) * 100}%`, backgroundColor: 'var(--color-text-tertiary)', opacity: 0.5 }} />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {legend && (
+        <p className="mt-2 text-[10px] text-[var(--color-text-tertiary)]" style={monoStyle}>{legend}</p>
+      )}
+    </div>
+  );
+}
+
+function Themes({ themes }) {
+  const groups = Object.entries(THEME_LABELS)
+    .map(([key, label]) => ({ key, label, items: themes[key].slice(0, MAX_LIST_ROWS) }))
+    .filter((group) => group.items.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <div>
+      <SectionTitle>Recurring Themes</SectionTitle>
+      <div className="space-y-3">
+        {groups.map((group) => (
+          <div key={group.key}>
+            <p className="text-[10px] text-[var(--color-text-secondary)] mb-1" style={monoStyle}>{group.label}</p>
+            <div className="flex flex-wrap gap-1.5">
+              {group.items.map((item) => (
+                <span
+                  key={item.value}
+                  className="px-2 py-0.5 text-xs border"
+                  style={{
+                    borderColor: item.sessions > 1 ? 'var(--accent)' : 'var(--color-border)',
+                    color: 'var(--color-text-primary)',
+                  }}
+                >
+                  {item.value}
+                  {item.sessions > 1 && (
+                    <span className="ml-1 text-[10px] text-[var(--accent)]" style={monoStyle}>×{item.sessions}</span>
+                  )}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,8 @@ import { useState, useEffect, useCallback, Fragment } from 'react';
 import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
 import { useSessionStore } from '../../stores/useSessionStore';
 import { useJournalStore } from '../../stores/useJournalStore';
+import { printSessionReport } from '../../utils/sessionReport';
+import IntegrationSummaryPanel from '../ai/IntegrationSummaryPanel';
 
 /**
  * Format a timestamp to a readable date string
@@ -121,6 +123,8 @@ export default function SessionHistoryModal({ onClose, onLoad }) {
   const [closingId, setClosingId] = useState(null);
   const [confirmSessionId, setConfirmSessionId] = useState(null);
   const [isClosingModal, setIsClosingModal] = useState(false);
+  const [printingId, setPrintingId] = useState(null);
+  const [printError, setPrintError] = useState(null);
 
   const hasCurrentData = sessionPhase !== 'not-started' || journalEntries.length > 0;
 
@@ -193,6 +197,18 @@ export default function SessionHistoryModal({ onClose, onLoad }) {
     onLoad(id);
   };
 
+  const handlePrint = async (session) => {
+    setPrintingId(session.sessionId);
+    setPrintError(null);
+    try {
+      await printSessionReport({ archive: session });
+    } catch (err) {
+      console.error('Failed to print session report:', err);
+      setPrintError({ sessionId: session.sessionId, message: err.message || 'Could not print this session.' });
+    }
+    setPrintingId(null);
+  };
+
   // Sort sessions newest first
   const sortedSessions = [...sessions].sort((a, b) => b.archivedAt - a.archivedAt);
 
@@ -331,8 +347,29 @@ export default function SessionHistoryModal({ onClose, onLoad }) {
                             metadata={metadata}
                           />
 
-                          {/* Load button */}
-                          <div className="pt-2">
+                          {isCompleted && (
+                            <div className="pt-2">
+                              <IntegrationSummaryPanel archive={session} />
+                            </div>
+                          )}
+
+                          {/* Print + Load buttons */}
+                          <div className="pt-2 space-y-2">
+                            <button
+                              type="button"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handlePrint(session);
+                              }}
+                              disabled={printingId === session.sessionId}
+                              className="w-full py-3 uppercase tracking-wider text-xs hover:opacity-70 transition-opacity disabled:opacity-50"
+                              style={{ border: '1px solid var(--color-text-primary)', color: 'var(--color-text-primary)' }}
+                            >
+                              {printingId === session.sessionId ? 'Preparing Report...' : 'Print Report'}
+                            </button>
+                            {printError?.sessionId === session.sessionId && (
+                              <p className="text-[10px] text-[var(--accent)]">{printError.message}</p>
+                            )}
                             <button
                               type="button"
                               onClick={(e) => {
@@ -6,8 +6,11 @@
  * screen. All pages share a single fade transition system.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useSessionStore } from '../../stores/useSessionStore';
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
+import { getLastRecordedIngestion, assessSessionSpacing, shouldWarnAboutSpacing } from '../../utils/sessionSpacing';
+import { getSpacingMessage, getSpacingReasons, getSpacingSources } from '../../content/intake/sessionSpacing';
 import SafetyWarning from './SafetyWarning';
 import ModuleProgressBar from '../active/capabilities/ModuleProgressBar';
 import LeafDrawV2 from '../active/capabilities/animations/LeafDrawV2';
@@ -62,25 +65,21 @@ const HEALTH_WARNINGS = {
     message: 'The use of any of these medications with MDMA is not advised. Please see the safety information in the toolbar for more info.',
     continueLabel: 'Continue',
   },
-  lastMDMAUseRecent: {
-    title: 'Important Information',
-    message: 'Using MDMA more frequently than every 3 months may reduce its effectiveness due to tolerance. Some research also suggests potential neurotoxicity concerns with frequent use. Consider whether waiting longer might serve you better.',
-    continueLabel: 'Continue',
-  },
-  lastMDMAUseVeryRecent: {
-    title: 'Important Safety Information',
-    message: 'Using MDMA less than a month after your last use significantly increases health risks and greatly reduces the therapeutic benefit. Serotonin levels need time to replenish. We strongly recommend waiting at least 3 months between uses.',
-    continueLabel: 'I understand the risks',
-  },
 };
 
+// lastMDMAUse warnings are built from the answer plus recorded session
+// history, so they live in content/intake/sessionSpacing.js instead.
+const SPACING_WARNING = 'sessionSpacing';
+
 export default function IntakeFlow({ onComplete }) {
   const {
+    sessionId,
     intake,
     sessionProfile,
     updateSessionProfile,
     setIntakeQuestionIndex,
   } = useSessionStore();
+  const archivedSessions = useSessionHistoryStore((state) => state.sessions);
 
   // Use store for question index persistence. Clamp to valid range so
   // that persisted values from older versions (which may have had fewer
@@ -110,6 +109,24 @@ export default function IntakeFlow({ onComplete }) {
   const currentQuestion = allQuestions[currentQuestionIndex];
   const currentValue = sessionProfile[currentQuestion?.field];
 
+  // Session spacing — reconcile the lastMDMAUse answer with ingestion
+  // times recorded in archived sessions on this device
+  const lastIngestionAt = useMemo(
+    () => getLastRecordedIngestion({ excludeSessionId: sessionId }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reads the history store directly; archivedSessions is only the change signal
+    [archivedSessions, sessionId]
+  );
+  const spacing = useMemo(() => {
+    const assessment = assessSessionSpacing({ lastMDMAUse: sessionProfile.lastMDMAUse, lastIngestionAt });
+    if (!shouldWarnAboutSpacing(assessment)) return null;
+    return {
+      ...getSpacingMessage(assessment),
+      level: assessment.level,
+      reasons: getSpacingReasons(assessment, sessionProfile.lastMDMAUse, lastIngestionAt),
+      sources: getSpacingSources(),
+    };
+  }, [sessionProfile.lastMDMAUse, lastIngestionAt]);
+
   // Reset pressed state whenever the page changes
   useEffect(() => {
     setContinuePressed(false);
@@ -141,13 +158,12 @@ export default function IntakeFlow({ onComplete }) {
       setActiveWarning('contraindicatedMedications');
       return;
     }
-    if (currentQuestion.field === 'lastMDMAUse' && value === '1-3-months') {
-      setActiveWarning('lastMDMAUseRecent');
-      return;
-    }
-    if (currentQuestion.field === 'lastMDMAUse' && value === 'less-than-1-month') {
-      setActiveWarning('lastMDMAUseVeryRecent');
-      return;
+    if (currentQuestion.field === 'lastMDMAUse') {
+      const assessment = assessSessionSpacing({ lastMDMAUse: value, lastIngestionAt });
+      if (shouldWarnAboutSpacing(assessment)) {
+        setActiveWarning(SPACING_WARNING);
+        return;
+      }
     }
 
     // Auto-advance for single-select — the 300ms pre-delay is already
@@ -157,6 +173,8 @@ export default function IntakeFlow({ onComplete }) {
     }
   };
 
+  const activeWarningContent = activeWarning === SPACING_WARNING ? spacing : HEALTH_WARNINGS[activeWarning];
+
   // Handle warning acknowledgment — dismiss the modal, then advance
   // using the same goToNextQuestion timing as every other page.
   const handleWarningAcknowledge = () => {
@@ -314,10 +332,11 @@ export default function IntakeFlow({ onComplete }) {
               <LeafDrawV2 />
             </div>
 
-            {(intake.showSafetyWarnings || intake.showMedicationWarning) && (
+            {(intake.showSafetyWarnings || intake.showMedicationWarning || spacing) && (
               <SafetyWarning
                 showMedicationWarning={intake.showMedicationWarning}
                 showSafetyWarnings={intake.showSafetyWarnings}
+                spacing={spacing}
               />
             )}
 
@@ -474,9 +493,9 @@ export default function IntakeFlow({ onComplete }) {
         </div>
 
       {/* Health Warning Modal */}
-      {activeWarning && HEALTH_WARNINGS[activeWarning] && (
+      {activeWarningContent && (
         <div className="fixed inset-0 bg-black/25 flex items-center justify-center z-50 px-6">
-          <div className="bg-[var(--color-bg)] border border-[var(--color-border)] w-full max-w-sm p-6">
+          <div className="bg-[var(--color-bg)] border border-[var(--color-border)] w-full max-w-sm p-6 max-h-[85vh] overflow-y-auto">
             <h3
               className="text-lg mb-4"
               style={{
@@ -485,24 +504,47 @@ export default function IntakeFlow({ onComplete }) {
                 color: 'var(--color-text-primary)',
               }}
             >
-              {HEALTH_WARNINGS[activeWarning].title}
+              {activeWarningContent.title}
             </h3>
             <p className="text-[var(--color-text-secondary)] text-sm leading-relaxed mb-6">
-              {HEALTH_WARNINGS[activeWarning].message}
+              {activeWarningContent.message}
             </p>
+            {activeWarningContent.reasons?.length > 0 && (
+              <ul className="text-[var(--color-text-secondary)] text-sm leading-relaxed mb-6 space-y-1">
+                {activeWarningContent.reasons.map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            )}
+            {activeWarningContent.sources?.length > 0 && (
+              <div className="mb-6">
+                <p className="uppercase tracking-wider text-[10px] text-[var(--color-text-tertiary)] mb-2">
+                  Guidance informed by
+                </p>
+                <ul className="space-y-2">
+                  {activeWarningContent.sources.map((source) => (
+                    <li key={source.name} className="text-xs text-[var(--color-text-tertiary)] leading-relaxed">
+                      <span className="text-[var(--color-text-secondary)]">{source.name}</span> — {source.description}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <div className="space-y-3">
               <button
                 type="button"
                 onClick={handleWarningAcknowledge}
                 className="w-full py-3 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
               >
-                {HEALTH_WARNINGS[activeWarning].continueLabel}
+                {activeWarningContent.continueLabel}
               </button>
               <button
                 type="button"
                 onClick={() => {
-                  // Reset the answer to "no" and close warning
-                  updateSessionProfile(currentQuestion.field, 'no');
+                  // Reset to "no" when the question has that option,
+                  // otherwise clear the answer so it can be re-selected
+                  const hasNo = currentQuestion.options?.some((o) => o.value === 'no');
+                  updateSessionProfile(currentQuestion.field, hasNo ? 'no' : null);
                   setActiveWarning(null);
                 }}
                 className="w-full py-2 text-[var(--color-text-tertiary)] text-xs underline"
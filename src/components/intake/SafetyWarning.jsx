@@ -1,9 +1,11 @@
 /**
  * SafetyWarning Component
- * Displays safety warnings based on intake responses
+ * Displays safety warnings based on intake responses. `spacing` is the
+ * resolved session-spacing warning from IntakeFlow (null when sessions are
+ * far enough apart).
  */
 
-export default function SafetyWarning({ showMedicationWarning, showSafetyWarnings }) {
+export default function SafetyWarning({ showMedicationWarning, showSafetyWarnings, spacing = null }) {
   return (
     <div className="space-y-4 p-4 border border-[var(--color-border)]">
       <p className="uppercase tracking-wider text-[var(--color-text-tertiary)]">
@@ -21,6 +23,20 @@ export default function SafetyWarning({ showMedicationWarning, showSafetyWarning
         </div>
       )}
 
+      {spacing && (
+        <div className="text-[var(--color-text-secondary)] space-y-2">
+          <p>{spacing.message}</p>
+          {spacing.reasons.map((reason) => (
+            <p key={reason} className="text-[var(--color-text-tertiary)]">{reason}</p>
+          ))}
+          {spacing.sources.length > 0 && (
+            <p className="text-[var(--color-text-tertiary)] text-xs">
+              Guidance informed by {spacing.sources.map((source) => source.name).join(', ')}. See Sources in the toolbar.
+            </p>
+          )}
+        </div>
+      )}
+
       {showMedicationWarning && (
         <div className="text-[var(--color-text-secondary)] space-y-2">
           <p>
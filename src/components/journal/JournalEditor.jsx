@@ -9,11 +9,26 @@
  * - True edge-to-edge content display (flush with header/footer)
  * - Virtual scroll space below content allows last line to scroll to center
  * - Floating back button with accent styling
+ * - Crisis language typed into the entry brings up a CrisisNotice
+ * - Saved entries show their user tags (JournalTagEditor) below the metadata
+ * - Edited entries get a History link to earlier versions (JournalRevisionHistory)
+ * - A voice memo can be recorded instead of (or alongside) typing; it's
+ *   played back above the text
+ * - Attached images (generated PNGs, sketches) open full screen in ImageViewerModal
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useJournalStore } from '../../stores/useJournalStore';
 import { getImage } from '../../utils/imageStorage';
+import { saveAudioMemo, deleteAudioMemo } from '../../utils/audioMemoStorage';
+import { detectCrisisLanguage } from '../../utils/crisisDetection';
+import CrisisNotice from '../shared/CrisisNotice';
+import JournalTagEditor from './JournalTagEditor';
+import JournalRevisionHistory from './JournalRevisionHistory';
+import ConfirmModal from './ConfirmModal';
+import VoiceMemoPlayer from '../shared/VoiceMemoPlayer';
+import VoiceMemoRecorder from '../shared/VoiceMemoRecorder';
+import ImageViewerModal, { FADE_MS as VIEWER_FADE_MS } from '../active/capabilities/ImageViewerModal';
 
 // Debounce helper
 const useDebounce = (callback, delay) => {
@@ -82,19 +97,30 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [isContentReady, setIsContentReady] = useState(false);
 
+  const [crisisCategory, setCrisisCategory] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [confirmDeleteMemo, setConfirmDeleteMemo] = useState(false);
+
   const [imageUrl, setImageUrl] = useState(null);
+  const [imageBlob, setImageBlob] = useState(null);
   const imageUrlRef = useRef(null);
+  const [viewerState, setViewerState] = useState({ open: false, closing: false });
 
   const textareaRef = useRef(null);
   const editorAreaRef = useRef(null);
   const mirrorRef = useRef(null);
   const isNewEntryRef = useRef(!entryId);
   const createdEntryIdRef = useRef(null);
+  // Crisis categories not to raise again: whatever the entry already said
+  // when it was opened, plus anything the user dismissed
+  const quietCrisisCategoriesRef = useRef([]);
 
   const settings = useJournalStore((state) => state.settings);
   const getEntryById = useJournalStore((state) => state.getEntryById);
   const addEntry = useJournalStore((state) => state.addEntry);
   const updateEntry = useJournalStore((state) => state.updateEntry);
+  const setNavigation = useJournalStore((state) => state.setNavigation);
+  const setEntryAudio = useJournalStore((state) => state.setEntryAudio);
 
   // Subscribe to entries for metadata display only (doesn't trigger content reload)
   const entries = useJournalStore((state) => state.entries);
@@ -119,6 +145,9 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
     }
     setHasUnsavedChanges(false);
     setIsContentReady(false);
+    const loaded = entryId ? getEntryById(entryId)?.content : null;
+    quietCrisisCategoriesRef.current = (loaded && detectCrisisLanguage(loaded)?.categories) || [];
+    setCrisisCategory(null);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [entryId]);
 
@@ -129,6 +158,7 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
       imageUrlRef.current = null;
     }
     setImageUrl(null);
+    setImageBlob(null);
 
     const entry = entryId ? getEntryById(entryId) : null;
     if (!entry?.hasImage) return;
@@ -140,6 +170,7 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
           const url = URL.createObjectURL(blob);
           imageUrlRef.current = url;
           setImageUrl(url);
+          setImageBlob(blob);
         }
       })
       .catch(() => {});
@@ -213,6 +244,68 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
   // Debounced save (500ms)
   const debouncedSave = useDebounce(saveContent, 500);
 
+  // Crisis language check, run once typing pauses
+  const checkCrisisLanguage = useCallback((newContent) => {
+    const result = detectCrisisLanguage(newContent);
+    const category = result?.categories.find((id) => !quietCrisisCategoriesRef.current.includes(id)) ?? null;
+    setCrisisCategory(category);
+  }, []);
+  const debouncedCrisisCheck = useDebounce(checkCrisisLanguage, 800);
+
+  // Save what's typed before comparing versions, so the diff is current
+  const handleOpenHistory = () => {
+    if (hasUnsavedChanges) saveContent(content);
+    setShowHistory(true);
+  };
+
+  // The store now holds the restored text; reload it into the textarea
+  const handleRevisionRestored = () => {
+    setContent(getEntryById(entryId)?.content ?? '');
+    setShowHistory(false);
+  };
+
+  // Open the copy (JournalView remounts the editor for the new id)
+  const handleRevisionForked = (newEntry) => {
+    setShowHistory(false);
+    setNavigation('editor', newEntry.id);
+  };
+
+  // Attach a recording to this entry. A new note is created first (titled
+  // "Voice memo" if nothing's typed yet) and then opened as a saved entry.
+  const handleVoiceMemo = async ({ blob, duration, type }) => {
+    let id = entryId || createdEntryIdRef.current;
+    if (!id) {
+      id = addEntry({ content: content.trim() ? content : 'Voice memo', source: 'manual' }).id;
+      createdEntryIdRef.current = id;
+    } else if (hasUnsavedChanges) {
+      saveContent(content);
+    }
+    try {
+      await saveAudioMemo(id, blob);
+    } catch (err) {
+      console.warn('Failed to save voice memo:', err);
+      return;
+    }
+    setEntryAudio(id, { duration, type });
+    if (id !== entryId) setNavigation('editor', id);
+  };
+
+  const handleDeleteVoiceMemo = () => {
+    deleteAudioMemo(entryId).catch(() => {});
+    setEntryAudio(entryId, null);
+    setConfirmDeleteMemo(false);
+  };
+
+  const handleCloseViewer = () => {
+    setViewerState({ open: true, closing: true });
+    setTimeout(() => setViewerState({ open: false, closing: false }), VIEWER_FADE_MS);
+  };
+
+  const handleDismissCrisis = () => {
+    quietCrisisCategoriesRef.current = [...quietCrisisCategoriesRef.current, crisisCategory];
+    setCrisisCategory(null);
+  };
+
   // Auto-resize textarea to fit content
   const autoResizeTextarea = useCallback(() => {
     const textarea = textareaRef.current;
@@ -230,6 +323,7 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
     setContent(newContent);
     setHasUnsavedChanges(true);
     debouncedSave(newContent);
+    debouncedCrisisCheck(newContent);
 
     // Auto-resize and maybe auto-scroll
     requestAnimationFrame(() => {
@@ -378,10 +472,20 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
                       <span className="uppercase tracking-wider"> (edited)</span>
                     )}
                     <span className="block">{formatDate(entry.updatedAt)}</span>
+                    {entry.revisions?.length > 0 && (
+                      <button onClick={handleOpenHistory} className="uppercase tracking-wider underline hover:opacity-70">
+                        History
+                      </button>
+                    )}
                   </>
                 ) : (
                   <>
                     <span>{formatDate(entry.updatedAt)}</span>
+                    {entry.revisions?.length > 0 && (
+                      <button onClick={handleOpenHistory} className="block ml-auto uppercase tracking-wider underline hover:opacity-70">
+                        History
+                      </button>
+                    )}
                     {/* Extra spacing for normal notes to clear back button */}
                     <div style={{ height: '2rem' }} />
                   </>
@@ -393,14 +497,39 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
             <div style={{ height: '3.5rem' }} />
           )}
 
-          {/* Image attachment (if present) */}
+          {entry && <JournalTagEditor entry={entry} />}
+
+          {/* Voice memo: player with delete, or the recorder */}
+          <div className="px-4 pt-2">
+            {entry?.audio ? (
+              <div className="flex items-center justify-between gap-2">
+                <VoiceMemoPlayer entryId={entry.id} duration={entry.audio.duration} />
+                <button
+                  onClick={() => setConfirmDeleteMemo(true)}
+                  className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70"
+                >
+                  Delete memo
+                </button>
+              </div>
+            ) : (
+              <VoiceMemoRecorder onRecorded={handleVoiceMemo} label={content.trim() ? 'Add voice memo' : 'Speak instead'} />
+            )}
+          </div>
+
+          {/* Image attachment (if present) - tap to view full screen */}
           {imageUrl && (
             <div className="px-4 pt-2 pb-1">
-              <img
-                src={imageUrl}
-                alt="Matrix"
-                className="w-full rounded-sm border border-[var(--color-border)]"
-              />
+              <button
+                onClick={() => setViewerState({ open: true, closing: false })}
+                className="block w-full"
+                aria-label="View image"
+              >
+                <img
+                  src={imageUrl}
+                  alt={entry?.moduleTitle || 'Journal image'}
+                  className="w-full rounded-sm border border-[var(--color-border)]"
+                />
+              </button>
             </div>
           )}
 
@@ -448,6 +577,42 @@ export default function JournalEditor({ entryId, onBack, isVisible = true }) {
         </div>
       </div>
 
+      {/* Crisis notice - floating above the save indicator */}
+      {crisisCategory && (
+        <div className="absolute bottom-6 left-4 right-4 z-20">
+          <CrisisNotice category={crisisCategory} onDismiss={handleDismissCrisis} />
+        </div>
+      )}
+
+      {confirmDeleteMemo && (
+        <ConfirmModal
+          title="Delete Voice Memo"
+          message="The recording will be removed from this entry. Its text stays."
+          confirmLabel="Delete"
+          onConfirm={handleDeleteVoiceMemo}
+          onCancel={() => setConfirmDeleteMemo(false)}
+        />
+      )}
+
+      <ImageViewerModal
+        isOpen={viewerState.open}
+        closing={viewerState.closing}
+        onClose={handleCloseViewer}
+        imageUrl={imageUrl}
+        imageBlob={imageBlob}
+        imageAlt={entry?.moduleTitle || 'Journal image'}
+        imageName={(entry?.moduleTitle || entry?.title || 'journal-image').toLowerCase().replace(/[^a-z0-9]+/g, '-')}
+      />
+
+      {showHistory && entry && (
+        <JournalRevisionHistory
+          entry={entry}
+          onRestored={handleRevisionRestored}
+          onForked={handleRevisionForked}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Save indicator - floating at bottom */}
       {hasUnsavedChanges && (
         <div className="absolute bottom-0 left-0 right-0 text-center text-[var(--color-text-tertiary)] text-xs pointer-events-none">
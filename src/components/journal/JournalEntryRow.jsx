@@ -3,8 +3,11 @@
  * Individual entry row in the journal list
  * Compact design: Title on first line, date + preview on second line
  * In delete mode: clicking selects for deletion with accent highlight
+ * Entries with a voice memo get an inline player under the row
  */
 
+import VoiceMemoPlayer from '../shared/VoiceMemoPlayer';
+
 export default function JournalEntryRow({ entry, onSelect, isDeleteMode = false, isSelected = false }) {
   // Format date for display
   const formatDate = (timestamp) => {
@@ -57,7 +60,7 @@ export default function JournalEntryRow({ entry, onSelect, isDeleteMode = false,
     return `${baseClass} hover:bg-[var(--color-bg-secondary)]`;
   };
 
-  return (
+  const row = (
     <button
       onClick={onSelect}
       className={getButtonClass()}
@@ -84,4 +87,13 @@ export default function JournalEntryRow({ entry, onSelect, isDeleteMode = false,
       </p>
     </button>
   );
+
+  if (!entry.audio || isDeleteMode) return row;
+
+  return (
+    <div>
+      {row}
+      <VoiceMemoPlayer entryId={entry.id} duration={entry.audio.duration} className="pb-1" />
+    </div>
+  );
 }
@@ -4,12 +4,18 @@
  * Uses corner brackets similar to session timeline
  * Empty state shows prompt to create first entry
  * Delete mode: minus button toggles delete mode, entries can be selected for deletion
+ * Search: a query or filter swaps the sections for results across this
+ * journal and past sessions' (see JournalSearch)
  */
 
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { useJournalStore } from '../../stores/useJournalStore';
+import { useSessionStore } from '../../stores/useSessionStore';
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
+import { hasActiveSearch, getJournalFacets, EMPTY_JOURNAL_FILTERS } from '../../utils/journalSearch';
 import JournalEntryRow from './JournalEntryRow';
 import ConfirmModal from './ConfirmModal';
+import { JournalSearchBar, JournalSearchResults } from './JournalSearch';
 
 export default function JournalList({ onSelectEntry, onNewEntry, onSettings, isSettingsOpen = false }) {
   const [isDeleteMode, setIsDeleteMode] = useState(false);
@@ -19,11 +25,30 @@ export default function JournalList({ onSelectEntry, onNewEntry, onSettings, isS
   const getSessionEntries = useJournalStore((state) => state.getSessionEntries);
   const getManualEntries = useJournalStore((state) => state.getManualEntries);
   const deleteEntry = useJournalStore((state) => state.deleteEntry);
+  const searchJournal = useJournalStore((state) => state.searchJournal);
 
   const sessionEntries = getSessionEntries();
   const manualEntries = getManualEntries();
   const hasEntries = entries.length > 0;
 
+  // Search sources. Only the parts of the session that place an entry in a
+  // phase, so playback ticks don't rebuild the index.
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_JOURNAL_FILTERS);
+  const phases = useSessionStore((state) => state.timeline.phases);
+  const closedAt = useSessionStore((state) => state.session.closedAt);
+  const archives = useSessionHistoryStore((state) => state.sessions);
+  const sessionState = useMemo(() => ({ timeline: { phases }, session: { closedAt } }), [phases, closedAt]);
+  const hasArchivedEntries = archives.some((archive) => archive.journalEntries?.length > 0);
+  const isSearching = hasActiveSearch(query, filters);
+
+  const search = useMemo(
+    () => searchJournal(query, filters, { sessionState, archives }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- entries: searchJournal reads them via get(), so re-run when they change
+    [searchJournal, query, filters, sessionState, archives, entries]
+  );
+  const facets = useMemo(() => getJournalFacets(search.index), [search.index]);
+
   const handleDeleteModeToggle = () => {
     setIsDeleteMode(!isDeleteMode);
     setPendingDeleteId(null);
@@ -101,9 +126,24 @@ export default function JournalList({ onSelectEntry, onNewEntry, onSettings, isS
         </button>
       </div>
 
+      {/* Search */}
+      {(hasEntries || hasArchivedEntries) && !isDeleteMode && (
+        <div className="px-6 pb-2">
+          <JournalSearchBar
+            query={query}
+            onQueryChange={setQuery}
+            filters={filters}
+            onFiltersChange={setFilters}
+            facets={facets}
+          />
+        </div>
+      )}
+
       {/* Content */}
       <div className="flex-1 overflow-auto px-6 py-2">
-        {!hasEntries ? (
+        {isSearching && !isDeleteMode ? (
+          <JournalSearchResults results={search.results} terms={search.terms} onSelectEntry={onSelectEntry} />
+        ) : !hasEntries ? (
           // Empty state
           <div className="flex flex-col items-center justify-center h-full text-center">
             <p className="text-[var(--color-text-tertiary)] mb-6" style={{ textTransform: 'none' }}>
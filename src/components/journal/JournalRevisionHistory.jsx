@@ -0,0 +1,143 @@
+/**
+ * JournalRevisionHistory Component
+ * Earlier versions of a journal entry, opened from the editor header.
+ * Pick a version to see it side by side with the current text (changed
+ * words highlighted), then restore it or copy it into a new entry.
+ * The first version is the entry as originally written.
+ */
+
+import { useState, useMemo } from 'react';
+import { useJournalStore } from '../../stores/useJournalStore';
+import { diffEntryVersions } from '../../utils/journalRevisions';
+
+function formatRevisionDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * One side of a diff row. Null when the line only exists on the other side.
+ */
+function DiffCell({ segments, side }) {
+  if (!segments) return <div className="bg-[var(--bg-secondary)]" />;
+  return (
+    <div className="px-1.5 whitespace-pre-wrap break-words min-h-[1.25rem]">
+      {segments.map((segment, i) => (
+        segment.changed ? (
+          <span
+            key={i}
+            className={side === 'left'
+              ? 'bg-[var(--bg-tertiary)] line-through text-[var(--color-text-tertiary)]'
+              : 'bg-[var(--accent-bg)] text-[var(--color-text-primary)]'}
+          >
+            {segment.text}
+          </span>
+        ) : (
+          <span key={i}>{segment.text}</span>
+        )
+      ))}
+    </div>
+  );
+}
+
+export default function JournalRevisionHistory({ entry, onRestored, onForked, onClose }) {
+  const restoreRevision = useJournalStore((state) => state.restoreRevision);
+  const forkRevision = useJournalStore((state) => state.forkRevision);
+
+  const revisions = useMemo(() => entry.revisions || [], [entry.revisions]);
+  const [selectedIndex, setSelectedIndex] = useState(revisions.length - 1);
+  const selected = revisions[selectedIndex];
+
+  const rows = useMemo(
+    () => (selected ? diffEntryVersions(selected.content, entry.content) : []),
+    [selected, entry.content]
+  );
+  const isUnchanged = selected?.content === entry.content;
+
+  const handleRestore = () => {
+    restoreRevision(entry.id, selectedIndex);
+    onRestored();
+  };
+
+  const handleFork = () => {
+    const newEntry = forkRevision(entry.id, selectedIndex);
+    if (newEntry) onForked(newEntry);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
+      <div
+        className="w-full max-w-2xl p-6 space-y-4 max-h-[85vh] flex flex-col"
+        style={{ backgroundColor: 'var(--bg-primary)', border: '1px solid var(--border)' }}
+      >
+        <p className="text-[12px] uppercase tracking-wider font-bold">Earlier Versions</p>
+
+        {/* Version picker, oldest first */}
+        <div className="flex flex-wrap gap-1.5" role="listbox" aria-label="Versions">
+          {revisions.map((revision, index) => (
+            <button
+              key={`${revision.savedAt}-${index}`}
+              onClick={() => setSelectedIndex(index)}
+              role="option"
+              aria-selected={index === selectedIndex}
+              className={`px-2 py-0.5 border text-[10px] uppercase tracking-wider transition-colors ${index === selectedIndex
+                ? 'border-[var(--accent)] text-[var(--accent)]'
+                : 'border-[var(--color-border)] text-[var(--color-text-secondary)]'}`}
+            >
+              {index === 0 ? 'Original' : formatRevisionDate(revision.savedAt)}
+            </button>
+          ))}
+        </div>
+
+        {/* Side-by-side diff: selected version | current text */}
+        <div className="flex-1 min-h-0 overflow-y-auto border border-[var(--color-border)] text-xs leading-relaxed" style={{ textTransform: 'none' }}>
+          <div className="grid grid-cols-2 sticky top-0 bg-[var(--bg-primary)] border-b border-[var(--color-border)] text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)]">
+            <span className="px-1.5 py-1">{selected ? (selectedIndex === 0 ? 'Original' : formatRevisionDate(selected.savedAt)) : ''}</span>
+            <span className="px-1.5 py-1 border-l border-[var(--color-border)]">Now</span>
+          </div>
+          {isUnchanged ? (
+            <p className="px-1.5 py-3 text-center text-[var(--color-text-tertiary)]">Same as the current text.</p>
+          ) : (
+            rows.map((row, i) => (
+              <div key={i} className="grid grid-cols-2">
+                <DiffCell segments={row.left} side="left" />
+                <div className="border-l border-[var(--color-border)]">
+                  <DiffCell segments={row.right} side="right" />
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 pt-2">
+          <button
+            onClick={handleRestore}
+            disabled={isUnchanged}
+            className="py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70 disabled:opacity-40"
+            style={{ border: '1px solid var(--accent)', color: 'var(--accent)' }}
+          >
+            Restore
+          </button>
+          <button
+            onClick={handleFork}
+            className="py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+            style={{ border: '1px solid var(--border)' }}
+          >
+            Copy as New Entry
+          </button>
+        </div>
+        <button
+          onClick={onClose}
+          className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+          style={{ border: '1px solid var(--border)' }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * JournalSearch Components
+ * Search bar with filters, and the result list shown in place of the
+ * session/manual sections while a search is active.
+ *
+ * Results span this session's journal and archived sessions'. Live entries
+ * open in the editor; archived ones expand in place (read-only, since an
+ * archive's entries are only editable once it's loaded from Session
+ * History). Matches are highlighted in titles, snippets and full text.
+ */
+
+import { useState } from 'react';
+import { JOURNAL_PHASES, EMPTY_JOURNAL_FILTERS, getHighlightSegments, getMatchSnippet } from '../../utils/journalSearch';
+
+const PHASE_LABELS = Object.fromEntries(JOURNAL_PHASES.map((p) => [p.id, p.label]));
+
+const selectClass = 'w-full py-1.5 px-2 border border-[var(--color-border)] bg-transparent text-xs focus:outline-none focus:border-[var(--color-text-primary)]';
+const chipClass = 'px-2 py-0.5 border text-[10px] uppercase tracking-wider transition-colors';
+
+/**
+ * Text with query matches highlighted
+ */
+export function Highlighted({ text, terms }) {
+  return getHighlightSegments(text, terms).map((segment, i) => (
+    segment.match ? (
+      <mark key={i} className="bg-[var(--accent-bg)] text-[var(--color-text-primary)] rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  ));
+}
+
+/**
+ * Search input, filter toggle and filter pickers
+ */
+export function JournalSearchBar({ query, onQueryChange, filters, onFiltersChange, facets }) {
+  const [showFilters, setShowFilters] = useState(false);
+  const activeFilterCount = Object.values(filters).filter((v) => v !== '' && v !== false).length;
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          placeholder="Search your journal"
+          aria-label="Search your journal"
+          className="flex-1 min-w-0 py-1.5 px-3 border border-[var(--color-border)] bg-transparent text-sm focus:outline-none focus:border-[var(--color-text-primary)]"
+          style={{ textTransform: 'none' }}
+        />
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          aria-expanded={showFilters}
+          className={`${chipClass} py-1.5 ${showFilters || activeFilterCount > 0
+            ? 'border-[var(--accent)] text-[var(--accent)]'
+            : 'border-[var(--color-border)] text-[var(--color-text-tertiary)]'}`}
+        >
+          Filter{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="space-y-2 p-3 border border-[var(--color-border)]">
+          <div className="grid grid-cols-2 gap-2">
+            <select value={filters.module} onChange={(e) => setFilter('module', e.target.value)} aria-label="Module" className={selectClass}>
+              <option value="">Any module</option>
+              {facets.modules.map((title) => <option key={title} value={title}>{title}</option>)}
+            </select>
+            <select value={filters.phase} onChange={(e) => setFilter('phase', e.target.value)} aria-label="Phase" className={selectClass}>
+              <option value="">Any phase</option>
+              {facets.phases.map((id) => <option key={id} value={id}>{PHASE_LABELS[id]}</option>)}
+            </select>
+            <label className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] space-y-1">
+              <span>From</span>
+              <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter('from', e.target.value)} className={selectClass} />
+            </label>
+            <label className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] space-y-1">
+              <span>To</span>
+              <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter('to', e.target.value)} className={selectClass} />
+            </label>
+          </div>
+
+          {facets.tags.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {facets.tags.map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() => setFilter('tag', filters.tag === tag ? '' : tag)}
+                  aria-pressed={filters.tag === tag}
+                  className={`${chipClass} ${filters.tag === tag
+                    ? 'border-[var(--accent)] text-[var(--accent)]'
+                    : 'border-[var(--color-border)] text-[var(--color-text-secondary)]'}`}
+                  style={{ textTransform: 'none' }}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between pt-1">
+            <button
+              onClick={() => setFilter('hasImage', !filters.hasImage)}
+              aria-pressed={filters.hasImage}
+              className={`${chipClass} ${filters.hasImage
+                ? 'border-[var(--accent)] text-[var(--accent)]'
+                : 'border-[var(--color-border)] text-[var(--color-text-secondary)]'}`}
+            >
+              Has image
+            </button>
+            {activeFilterCount > 0 && (
+              <button
+                onClick={() => onFiltersChange(EMPTY_JOURNAL_FILTERS)}
+                className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatResultDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function SearchResultRow({ doc, terms, onSelect, isExpanded }) {
+  const { entry } = doc;
+  const tags = [...doc.autoTags, ...doc.tags.map((t) => `#${t}`)];
+
+  return (
+    <button
+      onClick={onSelect}
+      className="w-full text-left py-2 px-2 -mx-2 rounded transition-colors hover:bg-[var(--color-bg-secondary)]"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-[var(--color-text-primary)] truncate flex-1" style={{ textTransform: 'none' }}>
+          <Highlighted text={entry.title || 'Untitled'} terms={terms} />
+        </h3>
+        <span className="text-[var(--color-text-tertiary)] text-xs shrink-0">
+          {formatResultDate(entry.createdAt)}
+        </span>
+      </div>
+
+      {isExpanded ? (
+        <p className="text-[var(--color-text-secondary)] text-xs mt-1 whitespace-pre-wrap leading-relaxed" style={{ textTransform: 'none' }}>
+          <Highlighted text={entry.content} terms={terms} />
+        </p>
+      ) : (
+        <p className="text-[var(--color-text-tertiary)] text-xs mt-0.5 line-clamp-2" style={{ textTransform: 'none' }}>
+          <Highlighted text={getMatchSnippet(entry, terms)} terms={terms} />
+        </p>
+      )}
+
+      <p className="text-[var(--color-text-tertiary)] text-[10px] uppercase tracking-wider mt-1 truncate">
+        {doc.archiveId ? `Past session${doc.archivedAt ? ` · ${formatResultDate(doc.archivedAt)}` : ''}` : 'This session'}
+        {entry.hasImage ? ' · Image' : ''}
+        {entry.audio ? ' · Voice memo' : ''}
+        {tags.length > 0 && (
+          <span style={{ textTransform: 'none' }}> · <Highlighted text={tags.join(', ')} terms={terms} /></span>
+        )}
+      </p>
+    </button>
+  );
+}
+
+/**
+ * Results of an active search
+ */
+export function JournalSearchResults({ results, terms, onSelectEntry }) {
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  if (results.length === 0) {
+    return (
+      <p className="text-[var(--color-text-tertiary)] text-sm text-center pt-8" style={{ textTransform: 'none' }}>
+        No entries match.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-0.5 pb-20">
+      <h2 className="text-[var(--color-text-tertiary)] text-xs uppercase tracking-widest mb-2">
+        {results.length} {results.length === 1 ? 'Entry' : 'Entries'}
+      </h2>
+      {results.map((doc) => (
+        <SearchResultRow
+          key={doc.key}
+          doc={doc}
+          terms={terms}
+          isExpanded={expandedKey === doc.key}
+          onSelect={() => (doc.archiveId
+            ? setExpandedKey(expandedKey === doc.key ? null : doc.key)
+            : onSelectEntry(doc.entry.id))}
+        />
+      ))}
+    </div>
+  );
+}
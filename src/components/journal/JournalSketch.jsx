@@ -0,0 +1,58 @@
+/**
+ * JournalSketch Component
+ * Full-screen drawing view for a new sketch entry. Saving creates a
+ * personal entry with the PNG attached (hasImage, stored via imageStorage)
+ * and opens it in the editor, where words can be added underneath.
+ */
+
+import { useJournalStore } from '../../stores/useJournalStore';
+import { saveImage } from '../../utils/imageStorage';
+import SketchCanvas from '../shared/SketchCanvas';
+
+export default function JournalSketch({ onBack }) {
+  const addEntry = useJournalStore((state) => state.addEntry);
+  const deleteEntry = useJournalStore((state) => state.deleteEntry);
+  const setNavigation = useJournalStore((state) => state.setNavigation);
+
+  const handleSave = async (blob) => {
+    const entry = addEntry({ content: 'Sketch', source: 'manual', hasImage: true });
+    try {
+      await saveImage(entry.id, blob);
+    } catch (err) {
+      deleteEntry(entry.id);
+      throw err;
+    }
+    setNavigation('editor', entry.id);
+  };
+
+  return (
+    <div className="relative h-full overflow-auto">
+      {/* Floating back button - matches the editor's */}
+      <button
+        onClick={onBack}
+        className="absolute top-3 left-4 z-20 w-10 h-10 rounded-full border border-[var(--accent)] bg-[var(--accent-bg)] flex items-center justify-center transition-opacity hover:opacity-80"
+        aria-label="Back to entries"
+      >
+        <svg
+          width="20"
+          height="20"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="var(--accent)"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        >
+          <polyline points="15 18 9 12 15 6" />
+        </svg>
+      </button>
+
+      <div className="px-4 pb-8" style={{ paddingTop: '4rem' }}>
+        <p className="text-[var(--color-text-tertiary)] text-xs uppercase tracking-wider mb-3">
+          New sketch
+        </p>
+        <SketchCanvas onSave={handleSave} />
+      </div>
+    </div>
+  );
+}
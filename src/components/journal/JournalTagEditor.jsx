@@ -0,0 +1,63 @@
+/**
+ * JournalTagEditor Component
+ * User tags on a journal entry: chips with remove, and an input that adds
+ * a tag on Enter or comma. Tags feed journal search and its tag filter.
+ */
+
+import { useState } from 'react';
+import { useJournalStore } from '../../stores/useJournalStore';
+import { normalizeTag } from '../../utils/journalSearch';
+
+export default function JournalTagEditor({ entry }) {
+  const setEntryTags = useJournalStore((state) => state.setEntryTags);
+  const [draft, setDraft] = useState('');
+  const tags = entry.tags || [];
+
+  const addTag = () => {
+    const tag = normalizeTag(draft);
+    setDraft('');
+    if (tag && !tags.includes(tag)) setEntryTags(entry.id, [...tags, tag]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      setEntryTags(entry.id, tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 px-4 pt-2">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center gap-1 px-2 py-0.5 border border-[var(--color-border)] text-[10px] tracking-wider text-[var(--color-text-secondary)]"
+          style={{ textTransform: 'none' }}
+        >
+          #{tag}
+          <button
+            onClick={() => setEntryTags(entry.id, tags.filter((t) => t !== tag))}
+            aria-label={`Remove tag ${tag}`}
+            className="text-[var(--color-text-tertiary)] hover:opacity-70"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={addTag}
+        placeholder={tags.length > 0 ? 'Add tag' : 'Add a tag'}
+        aria-label="Add a tag"
+        maxLength={30}
+        className="flex-1 min-w-[6rem] bg-transparent text-[11px] text-[var(--color-text-secondary)] placeholder:text-[var(--color-text-tertiary)] outline-none"
+        style={{ textTransform: 'none' }}
+      />
+    </div>
+  );
+}
@@ -3,18 +3,21 @@
  * Main container for journal functionality
  * Manages navigation between editor and list views with smooth transitions
  * Default view is editor (new entry) - like iOS Notes
+ * A second floating button opens the sketch view (JournalSketch) in the editor's slot
  */
 
 import { useState, useCallback } from 'react';
 import { useJournalStore } from '../../stores/useJournalStore';
 import JournalEditor from './JournalEditor';
 import JournalList from './JournalList';
+import JournalSketch from './JournalSketch';
 import JournalSettings from './JournalSettings';
 import ConfirmModal from './ConfirmModal';
 
 // Navigation states
 const VIEW_EDITOR = 'editor';
 const VIEW_LIST = 'list';
+const VIEW_SKETCH = 'sketch';
 
 export default function JournalView() {
   // Get persisted navigation state from store
@@ -28,6 +31,8 @@ export default function JournalView() {
   // Animation state (local only - doesn't need persistence)
   const [isAnimating, setIsAnimating] = useState(false);
   const [animationDirection, setAnimationDirection] = useState(null); // 'toList' | 'toEditor'
+  // View sliding in over the list, so the slot shows the right one mid-animation
+  const [incomingView, setIncomingView] = useState(null);
   // Settings modal
   const [showSettings, setShowSettings] = useState(false);
   // Confirmation modals
@@ -61,6 +66,7 @@ export default function JournalView() {
 
     setIsAnimating(true);
     setAnimationDirection('toEditor');
+    setIncomingView(VIEW_EDITOR);
     setTimeout(() => {
       setNavigation(VIEW_EDITOR, entryId);
       setIsAnimating(false);
@@ -68,12 +74,25 @@ export default function JournalView() {
     }, 300);
   }, [getEntryById, setNavigation]);
 
+  // Navigate to the sketch view (slides in like the editor)
+  const navigateToSketch = useCallback(() => {
+    setIsAnimating(true);
+    setAnimationDirection('toEditor');
+    setIncomingView(VIEW_SKETCH);
+    setTimeout(() => {
+      setNavigation(VIEW_SKETCH, null);
+      setIsAnimating(false);
+      setAnimationDirection(null);
+    }, 300);
+  }, [setNavigation]);
+
   // Handle session entry edit confirmation
   const handleConfirmEditSession = useCallback(() => {
     setShowEditSessionConfirm(false);
     if (pendingSessionEntry) {
       setIsAnimating(true);
       setAnimationDirection('toEditor');
+      setIncomingView(VIEW_EDITOR);
       setTimeout(() => {
         setNavigation(VIEW_EDITOR, pendingSessionEntry);
         setIsAnimating(false);
@@ -112,20 +131,27 @@ export default function JournalView() {
     return '';
   };
 
+  const isEditorSlotView = (view) => view === VIEW_EDITOR || view === VIEW_SKETCH;
+  const editorSlotView = animationDirection === 'toEditor' ? incomingView : currentView;
+
   return (
     <div className="fixed left-0 right-0 overflow-hidden" style={{ top: 'var(--header-height)', bottom: 'var(--tabbar-height)' }}>
-      {/* Editor View */}
-      {(currentView === VIEW_EDITOR || isAnimating) && (
+      {/* Editor View (or the sketch view, which takes the editor's slot) */}
+      {(isEditorSlotView(currentView) || isAnimating) && (
         <div
           className={`absolute inset-0 bg-[var(--color-bg)] ${getEditorAnimationClass()}`}
-          style={{ zIndex: currentView === VIEW_EDITOR ? 10 : 5 }}
+          style={{ zIndex: isEditorSlotView(currentView) ? 10 : 5 }}
         >
-          <JournalEditor
-            key={activeEntryId || 'new'}
-            entryId={activeEntryId}
-            onBack={navigateToList}
-            isVisible={currentView === VIEW_EDITOR && !isAnimating}
-          />
+          {editorSlotView === VIEW_SKETCH ? (
+            <JournalSketch onBack={navigateToList} />
+          ) : (
+            <JournalEditor
+              key={activeEntryId || 'new'}
+              entryId={activeEntryId}
+              onBack={navigateToList}
+              isVisible={currentView === VIEW_EDITOR && !isAnimating}
+            />
+          )}
         </div>
       )}
 
@@ -144,6 +170,20 @@ export default function JournalView() {
         </div>
       )}
 
+      {/* New Sketch Button - stacked above New Entry, list view only */}
+      {currentView === VIEW_LIST && !isAnimating && (
+        <button
+          onClick={navigateToSketch}
+          className="fixed right-5 w-10 h-10 rounded-full border border-[var(--color-border)] bg-[var(--color-bg)] text-[var(--color-text-primary)] flex items-center justify-center shadow-lg z-20 hover:opacity-80 transition-opacity"
+          style={{ bottom: 'calc(var(--tabbar-height) + 5rem)' }}
+          aria-label="New sketch"
+        >
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M11 2.5l2.5 2.5L5 13.5H2.5V11z" />
+          </svg>
+        </button>
+      )}
+
       {/* New Entry Button - only show on list view */}
       {currentView === VIEW_LIST && !isAnimating && (
         <button
@@ -5,10 +5,13 @@
 
 import { useAppStore } from '../../stores/useAppStore';
 import { useHelperStore } from '../../stores/useHelperStore';
+import { useBodyCheckStore } from '../../stores/useBodyCheckStore';
+import { useCompanionStore } from '../../stores/useCompanionStore';
 import { lazy, Suspense, useEffect, useRef } from 'react';
 import Header from './Header';
 import TabBar from './TabBar';
 const HelperModal = lazy(() => import('../helper/HelperModal'));
+const BodyCheckModal = lazy(() => import('../bodyCheck/BodyCheckModal'));
 import { AppUpdaterProvider } from '../shared/AppUpdaterContext';
 
 export default function AppShell({ children }) {
@@ -17,6 +20,9 @@ export default function AppShell({ children }) {
   const fontSizeAdjustment = useAppStore((state) => state.preferences?.fontSizeAdjustment ?? 0);
   const currentTab = useAppStore((state) => state.currentTab);
   const isHelperOpen = useHelperStore((state) => state.isOpen);
+  const isBodyCheckOpen = useBodyCheckStore((state) => state.isOpen);
+  // A sitter device only shows SitterView, so there are no tabs to switch
+  const isFollowingCompanion = useCompanionStore((state) => state.role === 'follower');
   const mainRef = useRef(null);
 
   // Apply dark mode class to document element
@@ -69,13 +75,18 @@ export default function AppShell({ children }) {
             <HelperModal />
           </Suspense>
         )}
+        {isBodyCheckOpen && (
+          <Suspense fallback={null}>
+            <BodyCheckModal />
+          </Suspense>
+        )}
 
         {/* Main content area - scrollable container with fixed header/footer compensation */}
         <main ref={mainRef} className="flex-1 overflow-y-auto overscroll-none w-full max-w-[1000px] mx-auto" style={{ paddingTop: 'var(--header-height)', paddingBottom: 'var(--tabbar-height)' }}>
           {children}
         </main>
 
-        <TabBar />
+        {!isFollowingCompanion && <TabBar />}
       </div>
     </AppUpdaterProvider>
   );
@@ -11,6 +11,7 @@ import AIAssistantModal from '../ai/AIAssistantModal';
 import SessionMenu from './SessionMenu';
 import AnimatedTextLogo from './AnimatedTextLogo';
 import HelperButton from '../helper/HelperButton';
+import BodyCheckButton from '../bodyCheck/BodyCheckButton';
 
 export default function Header() {
   const darkMode = useAppStore((state) => state.darkMode);
@@ -70,6 +71,9 @@ export default function Header() {
             <div className="flex-1" />
           )}
 
+          {/* Body Check trigger (droplet icon, active session only) */}
+          <BodyCheckButton />
+
           {/* Helper Modal trigger (heart icon) */}
           <HelperButton />
 
@@ -3,6 +3,9 @@
  * Hamburger menu in the header for session management:
  * - Start a new session (archive current + reset)
  * - Browse past sessions
+ * - View insights across sessions
+ * - Pair a sitter's device (companion mode)
+ * - Lock the app (when the app lock is on)
  */
 
 import { useState, useRef, useEffect, useCallback } from 'react';
@@ -11,10 +14,14 @@ import { useSessionStore } from '../../stores/useSessionStore';
 import { useJournalStore } from '../../stores/useJournalStore';
 import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
 import { useAppStore } from '../../stores/useAppStore';
+import { useCompanionStore } from '../../stores/useCompanionStore';
+import { useAppLockStore } from '../../stores/useAppLockStore';
 import { useInstallPrompt } from '../../hooks/useInstallPrompt';
 import { useAppUpdaterContext } from '../shared/AppUpdaterContext';
 import { ArrowUpRightIcon } from '../shared/Icons';
 import SessionHistoryModal from '../history/SessionHistoryModal';
+import InsightsModal from '../history/InsightsModal';
+import CompanionModal from '../companion/CompanionModal';
 import DataDownloadModal from '../session/DataDownloadModal';
 import { APP_VERSION, BUILD_SHA } from '../../constants';
 import { setTutorialDelay } from '../timeline/tutorialRevealFlag';
@@ -27,7 +34,9 @@ export default function SessionMenu() {
   const [isClosingMenu, setIsClosingMenu] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
   const [showDownload, setShowDownload] = useState(false);
+  const [showCompanion, setShowCompanion] = useState(false);
   const [showFullVersion, setShowFullVersion] = useState(false);
   const [newSessionOverlay, setNewSessionOverlay] = useState(null); // null | 'fading-in' | 'fading-out'
   const menuRef = useRef(null);
@@ -37,6 +46,9 @@ export default function SessionMenu() {
   const archiveAndReset = useSessionHistoryStore((s) => s.archiveAndReset);
   const loadSession = useSessionHistoryStore((s) => s.loadSession);
   const archivedSessions = useSessionHistoryStore((s) => s.sessions);
+  const companionRole = useCompanionStore((s) => s.role);
+  const appLockEnabled = useAppLockStore((s) => s.enabled);
+  const lockApp = useAppLockStore((s) => s.lock);
   const darkMode = useAppStore((s) => s.darkMode);
   const toggleDarkMode = useAppStore((s) => s.toggleDarkMode);
   const setShowInstallPrompt = useAppStore((s) => s.setShowInstallPrompt);
@@ -126,11 +138,26 @@ export default function SessionMenu() {
     setShowHistory(true);
   };
 
+  const handleShowInsights = () => {
+    closeMenu();
+    setShowInsights(true);
+  };
+
+  const handleShowCompanion = () => {
+    closeMenu();
+    setShowCompanion(true);
+  };
+
   const handleExport = () => {
     closeMenu();
     setShowDownload(true);
   };
 
+  const handleLock = () => {
+    closeMenu();
+    lockApp();
+  };
+
   const handleInstall = async () => {
     closeMenu();
     if (canPromptNatively) {
@@ -311,6 +338,30 @@ export default function SessionMenu() {
             )}
           </button>
           <div className="border-t border-[var(--color-border)]" />
+          <button
+            type="button"
+            onClick={handleShowInsights}
+            disabled={archivedSessions.length === 0}
+            className="w-full px-4 py-3 text-left uppercase tracking-wider text-[10px] text-[var(--color-text-secondary)] hover:bg-[var(--color-bg-secondary)] transition-colors disabled:opacity-30 disabled:cursor-default"
+            style={{ fontFamily: 'Azeret Mono, monospace' }}
+          >
+            Insights
+          </button>
+          <div className="border-t border-[var(--color-border)]" />
+          <button
+            type="button"
+            onClick={handleShowCompanion}
+            className="w-full px-4 py-3 text-left uppercase tracking-wider text-[10px] text-[var(--color-text-secondary)] hover:bg-[var(--color-bg-secondary)] transition-colors disabled:opacity-30 disabled:cursor-default"
+            style={{ fontFamily: 'Azeret Mono, monospace' }}
+          >
+            Sitter Companion
+            {companionRole && (
+              <span className="ml-2 text-[var(--color-text-tertiary)]">
+                ({companionRole === 'host' ? 'sharing' : 'following'})
+              </span>
+            )}
+          </button>
+          <div className="border-t border-[var(--color-border)]" />
           <button
             type="button"
             onClick={handleExport}
@@ -320,6 +371,19 @@ export default function SessionMenu() {
           >
             Export Session
           </button>
+          {appLockEnabled && (
+            <>
+              <div className="border-t border-[var(--color-border)]" />
+              <button
+                type="button"
+                onClick={handleLock}
+                className="w-full px-4 py-3 text-left uppercase tracking-wider text-[10px] text-[var(--color-text-secondary)] hover:bg-[var(--color-bg-secondary)] transition-colors"
+                style={{ fontFamily: 'Azeret Mono, monospace' }}
+              >
+                Lock App
+              </button>
+            </>
+          )}
           <div className="border-t border-[var(--color-border)]" />
           <button
             type="button"
@@ -417,6 +481,16 @@ export default function SessionMenu() {
         document.body
       )}
 
+      {showInsights && createPortal(
+        <InsightsModal onClose={() => setShowInsights(false)} />,
+        document.body
+      )}
+
+      {showCompanion && createPortal(
+        <CompanionModal onClose={() => setShowCompanion(false)} />,
+        document.body
+      )}
+
       {showDownload && createPortal(
         <DataDownloadModal onClose={() => setShowDownload(false)} />,
         document.body
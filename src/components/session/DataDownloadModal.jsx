@@ -1,11 +1,11 @@
 /**
  * DataDownloadModal Component
- * Modal for downloading session data (text) and images
+ * Modal for downloading session data (text, Markdown, or JSON) and images
  */
 
 import { useState } from 'react';
 import { createPortal } from 'react-dom';
-import { downloadSessionData, downloadSessionImages } from '../../utils/downloadSessionData';
+import { downloadSessionData, downloadSessionImages, downloadSessionAudio } from '../../utils/downloadSessionData';
 import { useJournalStore } from '../../stores/useJournalStore';
 import { useSessionStore } from '../../stores/useSessionStore';
 import { OrigamiIcon, CircleSkipIcon } from '../shared/Icons';
@@ -13,12 +13,21 @@ import { OrigamiIcon, CircleSkipIcon } from '../shared/Icons';
 // Matches the slideDownOut / fadeOut animation duration in index.css.
 const CLOSE_ANIMATION_MS = 350;
 
+const FORMAT_OPTIONS = [
+  { id: 'txt', label: 'Text', hint: 'A readable record for printing or sharing.' },
+  { id: 'md', label: 'Markdown', hint: 'For notes apps like Obsidian. Images are linked from an images/ folder, voice memos from audio/.' },
+  { id: 'json', label: 'JSON', hint: 'Structured data for other tools or your own analysis.' },
+];
+
 export default function DataDownloadModal({ onClose }) {
   const journalEntries = useJournalStore((s) => s.entries);
-  const hasImages = journalEntries.some((e) => e.hasImage && e.source === 'session');
+  const hasImages = journalEntries.some((e) => e.hasImage);
+  const hasAudio = journalEntries.some((e) => e.audio);
   const recordDataExport = useSessionStore((s) => s.recordDataExport);
 
   const [isClosing, setIsClosing] = useState(false);
+  const [format, setFormat] = useState('txt');
+  const selectedFormat = FORMAT_OPTIONS.find((option) => option.id === format);
 
   // Run the close animation, then fire onClose. onClose unmounts the modal,
   // so we keep it mounted for the animation duration first.
@@ -28,8 +37,8 @@ export default function DataDownloadModal({ onClose }) {
     setTimeout(onClose, CLOSE_ANIMATION_MS);
   };
 
-  const handleDownloadText = () => {
-    downloadSessionData();
+  const handleDownloadRecord = () => {
+    downloadSessionData(format);
     recordDataExport();
     handleClose();
   };
@@ -39,6 +48,11 @@ export default function DataDownloadModal({ onClose }) {
     handleClose();
   };
 
+  const handleDownloadAudio = async () => {
+    await downloadSessionAudio();
+    handleClose();
+  };
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       handleClose();
@@ -92,9 +106,31 @@ export default function DataDownloadModal({ onClose }) {
           reflections, and notes.
         </p>
 
+        <div className="mb-6">
+          <div className="flex border border-[var(--color-text-tertiary)]">
+            {FORMAT_OPTIONS.map((option) => (
+              <button
+                key={option.id}
+                onClick={() => setFormat(option.id)}
+                className={`flex-1 py-2 uppercase tracking-wider text-[10px] transition-colors ${
+                  format === option.id
+                    ? 'bg-[var(--color-text-primary)] text-[var(--color-bg)]'
+                    : 'text-[var(--color-text-secondary)] hover:text-[var(--color-text-primary)]'
+                }`}
+                style={{ fontFamily: 'Azeret Mono, monospace' }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <p className="mt-2 text-[var(--color-text-tertiary)] text-xs leading-relaxed">
+            {selectedFormat.hint}
+          </p>
+        </div>
+
         <div className="space-y-3">
           <button
-            onClick={handleDownloadText}
+            onClick={handleDownloadRecord}
             className="w-full py-4 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
           >
             Download Session Record
@@ -106,6 +142,14 @@ export default function DataDownloadModal({ onClose }) {
           >
             {hasImages ? 'Download Images' : 'No Images to Export'}
           </button>
+          {hasAudio && (
+            <button
+              onClick={handleDownloadAudio}
+              className="w-full py-3 border border-[var(--color-text-tertiary)] text-[var(--color-text-primary)] uppercase tracking-wider text-xs hover:border-[var(--color-text-primary)] transition-colors"
+            >
+              Download Voice Memos
+            </button>
+          )}
           <button
             onClick={handleClose}
             className="w-full py-3 text-[var(--color-text-tertiary)] uppercase tracking-wider text-xs hover:text-[var(--color-text-secondary)] transition-colors"
@@ -8,6 +8,8 @@
  * Flow:
  *   index    → welcoming cover page with Part 1 / Part 2 TOC (no status bar)
  *   setting  → interactive checklist (water, space, etc.) with confirm-if-unchecked
+ *   offline  → offline readiness: timeline audio saved on device, download the
+ *              rest; confirm-if-missing. Begin waits for a running download.
  *   journal  → physical-journal-compatibility notice
  *   substance → "Do you have your MDMA ready?"
  *   tested   → "Have you tested your substance?"
@@ -22,11 +24,13 @@ import { useSessionStore } from '../../stores/useSessionStore';
 import { calculateBoosterDose } from '../../stores/useSessionStore';
 import { useAppStore } from '../../stores/useAppStore';
 import { useToolsStore } from '../../stores/useToolsStore';
+import { useOfflineReadiness } from '../../hooks/useOfflineReadiness';
 import AsciiDiamond from '../active/capabilities/animations/AsciiDiamond';
 import AsciiMoon from '../active/capabilities/animations/AsciiMoon';
 import ModuleStatusBar from '../active/ModuleStatusBar';
 import ModuleControlBar from '../active/capabilities/ModuleControlBar';
 import ConfirmModal from '../journal/ConfirmModal';
+import OfflineReadinessPanel from '../shared/OfflineReadinessPanel';
 import { NotebookPenIcon, ArrowUpRightIcon } from '../shared/Icons';
 import ChecklistCheckbox from './openingChecklist/ChecklistCheckbox';
 import SketchyCircle from './openingChecklist/SketchyCircle';
@@ -112,6 +116,11 @@ export default function SubstanceChecklist() {
   // Not persisted — resets on unmount.
   const [checkedItems, setCheckedItems] = useState({});
   const [showSettingConfirm, setShowSettingConfirm] = useState(false);
+  const [showOfflineConfirm, setShowOfflineConfirm] = useState(false);
+
+  // Held here rather than in the step so a download keeps reporting
+  // progress while the user moves on through the checklist
+  const offlineReadiness = useOfflineReadiness();
 
   const sessionProfile = useSessionStore((state) => state.sessionProfile);
   const updateSessionProfile = useSessionStore((state) => state.updateSessionProfile);
@@ -128,7 +137,7 @@ export default function SubstanceChecklist() {
   // Active step sequence — built dynamically so conditionals land in the right
   // spot when the user has / doesn't have booster flow.
   const stepSequence = useMemo(() => {
-    const seq = ['index', 'setting', 'journal', 'substance', 'tested', 'dosage'];
+    const seq = ['index', 'setting', 'offline', 'journal', 'substance', 'tested', 'dosage'];
     if (showBoosterStep) seq.push('booster');
     seq.push('contact', 'handoff');
     return seq;
@@ -201,6 +210,20 @@ export default function SubstanceChecklist() {
     handleNext();
   };
 
+  // Offline step — Continue handler with confirm-if-missing
+  const handleOfflineContinue = () => {
+    if (offlineReadiness.missingCritical > 0) {
+      setShowOfflineConfirm(true);
+    } else {
+      handleNext();
+    }
+  };
+
+  const handleOfflineConfirmProceed = () => {
+    setShowOfflineConfirm(false);
+    handleNext();
+  };
+
   const toggleSettingItem = (id) => {
     setCheckedItems((prev) => ({ ...prev, [id]: !prev[id] }));
   };
@@ -276,6 +299,25 @@ export default function SubstanceChecklist() {
           </div>
         );
 
+      case 'offline':
+        return (
+          <div className="space-y-6">
+            <div className="space-y-3">
+              <h2
+                className="text-lg text-[var(--color-text-primary)]"
+                style={{ fontFamily: "'DM Serif Text', serif", textTransform: 'none' }}
+              >
+                Offline Audio
+              </h2>
+              <p className="text-[var(--color-text-primary)] text-sm leading-relaxed">
+                Your meditations play from audio saved on this device, so a lost connection mid-session won&apos;t interrupt them. Let&apos;s make sure it&apos;s all here.
+              </p>
+            </div>
+
+            <OfflineReadinessPanel readiness={offlineReadiness} />
+          </div>
+        );
+
       case 'journal':
         return (
           <div className="space-y-8">
@@ -702,6 +744,12 @@ export default function SubstanceChecklist() {
             <p className="text-[var(--color-text-secondary)] text-xs leading-relaxed text-left">
               You&apos;ve taken care of what needs to be taken care of. When you&apos;re ready, we&apos;ll move into the opening ritual together.
             </p>
+
+            {offlineReadiness.isDownloading && (
+              <p className="text-[var(--color-text-tertiary)] text-xs leading-relaxed text-left">
+                Finishing your audio download ({offlineReadiness.progress.done} of {offlineReadiness.progress.total})…
+              </p>
+            )}
           </div>
         );
 
@@ -728,6 +776,13 @@ export default function SubstanceChecklist() {
       case 'setting':
         return { label: 'Continue', onClick: handleSettingContinue };
 
+      case 'offline':
+        return {
+          label: 'Continue',
+          onClick: handleOfflineContinue,
+          loading: offlineReadiness.isChecking,
+        };
+
       case 'journal':
         return { label: 'Continue', onClick: handleNext };
 
@@ -742,7 +797,8 @@ export default function SubstanceChecklist() {
         return { label: 'Continue', onClick: handleNext };
 
       case 'handoff':
-        return { label: 'Begin', onClick: handleContinueToIntro };
+        // Let a running audio download finish before the ritual starts
+        return { label: 'Begin', onClick: handleContinueToIntro, loading: offlineReadiness.isDownloading };
 
       // 'substance', 'tested', 'booster' have inline-select buttons — no primary.
       default:
@@ -814,6 +870,18 @@ export default function SubstanceChecklist() {
         />
       )}
 
+      {/* Confirm dialog when Continue is pressed with session audio missing */}
+      {showOfflineConfirm && (
+        <ConfirmModal
+          title="Some audio isn't saved yet"
+          message="Part of your session's audio isn't on this device. If your connection drops during the session, the meditations that use it won't play. You can download it now, or continue and rely on your connection."
+          confirmLabel="Continue anyway"
+          cancelLabel="Go Back"
+          onConfirm={handleOfflineConfirmProceed}
+          onCancel={() => setShowOfflineConfirm(false)}
+        />
+      )}
+
       {/* Dosage Warning Modal */}
       {showDosageWarning && DOSAGE_WARNINGS[showDosageWarning] && (
         <div className="fixed inset-0 bg-black/25 flex items-center justify-center z-50 px-6">
@@ -1,5 +1,6 @@
 /**
- * DataDownloadBlock — Triggers the existing DataDownloadModal.
+ * DataDownloadBlock — Triggers the existing DataDownloadModal, plus a
+ * printable integration report for bringing to a follow-up session.
  *
  * Config:
  *   { type: 'data-download', buttonLabel: 'Download Session Data' }
@@ -7,21 +8,43 @@
 
 import { useState } from 'react';
 import DataDownloadModal from '../../DataDownloadModal';
+import { printSessionReport } from '../../../../utils/sessionReport';
 
 export default function DataDownloadBlock({ block }) {
   const [showModal, setShowModal] = useState(false);
+  const [isPrinting, setIsPrinting] = useState(false);
 
   const label = block.buttonLabel || 'Download Session Data';
 
+  const handlePrint = async () => {
+    setIsPrinting(true);
+    try {
+      await printSessionReport();
+    } catch (err) {
+      console.error('Failed to print session report:', err);
+    }
+    setIsPrinting(false);
+  };
+
   return (
     <>
-      <button
-        type="button"
-        onClick={() => setShowModal(true)}
-        className="w-full py-4 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
-      >
-        {label}
-      </button>
+      <div className="space-y-3">
+        <button
+          type="button"
+          onClick={() => setShowModal(true)}
+          className="w-full py-4 bg-[var(--color-text-primary)] text-[var(--color-bg)] uppercase tracking-wider text-xs"
+        >
+          {label}
+        </button>
+        <button
+          type="button"
+          onClick={handlePrint}
+          disabled={isPrinting}
+          className="w-full py-3 border border-[var(--color-text-tertiary)] text-[var(--color-text-primary)] uppercase tracking-wider text-xs hover:border-[var(--color-text-primary)] transition-colors disabled:opacity-50"
+        >
+          {isPrinting ? 'Preparing Report...' : 'Print Integration Report'}
+        </button>
+      </div>
 
       {showModal && (
         <DataDownloadModal onClose={() => setShowModal(false)} />
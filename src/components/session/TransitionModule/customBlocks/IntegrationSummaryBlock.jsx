@@ -0,0 +1,14 @@
+/**
+ * IntegrationSummaryBlock — Opt-in AI-written summary of the session,
+ * saved to the journal. Renders nothing but a Settings hint when no AI
+ * provider is set up.
+ *
+ * Config:
+ *   { type: 'integration-summary' }
+ */
+
+import IntegrationSummaryPanel from '../../../ai/IntegrationSummaryPanel';
+
+export default function IntegrationSummaryBlock() {
+  return <IntegrationSummaryPanel />;
+}
@@ -10,6 +10,7 @@ import ActionBlock from './ActionBlock';
 import StoreDisplayBlock from './StoreDisplayBlock';
 import ExpandableBlock from './ExpandableBlock';
 import DataDownloadBlock from './DataDownloadBlock';
+import IntegrationSummaryBlock from './IntegrationSummaryBlock';
 import TouchstoneArcBlock from './TouchstoneArcBlock';
 import PhaseRecapBlock from './PhaseRecapBlock';
 import IngestionTimeBlock from './IngestionTimeBlock';
@@ -23,6 +24,7 @@ const TRANSITION_CUSTOM_BLOCKS = {
   'store-display': StoreDisplayBlock,
   'expandable': ExpandableBlock,
   'data-download': DataDownloadBlock,
+  'integration-summary': IntegrationSummaryBlock,
   'touchstone-arc': TouchstoneArcBlock,
   'phase-recap': PhaseRecapBlock,
   'ingestion-time': IngestionTimeBlock,
@@ -39,6 +41,7 @@ export {
   StoreDisplayBlock,
   ExpandableBlock,
   DataDownloadBlock,
+  IntegrationSummaryBlock,
   TouchstoneArcBlock,
   PhaseRecapBlock,
   IngestionTimeBlock,
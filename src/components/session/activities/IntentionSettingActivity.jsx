@@ -905,6 +905,7 @@ export default function IntentionSettingActivity({ module, onComplete, onSkip, o
         <VolumeButton
           volume={playback.audio.volume}
           onVolumeChange={playback.audio.setVolume}
+          soundscape={playback.soundscape}
         />
       );
     }
@@ -37,6 +37,7 @@ export default function OpeningIndex() {
         title="Opening Checklist"
         items={[
           'Setting the space',
+          'Offline audio',
           'A journal-friendly app',
           'Your substance',
           'Trusted contact',
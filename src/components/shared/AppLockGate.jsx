@@ -0,0 +1,33 @@
+/**
+ * AppLockGate Component
+ * Wraps the whole app when the optional app lock is on.
+ *
+ * Until the first unlock only the lock screen renders — App and its hooks
+ * would otherwise run against empty journal and session stores. After that,
+ * re-locking covers the app instead of unmounting it, so an in-progress
+ * meditation keeps playing behind the lock screen.
+ */
+
+import { useAppLockStore } from '../../stores/useAppLockStore';
+import { useAppLock } from '../../hooks/useAppLock';
+import AppLockScreen from './AppLockScreen';
+
+export default function AppLockGate({ children }) {
+  const enabled = useAppLockStore((state) => state.enabled);
+  const isLocked = useAppLockStore((state) => state.isLocked);
+  const hasUnlocked = useAppLockStore((state) => state.hasUnlocked);
+
+  // Auto-lock timeout and the panic gesture
+  useAppLock();
+
+  if (enabled && !hasUnlocked) {
+    return <AppLockScreen />;
+  }
+
+  return (
+    <>
+      {children}
+      {enabled && isLocked && <AppLockScreen />}
+    </>
+  );
+}
@@ -0,0 +1,176 @@
+/**
+ * AppLockScreen Component
+ * Full-screen, opaque lock screen for the optional app lock.
+ *
+ * Shown alone at launch (the journal and session stores stay empty until it
+ * unlocks them) and as an overlay when the app re-locks, so anything playing
+ * underneath keeps going. Unlocks with the PIN or, if one is set up, a
+ * passkey. A forgotten PIN can only be recovered by erasing the locked data.
+ */
+
+import { useState, useEffect } from 'react';
+import { useAppLockStore, PIN_MAX_LENGTH } from '../../stores/useAppLockStore';
+import { useAppStore } from '../../stores/useAppStore';
+import { LockIcon } from './Icons';
+
+const inputClassName =
+  'w-full py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 bg-transparent text-[16px] tracking-[0.3em] text-center focus:outline-none focus:border-app-black dark:focus:border-app-white';
+
+export default function AppLockScreen() {
+  const hasPasskey = useAppLockStore((state) => !!state.passkey);
+  const lockoutUntil = useAppLockStore((state) => state.lockoutUntil);
+  const unlockWithPin = useAppLockStore((state) => state.unlockWithPin);
+  const unlockWithPasskey = useAppLockStore((state) => state.unlockWithPasskey);
+  const eraseLockedData = useAppLockStore((state) => state.eraseLockedData);
+  const darkMode = useAppStore((state) => state.darkMode);
+
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [showEraseConfirm, setShowEraseConfirm] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  // At launch AppShell isn't mounted yet, so apply dark mode here too
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', darkMode);
+  }, [darkMode]);
+
+  // Tick once a second while locked out so the countdown updates
+  const lockoutSeconds = lockoutUntil ? Math.max(0, Math.ceil((lockoutUntil - now) / 1000)) : 0;
+  useEffect(() => {
+    if (!lockoutUntil || lockoutUntil <= Date.now()) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [lockoutUntil]);
+
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    if (!pin || isWorking || lockoutSeconds > 0) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      await unlockWithPin(pin);
+    } catch (err) {
+      setError(err.message || 'Could not unlock');
+      setNow(Date.now());
+    }
+    setPin('');
+    setIsWorking(false);
+  };
+
+  const handlePasskey = async () => {
+    if (isWorking) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      await unlockWithPasskey();
+    } catch (err) {
+      // NotAllowedError = the user dismissed the system prompt
+      if (err.name !== 'NotAllowedError') {
+        setError(err.message || 'Could not unlock with passkey');
+      }
+    }
+    setIsWorking(false);
+  };
+
+  // Reloads the app once everything is erased
+  const handleErase = async () => {
+    if (isWorking) return;
+    setIsWorking(true);
+    await eraseLockedData();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[200] flex items-center justify-center px-6"
+      style={{ backgroundColor: 'var(--bg-primary)', color: 'var(--text-primary)' }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="App locked"
+    >
+      {showEraseConfirm ? (
+        <div className="w-full max-w-sm space-y-4">
+          <p className="text-[12px] uppercase tracking-wider font-bold">Erase Locked Data</p>
+          <p style={{ color: 'var(--text-primary)' }}>
+            Without your PIN, your journal, current session, past sessions, AI conversations,
+            meditations you wrote, images and voice recordings can&apos;t be decrypted. Erasing them removes the lock so you can
+            start fresh.
+          </p>
+          <p style={{ color: 'var(--text-tertiary)' }}>
+            This action cannot be undone.
+          </p>
+          <div className="space-y-2 pt-2">
+            <button
+              onClick={handleErase}
+              disabled={isWorking}
+              className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-80 disabled:opacity-40"
+              style={{ backgroundColor: 'var(--accent)', color: 'var(--bg-primary)' }}
+            >
+              Erase and unlock
+            </button>
+            <button
+              onClick={() => setShowEraseConfirm(false)}
+              className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+              style={{ border: '1px solid var(--border)' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handlePinSubmit} className="w-full max-w-xs space-y-4 text-center">
+          <div className="flex justify-center text-[var(--text-tertiary)]">
+            <LockIcon size={28} strokeWidth={1.5} />
+          </div>
+          <p className="text-[12px] uppercase tracking-wider font-bold">Locked</p>
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={PIN_MAX_LENGTH}
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            placeholder="PIN"
+            aria-label="PIN"
+            disabled={lockoutSeconds > 0}
+            className={inputClassName}
+            autoFocus
+          />
+          {lockoutSeconds > 0 ? (
+            <p className="text-[10px] text-[var(--accent)]">
+              Too many attempts. Try again in {lockoutSeconds}s.
+            </p>
+          ) : error && (
+            <p className="text-[10px] text-[var(--accent)]">{error}</p>
+          )}
+          <button
+            type="submit"
+            disabled={!pin || isWorking || lockoutSeconds > 0}
+            className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-80 disabled:opacity-40"
+            style={{ backgroundColor: 'var(--accent)', color: 'var(--bg-primary)' }}
+          >
+            {isWorking ? 'Unlocking…' : 'Unlock'}
+          </button>
+          {hasPasskey && (
+            <button
+              type="button"
+              onClick={handlePasskey}
+              disabled={isWorking}
+              className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70 disabled:opacity-40"
+              style={{ border: '1px solid var(--border)' }}
+            >
+              Use passkey
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowEraseConfirm(true)}
+            className="text-[10px] uppercase tracking-wider text-[var(--text-tertiary)] hover:opacity-70 pt-2"
+          >
+            Forgot PIN?
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * CrisisNotice Component
+ * Shown when utils/crisisDetection.js flags something the user typed in the
+ * AI chat or the journal. Offers the Helper's emergency view (emergency
+ * contact, 911/112, Fireside Project) and, for medical emergencies, direct
+ * call links so help is one tap away without opening anything else.
+ */
+
+import { useHelperStore } from '../../stores/useHelperStore';
+import { useAIStore } from '../../stores/useAIStore';
+import { CRISIS_NOTICES } from '../../content/crisisLanguage';
+
+const linkClass = 'no-underline flex-1 px-3 py-2 border text-center text-[10px] uppercase tracking-wider transition-opacity hover:opacity-70';
+const linkStyle = { borderColor: 'var(--color-text-primary)', color: 'var(--color-text-primary)', textDecoration: 'none' };
+
+/**
+ * @param {object} props
+ * @param {string} props.category - Category id from detectCrisisLanguage()
+ * @param {string|null} [props.note] - Extra line under the body, e.g. that a chat message wasn't sent
+ * @param {Function|null} [props.onDismiss] - Shows a close button when provided
+ */
+export default function CrisisNotice({ category, note = null, onDismiss = null }) {
+  const copy = CRISIS_NOTICES[category];
+  if (!copy) return null;
+
+  const isMedical = category === 'medical-emergency';
+
+  const handleOpenEmergency = () => {
+    useHelperStore.getState().openEmergency();
+    // The assistant sits above the Helper, so step aside for it
+    useAIStore.getState().closeModal();
+  };
+
+  return (
+    <div
+      role="alert"
+      className="relative p-3 space-y-2 animate-fadeIn"
+      style={{
+        border: `${isMedical ? 2 : 1}px solid ${isMedical ? 'var(--color-text-primary)' : 'var(--accent)'}`,
+        backgroundColor: 'var(--color-bg)',
+      }}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {onDismiss && (
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="absolute right-1 top-1 w-6 h-6 flex items-center justify-center hover:opacity-70 transition-opacity text-[var(--color-text-tertiary)]"
+          aria-label="Dismiss"
+        >
+          ×
+        </button>
+      )}
+
+      <p className="text-sm text-[var(--color-text-primary)] pr-6" style={{ textTransform: 'none' }}>{copy.title}</p>
+      <p className="text-xs leading-relaxed text-[var(--color-text-secondary)]" style={{ textTransform: 'none' }}>{copy.body}</p>
+      {note && (
+        <p className="text-[10px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>{note}</p>
+      )}
+
+      <div className="flex gap-2">
+        {isMedical && (
+          <>
+            <a href="tel:911" className={linkClass} style={linkStyle}>Call 911 (US)</a>
+            <a href="tel:112" className={linkClass} style={linkStyle}>Call 112 (EU)</a>
+          </>
+        )}
+        <button type="button" onClick={handleOpenEmergency} className={linkClass} style={linkStyle}>
+          {isMedical ? 'More options' : 'Get support now'}
+        </button>
+      </div>
+    </div>
+  );
+}
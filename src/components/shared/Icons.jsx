@@ -411,6 +411,12 @@ export const FireIcon = ({ size = 24, strokeWidth = 2, className }) => (
   </svg>
 );
 
+export const DropletIcon = ({ size = 24, strokeWidth = 2, className }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round" className={className}>
+    <path d="M12 22a7 7 0 0 0 7-7c0-2-1-3.9-3-5.5s-3.5-4-4-6.5c-.5 2.5-2 4.9-4 6.5C6 11.1 5 13 5 15a7 7 0 0 0 7 7z" />
+  </svg>
+);
+
 // Helper Modal Icons
 
 export const HeartIcon = ({ size = 24, strokeWidth = 2.5, className }) => (
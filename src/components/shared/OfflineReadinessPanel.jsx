@@ -0,0 +1,138 @@
+/**
+ * OfflineReadinessPanel Component
+ * Shows which of the session's audio is saved on this device, downloads the
+ * rest with progress and retry, and reports storage use and persistence.
+ *
+ * Presentational: pass the result of useOfflineReadiness() so the caller
+ * can keep a download running while this panel is off screen (the Opening
+ * Checklist holds it across steps). Used by the checklist's Offline Audio
+ * step and by Settings → Offline Readiness.
+ */
+
+import { formatBytes } from '../../utils/storagePersistence';
+
+const buttonClass = 'w-full py-2 text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity border border-[var(--color-border)] disabled:opacity-30 disabled:cursor-default';
+
+function Summary({ readiness }) {
+  const { isChecking, missingCount, missingCritical, groups } = readiness;
+  if (isChecking) {
+    return <p className="text-[var(--color-text-tertiary)]">Checking what&apos;s saved on this device…</p>;
+  }
+  if (missingCount === 0) {
+    return <p className="text-[var(--color-text-primary)]">Everything your session plays is saved on this device.</p>;
+  }
+  const missingBytes = groups.some((g) => g.missingCount > 0 && g.missingBytes == null)
+    ? null
+    : groups.reduce((sum, g) => sum + g.missingBytes, 0);
+  return (
+    <p className="text-[var(--color-text-primary)]">
+      {missingCount} audio {missingCount === 1 ? 'file isn\'t' : 'files aren\'t'} saved on this device yet
+      {missingBytes != null ? ` (about ${formatBytes(missingBytes)})` : ''}.
+      {missingCritical > 0
+        ? ' Without a connection, the meditations that use them won\'t play.'
+        : ' Only the background sound is missing; your session will play without it.'}
+    </p>
+  );
+}
+
+export default function OfflineReadinessPanel({ readiness }) {
+  const { groups, isChecking, isDownloading, progress, failedCount, missingCount, storage } = readiness;
+  const isOffline = typeof navigator !== 'undefined' && !navigator.onLine;
+
+  return (
+    <div className="space-y-4 text-[12px] leading-relaxed" style={{ textTransform: 'none' }}>
+      <Summary readiness={readiness} />
+
+      {isOffline && missingCount > 0 && (
+        <p className="text-[var(--accent)]">You&apos;re offline. Connect to download the missing audio.</p>
+      )}
+
+      {/* Per-group status */}
+      <div>
+        {groups.map((group) => (
+          <div
+            key={group.id}
+            className="flex items-baseline justify-between gap-4 py-2 border-b border-app-gray-200 dark:border-app-gray-800"
+          >
+            <span className="min-w-0 truncate text-[var(--color-text-secondary)]">
+              {group.label}
+              {!group.critical && <span className="text-[var(--color-text-tertiary)]"> (optional)</span>}
+            </span>
+            <span
+              className={`shrink-0 text-[11px] ${group.missingCount > 0 && !isChecking ? 'text-[var(--accent)]' : 'text-[var(--color-text-tertiary)]'}`}
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              {isChecking
+                ? '…'
+                : group.missingCount === 0
+                  ? `SAVED · ${formatBytes(group.bytes)}`
+                  : `${group.cachedCount}/${group.urls.length} · ${formatBytes(group.missingBytes)} TO GO`}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Download / progress / retry */}
+      {isDownloading ? (
+        <div className="space-y-2">
+          <div className="h-px w-full bg-[var(--color-border)]">
+            <div
+              className="h-px bg-[var(--accent)] transition-all"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+          <p className="text-[11px] text-[var(--color-text-tertiary)]">
+            Downloading {progress.done} of {progress.total}
+            {progress.failed > 0 ? ` · ${progress.failed} failed` : ''}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {failedCount > 0 && (
+            <>
+              <p className="text-[var(--accent)]">
+                {failedCount} {failedCount === 1 ? 'file' : 'files'} couldn&apos;t download.
+              </p>
+              <button onClick={readiness.retry} disabled={isOffline} className={buttonClass} style={{ fontFamily: 'Azeret Mono, monospace' }}>
+                Retry Failed
+              </button>
+            </>
+          )}
+          {missingCount > 0 && failedCount === 0 && (
+            <button
+              onClick={readiness.download}
+              disabled={isChecking || isOffline}
+              className={buttonClass}
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              Download Missing Audio
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Storage */}
+      {storage && (
+        <div className="space-y-2 pt-2">
+          <p className="text-[11px] text-[var(--color-text-tertiary)]">
+            This app is using {formatBytes(storage.usage)} of the {formatBytes(storage.quota)} your browser allows it.
+          </p>
+          {storage.persisted ? (
+            <p className="text-[11px] text-[var(--color-text-tertiary)]">
+              Storage is persistent: the browser won&apos;t clear saved audio when space runs low.
+            </p>
+          ) : (
+            <>
+              <p className="text-[11px] text-[var(--color-text-tertiary)]">
+                The browser may clear saved audio if the device runs low on space. Ask it to keep everything.
+              </p>
+              <button onClick={readiness.requestPersistence} className={buttonClass} style={{ fontFamily: 'Azeret Mono, monospace' }}>
+                Keep Saved Audio
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
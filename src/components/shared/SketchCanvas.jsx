@@ -0,0 +1,235 @@
+/**
+ * SketchCanvas Component
+ * Freehand drawing surface for journal sketches: brushes, ink colors from
+ * the design tokens, undo/clear, and stylus/touch pressure where the device
+ * reports it. Hands a PNG blob (on the page background color) to `onSave`;
+ * storing it is up to the caller. Stroke model lives in utils/sketchStrokes.js.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  SKETCH_BRUSHES,
+  SKETCH_COLOR_TOKENS,
+  getPointPressure,
+  getVisibleStrokes,
+  renderSketch,
+  exportSketch,
+} from '../../utils/sketchStrokes';
+
+const chipClass = 'px-2 py-0.5 border text-[10px] uppercase tracking-wider transition-colors';
+
+export default function SketchCanvas({ onSave, saveLabel = 'Save sketch', aspectRatio = 4 / 3, className = '' }) {
+  const canvasRef = useRef(null);
+  const sizeRef = useRef({ width: 0, height: 0 });
+  const strokesRef = useRef([]);
+  const activeStrokeRef = useRef(null);
+  const activePointerRef = useRef(null);
+  const frameRef = useRef(null);
+
+  const [brush, setBrush] = useState('pen');
+  const [colorToken, setColorToken] = useState(SKETCH_COLOR_TOKENS[0]);
+  // Bumped whenever the stroke list changes, so Undo/Clear/Save re-render
+  const [, setStrokeCount] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redraw = useCallback(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+    const { width, height } = sizeRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const strokes = activeStrokeRef.current
+      ? [...strokesRef.current, activeStrokeRef.current]
+      : strokesRef.current;
+    renderSketch(ctx, strokes, width, height);
+  }, []);
+
+  // Coalesce pointer moves into one redraw per frame
+  const scheduleRedraw = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      redraw();
+    });
+  }, [redraw]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  // Match the backing store to the displayed size (in device pixels) and
+  // redraw whenever the canvas is resized
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+
+    const resize = () => {
+      const width = canvas.clientWidth;
+      const height = width / aspectRatio;
+      const dpr = window.devicePixelRatio || 1;
+      sizeRef.current = { width, height };
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      redraw();
+    };
+
+    resize();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [aspectRatio, redraw]);
+
+  const resolveToken = (token) =>
+    getComputedStyle(canvasRef.current).getPropertyValue(token).trim() || '#000';
+
+  const toPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) / rect.width,
+      y: (event.clientY - rect.top) / rect.height,
+      pressure: getPointPressure(event),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    // One stroke at a time: a second finger or a right click doesn't draw
+    if (activePointerRef.current !== null || e.button > 0) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    activePointerRef.current = e.pointerId;
+    activeStrokeRef.current = { brush, color: resolveToken(colorToken), points: [toPoint(e)] };
+    scheduleRedraw();
+  };
+
+  const handlePointerMove = (e) => {
+    const stroke = activeStrokeRef.current;
+    if (!stroke || e.pointerId !== activePointerRef.current) return;
+    // Fast strokes report several positions per event on supporting browsers
+    const coalesced = e.nativeEvent.getCoalescedEvents?.();
+    const events = coalesced?.length ? coalesced : [e];
+    events.forEach((event) => stroke.points.push(toPoint(event)));
+    scheduleRedraw();
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.pointerId !== activePointerRef.current) return;
+    const stroke = activeStrokeRef.current;
+    activeStrokeRef.current = null;
+    activePointerRef.current = null;
+    if (stroke) {
+      strokesRef.current = [...strokesRef.current, stroke];
+      setStrokeCount(strokesRef.current.length);
+    }
+    scheduleRedraw();
+  };
+
+  const handleUndo = () => {
+    strokesRef.current = strokesRef.current.slice(0, -1);
+    setStrokeCount(strokesRef.current.length);
+    redraw();
+  };
+
+  const handleClear = () => {
+    strokesRef.current = [...strokesRef.current, { clear: true }];
+    setStrokeCount(strokesRef.current.length);
+    redraw();
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const blob = await exportSketch(canvasRef.current, resolveToken('--bg-primary'));
+      await onSave(blob);
+    } catch (err) {
+      console.warn('Failed to save sketch:', err);
+      setError('Could not save the sketch. Please try again.');
+    }
+    setIsSaving(false);
+  };
+
+  const hasDrawing = getVisibleStrokes(strokesRef.current).length > 0;
+  const isErasing = SKETCH_BRUSHES[brush].erase;
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        aria-label="Sketch canvas"
+        className="block w-full border border-[var(--color-border)]"
+        style={{ aspectRatio, touchAction: 'none' }}
+      />
+
+      {/* Brushes */}
+      <div className="flex flex-wrap items-center gap-1.5 mt-3">
+        {Object.entries(SKETCH_BRUSHES).map(([id, option]) => (
+          <button
+            key={id}
+            onClick={() => setBrush(id)}
+            aria-pressed={brush === id}
+            className={`${chipClass} ${brush === id
+              ? 'border-[var(--accent)] text-[var(--accent)] bg-[var(--accent-bg)]'
+              : 'border-[var(--color-border)] text-[var(--color-text-secondary)] hover:border-[var(--color-text-primary)]'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Ink colors */}
+      <div className={`flex items-center gap-2 mt-3 transition-opacity ${isErasing ? 'opacity-30' : ''}`}>
+        {SKETCH_COLOR_TOKENS.map((token) => (
+          <button
+            key={token}
+            onClick={() => setColorToken(token)}
+            disabled={isErasing}
+            aria-label={`Ink ${token.replace(/^--/, '')}`}
+            aria-pressed={colorToken === token}
+            className="w-6 h-6 rounded-full"
+            style={{
+              backgroundColor: `var(${token})`,
+              boxShadow: colorToken === token
+                ? '0 0 0 2px var(--color-bg), 0 0 0 3px var(--accent)'
+                : '0 0 0 1px var(--color-border)',
+            }}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-2 mt-4">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleUndo}
+            disabled={strokesRef.current.length === 0}
+            className="text-[10px] uppercase tracking-wider text-[var(--color-text-secondary)] hover:opacity-70 disabled:opacity-30"
+          >
+            Undo
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={!hasDrawing}
+            className="text-[10px] uppercase tracking-wider text-[var(--color-text-secondary)] hover:opacity-70 disabled:opacity-30"
+          >
+            Clear
+          </button>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!hasDrawing || isSaving}
+          className="px-4 py-2 text-[10px] uppercase tracking-wider transition-opacity hover:opacity-80 disabled:opacity-40"
+          style={{ backgroundColor: 'var(--accent)', color: 'var(--bg-primary)' }}
+        >
+          {isSaving ? '...' : saveLabel}
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-[11px] text-[var(--accent)] mt-2" style={{ textTransform: 'none' }}>{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * VoiceMemoPlayer Component
+ * Inline play/stop for a journal entry's voice memo, with elapsed and total
+ * time. The blob is read from IndexedDB on first play, not on mount, so a
+ * list of entries doesn't load every recording up front.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getAudioMemo, getArchivedAudioMemo, formatMemoDuration } from '../../utils/audioMemoStorage';
+
+export default function VoiceMemoPlayer({ entryId, duration, archiveSessionId = null, className = '' }) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [isMissing, setIsMissing] = useState(false);
+  const playbackRef = useRef(null);
+
+  const stopPlayback = () => {
+    const playback = playbackRef.current;
+    if (!playback) return;
+    playback.audio.pause();
+    URL.revokeObjectURL(playback.url);
+    playbackRef.current = null;
+    setIsPlaying(false);
+    setElapsed(0);
+  };
+
+  // Release the object URL when the row or editor goes away
+  useEffect(() => () => stopPlayback(), []);
+
+  const handleToggle = async () => {
+    if (isPlaying) {
+      stopPlayback();
+      return;
+    }
+    const blob = await (archiveSessionId ? getArchivedAudioMemo(archiveSessionId, entryId) : getAudioMemo(entryId))
+      .catch(() => null);
+    if (!blob) {
+      setIsMissing(true);
+      return;
+    }
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    playbackRef.current = { audio, url };
+    audio.ontimeupdate = () => setElapsed(audio.currentTime);
+    audio.onended = stopPlayback;
+    audio.play()
+      .then(() => setIsPlaying(true))
+      .catch(stopPlayback);
+  };
+
+  if (isMissing) {
+    return (
+      <p className={`text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)] ${className}`}>
+        Voice memo not on this device
+      </p>
+    );
+  }
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <button
+        onClick={handleToggle}
+        aria-label={isPlaying ? 'Stop voice memo' : 'Play voice memo'}
+        className={`px-2 py-0.5 border text-[10px] uppercase tracking-wider transition-colors ${isPlaying
+          ? 'border-[var(--accent)] text-[var(--accent)]'
+          : 'border-[var(--color-border)] text-[var(--color-text-secondary)] hover:border-[var(--color-text-primary)]'}`}
+      >
+        {isPlaying ? 'Stop' : 'Play'}
+      </button>
+      <span className="text-[10px] uppercase tracking-wider text-[var(--color-text-tertiary)]">
+        Voice memo · {isPlaying ? `${formatMemoDuration(elapsed)} / ` : ''}{formatMemoDuration(duration)}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * VoiceMemoRecorder Component
+ * Record/stop button for speaking a journal entry instead of typing it,
+ * with a running timer while the microphone is on. Hands the finished
+ * recording to `onRecorded`; saving it is up to the caller.
+ */
+
+import { useState, useEffect } from 'react';
+import { useVoiceRecorder } from '../../hooks/useVoiceRecorder';
+import { formatMemoDuration } from '../../utils/audioMemoStorage';
+
+export default function VoiceMemoRecorder({ onRecorded, label = 'Record voice memo', className = '' }) {
+  const { isRecording, error, start, stop } = useVoiceRecorder();
+  const [startedAt, setStartedAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isRecording) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(interval);
+  }, [isRecording]);
+
+  const handleToggle = async () => {
+    if (!isRecording) {
+      if (await start()) {
+        setStartedAt(Date.now());
+        setNow(Date.now());
+      }
+      return;
+    }
+    const recording = await stop();
+    if (recording) {
+      await onRecorded({ ...recording, type: recording.blob.type });
+    }
+  };
+
+  return (
+    <div className={className}>
+      <button
+        onClick={handleToggle}
+        aria-pressed={isRecording}
+        className={`px-3 py-1.5 border text-[10px] uppercase tracking-wider transition-colors ${isRecording
+          ? 'border-[var(--accent)] text-[var(--accent)] bg-[var(--accent-bg)]'
+          : 'border-[var(--color-border)] text-[var(--color-text-secondary)] hover:border-[var(--color-text-primary)]'}`}
+      >
+        {isRecording ? `Stop · ${formatMemoDuration((now - startedAt) / 1000)}` : label}
+      </button>
+      {error && (
+        <p className="text-[11px] text-[var(--accent)] mt-1" style={{ textTransform: 'none' }}>{error}</p>
+      )}
+    </div>
+  );
+}
@@ -5,11 +5,12 @@
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { moduleLibrary, canAddModuleToPhase, MODULE_CATEGORIES, FRAMEWORKS } from '../../content/modules';
+import { moduleLibrary, getUserModules, canAddModuleToPhase, MODULE_CATEGORIES, FRAMEWORKS } from '../../content/modules';
 import { CircleXIcon, StarIcon, SearchIcon, BookHeartIcon } from '../shared/Icons';
 import ModuleDetailModal from './ModuleDetailModal';
 import { getModuleIcon } from './getModuleIcon';
 import { useAppStore } from '../../stores/useAppStore';
+import { useCustomMeditationStore } from '../../stores/useCustomMeditationStore';
 
 // Check if query is an exact match for a framework abbreviation, label, or key
 function getExactFrameworkMatch(query) {
@@ -69,6 +70,8 @@ function matchesSearch(module, query) {
 export default function ModuleLibraryDrawer({ phase, onSelect, onClose, externalClosing = false }) {
   const [filter, setFilter] = useState(phase === 'preview' ? 'all' : 'recommended'); // 'all' | 'recommended' | 'favorites'
   const favoriteModules = useAppStore((s) => s.favoriteModules || []);
+  // Re-render when the user library changes (custom meditations)
+  useCustomMeditationStore((s) => s.meditations);
   const [isAnimatingOut, setIsAnimatingOut] = useState(false);
   const isClosing = isAnimatingOut || externalClosing;
   const [selectedModule, setSelectedModule] = useState(null);
@@ -100,8 +103,8 @@ export default function ModuleLibraryDrawer({ phase, onSelect, onClose, external
     setTimeout(onClose, 350);
   }, [onClose]);
 
-  // Get modules that can be added to this phase
-  const availableModules = moduleLibrary.filter((module) => {
+  // Get modules that can be added to this phase, the user's own last
+  const availableModules = [...moduleLibrary, ...getUserModules()].filter((module) => {
     if (module.hidden) return false; // Hide linked parts (shown via parent entry)
     // Search-only modules (e.g. dev test modules) only surface when the user
     // explicitly searches for them — never in All / Recommended / Favorites.
@@ -0,0 +1,253 @@
+/**
+ * AppLockSettings Component
+ * Settings row for the optional app lock: turn it on with a PIN, change the
+ * PIN, add a passkey, and pick the auto-lock timeout. The lock itself lives
+ * in stores/useAppLockStore.js.
+ */
+
+import { useState, useEffect } from 'react';
+import { useAppLockStore, AUTO_LOCK_OPTIONS, PIN_MIN_LENGTH, PIN_MAX_LENGTH } from '../../stores/useAppLockStore';
+import { isPasskeyAvailable } from '../../services/passkeyService';
+
+const AUTO_LOCK_LABELS = {
+  0: 'IMMEDIATELY',
+  1: '1 MIN',
+  5: '5 MIN',
+  15: '15 MIN',
+  60: '1 HOUR',
+  null: 'ON LAUNCH',
+};
+
+const inputClassName =
+  'w-full py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 bg-transparent text-[11px] tracking-wider focus:outline-none focus:border-app-black dark:focus:border-app-white';
+
+// Kept in plaintext even while locked; shown wherever the lock is described
+const NOT_PROTECTED =
+  'Not encrypted: app preferences, and files you export or back up without a passphrase.';
+
+// Which PIN fields each dialog asks for
+const PIN_DIALOGS = {
+  enable: {
+    title: 'Turn On App Lock',
+    description: `Choose a PIN of ${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digits. Your journal, current session, past sessions, AI conversations, meditations you wrote, images and voice recordings will be encrypted on this device with a key only this PIN (or a passkey you add) can unlock.`,
+    warning: `${NOT_PROTECTED} If you forget the PIN, the only way back in is to erase the encrypted data.`,
+    fields: ['newPin', 'confirmPin'],
+    submitLabel: 'Turn on',
+  },
+  change: {
+    title: 'Change PIN',
+    fields: ['currentPin', 'newPin', 'confirmPin'],
+    submitLabel: 'Change PIN',
+  },
+  disable: {
+    title: 'Turn Off App Lock',
+    description: 'Your data will be stored unencrypted again, and the app will open without a PIN.',
+    fields: ['currentPin'],
+    submitLabel: 'Turn off',
+  },
+};
+
+const FIELD_PLACEHOLDERS = {
+  currentPin: 'Current PIN',
+  newPin: 'New PIN',
+  confirmPin: 'Confirm new PIN',
+};
+
+function PinDialog({ dialog, onSubmit, onClose }) {
+  const { title, description, warning, fields, submitLabel } = PIN_DIALOGS[dialog];
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const isComplete = fields.every((field) => values[field]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isComplete || isWorking) return;
+    if (fields.includes('confirmPin') && values.newPin !== values.confirmPin) {
+      setError('PINs don\'t match.');
+      return;
+    }
+    setIsWorking(true);
+    setError(null);
+    try {
+      await onSubmit(values);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Something went wrong.');
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-6" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm p-6 space-y-4"
+        style={{ backgroundColor: 'var(--bg-primary)', border: '1px solid var(--border)' }}
+      >
+        <p className="text-[12px] uppercase tracking-wider font-bold">{title}</p>
+        {description && <p style={{ color: 'var(--text-primary)' }}>{description}</p>}
+        {warning && <p style={{ color: 'var(--text-tertiary)' }}>{warning}</p>}
+        <div className="space-y-2">
+          {fields.map((field, i) => (
+            <input
+              key={field}
+              type="password"
+              inputMode="numeric"
+              autoComplete={field === 'currentPin' ? 'current-password' : 'new-password'}
+              maxLength={PIN_MAX_LENGTH}
+              value={values[field] || ''}
+              onChange={(e) => setValues((prev) => ({ ...prev, [field]: e.target.value.replace(/\D/g, '') }))}
+              placeholder={FIELD_PLACEHOLDERS[field]}
+              aria-label={FIELD_PLACEHOLDERS[field]}
+              className={inputClassName}
+              autoFocus={i === 0}
+            />
+          ))}
+          {error && <p className="text-[10px] text-[var(--accent)]">{error}</p>}
+        </div>
+        <div className="space-y-2 pt-2">
+          <button
+            type="submit"
+            disabled={!isComplete || isWorking}
+            className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-80 disabled:opacity-40"
+            style={{ backgroundColor: 'var(--accent)', color: 'var(--bg-primary)' }}
+          >
+            {isWorking ? 'Working…' : submitLabel}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+            style={{ border: '1px solid var(--border)' }}
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default function AppLockSettings() {
+  const enabled = useAppLockStore((state) => state.enabled);
+  const hasPasskey = useAppLockStore((state) => !!state.passkey);
+  const autoLockMinutes = useAppLockStore((state) => state.autoLockMinutes);
+  const enableLock = useAppLockStore((state) => state.enableLock);
+  const disableLock = useAppLockStore((state) => state.disableLock);
+  const changePin = useAppLockStore((state) => state.changePin);
+  const addPasskey = useAppLockStore((state) => state.addPasskey);
+  const removePasskey = useAppLockStore((state) => state.removePasskey);
+  const setAutoLockMinutes = useAppLockStore((state) => state.setAutoLockMinutes);
+
+  const [dialog, setDialog] = useState(null); // null | 'enable' | 'change' | 'disable'
+  const [canUsePasskey, setCanUsePasskey] = useState(false);
+  const [passkeyError, setPasskeyError] = useState(null);
+  const [isAddingPasskey, setIsAddingPasskey] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    isPasskeyAvailable().then((available) => {
+      if (!cancelled) setCanUsePasskey(available);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleDialogSubmit = ({ currentPin, newPin }) => {
+    if (dialog === 'enable') return enableLock(newPin);
+    if (dialog === 'change') return changePin(currentPin, newPin);
+    return disableLock(currentPin);
+  };
+
+  const handleAddPasskey = async () => {
+    setIsAddingPasskey(true);
+    setPasskeyError(null);
+    try {
+      await addPasskey();
+    } catch (err) {
+      // NotAllowedError = the user dismissed the system prompt
+      if (err.name !== 'NotAllowedError') {
+        setPasskeyError(err.message || 'Could not add a passkey.');
+      }
+    }
+    setIsAddingPasskey(false);
+  };
+
+  const cycleAutoLock = () => {
+    const index = AUTO_LOCK_OPTIONS.indexOf(autoLockMinutes);
+    setAutoLockMinutes(AUTO_LOCK_OPTIONS[(index + 1) % AUTO_LOCK_OPTIONS.length]);
+  };
+
+  return (
+    <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+      <div className="flex items-center justify-between">
+        <span className="text-[12px] uppercase tracking-wider">App Lock</span>
+        <button
+          onClick={() => setDialog(enabled ? 'disable' : 'enable')}
+          aria-pressed={enabled}
+          aria-label="App lock"
+          className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+          style={{ fontFamily: 'Azeret Mono, monospace' }}
+        >
+          {enabled ? 'ON' : 'OFF'}
+        </button>
+      </div>
+
+      {enabled && (
+        <div className="mt-2">
+          <div className="flex items-center justify-between py-2">
+            <span className="text-[12px] uppercase tracking-wider text-[var(--color-text-secondary)]">Auto-Lock</span>
+            <button
+              onClick={cycleAutoLock}
+              className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              {AUTO_LOCK_LABELS[autoLockMinutes]}
+            </button>
+          </div>
+          <div className="flex items-center justify-between py-2">
+            <span className="text-[12px] uppercase tracking-wider text-[var(--color-text-secondary)]">PIN</span>
+            <button
+              onClick={() => setDialog('change')}
+              className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              CHANGE
+            </button>
+          </div>
+          {(canUsePasskey || hasPasskey) && (
+            <div className="flex items-center justify-between py-2">
+              <span className="text-[12px] uppercase tracking-wider text-[var(--color-text-secondary)]">Passkey</span>
+              <button
+                onClick={hasPasskey ? removePasskey : handleAddPasskey}
+                disabled={isAddingPasskey}
+                className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity disabled:opacity-40"
+                style={{ fontFamily: 'Azeret Mono, monospace' }}
+              >
+                {hasPasskey ? 'REMOVE' : 'ADD'}
+              </button>
+            </div>
+          )}
+          {passkeyError && (
+            <p className="text-[10px] text-[var(--accent)]">{passkeyError}</p>
+          )}
+        </div>
+      )}
+
+      <p className="text-[11px] text-[var(--color-text-tertiary)] mt-2">
+        {enabled
+          ? `Double-tap with two fingers anywhere to lock instantly. ${NOT_PROTECTED}`
+          : 'Require a PIN or passkey to open the app, and encrypt your journal, sessions, AI conversations, meditations, images and voice recordings on this device.'}
+      </p>
+
+      {dialog && (
+        <PinDialog
+          dialog={dialog}
+          onSubmit={handleDialogSubmit}
+          onClose={() => setDialog(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+/**
+ * BackupModal Component
+ * Create or restore a full-device backup (all stores + journal images, voice memos and recorded voice clips).
+ * Rendered from SettingsTool in the same confirmation-modal style.
+ */
+
+import { useState, useRef } from 'react';
+import { createBackup, readBackupFile, restoreBackup, getBackupFilename } from '../../utils/backupData';
+import { downloadFile } from '../../utils/downloadSessionData';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const inputClassName =
+  'w-full py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 bg-transparent text-[11px] tracking-wider focus:outline-none focus:border-app-black dark:focus:border-app-white';
+
+export default function BackupModal({ mode, onClose }) {
+  const isExport = mode === 'export';
+
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [envelope, setEnvelope] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const passphraseMismatch = isExport && passphrase && passphrase !== confirmPassphrase;
+  const passphraseTooShort = isExport && passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH;
+
+  const handleCreate = async () => {
+    if (passphraseMismatch || passphraseTooShort) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      const content = await createBackup({ passphrase });
+      downloadFile(content, getBackupFilename(), 'application/json');
+      onClose();
+    } catch (err) {
+      console.error('Failed to create backup:', err);
+      setError('Could not create the backup. Please try again.');
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    setPassphrase('');
+    try {
+      setEnvelope(readBackupFile(await file.text()));
+    } catch (err) {
+      setEnvelope(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!envelope) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      setSummary(await restoreBackup(envelope, passphrase));
+    } catch (err) {
+      console.error('Failed to restore backup:', err);
+      setError(err.message || 'Could not restore the backup.');
+    }
+    setIsWorking(false);
+  };
+
+  const renderExport = () => (
+    <>
+      <p style={{ color: 'var(--text-primary)' }}>
+        Creates a single file containing your current session, past sessions, journal entries
+        with their images and voice memos, AI conversations, meditations you wrote and the
+        voice you recorded for them, and app preferences. Use it to move your data to a new device.
+      </p>
+      <p style={{ color: 'var(--text-tertiary)' }}>
+        Add a passphrase to encrypt the file. Without it, anyone who gets the file can read it.
+        Your AI API key is not included.
+      </p>
+      <div className="space-y-2">
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase (optional)"
+          className={inputClassName}
+        />
+        {passphrase && (
+          <input
+            type="password"
+            autoComplete="new-password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            placeholder="Confirm passphrase"
+            className={inputClassName}
+          />
+        )}
+        {passphraseTooShort && (
+          <p className="text-[10px] text-[var(--accent)]">
+            Use at least {MIN_PASSPHRASE_LENGTH} characters.
+          </p>
+        )}
+        {!passphraseTooShort && passphraseMismatch && confirmPassphrase && (
+          <p className="text-[10px] text-[var(--accent)]">Passphrases don&apos;t match.</p>
+        )}
+      </div>
+    </>
+  );
+
+  const renderImport = () => {
+    if (summary) {
+      return (
+        <p style={{ color: 'var(--text-primary)' }}>
+          Backup restored: {summary.journalEntries} journal entr{summary.journalEntries === 1 ? 'y' : 'ies'},{' '}
+          {summary.sessions} past session{summary.sessions === 1 ? '' : 's'}, {summary.images} image
+          {summary.images === 1 ? '' : 's'}, {summary.audioMemos} voice memo{summary.audioMemos === 1 ? '' : 's'}, and{' '}
+          {summary.voiceClips} recorded voice clip{summary.voiceClips === 1 ? '' : 's'}.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <p style={{ color: 'var(--text-primary)' }}>
+          Restoring a backup replaces all data currently on this device, including your current
+          session, past sessions, and journal entries.
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="w-full py-2 text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity border border-[var(--color-border)]"
+          style={{ fontFamily: 'Azeret Mono, monospace' }}
+        >
+          {envelope ? 'Choose a Different File' : 'Choose Backup File'}
+        </button>
+        {envelope && (
+          <p style={{ color: 'var(--text-tertiary)' }}>
+            Backup from {new Date(envelope.createdAt).toLocaleString()}
+            {envelope.encrypted ? ' · encrypted' : ''}
+          </p>
+        )}
+        {envelope?.encrypted && (
+          <input
+            type="password"
+            autoComplete="off"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Backup passphrase"
+            className={inputClassName}
+          />
+        )}
+      </>
+    );
+  };
+
+  const primaryDisabled = isWorking || (isExport
+    ? passphraseMismatch || passphraseTooShort
+    : !envelope || (envelope.encrypted && !passphrase));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-6" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
+      <div className="w-full max-w-sm p-6 space-y-4" style={{ backgroundColor: 'var(--bg-primary)', border: '1px solid var(--border)' }}>
+        <p className="text-[12px] uppercase tracking-wider font-bold">
+          {isExport ? 'Create Backup' : 'Restore Backup'}
+        </p>
+
+        {isExport ? renderExport() : renderImport()}
+
+        {error && <p className="text-[10px] text-[var(--accent)]">{error}</p>}
+
+        <div className="space-y-2 pt-2">
+          {!summary && (
+            <button
+              onClick={isExport ? handleCreate : handleRestore}
+              disabled={primaryDisabled}
+              className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-80 disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ backgroundColor: 'var(--accent)', color: 'var(--bg-primary)' }}
+            >
+              {isWorking ? '...' : isExport ? 'Download backup' : 'Yes, replace my data'}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            disabled={isWorking}
+            className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+            style={{ border: '1px solid var(--border)' }}
+          >
+            {summary ? 'Done' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
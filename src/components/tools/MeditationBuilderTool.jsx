@@ -0,0 +1,283 @@
+/**
+ * MeditationBuilderTool Component
+ * Write your own guided meditation: its lines, the pause after each, and the
+ * range of lengths it can be played at. Lines marked "stretch" get longer
+ * pauses when a longer length is picked, the same way the authored
+ * meditations expand their silences.
+ *
+ * Saved meditations are read aloud by the device's voice, or by your own
+ * once every line is recorded (Record Your Own Voice), and appear in the
+ * activity library under Your Meditations.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { estimateMeditationDurationSeconds } from '../../content/meditations';
+import {
+  SPEECH_RATE,
+  SPEECH_VOICE_ID,
+  buildCustomMeditation,
+} from '../../content/meditations/customMeditations';
+import {
+  useCustomMeditationStore,
+  createCustomMeditationDraft,
+  createPromptLine,
+} from '../../stores/useCustomMeditationStore';
+import { isSpeechSupported } from '../../hooks/useSpeechLayer';
+
+const buttonClass = 'flex-1 py-2 border border-[var(--color-text-tertiary)] text-[11px] uppercase tracking-wider hover:border-[var(--color-text-primary)] transition-colors disabled:opacity-40';
+const linkClass = 'text-[11px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70 transition-opacity disabled:opacity-30';
+const inputClass = 'w-full py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 bg-transparent text-[12px] focus:outline-none focus:border-app-black dark:focus:border-app-white';
+
+const PAUSE_STEP = 5;
+const PAUSE_MAX = 120;
+const DURATION_MAX = 60;
+
+function Stepper({ label, value, unit, onChange, min, max, step = 1 }) {
+  return (
+    <div className="flex items-center justify-between py-1">
+      <span className="text-[11px] uppercase tracking-wider text-[var(--color-text-secondary)]">{label}</span>
+      <span className="flex items-center gap-3" style={{ fontFamily: 'Azeret Mono, monospace' }}>
+        <button onClick={() => onChange(value - step)} disabled={value <= min} aria-label={`Less ${label.toLowerCase()}`} className={linkClass}>−</button>
+        <span className="text-[12px] w-14 text-center">{value}{unit}</span>
+        <button onClick={() => onChange(value + step)} disabled={value >= max} aria-label={`More ${label.toLowerCase()}`} className={linkClass}>+</button>
+      </span>
+    </div>
+  );
+}
+
+function speakPreview(text) {
+  if (!isSpeechSupported() || !text.trim()) return;
+  window.speechSynthesis.cancel();
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.rate = SPEECH_RATE;
+  window.speechSynthesis.speak(utterance);
+}
+
+function MeditationEditor({ initialDraft, onDone }) {
+  const saveMeditation = useCustomMeditationStore((state) => state.saveMeditation);
+  const [draft, setDraft] = useState(initialDraft);
+
+  // Stop any preview when leaving the editor
+  useEffect(() => () => {
+    if (isSpeechSupported()) window.speechSynthesis.cancel();
+  }, []);
+
+  const update = (changes) => setDraft((current) => ({ ...current, ...changes }));
+  const updateLine = (index, changes) => setDraft((current) => ({
+    ...current,
+    prompts: current.prompts.map((p, i) => (i === index ? { ...p, ...changes } : p)),
+  }));
+  const moveLine = (index, delta) => setDraft((current) => {
+    const prompts = [...current.prompts];
+    [prompts[index], prompts[index + delta]] = [prompts[index + delta], prompts[index]];
+    return { ...current, prompts };
+  });
+  const removeLine = (index) => setDraft((current) => ({
+    ...current,
+    prompts: current.prompts.filter((_, i) => i !== index),
+  }));
+
+  // Shortest length: every line spoken, pauses as written, plus the gongs
+  const shortestMinutes = useMemo(() => {
+    const seconds = estimateMeditationDurationSeconds(buildCustomMeditation(draft), { voiceId: SPEECH_VOICE_ID });
+    return Math.max(1, Math.ceil(seconds / 60));
+  }, [draft]);
+
+  const lineCount = draft.prompts.filter((p) => p.text.trim()).length;
+  const canStretch = draft.prompts.some((p) => p.text.trim() && p.silenceExpandable && p.baseSilenceAfter > 0);
+  const problem = !draft.title.trim()
+    ? 'Give your meditation a title.'
+    : lineCount === 0
+      ? 'Write at least one line.'
+      : draft.minDuration < shortestMinutes
+        ? `The lines and pauses take about ${shortestMinutes} min, so the shortest length can't be less than that.`
+        : null;
+
+  const setMinDuration = (minutes) => update({
+    minDuration: minutes,
+    maxDuration: Math.max(minutes, draft.maxDuration),
+  });
+
+  const handleSave = () => {
+    if (problem) return;
+    saveMeditation({ ...draft, prompts: draft.prompts.filter((p) => p.text.trim()) });
+    onDone();
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <input
+          type="text"
+          value={draft.title}
+          onChange={(e) => update({ title: e.target.value })}
+          placeholder="Title"
+          aria-label="Title"
+          maxLength={60}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={draft.description}
+          onChange={(e) => update({ description: e.target.value })}
+          placeholder="A short description (optional)"
+          aria-label="Description"
+          maxLength={160}
+          className={inputClass}
+        />
+      </div>
+
+      {/* Lines */}
+      <div className="space-y-4">
+        {draft.prompts.map((line, index) => (
+          <div key={line.id} className="space-y-2 pb-4 border-b border-app-gray-200 dark:border-app-gray-800">
+            <div className="flex items-center justify-between">
+              <span className="text-[11px] uppercase tracking-wider text-[var(--color-text-tertiary)]">Line {index + 1}</span>
+              <span className="flex gap-3">
+                <button onClick={() => speakPreview(line.text)} disabled={!isSpeechSupported() || !line.text.trim()} className={linkClass}>Listen</button>
+                <button onClick={() => moveLine(index, -1)} disabled={index === 0} aria-label={`Move line ${index + 1} up`} className={linkClass}>↑</button>
+                <button onClick={() => moveLine(index, 1)} disabled={index === draft.prompts.length - 1} aria-label={`Move line ${index + 1} down`} className={linkClass}>↓</button>
+                <button onClick={() => removeLine(index)} disabled={draft.prompts.length === 1} aria-label={`Remove line ${index + 1}`} className={linkClass}>×</button>
+              </span>
+            </div>
+            <textarea
+              value={line.text}
+              onChange={(e) => updateLine(index, { text: e.target.value })}
+              placeholder="What the voice says…"
+              aria-label={`Line ${index + 1}`}
+              rows={2}
+              className={`${inputClass} resize-none leading-relaxed`}
+              style={{ textTransform: 'none' }}
+            />
+            <Stepper
+              label="Pause after"
+              value={line.baseSilenceAfter}
+              unit="s"
+              step={PAUSE_STEP}
+              min={0}
+              max={PAUSE_MAX}
+              onChange={(seconds) => updateLine(index, { baseSilenceAfter: Math.max(0, Math.min(PAUSE_MAX, seconds)) })}
+            />
+            <div className="flex items-center justify-between py-1">
+              <span className="text-[11px] uppercase tracking-wider text-[var(--color-text-secondary)]">Stretch for longer lengths</span>
+              <button
+                onClick={() => updateLine(index, { silenceExpandable: !line.silenceExpandable })}
+                aria-pressed={line.silenceExpandable}
+                aria-label={`Stretch the pause after line ${index + 1}`}
+                className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+                style={{ fontFamily: 'Azeret Mono, monospace' }}
+              >
+                {line.silenceExpandable ? 'ON' : 'OFF'}
+              </button>
+            </div>
+          </div>
+        ))}
+        <button
+          onClick={() => update({ prompts: [...draft.prompts, createPromptLine()] })}
+          className={`${buttonClass} w-full`}
+        >
+          Add a line
+        </button>
+      </div>
+
+      {/* Length */}
+      <div className="space-y-1">
+        <Stepper label="Shortest" value={draft.minDuration} unit=" min" min={1} max={DURATION_MAX} onChange={setMinDuration} />
+        <Stepper
+          label="Longest"
+          value={draft.maxDuration}
+          unit=" min"
+          min={draft.minDuration}
+          max={DURATION_MAX}
+          onChange={(minutes) => update({ maxDuration: minutes })}
+        />
+        <p className="text-[11px] text-[var(--color-text-tertiary)] pt-1" style={{ textTransform: 'none' }}>
+          As written, this takes about {shortestMinutes} min.
+          {draft.maxDuration > draft.minDuration && !canStretch && ' Turn on stretch for at least one pause so longer lengths have room to grow.'}
+        </p>
+      </div>
+
+      {problem && (
+        <p className="text-[11px] text-[var(--accent)]" style={{ textTransform: 'none' }}>{problem}</p>
+      )}
+
+      <div className="flex gap-2">
+        <button onClick={handleSave} disabled={!!problem} className={buttonClass}>Save</button>
+        <button onClick={onDone} className={buttonClass}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default function MeditationBuilderTool() {
+  const meditations = useCustomMeditationStore((state) => state.meditations);
+  const deleteMeditation = useCustomMeditationStore((state) => state.deleteMeditation);
+  const [editing, setEditing] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  return (
+    <div className="py-6 px-6 max-w-xl mx-auto space-y-6">
+      <p className="text-[11px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+        Write a meditation in your own words. Your device&apos;s voice reads it aloud, or record it yourself under
+        Record Your Own Voice. Add it to your timeline from the activity library, under Your Meditations.
+      </p>
+
+      {!isSpeechSupported() && (
+        <p className="text-[11px] text-[var(--accent)]" style={{ textTransform: 'none' }}>
+          This browser can&apos;t read text aloud. Your meditations will show their words on screen in silence
+          until you record them in your own voice.
+        </p>
+      )}
+
+      {editing ? (
+        <MeditationEditor initialDraft={editing} onDone={() => setEditing(null)} />
+      ) : (
+        <>
+          {meditations.length > 0 && (
+            <div>
+              {meditations.map((meditation) => (
+                <div key={meditation.id} className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-[12px] uppercase tracking-wider truncate" style={{ fontFamily: 'Azeret Mono, monospace' }}>
+                        {meditation.title}
+                      </p>
+                      <p className="text-[11px] text-[var(--color-text-tertiary)] mt-1">
+                        {meditation.prompts.length} {meditation.prompts.length === 1 ? 'line' : 'lines'} ·{' '}
+                        {meditation.minDuration === meditation.maxDuration
+                          ? `${meditation.minDuration} min`
+                          : `${meditation.minDuration}–${meditation.maxDuration} min`}
+                      </p>
+                    </div>
+                    <span className="flex gap-3 shrink-0">
+                      <button onClick={() => setEditing(meditation)} className={linkClass}>Edit</button>
+                      <button onClick={() => setConfirmDeleteId(meditation.id)} className={linkClass}>Delete</button>
+                    </span>
+                  </div>
+                  {confirmDeleteId === meditation.id && (
+                    <div className="flex gap-2 mt-3">
+                      <button
+                        onClick={() => {
+                          deleteMeditation(meditation.id);
+                          setConfirmDeleteId(null);
+                        }}
+                        className={`${buttonClass} text-[var(--accent)]`}
+                      >
+                        Yes, delete it and its recordings
+                      </button>
+                      <button onClick={() => setConfirmDeleteId(null)} className={buttonClass}>Cancel</button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button onClick={() => setEditing(createCustomMeditationDraft())} className={`${buttonClass} w-full`}>
+            Write a new meditation
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+/**
+ * OfflineReadinessModal Component
+ * Settings → Offline Readiness: the current timeline's audio, what's saved
+ * on this device, and a download for the rest. Closing the modal doesn't
+ * cancel a download in progress; the files keep landing in the cache.
+ */
+
+import { useOfflineReadiness } from '../../hooks/useOfflineReadiness';
+import OfflineReadinessPanel from '../shared/OfflineReadinessPanel';
+
+export default function OfflineReadinessModal({ onClose }) {
+  const readiness = useOfflineReadiness();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-6" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
+      <div
+        className="w-full max-w-sm p-6 space-y-4 max-h-[85vh] overflow-y-auto"
+        style={{ backgroundColor: 'var(--bg-primary)', border: '1px solid var(--border)' }}
+      >
+        <p className="text-[12px] uppercase tracking-wider font-bold">Offline Readiness</p>
+
+        <OfflineReadinessPanel readiness={readiness} />
+
+        <div className="pt-2">
+          <button
+            onClick={onClose}
+            className="w-full py-3 text-[12px] uppercase tracking-wider transition-opacity hover:opacity-70"
+            style={{ border: '1px solid var(--border)' }}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
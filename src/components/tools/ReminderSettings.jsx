@@ -0,0 +1,58 @@
+/**
+ * ReminderSettings Component
+ * Per-type opt-in for scheduled reminders, shown under the Notifications
+ * setting. Scheduling itself lives in hooks/useReminderScheduler.js.
+ */
+
+import { useAppStore } from '../../stores/useAppStore';
+import { REMINDER_TYPES } from '../../content/reminders';
+import { getReminderDeliveryMode } from '../../services/reminderService';
+
+const DELIVERY_NOTES = {
+  scheduled: 'Reminders are scheduled on this device and arrive even if the app is closed.',
+  background: 'Reminders arrive in the background, though your device may deliver them a few minutes late.',
+  'open-app': 'On this device, reminders only arrive while the app is open, even in the background. Keep it open during your session.',
+};
+
+export default function ReminderSettings() {
+  const notificationsEnabled = useAppStore((state) => state.preferences.notificationsEnabled);
+  const reminders = useAppStore((state) => state.preferences.reminders) || {};
+  const setReminderEnabled = useAppStore((state) => state.setReminderEnabled);
+
+  return (
+    <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+      <span className="text-[12px] uppercase tracking-wider">Reminders</span>
+
+      {!notificationsEnabled ? (
+        <p className="text-[11px] text-[var(--color-text-tertiary)] mt-2">
+          Turn on notifications to choose reminders.
+        </p>
+      ) : (
+        <>
+          <div className="mt-2">
+            {REMINDER_TYPES.map((type) => (
+              <div key={type.id} className="flex items-start justify-between gap-4 py-2">
+                <div>
+                  <p className="text-[12px] uppercase tracking-wider text-[var(--color-text-secondary)]">{type.label}</p>
+                  <p className="text-[11px] text-[var(--color-text-tertiary)] mt-0.5">{type.description}</p>
+                </div>
+                <button
+                  onClick={() => setReminderEnabled(type.id, !reminders[type.id])}
+                  aria-pressed={!!reminders[type.id]}
+                  aria-label={`${type.label} reminder`}
+                  className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity shrink-0"
+                  style={{ fontFamily: 'Azeret Mono, monospace' }}
+                >
+                  {reminders[type.id] ? 'ON' : 'OFF'}
+                </button>
+              </div>
+            ))}
+          </div>
+          <p className="text-[11px] text-[var(--color-text-tertiary)] mt-1">
+            {DELIVERY_NOTES[getReminderDeliveryMode()]}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
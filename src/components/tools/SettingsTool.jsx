@@ -10,12 +10,20 @@ import { useJournalStore } from '../../stores/useJournalStore';
 import { useToolsStore } from '../../stores/useToolsStore';
 import { useAIStore } from '../../stores/useAIStore';
 import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore';
-import { downloadSessionData, downloadSessionImages } from '../../utils/downloadSessionData';
-import { AIService, getAvailableModels, getProviderInfo } from '../../services/aiService';
-import { getAvailableVoices } from '../../content/meditations';
-import { precacheAudioForTimeline } from '../../services/audioCacheService';
+import { downloadSessionData, downloadSessionImages, downloadSessionAudio } from '../../utils/downloadSessionData';
+import { AIService, getAvailableModels, getProviderInfo, normalizeBaseUrl } from '../../services/aiService';
+import { getAvailableVoices, getAllMeditations } from '../../content/meditations';
+import { RECORDED_VOICE_ID, hasCompleteRecording } from '../../content/meditations/recordedVoice';
+import { useVoiceRecordingStore } from '../../stores/useVoiceRecordingStore';
+import { getVoiceClip } from '../../utils/voiceRecordingStorage';
+import { precacheAudioForTimeline, precacheSoundscape } from '../../services/audioCacheService';
+import { SOUNDSCAPES, getSoundscapeById } from '../../content/soundscapes';
 import { audioPath } from '../../utils/audioPath';
 import DebugModeTool from './DebugModeTool';
+import BackupModal from './BackupModal';
+import OfflineReadinessModal from './OfflineReadinessModal';
+import ReminderSettings from './ReminderSettings';
+import AppLockSettings from './AppLockSettings';
 import { APP_VERSION } from '../../constants';
 import { CircleSkipIcon, CirclePlusIcon } from '../shared/Icons';
 
@@ -35,12 +43,15 @@ export default function SettingsTool() {
   const setPreference = useAppStore((state) => state.setPreference);
   const currentTab = useAppStore((state) => state.currentTab);
   const resetSession = useSessionStore((state) => state.resetSession);
-  const hasImages = useJournalStore((state) => state.entries.some((e) => e.hasImage && e.source === 'session'));
+  const hasImages = useJournalStore((state) => state.entries.some((e) => e.hasImage));
+  const hasAudio = useJournalStore((state) => state.entries.some((e) => e.audio));
 
   // Default voice — two-state model. The cycler reads/writes a local pending
   // value so rapid toggling doesn't touch the store or the PWA cache. The
   // commit fires only when the user leaves the Tools tab AND the pending
   // value differs from what's already committed.
+  // Subscribed so "My Voice" appears as soon as a recording is completed
+  useVoiceRecordingStore((state) => state.clips);
   const availableVoices = getAvailableVoices();
   const [pendingVoiceId, setPendingVoiceId] = useState(
     preferences.defaultVoiceId || availableVoices[0]?.id || 'theo'
@@ -69,7 +80,8 @@ export default function SettingsTool() {
   }, [currentTab, pendingVoiceId, setPreference]);
 
   // Voice preview playback. Plays a single sample clip from
-  // /audio/voice-previews/[voiceId].mp3. Fails silently if a preview file is
+  // /audio/voice-previews/[voiceId].mp3 (or the first line of a recorded
+  // meditation for "My Voice"). Fails silently if a preview file is
   // missing. Cycling to a different voice or pressing Preview while playing
   // triggers a short fade-out so the cut isn't jarring.
   const previewAudioRef = useRef(null);
@@ -105,19 +117,28 @@ export default function SettingsTool() {
     setIsPreviewPlaying(false);
   };
 
-  const handlePreviewToggle = () => {
+  const resolvePreviewUrl = async (voiceId) => {
+    if (voiceId !== RECORDED_VOICE_ID) return audioPath(`/audio/voice-previews/${voiceId}.mp3`);
+    const meditation = getAllMeditations().find(hasCompleteRecording);
+    const blob = meditation ? await getVoiceClip(meditation.id, meditation.prompts[0].id) : null;
+    return blob ? URL.createObjectURL(blob) : null;
+  };
+
+  const handlePreviewToggle = async () => {
     if (isPreviewPlaying) {
       stopPreview();
       return;
     }
     if (!pendingVoiceId) return;
-    const url = audioPath(`/audio/voice-previews/${pendingVoiceId}.mp3`);
+    const url = await resolvePreviewUrl(pendingVoiceId);
+    if (!url) return;
     const audio = new Audio(url);
     previewAudioRef.current = audio;
     audio.onended = () => {
       if (previewAudioRef.current === audio) {
         previewAudioRef.current = null;
       }
+      if (url.startsWith('blob:')) URL.revokeObjectURL(url);
       setIsPreviewPlaying(false);
     };
     audio.play()
@@ -147,6 +168,7 @@ export default function SettingsTool() {
   const isKeyValid = useAIStore((state) => state.isKeyValid);
   const isValidating = useAIStore((state) => state.isValidating);
   const validationError = useAIStore((state) => state.validationError);
+  const customEndpoint = useAIStore((state) => state.customEndpoint);
   const aiSettings = useAIStore((state) => state.settings);
   const hasShownSecurityNotice = useAIStore((state) => state.hasShownSecurityNotice);
   const conversations = useAIStore((state) => state.conversations);
@@ -156,6 +178,7 @@ export default function SettingsTool() {
   const clearApiKey = useAIStore((state) => state.clearApiKey);
   const setValidating = useAIStore((state) => state.setValidating);
   const setKeyValid = useAIStore((state) => state.setKeyValid);
+  const setCustomEndpoint = useAIStore((state) => state.setCustomEndpoint);
   const updateSettings = useAIStore((state) => state.updateSettings);
   const markSecurityNoticeShown = useAIStore((state) => state.markSecurityNoticeShown);
   const clearAllConversations = useAIStore((state) => state.clearAllConversations);
@@ -165,9 +188,13 @@ export default function SettingsTool() {
   // Local state
   const [showResetConfirm, setShowResetConfirm] = useState(false);
   const [showWipeConfirm, setShowWipeConfirm] = useState(false);
-  const [showDownloadConfirm, setShowDownloadConfirm] = useState(null); // null | 'txt' | 'images'
+  const [showDownloadConfirm, setShowDownloadConfirm] = useState(null); // null | 'txt' | 'images' | 'audio'
+  const [showBackupModal, setShowBackupModal] = useState(null); // null | 'export' | 'import'
+  const [showOfflineReadiness, setShowOfflineReadiness] = useState(false);
   const [selectedProvider, setSelectedProvider] = useState(provider || 'anthropic');
   const [apiKeyInput, setApiKeyInput] = useState('');
+  const [customUrlInput, setCustomUrlInput] = useState(customEndpoint.baseUrl);
+  const [isRefreshingModels, setIsRefreshingModels] = useState(false);
   const [showSecurityNotice, setShowSecurityNotice] = useState(false);
   const [showClearConfirm, setShowClearConfirm] = useState(false);
   const [showRemoveKeyConfirm, setShowRemoveKeyConfirm] = useState(false);
@@ -200,6 +227,8 @@ export default function SettingsTool() {
   const handleDownloadConfirm = async (type) => {
     if (type === 'images') {
       await downloadSessionImages();
+    } else if (type === 'audio') {
+      await downloadSessionAudio();
     } else {
       downloadSessionData();
     }
@@ -215,11 +244,19 @@ export default function SettingsTool() {
     }
   };
 
+  const isCustomProvider = selectedProvider === 'custom';
+  // Custom servers often run without auth, so only the address is required
+  const canValidate = isCustomProvider ? !!customUrlInput.trim() : !!apiKeyInput.trim();
+
   const handleValidateKey = async () => {
-    if (!apiKeyInput.trim()) return;
+    if (!canValidate) return;
 
     setValidating(true);
 
+    if (isCustomProvider) {
+      setCustomEndpoint({ baseUrl: normalizeBaseUrl(customUrlInput) });
+    }
+
     const saved = await setApiKey(selectedProvider, apiKeyInput.trim());
     if (!saved) {
       setKeyValid(false, 'Failed to save API key');
@@ -236,9 +273,16 @@ export default function SettingsTool() {
     }
 
     const decryptedKey = await getDecryptedKey();
-    const service = new AIService(selectedProvider, decryptedKey);
+    const service = new AIService(selectedProvider, decryptedKey, { baseUrl: customUrlInput });
     const result = await service.validateKey();
 
+    if (result.valid && isCustomProvider) {
+      setCustomEndpoint({ models: result.models });
+      if (!result.models.includes(aiSettings.modelPreference)) {
+        updateSettings({ modelPreference: 'default' });
+      }
+    }
+
     setKeyValid(result.valid, result.error);
 
     if (result.valid) {
@@ -249,6 +293,18 @@ export default function SettingsTool() {
     }
   };
 
+  const handleRefreshModels = async () => {
+    setIsRefreshingModels(true);
+    try {
+      const service = new AIService('custom', await getDecryptedKey(), { baseUrl: customEndpoint.baseUrl });
+      setCustomEndpoint({ models: await service.listModels() });
+    } catch (error) {
+      console.warn('[AI] Could not refresh models:', error.message);
+    } finally {
+      setIsRefreshingModels(false);
+    }
+  };
+
   const handleDismissSecurityNotice = () => {
     setShowSecurityNotice(false);
     markSecurityNoticeShown();
@@ -259,7 +315,7 @@ export default function SettingsTool() {
     return '••••••••••••••••••••';
   };
 
-  const availableModels = getAvailableModels(selectedProvider);
+  const availableModels = getAvailableModels(selectedProvider, customEndpoint.models);
 
   return (
     <div className="py-6 px-6 max-w-xl mx-auto">
@@ -463,6 +519,9 @@ export default function SettingsTool() {
           </button>
         </div>
 
+        {/* Reminders */}
+        <ReminderSettings />
+
         {/* Reduce Motion */}
         <div className="flex items-center justify-between py-3 border-b border-app-gray-200 dark:border-app-gray-800">
           <span className="text-[12px] uppercase tracking-wider">Reduce Motion</span>
@@ -499,6 +558,45 @@ export default function SettingsTool() {
           </button>
         </div>
 
+        {/* Background Sound — cycles Off → each soundscape → Off */}
+        <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+          <div className="flex items-center justify-between">
+            <span className="text-[12px] uppercase tracking-wider">Background Sound</span>
+            <button
+              onClick={() => {
+                const ids = [null, ...SOUNDSCAPES.map((s) => s.id)];
+                const next = ids[(ids.indexOf(preferences.soundscapeId ?? null) + 1) % ids.length];
+                setPreference('soundscapeId', next);
+                if (next) precacheSoundscape(next);
+              }}
+              className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              {getSoundscapeById(preferences.soundscapeId)?.label || 'OFF'}
+            </button>
+          </div>
+          <p className="text-[11px] text-[var(--color-text-tertiary)] mt-2">
+            Plays under meditations and timers. Set its level for each one from the volume button.
+          </p>
+        </div>
+
+        {/* Offline Readiness */}
+        <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+          <div className="flex items-center justify-between">
+            <span className="text-[12px] uppercase tracking-wider">Offline Readiness</span>
+            <button
+              onClick={() => setShowOfflineReadiness(true)}
+              className="text-[12px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              CHECK
+            </button>
+          </div>
+          <p className="text-[11px] text-[var(--color-text-tertiary)] mt-2">
+            See which of your session&apos;s audio is saved on this device and download the rest.
+          </p>
+        </div>
+
         {/* Download Data */}
         <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
           <div className="flex items-center justify-between mb-3">
@@ -520,6 +618,41 @@ export default function SettingsTool() {
             >
               {hasImages ? 'Images' : 'No Images'}
             </button>
+            {hasAudio && (
+              <button
+                onClick={() => setShowDownloadConfirm('audio')}
+                className="flex-1 py-2 text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity border border-[var(--color-border)]"
+                style={{ fontFamily: 'Azeret Mono, monospace' }}
+              >
+                Voice Memos
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* App Lock */}
+        <AppLockSettings />
+
+        {/* Full Backup */}
+        <div className="py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-[12px] uppercase tracking-wider">Full Backup</span>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => setShowBackupModal('export')}
+              className="flex-1 py-2 text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity border border-[var(--color-border)]"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              Create Backup
+            </button>
+            <button
+              onClick={() => setShowBackupModal('import')}
+              className="flex-1 py-2 text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity border border-[var(--color-border)]"
+              style={{ fontFamily: 'Azeret Mono, monospace' }}
+            >
+              Restore Backup
+            </button>
           </div>
         </div>
 
@@ -628,12 +761,52 @@ export default function SettingsTool() {
                   >
                     OpenRouter
                   </button>
+                  <button
+                    onClick={() => handleProviderChange('custom')}
+                    className={`flex-1 min-w-[80px] py-2 px-3 text-[10px] uppercase tracking-wider border transition-colors ${
+                      selectedProvider === 'custom'
+                        ? 'border-app-black dark:border-app-white bg-app-black dark:bg-app-white text-app-white dark:text-app-black'
+                        : 'border-app-gray-300 dark:border-app-gray-700 hover:opacity-70'
+                    }`}
+                  >
+                    Custom
+                  </button>
                 </div>
                 <p className="mt-2 text-[9px] text-[var(--text-tertiary)]">
                   {getProviderInfo(selectedProvider).description}
                 </p>
               </div>
 
+              {/* Server Address - custom provider only */}
+              {isCustomProvider && (
+                <div className="mb-4">
+                  <span className="block text-[11px] uppercase tracking-wider mb-3 text-[var(--text-secondary)]">
+                    Server Address
+                  </span>
+                  {isKeyValid ? (
+                    <div className="py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 text-[11px] tracking-wider text-[var(--text-tertiary)] break-all">
+                      {customEndpoint.baseUrl}
+                    </div>
+                  ) : (
+                    <input
+                      type="url"
+                      autoComplete="off"
+                      value={customUrlInput}
+                      onChange={(e) => setCustomUrlInput(e.target.value)}
+                      placeholder={getProviderInfo('custom').urlPlaceholder}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleValidateKey();
+                      }}
+                      className="w-full py-2 px-3 border border-app-gray-300 dark:border-app-gray-700 bg-transparent text-[11px] tracking-wider focus:outline-none focus:border-app-black dark:focus:border-app-white"
+                    />
+                  )}
+                  <p className="mt-2 text-[9px] text-[var(--text-tertiary)]">
+                    The server must allow requests from this app (for Ollama, set OLLAMA_ORIGINS). Addresses
+                    other than localhost need HTTPS when this app is opened over HTTPS.
+                  </p>
+                </div>
+              )}
+
               {/* API Key Input */}
               <div className="mb-4">
                 <span className="block text-[11px] uppercase tracking-wider mb-3 text-[var(--text-secondary)]">
@@ -667,10 +840,10 @@ export default function SettingsTool() {
                       />
                       <button
                         onClick={handleValidateKey}
-                        disabled={!apiKeyInput.trim() || isValidating}
+                        disabled={!canValidate || isValidating}
                         className="py-2 px-4 text-[11px] uppercase tracking-wider border border-app-black dark:border-app-white bg-app-black dark:bg-app-white text-app-white dark:text-app-black hover:opacity-70 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
                       >
-                        {isValidating ? '...' : 'Validate'}
+                        {isValidating ? '...' : isCustomProvider ? 'Connect' : 'Validate'}
                       </button>
                     </div>
                     {validationError && (
@@ -700,6 +873,50 @@ export default function SettingsTool() {
                     </button>
                   </div>
 
+                  {/* Allow Actions */}
+                  <div className="flex items-center justify-between py-2">
+                    <span className="text-[11px] uppercase tracking-wider">
+                      Allow Actions
+                    </span>
+                    <button
+                      onClick={() =>
+                        updateSettings({
+                          enableActions: aiSettings.enableActions === false,
+                        })
+                      }
+                      className="text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+                    >
+                      {aiSettings.enableActions !== false ? 'ON' : 'OFF'}
+                    </button>
+                  </div>
+                  <p className="-mt-1 pb-2 text-[9px] text-[var(--text-tertiary)]">
+                    The assistant can suggest adding an activity, opening the Helper, logging a check-in,
+                    or saving a journal entry. Each one waits for you to confirm. Turn off if your model
+                    doesn&apos;t support tool calling.
+                  </p>
+
+                  {/* Hide Personal Details */}
+                  <div className="flex items-center justify-between py-2">
+                    <span className="text-[11px] uppercase tracking-wider">
+                      Hide Personal Details
+                    </span>
+                    <button
+                      onClick={() =>
+                        updateSettings({
+                          redactPersonalInfo: aiSettings.redactPersonalInfo === false,
+                        })
+                      }
+                      className="text-[11px] uppercase tracking-wider hover:opacity-70 transition-opacity"
+                    >
+                      {aiSettings.redactPersonalInfo !== false ? 'ON' : 'OFF'}
+                    </button>
+                  </div>
+                  <p className="-mt-1 pb-2 text-[9px] text-[var(--text-tertiary)]">
+                    Names, phone numbers, emails, places and your emergency contact are replaced with
+                    placeholders like [NAME_1] before anything is sent, and put back in the replies you
+                    see. Tap &quot;What was sent&quot; under a message to check.
+                  </p>
+
                   {/* Key Expiration */}
                   <div className="flex items-center justify-between py-2">
                     <span className="text-[11px] uppercase tracking-wider">
@@ -722,7 +939,18 @@ export default function SettingsTool() {
 
                   {/* Model Selection */}
                   <div className="flex items-center justify-between py-2">
-                    <span className="text-[11px] uppercase tracking-wider">Model</span>
+                    <span className="text-[11px] uppercase tracking-wider">
+                      Model
+                      {isCustomProvider && (
+                        <button
+                          onClick={handleRefreshModels}
+                          disabled={isRefreshingModels}
+                          className="ml-3 text-[10px] uppercase tracking-wider text-[var(--text-secondary)] hover:opacity-70 transition-opacity disabled:opacity-50"
+                        >
+                          {isRefreshingModels ? '...' : 'Refresh'}
+                        </button>
+                      )}
+                    </span>
                     <select
                       value={aiSettings.modelPreference}
                       onChange={(e) => updateSettings({ modelPreference: e.target.value })}
@@ -895,12 +1123,16 @@ export default function SettingsTool() {
         <div className="fixed inset-0 z-50 flex items-center justify-center px-6" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
           <div className="w-full max-w-sm p-6 space-y-4" style={{ backgroundColor: 'var(--bg-primary)', border: '1px solid var(--border)' }}>
             <p className="text-[12px] uppercase tracking-wider font-bold">
-              {showDownloadConfirm === 'images' ? 'Download Images' : 'Download Session Data'}
+              {{ images: 'Download Images', audio: 'Download Voice Memos' }[showDownloadConfirm] || 'Download Session Data'}
             </p>
             {showDownloadConfirm === 'images' ? (
               <p style={{ color: 'var(--text-secondary)' }}>
                 This will download all images created during your session as separate PNG files.
               </p>
+            ) : showDownloadConfirm === 'audio' ? (
+              <p style={{ color: 'var(--text-secondary)' }}>
+                This will download every voice memo in your journal as a separate audio file.
+              </p>
             ) : (
               <>
                 <p style={{ color: 'var(--text-primary)' }}>
@@ -936,6 +1168,16 @@ export default function SettingsTool() {
         </div>
       )}
 
+      {/* Offline Readiness Modal */}
+      {showOfflineReadiness && (
+        <OfflineReadinessModal onClose={() => setShowOfflineReadiness(false)} />
+      )}
+
+      {/* Full Backup Modal */}
+      {showBackupModal && (
+        <BackupModal mode={showBackupModal} onClose={() => setShowBackupModal(null)} />
+      )}
+
       {/* Feedback Modal */}
       {showBugReportConfirm && (
         <div className="fixed inset-0 z-50 flex items-center justify-center px-6" style={{ backgroundColor: 'rgba(0,0,0,0.3)' }}>
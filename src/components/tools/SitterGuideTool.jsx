@@ -0,0 +1,41 @@
+/**
+ * SitterGuideTool Component
+ *
+ * Sitter guidance on the primary device, for sessions planned with a sitter
+ * who isn't following on their own phone. Builds the same companion
+ * snapshot a follower device would receive and renders the shared
+ * SitterGuidancePanel from it.
+ * Lives in the Tools tab; only listed when sessionMode is 'with-sitter'.
+ */
+
+import { useMemo } from 'react';
+import { useSessionStore } from '../../stores/useSessionStore';
+import { useJournalStore } from '../../stores/useJournalStore';
+import { buildCompanionSnapshot } from '../../utils/companionProjection';
+import SitterGuidancePanel from '../companion/SitterGuidancePanel';
+
+export default function SitterGuideTool() {
+  const sessionState = useSessionStore();
+  const journalEntries = useJournalStore((state) => state.entries);
+
+  const snapshot = useMemo(
+    () => buildCompanionSnapshot({ sessionState, journalEntries }),
+    [sessionState, journalEntries]
+  );
+
+  return (
+    <div className="py-6 px-6 max-w-xl mx-auto space-y-6">
+      <div className="space-y-2">
+        <h3 className="uppercase tracking-wider text-xs text-[var(--color-text-secondary)]">
+          Sitter Guide
+        </h3>
+        <p className="text-sm text-[var(--color-text-secondary)]">
+          For the person sitting with you. This guidance follows where you are in the session.
+          A sitter can also follow along on their own phone from Sitter Companion in the menu.
+        </p>
+      </div>
+
+      <SitterGuidancePanel snapshot={snapshot} />
+    </div>
+  );
+}
@@ -5,46 +5,7 @@
  */
 
 import { FRAMEWORKS } from '../../content/modules';
-
-const PEOPLE = [
-  { name: 'Alexander "Sasha" Shulgin', description: 'Chemist who re-synthesized MDMA and meticulously documented its effects, opening the door to its therapeutic potential.' },
-  { name: 'Ann Shulgin', description: 'Therapist and co-author who pioneered the use of MDMA as a tool for therapeutic insight and emotional healing.' },
-  { name: 'Leo Zeff', description: 'Psychotherapist known as the "Secret Chief" who quietly introduced MDMA to the therapeutic community in the 1970s.' },
-  { name: 'Rick Doblin', description: 'Founder of MAPS, who spent decades leading the push for FDA-approved MDMA-assisted therapy research.' },
-  { name: 'Michael & Annie Mithoefer', description: 'Psychiatrist and nurse who led the landmark MAPS Phase 2 and Phase 3 clinical trials for MDMA-assisted therapy for PTSD.' },
-  { name: 'Stanislav Grof', description: 'Psychiatrist who mapped the landscape of non-ordinary states of consciousness and developed holotropic breathwork.' },
-  { name: 'Ralph Metzner', description: 'Psychologist and consciousness researcher who explored the transformative potential of psychedelic experience.' },
-  { name: 'Bill Richards', description: 'Psychedelic researcher at Johns Hopkins who developed structured session frameworks for psilocybin and other psychedelics.' },
-  { name: 'Robin Carhart-Harris', description: 'Neuroscientist who led groundbreaking neuroimaging studies on psychedelics at Imperial College London, revealing how they reshape brain connectivity.' },
-  { name: 'Amanda Fielding', description: 'Founder of the Beckley Foundation, who has championed psychedelic science and drug policy reform for over four decades.' },
-  { name: 'Hamilton Morris', description: 'Journalist, chemist, and researcher whose work has brought rigorous psychedelic pharmacology to a wide audience.' },
-  { name: 'Claudio Naranjo', description: 'Chilean psychiatrist and one of the most scientifically rigorous early MDMA therapists, treating over 30 patients before scheduling.' },
-  { name: 'George Greer & Requa Tolbert', description: 'Psychiatrist and nurse who treated over 80 patients with MDMA-assisted therapy in the early 1980s and published some of the first clinical accounts.' },
-  { name: 'Charles Grob', description: 'Psychiatrist who conducted the first FDA-approved human MDMA study in 1996 and pioneered psilocybin research for end-of-life anxiety.' },
-  { name: 'Roland Griffiths', description: 'Founder of the Johns Hopkins Center for Psychedelic Research, whose landmark psilocybin studies reshaped the scientific understanding of psychedelics.' },
-  { name: 'Matthew Johnson', description: 'Psychedelic researcher at Johns Hopkins, expert on psychoactive drugs, addiction, and the design of rigorous clinical psychedelic trials.' },
-  { name: 'David Nutt', description: 'British neuropharmacologist and advocate for psychedelic research and evidence-based drug policy reform.' },
-  { name: 'Marcela Ot\'alora G.', description: 'Lead therapist and trainer for the MAPS MDMA-assisted therapy clinical trials.' },
-  { name: 'Torsten Passie', description: 'Researcher and author of the key historical paper documenting the early therapeutic use of MDMA from 1977 to 1985.' },
-  { name: 'MethyleneMan', description: 'Underground MDMA chemist whose dedication to purity and harm reduction has quietly influenced standards in the community.' },
-  { name: 'Richard Schwartz', description: 'Creator of Internal Family Systems (IFS), a model for working with protective and vulnerable inner parts.' },
-  { name: 'Steven Hayes', description: 'Creator of Acceptance and Commitment Therapy (ACT), a framework for psychological flexibility and values-based living.' },
-  { name: 'Eugene Gendlin', description: 'Philosopher and psychologist who developed Focusing, a practice for listening to the body\'s felt sense.' },
-  { name: 'Peter Levine', description: 'Creator of Somatic Experiencing, a body-based approach to releasing trauma held in the nervous system.' },
-  { name: 'Sue Johnson', description: 'Creator of Emotionally Focused Therapy (EFT), a model for understanding attachment and emotional cycles in relationships.' },
-  { name: 'Bruce Ecker', description: 'Co-developer of Coherence Therapy, a framework for transforming emotional schemas through experiential reconsolidation.' },
-  { name: 'Kristin Neff', description: 'Researcher who pioneered the scientific study of self-compassion and its role in emotional well-being.' },
-  { name: 'Fritz Perls', description: 'Co-founder of Gestalt Therapy, an approach centered on present-moment awareness and direct dialogue with experience.' },
-];
-
-const ORGANIZATIONS = [
-  { name: 'MAPS (Multidisciplinary Association for Psychedelic Studies)', description: 'The pioneering organization behind decades of psychedelic therapy research, including the landmark MDMA-assisted therapy clinical trials.' },
-  { name: 'Johns Hopkins Center for Psychedelic & Consciousness Research', description: 'A leading academic institution advancing rigorous research into psychedelic compounds and their therapeutic applications.' },
-  { name: 'Imperial College London Centre for Psychedelic Research', description: 'A world-renowned research group studying the neuroscience and therapeutic potential of psychedelic substances.' },
-  { name: 'Beckley Foundation', description: 'A think tank and research organization advancing the scientific understanding of consciousness and psychoactive substances.' },
-  { name: 'Fireside Project', description: 'Nonprofit operating the first psychedelic peer support hotline, providing free, confidential emotional support to people during and after psychedelic experiences.' },
-  { name: 'Zendo Project', description: 'MAPS-sponsored harm reduction initiative providing trained peer support at festivals and events to help people through difficult psychedelic experiences.' },
-];
+import { PEOPLE, ORGANIZATIONS } from '../../content/sources';
 
 export default function SourcesTool() {
   // Get all non-general frameworks
@@ -7,6 +7,7 @@
 
 import { useState, useEffect, Fragment } from 'react';
 import { useToolsStore } from '../../stores/useToolsStore';
+import { useSessionStore } from '../../stores/useSessionStore';
 import ToolPanel from './ToolPanel';
 import DosageTool from './DosageTool';
 import ResourcesTool from './ResourcesTool';
@@ -15,12 +16,19 @@ import SettingsTool from './SettingsTool';
 import AboutTool from './AboutTool';
 import HowToUseTool from './HowToUseTool';
 import SourcesTool from './SourcesTool';
+import SitterGuideTool from './SitterGuideTool';
+import VoiceStudioTool from './VoiceStudioTool';
+import MeditationBuilderTool from './MeditationBuilderTool';
+// showWhen (optional) receives sessionProfile; the tool is hidden when it returns false
 const tools = [
   { id: 'about', label: 'ABOUT', component: AboutTool },
   { id: 'how-to-use', label: 'HOW TO USE THIS APP', component: HowToUseTool },
+  { id: 'sitter-guide', label: 'SITTER GUIDE', component: SitterGuideTool, showWhen: (profile) => profile.sessionMode === 'with-sitter' },
   { id: 'faq', label: 'FAQ', component: FAQTool },
   { id: 'resources', label: 'RESOURCES', component: ResourcesTool },
   { id: 'dosage', label: 'DOSAGE ASSISTANT', component: DosageTool },
+  { id: 'meditation-builder', label: 'WRITE YOUR OWN MEDITATION', component: MeditationBuilderTool },
+  { id: 'voice-studio', label: 'RECORD YOUR OWN VOICE', component: VoiceStudioTool },
   { id: 'sources', label: 'SOURCES & ACKNOWLEDGEMENTS', component: SourcesTool },
   { id: 'settings', label: 'SETTINGS', component: SettingsTool },
 ];
@@ -28,6 +36,8 @@ const tools = [
 export default function ToolsView() {
   const openTools = useToolsStore((state) => state.openTools);
   const toggleTool = useToolsStore((state) => state.toggleTool);
+  const sessionProfile = useSessionStore((state) => state.sessionProfile);
+  const visibleTools = tools.filter((tool) => !tool.showWhen || tool.showWhen(sessionProfile));
 
   const [isVisible, setIsVisible] = useState(false);
 
@@ -46,9 +56,9 @@ export default function ToolsView() {
     <div className={`max-w-2xl mx-auto px-6 py-8 transition-opacity duration-300 ${isVisible ? 'opacity-100' : 'opacity-0'}`}>
       {/* Accordion — each button is followed by its expandable panel */}
       <div className="border border-app-black dark:border-app-white overflow-hidden">
-        {tools.map((tool, index) => {
+        {visibleTools.map((tool, index) => {
           const isOpen = openTools.includes(tool.id);
-          const isLast = index === tools.length - 1;
+          const isLast = index === visibleTools.length - 1;
           return (
             <Fragment key={tool.id}>
               <button
@@ -0,0 +1,212 @@
+/**
+ * VoiceStudioTool Component
+ * Record your own voice for a guided meditation. Walks through the
+ * meditation's prompts one at a time; each clip is stored on this device
+ * (IndexedDB) and its length measured so playback stays in sync. Once every
+ * prompt is recorded, "My Voice" appears under Settings → Default Voice.
+ * Meditations the user wrote themselves are listed after the built-in ones.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getAllMeditations } from '../../content/meditations';
+import { isRecordableMeditation } from '../../content/meditations/recordedVoice';
+import { useVoiceRecordingStore } from '../../stores/useVoiceRecordingStore';
+import { useCustomMeditationStore } from '../../stores/useCustomMeditationStore';
+import { useVoiceRecorder } from '../../hooks/useVoiceRecorder';
+import { getVoiceClip } from '../../utils/voiceRecordingStorage';
+
+const buttonClass = 'flex-1 py-2 border border-[var(--color-text-tertiary)] text-[11px] uppercase tracking-wider hover:border-[var(--color-text-primary)] transition-colors disabled:opacity-40';
+
+function ChevronButton({ direction, label, onClick, disabled }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      aria-label={label}
+      className="hover:opacity-70 transition-opacity disabled:opacity-30"
+    >
+      <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+        <path
+          d={direction === 'prev' ? 'M9 2 L4 7 L9 12' : 'M5 2 L10 7 L5 12'}
+          stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"
+        />
+      </svg>
+    </button>
+  );
+}
+
+export default function VoiceStudioTool() {
+  const [meditationIndex, setMeditationIndex] = useState(0);
+  const [promptIndex, setPromptIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [confirmDeleteAll, setConfirmDeleteAll] = useState(false);
+  const playbackRef = useRef(null);
+
+  const customMeditations = useCustomMeditationStore((state) => state.meditations);
+  const recordableMeditations = useMemo(
+    () => getAllMeditations().filter(isRecordableMeditation),
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- the content registry follows the store, so recompute when it changes
+    [customMeditations]
+  );
+
+  const meditation = recordableMeditations[Math.min(meditationIndex, recordableMeditations.length - 1)];
+  const prompts = meditation?.prompts || [];
+  const prompt = prompts[promptIndex];
+
+  const clips = useVoiceRecordingStore((state) => state.clips[meditation?.id]) || {};
+  const saveClip = useVoiceRecordingStore((state) => state.saveClip);
+  const deleteClip = useVoiceRecordingStore((state) => state.deleteClip);
+  const deleteMeditation = useVoiceRecordingStore((state) => state.deleteMeditation);
+  const { isRecording, error, start, stop } = useVoiceRecorder();
+
+  const recordedCount = prompts.filter((p) => clips[p.id]).length;
+  const isComplete = prompts.length > 0 && recordedCount === prompts.length;
+  const currentClip = prompt ? clips[prompt.id] : null;
+
+  const stopPlayback = () => {
+    const playback = playbackRef.current;
+    if (!playback) return;
+    playback.audio.pause();
+    URL.revokeObjectURL(playback.url);
+    playbackRef.current = null;
+    setIsPlaying(false);
+  };
+
+  // Release the clip's object URL when leaving the tool
+  useEffect(() => () => stopPlayback(), []);
+
+  const goToPrompt = (index) => {
+    stopPlayback();
+    setPromptIndex(Math.max(0, Math.min(index, prompts.length - 1)));
+  };
+
+  const cycleMeditation = (delta) => {
+    if (isRecording) return;
+    stopPlayback();
+    setConfirmDeleteAll(false);
+    setMeditationIndex((meditationIndex + delta + recordableMeditations.length) % recordableMeditations.length);
+    setPromptIndex(0);
+  };
+
+  const handleRecordToggle = async () => {
+    if (!isRecording) {
+      stopPlayback();
+      await start();
+      return;
+    }
+    const recording = await stop();
+    if (!recording) return;
+    await saveClip(meditation.id, prompt.id, recording.blob, recording.duration);
+    // Move on to the next prompt that still needs a clip
+    const next = prompts.findIndex((p, i) => i > promptIndex && !clips[p.id]);
+    if (next !== -1) setPromptIndex(next);
+  };
+
+  const handlePlayToggle = async () => {
+    if (isPlaying) {
+      stopPlayback();
+      return;
+    }
+    const blob = await getVoiceClip(meditation.id, prompt.id);
+    if (!blob) return;
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    playbackRef.current = { audio, url };
+    audio.onended = stopPlayback;
+    audio.play()
+      .then(() => setIsPlaying(true))
+      .catch(stopPlayback);
+  };
+
+  const handleDeleteAll = () => {
+    stopPlayback();
+    deleteMeditation(meditation.id);
+    setConfirmDeleteAll(false);
+    setPromptIndex(0);
+  };
+
+  if (!meditation) return null;
+
+  return (
+    <div className="py-6 px-6 max-w-xl mx-auto space-y-6">
+      <p className="text-[11px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+        Record a meditation in your own voice. Read each line at a calm pace, the way you&apos;d like to hear it.
+        Recordings stay on this device; a Full Backup from Settings includes them.
+      </p>
+
+      {/* Meditation picker */}
+      <div className="flex items-center justify-between gap-3 py-3 border-b border-app-gray-200 dark:border-app-gray-800">
+        <ChevronButton direction="prev" label="Previous meditation" onClick={() => cycleMeditation(-1)} disabled={isRecording} />
+        <div className="text-center">
+          <p className="text-[12px] uppercase tracking-wider" style={{ fontFamily: 'Azeret Mono, monospace' }}>
+            {meditation.title}
+          </p>
+          <p className="text-[11px] text-[var(--color-text-tertiary)] mt-1">
+            {recordedCount} of {prompts.length} recorded
+          </p>
+        </div>
+        <ChevronButton direction="next" label="Next meditation" onClick={() => cycleMeditation(1)} disabled={isRecording} />
+      </div>
+
+      {/* Current prompt */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <ChevronButton direction="prev" label="Previous line" onClick={() => goToPrompt(promptIndex - 1)} disabled={isRecording || promptIndex === 0} />
+          <span className="text-[11px] uppercase tracking-wider text-[var(--color-text-tertiary)]">
+            Line {promptIndex + 1} of {prompts.length}
+            {currentClip && ` · ${currentClip.duration.toFixed(1)}s`}
+          </span>
+          <ChevronButton direction="next" label="Next line" onClick={() => goToPrompt(promptIndex + 1)} disabled={isRecording || promptIndex === prompts.length - 1} />
+        </div>
+        <p className="text-sm leading-relaxed min-h-[4.5rem]" style={{ textTransform: 'none' }}>
+          {prompt.text}
+        </p>
+        <div className="flex gap-2">
+          <button onClick={handleRecordToggle} className={`${buttonClass} ${isRecording ? 'text-[var(--accent)] border-[var(--accent)]' : ''}`}>
+            {isRecording ? 'Stop' : currentClip ? 'Re-record' : 'Record'}
+          </button>
+          <button onClick={handlePlayToggle} disabled={!currentClip || isRecording} className={buttonClass}>
+            {isPlaying ? 'Stop' : 'Play'}
+          </button>
+          <button
+            onClick={() => deleteClip(meditation.id, prompt.id)}
+            disabled={!currentClip || isRecording}
+            className={buttonClass}
+          >
+            Delete
+          </button>
+        </div>
+        {error && (
+          <p className="text-[11px] text-[var(--accent)]" style={{ textTransform: 'none' }}>{error}</p>
+        )}
+      </div>
+
+      <p className="text-[11px] text-[var(--color-text-tertiary)]" style={{ textTransform: 'none' }}>
+        {isComplete
+          ? 'All lines recorded. Choose "My Voice" under Settings → Default Voice to hear it in your session.'
+          : 'Once every line is recorded, "My Voice" becomes available under Settings → Default Voice.'}
+      </p>
+
+      {recordedCount > 0 && (
+        confirmDeleteAll ? (
+          <div className="flex gap-2">
+            <button onClick={handleDeleteAll} className={`${buttonClass} text-[var(--accent)]`}>
+              Yes, delete all
+            </button>
+            <button onClick={() => setConfirmDeleteAll(false)} className={buttonClass}>
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirmDeleteAll(true)}
+            disabled={isRecording}
+            className="text-[11px] uppercase tracking-wider text-[var(--color-text-tertiary)] hover:opacity-70 transition-opacity"
+          >
+            Delete all recordings for this meditation
+          </button>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * Body Check Content
+ * Options and guidance for the in-session water / temperature / break
+ * tracker. utils/bodyCheck.js decides which warnings apply; this file holds
+ * the copy. Written to the person in session ("you").
+ */
+
+// ============================================
+// LOGGING OPTIONS
+// ============================================
+
+export const DRINK_OPTIONS = [
+  { id: 'sips', label: 'A few sips', amountMl: 50, drink: 'water' },
+  { id: 'half-glass', label: 'Half a glass', amountMl: 125, drink: 'water' },
+  { id: 'glass', label: 'A glass', amountMl: 250, drink: 'water' },
+  { id: 'electrolytes', label: 'Electrolyte drink', amountMl: 250, drink: 'electrolytes' },
+];
+
+export const TEMPERATURE_OPTIONS = [
+  { id: 'cold', label: 'Cold' },
+  { id: 'cool', label: 'Cool' },
+  { id: 'comfortable', label: 'Comfortable' },
+  { id: 'warm', label: 'Warm' },
+  { id: 'hot', label: 'Hot' },
+];
+
+export const TEMPERATURE_LABELS = Object.fromEntries(TEMPERATURE_OPTIONS.map((o) => [o.id, o.label]));
+
+// ============================================
+// WARNINGS
+// ============================================
+// Keyed by the warning ids returned from assessBodyCheck().
+
+export const BODY_CHECK_WARNINGS = {
+  'over-hydration-urgent': {
+    title: 'That\'s a lot of water in a short time',
+    body: 'MDMA makes your body hold on to water. Drinking more than about a litre in an hour can dangerously lower your sodium levels. Stop drinking plain water for now. If you\'re thirsty, have a salty snack or small sips of an electrolyte drink.',
+  },
+  'over-hydration': {
+    title: 'Slow down on water',
+    body: 'You\'ve had more than you need for now. About a cup (250 ml) an hour is enough while resting, up to two if you\'re dancing or sweating. More isn\'t safer.',
+  },
+  'under-hydration': {
+    title: 'Time for a few sips',
+    body: 'You haven\'t logged a drink in a while. A few sips of water or an electrolyte drink every 15–20 minutes keeps you comfortable.',
+  },
+  overheating: {
+    title: 'You\'re running hot',
+    body: 'Stop any dancing or exercise, move somewhere cooler, loosen or remove layers, and sip an electrolyte drink. Check again in 10 minutes.',
+  },
+  'running-warm': {
+    title: 'Keep an eye on your temperature',
+    body: 'Feeling warm is common, but it\'s worth cooling down early: take a rest, open a window, and have a few sips of water.',
+  },
+  'dance-break': {
+    title: 'Take a break from moving',
+    body: 'You\'ve been dancing for a while. Sit down for a few minutes, cool off, and have a few sips before going again.',
+  },
+};
+
+// Shown alongside overheating and in the tracker footer
+export const OVERHEATING_EMERGENCY = {
+  title: 'Get emergency help if you',
+  signs: [
+    'Feel very hot and have stopped sweating',
+    'Feel confused, faint, or very drowsy',
+    'Have a racing heart, chest pain, or trouble breathing',
+    'Have a bad headache with vomiting',
+  ],
+  note: 'Tell responders what you took and when. They are there to help, not to judge.',
+};
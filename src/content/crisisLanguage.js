@@ -0,0 +1,105 @@
+/**
+ * Crisis Language Content
+ * Weighted phrase lexicon and notice copy for the on-device crisis
+ * classifier (utils/crisisDetection.js). Nothing here is sent anywhere —
+ * text typed into the AI chat or the journal is checked against these
+ * patterns locally.
+ *
+ * Each term is a regex matched against lowercased text with straight
+ * apostrophes. A category is flagged once its summed weight reaches
+ * CRISIS_THRESHOLD, so low-weight terms only count in combination.
+ * Patterns are written to skip common idioms ("dying to", "killing it",
+ * "to die for") rather than relying on the scorer to filter them.
+ */
+
+export const CRISIS_THRESHOLD = 1;
+
+// Highest priority first — when several categories are flagged, the notice
+// shown is for the most urgent one
+export const CRISIS_CATEGORY_ORDER = ['medical-emergency', 'self-harm', 'severe-panic'];
+
+// ============================================
+// LEXICON
+// ============================================
+
+export const CRISIS_LEXICON = {
+  'medical-emergency': [
+    { pattern: /\bchest (?:pains?|is (?:tight|hurting|crushing))\b/, weight: 1 },
+    { pattern: /\bpains? in (?:my|his|her|their) chest\b/, weight: 1 },
+    { pattern: /\bhaving a (?:heart attack|stroke)\b/, weight: 1 },
+    { pattern: /\bseiz(?:ure|ures|ing)\b/, weight: 1 },
+    { pattern: /\b(?:convulsing|convulsions?|having a fit)\b/, weight: 1 },
+    { pattern: /\bheat ?stroke\b/, weight: 1 },
+    { pattern: /\boverheat(?:ing|ed)?\b/, weight: 0.7 },
+    { pattern: /\b(?:burning up|way too hot|so hot|boiling)\b/, weight: 0.4 },
+    { pattern: /\b(?:stopped sweating|can'?t stop sweating|can'?t cool down)\b/, weight: 0.5 },
+    { pattern: /\b(?:passed out|passing out|fainted|fainting|collapsed on the floor)\b/, weight: 1 },
+    { pattern: /\b(?:unconscious|unresponsive|won'?t wake up|can'?t wake (?:him|her|them) up)\b/, weight: 1 },
+    { pattern: /\b(?:throwing up|vomiting|coughing up) blood\b/, weight: 1 },
+    { pattern: /\bheart (?:is )?(?:racing|pounding|skipping)\b/, weight: 0.4 },
+    { pattern: /\b(?:can'?t|cannot|struggling to) breathe\b/, weight: 0.5 },
+    { pattern: /\b(?:really|very|extremely|so) (?:dizzy|confused)\b/, weight: 0.4 },
+    { pattern: /\bcall(?:ing)? (?:an ambulance|911|112|999)\b/, weight: 1 },
+  ],
+  'self-harm': [
+    { pattern: /\b(?:kill|hurt|harm|cut) myself\b/, weight: 1 },
+    { pattern: /\bsuicid(?:e|al)\b/, weight: 1 },
+    { pattern: /\bself[- ]?harm(?:ing)?\b/, weight: 1 },
+    { pattern: /\bend (?:it all|my life)\b/, weight: 1 },
+    { pattern: /\b(?:take|taking) my (?:own )?life\b/, weight: 1 },
+    { pattern: /\b(?:want|wanna|wanting|ready) to die\b(?! (?:laughing|of laughter|happy))/, weight: 1 },
+    { pattern: /\bdon'?t want to (?:be alive|live|exist|be here)(?: anymore)?\b/, weight: 1 },
+    { pattern: /\b(?:better off dead|better off without me)\b/, weight: 1 },
+    { pattern: /\b(?:no reason|nothing) to live for\b/, weight: 1 },
+    { pattern: /\bnot worth living\b/, weight: 1 },
+    { pattern: /\bcan'?t go on\b/, weight: 0.6 },
+    { pattern: /\b(?:disappear|sleep) forever\b/, weight: 0.5 },
+    { pattern: /\b(?:hopeless|worthless)\b/, weight: 0.4 },
+  ],
+  'severe-panic': [
+    { pattern: /\bpanic attack\b/, weight: 1 },
+    { pattern: /\b(?:panicking|freaking out|losing my mind|going crazy|going insane)\b/, weight: 0.6 },
+    { pattern: /\b(?:i'?m|i am) (?:going to|gonna) die\b/, weight: 0.8 },
+    { pattern: /\b(?:can'?t|cannot) (?:breathe|stop shaking|calm down)\b/, weight: 0.5 },
+    { pattern: /\b(?:terrified|so scared|really scared|petrified)\b/, weight: 0.5 },
+    { pattern: /\bmake it stop\b/, weight: 0.6 },
+    { pattern: /\b(?:never going to|won'?t ever|will never) (?:end|stop)\b/, weight: 0.5 },
+    { pattern: /\b(?:out of control|can'?t escape|trapped)\b/, weight: 0.4 },
+  ],
+};
+
+// ============================================
+// CONTEXT MODIFIERS
+// ============================================
+
+// Checked in the few words before a term — "no chest pain", "never
+// suicidal". Terms that start with a negation ("can't breathe") include it
+// in the match, so only words before the match are checked.
+export const NEGATION_PATTERN = /\b(?:not|no|never|without|don'?t|didn'?t|isn'?t|wasn'?t|haven'?t|hasn'?t|aren'?t|won'?t|wouldn'?t)\b/;
+export const NEGATION_WINDOW_WORDS = 3;
+
+// Anywhere in the same sentence — the past, fiction, or a general question
+// rather than something happening now. Scaled down, not ignored, so a strong
+// term alongside other signals can still flag.
+export const DISTANCING_PATTERN = /\b(?:last (?:year|month|week|time)|years ago|used to|in the past|back when|movie|film|song|lyrics?|book|novel|tv show|episode|what if|if (?:someone|somebody|a person|you)|what (?:should|do) (?:i|you|we) do if|signs of|symptoms of|how do (?:i|you) (?:know|tell))\b/;
+export const DISTANCING_FACTOR = 0.3;
+
+// ============================================
+// NOTICE COPY
+// ============================================
+
+export const CRISIS_NOTICES = {
+  'medical-emergency': {
+    title: 'This could be a medical emergency',
+    body: 'Chest pain, a seizure, overheating, or someone who can\'t be woken needs real help now. Call emergency services and tell them what was taken and when. They are there to help, not to get anyone in trouble.',
+    chatNote: 'This message wasn\'t sent to the AI. Please get help first.',
+  },
+  'self-harm': {
+    title: 'You don\'t have to hold this alone',
+    body: 'If you\'re thinking about hurting yourself, please reach out now. Your emergency contact and support lines are one tap away.',
+  },
+  'severe-panic': {
+    title: 'This sounds really intense right now',
+    body: 'It will pass. Breathe out slowly and feel your feet on the floor. If you want someone with you, support is one tap away.',
+  },
+};
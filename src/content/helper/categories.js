@@ -2,7 +2,7 @@
  * Helper Modal Category Configurations — V5
  *
  * Each category defines:
- *   - Identity (id, phases, icon, label)
+ *   - Identity (id, phases and label from categoryIndex.js, plus icon)
  *   - Display copy (description, expandedDescription)
  *   - Rating-0 acknowledge text
  *   - A `steps` array describing the decision tree (rating → choice(s) → result)
@@ -32,6 +32,7 @@
  * category, exported as pure functions.
  */
 
+import { getHelperCategoryIndexEntry } from './categoryIndex';
 import { resolveIntenseFeeling } from './resolvers/intense-feeling';
 import { resolveTrauma } from './resolvers/trauma';
 import { resolveResistance } from './resolvers/resistance';
@@ -49,10 +50,8 @@ export const helperCategories = [
   // Feel Good are session-only and appear after these.
   // ============================================
   {
-    id: 'intense-feeling',
-    phases: ['active', 'follow-up'],
+    ...getHelperCategoryIndexEntry('intense-feeling'),
     icon: 'HandIcon',
-    label: 'Intense feeling',
     description: 'Pressure or sensation in the body that demands attention',
     expandedDescription:
       "I\u2019m feeling pressure or sensation in my body that\u2019s hard to ignore. There\u2019s tightness, trembling, heat, or buzzing energy pulling all of my attention.",
@@ -88,10 +87,8 @@ export const helperCategories = [
   },
 
   {
-    id: 'trauma',
-    phases: ['active', 'follow-up'],
+    ...getHelperCategoryIndexEntry('trauma'),
     icon: 'EyeIcon',
-    label: 'Trauma',
     description: 'Past experiences surfacing as if they\u2019re happening now',
     expandedDescription:
       "Something from my past is surfacing and feels like it\u2019s happening right now. I\u2019m seeing, hearing, or feeling things from another moment in my life, and my body is reacting as if it\u2019s here in the room.",
@@ -123,10 +120,8 @@ export const helperCategories = [
   },
 
   {
-    id: 'resistance',
-    phases: ['active', 'follow-up'],
+    ...getHelperCategoryIndexEntry('resistance'),
     icon: 'AngryIcon',
-    label: 'Resistance',
     description: 'Something inside is pushing back against the process',
     expandedDescription:
       "A part of me is pushing back against what\u2019s happening. I\u2019m having urgent thoughts about figuring something out or taking control, and the harder I try to surrender, the more it digs in.",
@@ -159,10 +154,8 @@ export const helperCategories = [
   },
 
   {
-    id: 'grief',
-    phases: ['active', 'follow-up'],
+    ...getHelperCategoryIndexEntry('grief'),
     icon: 'TearIcon',
-    label: 'Grief',
     description: 'A wave of sadness, loss, or old ache rising up',
     expandedDescription:
       "A wave of sadness has moved through me without warning. I might be crying without understanding why, or feeling the weight of an old loss that\u2019s bigger than the moment I\u2019m in.",
@@ -198,10 +191,8 @@ export const helperCategories = [
   // These two categories appear ONLY during the in-session helper modal.
   // ============================================
   {
-    id: 'ego-dissolution',
-    phases: ['active'],
+    ...getHelperCategoryIndexEntry('ego-dissolution'),
     icon: 'EggIcon',
-    label: 'Ego dissolution',
     description: 'The sense of self feels uncertain or far away',
     expandedDescription:
       "My sense of who I am feels uncertain. The boundary between me and everything else is softer than usual, and reality feels strange or far away.",
@@ -234,10 +225,8 @@ export const helperCategories = [
   },
 
   {
-    id: 'feel-good',
-    phases: ['active'],
+    ...getHelperCategoryIndexEntry('feel-good'),
     icon: 'LaughIcon',
-    label: 'I feel so good',
     description: 'Energy moving through, hard to sit still or focus',
     expandedDescription:
       "I\u2019m full of energy and I can feel it moving through me. It\u2019s hard to sit still or focus, and I\u2019m not sure if this is too much.",
@@ -276,10 +265,8 @@ export const helperCategories = [
   // computed from days since session completion.
   // ============================================
   {
-    id: 'low-mood',
-    phases: ['follow-up'],
+    ...getHelperCategoryIndexEntry('low-mood'),
     icon: 'RainCloudIcon',
-    label: 'Low mood',
     description: 'Feeling down, flat, or emotionally depleted',
     expandedDescription:
       "My mood has dropped since the session. I feel flat, sad, anxious, or irritable, and it\u2019s weighing on me.",
@@ -324,10 +311,8 @@ export const helperCategories = [
     ],
   },
   {
-    id: 'integration-difficulty',
-    phases: ['follow-up'],
+    ...getHelperCategoryIndexEntry('integration-difficulty'),
     icon: 'OrigamiIcon',
-    label: 'Integration',
     description: 'Struggling to process the experience',
     expandedDescription:
       "I\u2019m finding it hard to process what happened during my session, or to turn what I experienced into something useful in my daily life.",
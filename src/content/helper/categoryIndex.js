@@ -0,0 +1,30 @@
+/**
+ * Helper Category Index
+ *
+ * Id, label and phases of every Helper category, in display order. This is
+ * the one place they're defined: categories.js builds the full categories
+ * from it, and the AI assistant's tools (utils/assistantTools.js) use it to
+ * name categories without pulling the Helper's content out of its lazily
+ * loaded chunk.
+ *
+ * See categories.js for what `phases` means.
+ */
+
+export const helperCategoryIndex = [
+  { id: 'intense-feeling', label: 'Intense feeling', phases: ['active', 'follow-up'] },
+  { id: 'trauma', label: 'Trauma', phases: ['active', 'follow-up'] },
+  { id: 'resistance', label: 'Resistance', phases: ['active', 'follow-up'] },
+  { id: 'grief', label: 'Grief', phases: ['active', 'follow-up'] },
+  { id: 'ego-dissolution', label: 'Ego dissolution', phases: ['active'] },
+  { id: 'feel-good', label: 'I feel so good', phases: ['active'] },
+  { id: 'low-mood', label: 'Low mood', phases: ['follow-up'] },
+  { id: 'integration-difficulty', label: 'Integration', phases: ['follow-up'] },
+];
+
+/**
+ * @param {string} id
+ * @returns {{ id: string, label: string, phases: string[] }|undefined}
+ */
+export function getHelperCategoryIndexEntry(id) {
+  return helperCategoryIndex.find((category) => category.id === id);
+}
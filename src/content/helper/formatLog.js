@@ -124,3 +124,22 @@ export function formatHelperModalLog({
 
   return lines.join('\n');
 }
+
+/**
+ * Read the category label back out of a Helper Modal journal entry.
+ * Returns null for entries logged without a category (e.g. an emergency
+ * action taken from the standalone contact view).
+ */
+export function parseHelperModalCategory(content) {
+  const match = /^Category: (.+)$/m.exec(content || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Read the emergency action (e.g. "Called contact") back out of a Helper
+ * Modal journal entry, or null if none was taken.
+ */
+export function parseHelperModalEmergencyAction(content) {
+  const match = /^Emergency action: (.+)$/m.exec(content || '');
+  return match ? match[1].trim() : null;
+}
@@ -0,0 +1,83 @@
+/**
+ * Session Spacing Content
+ * Copy for the intake's session-spacing warning. The warning combines the
+ * self-reported lastMDMAUse answer with ingestion times recorded in the
+ * session history (see utils/sessionSpacing.js).
+ */
+
+import { getSourcesByName } from '../sources';
+
+export const SPACING_MESSAGES = {
+  recent: {
+    title: 'Important Information',
+    message: 'Using MDMA more frequently than every 3 months may reduce its effectiveness due to tolerance. Some research also suggests potential neurotoxicity concerns with frequent use. Consider whether waiting longer might serve you better.',
+    continueLabel: 'Continue',
+  },
+  'very-recent': {
+    title: 'Important Safety Information',
+    message: 'Using MDMA less than a month after your last use significantly increases health risks and greatly reduces the therapeutic benefit. Serotonin levels need time to replenish. We strongly recommend waiting at least 3 months between uses.',
+    continueLabel: 'I understand the risks',
+  },
+  // Answer and history disagree but the recorded interval is already long enough
+  mismatch: {
+    title: 'A Quick Check',
+    message: 'Your answer doesn\'t match the sessions saved on this device. Spacing sessions at least 3 months apart gives serotonin time to replenish and keeps the experience meaningful.',
+    continueLabel: 'Continue',
+  },
+};
+
+// Labels for the lastMDMAUse answers, phrased for "You answered: …"
+const ANSWER_LABELS = {
+  'first-time': 'this is your first time',
+  'more-than-3-months': 'more than 3 months ago',
+  '1-3-months': '1–3 months ago',
+  'less-than-1-month': 'less than a month ago',
+  unsure: 'not sure',
+};
+
+// Sources from the Sources tool that inform the spacing guidance
+export const SPACING_SOURCE_NAMES = [
+  'MAPS (Multidisciplinary Association for Psychedelic Studies)',
+  'David Nutt',
+  'Matthew Johnson',
+  'Fireside Project',
+];
+
+export function getSpacingSources() {
+  return getSourcesByName(SPACING_SOURCE_NAMES);
+}
+
+/**
+ * Resolve the warning copy for an assessment from assessSessionSpacing()
+ * @returns {{title: string, message: string, continueLabel: string}}
+ */
+export function getSpacingMessage(assessment) {
+  return SPACING_MESSAGES[assessment.level] || SPACING_MESSAGES.mismatch;
+}
+
+/**
+ * Plain-language lines explaining why the warning appeared
+ * @param {object} assessment - From assessSessionSpacing()
+ * @param {string|null} lastMDMAUse - Intake answer
+ * @param {number|null} lastIngestionAt - Most recent recorded ingestion
+ * @returns {string[]}
+ */
+export function getSpacingReasons(assessment, lastMDMAUse, lastIngestionAt) {
+  const reasons = [];
+
+  if (lastIngestionAt && assessment.daysSinceLast !== null) {
+    const date = new Date(lastIngestionAt).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' });
+    const days = assessment.daysSinceLast === 1 ? '1 day' : `${assessment.daysSinceLast} days`;
+    reasons.push(`Last session recorded in this app: ${date} (${days} ago).`);
+  }
+
+  if (ANSWER_LABELS[lastMDMAUse]) {
+    reasons.push(`You answered: ${ANSWER_LABELS[lastMDMAUse]}.`);
+  }
+
+  if (assessment.mismatch) {
+    reasons.push('We\'re going by whichever is more recent.');
+  }
+
+  return reasons;
+}
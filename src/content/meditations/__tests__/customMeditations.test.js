@@ -0,0 +1,89 @@
+/**
+ * Tests for user-written meditations and how the meditation helpers time them
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  SPEECH_VOICE_ID,
+  estimateSpeechDuration,
+  getDurationSteps,
+  registerCustomMeditations,
+} from '../customMeditations'
+import { RECORDED_VOICE_ID, registerRecordedVoice, recordedClipSrc } from '../recordedVoice'
+import {
+  getMeditationById,
+  getAllMeditations,
+  resolveEffectiveVoiceId,
+  calculateMeditationDuration,
+  calculateSilenceMultiplier,
+  generateTimedSequence,
+} from '..'
+
+const draft = {
+  id: 'custom-test',
+  title: '  Evening Rest ',
+  description: '',
+  minDuration: 5,
+  maxDuration: 15,
+  prompts: [
+    { id: 'line-1', text: 'Let your eyes close.', baseSilenceAfter: 10, silenceExpandable: false },
+    { id: 'line-2', text: '   ', baseSilenceAfter: 10, silenceExpandable: true },
+    { id: 'line-3', text: 'Rest here for a while.', baseSilenceAfter: 30, silenceExpandable: true },
+  ],
+}
+
+afterEach(() => {
+  registerCustomMeditations([])
+  registerRecordedVoice({})
+})
+
+describe('custom meditations', () => {
+  it('estimates spoken length from the word count', () => {
+    expect(estimateSpeechDuration('')).toBe(0)
+    expect(estimateSpeechDuration('one two three four five six seven eight nine ten eleven twelve thirteen')).toBe(6.5)
+  })
+
+  it('steps the duration pill in five-minute increments', () => {
+    expect(getDurationSteps(3, 15)).toEqual([3, 5, 10, 15])
+    expect(getDurationSteps(5, 12)).toEqual([5, 10, 12])
+    expect(getDurationSteps(8, 8)).toEqual([8])
+  })
+
+  it('registers drafts as meditations the helpers can look up', () => {
+    registerCustomMeditations([draft])
+    const meditation = getMeditationById('custom-test')
+
+    expect(meditation.title).toBe('Evening Rest')
+    expect(meditation.prompts.map((p) => p.id)).toEqual(['line-1', 'line-3'])
+    expect(meditation.durationSteps).toEqual([5, 10, 15])
+    expect(getAllMeditations().at(-1)).toBe(meditation)
+    expect(resolveEffectiveVoiceId(meditation.audio, 'theo')).toBe(SPEECH_VOICE_ID)
+
+    registerCustomMeditations([draft])
+    expect(getMeditationById('custom-test')).toBe(meditation)
+  })
+
+  it('times lines for the device voice with no clips to fetch', () => {
+    registerCustomMeditations([draft])
+    const meditation = getMeditationById('custom-test')
+    const multiplier = calculateSilenceMultiplier(meditation.prompts, 120, meditation.id, SPEECH_VOICE_ID)
+    const [first, second] = generateTimedSequence(meditation.prompts, multiplier, {
+      audioConfig: meditation.audio,
+      meditationId: meditation.id,
+      voiceId: SPEECH_VOICE_ID,
+    })
+
+    expect(first).toMatchObject({ audioSrc: null, speech: true, speakingDuration: estimateSpeechDuration(first.text), silenceDuration: 10 })
+    expect(second.silenceDuration).toBeGreaterThan(30)
+    expect(calculateMeditationDuration(meditation.prompts, multiplier, meditation.id, SPEECH_VOICE_ID)).toBeCloseTo(120, -1)
+  })
+
+  it('plays recorded clips once every line is recorded', () => {
+    registerCustomMeditations([draft])
+    const meditation = getMeditationById('custom-test')
+    registerRecordedVoice({ 'custom-test': { 'line-1': 2, 'line-3': 3 } })
+
+    const [first] = generateTimedSequence(meditation.prompts, 1, { audioConfig: meditation.audio, voiceId: RECORDED_VOICE_ID })
+    expect(first).toMatchObject({ audioSrc: recordedClipSrc('custom-test', 'line-1'), speech: false, speakingDuration: 2 })
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Tests for the recorded voice and how the meditation helpers resolve it
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  RECORDED_VOICE_ID,
+  registerRecordedVoice,
+  hasCompleteRecording,
+  recordedClipSrc,
+  parseRecordedClipSrc,
+} from '../recordedVoice'
+import {
+  getMeditationById,
+  getAvailableVoices,
+  getClipDuration,
+  resolveEffectiveVoiceId,
+  generateTimedSequence,
+} from '..'
+
+const bodyScan = getMeditationById('body-scan')
+
+function recordAll(meditation, duration = 4) {
+  return { [meditation.id]: Object.fromEntries(meditation.prompts.map((p) => [p.id, duration])) }
+}
+
+afterEach(() => registerRecordedVoice({}))
+
+describe('recorded voice', () => {
+  it('round-trips clip sources and ignores regular URLs', () => {
+    const src = recordedClipSrc('body-scan', 'intro')
+    expect(parseRecordedClipSrc(src)).toEqual({ meditationId: 'body-scan', promptId: 'intro' })
+    expect(parseRecordedClipSrc('/audio/meditations/body-scan/intro.mp3')).toBeNull()
+  })
+
+  it('is only offered once a meditation is fully recorded', () => {
+    const partial = recordAll(bodyScan)
+    delete partial[bodyScan.id][bodyScan.prompts[0].id]
+    registerRecordedVoice(partial)
+    expect(hasCompleteRecording(bodyScan)).toBe(false)
+    expect(getAvailableVoices().map((v) => v.id)).not.toContain(RECORDED_VOICE_ID)
+    expect(resolveEffectiveVoiceId(bodyScan.audio, RECORDED_VOICE_ID)).toBe(bodyScan.audio.defaultVoice)
+
+    registerRecordedVoice(recordAll(bodyScan))
+    expect(getAvailableVoices().at(-1)).toEqual({ id: RECORDED_VOICE_ID, label: 'My Voice' })
+    expect(resolveEffectiveVoiceId(bodyScan.audio, RECORDED_VOICE_ID)).toBe(RECORDED_VOICE_ID)
+  })
+
+  it('times and sources the sequence from the recorded clips', () => {
+    registerRecordedVoice(recordAll(bodyScan, 3.25))
+    const [first, second] = generateTimedSequence(bodyScan.prompts, 1, { audioConfig: bodyScan.audio, voiceId: RECORDED_VOICE_ID })
+
+    expect(getClipDuration(bodyScan.id, bodyScan.prompts[0], RECORDED_VOICE_ID)).toBe(3.25)
+    expect(first.speakingDuration).toBe(3.25)
+    expect(first.audioSrc).toBe(recordedClipSrc(bodyScan.id, bodyScan.prompts[0].id))
+    expect(second.startTime).toBe(first.endTime)
+  })
+
+  it('leaves meditations that are not recorded on their own voices', () => {
+    registerRecordedVoice(recordAll(bodyScan))
+    const other = getMeditationById('open-awareness')
+    const [first] = generateTimedSequence(other.prompts, 1, { audioConfig: other.audio, voiceId: RECORDED_VOICE_ID })
+    expect(parseRecordedClipSrc(first.audioSrc)).toBeNull()
+  })
+})
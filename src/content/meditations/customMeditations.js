@@ -0,0 +1,135 @@
+/**
+ * Custom Meditations
+ *
+ * Meditations the user writes themselves (Tools → Write Your Own
+ * Meditation). Drafts are persisted by useCustomMeditationStore, which
+ * registers them here so getMeditationById and the timing helpers in
+ * ./index.js treat them like any authored meditation.
+ *
+ * A custom meditation has no clips of its own. It plays with the device
+ * voice — each line is spoken live through the Web Speech API while the
+ * composed blob holds the line's slot in silence — or with "My Voice" once
+ * every line has been recorded in the voice studio.
+ *
+ * Draft shape (durations in minutes):
+ *   { id, title, description, minDuration, maxDuration,
+ *     prompts: [{ id, text, baseSilenceAfter, silenceExpandable }] }
+ */
+
+export const CUSTOM_MEDITATION_PREFIX = 'custom-';
+
+export const SPEECH_VOICE_ID = 'device-voice';
+export const SPEECH_VOICE_LABEL = 'Device Voice';
+
+// Web Speech API rate for spoken lines. The timing estimate assumes a slower
+// pace than most voices manage at this rate, so a line finishes inside the
+// slot the composer reserved for it instead of running into the pause.
+export const SPEECH_RATE = 0.9;
+const SPEECH_WORDS_PER_MINUTE = 130;
+const SPEECH_LEAD_IN = 0.5; // seconds before the voice starts
+
+// Variable-duration meditations step in 5-minute increments between the
+// author's minimum and maximum
+const DURATION_STEP = 5;
+
+// { [meditationId]: meditation }
+let customMeditations = {};
+// Drafts the store hasn't changed keep their built meditation object, so
+// components memoized on getMeditationById() don't recompute on every save
+const builtByDraft = new WeakMap();
+
+/**
+ * Estimated spoken length of a line with the device voice
+ * @param {string} text
+ * @returns {number} Seconds, to 0.1s
+ */
+export function estimateSpeechDuration(text) {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean).length;
+  if (words === 0) return 0;
+  return Math.round((SPEECH_LEAD_IN + (words * 60) / SPEECH_WORDS_PER_MINUTE) * 10) / 10;
+}
+
+/**
+ * Duration pill steps for a minimum/maximum range, in minutes
+ * e.g. (3, 15) → [3, 5, 10, 15]
+ */
+export function getDurationSteps(minDuration, maxDuration) {
+  const steps = [minDuration];
+  const firstStep = Math.floor(minDuration / DURATION_STEP) * DURATION_STEP + DURATION_STEP;
+  for (let minutes = firstStep; minutes < maxDuration; minutes += DURATION_STEP) {
+    steps.push(minutes);
+  }
+  if (maxDuration > minDuration) steps.push(maxDuration);
+  return steps;
+}
+
+/**
+ * True for ids of user-written meditations
+ */
+export function isCustomMeditationId(id) {
+  return typeof id === 'string' && id.startsWith(CUSTOM_MEDITATION_PREFIX);
+}
+
+/**
+ * Turn a stored draft into a meditation with the same shape as the
+ * authored ones in this folder. Blank lines are dropped.
+ */
+export function buildCustomMeditation(draft) {
+  return {
+    id: draft.id,
+    title: draft.title?.trim() || 'Untitled Meditation',
+    description: draft.description?.trim() || 'A meditation you wrote.',
+    isCustom: true,
+    minDuration: draft.minDuration * 60,
+    maxDuration: draft.maxDuration * 60,
+    durationSteps: getDurationSteps(draft.minDuration, draft.maxDuration),
+
+    audio: {
+      // Never fetched: no voice here reads clips from a path. It names the
+      // meditation so resolveEffectiveVoiceId can find its recordings.
+      basePath: `/audio/meditations/${draft.id}/`,
+      format: 'mp3',
+      defaultVoice: SPEECH_VOICE_ID,
+      voices: [{ id: SPEECH_VOICE_ID, label: SPEECH_VOICE_LABEL, subfolder: '' }],
+    },
+
+    prompts: draft.prompts
+      .filter((p) => p.text?.trim())
+      .map((p) => ({
+        id: p.id,
+        text: p.text.trim(),
+        baseSilenceAfter: p.baseSilenceAfter,
+        silenceExpandable: p.silenceExpandable,
+      })),
+  };
+}
+
+/**
+ * Replace the registered custom meditations
+ * @param {Array<Object>} drafts - From useCustomMeditationStore
+ */
+export function registerCustomMeditations(drafts) {
+  customMeditations = {};
+  for (const draft of drafts || []) {
+    let meditation = builtByDraft.get(draft);
+    if (!meditation) {
+      meditation = buildCustomMeditation(draft);
+      builtByDraft.set(draft, meditation);
+    }
+    customMeditations[draft.id] = meditation;
+  }
+}
+
+/**
+ * A registered custom meditation, or null
+ */
+export function getCustomMeditation(id) {
+  return customMeditations[id] || null;
+}
+
+/**
+ * All registered custom meditations, in the order the store keeps them
+ */
+export function getCustomMeditations() {
+  return Object.values(customMeditations);
+}
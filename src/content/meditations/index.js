@@ -5,6 +5,19 @@
 
 import audioDurations from './audio-durations.json' with { type: 'json' };
 import { audioPath } from '../../utils/audioPath';
+import {
+  RECORDED_VOICE_ID,
+  RECORDED_VOICE_LABEL,
+  getRecordedClipDuration,
+  hasCompleteRecording,
+  recordedClipSrc,
+} from './recordedVoice';
+import {
+  SPEECH_VOICE_ID,
+  estimateSpeechDuration,
+  getCustomMeditation,
+  getCustomMeditations,
+} from './customMeditations';
 import { openAwarenessMeditation } from './open-awareness';
 import { bodyScanMeditation } from './body-scan';
 import { selfCompassionMeditation } from './self-compassion';
@@ -23,6 +36,8 @@ import { transitionClosing } from './transition-closing';
 
 // Registry of all available meditations. Modules consume these via
 // `getMeditationById(id)`; no individual named re-exports are needed.
+// User-written meditations live in ./customMeditations.js and are looked up
+// after this registry.
 export const meditationLibrary = {
   'open-awareness': openAwarenessMeditation,
   'body-scan': bodyScanMeditation,
@@ -45,14 +60,15 @@ export const meditationLibrary = {
  * Get a meditation by its ID
  */
 export function getMeditationById(meditationId) {
-  return meditationLibrary[meditationId] || null;
+  return meditationLibrary[meditationId] || getCustomMeditation(meditationId);
 }
 
 /**
  * Collect every unique voice variant declared across all meditations in
  * `meditationLibrary`. Deduplicated by voice id, preserving first-seen order.
  * Used by Settings to render the default-voice picker without requiring a
- * hand-maintained list.
+ * hand-maintained list. The recorded voice is listed last once at least one
+ * meditation (authored or custom) is fully recorded.
  *
  * @returns {Array<{ id: string, label: string }>}
  */
@@ -67,14 +83,17 @@ export function getAvailableVoices() {
       }
     }
   }
+  if (getAllMeditations().some(hasCompleteRecording)) {
+    seen.set(RECORDED_VOICE_ID, { id: RECORDED_VOICE_ID, label: RECORDED_VOICE_LABEL });
+  }
   return Array.from(seen.values());
 }
 
 /**
- * Get all available meditations
+ * Get all available meditations, custom ones last
  */
 export function getAllMeditations() {
-  return Object.values(meditationLibrary);
+  return [...Object.values(meditationLibrary), ...getCustomMeditations()];
 }
 
 /**
@@ -84,6 +103,8 @@ export function getAllMeditations() {
  * variant: manifest[medId][voiceId][promptId] → manifest[medId][promptId].
  * Alternate voices that have their own nested manifest entry drive accurate
  * timing; otherwise we fall through to the default voice's manifest entry.
+ * The recorded voice uses the duration measured when the clip was saved,
+ * and the device voice (custom meditations) an estimate from the word count.
  *
  * Throws if no manifest entry exists — the manifest is the single source of
  * truth for clip timing. Regenerate via `node scripts/generate-audio-durations.mjs`
@@ -95,6 +116,11 @@ export function getAllMeditations() {
  * @returns {number} Duration in seconds
  */
 export function getClipDuration(meditationId, prompt, voiceId = null) {
+  if (voiceId === SPEECH_VOICE_ID) return estimateSpeechDuration(prompt.text);
+  if (voiceId === RECORDED_VOICE_ID) {
+    const recorded = getRecordedClipDuration(meditationId, prompt.id);
+    if (recorded !== null) return recorded;
+  }
   const medEntry = meditationId ? audioDurations[meditationId] : null;
   if (medEntry) {
     if (voiceId) {
@@ -222,8 +248,13 @@ export function resolveVoiceBasePath(audioConfig, voiceId) {
 /**
  * Pick the effective voice ID for a meditation given a caller-supplied
  * preference. Returns null when the meditation has no voices declared.
+ * The recorded voice is honored only for fully recorded meditations.
  */
 export function resolveEffectiveVoiceId(audioConfig, preferredVoiceId = null) {
+  if (preferredVoiceId === RECORDED_VOICE_ID
+    && hasCompleteRecording(getMeditationById(meditationIdFromAudioConfig(audioConfig)))) {
+    return RECORDED_VOICE_ID;
+  }
   if (!Array.isArray(audioConfig?.voices) || audioConfig.voices.length === 0) return null;
   if (preferredVoiceId && audioConfig.voices.some((v) => v.id === preferredVoiceId)) {
     return preferredVoiceId;
@@ -275,7 +306,8 @@ export function estimateMeditationDurationSeconds(meditation, { voiceId = null,
  * @param {Object} options.audioConfig - Audio config with basePath and format, or null
  * @param {string} [options.meditationId] - Explicit meditation ID (derived from audioConfig if omitted)
  * @param {string} [options.voiceId] - Optional voice variant ID
- * @returns {Array} Array of { id, text, speakingDuration, silenceDuration, startTime, endTime, audioSrc }
+ * @returns {Array} Array of { id, text, speakingDuration, silenceDuration, startTime, endTime, audioSrc, speech }
+ *   — `speech` marks lines the device voice speaks live (audioSrc is null)
  */
 export function generateTimedSequence(prompts, silenceMultiplier = 1.0, { audioConfig = null, meditationId = null, voiceId = null } = {}) {
   const medId = meditationId || meditationIdFromAudioConfig(audioConfig);
@@ -295,6 +327,7 @@ export function generateTimedSequence(prompts, silenceMultiplier = 1.0, { audioC
     }
 
     const totalDuration = speakingDuration + silenceDuration;
+    const isSpeech = effectiveVoiceId === SPEECH_VOICE_ID;
 
     sequence.push({
       id: prompt.id,
@@ -303,9 +336,12 @@ export function generateTimedSequence(prompts, silenceMultiplier = 1.0, { audioC
       silenceDuration,
       startTime: currentTime,
       endTime: currentTime + totalDuration,
-      audioSrc: audioConfig
-        ? audioPath(`${voiceBasePath}${prompt.id}.${audioConfig.format}`)
-        : null,
+      audioSrc: effectiveVoiceId === RECORDED_VOICE_ID
+        ? recordedClipSrc(medId, prompt.id)
+        : audioConfig && !isSpeech
+          ? audioPath(`${voiceBasePath}${prompt.id}.${audioConfig.format}`)
+          : null,
+      speech: isSpeech,
     });
 
     currentTime += totalDuration;
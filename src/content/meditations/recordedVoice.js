@@ -0,0 +1,69 @@
+/**
+ * Recorded Voice
+ *
+ * A synthetic meditation voice made of clips the user recorded themselves
+ * (Tools → Record Your Own Voice). Clips live in IndexedDB
+ * (utils/voiceRecordingStorage.js); their measured durations are registered
+ * here by useVoiceRecordingStore so the timing helpers in ./index.js can
+ * stay synchronous.
+ *
+ * A meditation only offers the recorded voice once every one of its
+ * `prompts[]` has a clip. Until then it keeps playing its default voice.
+ */
+
+export const RECORDED_VOICE_ID = 'my-voice';
+export const RECORDED_VOICE_LABEL = 'My Voice';
+
+// audioSrc prefix for recorded clips, resolved by the audio composer
+const RECORDED_CLIP_SCHEME = 'recorded-voice:';
+
+// { [meditationId]: { [promptId]: durationSeconds } }
+let recordedDurations = {};
+
+/**
+ * Replace the registered clip durations
+ * @param {Object<string, Object<string, number>>} durations
+ */
+export function registerRecordedVoice(durations) {
+  recordedDurations = durations || {};
+}
+
+/**
+ * Measured duration of a recorded clip, or null if it hasn't been recorded
+ */
+export function getRecordedClipDuration(meditationId, promptId) {
+  const duration = recordedDurations[meditationId]?.[promptId];
+  return typeof duration === 'number' ? duration : null;
+}
+
+/**
+ * Meditations the studio can record: ones with audio and a flat prompts[] list
+ */
+export function isRecordableMeditation(meditation) {
+  return !!meditation?.audio && Array.isArray(meditation.prompts) && meditation.prompts.length > 0;
+}
+
+/**
+ * True once every prompt of the meditation has a recorded clip
+ */
+export function hasCompleteRecording(meditation) {
+  if (!isRecordableMeditation(meditation)) return false;
+  return meditation.prompts.every((p) => getRecordedClipDuration(meditation.id, p.id) !== null);
+}
+
+/**
+ * audioSrc for a recorded clip
+ */
+export function recordedClipSrc(meditationId, promptId) {
+  return `${RECORDED_CLIP_SCHEME}${meditationId}/${promptId}`;
+}
+
+/**
+ * Parse a recorded clip audioSrc
+ * @returns {{ meditationId: string, promptId: string }|null} null for regular audio URLs
+ */
+export function parseRecordedClipSrc(src) {
+  if (typeof src !== 'string' || !src.startsWith(RECORDED_CLIP_SCHEME)) return null;
+  const [meditationId, promptId] = src.slice(RECORDED_CLIP_SCHEME.length).split('/');
+  return meditationId && promptId ? { meditationId, promptId } : null;
+}
@@ -0,0 +1,65 @@
+/**
+ * Guided Breathing Module — Patterns and Copy
+ *
+ * Breath patterns (seconds per phase, see utils/breathTiming.js), cue modes,
+ * and the safety note. Every pattern here is slow, with an exhale at least as
+ * long as the inhale — fast or forceful breathwork is deliberately left out.
+ */
+
+// ─── Patterns ───────────────────────────────────────────────────────────────
+
+export const BREATH_PATTERNS = [
+  {
+    id: 'coherent',
+    label: 'Coherent',
+    summary: '5.5 in · 5.5 out',
+    description: 'Slow, even breathing at about five and a half breaths a minute. A gentle rhythm that settles the heart and the mind together.',
+    pattern: { inhale: 5.5, exhale: 5.5 },
+  },
+  {
+    id: 'box',
+    label: 'Box',
+    summary: '4 in · 4 hold · 4 out · 4 hold',
+    description: 'Four equal sides: breathe in, hold, breathe out, hold. Steadying when attention is scattered.',
+    pattern: { inhale: 4, hold: 4, exhale: 4, holdAfterExhale: 4 },
+  },
+  {
+    id: '4-7-8',
+    label: '4-7-8',
+    summary: '4 in · 7 hold · 8 out',
+    description: 'In through the nose for four, hold for seven, out slowly through the mouth for eight. If the hold feels like a strain, let it go — don\'t push through it.',
+    pattern: { inhale: 4, hold: 7, exhale: 8 },
+  },
+  {
+    id: 'physiological-sigh',
+    label: 'Physiological Sigh',
+    summary: '2 in · 1 more in · 6 out',
+    description: 'A full breath in through the nose, a short second sip on top, then a long, unhurried sigh out through the mouth. The quickest way to let tension drain.',
+    pattern: { inhale: 2, secondInhale: 1, exhale: 6 },
+  },
+];
+
+export const DEFAULT_PATTERN_ID = 'coherent';
+
+export function getBreathPatternById(id) {
+  return BREATH_PATTERNS.find((p) => p.id === id) || BREATH_PATTERNS[0];
+}
+
+// ─── Cues ───────────────────────────────────────────────────────────────────
+
+// 'tones' adds a soft tone at each phase change on top of the opening and
+// closing gongs; 'gong' keeps only the gongs; 'off' is silent throughout.
+// The Settings gong preference still silences gongs in every mode.
+export const CUE_MODES = [
+  { id: 'tones', label: 'Tones' },
+  { id: 'gong', label: 'Gong only' },
+  { id: 'off', label: 'Silent' },
+];
+
+export const DEFAULT_CUE_MODE = 'tones';
+
+// ─── Safety ─────────────────────────────────────────────────────────────────
+
+export const SAFETY_NOTE = 'Keep it slow and comfortable. If you feel light-headed or tingly, stop and breathe normally.';
+
+export const PEAK_SAFETY_NOTE = 'During the peak your heart is already working harder and your body runs warm. Stay with these slow patterns — avoid fast, forceful or over-breathing techniques (like breath of fire or Wim Hof–style rounds), which can bring on dizziness, tingling or panic. If anything feels off, stop and breathe naturally.';
@@ -17,6 +17,9 @@ export {
   canAddModuleToPhase,
   getModulesGroupedByIntensity,
   getFollowUpModules,
+  createCustomMeditationModule,
+  registerUserModules,
+  getUserModules,
 } from './library';
 
 import { FRAMEWORKS as _FRAMEWORKS } from './library';
@@ -37,6 +37,7 @@ export const MODULE_CATEGORIES = {
   activity: { label: 'Activity', order: 2 },
   journaling: { label: 'Journaling', order: 3 },
   open: { label: 'Open', order: 4 },
+  custom: { label: 'Your Meditations', order: 5 },
 };
 
 // Layer 2: Category → icon key (overrides default SparkleIcon)
@@ -46,6 +47,7 @@ export const CATEGORY_ICONS = {
   activity: 'boat',
   journaling: 'notebook-pen',
   open: 'sparkle',
+  custom: 'waves',
   'follow-up': 'leaf',
 };
 
@@ -61,6 +63,7 @@ export const MODULE_ICONS = {
   'simple-grounding': 'snail',
   'short-grounding': 'snail',
   'centering-breath': 'waves',
+  breathing: 'waves',
   'self-compassion': 'heart-handshake',
   'the-descent': 'heart-handshake',
   'the-descent-p1': 'heart-handshake',
@@ -95,6 +98,9 @@ export const MODULE_TYPES = {
   'simple-grounding': { label: 'Session Grounding', intensity: 1 },
   'short-grounding': { label: 'Basic Grounding', intensity: 1 },
   'centering-breath': { label: 'Centering Breath', intensity: 1 },
+  breathing: { label: 'Guided Breathing', intensity: 1 },
+  // User-written meditations (Tools → Write Your Own Meditation)
+  'custom-meditation': { label: 'Your Meditation', intensity: 1 },
   'light-journaling': { label: 'Light Journaling', intensity: 2 },
   'deep-journaling': { label: 'Deep Journaling', intensity: 3 },
   'therapy-exercise': { label: 'Therapy Exercise', intensity: 5 },
@@ -313,6 +319,30 @@ export const moduleLibrary = [
     content: { instructions: 'Audio-guided, approximately 7\u20138 minutes. Seven sections: orientation and posture, settling into the body, a body release, a pause to watch your natural breath, paced 4-in/6-out counted breathing, centering at the chest, and a soft close. The silence between prompts is tuned to the cadence of breath, so there is no duration picker \u2014 the pacing stays as designed.' },
   },
 
+  {
+    id: 'breathing',
+    type: 'breathing',
+    category: 'meditation',
+    title: 'Guided Breathing',
+    description: 'Follow a breathing orb at your own pace: coherent, box, 4-7-8, or the physiological sigh. With optional tones and vibration cues.',
+    defaultDuration: 5,
+    minDuration: 3,
+    maxDuration: 20,
+    hasVariableDuration: true,
+    durationSteps: [3, 5, 10, 15, 20],
+    allowedPhases: ['pre-session', 'come-up', 'peak', 'integration'],
+    recommendedPhases: ['pre-session', 'come-up'],
+    // Uses custom BreathingModule with BreathOrb and a cued silence timer
+    capabilities: {
+      timer: { type: 'elapsed', autoComplete: true },
+      controls: { showBeginButton: true, showPauseButton: true, showSkipButton: true },
+      layout: { centered: true },
+    },
+    tags: ['breath', 'calming', 'grounding', 'unguided'],
+    framework: ['mindfulness'],
+    content: { instructions: 'Choose a breathing pattern, a duration and how you\'d like to be cued, then breathe along with the orb. Tones (or vibration, on Android) mark each change so you can close your eyes. Every pattern is slow and gentle; during the peak, stay with them rather than faster breathwork.' },
+  },
+
   {
     id: 'music-listening',
     type: 'music-listening',
@@ -1107,11 +1137,68 @@ moduleLibrary.forEach((m) => {
   }
 });
 
+// ============================================
+// USER LIBRARY
+// Modules built from the user's own content (currently custom meditations).
+// useCustomMeditationStore registers them at startup and on every change;
+// they resolve through getModuleById like built-in entries but are listed
+// separately, since moduleLibrary itself is static.
+// ============================================
+
+let userModules = [];
+
+// Phases a custom meditation can be added to — same as Guided Breathing
+const CUSTOM_MEDITATION_PHASES = ['pre-session', 'come-up', 'peak', 'integration'];
+
+/**
+ * Library entry for a custom meditation (see content/meditations/customMeditations.js).
+ * The entry shares the meditation's id, so a timeline instance's libraryId
+ * is also its meditationId.
+ */
+export function createCustomMeditationModule(meditation) {
+  const steps = meditation.durationSteps;
+  return {
+    id: meditation.id,
+    type: 'custom-meditation',
+    category: 'custom',
+    title: meditation.title,
+    description: meditation.description,
+    defaultDuration: steps[0],
+    minDuration: steps[0],
+    maxDuration: steps[steps.length - 1],
+    allowedPhases: CUSTOM_MEDITATION_PHASES,
+    recommendedPhases: CUSTOM_MEDITATION_PHASES,
+    hasVariableDuration: steps.length > 1,
+    durationSteps: steps,
+    meditationId: meditation.id,
+    isUserModule: true,
+    intensity: MODULE_TYPES['custom-meditation'].intensity,
+    tags: ['meditation', 'guided', 'custom', 'your own'],
+    framework: ['general'],
+    content: { instructions: 'A meditation you wrote, read aloud by your device\'s voice or your own recording.' },
+  };
+}
+
+/**
+ * Replace the registered user library modules
+ * @param {Array<Object>} modules - Library entries, e.g. from createCustomMeditationModule
+ */
+export function registerUserModules(modules) {
+  userModules = modules || [];
+}
+
+/**
+ * User library modules, for the Add Activity drawer
+ */
+export function getUserModules() {
+  return userModules;
+}
+
 /**
- * Get a module by its library ID
+ * Get a module by its library ID (built-in first, then the user library)
  */
 export function getModuleById(id) {
-  return moduleLibrary.find((m) => m.id === id);
+  return moduleLibrary.find((m) => m.id === id) || userModules.find((m) => m.id === id);
 }
 
 /**
@@ -0,0 +1,54 @@
+/**
+ * Reminder Content
+ * Labels for the reminder settings and the copy shown in each notification.
+ * Notification text is kept short and neutral — it can appear on a locked
+ * screen where others may see it.
+ */
+
+export const REMINDER_TYPES = [
+  {
+    id: 'hydration',
+    label: 'Water',
+    description: 'A gentle nudge to sip water while the session is active.',
+  },
+  {
+    id: 'booster',
+    label: 'Booster Window',
+    description: 'When the booster check-in opens, if you planned to consider one.',
+  },
+  {
+    id: 'comeUpCheckIn',
+    label: 'Come-Up Check-In',
+    description: 'When the come-up check-in is ready for you again.',
+  },
+  {
+    id: 'followUp',
+    label: 'Follow-Up',
+    description: 'When follow-up activities unlock after the session.',
+  },
+];
+
+// `tag` collapses repeats of one type into a single notification. The booster
+// tag matches the in-app booster notification so the two never stack.
+export const REMINDER_NOTIFICATIONS = {
+  hydration: {
+    tag: 'reminder-hydration',
+    title: 'Water Check',
+    body: 'A few sips of water, or an electrolyte drink. No need for more than that.',
+  },
+  booster: {
+    tag: 'booster-check-in',
+    title: 'Booster Check-In',
+    body: 'Your booster window is open. Check in with how you\'re feeling before deciding.',
+  },
+  comeUpCheckIn: {
+    tag: 'reminder-come-up-check-in',
+    title: 'Come-Up Check-In',
+    body: 'How are you feeling? Open the app when you\'re ready to check in.',
+  },
+  followUp: {
+    tag: 'reminder-follow-up',
+    title: 'Follow-Up Ready',
+    body: 'Your follow-up activities are unlocked whenever you feel ready.',
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * Tests for the sitter guidance resolver
+ */
+
+import { describe, it, expect } from 'vitest'
+import { resolveSitterGuidance } from '../resolveSitterGuidance'
+import { PHASE_WINDOW_GUIDANCE, BEFORE_INGESTION_GUIDANCE, CATEGORY_GUIDANCE, BOOSTER_CHECK_IN_GUIDANCE } from '../sitterGuidance'
+
+const MIN = 60 * 1000
+const now = new Date('2026-05-01T18:00:00Z').getTime()
+
+function snapshot(overrides = {}) {
+  return {
+    sessionPhase: 'active',
+    ingestionTime: null,
+    checkIns: { comeUp: null, booster: null },
+    helper: { isOpen: false, useCount: 0, lastUsedAt: null, lastCategory: null, lastEmergencyAction: null },
+    emergencyContact: null,
+    ...overrides,
+  }
+}
+
+describe('resolveSitterGuidance', () => {
+  it('follows the phase window since ingestion', () => {
+    expect(resolveSitterGuidance(snapshot(), now).phase).toBe(BEFORE_INGESTION_GUIDANCE)
+    expect(resolveSitterGuidance(snapshot({ ingestionTime: now - 40 * MIN }), now).phase).toBe(PHASE_WINDOW_GUIDANCE['come-up'])
+    expect(resolveSitterGuidance(snapshot({ ingestionTime: now - 120 * MIN }), now).phaseWindow).toBe('peak')
+    expect(resolveSitterGuidance(snapshot({ ingestionTime: now - 120 * MIN, sessionPhase: 'completed' }), now).phaseWindow).toBe('post-session')
+  })
+
+  it('shows category guidance only for recent Helper use', () => {
+    const helper = { isOpen: false, useCount: 1, lastUsedAt: now - 10 * MIN, lastCategory: 'Grief', lastEmergencyAction: null }
+    const recent = resolveSitterGuidance(snapshot({ ingestionTime: now - 120 * MIN, helper }), now)
+
+    expect(recent.category).toMatchObject({ id: 'grief', label: 'Grief', summary: CATEGORY_GUIDANCE.grief.summary })
+    expect(resolveSitterGuidance(snapshot({ helper: { ...helper, lastUsedAt: now - 2 * 60 * MIN } }), now).category).toBeNull()
+  })
+
+  it('adapts to check-ins and hydration needs', () => {
+    const guidance = resolveSitterGuidance(snapshot({
+      ingestionTime: now - 45 * MIN,
+      checkIns: { comeUp: { response: 'starting', at: now }, booster: { physicalState: 'temperature', experienceQuality: null, trajectory: null } },
+    }), now)
+
+    expect(guidance.checkInNotes).toHaveLength(2)
+    expect(guidance.checkInNotes[1]).toBe(BOOSTER_CHECK_IN_GUIDANCE.physicalState.temperature)
+    expect(guidance.hydration.emphasizeElectrolytes).toBe(true)
+    expect(resolveSitterGuidance(snapshot(), now).hydration).toBeNull()
+  })
+
+  it('marks escalation urgent after an emergency action or an uncomfortable body check-in', () => {
+    expect(resolveSitterGuidance(snapshot(), now).escalation.isUrgent).toBe(false)
+    expect(resolveSitterGuidance(snapshot({
+      helper: { isOpen: false, useCount: 1, lastUsedAt: now, lastCategory: null, lastEmergencyAction: { action: 'Call 911 (US)', at: now - 5 * MIN } },
+    }), now).escalation.isUrgent).toBe(true)
+    expect(resolveSitterGuidance(snapshot({
+      checkIns: { comeUp: null, booster: { physicalState: 'uncomfortable' } },
+    }), now).escalation.isUrgent).toBe(true)
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Sitter Guidance Resolver
+ *
+ * Picks the sitter guidance that fits the person's current state, from a
+ * companion snapshot (utils/companionProjection.js). Pure — no store access,
+ * no React — so the same function serves the follower device's SitterView
+ * and the primary device's Sitter Guide tool.
+ */
+
+import { classifyPhaseWindow } from '../helper/resolverUtils';
+import { helperCategories } from '../helper/categories';
+import {
+  BEFORE_INGESTION_GUIDANCE,
+  PHASE_WINDOW_GUIDANCE,
+  CATEGORY_GUIDANCE,
+  COME_UP_CHECK_IN_GUIDANCE,
+  BOOSTER_CHECK_IN_GUIDANCE,
+  HYDRATION_GUIDANCE,
+  HYDRATION_WINDOWS,
+  ESCALATION_GUIDANCE,
+} from './sitterGuidance';
+
+// How long a Helper visit keeps its category guidance on screen
+const RECENT_HELPER_MS = 60 * 60 * 1000;
+
+// The come-up answer stops being useful once the peak is underway
+const COME_UP_CHECK_IN_WINDOWS = ['pre-onset', 'come-up', 'early-peak'];
+
+function resolveCategory(helper, now) {
+  if (!helper?.lastCategory) return null;
+  const isRecent = helper.isOpen || (helper.lastUsedAt && now - helper.lastUsedAt <= RECENT_HELPER_MS);
+  if (!isRecent) return null;
+  const category = helperCategories.find((c) => c.label === helper.lastCategory);
+  const guidance = category && CATEGORY_GUIDANCE[category.id];
+  return guidance ? { id: category.id, label: category.label, ...guidance } : null;
+}
+
+function isRecentEmergency(helper, now) {
+  const at = helper?.lastEmergencyAction?.at;
+  return !!at && now - at <= RECENT_HELPER_MS;
+}
+
+function resolveCheckIns(checkIns, phaseWindow) {
+  const notes = [];
+  const comeUp = checkIns?.comeUp;
+  if (comeUp && COME_UP_CHECK_IN_WINDOWS.includes(phaseWindow) && COME_UP_CHECK_IN_GUIDANCE[comeUp.response]) {
+    notes.push(COME_UP_CHECK_IN_GUIDANCE[comeUp.response]);
+  }
+  const booster = checkIns?.booster;
+  if (booster) {
+    for (const field of ['physicalState', 'experienceQuality', 'trajectory']) {
+      const note = BOOSTER_CHECK_IN_GUIDANCE[field][booster[field]];
+      if (note) notes.push(note);
+    }
+  }
+  return notes;
+}
+
+/**
+ * Resolve sitter guidance for a companion snapshot
+ * @param {object} snapshot - From buildCompanionSnapshot()
+ * @param {number} [now]
+ * @returns {{
+ *   minutesSinceIngestion: number|null,
+ *   phaseWindow: string|null,
+ *   phase: {title: string, expect: string, help: string[]},
+ *   category: object|null,
+ *   checkInNotes: string[],
+ *   hydration: object|null,
+ *   escalation: object,
+ * }}
+ */
+export function resolveSitterGuidance(snapshot, now = Date.now()) {
+  const minutesSinceIngestion = snapshot.ingestionTime
+    ? Math.max(0, Math.floor((now - snapshot.ingestionTime) / 60000))
+    : null;
+  const phaseWindow = snapshot.sessionPhase === 'completed'
+    ? 'post-session'
+    : classifyPhaseWindow(minutesSinceIngestion);
+
+  const physicalState = snapshot.checkIns?.booster?.physicalState;
+  const category = resolveCategory(snapshot.helper, now);
+
+  const hydration = HYDRATION_WINDOWS.includes(phaseWindow)
+    ? {
+      ...HYDRATION_GUIDANCE,
+      // Electrolytes matter most at the peak and whenever they're heating up
+      emphasizeElectrolytes: phaseWindow === 'peak' || physicalState === 'temperature' || category?.id === 'feel-good',
+    }
+    : null;
+
+  return {
+    minutesSinceIngestion,
+    phaseWindow,
+    phase: PHASE_WINDOW_GUIDANCE[phaseWindow] || BEFORE_INGESTION_GUIDANCE,
+    category,
+    checkInNotes: resolveCheckIns(snapshot.checkIns, phaseWindow),
+    hydration,
+    escalation: {
+      ...ESCALATION_GUIDANCE,
+      // Surface the escalation section first when something points to trouble
+      isUrgent: physicalState === 'uncomfortable' || isRecentEmergency(snapshot.helper, now),
+    },
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Sitter Guidance Content
+ * Copy for the sitter-facing guidance panel. Written to the sitter, about
+ * the person in session ("they"). resolveSitterGuidance.js picks which
+ * pieces to show from the current companion snapshot.
+ *
+ * Phase windows match classifyPhaseWindow() in content/helper/resolverUtils.js;
+ * category ids match content/helper/categories.js.
+ */
+
+// ============================================
+// PHASE WINDOWS
+// ============================================
+
+export const BEFORE_INGESTION_GUIDANCE = {
+  title: 'Before they begin',
+  expect: 'Nerves and anticipation are normal. This is the best time to agree on how you\'ll support them.',
+  help: [
+    'Agree on boundaries ahead of time, including whether touch is welcome and what kind.',
+    'Confirm where their emergency contact details are and that your phone is charged.',
+    'Have water, an electrolyte drink, a blanket, and a bucket or bag within reach.',
+    'Agree that no one drives, and that decisions about a booster are theirs to make.',
+  ],
+};
+
+export const PHASE_WINDOW_GUIDANCE = {
+  'pre-onset': {
+    title: 'Waiting for onset',
+    expect: 'Usually nothing yet. Effects typically begin 20–60 minutes after taking it. Waiting can make people anxious or doubt the dose.',
+    help: [
+      'Keep things calm and low-key. Light conversation or quiet music is fine.',
+      'If they worry it isn\'t working, remind them it takes time. Taking more now isn\'t safe.',
+    ],
+  },
+  'come-up': {
+    title: 'Come-up',
+    expect: 'Heart rate rises. Jaw tension, warmth or chills, waves of nausea, and restlessness are common. Anxiety can spike and may feel like panic. This usually eases within 15–30 minutes.',
+    help: [
+      'Reassure them plainly: "This is the come-up. It passes."',
+      'Breathe slowly with them, out longer than in.',
+      'Offer small sips of water, a blanket, or fresh air.',
+      'Keep questions to a minimum. Calm presence helps more than conversation.',
+    ],
+  },
+  'early-peak': {
+    title: 'Early peak',
+    expect: 'The stimulating edge softens into warmth and openness. Emotions start to surface, and perception may shift.',
+    help: [
+      'Let them lead. Some people talk, some go inward.',
+      'Keep the space quiet and familiar. Avoid bringing in new people or surprises.',
+    ],
+  },
+  peak: {
+    title: 'Peak',
+    expect: 'Full effects. Strong emotional openness. Memories and feelings may come up, including difficult ones. They may want to talk a lot, or be still for long stretches.',
+    help: [
+      'Listen more than you speak. You don\'t need to interpret or fix anything.',
+      'Stay nearby and within sight, even when they\'re quiet.',
+      'Offer touch only in the ways you agreed beforehand.',
+      'A booster, if they planned one, is their decision. Don\'t suggest more.',
+    ],
+  },
+  'late-session': {
+    title: 'Late session',
+    expect: 'Effects are tapering and clarity returns. They may feel tired, tender, or reflective.',
+    help: [
+      'Offer light food, water, and warmth.',
+      'Keep conversation gentle. It isn\'t a time for big decisions or difficult news.',
+      'Make sure they won\'t drive or go out alone.',
+    ],
+  },
+  'post-session': {
+    title: 'After the session',
+    expect: 'Mostly residual effects. Fatigue is common, and so is a low mood in the next few days.',
+    help: [
+      'Help them settle for a quiet evening: food, water, rest, sleep.',
+      'Check in over the next few days. A dip in mood around days 2–4 is common and usually passes.',
+    ],
+  },
+};
+
+// ============================================
+// HELPER CATEGORIES
+// ============================================
+// Shown when the person's most recent Helper use was in this category.
+
+export const CATEGORY_GUIDANCE = {
+  'intense-feeling': {
+    summary: 'A strong physical sensation is demanding their attention.',
+    do: [
+      'Invite slow breathing together.',
+      'Ask where they feel it, and let them describe it without judgment.',
+      'Offer grounding: feet on the floor, a hand on their back if that was agreed.',
+    ],
+    avoid: [
+      'Sounding alarmed. But chest pain, trouble breathing, or overheating are emergencies. See "When to get help".',
+    ],
+  },
+  trauma: {
+    summary: 'Painful memories are surfacing.',
+    do: [
+      'Stay calm and steady. Your steadiness is the most useful thing you can offer.',
+      'Remind them they\'re safe and here with you now.',
+      'Let them set the pace. Ask, "Do you want me to just be here?"',
+      'If it\'s taking over, help them ground: name things in the room, feel the chair, hear your voice.',
+    ],
+    avoid: [
+      'Asking for details or interpreting what it means.',
+      'Encouraging them to push deeper when they\'re losing touch with the present.',
+    ],
+  },
+  resistance: {
+    summary: 'They\'re fighting the experience: trying to control it, wanting it to stop, feeling numb, or angry.',
+    do: [
+      'Normalize it. Resistance is a common part of the experience.',
+      'Offer a change: different music, a new position, a blanket, or a few minutes of fresh air with you.',
+      'Remind them the effects will pass on their own.',
+    ],
+    avoid: [
+      'Arguing, or insisting they "go with it".',
+      'Letting them leave alone or drive.',
+    ],
+  },
+  grief: {
+    summary: 'Sadness and loss are moving through them.',
+    do: [
+      'Let the tears come. Offer tissues, and a hand if they want it.',
+      'Silence is fine. Being there is enough.',
+    ],
+    avoid: [
+      'Cheering them up, problem-solving, or changing the subject.',
+    ],
+  },
+  'ego-dissolution': {
+    summary: 'They feel disoriented or unreal, disconnected from their body, or unsure who they are.',
+    do: [
+      'Use short, simple sentences.',
+      'Remind them gently: who they are, where they are, that they took MDMA, and that it will pass.',
+      'Stay where they can see you.',
+    ],
+    avoid: [
+      'Complicated conversation or lots of questions.',
+      'Leaving them alone, even briefly.',
+    ],
+  },
+  'feel-good': {
+    summary: 'They\'re feeling euphoric and energized.',
+    do: [
+      'Enjoy it with them.',
+      'Suggest water and rest breaks, especially if they\'re moving or dancing.',
+    ],
+    avoid: [
+      'Big decisions, purchases, or messages they might regret. Suggest saving them for tomorrow.',
+    ],
+  },
+  'low-mood': {
+    summary: 'They\'re feeling down or flat in the days after the session.',
+    do: [
+      'Check in and listen. Encourage sleep, regular meals, daylight, and gentle movement.',
+      'If the low mood lasts more than two weeks, encourage them to talk to a professional.',
+    ],
+    avoid: [
+      'Dismissing it as "just the comedown". If they mention harming themselves, get help right away.',
+    ],
+  },
+  'integration-difficulty': {
+    summary: 'They\'re struggling to make sense of the experience.',
+    do: [
+      'Listen without needing to explain it for them.',
+      'Suggest journaling, or an integration circle or therapist if it stays hard.',
+    ],
+    avoid: [
+      'Telling them what it "really meant".',
+    ],
+  },
+};
+
+// ============================================
+// CHECK-IN RESPONSES
+// ============================================
+// Keyed by the values recorded in comeUpCheckIn.responses and
+// booster.checkInResponses (see BoosterConsiderationModal).
+
+export const COME_UP_CHECK_IN_GUIDANCE = {
+  waiting: 'They haven\'t felt it yet. That\'s normal in the first hour. Stay relaxed and don\'t encourage taking more.',
+  starting: 'They feel it starting. Expect the come-up to build over the next 15–30 minutes.',
+  'fully-arrived': 'They feel fully arrived. The peak is beginning.',
+};
+
+export const BOOSTER_CHECK_IN_GUIDANCE = {
+  physicalState: {
+    'some-tension': 'They reported some tension. A snack, a jaw massage, or stretching can help.',
+    temperature: 'They reported running warm or cool. Adjust layers and the room, and check for overheating.',
+    noticeable: 'They feel clear physical effects. Keep an eye on comfort, and offer water in small amounts.',
+    uncomfortable: 'They reported significant side effects. Check on them now and look over "When to get help".',
+  },
+  experienceQuality: {
+    intense: 'They described the experience as intense. Stay close and keep things calm.',
+    uncertain: 'They weren\'t sure how they feel. A quiet check-in may help them find words, or just your company.',
+  },
+  trajectory: {
+    complete: 'They feel complete. Support them in winding down.',
+    'ready-to-integrate': 'They\'re ready to begin the gentle return. Softer music and light food can help.',
+  },
+};
+
+// ============================================
+// WATER & ELECTROLYTES
+// ============================================
+
+export const HYDRATION_GUIDANCE = {
+  general: 'Offer a few sips every 15–20 minutes. About one cup (250 ml) an hour is enough while resting; up to two if they\'re dancing or sweating.',
+  caution: 'More isn\'t better. MDMA makes the body hold on to water, and drinking large amounts of plain water can dangerously lower sodium levels.',
+  electrolytes: 'An electrolyte drink or a salty snack helps, especially during the peak, after sweating, or if they feel hot.',
+};
+
+// Phase windows where hydration prompts are shown
+export const HYDRATION_WINDOWS = ['come-up', 'early-peak', 'peak', 'late-session'];
+
+// ============================================
+// ESCALATION
+// ============================================
+
+export const ESCALATION_GUIDANCE = {
+  emergency: {
+    title: 'Call emergency services now if they',
+    signs: [
+      'Are very hot, or their skin is hot and dry and they\'ve stopped sweating',
+      'Are confused, have a seizure, faint, or can\'t be woken',
+      'Have chest pain, a racing or irregular heartbeat, or trouble breathing',
+      'Have a severe headache with vomiting or confusion (possible low sodium)',
+      'Have muscle twitching or stiffness with agitation and a high temperature',
+    ],
+    note: 'Tell responders what was taken and when. They are there to help, not to judge.',
+  },
+  support: {
+    title: 'Call Fireside Project if',
+    signs: [
+      'They\'re in emotional distress you can\'t help settle',
+      'You\'re unsure what to do and want to talk it through',
+    ],
+    note: 'Free, confidential psychedelic peer support by phone or text.',
+  },
+  contact: {
+    title: 'Reach their emergency contact if',
+    signs: [
+      'They ask for them',
+      'You need to leave, or need someone else with you',
+    ],
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Soundscape Content
+ * Loopable background tracks that can play under guided meditations and
+ * silence timers. Files are generated by scripts/generate-soundscapes.mjs,
+ * which bakes in a low level so a track sits under the voice even where the
+ * browser ignores per-element volume (iOS).
+ *
+ * Only add a track here once its file is committed under public/audio.
+ */
+
+export const SOUNDSCAPES = [
+  { id: 'brown-noise', label: 'Brown Noise', src: '/audio/soundscapes/brown-noise.mp3' },
+];
+
+// Starting level for modules the user hasn't adjusted
+export const DEFAULT_SOUNDSCAPE_VOLUME = 0.6;
+
+/**
+ * @param {string|null} soundscapeId
+ * @returns {object|null} The track, or null when off or unknown
+ */
+export function getSoundscapeById(soundscapeId) {
+  return SOUNDSCAPES.find((s) => s.id === soundscapeId) || null;
+}
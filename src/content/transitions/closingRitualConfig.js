@@ -494,7 +494,10 @@ export const closingRitualConfig = {
               'A few practical things before we close.',
               '§',
               "This app stores everything locally on your device. Your journal entries, session notes, and responses aren't backed up anywhere else. We recommend saving a copy of what you wrote today.",
+              '§',
+              'If you use the AI assistant, it can also draw today together into a short written summary: the themes, what they say about your intention, and where to go next. It is saved with your journal and included in the download.',
             ] },
+            { type: 'integration-summary' },
             { type: 'data-download', buttonLabel: 'Download Session Data' },
           ],
         },
@@ -0,0 +1,75 @@
+/**
+ * useAppLock Hook
+ * Runs the app lock's background behaviour while the lock is on:
+ * - Auto-lock: locks on return after the app was hidden for the chosen
+ *   number of minutes (0 locks as soon as it's hidden, so the app switcher
+ *   preview shows the lock screen too).
+ * - Panic lock: a two-finger double-tap anywhere locks, clears decrypted
+ *   data from memory and reloads to the lock screen.
+ */
+
+import { useEffect } from 'react';
+import { useAppLockStore } from '../stores/useAppLockStore';
+
+// Max gap between the two two-finger taps of the panic gesture
+const PANIC_DOUBLE_TAP_MS = 400;
+
+export function useAppLock() {
+  const enabled = useAppLockStore((state) => state.enabled);
+  const autoLockMinutes = useAppLockStore((state) => state.autoLockMinutes);
+  const lock = useAppLockStore((state) => state.lock);
+  const panicLock = useAppLockStore((state) => state.panicLock);
+
+  // Auto-lock after time in the background
+  useEffect(() => {
+    if (!enabled || autoLockMinutes == null) return;
+
+    let hiddenAt = null;
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        hiddenAt = Date.now();
+        if (autoLockMinutes === 0) lock();
+        return;
+      }
+      if (hiddenAt !== null && Date.now() - hiddenAt >= autoLockMinutes * 60000) {
+        lock();
+      }
+      hiddenAt = null;
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [enabled, autoLockMinutes, lock]);
+
+  // Panic gesture: two-finger double-tap
+  useEffect(() => {
+    if (!enabled) return;
+
+    let lastTapAt = 0;
+    let twoFingersDown = false;
+
+    const handleTouchStart = (e) => {
+      if (e.touches.length !== 2 || twoFingersDown) return;
+      twoFingersDown = true;
+      const now = Date.now();
+      if (now - lastTapAt <= PANIC_DOUBLE_TAP_MS) {
+        lastTapAt = 0;
+        panicLock();
+        return;
+      }
+      lastTapAt = now;
+    };
+    const handleTouchEnd = (e) => {
+      if (e.touches.length === 0) twoFingersDown = false;
+    };
+
+    document.addEventListener('touchstart', handleTouchStart, { passive: true });
+    document.addEventListener('touchend', handleTouchEnd, { passive: true });
+    document.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+    return () => {
+      document.removeEventListener('touchstart', handleTouchStart);
+      document.removeEventListener('touchend', handleTouchEnd);
+      document.removeEventListener('touchcancel', handleTouchEnd);
+    };
+  }, [enabled, panicLock]);
+}
@@ -22,7 +22,7 @@
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { CBR_BYTES_PER_SECOND, findNextFrameBoundary } from '../services/audioComposerService';
+import { getComposedDuration, sliceComposedAudio } from '../services/audioComposerService';
 
 // Polling interval for timeupdate fallback (ms).
 // setInterval is used instead of rAF because rAF stops when iOS backgrounds the page,
@@ -295,12 +295,9 @@ export function useAudioPlayback({ onEnded, onError, onPlay, onPause, onTimeUpda
 
     try {
       const absoluteTime = savedTimeRef.current;
-      const rawByteOffset = Math.floor(absoluteTime * CBR_BYTES_PER_SECOND);
-      const frameAlignedOffset = findNextFrameBoundary(bytes, Math.min(rawByteOffset, bytes.length - 1));
 
-      // Slice remaining bytes (subarray is zero-copy — shares underlying ArrayBuffer)
-      const remainingBytes = bytes.subarray(frameAlignedOffset);
-      const newBlob = new Blob([remainingBytes], { type: 'audio/mpeg' });
+      // Slice remaining audio (frame-aligned for MP3, sample-aligned for WAV)
+      const { blob: newBlob, startTime } = sliceComposedAudio(bytes, absoluteTime);
       const newBlobUrl = URL.createObjectURL(newBlob);
 
       // Revoke old blob URL
@@ -311,7 +308,7 @@ export function useAudioPlayback({ onEnded, onError, onPlay, onPause, onTimeUpda
 
       // Set time offset so onTimeUpdate reports absolute position.
       // audio.currentTime will start at 0 for the new blob.
-      timeOffsetRef.current = frameAlignedOffset / CBR_BYTES_PER_SECOND;
+      timeOffsetRef.current = startTime;
 
       // Load and play the sliced blob
       const audio = audioRef.current;
@@ -473,7 +470,7 @@ export function useAudioPlayback({ onEnded, onError, onPlay, onPause, onTimeUpda
     if (!bytes || !audioRef.current) return false;
 
     // Clamp to valid range
-    const maxTime = bytes.length / CBR_BYTES_PER_SECOND;
+    const maxTime = getComposedDuration(bytes);
     const clamped = Math.max(0, Math.min(absoluteTime, maxTime));
 
     const wasPaused = audioRef.current.paused;
@@ -487,12 +484,8 @@ export function useAudioPlayback({ onEnded, onError, onPlay, onPause, onTimeUpda
     wallStartRef.current = 0;
 
     try {
-      const rawByteOffset = Math.floor(clamped * CBR_BYTES_PER_SECOND);
-      const frameAlignedOffset = findNextFrameBoundary(bytes, Math.min(rawByteOffset, bytes.length - 1));
-
-      // Slice remaining bytes (subarray is zero-copy)
-      const remainingBytes = bytes.subarray(frameAlignedOffset);
-      const newBlob = new Blob([remainingBytes], { type: 'audio/mpeg' });
+      // Slice remaining audio (zero-copy for MP3)
+      const { blob: newBlob, startTime } = sliceComposedAudio(bytes, clamped);
       const newBlobUrl = URL.createObjectURL(newBlob);
 
       // Revoke old blob URL
@@ -502,7 +495,7 @@ export function useAudioPlayback({ onEnded, onError, onPlay, onPause, onTimeUpda
       currentBlobUrlRef.current = newBlobUrl;
 
       // Set time offset so onTimeUpdate reports absolute position
-      timeOffsetRef.current = frameAlignedOffset / CBR_BYTES_PER_SECOND;
+      timeOffsetRef.current = startTime;
 
       // Load the new blob
       const audio = audioRef.current;
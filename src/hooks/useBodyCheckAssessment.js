@@ -0,0 +1,33 @@
+/**
+ * useBodyCheckAssessment
+ *
+ * Live assessBodyCheck() result for the current session. Re-assesses every
+ * minute as well as on log changes, since most warnings (a dry spell, a
+ * finished dance) are about time passing rather than new entries.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useSessionStore } from '../stores/useSessionStore';
+import { assessBodyCheck } from '../utils/bodyCheck';
+
+const REASSESS_INTERVAL_MS = 60 * 1000;
+
+export function useBodyCheckAssessment() {
+  const entries = useSessionStore((state) => state.bodyCheck.entries);
+  const ingestionTime = useSessionStore((state) => state.substanceChecklist.ingestionTime);
+  const moduleItems = useSessionStore((state) => state.modules.items);
+
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    const interval = setInterval(() => setTick((t) => t + 1), REASSESS_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // `tick` only drives re-assessment; the clock is read fresh so a
+  // just-logged entry is never ahead of it
+  return useMemo(
+    () => assessBodyCheck({ entries, ingestionTime, moduleItems, now: Date.now() }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- tick re-runs the assessment as time passes
+    [entries, ingestionTime, moduleItems, tick]
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * useCompanionConnection Hook
+ * Keeps the companion-mode connection alive for whichever role this device
+ * has in useCompanionStore. Mounted once in App.
+ *
+ * Host: streams a companion snapshot whenever the session, journal, or
+ * Helper state changes (throttled), plus a heartbeat so followers can tell
+ * a quiet session from a dropped connection.
+ *
+ * Follower: asks the host for a snapshot on connect and again whenever the
+ * last one is stale, and stores whatever arrives.
+ */
+
+import { useEffect } from 'react';
+import { useCompanionStore } from '../stores/useCompanionStore';
+import { useSessionStore } from '../stores/useSessionStore';
+import { useJournalStore } from '../stores/useJournalStore';
+import { useHelperStore } from '../stores/useHelperStore';
+import { parsePairingCode, startCompanionHost, startCompanionFollower } from '../services/companionService';
+import { buildCompanionSnapshot } from '../utils/companionProjection';
+
+const PUBLISH_THROTTLE_MS = 1000;
+export const COMPANION_HEARTBEAT_MS = 15000;
+// A follower treats the connection as lost after missing a few heartbeats
+export const COMPANION_STALE_AFTER_MS = COMPANION_HEARTBEAT_MS * 3;
+
+function getHostSnapshot() {
+  return buildCompanionSnapshot({
+    sessionState: useSessionStore.getState(),
+    journalEntries: useJournalStore.getState().entries,
+    helperOpen: useHelperStore.getState().isOpen,
+  });
+}
+
+export function useCompanionConnection() {
+  const role = useCompanionStore((state) => state.role);
+  const pairingCode = useCompanionStore((state) => state.pairingCode);
+
+  useEffect(() => {
+    if (!role || !pairingCode) return;
+
+    const { setStatus, receiveSnapshot } = useCompanionStore.getState();
+    let cancelled = false;
+    let connection = null;
+    let publishTimer = null;
+    let interval = null;
+    let unsubscribers = [];
+
+    const fail = (error) => {
+      console.error('[Companion] Connection failed:', error);
+      setStatus('error', error.message);
+    };
+
+    let pairing;
+    try {
+      pairing = parsePairingCode(pairingCode);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+
+    if (role === 'host') {
+      startCompanionHost(pairing, { getSnapshot: getHostSnapshot }).then((host) => {
+        if (cancelled) {
+          host.stop();
+          return;
+        }
+        connection = host;
+        setStatus('connected');
+
+        const publish = () => {
+          host.publish(getHostSnapshot()).catch((error) => {
+            console.warn('[Companion] Failed to publish snapshot:', error);
+          });
+        };
+        const schedulePublish = () => {
+          if (publishTimer) return;
+          publishTimer = setTimeout(() => {
+            publishTimer = null;
+            publish();
+          }, PUBLISH_THROTTLE_MS);
+        };
+
+        unsubscribers = [
+          useSessionStore.subscribe(schedulePublish),
+          useJournalStore.subscribe(schedulePublish),
+          useHelperStore.subscribe(schedulePublish),
+        ];
+        interval = setInterval(publish, COMPANION_HEARTBEAT_MS);
+        publish();
+      }).catch(fail);
+    } else {
+      startCompanionFollower(pairing, {
+        onSnapshot: receiveSnapshot,
+        onEnded: () => setStatus('ended'),
+      }).then((follower) => {
+        if (cancelled) {
+          follower.stop();
+          return;
+        }
+        connection = follower;
+        interval = setInterval(() => {
+          const { lastReceivedAt } = useCompanionStore.getState();
+          if (!lastReceivedAt || Date.now() - lastReceivedAt > COMPANION_HEARTBEAT_MS * 2) {
+            follower.requestSnapshot().catch(() => {});
+          }
+        }, COMPANION_HEARTBEAT_MS);
+      }).catch(fail);
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(publishTimer);
+      clearInterval(interval);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      connection?.stop();
+    };
+  }, [role, pairingCode]);
+}
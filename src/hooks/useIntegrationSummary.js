@@ -0,0 +1,144 @@
+/**
+ * useIntegrationSummary Hook
+ *
+ * Streams an AI-written integration summary of a completed session and
+ * saves it as a session journal entry, replacing any earlier summary.
+ * Works on the live session, or on an archive from Session History
+ * (written straight into the archive without loading it).
+ *
+ * Usage:
+ *   const summary = useIntegrationSummary({ archive });
+ *   summary.generate();  // summary.text streams in; saved when done
+ *   summary.existing     // the saved entry, if any
+ */
+
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { useAIStore } from '../stores/useAIStore';
+import { useSessionStore } from '../stores/useSessionStore';
+import { useJournalStore } from '../stores/useJournalStore';
+import { useSessionHistoryStore, getArchivedSessionState } from '../stores/useSessionHistoryStore';
+import { AIService } from '../services/aiService';
+import { getSessionData } from '../utils/downloadSessionData';
+import { redactOutgoing } from '../utils/piiRedaction';
+import {
+  INTEGRATION_SUMMARY_TITLE,
+  buildIntegrationSummaryRequest,
+  formatIntegrationSummary,
+  findIntegrationSummary,
+} from '../utils/integrationSummary';
+
+const DUMMY_SUMMARY = '## Themes\n- This is a test summary from the dummy API key.\n\n## Insights and your intention\nUse it to check the UI without a real API key.\n\n## Suggested follow-up\n- [integration-reflection-journal] A gentle place to start.';
+
+/**
+ * @param {object} [options]
+ * @param {object|null} [options.archive] - Archived session; the live session when omitted
+ */
+export function useIntegrationSummary({ archive = null } = {}) {
+  const liveEntries = useJournalStore((state) => state.entries);
+  const entries = archive ? archive.journalEntries : liveEntries;
+  const existing = useMemo(() => findIntegrationSummary(entries), [entries]);
+
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop streaming if the block or modal goes away mid-summary
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const save = useCallback((content) => {
+    if (archive) {
+      useSessionHistoryStore.getState().addArchivedJournalEntry(
+        archive.sessionId,
+        { content, source: 'session', moduleTitle: INTEGRATION_SUMMARY_TITLE },
+        existing?.id ?? null
+      );
+      return;
+    }
+    const journal = useJournalStore.getState();
+    if (existing) journal.deleteEntry(existing.id);
+    journal.addEntry({
+      content,
+      source: 'session',
+      sessionId: useSessionStore.getState().sessionId,
+      moduleTitle: INTEGRATION_SUMMARY_TITLE,
+    });
+  }, [archive, existing]);
+
+  const generate = useCallback(async () => {
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+    setIsStreaming(true);
+    setText('');
+    setError(null);
+
+    try {
+      const sessionState = archive ? getArchivedSessionState(archive) : useSessionStore.getState();
+      if (!sessionState) {
+        throw new Error('This session is too old to summarize');
+      }
+      const { provider, customEndpoint, settings, getDecryptedKey } = useAIStore.getState();
+
+      // Custom endpoints may have an empty key, so only null is a failure
+      const apiKey = await getDecryptedKey();
+      if (apiKey === null) {
+        throw new Error('Failed to decrypt API key');
+      }
+
+      let raw = '';
+      if (apiKey === 'dummy-test-key') {
+        raw = DUMMY_SUMMARY;
+      } else {
+        const data = getSessionData({ sessionState, journalEntries: entries });
+        const { systemPrompt, userMessage } = buildIntegrationSummaryRequest(data);
+        const messages = [{ role: 'user', content: userMessage }];
+
+        // Same redaction as the assistant chat (see utils/piiRedaction.js)
+        const outgoing = settings.redactPersonalInfo !== false
+          ? redactOutgoing({ systemPrompt, messages, sessionState, journalState: { entries } })
+          : { systemPrompt, messages, redactor: null };
+        const rehydrator = outgoing.redactor?.createStreamRehydrator();
+
+        const service = new AIService(provider, apiKey, customEndpoint);
+        for await (const chunk of service.streamMessage(
+          outgoing.messages,
+          outgoing.systemPrompt,
+          settings.modelPreference,
+          abortController.signal
+        )) {
+          if (abortController.signal.aborted) break;
+          if (typeof chunk !== 'string') continue;
+          raw += rehydrator ? rehydrator.push(chunk) : chunk;
+          setText(formatIntegrationSummary(raw));
+        }
+        if (rehydrator) raw += rehydrator.flush();
+      }
+
+      if (abortController.signal.aborted) return;
+      const summary = formatIntegrationSummary(raw);
+      if (!summary) {
+        throw new Error('The summary came back empty');
+      }
+      save(`${INTEGRATION_SUMMARY_TITLE}\n\n${summary}`);
+      setText('');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Integration summary failed:', err);
+      setError(err.message || 'Failed to write the summary');
+    } finally {
+      if (abortRef.current === abortController) {
+        abortRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, [archive, entries, save]);
+
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setIsStreaming(false);
+    setText('');
+  }, []);
+
+  return { existing, isStreaming, text, error, generate, cancel };
+}
@@ -6,7 +6,9 @@
  * then plays it via a single <audio> element for iOS screen-lock resilience.
  *
  * Handles audio-text sync, timer, pause/resume, prompt progression,
- * Media Session API, and completion.
+ * Media Session API, and completion. The optional background soundscape
+ * plays alongside on its own element (see useSoundscapeLayer), and custom
+ * meditations' lines are spoken by the device voice (see useSpeechLayer).
  *
  * Each module computes its own timedSequence (via useMemo) and passes
  * it in. This hook handles everything after that.
@@ -28,7 +30,9 @@ import { useSessionStore } from '../stores/useSessionStore';
 import { useAppStore } from '../stores/useAppStore';
 import { getMeditationById } from '../content/meditations';
 import { useAudioPlayback } from './useAudioPlayback';
-import { composeMeditationAudio, revokeMeditationBlobUrl, CBR_BYTES_PER_SECOND } from '../services/audioComposerService';
+import { useSoundscapeLayer } from './useSoundscapeLayer';
+import { useSpeechLayer } from './useSpeechLayer';
+import { composeMeditationAudio, revokeMeditationBlobUrl, getComposedDuration } from '../services/audioComposerService';
 
 // Constants
 const TEXT_FADE_IN_DELAY = 200;           // ms after audio starts before text fades in
@@ -112,6 +116,28 @@ export function useMeditationPlayback({
     },
   });
 
+  // Background soundscape: fades in under the opening gong, out under the closing one
+  const skipsGongs = gongSound === false;
+  const soundscape = useSoundscapeLayer({
+    moduleInstanceId,
+    fallbackKey: meditationId,
+    hasStarted,
+    isPlaying,
+    position: elapsedTime,
+    totalDuration: composedDurationRef.current,
+    fadeInEnd: skipsGongs || composerOptions?.skipOpeningGong ? 1 : GONG_PREAMBLE,
+    hasClosingGong: !skipsGongs && !composerOptions?.skipClosingGong,
+  });
+
+  // Device voice for custom meditations: speaks each line over its silent slot
+  const speech = useSpeechLayer({
+    enabled: timedSequence.some((prompt) => prompt.speech),
+    hasStarted,
+    isPlaying,
+    prompt: promptTimeMapRef.current[currentPromptIndex],
+    volume: audio.volume,
+  });
+
   // Stale-state recovery: if the persisted store says this module has started
   // but we have no blob URL (e.g., after page reload or error), reset playback
   // so the user sees "Begin" instead of a broken "Resume" button.
@@ -309,6 +335,8 @@ export function useMeditationPlayback({
     if (isTransitioningRef.current || hasStarted || isLoading) return;
     isTransitioningRef.current = true;
     setError(null);
+    soundscape.prime();
+    speech.prime();
 
     try {
       // Phase 1: fade out idle
@@ -335,7 +363,7 @@ export function useMeditationPlayback({
       // Store refs for playback
       blobUrlRef.current = blobUrl;
       promptTimeMapRef.current = promptTimeMap;
-      composedDurationRef.current = composedBytes.byteLength / CBR_BYTES_PER_SECOND;
+      composedDurationRef.current = getComposedDuration(composedBytes);
 
       // Reset display state
       setElapsedTime(0);
@@ -349,6 +377,8 @@ export function useMeditationPlayback({
       const success = await audio.loadAndPlay(blobUrl);
       if (!success) {
         console.error('[MeditationPlayback] Failed to start audio playback');
+        soundscape.stop();
+        speech.stop();
         resetMeditationPlayback();
         setIsLoading(false);
         setTransitionStage('idle');
@@ -366,6 +396,8 @@ export function useMeditationPlayback({
     } catch (err) {
       console.error('[MeditationPlayback] handleBeginWithTransition error:', err);
       setError('Audio not found');
+      soundscape.stop();
+      speech.stop();
       resetMeditationPlayback();
       setIsLoading(false);
       setTransitionStage('idle');
@@ -380,6 +412,8 @@ export function useMeditationPlayback({
     startMeditationPlayback,
     resetMeditationPlayback,
     audio,
+    soundscape,
+    speech,
     composerOptions,
     gongSound,
   ]);
@@ -388,6 +422,8 @@ export function useMeditationPlayback({
   const handleStart = useCallback(async () => {
     setError(null);
     setIsLoading(true);
+    soundscape.prime();
+    speech.prime();
 
     try {
       // Compose the meditation into a single continuous MP3 blob
@@ -403,7 +439,7 @@ export function useMeditationPlayback({
       // Store refs for playback
       blobUrlRef.current = blobUrl;
       promptTimeMapRef.current = promptTimeMap;
-      composedDurationRef.current = composedBytes.byteLength / CBR_BYTES_PER_SECOND;
+      composedDurationRef.current = getComposedDuration(composedBytes);
 
       // Reset display state
       setElapsedTime(0);
@@ -418,6 +454,8 @@ export function useMeditationPlayback({
       const success = await audio.loadAndPlay(blobUrl);
       if (!success) {
         console.error('[MeditationPlayback] Failed to start audio playback');
+        soundscape.stop();
+        speech.stop();
         resetMeditationPlayback();
       }
 
@@ -426,11 +464,13 @@ export function useMeditationPlayback({
     } catch (err) {
       console.error('[MeditationPlayback] Failed to compose meditation audio:', err);
       setError('Audio not found');
+      soundscape.stop();
+      speech.stop();
       resetMeditationPlayback();
     } finally {
       setIsLoading(false);
     }
-  }, [timedSequence, moduleInstanceId, startMeditationPlayback, resetMeditationPlayback, audio, composerOptions, gongSound]);
+  }, [timedSequence, moduleInstanceId, startMeditationPlayback, resetMeditationPlayback, audio, soundscape, speech, composerOptions, gongSound]);
 
   // Use audio.isPaused() as the source of truth instead of store's isPlaying.
   // This reads directly from the <audio> element, so it's never stale — even
@@ -450,13 +490,15 @@ export function useMeditationPlayback({
     const blobUrl = blobUrlRef.current;
     blobUrlRef.current = null;
     audio.stop();
+    soundscape.stop();
+    speech.stop();
     resetMeditationPlayback();
     setTransitionStage('idle');
     if (blobUrl) {
       revokeMeditationBlobUrl(blobUrl);
     }
     onComplete();
-  }, [resetMeditationPlayback, audio, onComplete]);
+  }, [resetMeditationPlayback, audio, soundscape, speech, onComplete]);
 
   // Reset to idle state so the user can restart from scratch.
   // Same cleanup as handleSkip/handleComplete but does NOT navigate away —
@@ -465,6 +507,8 @@ export function useMeditationPlayback({
     const blobUrl = blobUrlRef.current;
     blobUrlRef.current = null;
     audio.stop();
+    soundscape.stop();
+    speech.stop();
     resetMeditationPlayback();
     if (blobUrl) {
       revokeMeditationBlobUrl(blobUrl);
@@ -482,7 +526,7 @@ export function useMeditationPlayback({
     setElapsedTime(0);
     setIsLoading(false);
     setTransitionStage('idle');
-  }, [resetMeditationPlayback, audio]);
+  }, [resetMeditationPlayback, audio, soundscape, speech]);
 
   // Derived state
   const composedTotal = composedDurationRef.current;
@@ -540,6 +584,8 @@ export function useMeditationPlayback({
       const blobUrl = blobUrlRef.current;
       blobUrlRef.current = null;
       audio.stop();
+      soundscape.stop();
+      speech.stop();
       resetMeditationPlayback();
       setTransitionStage('idle');
       if (blobUrl) {
@@ -550,7 +596,7 @@ export function useMeditationPlayback({
       console.error('[MeditationPlayback] handleSkip ERROR:', err);
       try { onSkip(); } catch (e2) { console.error('[MeditationPlayback] fallback onSkip ERROR:', e2); }
     }
-  }, [resetMeditationPlayback, audio, onSkip]);
+  }, [resetMeditationPlayback, audio, soundscape, speech, onSkip]);
 
   const getPhase = useCallback(() => {
     if (isLoading) return 'loading';
@@ -592,6 +638,7 @@ export function useMeditationPlayback({
 
     // Audio
     audio,
+    soundscape,
 
     // Handlers
     handleStart,
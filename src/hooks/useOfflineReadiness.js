@@ -0,0 +1,120 @@
+/**
+ * useOfflineReadiness Hook
+ *
+ * What the current session needs to play without a connection, and how
+ * much of it is already on the device. Lists the audio from
+ * getSessionAudioGroups (timeline meditations for the default voice, the
+ * rituals, composer assets, the picked soundscape), checks each file
+ * against the audio cache, and downloads the rest with progress. Failed
+ * files can be retried on their own.
+ *
+ * Also reports the storage estimate and whether storage is persistent.
+ *
+ * Usage:
+ *   const readiness = useOfflineReadiness();
+ *   readiness.missingCritical  // files a session can't play without
+ *   readiness.download();      // fetch everything missing
+ */
+
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useSessionStore } from '../stores/useSessionStore';
+import { useAppStore } from '../stores/useAppStore';
+import {
+  getSessionAudioGroups,
+  getAudioCacheStatus,
+  downloadAudioFiles,
+} from '../services/audioCacheService';
+import { getStorageEstimate, requestPersistentStorage } from '../utils/storagePersistence';
+
+export function useOfflineReadiness() {
+  const modules = useSessionStore((state) => state.modules.items);
+  const voiceId = useAppStore((state) => state.preferences.defaultVoiceId || null);
+  const soundscapeId = useAppStore((state) => state.preferences.soundscapeId ?? null);
+
+  const groups = useMemo(
+    () => getSessionAudioGroups(modules, { voiceId, soundscapeId }),
+    [modules, voiceId, soundscapeId]
+  );
+
+  const [status, setStatus] = useState({});
+  const [isChecking, setIsChecking] = useState(true);
+  const [progress, setProgress] = useState(null); // null | { done, total, failed }
+  const [failedUrls, setFailedUrls] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const checkIdRef = useRef(0);
+
+  const refreshStorage = useCallback(async () => {
+    setStorage(await getStorageEstimate());
+  }, []);
+
+  const check = useCallback(async () => {
+    const checkId = ++checkIdRef.current;
+    setIsChecking(true);
+    const urls = [...new Set(groups.flatMap((g) => g.urls))];
+    const next = await getAudioCacheStatus(urls);
+    // A newer check (timeline or voice changed) supersedes this one
+    if (checkId !== checkIdRef.current) return;
+    setStatus(next);
+    setIsChecking(false);
+    refreshStorage();
+  }, [groups, refreshStorage]);
+
+  useEffect(() => {
+    check();
+  }, [check]);
+
+  // Per-group counts and sizes for the list
+  const groupReports = useMemo(() => groups.map((group) => {
+    const files = group.urls.map((url) => status[url] || { cached: false, bytes: null });
+    const missing = files.filter((f) => !f.cached);
+    const sizeOf = (list) => (list.some((f) => f.bytes == null) ? null : list.reduce((sum, f) => sum + f.bytes, 0));
+    return {
+      ...group,
+      cachedCount: files.length - missing.length,
+      missingCount: missing.length,
+      bytes: sizeOf(files),
+      missingBytes: sizeOf(missing),
+    };
+  }), [groups, status]);
+
+  const missingUrls = useMemo(() => [...new Set(
+    groups.flatMap((g) => g.urls).filter((url) => !status[url]?.cached)
+  )], [groups, status]);
+
+  const missingCritical = isChecking
+    ? 0
+    : groupReports.filter((g) => g.critical).reduce((sum, g) => sum + g.missingCount, 0);
+
+  const runDownload = useCallback(async (urls) => {
+    if (urls.length === 0) return;
+    setFailedUrls([]);
+    setProgress({ done: 0, total: urls.length, failed: 0 });
+    const { failed } = await downloadAudioFiles(urls, { onProgress: setProgress });
+    setFailedUrls(failed);
+    setProgress(null);
+    await check();
+  }, [check]);
+
+  const download = useCallback(() => runDownload(missingUrls), [runDownload, missingUrls]);
+  const retry = useCallback(() => runDownload(failedUrls), [runDownload, failedUrls]);
+
+  const requestPersistence = useCallback(async () => {
+    await requestPersistentStorage();
+    await refreshStorage();
+  }, [refreshStorage]);
+
+  return {
+    groups: groupReports,
+    isChecking,
+    isDownloading: progress !== null,
+    progress,
+    failedCount: failedUrls.length,
+    missingCount: missingUrls.length,
+    missingCritical,
+    storage,
+    check,
+    download,
+    retry,
+    requestPersistence,
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * useReminderScheduler
+ *
+ * Keeps the scheduled reminders in step with session state and the
+ * reminder settings. Called ONCE at the app root.
+ *
+ * Re-syncs (debounced) whenever the session or preferences change, and
+ * again whenever the app returns to the foreground — browsers may have
+ * suspended page timers or dropped background work while it was hidden,
+ * so resuming is where the schedule is reconciled.
+ */
+
+import { useEffect } from 'react';
+import { useSessionStore } from '../stores/useSessionStore';
+import { useAppStore } from '../stores/useAppStore';
+import { useCompanionStore } from '../stores/useCompanionStore';
+import { buildReminderSchedule } from '../utils/reminderSchedule';
+import { syncReminders } from '../services/reminderService';
+
+const SYNC_DEBOUNCE_MS = 1000;
+
+function computeSchedule() {
+  const { notificationsEnabled, reminders } = useAppStore.getState().preferences;
+  // A sitter following someone else's session shouldn't get this
+  // device's own session reminders
+  const isFollowing = useCompanionStore.getState().role === 'follower';
+  if (!notificationsEnabled || isFollowing) return [];
+  return buildReminderSchedule({
+    sessionState: useSessionStore.getState(),
+    enabled: reminders || {},
+  });
+}
+
+export function useReminderScheduler() {
+  useEffect(() => {
+    let timeoutId = null;
+    let lastScheduleKey = null;
+
+    const sync = (force = false) => {
+      const schedule = computeSchedule();
+      const scheduleKey = schedule.map((r) => r.id).join('|');
+      if (!force && scheduleKey === lastScheduleKey) return;
+      lastScheduleKey = scheduleKey;
+      syncReminders(schedule).catch((error) => {
+        console.warn('[Reminders] Sync failed:', error?.message);
+      });
+    };
+
+    const scheduleSync = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => sync(), SYNC_DEBOUNCE_MS);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') sync(true);
+    };
+
+    sync(true);
+    const unsubscribeSession = useSessionStore.subscribe(scheduleSync);
+    const unsubscribeApp = useAppStore.subscribe(scheduleSync);
+    const unsubscribeCompanion = useCompanionStore.subscribe(scheduleSync);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timeoutId);
+      unsubscribeSession();
+      unsubscribeApp();
+      unsubscribeCompanion();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
+}
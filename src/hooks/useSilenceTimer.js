@@ -14,21 +14,30 @@
  * - Integrates with meditationPlayback store (prevents concurrent modules)
  * - Media Session API for iOS lock-screen controls
  * - Stale-state recovery on page reload
+ * - Optional background soundscape on a second element (useSoundscapeLayer)
+ * - Optional composer overrides (e.g. breath cue tones) via `composerOptions`
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useSessionStore } from '../stores/useSessionStore';
 import { useAppStore } from '../stores/useAppStore';
 import { useAudioPlayback } from './useAudioPlayback';
+import { useSoundscapeLayer } from './useSoundscapeLayer';
 import { composeSilenceTimer, revokeMeditationBlobUrl } from '../services/audioComposerService';
 
 // Gong timing defaults
 const GONG_DELAY = 1;       // seconds of silence before opening gong
 const GONG_PREAMBLE = 3;    // total seconds before user-visible timer starts
 
+/**
+ * @param {Object} options
+ * @param {Object} [options.composerOptions] - Extra composeSilenceTimer options for the
+ *   initial blob (gongPreamble, cues, gong skips). Not reapplied by resize().
+ */
 export function useSilenceTimer({
   moduleInstanceId,
   durationSeconds,
+  composerOptions,
   onComplete,
   onSkip,
   onProgressUpdate,
@@ -56,12 +65,14 @@ export function useSilenceTimer({
   const preambleEndRef = useRef(GONG_PREAMBLE);
   const composedTotalRef = useRef(0);
   const durationSecondsRef = useRef(durationSeconds);
+  const composerOptionsRef = useRef(composerOptions);
   const isResizingRef = useRef(false);
   const elapsedOffsetRef = useRef(0); // Accumulated elapsed time from before resize
   const lastPositionUpdateRef = useRef(0); // Throttle setPositionState to ~1/sec
 
-  // Keep duration ref in sync
+  // Keep duration + composer option refs in sync
   durationSecondsRef.current = durationSeconds;
+  composerOptionsRef.current = composerOptions;
 
   // Audio playback hook
   const audio = useAudioPlayback({
@@ -82,6 +93,18 @@ export function useSilenceTimer({
     },
   });
 
+  // Background soundscape, positioned in the current blob (resize starts a
+  // new blob with no preamble, so it doesn't fade in again)
+  const soundscape = useSoundscapeLayer({
+    moduleInstanceId,
+    hasStarted,
+    isPlaying,
+    position: Math.max(0, elapsedTime - elapsedOffsetRef.current + preambleEndRef.current),
+    totalDuration: composedTotalRef.current,
+    fadeInEnd: preambleEndRef.current,
+    hasClosingGong: gongSound !== false,
+  });
+
   // Derived state
   const composedTotal = composedTotalRef.current;
   const rawElapsed = audio.getCurrentTime();
@@ -203,6 +226,7 @@ export function useSilenceTimer({
   // Start: compose blob and begin playback
   const handleStart = useCallback(async () => {
     setIsLoading(true);
+    soundscape.prime();
 
     try {
       // User preference overrides: when gong sound is OFF, skip both gongs
@@ -211,7 +235,7 @@ export function useSilenceTimer({
         : {};
       const { blobUrl, composedBytes, totalDuration, preambleEnd } = await composeSilenceTimer(
         durationSecondsRef.current,
-        { gongDelay: GONG_DELAY, gongPreamble: GONG_PREAMBLE, ...gongOpts }
+        { gongDelay: GONG_DELAY, gongPreamble: GONG_PREAMBLE, ...composerOptionsRef.current, ...gongOpts }
       );
 
       blobUrlRef.current = blobUrl;
@@ -225,6 +249,7 @@ export function useSilenceTimer({
       const success = await audio.loadAndPlay(blobUrl);
       if (!success) {
         console.error('[SilenceTimer] Failed to start audio playback');
+        soundscape.stop();
         resetMeditationPlayback();
       }
 
@@ -232,11 +257,12 @@ export function useSilenceTimer({
       audio.storeComposedBytes(composedBytes);
     } catch (err) {
       console.error('[SilenceTimer] Failed to compose silence timer:', err);
+      soundscape.stop();
       resetMeditationPlayback();
     } finally {
       setIsLoading(false);
     }
-  }, [moduleInstanceId, startMeditationPlayback, resetMeditationPlayback, audio, gongSound]);
+  }, [moduleInstanceId, startMeditationPlayback, resetMeditationPlayback, audio, soundscape, gongSound]);
 
   // Use audio.isPaused() as the source of truth instead of store's isPlaying.
   // This reads directly from the <audio> element, so it's never stale.
@@ -253,18 +279,20 @@ export function useSilenceTimer({
   // Complete: stop, cleanup, advance
   const handleComplete = useCallback(() => {
     audio.stop();
+    soundscape.stop();
     resetMeditationPlayback();
     if (blobUrlRef.current) {
       revokeMeditationBlobUrl(blobUrlRef.current);
       blobUrlRef.current = null;
     }
     onComplete();
-  }, [resetMeditationPlayback, audio, onComplete]);
+  }, [resetMeditationPlayback, audio, soundscape, onComplete]);
 
   // Skip: stop, cleanup, skip
   const handleSkip = useCallback(() => {
     try {
       audio.stop();
+      soundscape.stop();
       resetMeditationPlayback();
       if (blobUrlRef.current) {
         revokeMeditationBlobUrl(blobUrlRef.current);
@@ -275,7 +303,7 @@ export function useSilenceTimer({
       console.error('[SilenceTimer] handleSkip ERROR:', err);
       try { onSkip(); } catch (e2) { console.error('[SilenceTimer] fallback onSkip ERROR:', e2); }
     }
-  }, [resetMeditationPlayback, audio, onSkip]);
+  }, [resetMeditationPlayback, audio, soundscape, onSkip]);
 
   // Resize: re-compose blob for remaining time (no opening gong), preserving elapsed display
   const resize = useCallback(async (newDurationSeconds) => {
@@ -354,6 +382,11 @@ export function useSilenceTimer({
     }
   }, [hasStarted, isLoading, isComplete, audio]);
 
+  // Precise user-visible elapsed for animations — elapsedTime only updates ~4x/sec
+  const getElapsedTime = useCallback(() => {
+    return Math.max(0, audio.getCurrentTime() - preambleEndRef.current) + elapsedOffsetRef.current;
+  }, [audio]);
+
   // Phase helper
   const getPhase = useCallback(() => {
     if (isLoading) return 'loading';
@@ -372,6 +405,7 @@ export function useSilenceTimer({
 
     // Audio instance (for mute toggle)
     audio,
+    soundscape,
 
     // Handlers
     handleStart,
@@ -383,5 +417,6 @@ export function useSilenceTimer({
 
     // UI helpers
     getPhase,
+    getElapsedTime,
   };
 }
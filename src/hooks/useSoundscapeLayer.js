@@ -0,0 +1,129 @@
+/**
+ * useSoundscapeLayer Hook
+ *
+ * Plays the chosen background soundscape (brown noise) on a second, looping
+ * <audio> element alongside a composed meditation or timer blob. The
+ * composed blob stays the single source of timing and keeps the iOS audio
+ * session alive; this layer only follows it — playing and pausing with it,
+ * and fading in and out around the gongs from its position.
+ *
+ * The element is routed through a Web Audio gain node, since iOS ignores
+ * element volume; the fades and the volume slider set the gain instead.
+ *
+ * Usage:
+ *   const soundscape = useSoundscapeLayer({ moduleInstanceId, hasStarted, isPlaying, position, ... });
+ *   soundscape.prime();  // in the Begin click handler, before any await
+ *   soundscape.stop();   // on complete / skip / restart
+ */
+
+import { useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAppStore } from '../stores/useAppStore';
+import { useSessionStore } from '../stores/useSessionStore';
+import { getSoundscapeById } from '../content/soundscapes';
+import { getSoundscapeGain, getSoundscapeVolume } from '../utils/soundscape';
+import { audioPath } from '../utils/audioPath';
+
+/**
+ * @param {Object} options
+ * @param {string} options.moduleInstanceId - Resolved to the module's library ID for its saved volume
+ * @param {string} [options.fallbackKey] - Volume key when the instance isn't a timeline module (e.g. an activity)
+ * @param {boolean} options.hasStarted
+ * @param {boolean} options.isPlaying
+ * @param {number} options.position - Seconds into the composed audio
+ * @param {number} options.totalDuration - Length of the composed audio (0 until composed)
+ * @param {number} options.fadeInEnd - Fully faded in by here (end of the opening preamble)
+ * @param {boolean} options.hasClosingGong
+ */
+export function useSoundscapeLayer({
+  moduleInstanceId,
+  fallbackKey = null,
+  hasStarted,
+  isPlaying,
+  position,
+  totalDuration,
+  fadeInEnd,
+  hasClosingGong,
+}) {
+  const moduleKey = useSessionStore((state) =>
+    state.modules.items.find((m) => m.instanceId === moduleInstanceId)?.libraryId
+  ) || fallbackKey || moduleInstanceId;
+  const track = getSoundscapeById(useAppStore((state) => state.preferences.soundscapeId));
+  const volume = useAppStore((state) => getSoundscapeVolume(state.preferences, moduleKey));
+  const setSoundscapeVolume = useAppStore((state) => state.setSoundscapeVolume);
+  const elementRef = useRef(null);
+  const contextRef = useRef(null);
+  const gainRef = useRef(null);
+
+  const stop = useCallback(() => {
+    gainRef.current?.disconnect();
+    gainRef.current = null;
+    const element = elementRef.current;
+    if (!element) return;
+    element.pause();
+    element.src = '';
+    elementRef.current = null;
+  }, []);
+
+  // Start the loop silently. Called synchronously from the Begin click so
+  // iOS treats play() and the audio context as user-initiated; the gain
+  // stays at zero until the composed audio is playing.
+  const prime = useCallback(() => {
+    stop();
+    if (!track) return;
+    const element = new Audio(audioPath(track.src));
+    element.loop = true;
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!contextRef.current) contextRef.current = new AudioContextClass();
+      const context = contextRef.current;
+      context.resume().catch(() => {});
+      const gain = context.createGain();
+      gain.gain.value = 0;
+      context.createMediaElementSource(element).connect(gain).connect(context.destination);
+      gainRef.current = gain;
+    } catch {
+      // No Web Audio — element volume still works everywhere but iOS
+      element.volume = 0;
+    }
+    elementRef.current = element;
+    element.play().catch(() => {
+      // Track missing or blocked — carry on without the layer
+      if (elementRef.current === element) elementRef.current = null;
+    });
+  }, [track, stop]);
+
+  // Follow the composed audio's play/pause
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element) return;
+    if (hasStarted && isPlaying) {
+      if (element.paused) element.play().catch(() => {});
+    } else if (!element.paused) {
+      element.pause();
+    }
+  }, [hasStarted, isPlaying]);
+
+  // Module volume × gong fades
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element) return;
+    const gain = hasStarted ? getSoundscapeGain(position, { totalDuration, fadeInEnd, hasClosingGong }) : 0;
+    if (gainRef.current) {
+      gainRef.current.gain.value = volume * gain;
+    } else {
+      element.volume = volume * gain;
+    }
+  }, [hasStarted, position, totalDuration, fadeInEnd, hasClosingGong, volume]);
+
+  useEffect(() => () => {
+    stop();
+    contextRef.current?.close().catch(() => {});
+    contextRef.current = null;
+  }, [stop]);
+
+  const setVolume = useCallback((value) => {
+    setSoundscapeVolume(moduleKey, Math.max(0, Math.min(1, value)));
+  }, [setSoundscapeVolume, moduleKey]);
+
+  return useMemo(() => ({ track, volume, setVolume, prime, stop }), [track, volume, setVolume, prime, stop]);
+}
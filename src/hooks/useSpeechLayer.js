@@ -0,0 +1,82 @@
+/**
+ * useSpeechLayer Hook
+ *
+ * Speaks the lines of a custom meditation with the device's own voice (Web
+ * Speech API). The composed blob holds each line's slot in silence and stays
+ * the single source of timing; this layer only follows it — speaking a line
+ * when its prompt becomes current, and pausing and resuming with playback.
+ *
+ * Lines in order are queued, so one that runs a little long delays the next
+ * instead of being cut off; the pause after each line absorbs the overrun.
+ * Any other jump (seek, restart) drops whatever is still queued.
+ *
+ * Usage:
+ *   const speech = useSpeechLayer({ enabled, hasStarted, isPlaying, prompt, volume });
+ *   speech.prime();  // in the Begin click handler, before any await
+ *   speech.stop();   // on complete / skip / restart
+ */
+
+import { useEffect, useCallback, useMemo, useRef } from 'react';
+import { SPEECH_RATE } from '../content/meditations/customMeditations';
+
+/**
+ * True when the browser can speak text aloud
+ */
+export function isSpeechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the sequence is spoken by the device voice
+ * @param {boolean} options.hasStarted
+ * @param {boolean} options.isPlaying
+ * @param {Object} [options.prompt] - Current promptTimeMap entry ({ promptIndex, text })
+ * @param {number} options.volume - 0-1, follows the meditation volume
+ */
+export function useSpeechLayer({ enabled, hasStarted, isPlaying, prompt, volume }) {
+  const isActive = enabled && isSpeechSupported();
+  const lastSpokenRef = useRef(-1);
+
+  const stop = useCallback(() => {
+    lastSpokenRef.current = -1;
+    if (isSpeechSupported()) window.speechSynthesis.cancel();
+  }, []);
+
+  // iOS only lets speech start from a user gesture; an empty utterance
+  // spoken from the Begin click unlocks it for the rest of the meditation
+  const prime = useCallback(() => {
+    if (!isActive) return;
+    stop();
+    window.speechSynthesis.speak(new window.SpeechSynthesisUtterance(''));
+  }, [isActive, stop]);
+
+  // Speak each line as its prompt becomes current
+  useEffect(() => {
+    if (!isActive || !hasStarted || !isPlaying || !prompt) return;
+    if (prompt.promptIndex === lastSpokenRef.current) return;
+
+    const synth = window.speechSynthesis;
+    if (prompt.promptIndex !== lastSpokenRef.current + 1) synth.cancel();
+    lastSpokenRef.current = prompt.promptIndex;
+
+    const utterance = new window.SpeechSynthesisUtterance(prompt.text);
+    utterance.rate = SPEECH_RATE;
+    utterance.volume = volume;
+    synth.speak(utterance);
+  }, [isActive, hasStarted, isPlaying, prompt, volume]);
+
+  // Follow the composed audio's play/pause
+  useEffect(() => {
+    if (!isActive || !hasStarted) return;
+    if (isPlaying) {
+      window.speechSynthesis.resume();
+    } else {
+      window.speechSynthesis.pause();
+    }
+  }, [isActive, hasStarted, isPlaying]);
+
+  useEffect(() => stop, [stop]);
+
+  return useMemo(() => ({ isActive, prime, stop }), [isActive, prime, stop]);
+}
@@ -0,0 +1,100 @@
+/**
+ * useVoiceRecorder Hook
+ *
+ * Records a single clip from the microphone with MediaRecorder and measures
+ * its real length. The measured duration matters: MediaRecorder's webm output
+ * reports an Infinity duration, and meditation timing is built from clip
+ * durations (see content/meditations/recordedVoice.js).
+ *
+ * Usage:
+ *   const recorder = useVoiceRecorder();
+ *   await recorder.start();
+ *   const { blob, duration } = await recorder.stop();
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Decode a recorded blob to find its duration in seconds
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+export async function measureAudioDuration(blob) {
+  const context = new OfflineAudioContext(1, 1, 22050);
+  const decoded = await context.decodeAudioData(await blob.arrayBuffer());
+  return decoded.duration;
+}
+
+export function useVoiceRecorder() {
+  const [isRecording, setIsRecording] = useState(false);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+
+  const releaseMicrophone = useCallback(() => {
+    recorderRef.current?.stream.getTracks().forEach((track) => track.stop());
+    recorderRef.current = null;
+  }, []);
+
+  // Don't leave the microphone on if the recorder unmounts mid-recording
+  useEffect(() => () => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    releaseMicrophone();
+  }, [releaseMicrophone]);
+
+  const start = useCallback(async () => {
+    setError(null);
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      setError('Recording isn\'t supported in this browser.');
+      return false;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      chunksRef.current = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunksRef.current.push(event.data);
+      };
+      recorderRef.current = recorder;
+      recorder.start();
+      setIsRecording(true);
+      return true;
+    } catch (err) {
+      console.error('Could not start recording:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in your browser settings to record.'
+        : 'Could not start recording.');
+      releaseMicrophone();
+      return false;
+    }
+  }, [releaseMicrophone]);
+
+  /**
+   * Stop recording
+   * @returns {Promise<{ blob: Blob, duration: number }|null>} null if nothing usable was recorded
+   */
+  const stop = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder || recorder.state !== 'recording') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.onstop = async () => {
+        releaseMicrophone();
+        setIsRecording(false);
+        const blob = new Blob(chunksRef.current, { type: recorder.mimeType });
+        chunksRef.current = [];
+        try {
+          const duration = await measureAudioDuration(blob);
+          resolve(duration > 0 ? { blob, duration } : null);
+        } catch (err) {
+          console.error('Could not read recording:', err);
+          setError('Could not read the recording. Please try again.');
+          resolve(null);
+        }
+      };
+      recorder.stop();
+    });
+  }, [releaseMicrophone]);
+
+  return { isRecording, error, start, stop };
+}
@@ -3,11 +3,14 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import ErrorBoundary from './components/shared/ErrorBoundary'
+import AppLockGate from './components/shared/AppLockGate'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <ErrorBoundary>
-      <App />
+      <AppLockGate>
+        <App />
+      </AppLockGate>
     </ErrorBoundary>
   </StrictMode>,
 )
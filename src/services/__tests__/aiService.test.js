@@ -0,0 +1,195 @@
+/**
+ * Tests for AIService: the custom OpenAI-compatible provider and tool calls
+ * OpenAI-format streams run against a local HTTP server that mimics
+ * Ollama / llama.cpp.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import http from 'node:http'
+import { AIService, normalizeBaseUrl, getAvailableModels } from '../aiService'
+
+const MODELS = { object: 'list', data: [{ id: 'llama3.2:3b', object: 'model' }, { id: 'qwen2.5:7b', object: 'model' }] }
+
+let server
+let baseUrl
+const requests = []
+
+// Written in small pieces, with CRLF and a `data:` line without a space, to
+// exercise the SSE buffering the way real local servers send it
+function writeStream(res, model) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+  const chunk = (content) => JSON.stringify({ model, choices: [{ index: 0, delta: { content } }] })
+  res.write(`data: ${chunk('Hello')}\r\n\r\n`)
+  const split = `data:${chunk(' from ')}\n\n`
+  res.write(split.slice(0, 12))
+  setTimeout(() => {
+    res.write(split.slice(12))
+    res.write(`: keep-alive\n\ndata: ${chunk(model)}\n\ndata: [DONE]\n\n`)
+    res.end()
+  }, 5)
+}
+
+// OpenAI-style tool call: name and id in the first fragment, arguments split
+function writeToolCallStream(res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+  const delta = (d) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: d }] })}\n\n`
+  res.write(delta({ content: 'Writing that down might help.' }))
+  res.write(delta({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'add_journal_entry', arguments: '{"content":' } }] }))
+  res.write(delta({ tool_calls: [{ index: 0, function: { arguments: '"I felt held"}' } }] }))
+  res.end('data: [DONE]\n\n')
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (data) => { body += data })
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null })
+      res.setHeader('Access-Control-Allow-Origin', '*')
+
+      if (req.headers.authorization && req.headers.authorization !== 'Bearer right-key') {
+        res.writeHead(401, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: { message: 'bad key' } }))
+      } else if (req.url === '/v1/models') {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(MODELS))
+      } else if (req.url === '/v1/chat/completions' && JSON.parse(body).tools && JSON.parse(body).model === 'gemma:2b') {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: { message: 'registry.ollama.ai/library/gemma:2b does not support tools' } }))
+      } else if (req.url === '/v1/chat/completions' && JSON.parse(body).tools) {
+        writeToolCallStream(res)
+      } else if (req.url === '/v1/chat/completions') {
+        writeStream(res, JSON.parse(body).model)
+      } else {
+        res.writeHead(404)
+        res.end()
+      }
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve))
+})
+
+async function collect(stream) {
+  let text = ''
+  for await (const chunk of stream) text += chunk
+  return text
+}
+
+describe('custom OpenAI-compatible provider', () => {
+  it('normalizes server addresses', () => {
+    expect(normalizeBaseUrl(' http://host:11434/v1/ ')).toBe('http://host:11434')
+    expect(normalizeBaseUrl('http://host:1234/')).toBe('http://host:1234')
+    expect(normalizeBaseUrl(undefined)).toBe('')
+  })
+
+  it('validates by discovering models, with or without a key', async () => {
+    const open = await new AIService('custom', '', { baseUrl: `${baseUrl}/v1` }).validateKey()
+    expect(open).toEqual({ valid: true, models: ['llama3.2:3b', 'qwen2.5:7b'] })
+    expect(requests.at(-1).headers.authorization).toBeUndefined()
+
+    expect(await new AIService('custom', 'right-key', { baseUrl }).validateKey()).toMatchObject({ valid: true })
+    expect(requests.at(-1).headers.authorization).toBe('Bearer right-key')
+
+    expect(await new AIService('custom', 'wrong-key', { baseUrl }).validateKey())
+      .toEqual({ valid: false, error: 'Invalid API key' })
+    expect(await new AIService('custom', '', { baseUrl: '' }).validateKey())
+      .toEqual({ valid: false, error: 'Enter the server address' })
+  })
+
+  it('reports an unreachable server instead of throwing', async () => {
+    const result = await new AIService('custom', '', { baseUrl: 'http://127.0.0.1:1' }).validateKey()
+    expect(result.valid).toBe(false)
+    expect(result.error).toMatch(/Could not reach the server/)
+  })
+
+  it('streams chat completions, defaulting to the first discovered model', async () => {
+    const service = new AIService('custom', '', { baseUrl, models: ['qwen2.5:7b'] })
+    const text = await collect(service.streamMessage([{ role: 'user', content: 'Hi' }], 'You are kind.'))
+
+    expect(text).toBe('Hello from qwen2.5:7b')
+    const sent = requests.at(-1).body
+    expect(sent.stream).toBe(true)
+    expect(sent.messages[0]).toEqual({ role: 'system', content: 'You are kind.' })
+
+    const explicit = new AIService('custom', '', { baseUrl })
+    expect(await collect(explicit.streamMessage([{ role: 'user', content: 'Hi' }], '', 'llama3.2:3b')))
+      .toBe('Hello from llama3.2:3b')
+  })
+
+  it('lists discovered models in the model picker', () => {
+    expect(getAvailableModels('custom', ['llama3.2:3b']).map((m) => m.label))
+      .toEqual(['Default (llama3.2:3b)', 'llama3.2:3b'])
+  })
+})
+
+describe('tool calls', () => {
+  const tools = [{ name: 'add_journal_entry', description: 'Save', parameters: { type: 'object', properties: { content: { type: 'string' } } } }]
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('sends tools in OpenAI format and yields assembled calls after the text', async () => {
+    const service = new AIService('custom', '', { baseUrl, models: ['llama3.2:3b'] })
+    const chunks = []
+    for await (const chunk of service.streamMessage([{ role: 'user', content: 'Hi' }], '', 'default', null, tools)) {
+      chunks.push(chunk)
+    }
+
+    expect(requests.at(-1).body.tools[0]).toEqual({ type: 'function', function: tools[0] })
+    expect(chunks).toEqual([
+      'Writing that down might help.',
+      { type: 'tool_call', id: 'call_1', name: 'add_journal_entry', input: { content: 'I felt held' } },
+    ])
+  })
+
+  it('retries without tools when the model does not support them, then skips them', async () => {
+    const service = new AIService('custom', '', { baseUrl, models: ['gemma:2b'] })
+    const before = requests.length
+
+    expect(await collect(service.streamMessage([{ role: 'user', content: 'Hi' }], '', 'default', null, tools)))
+      .toBe('Hello from gemma:2b')
+    expect(requests.slice(before).map((r) => !!r.body.tools)).toEqual([true, false])
+
+    await collect(service.streamMessage([{ role: 'user', content: 'Again' }], '', 'default', null, tools))
+    expect(requests.slice(before).map((r) => !!r.body.tools)).toEqual([true, false, false])
+  })
+
+  it('does not retry other errors without tools', async () => {
+    const service = new AIService('custom', 'wrong-key', { baseUrl, models: ['llama3.2:3b'] })
+    await expect(collect(service.streamMessage([{ role: 'user', content: 'Hi' }], '', 'default', null, tools)))
+      .rejects.toThrow('bad key')
+  })
+
+  it('reads Anthropic tool_use blocks', async () => {
+    const events = [
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Sure.' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'add_journal_entry', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"content": "I felt' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: ' held"}' } },
+      { type: 'content_block_stop', index: 1 },
+    ]
+    const fetchMock = vi.fn(async () => new Response(events.map((e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join('')))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const service = new AIService('anthropic', 'sk-ant-test')
+    const chunks = []
+    for await (const chunk of service.streamMessage([{ role: 'user', content: 'Hi' }], '', 'default', null, tools)) {
+      chunks.push(chunk)
+    }
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).tools[0]).toEqual({
+      name: 'add_journal_entry',
+      description: 'Save',
+      input_schema: tools[0].parameters,
+    })
+    expect(chunks).toEqual(['Sure.', { type: 'tool_call', id: 'toolu_1', name: 'add_journal_entry', input: { content: 'I felt held' } }])
+  })
+})
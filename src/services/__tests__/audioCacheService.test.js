@@ -0,0 +1,83 @@
+/**
+ * Tests for the offline readiness helpers: what a session needs, and the
+ * pooled download with progress
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  getSessionAudioGroups,
+  getAudioUrlsForModule,
+  getAudioCacheStatus,
+  downloadAudioFiles,
+} from '../audioCacheService'
+
+function mockCache(initial = []) {
+  const entries = new Map(initial.map((url) => [url, new Response('x', { headers: { 'content-length': '1000' } })]))
+  const cache = {
+    match: vi.fn(async (url) => entries.get(url)),
+    put: vi.fn(async (url, response) => { entries.set(url, response) }),
+  }
+  vi.stubGlobal('caches', { open: vi.fn(async () => cache) })
+  return { cache, entries }
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('getSessionAudioGroups', () => {
+  it('lists composer assets, rituals, each timeline meditation once, and the soundscape', () => {
+    const modules = [
+      { libraryId: 'simple-grounding' },
+      { libraryId: 'open-space' },
+      { libraryId: 'simple-grounding' },
+    ]
+    const groups = getSessionAudioGroups(modules, { soundscapeId: 'brown-noise' })
+
+    expect(groups.map((g) => g.id)).toEqual(['composer', 'breath-cues', 'rituals', 'simple-grounding', 'soundscape'])
+    expect(groups.find((g) => g.id === 'simple-grounding').urls).toEqual(getAudioUrlsForModule('simple-grounding'))
+    expect(groups.find((g) => g.id === 'rituals').urls.some((url) => url.includes('/transition-opening/'))).toBe(true)
+    expect(groups.filter((g) => !g.critical).map((g) => g.id)).toEqual(['breath-cues', 'soundscape'])
+  })
+
+  it('needs the breath tones only when a breathing module is on the timeline', () => {
+    const groups = getSessionAudioGroups([{ libraryId: 'breathing' }])
+    expect(groups.find((g) => g.id === 'breath-cues').critical).toBe(true)
+  })
+
+  it('leaves out the soundscape when none is picked', () => {
+    expect(getSessionAudioGroups([]).map((g) => g.id)).toEqual(['composer', 'breath-cues', 'rituals'])
+  })
+})
+
+describe('getAudioCacheStatus', () => {
+  it('reports cached files with their size and sizes missing ones with HEAD', async () => {
+    mockCache(['/a.mp3'])
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { headers: { 'content-length': '2048' } })))
+
+    const status = await getAudioCacheStatus(['/a.mp3', '/b.mp3'])
+
+    expect(status['/a.mp3']).toEqual({ cached: true, bytes: 1000 })
+    expect(status['/b.mp3']).toEqual({ cached: false, bytes: 2048 })
+    expect(fetch).toHaveBeenCalledWith('/b.mp3', { method: 'HEAD' })
+  })
+})
+
+describe('downloadAudioFiles', () => {
+  it('caches what downloads, reports progress, and returns failures for retry', async () => {
+    const { cache } = mockCache(['/cached.mp3'])
+    vi.stubGlobal('fetch', vi.fn(async (url) => (
+      url === '/broken.mp3' ? new Response(null, { status: 404 }) : new Response('audio')
+    )))
+    const onProgress = vi.fn()
+
+    const result = await downloadAudioFiles(['/cached.mp3', '/new.mp3', '/broken.mp3'], { onProgress })
+
+    expect(result.cached.sort()).toEqual(['/cached.mp3', '/new.mp3'])
+    expect(result.failed).toEqual(['/broken.mp3'])
+    expect(cache.put).toHaveBeenCalledTimes(1)
+    expect(fetch).not.toHaveBeenCalledWith('/cached.mp3')
+    expect(onProgress).toHaveBeenCalledTimes(3)
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 3, total: 3, failed: 1 })
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Tests for the composed-audio playback helpers (MP3 and rendered WAV),
+ * breath cue placement in silence timers, and the silent slots held for
+ * lines the device voice speaks
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  getComposedDuration,
+  sliceComposedAudio,
+  composeSilenceTimer,
+  buildConcatenationPlan,
+  CBR_BYTES_PER_SECOND,
+} from '../audioComposerService'
+
+function wav(seconds, sampleRate = 22050) {
+  const dataBytes = Math.round(seconds * sampleRate) * 2
+  const bytes = new Uint8Array(44 + dataBytes)
+  const view = new DataView(bytes.buffer)
+  ;[...'RIFF'].forEach((ch, i) => view.setUint8(i, ch.charCodeAt(0)))
+  view.setUint32(28, sampleRate * 2, true)
+  return bytes
+}
+
+describe('composed audio helpers', () => {
+  it('reads duration from the WAV byte rate', () => {
+    expect(getComposedDuration(wav(10))).toBeCloseTo(10)
+    expect(getComposedDuration(new Uint8Array(CBR_BYTES_PER_SECOND * 4))).toBe(4)
+  })
+
+  it('slices WAV audio at a sample boundary with a fresh header', () => {
+    const { blob, startTime } = sliceComposedAudio(wav(10), 2.5)
+    expect(blob.type).toBe('audio/wav')
+    expect(startTime).toBeCloseTo(2.5, 3)
+    expect(blob.size).toBe(44 + Math.round(7.5 * 22050) * 2)
+  })
+
+  it('clamps WAV slices past the end', () => {
+    const { blob, startTime } = sliceComposedAudio(wav(3), 99)
+    expect(blob.size).toBe(44)
+    expect(startTime).toBeCloseTo(3)
+  })
+})
+
+describe('composeSilenceTimer cues', () => {
+  // Silence blocks are zeros; each cue tone is half a second of its own byte value
+  const TONE_BYTES = { in: 1, hold: 2, out: 3 }
+
+  function stubAudioFetch({ failTones = false } = {}) {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const silence = url.match(/silence-([\d.]+)s\.mp3$/)
+      const tone = url.match(/breath-cue-(\w+)\.mp3$/)
+      if (tone && failTones) return { ok: false, status: 404 }
+      const bytes = new Uint8Array(CBR_BYTES_PER_SECOND * (silence ? Number(silence[1]) : 0.5))
+      if (tone) bytes.fill(TONE_BYTES[tone[1]])
+      return { ok: true, arrayBuffer: async () => bytes.buffer }
+    }))
+    URL.createObjectURL = vi.fn(() => 'blob:test')
+  }
+
+  function toneStarts(bytes) {
+    const starts = []
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] !== 0 && (i === 0 || bytes[i - 1] !== bytes[i])) starts.push([bytes[i], i / CBR_BYTES_PER_SECOND])
+    }
+    return starts
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('places each tone at its offset without accumulating drift', async () => {
+    stubAudioFetch()
+    const cues = [0, 5.5, 11, 16.5].map((at, i) => ({ at, tone: i % 2 ? 'out' : 'in' }))
+    const { composedBytes } = await composeSilenceTimer(22, { skipOpeningGong: true, skipClosingGong: true, cues })
+
+    const starts = toneStarts(composedBytes)
+    expect(starts.map(([tone]) => tone)).toEqual([1, 3, 1, 3])
+    starts.forEach(([, time], i) => expect(Math.abs(time - cues[i].at)).toBeLessThanOrEqual(0.25))
+    expect(composedBytes.length / CBR_BYTES_PER_SECOND).toBeCloseTo(22, 0)
+  })
+
+  it('composes plain silence when the tones are missing', async () => {
+    stubAudioFetch({ failTones: true })
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { composedBytes } = await composeSilenceTimer(10, {
+      skipOpeningGong: true,
+      skipClosingGong: true,
+      cues: [{ at: 0, tone: 'in' }],
+    })
+    expect(toneStarts(composedBytes)).toEqual([])
+    expect(composedBytes.length).toBe(10 * CBR_BYTES_PER_SECOND)
+  })
+})
+
+describe('spoken lines', () => {
+  const sequence = [
+    { id: 'a', text: 'Settle in.', speakingDuration: 2, silenceDuration: 5, audioSrc: null, speech: true },
+    { id: 'b', text: 'Notice your breath.', speakingDuration: 3, silenceDuration: 10, audioSrc: null, speech: true },
+  ]
+
+  it('holds each line\'s slot with silence so the time map matches the audio', () => {
+    const { plan, promptTimeMap, totalDuration } = buildConcatenationPlan(sequence, { skipOpeningGong: true, skipClosingGong: true })
+
+    expect(plan.every((entry) => entry.type === 'silence')).toBe(true)
+    expect(promptTimeMap.map((p) => [p.audioTimeStart, p.audioTimeEnd])).toEqual([[1, 3], [8, 11]])
+    expect(totalDuration).toBe(21)
+  })
+})
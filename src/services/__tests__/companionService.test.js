@@ -0,0 +1,89 @@
+/**
+ * Tests for companion-mode pairing and encrypted messaging
+ * Uses the BroadcastChannel transport, which Node provides.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  createPairing,
+  parsePairingCode,
+  startCompanionHost,
+  startCompanionFollower,
+} from '../companionService'
+import { registerCompanionTransport, createCompanionTransport } from '../companionTransport'
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 50; i++) {
+    if (check()) return
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+  throw new Error('timed out')
+}
+
+describe('companionService', () => {
+  const cleanups = []
+  afterEach(async () => {
+    while (cleanups.length) await cleanups.pop()()
+  })
+
+  it('round-trips pairing codes and rejects malformed or newer ones', () => {
+    const pairing = createPairing()
+
+    expect(parsePairingCode(` ${pairing.code}\n`)).toEqual(pairing)
+    expect(() => parsePairingCode('hello')).toThrow(/isn't valid/)
+    expect(() => parsePairingCode(pairing.code.replace(':1:', ':9:'))).toThrow(/newer version/)
+    expect(() => parsePairingCode(pairing.code.slice(0, -4))).toThrow(/isn't valid/)
+  })
+
+  it('sends the host snapshot to a follower that says hello, then streams updates', async () => {
+    const pairing = createPairing()
+    const host = await startCompanionHost(pairing, { getSnapshot: () => ({ sessionPhase: 'active' }) })
+    cleanups.push(() => host.stop())
+
+    const received = []
+    const onEnded = vi.fn()
+    const follower = await startCompanionFollower(parsePairingCode(pairing.code), {
+      onSnapshot: (snapshot) => received.push(snapshot),
+      onEnded,
+    })
+    cleanups.push(() => follower.stop())
+
+    await waitFor(() => received.length === 1)
+    expect(received[0]).toEqual({ sessionPhase: 'active' })
+
+    await host.publish({ sessionPhase: 'completed' })
+    await waitFor(() => received.length === 2)
+    expect(received[1]).toEqual({ sessionPhase: 'completed' })
+
+    await host.stop()
+    cleanups.pop()
+    await waitFor(() => onEnded.mock.calls.length === 1)
+  })
+
+  it('only ever hands ciphertext to the transport and ignores other keys', async () => {
+    const sent = []
+    registerCompanionTransport('spy', (options) => {
+      const inner = createCompanionTransport('broadcast', options)
+      return { ...inner, send: (message) => { sent.push(message); inner.send(message) } }
+    })
+    const pairing = createPairing('spy')
+    const host = await startCompanionHost(pairing, { getSnapshot: () => ({ secret: 'phase' }) })
+    cleanups.push(() => host.stop())
+
+    // Same channel, different key
+    const intruder = { ...pairing, key: createPairing().key }
+    const onSnapshot = vi.fn()
+    const follower = await startCompanionFollower(intruder, { onSnapshot })
+    cleanups.push(() => follower.stop())
+    await host.publish({ secret: 'phase' })
+    await new Promise((resolve) => setTimeout(resolve, 50))
+
+    expect(onSnapshot).not.toHaveBeenCalled()
+    expect(sent.length).toBeGreaterThan(0)
+    expect(JSON.stringify(sent)).not.toContain('phase')
+  })
+
+  it('explains unsupported transports', () => {
+    expect(() => createCompanionTransport('carrier-pigeon', { channelId: 'x' })).toThrow(/doesn't support/)
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * Tests for the app lock key wrapping in cryptoService
+ * (the device-key helpers need IndexedDB, which jsdom doesn't have)
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  generateDataKey,
+  wrapKeyWithPin,
+  unwrapKeyWithPin,
+  wrapKeyWithPrf,
+  unwrapKeyWithPrf,
+  encryptWithKey,
+  decryptWithKey,
+} from '../cryptoService'
+
+describe('app lock data key', () => {
+  it('unwraps with the right PIN and rejects a wrong one', async () => {
+    const dataKey = await generateDataKey()
+    const pinKey = await wrapKeyWithPin(dataKey, '123456')
+    const encrypted = await encryptWithKey('journal', dataKey)
+
+    const unwrapped = await unwrapKeyWithPin(pinKey, '123456')
+    await expect(decryptWithKey(encrypted, unwrapped)).resolves.toBe('journal')
+    await expect(unwrapKeyWithPin(pinKey, '654321')).rejects.toThrow('Incorrect PIN')
+  })
+
+  it('unwraps with the same passkey PRF output only', async () => {
+    const dataKey = await generateDataKey()
+    const prfOutput = crypto.getRandomValues(new Uint8Array(32))
+    const prfKey = await wrapKeyWithPrf(dataKey, prfOutput)
+    const encrypted = await encryptWithKey('session', dataKey)
+
+    const unwrapped = await unwrapKeyWithPrf(prfKey, prfOutput)
+    await expect(decryptWithKey(encrypted, unwrapped)).resolves.toBe('session')
+    await expect(unwrapKeyWithPrf(prfKey, new Uint8Array(32))).rejects.toThrow(/no longer unlock/)
+  })
+})
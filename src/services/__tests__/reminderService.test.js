@@ -0,0 +1,65 @@
+/**
+ * Tests for reminder delivery through page timers
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { syncReminders } from '../reminderService'
+
+const shown = []
+
+class FakeNotification {
+  static permission = 'granted'
+
+  constructor(title) {
+    shown.push(title)
+  }
+}
+
+describe('syncReminders', () => {
+  beforeEach(() => {
+    shown.length = 0
+    vi.useFakeTimers()
+    vi.stubGlobal('Notification', FakeNotification)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    delete navigator.serviceWorker
+  })
+
+  const reminders = () => [{ id: 'hydration-1', title: 'Drink some water', body: '', tag: 'hydration', fireAt: Date.now() + 60000 }]
+
+  it('fires each reminder once when syncs overlap', async () => {
+    // jsdom has no service worker, so this is the page-notification path.
+    // A state change and a resume, both in flight at once:
+    await Promise.all([syncReminders(reminders()), syncReminders(reminders())])
+    vi.advanceTimersByTime(60000)
+
+    expect(shown).toEqual(['Drink some water'])
+  })
+
+  it('asks the worker to check once when background syncs overlap', async () => {
+    const postMessage = vi.fn()
+    class FakeRegistration {}
+    FakeRegistration.prototype.periodicSync = null
+    vi.stubGlobal('ServiceWorkerRegistration', FakeRegistration)
+    const registration = {
+      active: { postMessage },
+      // Resolves later than the second sync starts
+      periodicSync: { register: () => new Promise((resolve) => setTimeout(resolve, 10)) },
+    }
+    Object.defineProperty(navigator, 'serviceWorker', {
+      value: { getRegistration: async () => registration },
+      configurable: true,
+    })
+
+    const first = syncReminders(reminders())
+    const second = syncReminders(reminders())
+    await vi.advanceTimersByTimeAsync(10)
+    await Promise.all([first, second])
+    await vi.advanceTimersByTimeAsync(60000)
+
+    expect(postMessage.mock.calls.filter(([message]) => message.type === 'reminders:check')).toHaveLength(1)
+  })
+})
@@ -1,16 +1,161 @@
 /**
  * AI Service
- * Abstraction layer for Anthropic and OpenAI API interactions
- * Supports streaming responses
+ * Abstraction layer for Anthropic, OpenAI, OpenRouter and self-hosted
+ * OpenAI-compatible API interactions (Ollama, llama.cpp, LM Studio)
+ * Supports streaming responses and tool calls (see utils/assistantTools.js)
  */
 
+/**
+ * Normalize a user-entered server address for the custom provider:
+ * trims whitespace and trailing slashes, and drops a trailing `/v1` so both
+ * `http://host:11434` and `http://host:11434/v1/` work.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeBaseUrl(url) {
+  return (url || '')
+    .trim()
+    .replace(/\/+$/, '')
+    .replace(/\/v1$/, '');
+}
+
+/**
+ * Parse streamed tool arguments. A model occasionally emits malformed JSON;
+ * that call is dropped rather than failing the whole response.
+ */
+function parseToolInput(json, name) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    console.warn(`[AI] Ignoring ${name} call with malformed arguments`);
+    return null;
+  }
+}
+
+/**
+ * Errors servers return when the chosen model can't take a `tools` list:
+ * Ollama ("does not support tools"), OpenRouter ("No endpoints found that
+ * support tool use"), llama.cpp without --jinja ("tools param requires
+ * --jinja flag") and vLLM without a tool parser ("tool choice requires …").
+ */
+const TOOLS_UNSUPPORTED_PATTERN =
+  /does not support tools|support tool use|tools param requires|tool choice requires|tools? (?:is|are) not supported/i;
+
+// Provider/model pairs that rejected tools, so later messages skip straight
+// to a plain request instead of failing once every time
+const modelsWithoutTools = new Set();
+
+/**
+ * Convert provider-neutral tool definitions to the OpenAI `tools` format
+ * (also used by OpenRouter and custom endpoints)
+ */
+function toOpenAITools(tools) {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+  }));
+}
+
+/**
+ * Convert provider-neutral tool definitions to the Anthropic `tools` format
+ */
+function toAnthropicTools(tools) {
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+/**
+ * Read an OpenAI-style chat completions SSE stream
+ * Shared by OpenAI, OpenRouter and custom endpoints. Tolerates CRLF line
+ * endings and `data:` without a space, which some local servers send.
+ * Tool call fragments are accumulated by index and yielded once the stream
+ * ends.
+ * @param {Response} response
+ * @yields {string|{type: 'tool_call', id: string, name: string, input: object}}
+ */
+async function* readChatCompletionStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const toolCalls = [];
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Process complete SSE events
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+      for (const rawLine of lines) {
+        const line = rawLine.trimEnd();
+        if (line.startsWith('data:')) {
+          const data = line.slice(5).trimStart();
+          if (data === '[DONE]') continue;
+
+          try {
+            const parsed = JSON.parse(data);
+            const delta = parsed.choices?.[0]?.delta;
+
+            if (delta?.content) {
+              yield delta.content;
+            }
+
+            for (const fragment of delta?.tool_calls || []) {
+              const index = fragment.index ?? toolCalls.length;
+              const call = toolCalls[index] || (toolCalls[index] = { id: null, name: '', arguments: '' });
+              if (fragment.id) call.id = fragment.id;
+              if (fragment.function?.name) call.name += fragment.function.name;
+              if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+            }
+
+            if (parsed.error) {
+              throw new Error(parsed.error.message || 'Stream error');
+            }
+          } catch (parseError) {
+            // Skip non-JSON lines
+            if (parseError instanceof SyntaxError) continue;
+            throw parseError;
+          }
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  for (const call of toolCalls) {
+    if (!call?.name) continue;
+    const input = parseToolInput(call.arguments, call.name);
+    if (input) {
+      yield { type: 'tool_call', id: call.id || `${call.name}-${Date.now()}`, name: call.name, input };
+    }
+  }
+}
+
 /**
  * AI Service class for handling API calls to different providers
  */
 export class AIService {
-  constructor(provider, apiKey) {
+  /**
+   * @param {string} provider - 'anthropic' | 'openai' | 'openrouter' | 'custom'
+   * @param {string} apiKey - May be empty for custom endpoints without auth
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] - Server address (custom provider only)
+   * @param {string[]} [options.models] - Model ids discovered at validation (custom provider only)
+   */
+  constructor(provider, apiKey, options = {}) {
     this.provider = provider;
     this.apiKey = apiKey;
+    this.baseUrl = normalizeBaseUrl(options.baseUrl);
+    this.models = options.models || [];
   }
 
   /**
@@ -25,6 +170,8 @@ export class AIService {
         return await this.validateOpenAIKey();
       } else if (this.provider === 'openrouter') {
         return await this.validateOpenRouterKey();
+      } else if (this.provider === 'custom') {
+        return await this.validateCustomEndpoint();
       }
       return { valid: false, error: 'Unknown provider' };
     } catch (error) {
@@ -148,21 +295,110 @@ export class AIService {
     };
   }
 
+  /**
+   * Validate a custom endpoint by listing its models. There is no cheap
+   * "is this key valid" request that every local server supports, but all of
+   * them serve /v1/models — and the model list is needed anyway.
+   * @returns {Promise<{valid: boolean, error?: string, models?: string[]}>}
+   */
+  async validateCustomEndpoint() {
+    if (!this.baseUrl) {
+      return { valid: false, error: 'Enter the server address' };
+    }
+
+    const models = await this.listModels();
+    if (models.length === 0) {
+      return { valid: false, error: 'Connected, but the server has no models available' };
+    }
+    return { valid: true, models };
+  }
+
+  /**
+   * List model ids from a custom endpoint's /v1/models
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/v1/models`, {
+        headers: this.getCustomHeaders(),
+      });
+    } catch {
+      // fetch only rejects on network / CORS / mixed-content failures
+      throw new Error('Could not reach the server. Check the address, that it allows requests from this app (CORS), and that it uses HTTPS unless it runs on this device.');
+    }
+
+    if (response.status === 401) {
+      throw new Error('Invalid API key');
+    }
+    if (response.status === 403) {
+      throw new Error('API key lacks required permissions');
+    }
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return (data.data || [])
+      .map((model) => model.id)
+      .filter(Boolean);
+  }
+
+  getCustomHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
   /**
    * Stream a message response from the AI
    * @param {Array<{role: string, content: string}>} messages - Conversation history
    * @param {string} systemPrompt - System prompt with context
    * @param {string} modelPreference - Model preference ('default' or specific model)
    * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
-   * @yields {string} Text chunks as they arrive
+   * @param {Array<{name: string, description: string, parameters: object}>} [tools] - Actions the model may propose
+   * @yields {string|{type: 'tool_call', id: string, name: string, input: object}} Text chunks as they
+   *   arrive, then any proposed tool calls
+   *
+   * Models without tool support (many local and free models) reject the
+   * request outright; it is then retried without tools, so the chat still
+   * works, just without actions.
    */
-  async *streamMessage(messages, systemPrompt, modelPreference = 'default', signal = null) {
+  async *streamMessage(messages, systemPrompt, modelPreference = 'default', signal = null, tools = null) {
+    const modelKey = `${this.provider}|${this.baseUrl}|${modelPreference}`;
+    if (!tools?.length || modelsWithoutTools.has(modelKey)) {
+      yield* this.streamFromProvider(messages, systemPrompt, modelPreference, signal, null);
+      return;
+    }
+
+    let hasOutput = false;
+    try {
+      for await (const chunk of this.streamFromProvider(messages, systemPrompt, modelPreference, signal, tools)) {
+        hasOutput = true;
+        yield chunk;
+      }
+    } catch (error) {
+      if (hasOutput || !TOOLS_UNSUPPORTED_PATTERN.test(error.message)) throw error;
+      console.warn('[AI] Model does not support tools; continuing without actions');
+      modelsWithoutTools.add(modelKey);
+      yield* this.streamFromProvider(messages, systemPrompt, modelPreference, signal, null);
+    }
+  }
+
+  /**
+   * Route a streaming request to the current provider
+   */
+  async *streamFromProvider(messages, systemPrompt, modelPreference, signal, tools) {
     if (this.provider === 'anthropic') {
-      yield* this.streamAnthropic(messages, systemPrompt, modelPreference, signal);
+      yield* this.streamAnthropic(messages, systemPrompt, modelPreference, signal, tools);
     } else if (this.provider === 'openai') {
-      yield* this.streamOpenAI(messages, systemPrompt, modelPreference, signal);
+      yield* this.streamOpenAI(messages, systemPrompt, modelPreference, signal, tools);
     } else if (this.provider === 'openrouter') {
-      yield* this.streamOpenRouter(messages, systemPrompt, modelPreference, signal);
+      yield* this.streamOpenRouter(messages, systemPrompt, modelPreference, signal, tools);
+    } else if (this.provider === 'custom') {
+      yield* this.streamCustom(messages, systemPrompt, modelPreference, signal, tools);
     } else {
       throw new Error('Unknown provider');
     }
@@ -171,7 +407,7 @@ export class AIService {
   /**
    * Stream from Anthropic API
    */
-  async *streamAnthropic(messages, systemPrompt, modelPreference, signal = null) {
+  async *streamAnthropic(messages, systemPrompt, modelPreference, signal = null, tools = null) {
     const model =
       modelPreference === 'default' ? 'claude-sonnet-4-5-20250929' : modelPreference;
 
@@ -188,6 +424,7 @@ export class AIService {
         max_tokens: 1024,
         system: systemPrompt,
         messages: messages.map((m) => ({ role: m.role, content: m.content })),
+        ...(tools?.length ? { tools: toAnthropicTools(tools) } : {}),
         stream: true,
       }),
       signal,
@@ -201,6 +438,8 @@ export class AIService {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    // tool_use blocks by content block index; input arrives as JSON fragments
+    const toolBlocks = {};
 
     try {
       while (true) {
@@ -225,6 +464,23 @@ export class AIService {
                 yield parsed.delta.text;
               }
 
+              if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+                toolBlocks[parsed.index] = { id: parsed.content_block.id, name: parsed.content_block.name, json: '' };
+              }
+
+              if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'input_json_delta' && toolBlocks[parsed.index]) {
+                toolBlocks[parsed.index].json += parsed.delta.partial_json;
+              }
+
+              if (parsed.type === 'content_block_stop' && toolBlocks[parsed.index]) {
+                const block = toolBlocks[parsed.index];
+                delete toolBlocks[parsed.index];
+                const input = parseToolInput(block.json, block.name);
+                if (input) {
+                  yield { type: 'tool_call', id: block.id, name: block.name, input };
+                }
+              }
+
               if (parsed.type === 'error') {
                 throw new Error(parsed.error?.message || 'Stream error');
               }
@@ -244,7 +500,7 @@ export class AIService {
   /**
    * Stream from OpenAI API
    */
-  async *streamOpenAI(messages, systemPrompt, modelPreference, signal = null) {
+  async *streamOpenAI(messages, systemPrompt, modelPreference, signal = null, tools = null) {
     const model = modelPreference === 'default' ? 'gpt-4o' : modelPreference;
 
     const response = await fetch('https://api.openai.com/v1/chat/completions', {
@@ -260,6 +516,7 @@ export class AIService {
           { role: 'system', content: systemPrompt },
           ...messages.map((m) => ({ role: m.role, content: m.content })),
         ],
+        ...(tools?.length ? { tools: toOpenAITools(tools) } : {}),
         stream: true,
       }),
       signal,
@@ -270,44 +527,50 @@ export class AIService {
       throw new Error(errorData.error?.message || `API error: ${response.status}`);
     }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-
-        // Process complete SSE events
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
+    yield* readChatCompletionStream(response);
+  }
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
+  /**
+   * Stream from a custom OpenAI-compatible endpoint
+   */
+  async *streamCustom(messages, systemPrompt, modelPreference, signal = null, tools = null) {
+    let model = modelPreference;
+    if (model === 'default') {
+      // No universal default — use the first model the server offers
+      model = this.models[0] || (await this.listModels())[0];
+    }
+    if (!model) {
+      throw new Error('The server has no models available');
+    }
 
-            try {
-              const parsed = JSON.parse(data);
-              const content = parsed.choices?.[0]?.delta?.content;
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: this.getCustomHeaders(),
+        body: JSON.stringify({
+          model,
+          max_tokens: 1024,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            ...messages.map((m) => ({ role: m.role, content: m.content })),
+          ],
+          ...(tools?.length ? { tools: toOpenAITools(tools) } : {}),
+          stream: true,
+        }),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error('Could not reach the server. Check that it is still running.');
+    }
 
-              if (content) {
-                yield content;
-              }
-            } catch (parseError) {
-              // Skip non-JSON lines
-              if (parseError instanceof SyntaxError) continue;
-              throw parseError;
-            }
-          }
-        }
-      }
-    } finally {
-      reader.releaseLock();
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `API error: ${response.status}`);
     }
+
+    yield* readChatCompletionStream(response);
   }
 
   /**
@@ -386,7 +649,7 @@ export class AIService {
 /**
  * Stream from OpenRouter API (OpenAI-compatible)
  */
-AIService.prototype.streamOpenRouter = async function* (messages, systemPrompt, modelPreference, signal = null) {
+AIService.prototype.streamOpenRouter = async function* (messages, systemPrompt, modelPreference, signal = null, tools = null) {
   const model = modelPreference === 'default' ? 'meta-llama/llama-3.2-3b-instruct:free' : modelPreference;
 
   const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
@@ -404,6 +667,7 @@ AIService.prototype.streamOpenRouter = async function* (messages, systemPrompt,
         { role: 'system', content: systemPrompt },
         ...messages.map((m) => ({ role: m.role, content: m.content })),
       ],
+      ...(tools?.length ? { tools: toOpenAITools(tools) } : {}),
       stream: true,
     }),
     signal,
@@ -414,50 +678,15 @@ AIService.prototype.streamOpenRouter = async function* (messages, systemPrompt,
     throw new Error(errorData.error?.message || `API error: ${response.status}`);
   }
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete SSE events
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') continue;
-
-          try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices?.[0]?.delta?.content;
-
-            if (content) {
-              yield content;
-            }
-          } catch (parseError) {
-            // Skip non-JSON lines
-            if (parseError instanceof SyntaxError) continue;
-            throw parseError;
-          }
-        }
-      }
-    }
-  } finally {
-    reader.releaseLock();
-  }
+  yield* readChatCompletionStream(response);
 };
 
 /**
  * Get available models for a provider
+ * @param {string} provider
+ * @param {string[]} [discoveredModels] - Model ids listed by a custom endpoint
  */
-export function getAvailableModels(provider) {
+export function getAvailableModels(provider, discoveredModels = []) {
   if (provider === 'anthropic') {
     return [
       { id: 'default', label: 'Default (Claude Sonnet 4.5)' },
@@ -496,6 +725,13 @@ export function getAvailableModels(provider) {
     ];
   }
 
+  if (provider === 'custom') {
+    return [
+      { id: 'default', label: discoveredModels[0] ? `Default (${discoveredModels[0]})` : 'Default' },
+      ...discoveredModels.map((id) => ({ id, label: id })),
+    ];
+  }
+
   return [{ id: 'default', label: 'Default' }];
 }
 
@@ -522,6 +758,13 @@ export function getProviderInfo(provider) {
       keyPlaceholder: 'sk-or-...',
       keyHelp: 'Get your key at openrouter.ai (includes free models)',
     },
+    custom: {
+      name: 'Custom',
+      description: 'Your own OpenAI-compatible server (Ollama, llama.cpp, LM Studio)',
+      keyPlaceholder: 'API key (optional)',
+      keyHelp: 'Leave blank if your server doesn\'t require one',
+      urlPlaceholder: 'http://localhost:11434',
+    },
   };
   return providers[provider] || { name: provider, description: '', keyPlaceholder: '', keyHelp: '' };
 }
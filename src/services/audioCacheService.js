@@ -3,10 +3,19 @@
  * On-demand caching of meditation audio files using the Cache API.
  * Shares the 'audio-cache' cacheName with the Workbox runtime CacheFirst strategy
  * so that manually precached files are served by the service worker on subsequent requests.
+ *
+ * The offline readiness helpers at the bottom back the Offline Readiness
+ * screen (Opening Checklist and Settings): what a session needs, what's
+ * already cached, and a download with progress for the rest.
  */
 
 import { getModuleById } from '../content/modules/library';
 import { getMeditationById, resolveVoiceBasePath, resolveEffectiveVoiceId } from '../content/meditations';
+import { RECORDED_VOICE_ID } from '../content/meditations/recordedVoice';
+import { SPEECH_VOICE_ID } from '../content/meditations/customMeditations';
+import { getSoundscapeById } from '../content/soundscapes';
+import { openingRitualConfig } from '../content/transitions/openingRitualConfig';
+import { closingRitualConfig } from '../content/transitions/closingRitualConfig';
 import { audioPath } from '../utils/audioPath';
 
 const CACHE_NAME = 'audio-cache';
@@ -22,6 +31,16 @@ const COMPOSER_ASSETS = [
   '/audio/meditation-bell-soft.mp3',
 ].map(audioPath);
 
+// Cue tones the composer lays into the breathing module's silence timer
+const BREATH_CUE_ASSETS = [
+  '/audio/breath-cue-in.mp3',
+  '/audio/breath-cue-hold.mp3',
+  '/audio/breath-cue-out.mp3',
+].map(audioPath);
+
+// Module types whose timers use the breath cue tones
+const BREATH_CUE_MODULE_TYPES = new Set(['breathing']);
+
 /**
  * Precache the silence blocks and soft gong used by the audio composer.
  * These are shared across all meditations and should be cached early.
@@ -33,7 +52,7 @@ export async function precacheComposerAssets() {
     const cache = await caches.open(CACHE_NAME);
 
     await Promise.all(
-      COMPOSER_ASSETS.map(async (url) => {
+      [...COMPOSER_ASSETS, ...BREATH_CUE_ASSETS].map(async (url) => {
         try {
           const existing = await cache.match(url);
           if (existing) return;
@@ -53,24 +72,41 @@ export async function precacheComposerAssets() {
 }
 
 /**
- * Get all audio URLs for a given module's meditation content.
+ * Precache a background soundscape track so it plays offline.
+ * Called when the user picks one in Settings.
+ */
+export async function precacheSoundscape(soundscapeId) {
+  const track = getSoundscapeById(soundscapeId);
+  if (!track || !('caches' in window)) return;
+  try {
+    const url = audioPath(track.src);
+    const cache = await caches.open(CACHE_NAME);
+    if (await cache.match(url)) return;
+    const response = await fetch(url);
+    if (response.ok) {
+      await cache.put(url, response);
+    }
+  } catch (err) {
+    console.warn('[AudioCache] precacheSoundscape error:', err);
+  }
+}
+
+/**
+ * Get all audio URLs for one meditation.
  * Handles both standard meditations (flat prompts array) and
  * variation-based meditations like self-compassion (assembleVariation + variations).
  *
  * When the meditation declares voice variants, only the requested voice
- * (or the meditation's default voice if voiceId is null) is precached.
- * Alternate voices are fetched on-demand at Begin; the SW runtime cache
- * still stores them for future sessions.
+ * (or the meditation's default voice if voiceId is null) is included.
  */
-function getAudioUrlsForModule(libraryId, voiceId = null) {
-  const libraryModule = getModuleById(libraryId);
-  if (!libraryModule?.meditationId) return [];
-
-  const meditation = getMeditationById(libraryModule.meditationId);
+function getAudioUrlsForMeditation(meditationId, voiceId = null) {
+  const meditation = getMeditationById(meditationId);
   if (!meditation?.audio) return [];
 
   const { format } = meditation.audio;
   const effectiveVoiceId = resolveEffectiveVoiceId(meditation.audio, voiceId);
+  // Recorded clips are already local (IndexedDB); the device voice has no clips
+  if (effectiveVoiceId === RECORDED_VOICE_ID || effectiveVoiceId === SPEECH_VOICE_ID) return [];
   const voiceBasePath = resolveVoiceBasePath(meditation.audio, effectiveVoiceId);
   const allClipIds = new Set();
 
@@ -89,6 +125,17 @@ function getAudioUrlsForModule(libraryId, voiceId = null) {
   return Array.from(allClipIds).map((id) => audioPath(`${voiceBasePath}${id}.${format}`));
 }
 
+/**
+ * Get all audio URLs for a given module's meditation content.
+ * Alternate voices are fetched on-demand at Begin; the SW runtime cache
+ * still stores them for future sessions.
+ */
+export function getAudioUrlsForModule(libraryId, voiceId = null) {
+  const libraryModule = getModuleById(libraryId);
+  if (!libraryModule?.meditationId) return [];
+  return getAudioUrlsForMeditation(libraryModule.meditationId, voiceId);
+}
+
 /**
  * Precache all audio files for a single module.
  * Idempotent: skips files already in cache.
@@ -136,3 +183,142 @@ export async function precacheAudioForTimeline(modules, voiceId = null) {
   const uniqueLibraryIds = [...new Set(modules.map((m) => m.libraryId))];
   await Promise.all(uniqueLibraryIds.map((id) => precacheAudioForModule(id, voiceId)));
 }
+
+// ============================================
+// OFFLINE READINESS
+// ============================================
+
+// Downloads and status checks run a few at a time rather than all at once
+const CONCURRENCY = 4;
+
+/**
+ * Run `task` over `items` with a small pool of parallel workers
+ */
+async function runPooled(items, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+}
+
+/**
+ * Everything a session needs to play offline, grouped the way the offline
+ * readiness screen lists it: the composer's shared assets, the opening and
+ * closing rituals, each meditation in the timeline (deduplicated by
+ * libraryId), and the background soundscape if one is picked. The
+ * soundscape is optional — a session plays without it — and so are the
+ * breath tones unless a breathing module is on the timeline.
+ *
+ * @param {Array} modules - Timeline module instances
+ * @param {Object} [options]
+ * @param {string|null} [options.voiceId] - Default voice preference
+ * @param {string|null} [options.soundscapeId] - Soundscape preference
+ * @returns {Array<{ id: string, label: string, urls: string[], critical: boolean }>}
+ */
+export function getSessionAudioGroups(modules, { voiceId = null, soundscapeId = null } = {}) {
+  const uniqueLibraryIds = [...new Set((modules || []).map((m) => m.libraryId))];
+  const hasBreathCues = uniqueLibraryIds.some((libraryId) => BREATH_CUE_MODULE_TYPES.has(getModuleById(libraryId)?.type));
+
+  const groups = [
+    { id: 'composer', label: 'Silence and gong', urls: COMPOSER_ASSETS, critical: true },
+    { id: 'breath-cues', label: 'Breath tones', urls: BREATH_CUE_ASSETS, critical: hasBreathCues },
+  ];
+
+  const ritualUrls = [openingRitualConfig, closingRitualConfig]
+    .flatMap((config) => config.sections.filter((section) => section.meditationId))
+    .flatMap((section) => getAudioUrlsForMeditation(section.meditationId, voiceId));
+  if (ritualUrls.length > 0) {
+    groups.push({ id: 'rituals', label: 'Opening and closing rituals', urls: [...new Set(ritualUrls)], critical: true });
+  }
+
+  uniqueLibraryIds.forEach((libraryId) => {
+    const urls = getAudioUrlsForModule(libraryId, voiceId);
+    if (urls.length === 0) return;
+    groups.push({ id: libraryId, label: getModuleById(libraryId)?.title || libraryId, urls, critical: true });
+  });
+
+  const track = getSoundscapeById(soundscapeId);
+  if (track) {
+    groups.push({ id: 'soundscape', label: `Background sound: ${track.label}`, urls: [audioPath(track.src)], critical: false });
+  }
+
+  return groups;
+}
+
+/**
+ * Check which URLs are already in the audio cache, with their sizes.
+ * Missing files are sized with a HEAD request when online; sizes stay
+ * null when they can't be known.
+ *
+ * @param {string[]} urls
+ * @returns {Promise<Object<string, { cached: boolean, bytes: number|null }>>} Keyed by URL
+ */
+export async function getAudioCacheStatus(urls) {
+  const status = {};
+  if (!('caches' in window)) {
+    urls.forEach((url) => { status[url] = { cached: false, bytes: null }; });
+    return status;
+  }
+
+  const cache = await caches.open(CACHE_NAME);
+  await runPooled(urls, async (url) => {
+    const cached = await cache.match(url);
+    if (cached) {
+      const length = Number(cached.headers.get('content-length'));
+      status[url] = { cached: true, bytes: length > 0 ? length : (await cached.blob()).size };
+      return;
+    }
+    let bytes = null;
+    if (navigator.onLine) {
+      try {
+        const head = await fetch(url, { method: 'HEAD' });
+        const length = Number(head.headers.get('content-length'));
+        if (head.ok && length > 0) bytes = length;
+      } catch {
+        // Size unknown until downloaded
+      }
+    }
+    status[url] = { cached: false, bytes };
+  });
+  return status;
+}
+
+/**
+ * Download URLs into the audio cache, reporting progress as each one
+ * settles. Files already cached count as done. Retry by calling again
+ * with the returned `failed` list.
+ *
+ * @param {string[]} urls
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - ({ done, total, failed }) after each file
+ * @returns {Promise<{ cached: string[], failed: string[] }>}
+ */
+export async function downloadAudioFiles(urls, { onProgress } = {}) {
+  const result = { cached: [], failed: [] };
+  if (!('caches' in window)) return { cached: [], failed: [...urls] };
+
+  const cache = await caches.open(CACHE_NAME);
+  await runPooled(urls, async (url) => {
+    try {
+      if (!(await cache.match(url))) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+      }
+      result.cached.push(url);
+    } catch {
+      result.failed.push(url);
+    }
+    onProgress?.({
+      done: result.cached.length + result.failed.length,
+      total: urls.length,
+      failed: result.failed.length,
+    });
+  });
+  return result;
+}
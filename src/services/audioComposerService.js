@@ -13,9 +13,19 @@
  *
  * MP3 is a frame-based format — frames are independently decodable, so raw byte
  * concatenation produces valid audio without decoding or re-encoding.
+ *
+ * Meditations played in the user's recorded voice can't be concatenated that
+ * way (MediaRecorder output isn't MP3), so they are decoded and rendered to a
+ * 16-bit mono WAV instead. getComposedDuration() and sliceComposedAudio()
+ * handle both formats for playback.
+ *
+ * Lines spoken live by the device voice (custom meditations) have no clip;
+ * their slot is filled with silence and useSpeechLayer speaks over it.
  */
 
 import { audioPath } from '../utils/audioPath';
+import { parseRecordedClipSrc } from '../content/meditations/recordedVoice';
+import { getVoiceClip } from '../utils/voiceRecordingStorage';
 
 // All TTS clips and silence blocks are CBR 128kbps (16,000 bytes per second)
 export const CBR_BYTES_PER_SECOND = 16000;
@@ -27,6 +37,17 @@ const SILENCE_FORMAT = 'mp3';
 
 const GONG_SOFT_SRC = audioPath('/audio/meditation-bell-soft.mp3');
 
+// Short tones marking breath phases in a silence timer (see composeSilenceTimer cues)
+const BREATH_CUE_SRCS = {
+  in: audioPath('/audio/breath-cue-in.mp3'),
+  hold: audioPath('/audio/breath-cue-hold.mp3'),
+  out: audioPath('/audio/breath-cue-out.mp3'),
+};
+
+// Rendered (WAV) compositions: voice-quality mono, ~44 KB per second
+const PCM_SAMPLE_RATE = 22050;
+const WAV_HEADER_BYTES = 44;
+
 /**
  * Detect and return the size of an ID3v2 tag at the start of an ArrayBuffer.
  * Returns 0 if no ID3v2 tag is found.
@@ -77,10 +98,7 @@ function actualSilenceDuration(blockUrls, nominalDuration, bufferMap) {
   if (!bufferMap) return nominalDuration;
   let total = 0;
   for (const url of blockUrls) {
-    const buf = bufferMap.get(url);
-    if (buf) {
-      total += estimateMp3Duration(buf);
-    }
+    total += bufferDuration(bufferMap.get(url)) || 0;
   }
   return total || nominalDuration;
 }
@@ -171,6 +189,18 @@ function estimateMp3Duration(buffer) {
   return buffer.byteLength / CBR_BYTES_PER_SECOND;
 }
 
+/**
+ * Duration of a buffer-map entry: a raw MP3 ArrayBuffer, or a decoded
+ * AudioBuffer when rendering a recorded-voice composition.
+ *
+ * @param {ArrayBuffer|AudioBuffer|undefined} buffer
+ * @returns {number|null} Duration in seconds, or null if unavailable
+ */
+function bufferDuration(buffer) {
+  if (!buffer) return null;
+  return typeof buffer.duration === 'number' ? buffer.duration : estimateMp3Duration(buffer);
+}
+
 /**
  * Find the next valid MPEG audio frame boundary at or after `offset`.
  *
@@ -249,9 +279,13 @@ function collectAudioUrls(timedSequence, { gongDelay = 1, gongPreamble = 8, skip
     for (const url of decomposeSilence(1)) urls.add(url);
   }
 
-  // Clips + post-clip silence
+  // Clips (or held silence for spoken lines) + post-clip silence
   for (const prompt of timedSequence) {
-    if (prompt.audioSrc) urls.add(prompt.audioSrc);
+    if (prompt.audioSrc) {
+      urls.add(prompt.audioSrc);
+    } else if (prompt.speakingDuration > 0) {
+      for (const url of decomposeSilence(prompt.speakingDuration)) urls.add(url);
+    }
     if (prompt.silenceDuration > 0) {
       for (const url of decomposeSilence(prompt.silenceDuration)) urls.add(url);
     }
@@ -277,7 +311,7 @@ function collectAudioUrls(timedSequence, { gongDelay = 1, gongPreamble = 8, skip
  * @param {number} options.gongPreamble - Total seconds before first TTS prompt (default 8)
  * @param {boolean} options.skipOpeningGong - If true, omit opening gong and preamble (1s lead-in instead)
  * @param {boolean} options.skipClosingGong - If true, omit closing gong and its pre-silence
- * @param {Map} [bufferMap] - Map of URL → ArrayBuffer for computing real durations
+ * @param {Map} [bufferMap] - Map of URL → ArrayBuffer (or decoded AudioBuffer) for computing real durations
  * @returns {{ plan: Array, promptTimeMap: Array, totalDuration: number }}
  */
 export function buildConcatenationPlan(timedSequence, { gongDelay = 1, gongPreamble = 8, skipOpeningGong = false, skipClosingGong = false } = {}, bufferMap = null) {
@@ -286,8 +320,7 @@ export function buildConcatenationPlan(timedSequence, { gongDelay = 1, gongPream
   let currentTime = 0;
 
   // --- Opening gong preamble (or brief lead-in when skipped) ---
-  const gongBuffer = bufferMap?.get(GONG_SOFT_SRC);
-  const gongDuration = gongBuffer ? estimateMp3Duration(gongBuffer) : 7.5;
+  const gongDuration = bufferDuration(bufferMap?.get(GONG_SOFT_SRC)) ?? 7.5;
 
   if (!skipOpeningGong) {
     // silence before gong
@@ -325,16 +358,20 @@ export function buildConcatenationPlan(timedSequence, { gongDelay = 1, gongPream
     const prompt = timedSequence[i];
     const promptAudioStart = currentTime;
 
-    // Add TTS clip
+    // Add TTS clip. A line without a clip (spoken live by the device voice)
+    // holds its slot with silence so later prompts stay where the map says.
     if (prompt.audioSrc) {
       plan.push({ type: 'clip', url: prompt.audioSrc, promptIndex: i });
+      // Use real duration from MP3 byte size when available, fall back to estimate
+      currentTime += bufferDuration(bufferMap?.get(prompt.audioSrc)) ?? prompt.speakingDuration;
+    } else if (prompt.speakingDuration > 0) {
+      const slotBlocks = decomposeSilence(prompt.speakingDuration);
+      for (const url of slotBlocks) {
+        plan.push({ type: 'silence', url });
+      }
+      currentTime += actualSilenceDuration(slotBlocks, prompt.speakingDuration, bufferMap);
     }
 
-    // Use real duration from MP3 byte size when available, fall back to estimate
-    const clipBuffer = prompt.audioSrc ? bufferMap?.get(prompt.audioSrc) : null;
-    const clipDuration = clipBuffer ? estimateMp3Duration(clipBuffer) : prompt.speakingDuration;
-    currentTime += clipDuration;
-
     const promptAudioEnd = currentTime;
 
     // Add silence after clip
@@ -391,6 +428,10 @@ export function buildConcatenationPlan(timedSequence, { gongDelay = 1, gongPream
  * @returns {Promise<{ blobUrl: string, promptTimeMap: Array, totalDuration: number }>}
  */
 export async function composeMeditationAudio(timedSequence, options = {}) {
+  if (timedSequence.some((prompt) => parseRecordedClipSrc(prompt.audioSrc))) {
+    return composeRecordedMeditation(timedSequence, options);
+  }
+
   // Collect all unique URLs needed (lightweight — no full plan build)
   const uniqueUrls = collectAudioUrls(timedSequence, options);
 
@@ -441,6 +482,205 @@ export async function composeMeditationAudio(timedSequence, options = {}) {
   };
 }
 
+// ============================================
+// RECORDED VOICE (rendered to WAV)
+// ============================================
+
+/**
+ * Fetch a plan URL's audio: recorded clips come from IndexedDB, everything
+ * else through the regular cache/network path.
+ *
+ * @param {string} url - Audio URL or recorded clip src
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchRenderableAudio(url) {
+  const recorded = parseRecordedClipSrc(url);
+  if (!recorded) return fetchAudioBuffer(url);
+  const blob = await getVoiceClip(recorded.meditationId, recorded.promptId);
+  if (!blob) {
+    throw new Error(`Missing recorded clip: ${recorded.meditationId}/${recorded.promptId}`);
+  }
+  return blob.arrayBuffer();
+}
+
+/**
+ * Mix an AudioBuffer down to mono and write it into 16-bit PCM samples.
+ *
+ * @param {AudioBuffer} buffer - Decoded at PCM_SAMPLE_RATE
+ * @param {Int16Array} samples - Output
+ * @param {number} start - First output sample
+ */
+function writeMonoSamples(buffer, samples, start) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const end = Math.min(buffer.length, samples.length - start);
+  for (let i = 0; i < end; i++) {
+    let sum = 0;
+    for (const channel of channels) sum += channel[i];
+    const value = Math.max(-1, Math.min(1, sum / channels.length));
+    samples[start + i] = value < 0 ? value * 0x8000 : value * 0x7FFF;
+  }
+}
+
+/**
+ * Write a 44-byte PCM WAV header (16-bit mono) at the start of `bytes`.
+ *
+ * @param {Uint8Array} bytes - At least WAV_HEADER_BYTES long
+ * @param {number} dataBytes - Length of the sample data that follows
+ * @param {number} sampleRate
+ */
+function writeWavHeader(bytes, dataBytes, sampleRate) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, WAV_HEADER_BYTES);
+  const ascii = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, dataBytes, true);
+}
+
+/**
+ * Compose a meditation that uses recorded clips. Same timing model as the
+ * MP3 path (buildConcatenationPlan with real clip durations), but each clip
+ * and gong is decoded and written at its exact start time, and silence is
+ * simply left as zeros.
+ *
+ * @param {Array} timedSequence - From generateTimedSequence()
+ * @param {Object} options - Same as composeMeditationAudio()
+ * @returns {Promise<{ blobUrl: string, composedBytes: Uint8Array, promptTimeMap: Array, totalDuration: number }>}
+ */
+async function composeRecordedMeditation(timedSequence, options = {}) {
+  const { gongDelay = 1, skipOpeningGong = false, skipClosingGong = false } = options;
+  const urls = collectAudioUrls(timedSequence, options).filter((url) => !url.includes('/silence/'));
+
+  // decodeAudioData resamples to the context's rate
+  const decoder = new OfflineAudioContext(1, 1, PCM_SAMPLE_RATE);
+  const decoded = new Map();
+  await Promise.all(urls.map(async (url) => {
+    const data = await fetchRenderableAudio(url);
+    decoded.set(url, await decoder.decodeAudioData(data));
+  }));
+
+  const { promptTimeMap, totalDuration } = buildConcatenationPlan(timedSequence, options, decoded);
+
+  const sampleCount = Math.ceil(totalDuration * PCM_SAMPLE_RATE);
+  const composed = new Uint8Array(WAV_HEADER_BYTES + sampleCount * 2);
+  writeWavHeader(composed, sampleCount * 2, PCM_SAMPLE_RATE);
+  const samples = new Int16Array(composed.buffer, WAV_HEADER_BYTES, sampleCount);
+  const at = (seconds) => Math.round(seconds * PCM_SAMPLE_RATE);
+
+  const gong = decoded.get(GONG_SOFT_SRC);
+  if (gong && !skipOpeningGong) writeMonoSamples(gong, samples, at(gongDelay));
+  for (const entry of promptTimeMap) {
+    const clip = decoded.get(timedSequence[entry.promptIndex].audioSrc);
+    if (clip) writeMonoSamples(clip, samples, at(entry.audioTimeStart));
+  }
+  if (gong && !skipClosingGong) writeMonoSamples(gong, samples, at(totalDuration - gong.duration));
+
+  const blob = new Blob([composed], { type: 'audio/wav' });
+  const blobUrl = URL.createObjectURL(blob);
+
+  return {
+    blobUrl,
+    composedBytes: composed,
+    promptTimeMap,
+    totalDuration,
+  };
+}
+
+// ============================================
+// PLAYBACK HELPERS
+// ============================================
+
+function isWavBytes(bytes) {
+  return bytes.length > WAV_HEADER_BYTES
+    && bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46; // "RIFF"
+}
+
+function wavByteRate(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, WAV_HEADER_BYTES).getUint32(28, true);
+}
+
+/**
+ * Duration of composed audio (CBR MP3 or rendered WAV) in seconds.
+ *
+ * @param {Uint8Array} bytes - composedBytes from a compose* function
+ * @returns {number}
+ */
+export function getComposedDuration(bytes) {
+  if (isWavBytes(bytes)) return (bytes.length - WAV_HEADER_BYTES) / wavByteRate(bytes);
+  return bytes.length / CBR_BYTES_PER_SECOND;
+}
+
+/**
+ * Slice composed audio so playback can start at `seconds` from a fresh blob
+ * (used for resume and seek). MP3 is cut at the next frame boundary; WAV at
+ * the nearest sample, with a new header.
+ *
+ * @param {Uint8Array} bytes - composedBytes from a compose* function
+ * @param {number} seconds - Absolute start time
+ * @returns {{ blob: Blob, startTime: number }} startTime is where the slice actually begins
+ */
+export function sliceComposedAudio(bytes, seconds) {
+  if (isWavBytes(bytes)) {
+    const byteRate = wavByteRate(bytes);
+    const dataBytes = bytes.length - WAV_HEADER_BYTES;
+    const offset = Math.min(Math.floor((seconds * byteRate) / 2) * 2, dataBytes);
+    const header = new Uint8Array(WAV_HEADER_BYTES);
+    writeWavHeader(header, dataBytes - offset, byteRate / 2);
+    return {
+      blob: new Blob([header, bytes.subarray(WAV_HEADER_BYTES + offset)], { type: 'audio/wav' }),
+      startTime: offset / byteRate,
+    };
+  }
+
+  const rawByteOffset = Math.floor(seconds * CBR_BYTES_PER_SECOND);
+  const frameAlignedOffset = findNextFrameBoundary(bytes, Math.min(rawByteOffset, bytes.length - 1));
+  // subarray is zero-copy — shares the underlying ArrayBuffer
+  return {
+    blob: new Blob([bytes.subarray(frameAlignedOffset)], { type: 'audio/mpeg' }),
+    startTime: frameAlignedOffset / CBR_BYTES_PER_SECOND,
+  };
+}
+
+/**
+ * Plan a stretch of silence with cue tones placed inside it.
+ * Cues closer together than the previous tone's length are dropped.
+ *
+ * @param {number} durationSeconds - Length of the stretch
+ * @param {Array<{ at: number, tone: string }>} cues - Offsets into the stretch
+ * @param {Map} bufferMap - Must contain the tones and silence blocks
+ * @returns {Array<{ url: string }>} Plan entries
+ */
+function planCuedSilence(durationSeconds, cues, bufferMap) {
+  const plan = [];
+  let cursor = 0;
+  const sorted = [...cues].sort((a, b) => a.at - b.at);
+
+  const pushSilence = (seconds) => {
+    const blocks = decomposeSilence(seconds);
+    for (const url of blocks) plan.push({ url });
+    cursor += blocks.length > 0 ? actualSilenceDuration(blocks, Math.round(seconds * 2) / 2, bufferMap) : 0;
+  };
+
+  for (const cue of sorted) {
+    if (cue.at >= durationSeconds || cue.at < cursor - 0.25) continue;
+    pushSilence(cue.at - cursor);
+    const url = BREATH_CUE_SRCS[cue.tone];
+    plan.push({ url });
+    cursor += estimateMp3Duration(bufferMap.get(url));
+  }
+  pushSilence(durationSeconds - cursor);
+  return plan;
+}
+
 /**
  * Compose a silence timer into a single continuous MP3 blob.
  * Structure: [gongDelay silence] [gong] [preamble gap] [N seconds silence] [1s silence] [gong] [1s silence]
@@ -449,15 +689,22 @@ export async function composeMeditationAudio(timedSequence, options = {}) {
  * The audio element keeps playing even when the screen is off, so the closing
  * gong fires at the correct time.
  *
+ * Optional `cues` place a short breath tone inside the main silence (e.g. at
+ * each inhale and exhale of a breathing module). Each tone starts at its
+ * offset to the nearest 0.5s block; placement tracks the real length of
+ * everything before it, so rounding never accumulates into drift. If the
+ * tones can't be fetched the timer is composed without them.
+ *
  * @param {number} durationSeconds - The user-visible timer duration in seconds
  * @param {Object} options
  * @param {number} options.gongDelay - Seconds of silence before opening gong (default 1)
  * @param {number} options.gongPreamble - Total seconds before timer starts (default 3)
  * @param {boolean} options.skipOpeningGong - If true, omit opening gong and preamble (for mid-session resize)
  * @param {boolean} options.skipClosingGong - If true, omit closing gong and its trailing silence
+ * @param {Array<{ at: number, tone: 'in'|'hold'|'out' }>} options.cues - Tones at seconds into the main silence
  * @returns {Promise<{ blobUrl: string, totalDuration: number, preambleEnd: number }>}
  */
-export async function composeSilenceTimer(durationSeconds, { gongDelay = 1, gongPreamble = 3, skipOpeningGong = false, skipClosingGong = false } = {}) {
+export async function composeSilenceTimer(durationSeconds, { gongDelay = 1, gongPreamble = 3, skipOpeningGong = false, skipClosingGong = false, cues = [] } = {}) {
   // Build the concatenation plan
   const plan = [];
 
@@ -475,6 +722,14 @@ export async function composeSilenceTimer(durationSeconds, { gongDelay = 1, gong
     urlSet.add(url);
   }
 
+  // Cued timers cut the main silence at arbitrary points — fetch every block size
+  const cueUrls = [...new Set(cues.map((cue) => BREATH_CUE_SRCS[cue.tone]).filter(Boolean))];
+  if (cueUrls.length > 0) {
+    for (const url of [...cueUrls, ...SILENCE_BLOCKS.map((size) => `${SILENCE_BASE_PATH}${size}s.${SILENCE_FORMAT}`)]) {
+      urlSet.add(url);
+    }
+  }
+
   // Fetch all audio files in parallel
   const uniqueUrls = [...urlSet];
   const bufferMap = new Map();
@@ -489,6 +744,10 @@ export async function composeSilenceTimer(durationSeconds, { gongDelay = 1, gong
   for (let i = 0; i < fetchResults.length; i++) {
     if (fetchResults[i].status === 'rejected') {
       const url = uniqueUrls[i];
+      if (cueUrls.includes(url)) {
+        console.warn(`[AudioComposer] Non-critical: failed to fetch breath cue ${url}`);
+        continue;
+      }
       if (!url.includes('/silence/')) {
         throw new Error(`Failed to fetch audio: ${url}`);
       }
@@ -535,9 +794,18 @@ export async function composeSilenceTimer(durationSeconds, { gongDelay = 1, gong
     preambleEnd = gongPreamble;
   }
 
-  // 4. Main silence (the timer duration)
-  for (const url of mainSilence) {
-    plan.push({ url });
+  // 4. Main silence (the timer duration), with any cue tones laid into it.
+  // Tones repeat through the stream, so strip their ID3 tags (see composeMeditationAudio).
+  const playableCues = cueUrls.every((url) => bufferMap.has(url)) ? cues : [];
+  for (const url of cueUrls) {
+    if (bufferMap.has(url)) bufferMap.set(url, stripID3Tag(bufferMap.get(url)));
+  }
+  if (playableCues.length > 0) {
+    plan.push(...planCuedSilence(durationSeconds, playableCues, bufferMap));
+  } else {
+    for (const url of mainSilence) {
+      plan.push({ url });
+    }
   }
 
   // 5–7. Closing gap + gong + trailing silence (when not skipped)
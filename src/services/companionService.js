@@ -0,0 +1,183 @@
+/**
+ * Companion Service
+ * Pairing and messaging for sitter/partner companion mode.
+ *
+ * The primary device ("host") creates a pairing code and streams companion
+ * snapshots (see utils/companionProjection.js) to any follower holding the
+ * same code. The code carries everything a follower needs:
+ *
+ *   m-session:1:<transport>:<channelId>:<key>
+ *
+ * `key` is a random AES-GCM key, so every message is encrypted before it
+ * reaches the transport. BroadcastChannel never leaves the browser anyway,
+ * but a future relay or WebRTC transport would only ever see ciphertext.
+ * The code never leaves either device except by the user pasting or
+ * scanning it.
+ */
+
+import { bytesToBase64, base64ToBytes } from './cryptoService';
+import { createCompanionTransport } from './companionTransport';
+
+const CODE_PREFIX = 'm-session';
+const PROTOCOL_VERSION = 1;
+const CHANNEL_ID_BYTES = 12;
+const KEY_BYTES = 16;
+const IV_BYTES = 12;
+
+const INVALID_CODE_MESSAGE = 'That pairing code isn\'t valid. Copy it again from the sharing device.';
+
+// ── Encoding ──────────────────────────────────────────────
+
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+// ── Pairing codes ─────────────────────────────────────────
+
+/**
+ * Create a new pairing
+ * @param {string} [transport] - Transport kind (see companionTransport.js)
+ * @returns {{code: string, transport: string, channelId: string, key: string}}
+ */
+export function createPairing(transport = 'broadcast') {
+  const channelId = toBase64Url(crypto.getRandomValues(new Uint8Array(CHANNEL_ID_BYTES)));
+  const key = toBase64Url(crypto.getRandomValues(new Uint8Array(KEY_BYTES)));
+  return {
+    code: [CODE_PREFIX, PROTOCOL_VERSION, transport, channelId, key].join(':'),
+    transport,
+    channelId,
+    key,
+  };
+}
+
+/**
+ * Parse a pasted or scanned pairing code
+ * @param {string} code
+ * @returns {{code: string, transport: string, channelId: string, key: string}}
+ * @throws {Error} If the code is malformed or from a newer protocol version
+ */
+export function parsePairingCode(code) {
+  const parts = String(code || '').trim().split(':');
+  if (parts.length !== 5 || parts[0] !== CODE_PREFIX) {
+    throw new Error(INVALID_CODE_MESSAGE);
+  }
+  const [, version, transport, channelId, key] = parts;
+  if (Number(version) > PROTOCOL_VERSION) {
+    throw new Error('This pairing code was made by a newer version of the app. Update this device and try again.');
+  }
+  if (Number(version) !== PROTOCOL_VERSION || !transport || !channelId) {
+    throw new Error(INVALID_CODE_MESSAGE);
+  }
+  try {
+    if (fromBase64Url(key).length !== KEY_BYTES) throw new Error('bad key');
+  } catch {
+    throw new Error(INVALID_CODE_MESSAGE);
+  }
+  return { code: parts.join(':'), transport, channelId, key };
+}
+
+// ── Encrypted messaging ───────────────────────────────────
+
+async function importKey(key) {
+  return crypto.subtle.importKey('raw', fromBase64Url(key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function seal(cryptoKey, message) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    cryptoKey,
+    new TextEncoder().encode(JSON.stringify(message))
+  );
+  return { v: PROTOCOL_VERSION, iv: toBase64Url(iv), data: toBase64Url(new Uint8Array(data)) };
+}
+
+async function open(cryptoKey, envelope) {
+  if (envelope?.v !== PROTOCOL_VERSION || !envelope.iv || !envelope.data) return null;
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(envelope.iv) },
+      cryptoKey,
+      fromBase64Url(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    // Wrong key or tampered message — not for us
+    return null;
+  }
+}
+
+/**
+ * Open an encrypted channel for one side of a pairing. Messages from the
+ * same role are ignored so a transport that echoes (e.g. a relay) is safe.
+ */
+async function connect(pairing, role, onMessage) {
+  const cryptoKey = await importKey(pairing.key);
+  const transport = createCompanionTransport(pairing.transport, { channelId: pairing.channelId });
+
+  const unsubscribe = transport.subscribe(async (envelope) => {
+    const message = await open(cryptoKey, envelope);
+    if (message && message.from !== role) onMessage(message);
+  });
+
+  return {
+    send: async (message) => transport.send(await seal(cryptoKey, { ...message, from: role })),
+    close: () => {
+      unsubscribe();
+      transport.close();
+    },
+  };
+}
+
+/**
+ * Start sharing as the primary device
+ * @param {object} pairing - From createPairing() or parsePairingCode()
+ * @param {object} handlers
+ * @param {() => object} handlers.getSnapshot - Current companion snapshot, sent when a follower says hello
+ * @returns {Promise<{publish: (snapshot: object) => Promise<void>, stop: () => Promise<void>}>}
+ */
+export async function startCompanionHost(pairing, { getSnapshot }) {
+  const channel = await connect(pairing, 'host', (message) => {
+    if (message.type === 'hello') {
+      channel.send({ type: 'snapshot', snapshot: getSnapshot() }).catch((error) => {
+        console.warn('[Companion] Failed to answer follower:', error);
+      });
+    }
+  });
+
+  return {
+    publish: (snapshot) => channel.send({ type: 'snapshot', snapshot }),
+    stop: async () => {
+      await channel.send({ type: 'ended' }).catch(() => {});
+      channel.close();
+    },
+  };
+}
+
+/**
+ * Start following a primary device
+ * @param {object} pairing - From parsePairingCode()
+ * @param {object} handlers
+ * @param {(snapshot: object) => void} handlers.onSnapshot
+ * @param {() => void} [handlers.onEnded] - The host stopped sharing
+ * @returns {Promise<{requestSnapshot: () => Promise<void>, stop: () => void}>}
+ */
+export async function startCompanionFollower(pairing, { onSnapshot, onEnded }) {
+  const channel = await connect(pairing, 'follower', (message) => {
+    if (message.type === 'snapshot' && message.snapshot) onSnapshot(message.snapshot);
+    if (message.type === 'ended') onEnded?.();
+  });
+
+  const requestSnapshot = () => channel.send({ type: 'hello' });
+  await requestSnapshot();
+
+  return {
+    requestSnapshot,
+    stop: () => channel.close(),
+  };
+}
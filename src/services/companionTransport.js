@@ -0,0 +1,84 @@
+/**
+ * Companion Transport
+ * Message transports for sitter/partner companion mode. A transport moves
+ * opaque JSON messages between the primary device and a follower; it knows
+ * nothing about sessions or encryption (companionService handles both).
+ *
+ * Built in:
+ *   'broadcast' — BroadcastChannel. Only reaches other tabs/windows of this
+ *                 app in the same browser, which makes it the transport for
+ *                 same-device testing.
+ *
+ * Other transports (WebRTC data channel, relay server) plug in through
+ * registerCompanionTransport() without touching the rest of companion mode.
+ *
+ * Transport interface:
+ *   {
+ *     send(message: object): void,
+ *     subscribe(handler: (message: object) => void): () => void,  // returns unsubscribe
+ *     close(): void,
+ *   }
+ */
+
+const CHANNEL_PREFIX = 'm-session-companion:';
+
+const factories = new Map();
+
+/**
+ * Register a transport factory
+ * @param {string} kind - Identifier stored in pairing codes
+ * @param {(options: {channelId: string}) => object} factory - Returns a transport
+ */
+export function registerCompanionTransport(kind, factory) {
+  factories.set(kind, factory);
+}
+
+/**
+ * Whether a transport kind can be created in this browser
+ */
+export function isCompanionTransportAvailable(kind) {
+  if (!factories.has(kind)) return false;
+  if (kind === 'broadcast') return typeof BroadcastChannel !== 'undefined';
+  return true;
+}
+
+/**
+ * Create a transport for a pairing
+ * @param {string} kind
+ * @param {{channelId: string}} options
+ */
+export function createCompanionTransport(kind, options) {
+  const factory = factories.get(kind);
+  if (!factory) {
+    throw new Error(`This pairing code uses a connection type (${kind}) this version of the app doesn't support.`);
+  }
+  return factory(options);
+}
+
+// ── BroadcastChannel ──────────────────────────────────────
+
+function createBroadcastTransport({ channelId }) {
+  if (typeof BroadcastChannel === 'undefined') {
+    throw new Error('This browser can\'t open a companion connection.');
+  }
+  const channel = new BroadcastChannel(CHANNEL_PREFIX + channelId);
+  const handlers = new Set();
+
+  channel.onmessage = (event) => {
+    for (const handler of handlers) handler(event.data);
+  };
+
+  return {
+    send: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => {
+      handlers.clear();
+      channel.close();
+    },
+  };
+}
+
+registerCompanionTransport('broadcast', createBroadcastTransport);
@@ -2,6 +2,13 @@
  * Crypto Service
  * Device-bound encryption for API keys using Web Crypto API
  * Keys stored in IndexedDB (more secure than localStorage)
+ *
+ * Also provides passphrase-based encryption (PBKDF2 → AES-GCM) for data that
+ * has to leave the device, e.g. full backups restored on a different phone.
+ *
+ * The app lock uses a random data key that encrypts the persisted stores. That
+ * key is only ever stored wrapped — by a PIN-derived key (PBKDF2) and,
+ * optionally, by a key derived from a passkey's WebAuthn PRF output (HKDF).
  */
 
 const DB_NAME = 'mdma-guide-crypto';
@@ -9,6 +16,48 @@ const DB_VERSION = 1;
 const STORE_NAME = 'keys';
 const DEVICE_KEY_ID = 'device-key';
 
+// PBKDF2 parameters for passphrase-derived keys. The iteration count is
+// written alongside every ciphertext so it can be raised later without
+// breaking files encrypted with an older value.
+const PASSPHRASE_KDF_ITERATIONS = 600000;
+const PASSPHRASE_SALT_BYTES = 16;
+
+// Fixed HKDF info string so a PRF output is only ever used for wrapping the
+// app lock data key
+const PRF_WRAP_INFO = 'mdma-guide app lock key wrap v1';
+
+// Chunk size for base64 conversion — spreading a large Uint8Array into
+// String.fromCharCode overflows the call stack, so convert in slices.
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Encode bytes as a base64 string (safe for large buffers)
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...view.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Open IndexedDB connection
  */
@@ -146,3 +195,306 @@ export async function decryptApiKey(encryptedData) {
 export function hasEncryptedKey(encryptedData) {
   return !!(encryptedData && encryptedData.iv && encryptedData.ciphertext);
 }
+
+/**
+ * Derive an AES-256-GCM key from a user passphrase
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a string with a key derived from a passphrase.
+ * Unlike encryptApiKey, the result is portable: any device that knows the
+ * passphrase can decrypt it.
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} passphrase - User-chosen passphrase
+ * @returns {Promise<{kdf: string, hash: string, iterations: number, salt: string, iv: string, ciphertext: string}>}
+ */
+export async function encryptWithPassphrase(plaintext, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await derivePassphraseKey(passphrase, salt, PASSPHRASE_KDF_ITERATIONS);
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PASSPHRASE_KDF_ITERATIONS,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext),
+  };
+}
+
+/**
+ * Decrypt data produced by encryptWithPassphrase
+ * @param {object} encryptedData - Output of encryptWithPassphrase
+ * @param {string} passphrase - The passphrase used to encrypt
+ * @returns {Promise<string>} - The decrypted plaintext
+ * @throws {Error} If the passphrase is wrong or the data was tampered with
+ */
+export async function decryptWithPassphrase(encryptedData, passphrase) {
+  if (!encryptedData || !encryptedData.salt || !encryptedData.iv || !encryptedData.ciphertext) {
+    throw new Error('Invalid encrypted data');
+  }
+  if (encryptedData.kdf !== 'PBKDF2' || encryptedData.hash !== 'SHA-256') {
+    throw new Error('Unsupported key derivation');
+  }
+
+  const key = await derivePassphraseKey(
+    passphrase,
+    base64ToBytes(encryptedData.salt),
+    encryptedData.iterations
+  );
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(encryptedData.iv) },
+      key,
+      base64ToBytes(encryptedData.ciphertext)
+    );
+  } catch (_error) {
+    // AES-GCM authentication failure — almost always a wrong passphrase
+    throw new Error('Incorrect passphrase');
+  }
+
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Derive an AES-KW key from a user PIN, for wrapping the app lock data key
+ */
+async function derivePinWrappingKey(pin, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Derive an AES-KW key from a WebAuthn PRF output
+ * The PRF output is already uniformly random, so HKDF (not PBKDF2) is enough.
+ */
+async function derivePrfWrappingKey(prfOutput, salt) {
+  const baseKey = await crypto.subtle.importKey('raw', prfOutput, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(PRF_WRAP_INFO) },
+    baseKey,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Unwrap a raw AES-256-GCM key
+ */
+function unwrapDataKey(wrappedKey, wrappingKey) {
+  return crypto.subtle.unwrapKey(
+    'raw',
+    base64ToBytes(wrappedKey),
+    wrappingKey,
+    'AES-KW',
+    { name: 'AES-GCM', length: 256 },
+    true, // extractable, so it can be re-wrapped when the PIN changes or a passkey is added
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Generate a random AES-256-GCM data key for the app lock
+ * @returns {Promise<CryptoKey>}
+ */
+export function generateDataKey() {
+  return crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true, // extractable (needed for wrapping)
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Wrap the data key with a key derived from a PIN
+ * @param {CryptoKey} dataKey - Key from generateDataKey
+ * @param {string} pin - User-chosen PIN
+ * @returns {Promise<{kdf: string, hash: string, iterations: number, salt: string, wrappedKey: string}>}
+ */
+export async function wrapKeyWithPin(dataKey, pin) {
+  if (!pin) {
+    throw new Error('A PIN is required');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const wrappingKey = await derivePinWrappingKey(pin, salt, PASSPHRASE_KDF_ITERATIONS);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+
+  return {
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PASSPHRASE_KDF_ITERATIONS,
+    salt: bytesToBase64(salt),
+    wrappedKey: bytesToBase64(wrappedKey),
+  };
+}
+
+/**
+ * Recover the data key from the output of wrapKeyWithPin
+ * @param {object} pinKey - Output of wrapKeyWithPin
+ * @param {string} pin - The PIN used to wrap
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} If the PIN is wrong
+ */
+export async function unwrapKeyWithPin(pinKey, pin) {
+  if (!pinKey || !pinKey.salt || !pinKey.wrappedKey) {
+    throw new Error('Invalid wrapped key');
+  }
+  if (pinKey.kdf !== 'PBKDF2' || pinKey.hash !== 'SHA-256') {
+    throw new Error('Unsupported key derivation');
+  }
+
+  const wrappingKey = await derivePinWrappingKey(pin, base64ToBytes(pinKey.salt), pinKey.iterations);
+
+  try {
+    return await unwrapDataKey(pinKey.wrappedKey, wrappingKey);
+  } catch (_error) {
+    // AES-KW integrity check failure — the PIN was wrong
+    throw new Error('Incorrect PIN');
+  }
+}
+
+/**
+ * Wrap the data key with a key derived from a passkey's PRF output
+ * @param {CryptoKey} dataKey - Key from generateDataKey
+ * @param {ArrayBuffer|Uint8Array} prfOutput - WebAuthn PRF result for this passkey
+ * @returns {Promise<{salt: string, wrappedKey: string}>}
+ */
+export async function wrapKeyWithPrf(dataKey, prfOutput) {
+  const salt = crypto.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const wrappingKey = await derivePrfWrappingKey(prfOutput, salt);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+
+  return {
+    salt: bytesToBase64(salt),
+    wrappedKey: bytesToBase64(wrappedKey),
+  };
+}
+
+/**
+ * Recover the data key from the output of wrapKeyWithPrf
+ * @param {{salt: string, wrappedKey: string}} prfKey - Output of wrapKeyWithPrf
+ * @param {ArrayBuffer|Uint8Array} prfOutput - WebAuthn PRF result for the same passkey and salt
+ * @returns {Promise<CryptoKey>}
+ */
+export async function unwrapKeyWithPrf(prfKey, prfOutput) {
+  if (!prfKey || !prfKey.salt || !prfKey.wrappedKey) {
+    throw new Error('Invalid wrapped key');
+  }
+
+  const wrappingKey = await derivePrfWrappingKey(prfOutput, base64ToBytes(prfKey.salt));
+
+  try {
+    return await unwrapDataKey(prfKey.wrappedKey, wrappingKey);
+  } catch (_error) {
+    throw new Error('This passkey can no longer unlock the app');
+  }
+}
+
+/**
+ * Encrypt a string with an in-memory AES-GCM key (e.g. the app lock data key)
+ * @param {string} plaintext - Data to encrypt
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<{iv: string, ciphertext: string}>}
+ */
+export async function encryptWithKey(plaintext, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext),
+  };
+}
+
+/**
+ * Decrypt data produced by encryptWithKey
+ * @param {{iv: string, ciphertext: string}} encryptedData - Output of encryptWithKey
+ * @param {CryptoKey} key - The key used to encrypt
+ * @returns {Promise<string>}
+ */
+export async function decryptWithKey(encryptedData, key) {
+  if (!encryptedData || !encryptedData.iv || !encryptedData.ciphertext) {
+    throw new Error('Invalid encrypted data');
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(encryptedData.iv) },
+    key,
+    base64ToBytes(encryptedData.ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Encrypt binary data with an in-memory AES-GCM key. Unlike encryptWithKey,
+ * the result stays binary, for IndexedDB (images, voice recordings).
+ * @param {ArrayBuffer|Uint8Array} bytes - Data to encrypt
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<{iv: Uint8Array, ciphertext: ArrayBuffer}>}
+ */
+export async function encryptBytesWithKey(bytes, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv, ciphertext };
+}
+
+/**
+ * Decrypt data produced by encryptBytesWithKey
+ * @param {{iv: Uint8Array, ciphertext: ArrayBuffer}} encryptedData
+ * @param {CryptoKey} key - The key used to encrypt
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function decryptBytesWithKey(encryptedData, key) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: encryptedData.iv }, key, encryptedData.ciphertext);
+}
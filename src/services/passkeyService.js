@@ -0,0 +1,112 @@
+/**
+ * Passkey Service
+ * WebAuthn ceremonies for unlocking the app with a platform authenticator
+ * (Face ID, Touch ID, Android screen lock, Windows Hello).
+ *
+ * There is no server to verify assertions, so a passkey on its own proves
+ * nothing. What makes it a real lock is the PRF extension: the authenticator
+ * returns a secret that only exists after user verification, and that secret
+ * is what unwraps the app lock data key (see cryptoService.wrapKeyWithPrf).
+ */
+
+import { bytesToBase64, base64ToBytes } from './cryptoService';
+
+const RP_NAME = 'm-session';
+const PRF_SALT_BYTES = 32;
+
+// ES256 and RS256 cover every platform authenticator in use
+const PUB_KEY_CRED_PARAMS = [
+  { type: 'public-key', alg: -7 },
+  { type: 'public-key', alg: -257 },
+];
+
+/**
+ * Whether this browser can offer passkey unlock at all
+ * PRF support can only be confirmed by registering, so this is a first filter.
+ * @returns {Promise<boolean>}
+ */
+export async function isPasskeyAvailable() {
+  if (typeof window === 'undefined' || !window.PublicKeyCredential || !navigator.credentials) {
+    return false;
+  }
+  try {
+    return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Run a get() ceremony and return the PRF output for the given salt
+ */
+async function evaluatePrf(credentialId, prfSalt) {
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      allowCredentials: [{ type: 'public-key', id: credentialId }],
+      userVerification: 'required',
+      extensions: { prf: { eval: { first: prfSalt } } },
+    },
+  });
+
+  const prfOutput = assertion?.getClientExtensionResults?.().prf?.results?.first;
+  if (!prfOutput) {
+    throw new Error('This passkey does not support unlocking the app');
+  }
+  return prfOutput;
+}
+
+/**
+ * Register a new platform passkey and evaluate its PRF once
+ * Asks for user verification twice on most devices: once to create the
+ * passkey and once to read the secret it derives.
+ * @returns {Promise<{credentialId: string, prfSalt: string, prfOutput: ArrayBuffer}>}
+ * @throws {Error} If the user cancels or the authenticator lacks PRF support
+ */
+export async function registerPasskey() {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { name: RP_NAME },
+      user: {
+        id: crypto.getRandomValues(new Uint8Array(16)),
+        name: 'App lock',
+        displayName: 'App lock',
+      },
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      pubKeyCredParams: PUB_KEY_CRED_PARAMS,
+      authenticatorSelection: {
+        authenticatorAttachment: 'platform',
+        userVerification: 'required',
+        residentKey: 'discouraged',
+      },
+      extensions: { prf: {} },
+    },
+  });
+
+  if (!credential) {
+    throw new Error('Passkey setup was cancelled');
+  }
+  if (!credential.getClientExtensionResults?.().prf?.enabled) {
+    throw new Error('This device\'s passkeys cannot unlock the app. Use your PIN instead.');
+  }
+
+  const credentialId = new Uint8Array(credential.rawId);
+  const prfSalt = crypto.getRandomValues(new Uint8Array(PRF_SALT_BYTES));
+  const prfOutput = await evaluatePrf(credentialId, prfSalt);
+
+  return {
+    credentialId: bytesToBase64(credentialId),
+    prfSalt: bytesToBase64(prfSalt),
+    prfOutput,
+  };
+}
+
+/**
+ * Ask the passkey for its PRF output, prompting for Face ID / fingerprint / device PIN
+ * @param {string} credentialId - base64 credential ID from registerPasskey
+ * @param {string} prfSalt - base64 salt from registerPasskey
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function getPasskeyPrf(credentialId, prfSalt) {
+  return evaluatePrf(base64ToBytes(credentialId), base64ToBytes(prfSalt));
+}
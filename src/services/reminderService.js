@@ -0,0 +1,179 @@
+/**
+ * Reminder Service
+ *
+ * Delivers the reminder schedule from utils/reminderSchedule.js as system
+ * notifications, using the best mechanism the browser offers:
+ *
+ * - 'scheduled': Notification Triggers. Each reminder is handed to the
+ *   service worker up front with a TimestampTrigger, so it fires even if the
+ *   app is closed. Stale ones are cancelled on every sync.
+ * - 'background': the schedule is posted to the service worker
+ *   (public/reminder-sw.js), which shows due reminders on periodic
+ *   background sync. Periodic sync timing is up to the browser, so the page
+ *   also asks the worker to check at each reminder time while it's alive.
+ * - 'open-app': no Notification Triggers or periodic sync. Reminders fire
+ *   from page timers (through the worker when there is one) only while the
+ *   app stays open in the background.
+ *
+ * Every sync replaces the previous schedule — callers re-sync on state
+ * changes and when the app resumes, which is what reconciles missed or
+ * outdated reminders.
+ */
+
+const REMINDER_SYNC_TAG = 'm-session-reminders'; // Must match public/reminder-sw.js
+const PERIODIC_SYNC_MIN_INTERVAL_MS = 15 * 60 * 1000;
+const REMINDER_ICON = `${import.meta.env.BASE_URL}pwa-192x192.png`;
+
+// Page timers only cover the near future; later reminders are picked up
+// by the next sync (state change or resume)
+const PAGE_TIMER_HORIZON_MS = 6 * 60 * 60 * 1000;
+
+let pageTimers = [];
+
+// Bumped by every sync. Syncs can overlap (a state change and a resume), and
+// only the latest may set page timers, or each reminder would fire twice.
+let syncGeneration = 0;
+
+function clearPageTimers() {
+  pageTimers.forEach(clearTimeout);
+  pageTimers = [];
+}
+
+export function supportsNotificationTriggers() {
+  return typeof Notification !== 'undefined'
+    && 'showTrigger' in Notification.prototype
+    && typeof window.TimestampTrigger === 'function';
+}
+
+function supportsPeriodicSync() {
+  return typeof ServiceWorkerRegistration !== 'undefined'
+    && 'periodicSync' in ServiceWorkerRegistration.prototype;
+}
+
+/**
+ * How reminders will reach this device
+ * @returns {'scheduled'|'background'|'open-app'}
+ */
+export function getReminderDeliveryMode() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return 'open-app';
+  if (supportsNotificationTriggers()) return 'scheduled';
+  if (supportsPeriodicSync()) return 'background';
+  return 'open-app';
+}
+
+export function canShowNotifications() {
+  return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+async function getRegistration() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return (await navigator.serviceWorker.getRegistration()) || null;
+  } catch {
+    return null;
+  }
+}
+
+function toNotificationOptions(reminder) {
+  return {
+    body: reminder.body,
+    tag: reminder.tag,
+    icon: REMINDER_ICON,
+    data: { reminderId: reminder.id, fireAt: reminder.fireAt },
+  };
+}
+
+async function syncTriggeredNotifications(registration, reminders, now) {
+  const existing = await registration.getNotifications({ includeTriggered: true });
+  const wantedIds = new Set(reminders.map((r) => r.id));
+  const scheduledIds = new Set();
+
+  for (const notification of existing) {
+    const { reminderId, fireAt } = notification.data || {};
+    if (!reminderId || fireAt <= now) continue; // Not ours, or already shown
+    if (wantedIds.has(reminderId)) scheduledIds.add(reminderId);
+    else notification.close(); // Cancels a pending trigger
+  }
+
+  await Promise.all(reminders
+    .filter((reminder) => !scheduledIds.has(reminder.id))
+    .map((reminder) => registration.showNotification(reminder.title, {
+      ...toNotificationOptions(reminder),
+      showTrigger: new window.TimestampTrigger(reminder.fireAt),
+    })));
+}
+
+async function syncBackgroundSchedule(registration, reminders, now, generation) {
+  const worker = registration.active;
+  worker?.postMessage({
+    type: 'reminders:schedule',
+    reminders: reminders.map((r) => ({ ...r, icon: REMINDER_ICON })),
+  });
+
+  if (supportsPeriodicSync()) {
+    try {
+      if (reminders.length > 0) {
+        await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: PERIODIC_SYNC_MIN_INTERVAL_MS });
+      } else {
+        await registration.periodicSync.unregister(REMINDER_SYNC_TAG);
+      }
+    } catch (error) {
+      // Periodic sync needs an installed app and a granted permission
+      console.warn('[Reminders] Periodic sync unavailable:', error?.message);
+    }
+  }
+
+  if (generation !== syncGeneration) return;
+  for (const reminder of reminders) {
+    if (reminder.fireAt - now > PAGE_TIMER_HORIZON_MS) break;
+    pageTimers.push(setTimeout(() => {
+      registration.active?.postMessage({ type: 'reminders:check' });
+    }, reminder.fireAt - now));
+  }
+}
+
+function syncPageTimers(reminders, now, generation) {
+  if (generation !== syncGeneration) return;
+  for (const reminder of reminders) {
+    if (reminder.fireAt - now > PAGE_TIMER_HORIZON_MS) break;
+    pageTimers.push(setTimeout(() => {
+      if (!canShowNotifications()) return;
+      try {
+        new Notification(reminder.title, toNotificationOptions(reminder));
+      } catch {
+        // Notification may fail in some contexts; non-critical
+      }
+    }, reminder.fireAt - now));
+  }
+}
+
+/**
+ * Replace the scheduled reminders with this list
+ * @param {Array} reminders - From buildReminderSchedule(), sorted by fireAt
+ * @returns {Promise<'scheduled'|'background'|'open-app'>} The delivery mode used
+ */
+export async function syncReminders(reminders) {
+  const now = Date.now();
+  const upcoming = canShowNotifications() ? reminders.filter((r) => r.fireAt > now) : [];
+  const generation = ++syncGeneration;
+  clearPageTimers();
+  const registration = await getRegistration();
+
+  try {
+    if (registration && supportsNotificationTriggers()) {
+      await syncTriggeredNotifications(registration, upcoming, now);
+      return 'scheduled';
+    }
+    if (registration) {
+      // Without periodic sync this still delivers through the worker while
+      // the page is alive — some browsers only allow notifications from there
+      await syncBackgroundSchedule(registration, upcoming, now, generation);
+      return supportsPeriodicSync() ? 'background' : 'open-app';
+    }
+  } catch (error) {
+    console.warn('[Reminders] Failed to schedule through the service worker:', error?.message);
+  }
+
+  syncPageTimers(upcoming, now, generation);
+  return 'open-app';
+}
@@ -0,0 +1,107 @@
+/**
+ * Tests for session archive image and voice memo ownership
+ * IndexedDB isn't available in jsdom, so the blob move helpers are mocked.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../../utils/imageStorage', () => ({
+  archiveImages: vi.fn(async () => {}),
+  restoreArchivedImages: vi.fn(async () => {}),
+  deleteArchivedImages: vi.fn(async () => {}),
+  deleteImage: vi.fn(async () => {}),
+}))
+
+vi.mock('../../utils/audioMemoStorage', () => ({
+  archiveAudioMemos: vi.fn(async () => {}),
+  restoreArchivedAudioMemos: vi.fn(async () => {}),
+  deleteArchivedAudioMemos: vi.fn(async () => {}),
+  deleteAudioMemo: vi.fn(async () => {}),
+}))
+
+import { archiveImages, restoreArchivedImages, deleteArchivedImages } from '../../utils/imageStorage'
+import { archiveAudioMemos, restoreArchivedAudioMemos, deleteArchivedAudioMemos } from '../../utils/audioMemoStorage'
+import { useSessionHistoryStore } from '../useSessionHistoryStore'
+import { useSessionStore } from '../useSessionStore'
+import { useJournalStore } from '../useJournalStore'
+
+describe('useSessionHistoryStore journal images', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useSessionHistoryStore.setState({ sessions: [] })
+    useJournalStore.getState().clearAllEntries()
+    useSessionStore.getState().resetSession()
+  })
+
+  it('moves image entries into the archive namespace on archive', () => {
+    useSessionStore.setState({ sessionId: 'session-a', sessionPhase: 'active' })
+    const withImage = useJournalStore.getState().addEntry({ content: 'compass', hasImage: true })
+    useJournalStore.getState().addEntry({ content: 'text only' })
+
+    useSessionHistoryStore.getState().archiveAndReset()
+
+    expect(archiveImages).toHaveBeenCalledWith('session-a', [withImage.id])
+    expect(useJournalStore.getState().entries).toHaveLength(0)
+  })
+
+  it('restores the target archive images on load', () => {
+    useSessionStore.setState({ sessionId: 'session-a', sessionPhase: 'active' })
+    const entry = useJournalStore.getState().addEntry({ content: 'graph', hasImage: true })
+    useSessionHistoryStore.getState().archiveAndReset()
+
+    useSessionHistoryStore.getState().loadSession('session-a')
+
+    expect(restoreArchivedImages).toHaveBeenCalledWith('session-a', [entry.id])
+    expect(useJournalStore.getState().entries[0].id).toBe(entry.id)
+  })
+
+  it('garbage-collects images when an archive is deleted', () => {
+    useSessionStore.setState({ sessionId: 'session-a', sessionPhase: 'active' })
+    useSessionHistoryStore.getState().archiveAndReset()
+
+    useSessionHistoryStore.getState().deleteSession('session-a')
+
+    expect(deleteArchivedImages).toHaveBeenCalledWith('session-a')
+    expect(useSessionHistoryStore.getState().sessions).toHaveLength(0)
+  })
+
+  it('moves voice memos with their archive', () => {
+    useSessionStore.setState({ sessionId: 'session-a', sessionPhase: 'active' })
+    const memo = useJournalStore.getState().addEntry({ content: 'spoken', audio: { duration: 3, type: 'audio/webm' } })
+    useJournalStore.getState().addEntry({ content: 'text only' })
+
+    useSessionHistoryStore.getState().archiveAndReset()
+    expect(archiveAudioMemos).toHaveBeenCalledWith('session-a', [memo.id])
+
+    useSessionHistoryStore.getState().loadSession('session-a')
+    expect(restoreArchivedAudioMemos).toHaveBeenCalledWith('session-a', [memo.id])
+
+    useSessionStore.setState({ sessionId: 'session-a', sessionPhase: 'active' })
+    useSessionHistoryStore.getState().archiveAndReset()
+    useSessionHistoryStore.getState().deleteSession('session-a')
+    expect(deleteArchivedAudioMemos).toHaveBeenCalledWith('session-a')
+  })
+
+  it('flags v1 archives in migrate without touching IndexedDB', () => {
+    const { migrate, partialize } = useSessionHistoryStore.persist.getOptions()
+    const sessions = [{ sessionId: 'old-session', journalEntries: [{ id: 'e1', hasImage: true }] }]
+
+    expect(migrate({ sessions }, 1)).toEqual({ sessions, hasOrphanedArchiveBlobs: true })
+    expect(migrate({ sessions }, 2)).toEqual({ sessions })
+    expect(archiveImages).not.toHaveBeenCalled()
+    expect(partialize({ sessions, hasOrphanedArchiveBlobs: true })).toEqual({ sessions })
+  })
+
+  it('re-associates orphaned images for v1 archives after hydration', async () => {
+    const sessions = [{
+      sessionId: 'old-session',
+      journalEntries: [{ id: 'e1', hasImage: true }, { id: 'e2', hasImage: false }],
+    }]
+    localStorage.setItem('mdma-guide-session-history', JSON.stringify({ state: { sessions }, version: 1 }))
+
+    await useSessionHistoryStore.persist.rehydrate()
+    expect(archiveImages).toHaveBeenCalledWith('old-session', ['e1'])
+    expect(useSessionHistoryStore.getState().hasOrphanedArchiveBlobs).toBe(false)
+    localStorage.removeItem('mdma-guide-session-history')
+  })
+})
@@ -6,6 +6,8 @@
 import { describe, it, expect } from 'vitest'
 import { useAppStore } from '../useAppStore'
 import { useToolsStore } from '../useToolsStore'
+import { useJournalStore } from '../useJournalStore'
+import { useAIStore } from '../useAIStore'
 
 describe('useAppStore', () => {
   it('initializes with expected defaults', () => {
@@ -62,3 +64,74 @@ describe('useToolsStore', () => {
     expect(useToolsStore.getState().openTools).not.toContain('breath')
   })
 })
+
+describe('useAIStore', () => {
+  it('keeps the sent payload in memory but not in saved conversations', () => {
+    const messages = [
+      { id: 'u1', role: 'user', content: 'hi' },
+      { id: 'a1', role: 'assistant', content: 'hello' },
+    ]
+    useAIStore.setState({ conversations: [{ id: 'c1', messages }] })
+    useAIStore.getState().setMessageSent('u1', { content: 'hi', systemPrompt: 'journal context', redactionCount: 0, redacted: true })
+    expect(useAIStore.getState().conversations[0].messages[0].sent.systemPrompt).toBe('journal context')
+
+    const { partialize, migrate } = useAIStore.persist.getOptions()
+    const saved = partialize(useAIStore.getState())
+    expect(saved.conversations[0].messages[0]).toEqual({ id: 'u1', role: 'user', content: 'hi' })
+
+    const migrated = migrate({ conversations: [{ id: 'c1', messages: [{ id: 'u1', sent: { systemPrompt: 'old' } }] }] }, 2)
+    expect(migrated.conversations[0].messages[0].sent).toBeUndefined()
+
+    useAIStore.setState({ conversations: [] })
+  })
+})
+
+describe('useJournalStore search', () => {
+  it('tags entries and reuses the index until a source changes', () => {
+    const store = useJournalStore.getState()
+    store.clearAllEntries()
+    const entry = store.addEntry({ content: 'Morning walk' })
+    useJournalStore.getState().setEntryTags(entry.id, [' #Nature ', 'nature', ''])
+    expect(useJournalStore.getState().getEntryById(entry.id).tags).toEqual(['nature'])
+
+    const archives = []
+    const first = useJournalStore.getState().searchJournal('nature', {}, { archives })
+    expect(first.results.map((d) => d.entry.id)).toEqual([entry.id])
+    expect(useJournalStore.getState().searchJournal('walk', {}, { archives }).index).toBe(first.index)
+
+    useJournalStore.getState().addEntry({ content: 'Evening walk' })
+    expect(useJournalStore.getState().searchJournal('walk', {}, { archives }).results).toHaveLength(2)
+  })
+})
+
+describe('useJournalStore revisions', () => {
+  it('keeps the original through edits, restores it and forks it', () => {
+    const store = useJournalStore.getState()
+    store.clearAllEntries()
+    const entry = store.addEntry({ content: 'Everything is light', source: 'session' })
+    useJournalStore.getState().updateEntry(entry.id, 'Everything is bright')
+    useJournalStore.getState().updateEntry(entry.id, 'Everything is fine')
+
+    const edited = useJournalStore.getState().getEntryById(entry.id)
+    expect(edited.revisions.map((r) => r.content)).toEqual(['Everything is light'])
+
+    useJournalStore.getState().restoreRevision(entry.id, 0)
+    const restored = useJournalStore.getState().getEntryById(entry.id)
+    expect(restored.content).toBe('Everything is light')
+    expect(restored.revisions.map((r) => r.content)).toEqual(['Everything is light', 'Everything is fine'])
+
+    const copy = useJournalStore.getState().forkRevision(entry.id, 1)
+    expect(copy.content).toBe('Everything is fine')
+    expect(copy.source).toBe('manual')
+    expect(copy.revisions).toEqual([])
+    expect(useJournalStore.getState().entries).toHaveLength(2)
+  })
+
+  it('skips the log for app rewrites', () => {
+    const store = useJournalStore.getState()
+    store.clearAllEntries()
+    const entry = store.addEntry({ content: 'Intention' })
+    useJournalStore.getState().updateEntry(entry.id, 'PRE-SESSION\n\nIntention', { revision: false })
+    expect(useJournalStore.getState().getEntryById(entry.id).revisions).toEqual([])
+  })
+})
@@ -4,8 +4,10 @@
  */
 
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { persist, createJSONStorage } from 'zustand/middleware';
 import { encryptApiKey, decryptApiKey, hasEncryptedKey } from '../services/cryptoService';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
 
 // Helper to generate unique IDs
 const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
@@ -18,19 +20,34 @@ const generateTitle = (content) => {
   return cleaned.slice(0, maxLength) + '...';
 };
 
+// The "what was sent" payload repeats the whole system prompt (with journal
+// and session context) on every user message, so it stays in memory only
+const withoutSentPayloads = (conversations) =>
+  conversations.map((conv) =>
+    conv.messages.some((m) => m.sent)
+      ? { ...conv, messages: conv.messages.map(({ sent: _sent, ...message }) => message) }
+      : conv
+  );
+
 export const useAIStore = create(
   persist(
     (set, get) => ({
       // ============================================
       // API CONFIGURATION
       // ============================================
-      provider: null, // 'anthropic' | 'openai'
+      provider: null, // 'anthropic' | 'openai' | 'openrouter' | 'custom'
       encryptedApiKey: null, // { iv: string, ciphertext: string }
       apiKeySavedAt: null, // Timestamp for expiration tracking
       isKeyValid: false,
       isValidating: false,
       validationError: null,
 
+      // Self-hosted OpenAI-compatible server (provider 'custom')
+      customEndpoint: {
+        baseUrl: '', // e.g. 'http://192.168.1.20:11434'
+        models: [], // Model ids from /v1/models, refreshed on validation
+      },
+
       // ============================================
       // SETTINGS
       // ============================================
@@ -38,6 +55,8 @@ export const useAIStore = create(
         persistConversations: true,
         keyExpirationHours: 24, // 12, 24, 48, 168 (week), 0 (never)
         modelPreference: 'default', // 'default' | specific model names
+        enableActions: true, // Let the assistant propose actions (see utils/assistantTools.js)
+        redactPersonalInfo: true, // Swap names, numbers and places for placeholders (see utils/piiRedaction.js)
       },
 
       // ============================================
@@ -57,6 +76,7 @@ export const useAIStore = create(
       // ============================================
       isGenerating: false,
       streamBuffer: '',
+      streamToolCalls: [], // Actions proposed during the current response
       currentError: null,
       lastFailedMessage: null, // For retry functionality
       abortController: null, // For canceling streaming
@@ -181,6 +201,14 @@ export const useAIStore = create(
           isValidating: false,
         }),
 
+      /**
+       * Update the custom endpoint address and/or discovered models
+       */
+      setCustomEndpoint: (updates) =>
+        set((state) => ({
+          customEndpoint: { ...state.customEndpoint, ...updates },
+        })),
+
       // ============================================
       // SETTINGS ACTIONS
       // ============================================
@@ -214,6 +242,7 @@ export const useAIStore = create(
           createdAt: Date.now(),
           updatedAt: Date.now(),
           messages: [],
+          redactions: [], // [value, placeholder] pairs, stable across turns
         };
 
         set((state) => ({
@@ -270,14 +299,15 @@ export const useAIStore = create(
 
       /**
        * Add a message to the active conversation
+       * @param {object} [extras] - Extra message fields, e.g. { toolCalls }
        */
-      addMessage: (role, content) => {
+      addMessage: (role, content, extras = {}) => {
         const { activeConversationId } = get();
 
         if (!activeConversationId) {
           get().createConversation();
           // Recursively add the message to the new conversation
-          get().addMessage(role, content);
+          get().addMessage(role, content, extras);
           return;
         }
 
@@ -286,6 +316,7 @@ export const useAIStore = create(
           role, // 'user' | 'assistant'
           content,
           timestamp: Date.now(),
+          ...extras,
         };
 
         set((state) => ({
@@ -321,6 +352,7 @@ export const useAIStore = create(
         set({
           isGenerating: true,
           streamBuffer: '',
+          streamToolCalls: [],
           currentError: null,
           abortController,
         }),
@@ -333,19 +365,33 @@ export const useAIStore = create(
           streamBuffer: state.streamBuffer + chunk,
         })),
 
+      /**
+       * Collect an action proposed during the current response
+       * @param {{ id, name, input, status, error? }} toolCall
+       */
+      appendToolCall: (toolCall) =>
+        set((state) => ({
+          streamToolCalls: [...state.streamToolCalls, toolCall],
+        })),
+
       /**
        * Finalize the stream and add to conversation
        */
       finalizeStream: () => {
-        const { streamBuffer } = get();
-
-        if (streamBuffer) {
-          get().addMessage('assistant', streamBuffer);
+        const { streamBuffer, streamToolCalls } = get();
+
+        if (streamBuffer || streamToolCalls.length > 0) {
+          get().addMessage(
+            'assistant',
+            streamBuffer,
+            streamToolCalls.length > 0 ? { toolCalls: streamToolCalls } : {}
+          );
         }
 
         set({
           isGenerating: false,
           streamBuffer: '',
+          streamToolCalls: [],
           lastFailedMessage: null, // Clear on success
           abortController: null,
         });
@@ -358,6 +404,7 @@ export const useAIStore = create(
         set({
           isGenerating: false,
           streamBuffer: '',
+          streamToolCalls: [],
           currentError: error,
           lastFailedMessage: failedMessage,
           abortController: null,
@@ -381,11 +428,63 @@ export const useAIStore = create(
         set({
           isGenerating: false,
           streamBuffer: '',
+          streamToolCalls: [],
           abortController: null,
           currentError: null,
         });
       },
 
+      /**
+       * Record the outcome of a proposed action (confirmed, dismissed, failed)
+       */
+      resolveToolCall: (messageId, toolCallId, updates) =>
+        set((state) => ({
+          conversations: state.conversations.map((conv) => {
+            if (!conv.messages.some((m) => m.id === messageId)) return conv;
+            return {
+              ...conv,
+              messages: conv.messages.map((message) => {
+                if (message.id !== messageId || !message.toolCalls) return message;
+                return {
+                  ...message,
+                  toolCalls: message.toolCalls.map((call) =>
+                    call.id === toolCallId ? { ...call, ...updates } : call
+                  ),
+                };
+              }),
+            };
+          }),
+        })),
+
+      /**
+       * Remember the placeholders used in a conversation so later turns reuse them
+       * @param {Array<[string, string]>} redactions - from redactor.getEntries()
+       */
+      setConversationRedactions: (conversationId, redactions) =>
+        set((state) => ({
+          conversations: state.conversations.map((conv) =>
+            conv.id === conversationId ? { ...conv, redactions } : conv
+          ),
+        })),
+
+      /**
+       * Record exactly what went to the provider for a user message, for the
+       * "what was sent" inspector. Not persisted: it's gone after a reload.
+       * @param {{ content: string, systemPrompt: string, redactionCount: number, redacted: boolean }} sent
+       */
+      setMessageSent: (messageId, sent) =>
+        set((state) => ({
+          conversations: state.conversations.map((conv) => {
+            if (!conv.messages.some((m) => m.id === messageId)) return conv;
+            return {
+              ...conv,
+              messages: conv.messages.map((message) =>
+                message.id === messageId ? { ...message, sent } : message
+              ),
+            };
+          }),
+        })),
+
       /**
        * Clear current error
        */
@@ -433,10 +532,13 @@ export const useAIStore = create(
           isKeyValid: false,
           isValidating: false,
           validationError: null,
+          customEndpoint: { baseUrl: '', models: [] },
           settings: {
             persistConversations: true,
             keyExpirationHours: 24,
             modelPreference: 'default',
+            enableActions: true,
+            redactPersonalInfo: true,
           },
           isModalOpen: false,
           hasShownSecurityNotice: false,
@@ -444,23 +546,30 @@ export const useAIStore = create(
           activeConversationId: null,
           isGenerating: false,
           streamBuffer: '',
+          streamToolCalls: [],
           currentError: null,
         });
       },
     }),
     {
       name: 'mdma-guide-ai-state',
-      version: 1,
+      version: 3,
+      // Conversations quote the journal and session, so they're locked with them
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
       partialize: (state) => ({
         // Persist these fields
         provider: state.provider,
+        customEndpoint: state.customEndpoint,
         encryptedApiKey: state.encryptedApiKey,
         apiKeySavedAt: state.apiKeySavedAt,
         isKeyValid: state.isKeyValid,
         settings: state.settings,
         hasShownSecurityNotice: state.hasShownSecurityNotice,
         // Only persist conversations if setting is enabled
-        conversations: state.settings.persistConversations ? state.conversations : [],
+        conversations: state.settings.persistConversations
+          ? withoutSentPayloads(state.conversations)
+          : [],
         activeConversationId: state.settings.persistConversations
           ? state.activeConversationId
           : null,
@@ -471,8 +580,20 @@ export const useAIStore = create(
         if (version < 1) {
           return undefined; // Reset on version mismatch
         }
+        if (version < 2) {
+          persistedState = { ...persistedState, customEndpoint: { baseUrl: '', models: [] } };
+        }
+        if (version < 3) {
+          // Drop sent payloads saved before they were kept in memory only
+          persistedState = {
+            ...persistedState,
+            conversations: withoutSentPayloads(persistedState.conversations || []),
+          };
+        }
         return persistedState;
       },
     }
   )
 );
+
+registerLockedStore(useAIStore);
@@ -0,0 +1,242 @@
+/**
+ * App Lock Store
+ * Manages: the optional PIN / passkey lock, its auto-lock timeout, and the
+ * wrapped data key that encrypts the user-data stores (journal, session,
+ * history, AI assistant, custom meditations, voice recordings) and the
+ * IndexedDB images, voice memos and voice clips.
+ *
+ * Persisted in plaintext (it has to be readable before unlocking). Nothing
+ * here is secret: the data key is only ever stored wrapped by the PIN and,
+ * optionally, by a passkey's PRF output — see cryptoService.
+ *
+ * isLocked and hasUnlocked are transient. hasUnlocked turns true once the
+ * data stores have been hydrated with the key; until then the app renders
+ * only the lock screen.
+ */
+
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import {
+  generateDataKey,
+  wrapKeyWithPin,
+  unwrapKeyWithPin,
+  wrapKeyWithPrf,
+  unwrapKeyWithPrf,
+} from '../services/cryptoService';
+import { registerPasskey, getPasskeyPrf } from '../services/passkeyService';
+import {
+  setEncryptionRequired,
+  setStorageKey,
+  getStorageKey,
+  unlockLockedStores,
+  rewriteLockedStores,
+  flushEncryptedStorage,
+  clearLockedStores,
+} from '../utils/encryptedStorage';
+
+export const PIN_MIN_LENGTH = 6;
+export const PIN_MAX_LENGTH = 12;
+
+// Minutes in the background before the app locks again. null = only on launch.
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 60, null];
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// Wrong-PIN backoff: free attempts, then a lockout that doubles each time
+const FREE_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_BASE_MS = 30000;
+
+/**
+ * Check a PIN against the allowed format
+ * @param {string} pin
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePin(pin) {
+  if (!/^\d+$/.test(pin || '')) return 'Use digits only';
+  if (pin.length < PIN_MIN_LENGTH) return `Use at least ${PIN_MIN_LENGTH} digits`;
+  if (pin.length > PIN_MAX_LENGTH) return `Use at most ${PIN_MAX_LENGTH} digits`;
+  return null;
+}
+
+export const useAppLockStore = create(
+  persist(
+    (set, get) => {
+      // Hydrate the data stores and clear failed attempts
+      const unlockWithKey = async (key) => {
+        await unlockLockedStores(key);
+        set({ isLocked: false, hasUnlocked: true, failedAttempts: 0, lockoutUntil: null });
+      };
+
+      return {
+        // ============================================
+        // PERSISTED CONFIG
+        // ============================================
+        enabled: false,
+        pinKey: null, // Output of wrapKeyWithPin
+        passkey: null, // { credentialId, prfSalt, salt, wrappedKey }
+        autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+        failedAttempts: 0,
+        lockoutUntil: null, // ms timestamp; PIN entry is refused until then
+
+        // ============================================
+        // TRANSIENT STATE
+        // ============================================
+        isLocked: false,
+        hasUnlocked: false,
+
+        // ============================================
+        // SETUP
+        // ============================================
+
+        /**
+         * Turn the lock on and re-save the data stores encrypted
+         * The config is saved before the data is encrypted, so an interruption
+         * leaves plaintext data behind a lock rather than encrypted data with
+         * no way to unlock it.
+         */
+        enableLock: async (pin) => {
+          const pinError = validatePin(pin);
+          if (pinError) throw new Error(pinError);
+
+          const dataKey = await generateDataKey();
+          const pinKey = await wrapKeyWithPin(dataKey, pin);
+          setStorageKey(dataKey);
+          set({ enabled: true, pinKey, passkey: null, isLocked: false, hasUnlocked: true });
+          setEncryptionRequired(true);
+          await rewriteLockedStores();
+        },
+
+        /**
+         * Turn the lock off and re-save the data stores in plaintext
+         * Opposite order to enableLock, for the same reason.
+         * @throws {Error} 'Incorrect PIN'
+         */
+        disableLock: async (pin) => {
+          await unwrapKeyWithPin(get().pinKey, pin);
+          setEncryptionRequired(false);
+          await rewriteLockedStores();
+          set({ enabled: false, pinKey: null, passkey: null, isLocked: false, failedAttempts: 0, lockoutUntil: null });
+          setStorageKey(null);
+        },
+
+        changePin: async (currentPin, newPin) => {
+          const pinError = validatePin(newPin);
+          if (pinError) throw new Error(pinError);
+
+          const dataKey = await unwrapKeyWithPin(get().pinKey, currentPin);
+          set({ pinKey: await wrapKeyWithPin(dataKey, newPin) });
+        },
+
+        /**
+         * Register a platform passkey and wrap the data key with its PRF output
+         * Only possible while unlocked, since it needs the data key in memory.
+         */
+        addPasskey: async () => {
+          const dataKey = getStorageKey();
+          if (!get().enabled || !dataKey) throw new Error('Unlock the app first');
+
+          const { credentialId, prfSalt, prfOutput } = await registerPasskey();
+          const wrapped = await wrapKeyWithPrf(dataKey, prfOutput);
+          set({ passkey: { credentialId, prfSalt, ...wrapped } });
+        },
+
+        removePasskey: () => set({ passkey: null }),
+
+        setAutoLockMinutes: (minutes) => set({ autoLockMinutes: minutes }),
+
+        // ============================================
+        // LOCK / UNLOCK
+        // ============================================
+
+        /**
+         * @throws {Error} 'Incorrect PIN', or a wait message while locked out
+         */
+        unlockWithPin: async (pin) => {
+          const { pinKey, lockoutUntil, failedAttempts } = get();
+          if (lockoutUntil && Date.now() < lockoutUntil) {
+            throw new Error('Too many attempts. Try again shortly.');
+          }
+
+          let dataKey;
+          try {
+            dataKey = await unwrapKeyWithPin(pinKey, pin);
+          } catch (error) {
+            const attempts = failedAttempts + 1;
+            const overLimit = attempts - FREE_PIN_ATTEMPTS;
+            set({
+              failedAttempts: attempts,
+              lockoutUntil: overLimit >= 0 ? Date.now() + PIN_LOCKOUT_BASE_MS * 2 ** overLimit : null,
+            });
+            throw error;
+          }
+          await unlockWithKey(dataKey);
+        },
+
+        unlockWithPasskey: async () => {
+          const { passkey } = get();
+          if (!passkey) throw new Error('No passkey is set up');
+
+          const prfOutput = await getPasskeyPrf(passkey.credentialId, passkey.prfSalt);
+          await unlockWithKey(await unwrapKeyWithPrf(passkey, prfOutput));
+        },
+
+        /**
+         * Cover the app with the lock screen
+         * The data key stays in memory so saves (and any playing meditation)
+         * carry on underneath; the overlay is about who can see the screen.
+         */
+        lock: () => {
+          if (get().enabled) set({ isLocked: true });
+        },
+
+        /**
+         * Lock immediately and drop everything from memory
+         * Waits for pending encrypted saves, then reloads so the next screen
+         * is the launch lock screen with no decrypted data behind it.
+         */
+        panicLock: async () => {
+          if (!get().enabled) return;
+          set({ isLocked: true });
+          await flushEncryptedStorage();
+          window.location.reload();
+        },
+
+        /**
+         * Forgotten PIN: without it the data can't be decrypted, so erase it
+         * (stores and blobs alike) and turn the lock off
+         */
+        eraseLockedData: async () => {
+          await clearLockedStores();
+          setEncryptionRequired(false);
+          set({ enabled: false, pinKey: null, passkey: null, failedAttempts: 0, lockoutUntil: null });
+          window.location.reload();
+        },
+      };
+    },
+    {
+      name: 'mdma-guide-app-lock',
+      version: 1,
+      partialize: (state) => {
+        const { isLocked: _isLocked, hasUnlocked: _hasUnlocked, ...rest } = state;
+        return rest;
+      },
+      // Start locked whenever the saved config has the lock on
+      merge: (persistedState, currentState) => ({
+        ...currentState,
+        ...persistedState,
+        isLocked: !!persistedState?.enabled,
+      }),
+    }
+  )
+);
+
+// localStorage hydration is synchronous, so the saved config is already in
+// place here — before any data store reads it via isAppLockEnabled()
+setEncryptionRequired(useAppLockStore.getState().enabled);
+
+/**
+ * Whether the data stores should wait for the lock screen before hydrating
+ * @returns {boolean}
+ */
+export function isAppLockEnabled() {
+  return useAppLockStore.getState().enabled;
+}
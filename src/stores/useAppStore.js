@@ -6,6 +6,14 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 
+// Keys match REMINDER_TYPES in content/reminders.js
+const DEFAULT_REMINDER_PREFERENCES = {
+  hydration: false,
+  booster: false,
+  comeUpCheckIn: false,
+  followUp: false,
+};
+
 export const useAppStore = create(
   persist(
     (set) => ({
@@ -30,11 +38,28 @@ export const useAppStore = create(
         readableFont: true, // false = Azeret Mono caps, true = Lora readable serif
         fontSizeAdjustment: 0, // -1 | 0 | 1 | 2 — px shift applied to body text tokens
         defaultVoiceId: 'theo', // Preferred meditation voice for offline-cached assets
+        reminders: { ...DEFAULT_REMINDER_PREFERENCES }, // Per-type opt-in; only delivered while notificationsEnabled
+        soundscapeId: null, // Background track under meditations/timers (content/soundscapes.js); null = off
+        soundscapeVolumes: {}, // Per-module soundscape volume (0–1), keyed by library ID
       },
       setPreference: (key, value) =>
         set((state) => ({
           preferences: { ...state.preferences, [key]: value },
         })),
+      setReminderEnabled: (type, enabled) =>
+        set((state) => ({
+          preferences: {
+            ...state.preferences,
+            reminders: { ...state.preferences.reminders, [type]: enabled },
+          },
+        })),
+      setSoundscapeVolume: (moduleKey, volume) =>
+        set((state) => ({
+          preferences: {
+            ...state.preferences,
+            soundscapeVolumes: { ...state.preferences.soundscapeVolumes, [moduleKey]: volume },
+          },
+        })),
 
       // Dismissed banners (persisted so they don't reappear)
       dismissedBanners: {},
@@ -72,7 +97,7 @@ export const useAppStore = create(
     }),
     {
       name: 'mdma-guide-app-state',
-      version: 1,
+      version: 3,
       partialize: (state) => {
         const { showInstallPrompt: _showInstallPrompt, previewOverlay: _previewOverlay, logoAnimationTrigger: _logoAnimationTrigger, ...rest } = state;
         return rest;
@@ -86,6 +111,21 @@ export const useAppStore = create(
             defaultVoiceId: persistedState.preferences?.defaultVoiceId ?? 'theo',
           };
         }
+        if (version < 2) {
+          // v1 → v2: introduce preferences.reminders for per-type scheduled reminders
+          persistedState.preferences = {
+            ...(persistedState.preferences || {}),
+            reminders: { ...DEFAULT_REMINDER_PREFERENCES, ...(persistedState.preferences?.reminders || {}) },
+          };
+        }
+        if (version < 3) {
+          // v2 → v3: introduce the background soundscape preferences
+          persistedState.preferences = {
+            ...(persistedState.preferences || {}),
+            soundscapeId: persistedState.preferences?.soundscapeId ?? null,
+            soundscapeVolumes: persistedState.preferences?.soundscapeVolumes || {},
+          };
+        }
         return persistedState;
       },
     }
@@ -0,0 +1,16 @@
+/**
+ * Body Check Store
+ * Manages: open/closed state for the Body Check tracker (transient UI — not persisted)
+ *
+ * The BodyCheckModal is mounted in AppShell and triggered by the
+ * BodyCheckButton in the Header — same bridge as useHelperStore. The log
+ * itself lives in useSessionStore.bodyCheck so it's archived with the session.
+ */
+
+import { create } from 'zustand';
+
+export const useBodyCheckStore = create((set) => ({
+  isOpen: false,
+  openBodyCheck: () => set({ isOpen: true }),
+  closeBodyCheck: () => set({ isOpen: false }),
+}));
@@ -0,0 +1,55 @@
+/**
+ * Companion Store
+ * Manages: sitter/partner companion mode — this device's role and pairing
+ *
+ * role 'host'     — this device is running the session and shares it
+ * role 'follower' — this device follows someone else's session (sitter view)
+ *
+ * Only the role and pairing code are persisted so a reload resumes the same
+ * pairing. Connection status and the last received snapshot are transient;
+ * the connection itself lives in useCompanionConnection.
+ */
+
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { createPairing, parsePairingCode } from '../services/companionService';
+
+export const useCompanionStore = create(
+  persist(
+    (set) => ({
+      role: null,          // null | 'host' | 'follower'
+      pairingCode: null,
+
+      // Transient
+      status: 'idle',      // 'idle' | 'connecting' | 'connected' | 'ended' | 'error'
+      error: null,
+      snapshot: null,      // Follower: last snapshot received from the host
+      lastReceivedAt: null,
+
+      startSharing: () => {
+        const { code } = createPairing();
+        set({ role: 'host', pairingCode: code, status: 'connecting', error: null, snapshot: null });
+        return code;
+      },
+
+      /**
+       * @throws {Error} If the code is invalid
+       */
+      startFollowing: (code) => {
+        const pairing = parsePairingCode(code);
+        set({ role: 'follower', pairingCode: pairing.code, status: 'connecting', error: null, snapshot: null, lastReceivedAt: null });
+      },
+
+      stopCompanion: () => set({ role: null, pairingCode: null, status: 'idle', error: null, snapshot: null, lastReceivedAt: null }),
+
+      setStatus: (status, error = null) => set({ status, error }),
+
+      receiveSnapshot: (snapshot) => set({ snapshot, lastReceivedAt: Date.now(), status: 'connected', error: null }),
+    }),
+    {
+      name: 'mdma-guide-companion-state',
+      version: 1,
+      partialize: (state) => ({ role: state.role, pairingCode: state.pairingCode }),
+    }
+  )
+);
@@ -0,0 +1,108 @@
+/**
+ * Custom Meditation Store
+ * Manages: meditations the user writes themselves (persisted)
+ *
+ * Each draft is registered with the meditation content
+ * (content/meditations/customMeditations.js) so it plays through the same
+ * timed-sequence and MeditationSection path as the authored meditations,
+ * and with the module library as a user-library entry so it can be added to
+ * the timeline. Imported by App so the registration happens at startup.
+ */
+
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import {
+  CUSTOM_MEDITATION_PREFIX,
+  registerCustomMeditations,
+  getCustomMeditations,
+} from '../content/meditations/customMeditations';
+import { createCustomMeditationModule, registerUserModules } from '../content/modules/library';
+import { useVoiceRecordingStore } from './useVoiceRecordingStore';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
+
+// Helper to generate unique IDs
+const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+
+// Pause after a new line, in seconds
+const DEFAULT_PAUSE = 10;
+
+/**
+ * Build a prompt line for a draft
+ */
+export const createPromptLine = ({ text = '', baseSilenceAfter = DEFAULT_PAUSE, silenceExpandable = true } = {}) => ({
+  id: `line-${generateId()}`,
+  text,
+  baseSilenceAfter,
+  silenceExpandable,
+});
+
+/**
+ * Build an empty draft
+ */
+export const createCustomMeditationDraft = () => {
+  const now = Date.now();
+  return {
+    id: `${CUSTOM_MEDITATION_PREFIX}${generateId()}`,
+    title: '',
+    description: '',
+    minDuration: 5,
+    maxDuration: 10,
+    prompts: [createPromptLine()],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+export const useCustomMeditationStore = create(
+  persist(
+    (set, get) => ({
+      meditations: [],
+
+      /**
+       * Save a draft, adding it if it's new
+       * @param {Object} draft - From createCustomMeditationDraft
+       */
+      saveMeditation: (draft) => {
+        const saved = { ...draft, updatedAt: Date.now() };
+        set((state) => ({
+          meditations: state.meditations.some((m) => m.id === draft.id)
+            ? state.meditations.map((m) => (m.id === draft.id ? saved : m))
+            : [...state.meditations, saved],
+        }));
+        return saved;
+      },
+
+      /**
+       * Delete a meditation and any lines recorded for it. Timeline modules
+       * that still point at it show "content not found" and can be skipped.
+       */
+      deleteMeditation: async (id) => {
+        set((state) => ({ meditations: state.meditations.filter((m) => m.id !== id) }));
+        await useVoiceRecordingStore.getState().deleteMeditation(id);
+      },
+
+      getMeditation: (id) => get().meditations.find((m) => m.id === id) || null,
+    }),
+    {
+      name: 'mdma-guide-custom-meditations',
+      version: 1,
+      // The user's own words: locked with the journal
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
+    }
+  )
+);
+
+registerLockedStore(useCustomMeditationStore);
+
+// Keep the content registry and module library in step with the store
+// (unlocked rehydration is synchronous with localStorage, so this covers the
+// persisted state too; a locked launch registers it on unlock)
+function register(meditations) {
+  registerCustomMeditations(meditations);
+  registerUserModules(getCustomMeditations().map(createCustomMeditationModule));
+}
+
+register(useCustomMeditationStore.getState().meditations);
+useCustomMeditationStore.subscribe((state) => register(state.meditations));
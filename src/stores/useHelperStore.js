@@ -5,12 +5,20 @@
  * The HelperModal is mounted in AppShell and triggered by the HelperButton in the
  * Header. This store is the bridge between them, mirroring the pattern used by
  * useAIStore.isModalOpen and BoosterConsiderationModal's isModalVisible flag.
+ *
+ * `initialCategoryId` lets other features (the AI assistant's open_helper
+ * action) open the modal straight into a category's triage flow, and
+ * `openEmergency` opens it on the emergency contact view with the emergency
+ * options already expanded (used by the crisis language notices).
  */
 
 import { create } from 'zustand';
 
 export const useHelperStore = create((set) => ({
   isOpen: false,
-  openHelper: () => set({ isOpen: true }),
-  closeHelper: () => set({ isOpen: false }),
+  initialCategoryId: null,
+  initialView: null,
+  openHelper: (categoryId = null) => set({ isOpen: true, initialCategoryId: categoryId, initialView: null }),
+  openEmergency: () => set({ isOpen: true, initialCategoryId: null, initialView: 'emergency' }),
+  closeHelper: () => set({ isOpen: false, initialCategoryId: null, initialView: null }),
 }));
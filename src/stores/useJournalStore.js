@@ -2,11 +2,24 @@
  * Journal Store
  * Manages journal entries with persistence
  * Supports both manual entries and session-created entries
+ *
+ * Search (searchJournal) runs over an in-memory index of these entries and
+ * every archived session's, rebuilt only when one of its sources changes.
+ *
+ * Edits keep a bounded log of earlier versions on each entry (revisions,
+ * see utils/journalRevisions), which can be restored or copied into a new
+ * entry. The log is part of the entry, so it travels with backups and
+ * session archives.
  */
 
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { persist, createJSONStorage } from 'zustand/middleware';
 import { deleteImage } from '../utils/imageStorage';
+import { deleteAudioMemo } from '../utils/audioMemoStorage';
+import { buildJournalIndex, searchJournalIndex, normalizeTag } from '../utils/journalSearch';
+import { recordRevision } from '../utils/journalRevisions';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
 
 // Helper to generate unique IDs
 const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
@@ -33,6 +46,34 @@ const extractPreview = (content) => {
   return preview;
 };
 
+/**
+ * Build a journal entry object. Used by addEntry, and for entries written
+ * straight into an archived session (useSessionHistoryStore).
+ */
+export const createJournalEntry = ({ content = '', source = 'manual', sessionId = null, moduleTitle = null, isEdited = false, hasImage = false, audio = null, tags = [] }) => {
+  const now = Date.now();
+  return {
+    id: generateId(),
+    content,
+    title: extractTitle(content),
+    preview: extractPreview(content),
+    createdAt: now,
+    updatedAt: now,
+    source, // 'manual' | 'session'
+    sessionId,
+    moduleTitle,
+    isEdited, // true if entry was created for immediate editing (skips confirmation)
+    hasImage, // true if entry has an associated image in IndexedDB
+    audio, // { duration, type } if entry has a voice memo in IndexedDB (audioMemoStorage)
+    tags, // user tags (normalized, see journalSearch.normalizeTag)
+    revisions: [], // earlier versions, oldest first: [{ content, savedAt }]
+  };
+};
+
+// Search index cache. Not store state: it's derived, and rebuilding it
+// shouldn't notify subscribers. Keyed on the identity of its sources.
+let searchIndexCache = { entries: null, sessionState: null, archives: null, index: null };
+
 export const useJournalStore = create(
   persist(
     (set, get) => ({
@@ -63,21 +104,8 @@ export const useJournalStore = create(
       // ============================================
 
       // Add a new entry
-      addEntry: ({ content = '', source = 'manual', sessionId = null, moduleTitle = null, isEdited = false, hasImage = false }) => {
-        const now = Date.now();
-        const newEntry = {
-          id: generateId(),
-          content,
-          title: extractTitle(content),
-          preview: extractPreview(content),
-          createdAt: now,
-          updatedAt: now,
-          source, // 'manual' | 'session'
-          sessionId,
-          moduleTitle,
-          isEdited, // true if entry was created for immediate editing (skips confirmation)
-          hasImage, // true if entry has an associated image in IndexedDB
-        };
+      addEntry: (fields) => {
+        const newEntry = createJournalEntry(fields);
 
         set((state) => ({
           entries: [newEntry, ...state.entries],
@@ -86,8 +114,18 @@ export const useJournalStore = create(
         return newEntry;
       },
 
-      // Update an existing entry
-      updateEntry: (id, content) => {
+      /**
+       * Update an existing entry's content. The content it replaces goes into
+       * the entry's revision log (see recordRevision).
+       *
+       * @param {string} id
+       * @param {string} content
+       * @param {Object} [options]
+       * @param {boolean} [options.revision=true] - false for mechanical rewrites
+       *   by the app (e.g. relabelling) that shouldn't show up as versions
+       */
+      updateEntry: (id, content, { revision = true } = {}) => {
+        const now = Date.now();
         set((state) => ({
           entries: state.entries.map((entry) =>
             entry.id === id
@@ -96,20 +134,112 @@ export const useJournalStore = create(
                   content,
                   title: extractTitle(content),
                   preview: extractPreview(content),
-                  updatedAt: Date.now(),
+                  updatedAt: now,
                   isEdited: entry.source === 'session' ? true : entry.isEdited,
+                  revisions: revision ? recordRevision(entry, content, now) : (entry.revisions || []),
                 }
               : entry
           ),
         }));
       },
 
-      // Delete an entry (also removes associated image from IndexedDB if present)
+      // Bring back an earlier version. The current text is logged first, so
+      // restoring is itself undoable.
+      restoreRevision: (id, revisionIndex) => {
+        const entry = get().entries.find((e) => e.id === id);
+        const revision = entry?.revisions?.[revisionIndex];
+        if (!revision || revision.content === entry.content) return;
+
+        const now = Date.now();
+        const revisions = recordRevision(entry, revision.content, now, { force: true });
+        set((state) => ({
+          entries: state.entries.map((e) =>
+            e.id === id
+              ? {
+                  ...e,
+                  content: revision.content,
+                  title: extractTitle(revision.content),
+                  preview: extractPreview(revision.content),
+                  updatedAt: now,
+                  isEdited: e.source === 'session' ? true : e.isEdited,
+                  revisions,
+                }
+              : e
+          ),
+        }));
+      },
+
+      // Copy an earlier version into a new manual entry, leaving the original
+      // entry as it is. Returns the new entry.
+      forkRevision: (id, revisionIndex) => {
+        const entry = get().entries.find((e) => e.id === id);
+        const revision = entry?.revisions?.[revisionIndex];
+        if (!revision) return null;
+
+        return get().addEntry({
+          content: revision.content,
+          source: 'manual',
+          moduleTitle: entry.moduleTitle,
+          tags: entry.tags || [],
+        });
+      },
+
+      // Set an entry's voice memo metadata ({ duration, type }), or null to
+      // remove it. The blob itself is saved/deleted by the caller (audioMemoStorage).
+      setEntryAudio: (id, audio) => {
+        set((state) => ({
+          entries: state.entries.map((entry) =>
+            entry.id === id ? { ...entry, audio } : entry
+          ),
+        }));
+      },
+
+      // Replace an entry's user tags (normalized, deduplicated, blanks dropped)
+      setEntryTags: (id, tags) => {
+        const cleaned = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+        set((state) => ({
+          entries: state.entries.map((entry) =>
+            entry.id === id ? { ...entry, tags: cleaned } : entry
+          ),
+        }));
+      },
+
+      /**
+       * Search this journal and archived sessions' journals.
+       * The session stores are passed in rather than imported, since they
+       * import this store.
+       *
+       * @param {string} query - Free text
+       * @param {Object} filters - See searchJournalIndex
+       * @param {Object} sources
+       * @param {Object|null} sources.sessionState - Live session state (for phases)
+       * @param {Array} sources.archives - useSessionHistoryStore sessions
+       * @returns {{ results: Array, terms: string[], index: Object }}
+       */
+      searchJournal: (query, filters, { sessionState = null, archives = [] } = {}) => {
+        const { entries } = get();
+        const cache = searchIndexCache;
+        if (cache.entries !== entries || cache.sessionState !== sessionState || cache.archives !== archives) {
+          searchIndexCache = {
+            entries,
+            sessionState,
+            archives,
+            index: buildJournalIndex({ entries, sessionState, archives }),
+          };
+        }
+        const { index } = searchIndexCache;
+        return { ...searchJournalIndex(index, query, filters), index };
+      },
+
+      // Delete an entry (also removes associated image and voice memo from IndexedDB if present)
       deleteEntry: (id) => {
         const entry = get().entries.find((e) => e.id === id);
         if (entry?.hasImage) {
           deleteImage(id).catch(() => {});
         }
+        if (entry?.audio) {
+          deleteAudioMemo(id).catch(() => {});
+        }
         set((state) => ({
           entries: state.entries.filter((entry) => entry.id !== id),
         }));
@@ -211,7 +341,11 @@ export const useJournalStore = create(
     }),
     {
       name: 'mdma-guide-journal-state',
-      version: 3,
+      version: 6,
+      // Encrypted at rest while the app lock is on; locked launches stay
+      // empty until the lock screen hands over the key
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
       partialize: (state) => {
         // Only persist entries and settings, not transient navigation state
         const { navigation: _navigation, ...rest } = state;
@@ -231,8 +365,37 @@ export const useJournalStore = create(
             }));
           }
         }
+        // v3 → v4: added user tags to entries for journal search.
+        if (version < 4) {
+          if (persistedState.entries) {
+            persistedState.entries = persistedState.entries.map((entry) => ({
+              ...entry,
+              tags: entry.tags ?? [],
+            }));
+          }
+        }
+        // v4 → v5: added revision history to entries.
+        if (version < 5) {
+          if (persistedState.entries) {
+            persistedState.entries = persistedState.entries.map((entry) => ({
+              ...entry,
+              revisions: entry.revisions ?? [],
+            }));
+          }
+        }
+        // v5 → v6: added voice memos to entries (blobs in audioMemoStorage).
+        if (version < 6) {
+          if (persistedState.entries) {
+            persistedState.entries = persistedState.entries.map((entry) => ({
+              ...entry,
+              audio: entry.audio ?? null,
+            }));
+          }
+        }
         return persistedState;
       },
     }
   )
 );
+
+registerLockedStore(useJournalStore);
@@ -2,14 +2,48 @@
  * Session History Store
  * Manages archived session snapshots for session switching.
  * Each archive contains the full session store state + journal entries
- * so sessions can be restored as the live session later.
+ * so sessions can be restored as the live session later. Journal images and
+ * voice memos travel with their archive via namespaced IndexedDB keys (see
+ * imageStorage and audioMemoStorage).
  */
 
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { persist, createJSONStorage } from 'zustand/middleware';
 import { useSessionStore, migrateSessionState, SESSION_STORE_VERSION } from './useSessionStore';
-import { useJournalStore } from './useJournalStore';
+import { useJournalStore, createJournalEntry } from './useJournalStore';
 import { useAppStore } from './useAppStore';
+import { archiveImages, restoreArchivedImages, deleteArchivedImages } from '../utils/imageStorage';
+import { archiveAudioMemos, restoreArchivedAudioMemos, deleteArchivedAudioMemos } from '../utils/audioMemoStorage';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
+
+/**
+ * IDs of journal entries that have an image blob in IndexedDB.
+ */
+function imageEntryIds(entries) {
+  return (entries || []).filter((entry) => entry.hasImage).map((entry) => entry.id);
+}
+
+/**
+ * IDs of journal entries that have a voice memo in IndexedDB.
+ */
+function audioEntryIds(entries) {
+  return (entries || []).filter((entry) => entry.audio).map((entry) => entry.id);
+}
+
+/**
+ * Move an archive's journal images and voice memos into its namespace.
+ * Fire-and-forget: the store update is synchronous and IndexedDB serializes
+ * the moves in order.
+ */
+function archiveEntryImages(sessionId, entries) {
+  archiveImages(sessionId, imageEntryIds(entries)).catch((err) => {
+    console.warn('Failed to archive journal images for session', sessionId, err);
+  });
+  archiveAudioMemos(sessionId, audioEntryIds(entries)).catch((err) => {
+    console.warn('Failed to archive voice memos for session', sessionId, err);
+  });
+}
 
 /**
  * Build lightweight metadata for the session list display.
@@ -72,12 +106,27 @@ function cleanTransientState(sessionState) {
   };
 }
 
+/**
+ * Read an archive's session state at the current store version without
+ * loading it into the live store. Returns null when the archive is too old
+ * to migrate.
+ */
+export function getArchivedSessionState(archive) {
+  if (!archive?.sessionState) return null;
+  if (archive.version >= SESSION_STORE_VERSION) return archive.sessionState;
+  return migrateSessionState(structuredClone(archive.sessionState), archive.version) || null;
+}
+
 export const useSessionHistoryStore = create(
   persist(
     (set, get) => ({
       // Array of archived sessions, newest first
       sessions: [],
 
+      // Transient: set by the v1 → v2 migration until the blobs of those
+      // archives have been moved under their namespaced keys
+      hasOrphanedArchiveBlobs: false,
+
       /**
        * Archive the current session and reset to a fresh state.
        * Only archives if there's meaningful data (not a blank not-started session).
@@ -110,6 +159,8 @@ export const useSessionHistoryStore = create(
             }
             return { sessions: [archive, ...state.sessions] };
           });
+
+          archiveEntryImages(sessionId, archive.journalEntries);
         }
 
         // Clear journal and reset session
@@ -158,6 +209,8 @@ export const useSessionHistoryStore = create(
             sessions = sessions.filter((a) => a.sessionId !== sessionId);
             return { sessions };
           });
+
+          archiveEntryImages(currentSessionId, currentArchive.journalEntries);
         } else {
           // Nothing to archive — just remove target from archive
           set((s) => ({
@@ -171,6 +224,9 @@ export const useSessionHistoryStore = create(
           restoredState = migrateSessionState(restoredState, target.version);
           // migrateSessionState returns undefined for very old versions — fall back to fresh state
           if (!restoredState) {
+            // The archive is dropped, so its images and memos have no owner anymore
+            deleteArchivedImages(sessionId).catch(() => {});
+            deleteArchivedAudioMemos(sessionId).catch(() => {});
             sessionStore.resetSession();
             journalStore.clearAllEntries();
             useAppStore.getState().setCurrentTab('home');
@@ -192,18 +248,63 @@ export const useSessionHistoryStore = create(
 
         // Restore journal entries
         journalStore.replaceAllEntries(target.journalEntries || []);
+        restoreArchivedImages(sessionId, imageEntryIds(target.journalEntries)).catch((err) => {
+          console.warn('Failed to restore journal images for session', sessionId, err);
+        });
+        restoreArchivedAudioMemos(sessionId, audioEntryIds(target.journalEntries)).catch((err) => {
+          console.warn('Failed to restore voice memos for session', sessionId, err);
+        });
 
         // Navigate to home
         useAppStore.getState().setCurrentTab('home');
       },
 
       /**
-       * Delete an archived session permanently.
+       * Delete an archived session permanently, including its journal images
+       * and voice memos.
        */
       deleteSession: (sessionId) => {
         set((state) => ({
           sessions: state.sessions.filter((s) => s.sessionId !== sessionId),
         }));
+        deleteArchivedImages(sessionId).catch((err) => {
+          console.warn('Failed to delete journal images for session', sessionId, err);
+        });
+        deleteArchivedAudioMemos(sessionId).catch((err) => {
+          console.warn('Failed to delete voice memos for session', sessionId, err);
+        });
+      },
+
+      /**
+       * Add a journal entry to an archived session without loading it,
+       * e.g. an integration summary written from Session History.
+       * @param {string} sessionId
+       * @param {object} fields - Same fields as useJournalStore.addEntry
+       * @param {string|null} [replaceEntryId] - Entry to drop in the same update
+       * @returns {object|null} The new entry, or null if the archive is gone
+       */
+      addArchivedJournalEntry: (sessionId, fields, replaceEntryId = null) => {
+        if (!get().sessions.some((s) => s.sessionId === sessionId)) return null;
+        const entry = createJournalEntry({ ...fields, sessionId });
+        set((state) => ({
+          sessions: state.sessions.map((s) => (s.sessionId === sessionId
+            ? { ...s, journalEntries: [entry, ...(s.journalEntries || []).filter((e) => e.id !== replaceEntryId)] }
+            : s)),
+        }));
+        return entry;
+      },
+
+      /**
+       * Move the blobs that pre-v2 archives left under bare entry IDs into
+       * each archive's namespace, so they're restored on load and
+       * garbage-collected on delete. The move skips keys with no blob, so
+       * it's safe to run against any install.
+       */
+      claimOrphanedArchiveBlobs: () => {
+        for (const archive of get().sessions) {
+          archiveEntryImages(archive.sessionId, archive.journalEntries);
+        }
+        set({ hasOrphanedArchiveBlobs: false });
       },
 
       /**
@@ -215,7 +316,30 @@ export const useSessionHistoryStore = create(
     }),
     {
       name: 'mdma-guide-session-history',
-      version: 1,
+      version: 2,
+      // Archives hold full journals, so they're locked with the rest
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
+      partialize: (state) => {
+        const { hasOrphanedArchiveBlobs: _hasOrphanedArchiveBlobs, ...rest } = state;
+        return rest;
+      },
+      // Pure, because backup restores run it too (backupData.migrateStores)
+      migrate: (persistedState, version) => {
+        // v1 → v2: archives now own their journal images under namespaced
+        // IndexedDB keys. Before v2, archiving left blobs under their bare
+        // entry IDs, orphaned from the archive. Flag them here; the blobs are
+        // moved once the store has hydrated.
+        if (version < 2) {
+          return { ...persistedState, hasOrphanedArchiveBlobs: true };
+        }
+        return persistedState;
+      },
+      onRehydrateStorage: () => (state) => {
+        if (state?.hasOrphanedArchiveBlobs) state.claimOrphanedArchiveBlobs();
+      },
     }
   )
 );
+
+registerLockedStore(useSessionHistoryStore);
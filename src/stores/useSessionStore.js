@@ -5,15 +5,17 @@
  */
 
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { persist, createJSONStorage } from 'zustand/middleware';
 import { getModuleById } from '../content/modules';
 import { TIMELINE_CONFIGS } from '../content/timeline/configurations';
 import { useAppStore } from './useAppStore';
 import { useJournalStore } from './useJournalStore';
 import { precacheAudioForModule, precacheAudioForTimeline, precacheComposerAssets } from '../services/audioCacheService';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
 
 // Session store schema version — exported so useSessionHistoryStore stays in sync
-export const SESSION_STORE_VERSION = 32;
+export const SESSION_STORE_VERSION = 33;
 
 // Helper to generate unique IDs
 const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
@@ -28,6 +30,27 @@ export function calculateBoosterDose(initialDoseMg) {
   return Math.max(30, Math.min(75, rounded));
 }
 
+/**
+ * Minutes after ingestion at which the booster prompt first appears:
+ * 30 minutes after "fully arrived" OR the 90-minute floor, whichever is first
+ */
+export function getBoosterTriggerMinutes(comeUpCheckIn) {
+  let triggerMinutes = 90; // default floor
+
+  if (comeUpCheckIn?.responses) {
+    const fullyArrivedResponse = comeUpCheckIn.responses.find(
+      r => r.response === 'fully-arrived'
+    );
+    if (fullyArrivedResponse) {
+      // 30 minutes after they reported fully arrived
+      const arrivedBasedTrigger = fullyArrivedResponse.minutesSinceIngestion + 30;
+      triggerMinutes = Math.min(arrivedBasedTrigger, 90);
+    }
+  }
+
+  return triggerMinutes;
+}
+
 /**
  * Determine if the booster prompt should be shown based on current state
  *
@@ -61,21 +84,8 @@ export function shouldShowBooster(booster, substanceChecklist, comeUpCheckIn) {
   // Past 150 minutes without prior interaction - silently expire
   if (booster.status === 'pending' && minutesSinceDose >= 150) return false;
 
-  // Calculate trigger time: 30 min after "fully arrived" OR 90 min floor, whichever is first
-  let triggerMinutes = 90; // default floor
-
-  if (comeUpCheckIn?.responses) {
-    const fullyArrivedResponse = comeUpCheckIn.responses.find(
-      r => r.response === 'fully-arrived'
-    );
-    if (fullyArrivedResponse) {
-      // 30 minutes after they reported fully arrived
-      const arrivedBasedTrigger = fullyArrivedResponse.minutesSinceIngestion + 30;
-      triggerMinutes = Math.min(arrivedBasedTrigger, 90);
-    }
-  }
-
   // Initial trigger: dynamic based on fully-arrived timing or 90-min floor
+  const triggerMinutes = getBoosterTriggerMinutes(comeUpCheckIn);
   if (booster.status === 'pending' && minutesSinceDose < triggerMinutes) return false;
 
   return true;
@@ -535,6 +545,18 @@ export const useSessionStore = create(
         phaseUnlockTime: null,
       },
 
+      // ============================================
+      // BODY CHECK STATE
+      // ============================================
+      // Water, perceived temperature, and breaks from dancing logged from
+      // the header tracker during the active session. utils/bodyCheck.js
+      // turns this into hydration / overheating warnings.
+      bodyCheck: {
+        // { id, type: 'water' | 'temperature' | 'break', timestamp, minutesSinceIngestion,
+        //   amountMl?, drink?: 'water' | 'electrolytes', level?, afterModuleId?, afterModuleTitle? }
+        entries: [],
+      },
+
       // Active pre-session module (renders in Active tab before session starts)
       activePreSessionModule: null, // instanceId | null
 
@@ -1783,6 +1805,44 @@ export const useSessionStore = create(
         });
       },
 
+      // ============================================
+      // BODY CHECK ACTIONS
+      // ============================================
+
+      /**
+       * Log a body check entry (water, temperature, or break)
+       * @param {object} entry - { type, ...fields } — see bodyCheck state
+       */
+      logBodyCheck: (entry) => {
+        const state = get();
+        const now = Date.now();
+        const ingestionTime = state.substanceChecklist.ingestionTime;
+        set({
+          bodyCheck: {
+            ...state.bodyCheck,
+            entries: [
+              ...state.bodyCheck.entries,
+              {
+                ...entry,
+                id: generateId(),
+                timestamp: now,
+                minutesSinceIngestion: ingestionTime ? Math.floor((now - ingestionTime) / (1000 * 60)) : null,
+              },
+            ],
+          },
+        });
+      },
+
+      removeBodyCheckEntry: (id) => {
+        const state = get();
+        set({
+          bodyCheck: {
+            ...state.bodyCheck,
+            entries: state.bodyCheck.entries.filter((e) => e.id !== id),
+          },
+        });
+      },
+
       // ============================================
       // COME-UP CHECK-IN ACTIONS
       // ============================================
@@ -2392,7 +2452,7 @@ export const useSessionStore = create(
             entry.createdAt <= now &&
             !entry.content.startsWith('PRE-SESSION\n\n')
           ) {
-            journalState.updateEntry(entry.id, `PRE-SESSION\n\n${entry.content}`);
+            journalState.updateEntry(entry.id, `PRE-SESSION\n\n${entry.content}`, { revision: false });
           }
         });
       },
@@ -3214,6 +3274,9 @@ export const useSessionStore = create(
           followUp: {
             phaseUnlockTime: null,
           },
+          bodyCheck: {
+            entries: [],
+          },
           activePreSessionModule: null,
           meditationPlayback: {
             moduleInstanceId: null,
@@ -3226,6 +3289,9 @@ export const useSessionStore = create(
     {
       name: 'mdma-guide-session-state',
       version: SESSION_STORE_VERSION,
+      // App lock: see useJournalStore
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
       partialize: (state) => {
         // Exclude transient UI state and runtime playback from persistence
         const { meditationPlayback: _meditationPlayback, activePreSessionModule: _activePreSessionModule, ...rest } = state;
@@ -3261,6 +3327,8 @@ export const useSessionStore = create(
   )
 );
 
+registerLockedStore(useSessionStore);
+
 /**
  * Session state migration function.
  * Exported so useSessionHistoryStore can migrate archived sessions on restore.
@@ -3991,5 +4059,11 @@ export function migrateSessionState(persistedState, version) {
           }
         }
 
+        // Version 32 → 33: Add the body check log (water, temperature,
+        // breaks). Additive — older sessions start with an empty log.
+        if (version < 33) {
+          state.bodyCheck = state.bodyCheck ?? { entries: [] };
+        }
+
         return state;
 }
@@ -0,0 +1,93 @@
+/**
+ * Voice Recording Store
+ * Manages: metadata for the user's recorded meditation clips (persisted)
+ *
+ * The audio itself is in IndexedDB (utils/voiceRecordingStorage.js). This
+ * store keeps what has to be known synchronously — which prompts are
+ * recorded and how long each clip is — and registers it with the meditation
+ * content (content/meditations/recordedVoice.js) so the recorded voice can
+ * be resolved and timed like any other voice. Imported by App so the
+ * registration happens at startup.
+ */
+
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { registerRecordedVoice } from '../content/meditations/recordedVoice';
+import { saveVoiceClip, deleteVoiceClip, deleteMeditationVoiceClips } from '../utils/voiceRecordingStorage';
+import { isAppLockEnabled } from './useAppLockStore';
+import { encryptedStorage, registerLockedStore } from '../utils/encryptedStorage';
+
+/**
+ * { [meditationId]: { [promptId]: seconds } } for the content registry
+ */
+function toDurations(clips) {
+  return Object.fromEntries(
+    Object.entries(clips).map(([meditationId, prompts]) => [
+      meditationId,
+      Object.fromEntries(Object.entries(prompts).map(([promptId, clip]) => [promptId, clip.duration])),
+    ])
+  );
+}
+
+export const useVoiceRecordingStore = create(
+  persist(
+    (set, get) => ({
+      // { [meditationId]: { [promptId]: { duration, mimeType, recordedAt } } }
+      clips: {},
+
+      /**
+       * Save a recorded clip. The blob is written first so metadata never
+       * points at audio that isn't there.
+       * @param {string} meditationId
+       * @param {string} promptId
+       * @param {Blob} blob - MediaRecorder output
+       * @param {number} duration - Measured length in seconds
+       */
+      saveClip: async (meditationId, promptId, blob, duration) => {
+        await saveVoiceClip(meditationId, promptId, blob);
+        set((state) => ({
+          clips: {
+            ...state.clips,
+            [meditationId]: {
+              ...state.clips[meditationId],
+              [promptId]: { duration, mimeType: blob.type, recordedAt: Date.now() },
+            },
+          },
+        }));
+      },
+
+      deleteClip: async (meditationId, promptId) => {
+        set((state) => {
+          const { [promptId]: _removed, ...rest } = state.clips[meditationId] || {};
+          return { clips: { ...state.clips, [meditationId]: rest } };
+        });
+        await deleteVoiceClip(meditationId, promptId);
+      },
+
+      deleteMeditation: async (meditationId) => {
+        set((state) => {
+          const { [meditationId]: _removed, ...rest } = state.clips;
+          return { clips: rest };
+        });
+        await deleteMeditationVoiceClips(meditationId);
+      },
+
+      getRecordedCount: (meditationId) => Object.keys(get().clips[meditationId] || {}).length,
+    }),
+    {
+      name: 'mdma-guide-voice-recordings',
+      version: 1,
+      // Locked along with the clips themselves (see blobStore.js)
+      storage: createJSONStorage(() => encryptedStorage),
+      skipHydration: isAppLockEnabled(),
+    }
+  )
+);
+
+registerLockedStore(useVoiceRecordingStore);
+
+// Keep the content registry in step with the store (unlocked rehydration is
+// synchronous with localStorage, so this covers the persisted state too; a
+// locked launch registers it on unlock)
+registerRecordedVoice(toDurations(useVoiceRecordingStore.getState().clips));
+useVoiceRecordingStore.subscribe((state) => registerRecordedVoice(toDurations(state.clips)));
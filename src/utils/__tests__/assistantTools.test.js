@@ -0,0 +1,94 @@
+/**
+ * Tests for the actions the AI assistant can propose
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  getAssistantTools,
+  validateToolCall,
+  executeToolCall,
+  formatMessageForProvider,
+} from '../assistantTools'
+import { getModulesForPhase } from '../../content/modules'
+import { useSessionStore } from '../../stores/useSessionStore'
+import { useJournalStore } from '../../stores/useJournalStore'
+import { useHelperStore } from '../../stores/useHelperStore'
+
+function startComeUp() {
+  const state = useSessionStore.getState()
+  useSessionStore.setState({
+    sessionPhase: 'active',
+    sessionId: 'session-1',
+    substanceChecklist: { ...state.substanceChecklist, ingestionTime: Date.now() - 30 * 60 * 1000 },
+    timeline: { ...state.timeline, currentPhase: 'come-up' },
+  })
+}
+
+describe('assistant tools', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+    useJournalStore.setState({ entries: [] })
+    useHelperStore.getState().closeHelper()
+  })
+
+  it('offers tools that fit the session phase', () => {
+    expect(getAssistantTools(useSessionStore.getState()).map((t) => t.name)).toEqual(['add_journal_entry'])
+
+    startComeUp()
+    const tools = getAssistantTools(useSessionStore.getState())
+    expect(tools.map((t) => t.name)).toEqual(['insert_module', 'open_helper', 'log_check_in', 'add_journal_entry'])
+
+    const moduleIds = tools[0].parameters.properties.libraryId.enum
+    expect(moduleIds.length).toBeGreaterThan(0)
+    expect(moduleIds.every((id) => getModulesForPhase('come-up').some((m) => m.id === id))).toBe(true)
+
+    useSessionStore.setState({ timeline: { ...useSessionStore.getState().timeline, currentPhase: 'peak' } })
+    expect(getAssistantTools(useSessionStore.getState()).some((t) => t.name === 'log_check_in')).toBe(false)
+  })
+
+  it('rejects proposals that do not fit the current state', () => {
+    startComeUp()
+    const state = useSessionStore.getState()
+
+    expect(validateToolCall({ name: 'insert_module', input: { libraryId: 'not-a-module' } }, state).valid).toBe(false)
+    expect(validateToolCall({ name: 'open_helper', input: { categoryId: 'low-mood' } }, state).valid).toBe(false)
+    expect(validateToolCall({ name: 'add_journal_entry', input: { content: '  ' } }, state).valid).toBe(false)
+    expect(validateToolCall({ name: 'delete_everything', input: {} }, state).valid).toBe(false)
+    expect(validateToolCall({ name: 'log_check_in', input: { response: 'starting' } }, state).valid).toBe(true)
+  })
+
+  it('only changes the session once a proposal is executed', () => {
+    startComeUp()
+    const libraryId = getAssistantTools(useSessionStore.getState())[0].parameters.properties.libraryId.enum[0]
+
+    expect(executeToolCall({ name: 'insert_module', input: { libraryId } })).toEqual({ success: true })
+    expect(useSessionStore.getState().modules.items.some((m) => m.libraryId === libraryId)).toBe(true)
+
+    executeToolCall({ name: 'log_check_in', input: { response: 'starting' } })
+    expect(useSessionStore.getState().comeUpCheckIn.responses.at(-1).response).toBe('starting')
+
+    executeToolCall({ name: 'open_helper', input: { categoryId: 'grief' } })
+    expect(useHelperStore.getState()).toMatchObject({ isOpen: true, initialCategoryId: 'grief' })
+
+    executeToolCall({ name: 'add_journal_entry', input: { content: 'The tightness softened\nwhen I breathed into it' } })
+    expect(useJournalStore.getState().entries[0]).toMatchObject({
+      title: 'The tightness softened',
+      source: 'session',
+      sessionId: 'session-1',
+      moduleTitle: 'AI Assistant',
+    })
+  })
+
+  it('summarises proposals and outcomes for later turns', () => {
+    const message = {
+      role: 'assistant',
+      content: 'Would it help to write that down?',
+      toolCalls: [{ id: 't1', name: 'add_journal_entry', input: { content: 'x' }, status: 'dismissed' }],
+    }
+    expect(formatMessageForProvider(message)).toEqual({
+      role: 'assistant',
+      content: 'Would it help to write that down?\n\n[Proposed action: Save to your journal — user declined]',
+    })
+    expect(formatMessageForProvider({ role: 'user', content: 'hi', id: 'm1' })).toEqual({ role: 'user', content: 'hi' })
+  })
+})
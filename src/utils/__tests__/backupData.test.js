@@ -0,0 +1,162 @@
+/**
+ * Tests for full backup create/restore
+ * IndexedDB isn't available in jsdom, so image, voice memo and recorded
+ * voice storage are mocked in-memory.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const imageStore = new Map()
+vi.mock('../imageStorage', () => ({
+  getAllImages: async () => [...imageStore.entries()].map(([key, blob]) => ({ key, blob })),
+  clearAllImages: async () => { imageStore.clear() },
+  saveImage: async (key, blob) => { imageStore.set(key, blob) },
+  archiveImages: vi.fn(async () => {}),
+  getImage: async (key) => imageStore.get(key) || null,
+  deleteImage: async (key) => { imageStore.delete(key) },
+}))
+
+const audioStore = new Map()
+vi.mock('../audioMemoStorage', () => ({
+  getAllAudioMemos: async () => [...audioStore.entries()].map(([key, blob]) => ({ key, blob })),
+  clearAllAudioMemos: async () => { audioStore.clear() },
+  saveAudioMemo: async (key, blob) => { audioStore.set(key, blob) },
+  deleteAudioMemo: async (key) => { audioStore.delete(key) },
+  formatMemoDuration: () => '0:00',
+}))
+
+const voiceClipStore = new Map()
+vi.mock('../voiceRecordingStorage', () => ({
+  getAllVoiceClips: async () => [...voiceClipStore.entries()].map(([key, blob]) => ({ key, blob })),
+  clearAllVoiceClips: async () => { voiceClipStore.clear() },
+  restoreVoiceClip: async (key, blob) => { voiceClipStore.set(key, blob) },
+  saveVoiceClip: async (meditationId, promptId, blob) => { voiceClipStore.set(`${meditationId}/${promptId}`, blob) },
+  deleteVoiceClip: async () => {},
+  deleteMeditationVoiceClips: async () => {},
+}))
+
+import { createBackup, readBackupFile, restoreBackup, BACKUP_FORMAT_VERSION } from '../backupData'
+import { useJournalStore } from '../../stores/useJournalStore'
+import { useAIStore } from '../../stores/useAIStore'
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore'
+import { archiveImages } from '../imageStorage'
+import { useVoiceRecordingStore } from '../../stores/useVoiceRecordingStore'
+
+describe('backupData', () => {
+  beforeEach(() => {
+    imageStore.clear()
+    audioStore.clear()
+    voiceClipStore.clear()
+    useJournalStore.getState().clearAllEntries()
+    useVoiceRecordingStore.setState({ clips: {} })
+  })
+
+  it('round-trips journal entries and images', async () => {
+    const entry = useJournalStore.getState().addEntry({ content: 'First line\nBody', hasImage: true })
+    imageStore.set(entry.id, new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' }))
+
+    const text = await createBackup()
+
+    useJournalStore.getState().clearAllEntries()
+    imageStore.clear()
+
+    const summary = await restoreBackup(readBackupFile(text))
+
+    expect(summary.journalEntries).toBe(1)
+    expect(summary.images).toBe(1)
+    expect(useJournalStore.getState().entries[0].content).toBe('First line\nBody')
+    const restored = imageStore.get(entry.id)
+    expect(new Uint8Array(await restored.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]))
+  })
+
+  it('round-trips voice memos', async () => {
+    const entry = useJournalStore.getState().addEntry({ content: 'Spoken', audio: { duration: 12, type: 'audio/webm' } })
+    audioStore.set(entry.id, new Blob([new Uint8Array([4, 5])], { type: 'audio/webm' }))
+
+    const text = await createBackup()
+    useJournalStore.getState().clearAllEntries()
+    audioStore.clear()
+
+    const summary = await restoreBackup(readBackupFile(text))
+    expect(summary.audioMemos).toBe(1)
+    expect(useJournalStore.getState().entries[0].audio).toEqual({ duration: 12, type: 'audio/webm' })
+    const restored = audioStore.get(entry.id)
+    expect(restored.type).toBe('audio/webm')
+    expect(new Uint8Array(await restored.arrayBuffer())).toEqual(new Uint8Array([4, 5]))
+  })
+
+  it('round-trips recorded voice clips and their metadata', async () => {
+    await useVoiceRecordingStore.getState().saveClip('body-scan', 'intro', new Blob([new Uint8Array([7])], { type: 'audio/mp4' }), 3.5)
+
+    const text = await createBackup()
+    useVoiceRecordingStore.setState({ clips: {} })
+    voiceClipStore.clear()
+
+    const summary = await restoreBackup(readBackupFile(text))
+    expect(summary.voiceClips).toBe(1)
+    expect(useVoiceRecordingStore.getState().clips['body-scan'].intro.duration).toBe(3.5)
+    const restored = voiceClipStore.get('body-scan/intro')
+    expect(restored.type).toBe('audio/mp4')
+    expect(new Uint8Array(await restored.arrayBuffer())).toEqual(new Uint8Array([7]))
+  })
+
+  it('does not carry the device-bound API key', async () => {
+    useAIStore.setState({ encryptedApiKey: { iv: 'a', ciphertext: 'b' } })
+    const envelope = JSON.parse(await createBackup())
+    expect(envelope.payload.stores.ai.state.encryptedApiKey).toBeUndefined()
+    useAIStore.setState({ encryptedApiKey: null })
+  })
+
+  it('encrypts the payload when a passphrase is given', async () => {
+    useJournalStore.getState().addEntry({ content: 'secret words' })
+    const text = await createBackup({ passphrase: 'correct horse' })
+
+    expect(text).not.toContain('secret words')
+    const envelope = readBackupFile(text)
+    expect(envelope.encrypted).toBe(true)
+
+    await expect(restoreBackup(envelope)).rejects.toThrow(/encrypted/)
+    await expect(restoreBackup(envelope, 'wrong passphrase')).rejects.toThrow('Incorrect passphrase')
+
+    useJournalStore.getState().clearAllEntries()
+    await restoreBackup(envelope, 'correct horse')
+    expect(useJournalStore.getState().entries[0].content).toBe('secret words')
+  })
+
+  it('runs store migrations for older store versions', async () => {
+    const envelope = readBackupFile(JSON.stringify({
+      format: 'm-session-backup',
+      formatVersion: BACKUP_FORMAT_VERSION,
+      createdAt: Date.now(),
+      encrypted: false,
+      payload: {
+        stores: {
+          journal: { version: 2, state: { entries: [{ id: 'old', content: 'legacy', createdAt: 1 }] } },
+          sessionHistory: { version: 1, state: { sessions: [{ sessionId: 's1', journalEntries: [{ id: 'old', hasImage: true }] }] } },
+        },
+        images: [],
+      },
+    }))
+
+    useVoiceRecordingStore.setState({ clips: { 'body-scan': { intro: { duration: 2 } } } })
+    await restoreBackup(envelope)
+    expect(useVoiceRecordingStore.getState().clips).toEqual({})
+    // Migrating a backup must not move blobs around behind the restore
+    expect(archiveImages).not.toHaveBeenCalled()
+    expect(useSessionHistoryStore.getState().sessions[0].sessionId).toBe('s1')
+    expect(useSessionHistoryStore.getState().hasOrphanedArchiveBlobs).toBe(false)
+    expect(useJournalStore.getState().entries[0].hasImage).toBe(false)
+    expect(useJournalStore.getState().entries[0].audio).toBeNull()
+  })
+
+  it('rejects files that are not backups or come from a newer app', () => {
+    expect(() => readBackupFile('not json')).toThrow()
+    expect(() => readBackupFile(JSON.stringify({ format: 'other' }))).toThrow()
+    expect(() => readBackupFile(JSON.stringify({
+      format: 'm-session-backup',
+      formatVersion: BACKUP_FORMAT_VERSION + 1,
+      encrypted: false,
+      payload: {},
+    }))).toThrow(/newer version/)
+  })
+})
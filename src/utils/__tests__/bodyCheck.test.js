@@ -0,0 +1,90 @@
+/**
+ * Tests for the body check tracker: warnings, exports and AI context
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { assessBodyCheck } from '../bodyCheck'
+import { getSessionData, generateTextExport, generateMarkdownExport } from '../downloadSessionData'
+import { buildSystemPrompt } from '../buildSystemPrompt'
+import { useSessionStore } from '../../stores/useSessionStore'
+
+const MINUTE = 60 * 1000
+const ingestionTime = new Date('2026-06-01T18:00:00Z').getTime()
+
+const water = (minutes, amountMl = 250) => ({ type: 'water', amountMl, drink: 'water', timestamp: ingestionTime + minutes * MINUTE })
+
+describe('assessBodyCheck', () => {
+  it('warns about drinking too much water in a short time', () => {
+    const caution = assessBodyCheck({ entries: [water(100), water(120), water(140)], ingestionTime, now: ingestionTime + 150 * MINUTE })
+    expect(caution.waterLastHourMl).toBe(750)
+    expect(caution.warnings).toEqual(['over-hydration'])
+
+    const urgent = assessBodyCheck({
+      entries: [water(100), water(110), water(120), water(130), water(140)],
+      ingestionTime,
+      now: ingestionTime + 150 * MINUTE,
+    })
+    expect(urgent.warnings[0]).toBe('over-hydration-urgent')
+  })
+
+  it('nudges for water after a dry spell, sooner when warm', () => {
+    const now = ingestionTime + 150 * MINUTE
+    expect(assessBodyCheck({ entries: [water(90)], ingestionTime, now }).warnings).toEqual([])
+
+    const warm = { type: 'temperature', level: 'warm', timestamp: now - 5 * MINUTE }
+    expect(assessBodyCheck({ entries: [water(90), warm], ingestionTime, now }).warnings)
+      .toEqual(['running-warm', 'under-hydration'])
+
+    // Nothing logged at all, well into the session
+    expect(assessBodyCheck({ entries: [], ingestionTime, now }).warnings).toEqual(['under-hydration'])
+  })
+
+  it('flags overheating and asks for a break after dancing until one is logged', () => {
+    const now = ingestionTime + 120 * MINUTE
+    const moduleItems = [
+      { libraryId: 'lets-dance', title: 'Let\'s Dance', status: 'completed', startedAt: now - 40 * MINUTE, completedAt: now - 10 * MINUTE },
+    ]
+    const hot = { type: 'temperature', level: 'hot', timestamp: now - 2 * MINUTE }
+
+    const before = assessBodyCheck({ entries: [water(110), hot], ingestionTime, moduleItems, now })
+    expect(before.warnings).toEqual(['overheating', 'dance-break'])
+    expect(before.recentDance.libraryId).toBe('lets-dance')
+
+    const rested = { type: 'break', afterModuleId: 'lets-dance', timestamp: now - 1 * MINUTE }
+    expect(assessBodyCheck({ entries: [water(110), hot, rested], ingestionTime, moduleItems, now }).warnings)
+      .toEqual(['overheating'])
+  })
+})
+
+describe('body check in exports and AI context', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+  })
+
+  it('includes the log in the text and Markdown exports and the system prompt', () => {
+    const state = useSessionStore.getState()
+    useSessionStore.setState({
+      sessionPhase: 'active',
+      substanceChecklist: { ...state.substanceChecklist, ingestionTime },
+      bodyCheck: {
+        entries: [
+          { id: 'b1', ...water(45), minutesSinceIngestion: 45 },
+          { id: 'b2', type: 'temperature', level: 'hot', timestamp: ingestionTime + 80 * MINUTE, minutesSinceIngestion: 80 },
+        ],
+      },
+    })
+
+    const data = getSessionData()
+    expect(data.bodyCheck.entries).toHaveLength(2)
+    expect(generateTextExport(data)).toContain('BODY CHECK')
+    expect(generateTextExport(data)).toContain('Felt hot')
+    expect(generateMarkdownExport(data)).toContain('- 45 min — Water, 250 ml')
+
+    const prompt = buildSystemPrompt(useSessionStore.getState(), { entries: [] }, { includeBodyCheck: true })
+    expect(prompt).toContain('## Body Check')
+    expect(prompt).toContain('Water since ingestion: 250 ml')
+
+    const withoutBodyCheck = buildSystemPrompt(useSessionStore.getState(), { entries: [] }, { includeBodyCheck: false })
+    expect(withoutBodyCheck).not.toContain('## Body Check')
+  })
+})
@@ -0,0 +1,84 @@
+/**
+ * Tests for the elapsed-time breath state used by the breathing module
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  getBreathState,
+  getBreathPhaseTimes,
+  getBreathTotalDuration,
+  getSequenceCycles,
+} from '../breathTiming'
+
+const box = { inhale: 4, hold: 4, exhale: 4, holdAfterExhale: 4 }
+const sigh = { inhale: 2, secondInhale: 1, exhale: 6 }
+
+describe('breath sequence length', () => {
+  it('rounds duration sequences up to whole breaths', () => {
+    expect(getSequenceCycles({ type: 'duration', seconds: 60, pattern: box })).toBe(4)
+    expect(getSequenceCycles({ type: 'duration', seconds: 61, pattern: box })).toBe(4)
+    expect(getSequenceCycles({ type: 'duration', seconds: 60, pattern: { inhale: 5.5, exhale: 5.5 } })).toBe(6)
+    expect(getBreathTotalDuration([
+      { type: 'idle', duration: 10 },
+      { type: 'cycles', count: 3, pattern: sigh },
+    ])).toBe(37)
+  })
+})
+
+describe('getBreathState', () => {
+  const sequences = [{ type: 'cycles', count: 2, pattern: box }]
+
+  it('derives phase, countdown and orb position from elapsed time', () => {
+    const inhale = getBreathState(sequences, 1)
+    expect(inhale.phase).toBe('inhale')
+    expect(inhale.phaseProgress).toBeCloseTo(0.25)
+    expect(inhale.phaseSecondsRemaining).toBe(3)
+    expect(inhale.moonAngle).toBeCloseTo(225)
+
+    const exhale = getBreathState(sequences, 10)
+    expect(exhale.phase).toBe('exhale')
+    expect(exhale.expansion).toBeCloseTo(0.5)
+    expect(exhale.moonAngle).toBeCloseTo(90)
+
+    const secondBreath = getBreathState(sequences, 17)
+    expect(secondBreath.phase).toBe('inhale')
+    expect(secondBreath.currentCycle).toBe(1)
+  })
+
+  it('fills the orb across both inhales of a sigh', () => {
+    const sighs = [{ type: 'cycles', count: 1, pattern: sigh }]
+    expect(getBreathState(sighs, 2 - 1e-6).expansion).toBeCloseTo(0.8)
+    expect(getBreathState(sighs, 2.5).phase).toBe('secondInhale')
+    expect(getBreathState(sighs, 3 - 1e-6).expansion).toBeCloseTo(1)
+  })
+
+  it('completes at the end of the last breath and stays there', () => {
+    expect(getBreathState(sequences, 31.9).isComplete).toBe(false)
+    const done = getBreathState(sequences, 500)
+    expect(done.isComplete).toBe(true)
+    expect(done.phase).toBe('holdAfterExhale')
+    expect(done.currentCycle).toBe(1)
+    expect(done.overallProgress).toBe(100)
+  })
+
+  it('reports idle segments', () => {
+    const state = getBreathState([{ type: 'idle', duration: 10, label: 'Rest' }, ...sequences], 4)
+    expect(state.phase).toBe('idle')
+    expect(state.isIdleSegment).toBe(true)
+    expect(state.currentSegmentLabel).toBe('Rest')
+    expect(state.phaseSecondsRemaining).toBe(6)
+  })
+})
+
+describe('getBreathPhaseTimes', () => {
+  it('lists each phase start, skipping empty phases', () => {
+    expect(getBreathPhaseTimes([{ type: 'cycles', count: 2, pattern: sigh }])).toEqual([
+      { at: 0, phase: 'inhale' },
+      { at: 2, phase: 'secondInhale' },
+      { at: 3, phase: 'exhale' },
+      { at: 9, phase: 'inhale' },
+      { at: 11, phase: 'secondInhale' },
+      { at: 12, phase: 'exhale' },
+    ])
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * Tests for the companion-mode snapshot (what a sitter's device receives)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { buildCompanionSnapshot } from '../companionProjection'
+import { useSessionStore } from '../../stores/useSessionStore'
+
+const t0 = new Date('2026-05-01T14:00:00Z').getTime()
+
+describe('companionProjection', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+  })
+
+  function liveState() {
+    const base = useSessionStore.getState()
+    return {
+      ...base,
+      sessionId: 's1',
+      sessionPhase: 'active',
+      sessionProfile: {
+        ...base.sessionProfile,
+        sessionMode: 'with-sitter',
+        holdingQuestion: 'What am I protecting?',
+        emergencyContactDetails: { name: 'Sam', phone: '555', notes: '' },
+      },
+      substanceChecklist: { ...base.substanceChecklist, ingestionTime: t0 },
+      timeline: { ...base.timeline, currentPhase: 'peak', phases: { ...base.timeline.phases, peak: { startedAt: t0 + 3600000 } } },
+      modules: { ...base.modules, items: [{ instanceId: 'm1', title: 'Felt Sense', startedAt: t0 + 4000000 }], currentModuleInstanceId: 'm1' },
+      booster: { ...base.booster, status: 'taken', boosterTakenAt: t0 + 5400000 },
+    }
+  }
+
+  it('includes what a sitter needs', () => {
+    const snapshot = buildCompanionSnapshot({ sessionState: liveState(), now: t0 + 7200000 })
+
+    expect(snapshot).toMatchObject({
+      sessionMode: 'with-sitter',
+      sessionPhase: 'active',
+      currentPhase: 'peak',
+      phaseStartedAt: t0 + 3600000,
+      ingestionTime: t0,
+      currentModule: { title: 'Felt Sense', startedAt: t0 + 4000000 },
+      booster: { status: 'taken', takenAt: t0 + 5400000 },
+      emergencyContact: { name: 'Sam', phone: '555', notes: '' },
+    })
+  })
+
+  it('summarises Helper use without journal text and leaves private fields out', () => {
+    const journalEntries = [
+      { id: 'a', moduleTitle: 'Helper Modal', sessionId: 's1', content: 'HELPER MODAL\n\nCategory: Grief\nI feel so sad', createdAt: t0 + 1 },
+      { id: 'b', moduleTitle: 'Helper Modal', sessionId: 's1', content: 'HELPER MODAL\n\nEmergency action: Called contact', createdAt: t0 + 2 },
+      { id: 'c', moduleTitle: 'Helper Modal', sessionId: 'old', content: 'Category: Other', createdAt: t0 + 3 },
+      { id: 'd', content: 'My private journal', sessionId: 's1', createdAt: t0 + 4 },
+    ]
+
+    const snapshot = buildCompanionSnapshot({ sessionState: liveState(), journalEntries, helperOpen: true })
+
+    expect(snapshot.helper).toEqual({
+      isOpen: true,
+      useCount: 2,
+      lastUsedAt: t0 + 2,
+      lastCategory: null,
+      lastEmergencyAction: { action: 'Called contact', at: t0 + 2 },
+    })
+    const serialized = JSON.stringify(snapshot)
+    expect(serialized).not.toContain('protecting')
+    expect(serialized).not.toContain('sad')
+    expect(serialized).not.toContain('private journal')
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Tests for on-device crisis language detection
+ * The corpus pairs each category's real signals with everyday phrases that
+ * share their words but shouldn't route anyone to the emergency flow.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { detectCrisisLanguage } from '../crisisDetection'
+
+const category = (text) => detectCrisisLanguage(text)?.category ?? null
+
+const FLAGGED = {
+  'medical-emergency': [
+    'My chest pain is getting worse',
+    'I think my friend is having a seizure',
+    'She passed out and won\'t wake up',
+    'I\'m overheating and I\'ve stopped sweating',
+    'There\'s a sharp pain in my chest',
+    'Should we call an ambulance?',
+    'He\'s burning up, really confused and can\'t stop sweating',
+  ],
+  'self-harm': [
+    'I want to kill myself',
+    'Honestly I just want to die',
+    'I don’t want to be alive anymore',
+    'I\'ve been having suicidal thoughts tonight',
+    'Everyone would be better off without me',
+    'I feel hopeless and I can\'t go on',
+  ],
+  'severe-panic': [
+    'I\'m having a panic attack',
+    'I\'m freaking out, I can\'t breathe, make it stop',
+    'I\'m terrified. I\'m going to die',
+    'I\'m losing my mind and it will never end',
+  ],
+}
+
+const NOT_FLAGGED = [
+  // Idioms
+  'I\'m dying to try the dance module',
+  'That view was to die for',
+  'We were killing it on the dance floor',
+  'This song kills me every time',
+  'I laughed so hard I wanted to die laughing',
+  // Negated
+  'No chest pain, just a bit of jaw tension',
+  'I\'m not suicidal, just really sad',
+  'I never want to hurt myself again, I promise',
+  // Distanced in time, fiction or a general question
+  'I had a panic attack last year at a festival',
+  'The movie had a character who had a seizure',
+  'What should I do if someone has a seizure?',
+  'What are the signs of heat stroke?',
+  // Ordinary session language
+  'It\'s so hot in here, opening a window',
+  'I feel a bit scared but mostly curious',
+  'My heart is racing a little but I feel amazing',
+  'I want to end things on a good note with my sister',
+  'These clothes are fitting better than before',
+  'The tent collapsed in the wind last summer',
+  '',
+]
+
+describe('detectCrisisLanguage', () => {
+  for (const [expected, phrases] of Object.entries(FLAGGED)) {
+    it(`flags ${expected} language`, () => {
+      for (const phrase of phrases) {
+        expect(category(phrase), phrase).toBe(expected)
+      }
+    })
+  }
+
+  it('leaves idioms, negations, distanced and everyday phrases alone', () => {
+    for (const phrase of NOT_FLAGGED) {
+      expect(category(phrase), phrase).toBeNull()
+    }
+  })
+
+  it('ranks medical emergencies above other categories and reports matches', () => {
+    const result = detectCrisisLanguage('I\'m panicking, I can\'t breathe and my chest is tight')
+    expect(result.category).toBe('medical-emergency')
+    expect(result.categories).toEqual(['medical-emergency', 'severe-panic'])
+    expect(result.matches.map((m) => m.phrase)).toContain('chest is tight')
+  })
+})
@@ -0,0 +1,133 @@
+/**
+ * Tests for session data export formats
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { useSessionStore } from '../../stores/useSessionStore'
+import { useJournalStore } from '../../stores/useJournalStore'
+import {
+  getSessionData,
+  generateJsonExport,
+  parseJsonExport,
+  generateMarkdownExport,
+  generateTextExport,
+  getImageFilename,
+  getAudioFilename,
+  JSON_EXPORT_SCHEMA_VERSION,
+} from '../downloadSessionData'
+
+const t0 = new Date('2026-05-01T14:00:00Z').getTime()
+
+function seedSession() {
+  const s = useSessionStore.getState()
+  useSessionStore.setState({
+    sessionPhase: 'completed',
+    sessionProfile: {
+      ...s.sessionProfile,
+      holdingQuestion: 'Be kind | to myself',
+      sessionMode: 'with-sitter',
+      protector: { name: 'The Critic', description: 'harsh', bodyLocation: 'chest', message: 'thanks' },
+    },
+    session: { closedAt: t0 + 5 * 3600e3, finalDurationSeconds: 5 * 3600 },
+    comeUpCheckIn: { ...s.comeUpCheckIn, responses: [{ minutesSinceIngestion: 30, response: 'starting' }] },
+    modules: {
+      items: [
+        { instanceId: 'a', libraryId: 'values-compass', title: 'Values Compass', phase: 'peak', status: 'completed', order: 0 },
+        { instanceId: 'b', libraryId: 'protector-dialogue-p1', title: 'Protector', phase: 'integration', status: 'completed', order: 0 },
+      ],
+      history: [
+        { instanceId: 'a', libraryId: 'values-compass', title: 'Values Compass', phase: 'peak', status: 'completed', startedAt: t0, completedAt: t0 + 600e3, actualDuration: 600 },
+        { instanceId: 'b', libraryId: 'protector-dialogue-p1', title: 'Protector', phase: 'integration', status: 'completed', startedAt: t0 + 3600e3 },
+      ],
+      currentModuleInstanceId: null,
+    },
+    transitionCaptures: {
+      ...s.transitionCaptures,
+      valuesCompass: { quadrants: { q1: [{ text: 'family' }], q2: [], q3: [], q4: [] } },
+    },
+    transitionData: { ...s.transitionData, newFocus: 'healing' },
+  })
+  useJournalStore.setState({
+    entries: [
+      { id: 'j1', content: 'Compass\nsecond line', source: 'session', moduleTitle: 'Values Compass', hasImage: true, createdAt: t0 + 600e3, updatedAt: t0 + 600e3 },
+      { id: 'j2', content: 'Manual note', source: 'manual', createdAt: t0 + 2e7, updatedAt: t0 + 2e7 },
+    ],
+  })
+}
+
+describe('downloadSessionData exports', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+    useJournalStore.getState().clearAllEntries()
+    seedSession()
+  })
+
+  it('round-trips session data through the JSON export', () => {
+    const data = getSessionData()
+    const json = generateJsonExport(data)
+
+    expect(JSON.parse(json).schemaVersion).toBe(JSON_EXPORT_SCHEMA_VERSION)
+    expect(parseJsonExport(json)).toEqual(JSON.parse(JSON.stringify(data)))
+    expect(parseJsonExport(json).journalEntries.map((e) => e.id)).toEqual(['j1', 'j2'])
+  })
+
+  it('rejects files that are not JSON exports or use a newer schema', () => {
+    expect(() => parseJsonExport('nope')).toThrow()
+    expect(() => parseJsonExport(JSON.stringify({ schema: 'other', data: {} }))).toThrow()
+    expect(() => parseJsonExport(JSON.stringify({
+      schema: 'm-session-export',
+      schemaVersion: JSON_EXPORT_SCHEMA_VERSION + 1,
+      data: {},
+    }))).toThrow(/newer version/)
+  })
+
+  it('renders archived session state passed in explicitly', () => {
+    const archived = { ...useSessionStore.getState(), sessionProfile: { holdingQuestion: 'Archived intention' } }
+    const data = getSessionData({ sessionState: archived, journalEntries: [] })
+
+    expect(data.intention.original).toBe('Archived intention')
+    expect(data.journalEntries).toEqual([])
+  })
+
+  it('renders Markdown sections, captures, and image references', () => {
+    const md = generateMarkdownExport()
+
+    expect(md).toMatch(/^# Session Record/)
+    expect(md).toContain('## Phase 2 — Peak')
+    expect(md).toContain('### Values Compass')
+    expect(md).toContain('- **What Matters:** family')
+    expect(md).toContain('- **Protector:** The Critic')
+    expect(md).toContain('> Compass\n> second line')
+    expect(md).toContain(`![Values Compass](images/${getImageFilename({ id: 'j1', moduleTitle: 'Values Compass' })})`)
+    expect(md).toContain('### Personal Entry')
+    // Table cells escape pipes
+    expect(md).toContain('| Intention | Be kind \\| to myself |')
+  })
+
+  it('gives each image entry its own filename', () => {
+    const date = new Date('2026-03-14T12:00:00Z')
+    const first = getImageFilename({ id: 'entry-aaaa', moduleTitle: 'Sketch' }, date)
+    const second = getImageFilename({ id: 'entry-bbbb', moduleTitle: 'Sketch' }, date)
+    expect(first).toBe('sketch-2026-03-14-aaaa.png')
+    expect(second).not.toBe(first)
+  })
+
+  it('references voice memos by the filename the audio download uses', () => {
+    const memo = { id: 'j3-abcd', content: 'Spoken note\n\nVoice memo', source: 'manual', audio: { duration: 75, type: 'audio/mp4' }, createdAt: t0 + 3e7, updatedAt: t0 + 3e7 }
+    useJournalStore.setState({ entries: [...useJournalStore.getState().entries, memo] })
+    const filename = getAudioFilename(memo)
+
+    expect(filename).toMatch(/^voice-memo-journal-2026-05-\d\d-\d\d-\d\d-abcd\.m4a$/)
+    expect(generateMarkdownExport()).toContain(`[Voice memo (1:15)](audio/${filename})`)
+    expect(generateTextExport()).toContain(`[Voice memo, 1:15: audio/${filename}]`)
+    expect(getSessionData().journalEntries.find((e) => e.id === 'j3-abcd').audio).toEqual(memo.audio)
+  })
+
+  it('reads protector and synthesis captures from their current locations', () => {
+    const text = generateTextExport()
+
+    expect(text).toContain('Protector:      The Critic')
+    expect(text).toContain('Focus Changed To:    healing')
+    expect(text).not.toContain('[object Object]')
+  })
+})
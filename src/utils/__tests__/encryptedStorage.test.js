@@ -0,0 +1,153 @@
+/**
+ * Tests for the app lock storage adapter: encrypted round trips, and never
+ * overwriting data that can't be read without the key. Also the blob
+ * sealing used by the IndexedDB blob stores.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { create } from 'zustand'
+import { persist, createJSONStorage } from 'zustand/middleware'
+import {
+  encryptedStorage,
+  setEncryptionRequired,
+  setStorageKey,
+  registerLockedStore,
+  unlockLockedStores,
+  rewriteLockedStores,
+  flushEncryptedStorage,
+  sealBlob,
+  openBlob,
+  registerLockedBlobStore,
+  clearLockedStores,
+} from '../encryptedStorage'
+import { generateDataKey } from '../../services/cryptoService'
+
+// Encrypt a value the way a locked install would have written it
+async function seedEncrypted(name, value) {
+  const key = await generateDataKey()
+  setStorageKey(key)
+  setEncryptionRequired(true)
+  encryptedStorage.setItem(name, value)
+  await flushEncryptedStorage()
+  setStorageKey(null)
+  setEncryptionRequired(false)
+  return key
+}
+
+describe('encryptedStorage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setStorageKey(null)
+    setEncryptionRequired(false)
+  })
+
+  it('reads and writes plaintext synchronously while the lock is off', () => {
+    encryptedStorage.setItem('plain', '{"a":1}')
+    expect(localStorage.getItem('plain')).toBe('{"a":1}')
+    expect(encryptedStorage.getItem('plain')).toBe('{"a":1}')
+  })
+
+  it('encrypts while the lock is on and decrypts with the key', async () => {
+    const key = await seedEncrypted('secret', '{"journal":"dear diary"}')
+
+    const raw = localStorage.getItem('secret')
+    expect(raw.startsWith('{"appLock":1,')).toBe(true)
+    expect(raw).not.toContain('dear diary')
+
+    setStorageKey(key)
+    await expect(encryptedStorage.getItem('secret')).resolves.toBe('{"journal":"dear diary"}')
+  })
+
+  it('keeps only the latest of several queued writes', async () => {
+    setStorageKey(await generateDataKey())
+    setEncryptionRequired(true)
+    encryptedStorage.setItem('burst', '1')
+    encryptedStorage.setItem('burst', '2')
+    encryptedStorage.setItem('burst', '3')
+    await flushEncryptedStorage()
+
+    await expect(encryptedStorage.getItem('burst')).resolves.toBe('3')
+  })
+
+  it('never overwrites encrypted data it could not read', async () => {
+    await seedEncrypted('sealed', '{"entries":["kept"]}')
+    const raw = localStorage.getItem('sealed')
+
+    // No key: reads as empty, and the store's default state must not replace it
+    expect(encryptedStorage.getItem('sealed')).toBeNull()
+    encryptedStorage.setItem('sealed', '{"entries":[]}')
+    await flushEncryptedStorage()
+
+    expect(localStorage.getItem('sealed')).toBe(raw)
+  })
+
+  it('drops writes that need encrypting while there is no key', async () => {
+    setEncryptionRequired(true)
+    localStorage.setItem('launch', 'previous')
+    encryptedStorage.setItem('launch', 'defaults')
+    await flushEncryptedStorage()
+
+    expect(localStorage.getItem('launch')).toBe('previous')
+  })
+
+  it('hydrates a skipped store on unlock and rewrites it in plaintext when turned off', async () => {
+    const key = await seedEncrypted('locked-store', JSON.stringify({ state: { note: 'hello' }, version: 0 }))
+    setEncryptionRequired(true)
+
+    const useStore = create(
+      persist(() => ({ note: '' }), {
+        name: 'locked-store',
+        storage: createJSONStorage(() => encryptedStorage),
+        skipHydration: true,
+      })
+    )
+    registerLockedStore(useStore)
+    expect(useStore.getState().note).toBe('')
+
+    await unlockLockedStores(key)
+    expect(useStore.getState().note).toBe('hello')
+
+    setEncryptionRequired(false)
+    await rewriteLockedStores()
+    expect(JSON.parse(localStorage.getItem('locked-store')).state.note).toBe('hello')
+  })
+})
+
+describe('encrypted blobs', () => {
+  beforeEach(() => {
+    setStorageKey(null)
+    setEncryptionRequired(false)
+  })
+
+  it('stores blobs as-is while the lock is off', async () => {
+    const blob = new Blob([new Uint8Array([1, 2])], { type: 'image/png' })
+    expect(await sealBlob(blob)).toBe(blob)
+    expect(await openBlob(blob)).toBe(blob)
+    expect(await openBlob(undefined)).toBeNull()
+  })
+
+  it('encrypts blobs while the lock is on and needs the key to read them', async () => {
+    const key = await generateDataKey()
+    setStorageKey(key)
+    setEncryptionRequired(true)
+
+    const sealed = await sealBlob(new Blob([new Uint8Array([9, 8, 7])], { type: 'audio/webm' }))
+    expect(sealed).not.toBeInstanceOf(Blob)
+    expect(new Uint8Array(sealed.ciphertext)).not.toEqual(new Uint8Array([9, 8, 7]))
+
+    const opened = await openBlob(sealed)
+    expect(opened.type).toBe('audio/webm')
+    expect(new Uint8Array(await opened.arrayBuffer())).toEqual(new Uint8Array([9, 8, 7]))
+
+    setStorageKey(null)
+    expect(await openBlob(sealed)).toBeNull()
+    await expect(sealBlob(new Blob(['x']))).rejects.toThrow('Unlock the app first')
+  })
+
+  it('erases registered blob stores with the locked stores', async () => {
+    const blobStore = { reseal: async () => {}, clear: vi.fn(async () => {}) }
+    registerLockedBlobStore(blobStore)
+    await clearLockedStores()
+    expect(blobStore.clear).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * Tests for the AI integration summary request, reply formatting and export
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { useSessionStore } from '../../stores/useSessionStore'
+import { useJournalStore } from '../../stores/useJournalStore'
+import { getSessionData, generateTextExport, generateMarkdownExport } from '../downloadSessionData'
+import { buildReportHtml } from '../sessionReport'
+import {
+  INTEGRATION_SUMMARY_TITLE,
+  buildIntegrationSummaryRequest,
+  formatIntegrationSummary,
+  findIntegrationSummary,
+} from '../integrationSummary'
+
+const t0 = new Date('2026-05-01T14:00:00Z').getTime()
+
+const summaryContent = `${INTEGRATION_SUMMARY_TITLE}\n\n## Themes\n- Letting people in\n\n## Suggested follow-up\n- Relationships Reflection — Your sister came up often.`
+
+function seedSession() {
+  const s = useSessionStore.getState()
+  useSessionStore.setState({
+    sessionPhase: 'completed',
+    sessionProfile: { ...s.sessionProfile, holdingQuestion: 'How do I let people in?' },
+    modules: {
+      ...s.modules,
+      history: [
+        { instanceId: 'a', libraryId: 'values-compass', title: 'Values Compass', phase: 'peak', status: 'completed', startedAt: t0 },
+        { instanceId: 'b', libraryId: 'body-scan', title: 'Body Scan', phase: 'peak', status: 'skipped' },
+      ],
+    },
+    transitionData: { ...s.transitionData, commitment: 'Call my sister' },
+  })
+  useJournalStore.setState({
+    entries: [
+      { id: 'j1', content: 'I felt close to my sister Ana', source: 'session', moduleTitle: 'Journaling', createdAt: t0, updatedAt: t0 },
+      { id: 's1', content: summaryContent, source: 'session', moduleTitle: INTEGRATION_SUMMARY_TITLE, createdAt: t0 + 2e6, updatedAt: t0 + 2e6 },
+    ],
+  })
+}
+
+describe('integrationSummary', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+    useJournalStore.getState().clearAllEntries()
+    seedSession()
+  })
+
+  it('builds a request from the intention, activities, reflections and journal', () => {
+    const { systemPrompt, userMessage } = buildIntegrationSummaryRequest(getSessionData())
+
+    expect(systemPrompt).toContain('## Suggested follow-up')
+    expect(systemPrompt).toContain('[relationships-reflection] Relationships Reflection')
+    expect(userMessage).toContain('Intention: "How do I let people in?"')
+    expect(userMessage).toContain('- Values Compass (peak)')
+    expect(userMessage).not.toContain('Body Scan')
+    expect(userMessage).toContain('Something I want to do differently: Call my sister')
+    expect(userMessage).toContain('I felt close to my sister Ana')
+    // Earlier summaries aren't fed back in
+    expect(userMessage).not.toContain('Letting people in')
+  })
+
+  it('swaps module ids for titles and drops unknown modules', () => {
+    const reply = '## Themes\n- Closeness\n\n## Suggested follow-up\n- [relationships-reflection] Your sister came up often.\n- [made-up-module] Nope\n* [body-somatic]: Listen in'
+    expect(formatIntegrationSummary(reply)).toBe(
+      '## Themes\n- Closeness\n\n## Suggested follow-up\n- Relationships Reflection — Your sister came up often.\n* Body & Somatic Awareness — Listen in'
+    )
+  })
+
+  it('finds the latest saved summary', () => {
+    const older = { id: 'old', content: 'Older', moduleTitle: INTEGRATION_SUMMARY_TITLE, createdAt: t0 + 1e6 }
+    expect(findIntegrationSummary([older, ...useJournalStore.getState().entries]).id).toBe('s1')
+    expect(findIntegrationSummary([])).toBeNull()
+  })
+
+  it('renders the latest summary as its own section in every export', () => {
+    const data = getSessionData()
+
+    const text = generateTextExport(data)
+    expect(text).toContain('INTEGRATION SUMMARY')
+    expect(text).toContain('  - Letting people in')
+    expect(text.match(/Letting people in/g)).toHaveLength(1)
+
+    const markdown = generateMarkdownExport(data)
+    expect(markdown).toContain('## Integration Summary')
+    expect(markdown).toContain('### Themes')
+    expect(markdown.match(/Letting people in/g)).toHaveLength(1)
+
+    const html = buildReportHtml(data)
+    expect(html).toContain('<h2>Integration Summary</h2>')
+    expect(html).toContain('<h3>Suggested follow-up</h3>')
+    expect(html.match(/Letting people in/g)).toHaveLength(1)
+  })
+})
@@ -0,0 +1,90 @@
+/**
+ * Tests for journal revisions: burst grouping, the bounded log that never
+ * drops the original, and the side-by-side diff
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  recordRevision,
+  compactRevisions,
+  diffEntryVersions,
+  REVISION_GAP_MS,
+  MAX_REVISIONS,
+} from '../journalRevisions'
+
+const START = new Date('2026-03-14T10:00:00').getTime()
+
+function entry(content, updatedAt, revisions = [], source = 'session') {
+  return { id: 'e', content, source, createdAt: START, updatedAt, revisions }
+}
+
+describe('recordRevision', () => {
+  it('snapshots the original on the first edit', () => {
+    expect(recordRevision(entry('first', START), 'second', START + 1000)).toEqual([
+      { content: 'first', savedAt: START },
+    ])
+  })
+
+  it('treats a new manual entry as still being written until its first burst ends', () => {
+    // The editor creates the entry on its first autosave, then keeps updating it
+    let current = entry('I fe', START, [], 'manual')
+    // Still typing past the window, with no long pause, is still writing it
+    const steps = [['I felt', START + 500], ['I felt held', START + 4 * 60 * 1000], ['I felt held today.', START + 8 * 60 * 1000]]
+    for (const [text, at] of steps) {
+      current = { ...current, content: text, updatedAt: at, revisions: recordRevision(current, text, at) }
+    }
+    expect(current.revisions).toEqual([])
+
+    // Coming back later is an edit, and the finished text is the original
+    const later = START + 8 * 60 * 1000 + REVISION_GAP_MS
+    expect(recordRevision(current, 'I felt safe today.', later)).toEqual([
+      { content: 'I felt held today.', savedAt: START + 8 * 60 * 1000 },
+    ])
+  })
+
+  it('collapses an editing burst into one revision', () => {
+    const revisions = [{ content: 'first', savedAt: START }]
+    const midBurst = entry('second', START + 1000, revisions)
+    expect(recordRevision(midBurst, 'third', START + 2000)).toBe(revisions)
+
+    const later = entry('third', START + 2000, revisions)
+    expect(recordRevision(later, 'fourth', START + 2000 + REVISION_GAP_MS).map((r) => r.content)).toEqual(['first', 'third'])
+  })
+
+  it('ignores saves that change nothing and forces a snapshot when asked', () => {
+    const revisions = [{ content: 'first', savedAt: START }]
+    expect(recordRevision(entry('same', START + 1000, revisions), 'same', START + REVISION_GAP_MS * 2)).toBe(revisions)
+    expect(recordRevision(entry('second', START + 1000, revisions), 'first', START + 2000, { force: true })).toHaveLength(2)
+  })
+})
+
+describe('compactRevisions', () => {
+  it('keeps the original and drops the most crowded revisions first', () => {
+    const revisions = Array.from({ length: MAX_REVISIONS + 1 }, (_, i) => ({
+      content: `v${i}`,
+      savedAt: START + i * REVISION_GAP_MS * 10,
+    }))
+    // v5 sits right before v6, so it's the closest pair
+    revisions[5].savedAt = revisions[6].savedAt - 1000
+
+    const compacted = compactRevisions(revisions)
+    expect(compacted).toHaveLength(MAX_REVISIONS)
+    expect(compacted[0].content).toBe('v0')
+    expect(compacted.map((r) => r.content)).not.toContain('v5')
+  })
+})
+
+describe('diffEntryVersions', () => {
+  it('pairs changed lines with word highlights and keeps unpaired lines on one side', () => {
+    const rows = diffEntryVersions('I felt safe\nThe music\nGone line', 'I felt held\nThe music\nNew line\nAnother')
+    expect(rows.map((r) => r.type)).toEqual(['changed', 'same', 'changed', 'added'])
+
+    expect(rows[0].left).toEqual([
+      { text: 'I ', changed: false },
+      { text: 'felt ', changed: false },
+      { text: 'safe', changed: true },
+    ])
+    expect(rows[0].right[2]).toEqual({ text: 'held', changed: true })
+    expect(rows[3]).toEqual({ type: 'added', left: null, right: [{ text: 'Another', changed: true }] })
+  })
+})
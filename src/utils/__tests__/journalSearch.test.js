@@ -0,0 +1,116 @@
+/**
+ * Tests for journal search: indexing live and archived entries, prefix
+ * matching, facets and filters, phase auto-tags, and highlighting
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildJournalIndex,
+  searchJournalIndex,
+  getJournalFacets,
+  getEntryPhase,
+  getHighlightSegments,
+  getMatchSnippet,
+  normalizeTag,
+} from '../journalSearch'
+
+const HOUR = 60 * 60 * 1000
+const START = new Date('2026-03-14T10:00:00').getTime()
+
+const sessionState = {
+  timeline: {
+    phases: {
+      comeUp: { startedAt: START },
+      peak: { startedAt: START + HOUR },
+      integration: { startedAt: START + 3 * HOUR },
+    },
+  },
+  session: { closedAt: START + 5 * HOUR },
+}
+
+function entry(id, content, fields = {}) {
+  const createdAt = fields.createdAt ?? START
+  return {
+    id,
+    content,
+    title: content.split('\n')[0],
+    preview: '',
+    source: 'session',
+    moduleTitle: null,
+    hasImage: false,
+    tags: [],
+    updatedAt: createdAt,
+    ...fields,
+    createdAt,
+  }
+}
+
+const live = [
+  entry('a', 'Breathing felt easy\nThe room was warm', { moduleTitle: 'Body Scan', createdAt: START + 2 * HOUR, tags: ['calm'] }),
+  entry('b', 'A note before the session', { source: 'manual', createdAt: START - HOUR }),
+  entry('c', 'Integration thoughts about my mother', { createdAt: START + 4 * HOUR, hasImage: true }),
+]
+
+const archives = [{
+  sessionId: 'old',
+  archivedAt: START - 30 * 24 * HOUR,
+  sessionState: null,
+  journalEntries: [entry('z', 'Old breath work notes', { moduleTitle: 'Body Scan', createdAt: START - 31 * 24 * HOUR })],
+}]
+
+describe('journal search', () => {
+  const index = buildJournalIndex({ entries: live, sessionState, archives })
+
+  it('matches every query word as a word prefix, across live and archived entries', () => {
+    const { results, terms } = searchJournalIndex(index, 'breath')
+    expect(results.map((d) => d.key)).toEqual(['a', 'old/z'])
+    expect(terms).toEqual(['breath'])
+
+    expect(searchJournalIndex(index, 'breath old').results.map((d) => d.key)).toEqual(['old/z'])
+    expect(searchJournalIndex(index, 'reath').results).toEqual([])
+  })
+
+  it('searches tags and module titles', () => {
+    expect(searchJournalIndex(index, 'calm').results.map((d) => d.key)).toEqual(['a'])
+    expect(searchJournalIndex(index, 'scan').results).toHaveLength(2)
+  })
+
+  it('filters by module, phase, tag, image and date range', () => {
+    const keys = (filters) => searchJournalIndex(index, '', filters).results.map((d) => d.key)
+    expect(keys({ module: 'Body Scan' })).toEqual(['a', 'old/z'])
+    expect(keys({ phase: 'peak' })).toEqual(['a'])
+    expect(keys({ tag: 'calm' })).toEqual(['a'])
+    expect(keys({ hasImage: true })).toEqual(['c'])
+    expect(keys({ from: '2026-03-01', to: '2026-03-14' })).toEqual(['c', 'a', 'b'])
+  })
+
+  it('derives phases and auto-tags from the session timeline', () => {
+    expect(getEntryPhase(live[0], sessionState)).toBe('peak')
+    expect(getEntryPhase(live[1], sessionState)).toBeNull()
+    expect(getEntryPhase(entry('x', 'x', { createdAt: START - HOUR }), sessionState)).toBe('pre-session')
+    expect(getEntryPhase(entry('x', 'x', { createdAt: START + 6 * HOUR }), sessionState)).toBe('follow-up')
+
+    expect(index.docs.find((d) => d.key === 'a').autoTags).toEqual(['Body Scan', 'Peak'])
+    expect(getJournalFacets(index)).toEqual({
+      modules: ['Body Scan'],
+      phases: ['pre-session', 'peak', 'integration'],
+      tags: ['calm'],
+    })
+  })
+
+  it('highlights word-start matches and snips content around the first one', () => {
+    expect(getHighlightSegments('Breathing, unbreathing', ['breath'])).toEqual([
+      { text: 'Breath', match: true },
+      { text: 'ing, unbreathing', match: false },
+    ])
+    const long = entry('l', `${'word '.repeat(40)}mother ${'word '.repeat(40)}`)
+    const snippet = getMatchSnippet(long, ['mother'])
+    expect(snippet).toContain('mother')
+    expect(snippet.startsWith('…')).toBe(true)
+    expect(snippet.endsWith('…')).toBe(true)
+  })
+
+  it('normalizes tags', () => {
+    expect(normalizeTag('  #Inner   Child ')).toBe('inner child')
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Tests for PII redaction of AI requests and rehydration of replies
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createRedactor, getKnownEntities, redactOutgoing } from '../piiRedaction'
+
+const sessionState = {
+  sessionProfile: {
+    holdingQuestion: 'How do I make peace with my brother Tomás?',
+    emergencyContactDetails: { name: 'Sam Rivera', phone: '(555) 123-4567', notes: 'Lives at 42 Elm Street' },
+  },
+}
+
+describe('createRedactor', () => {
+  it('replaces the emergency contact, phones, emails and addresses', () => {
+    const redactor = createRedactor({ known: getKnownEntities(sessionState) })
+    const { text, count } = redactor.redact(
+      'Sam Rivera is on 555-123-4567. Sam said to email me at jo.doe@example.com or visit 42 Elm Street. Ingested 2026-06-01.'
+    )
+
+    expect(text).toBe(
+      '[CONTACT_NAME] is on [CONTACT_PHONE]. [CONTACT_FIRST_NAME] said to email me at [EMAIL_1] or visit [LOCATION_1]. Ingested 2026-06-01.'
+    )
+    expect(count).toBe(5)
+  })
+
+  it('redacts phone-like groupings but not runs of other numbers', () => {
+    const redactor = createRedactor()
+    expect(redactor.redact('Call +44 20 7946 0958, 06 12 34 56 78 or 07700 900123').text)
+      .toBe('Call [PHONE_1], [PHONE_2] or [PHONE_3]')
+    expect(redactor.redact('Breathing counts 10 10 10 10, then 4 7 8 4 7 8 and 100 200 300 400').text)
+      .toBe('Breathing counts 10 10 10 10, then 4 7 8 4 7 8 and 100 200 300 400')
+  })
+
+  it('learns cued names and places and reuses them everywhere', () => {
+    const redactor = createRedactor()
+    expect(redactor.redact('I called my sister Ana. I live in Porto now.').text)
+      .toBe('I called my sister [NAME_1]. I live in [LOCATION_1] now.')
+    expect(redactor.redact('Ana says hi from Porto').text).toBe('[NAME_1] says hi from [LOCATION_1]')
+
+    // Only cued, capitalized words are learned
+    expect(redactor.redact('I hope my friend, The one I mentioned, is ok. I hope to visit soon').text)
+      .toBe('I hope my friend, The one I mentioned, is ok. I hope to visit soon')
+  })
+
+  it('keeps placeholders stable across turns through saved entries', () => {
+    const first = createRedactor()
+    first.redact('My partner Lee and my friend Kai')
+    const saved = first.getEntries()
+
+    const next = createRedactor({ entries: saved })
+    expect(next.redact('Kai, then my dad Otto').text).toBe('[NAME_2], then my dad [NAME_3]')
+  })
+
+  it('leaves app text alone unless a value was already learned', () => {
+    const redactor = createRedactor()
+    expect(redactor.redact('You are staying in Peak phase with my friend Joy', { userText: false }).text)
+      .toBe('You are staying in Peak phase with my friend Joy')
+  })
+
+  it('rehydrates replies, including placeholders split across stream chunks', () => {
+    const redactor = createRedactor({ known: getKnownEntities(sessionState) })
+    redactor.redact('my sister Ana')
+
+    const stream = redactor.createStreamRehydrator()
+    const chunks = ['You could call [CONT', 'ACT_FIRST', '_NAME] or write to [NAM', 'E_1]. [Note', ': unknown [X_9]']
+    const shown = chunks.map((c) => stream.push(c)).join('') + stream.flush()
+
+    expect(shown).toBe('You could call Sam or write to Ana. [Note: unknown [X_9]')
+    expect(redactor.rehydrateDeep({ content: 'Dear [NAME_1]', tags: ['[CONTACT_NAME]'] }))
+      .toEqual({ content: 'Dear Ana', tags: ['Sam Rivera'] })
+  })
+})
+
+describe('redactOutgoing', () => {
+  it('redacts the prompt and every message, learning from the journal and intention first', () => {
+    const journalState = { entries: [{ content: 'Talked with my friend Priya about Tomás' }] }
+    const systemPrompt = 'Holding question: "How do I make peace with my brother Tomás?"\n- Emergency Contact: Name: Sam Rivera | Phone: (555) 123-4567 | Notes: Lives at 42 Elm Street\nJournal: Talked with my friend Priya about Tomás'
+
+    const outgoing = redactOutgoing({
+      systemPrompt,
+      messages: [
+        { role: 'user', content: 'Priya is here with me' },
+        { role: 'assistant', content: 'That sounds supportive.' },
+        { role: 'user', content: 'Can I text Sam?' },
+      ],
+      sessionState,
+      journalState,
+    })
+
+    expect(outgoing.messages.map((m) => m.content)).toEqual([
+      '[NAME_2] is here with me',
+      'That sounds supportive.',
+      'Can I text [CONTACT_FIRST_NAME]?',
+    ])
+    for (const secret of ['Tomás', 'Sam', '555', 'Elm', 'Priya']) {
+      expect(outgoing.systemPrompt).not.toContain(secret)
+    }
+    expect(outgoing.count).toBeGreaterThan(6)
+  })
+})
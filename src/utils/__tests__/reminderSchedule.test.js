@@ -0,0 +1,89 @@
+/**
+ * Tests for the reminder schedule derived from session state
+ */
+
+import { describe, it, expect } from 'vitest'
+import { buildReminderSchedule, HYDRATION_INTERVAL_MINUTES } from '../reminderSchedule'
+
+const MINUTE = 60 * 1000
+const ingestionTime = new Date('2026-06-01T18:00:00Z').getTime()
+
+const ALL_ENABLED = { hydration: true, booster: true, comeUpCheckIn: true, followUp: true }
+
+function activeSession(overrides = {}) {
+  return {
+    sessionPhase: 'active',
+    substanceChecklist: { ingestionTime },
+    timeline: { currentPhase: 'come-up' },
+    booster: { considerBooster: false, status: 'pending', nextPromptAt: null },
+    comeUpCheckIn: { responses: [], nextPromptAt: null },
+    followUp: { phaseUnlockTime: null },
+    ...overrides,
+  }
+}
+
+describe('buildReminderSchedule', () => {
+  it('only includes reminder types the user opted into', () => {
+    const sessionState = activeSession({ booster: { considerBooster: true, status: 'pending' } })
+
+    const reminders = buildReminderSchedule({ sessionState, enabled: { booster: true }, now: ingestionTime })
+
+    expect(reminders.map((r) => r.type)).toEqual(['booster'])
+    expect(buildReminderSchedule({ sessionState, enabled: {}, now: ingestionTime })).toEqual([])
+  })
+
+  it('spaces water reminders through the session and drops ones already past', () => {
+    const now = ingestionTime + 100 * MINUTE
+    const reminders = buildReminderSchedule({ sessionState: activeSession(), enabled: { hydration: true }, now })
+
+    expect(reminders.length).toBeGreaterThan(0)
+    expect(reminders.every((r) => r.fireAt > now)).toBe(true)
+    expect(reminders[1].fireAt - reminders[0].fireAt).toBe(HYDRATION_INTERVAL_MINUTES * MINUTE)
+    expect(new Set(reminders.map((r) => r.id)).size).toBe(reminders.length)
+  })
+
+  it('follows the booster prompt timing, including fully-arrived and snooze', () => {
+    const booster = { considerBooster: true, status: 'pending' }
+    const floor = buildReminderSchedule({ sessionState: activeSession({ booster }), enabled: ALL_ENABLED, now: ingestionTime })
+      .find((r) => r.type === 'booster')
+    expect(floor.fireAt).toBe(ingestionTime + 90 * MINUTE)
+
+    const comeUpCheckIn = { responses: [{ response: 'fully-arrived', minutesSinceIngestion: 40 }] }
+    const arrived = buildReminderSchedule({ sessionState: activeSession({ booster, comeUpCheckIn }), enabled: ALL_ENABLED, now: ingestionTime })
+      .find((r) => r.type === 'booster')
+    expect(arrived.fireAt).toBe(ingestionTime + 70 * MINUTE)
+
+    const snoozed = { considerBooster: true, status: 'snoozed', nextPromptAt: ingestionTime + 100 * MINUTE }
+    const resumed = buildReminderSchedule({ sessionState: activeSession({ booster: snoozed }), enabled: ALL_ENABLED, now: ingestionTime + 95 * MINUTE })
+      .find((r) => r.type === 'booster')
+    expect(resumed.fireAt).toBe(snoozed.nextPromptAt)
+
+    const taken = buildReminderSchedule({ sessionState: activeSession({ booster: { considerBooster: true, status: 'taken' } }), enabled: ALL_ENABLED, now: ingestionTime })
+    expect(taken.some((r) => r.type === 'booster')).toBe(false)
+  })
+
+  it('schedules the come-up re-prompt and the follow-up unlock only in their phases', () => {
+    const nextPromptAt = ingestionTime + 20 * MINUTE
+    const comeUp = buildReminderSchedule({
+      sessionState: activeSession({ comeUpCheckIn: { responses: [], nextPromptAt } }),
+      enabled: { comeUpCheckIn: true },
+      now: ingestionTime,
+    })
+    expect(comeUp).toEqual([expect.objectContaining({ type: 'comeUpCheckIn', fireAt: nextPromptAt })])
+
+    const atPeak = buildReminderSchedule({
+      sessionState: activeSession({ timeline: { currentPhase: 'peak' }, comeUpCheckIn: { responses: [], nextPromptAt } }),
+      enabled: { comeUpCheckIn: true },
+      now: ingestionTime,
+    })
+    expect(atPeak).toEqual([])
+
+    const phaseUnlockTime = ingestionTime + 14 * 60 * MINUTE
+    const completed = buildReminderSchedule({
+      sessionState: { sessionPhase: 'completed', followUp: { phaseUnlockTime } },
+      enabled: ALL_ENABLED,
+      now: ingestionTime + 6 * 60 * MINUTE,
+    })
+    expect(completed).toEqual([expect.objectContaining({ type: 'followUp', fireAt: phaseUnlockTime })])
+  })
+})
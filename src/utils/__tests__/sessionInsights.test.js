@@ -0,0 +1,100 @@
+/**
+ * Tests for longitudinal session insights
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { computeInsights, collectInsightSessions } from '../sessionInsights'
+import { getSessionData } from '../downloadSessionData'
+import { useSessionStore, SESSION_STORE_VERSION } from '../../stores/useSessionStore'
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore'
+import { useJournalStore } from '../../stores/useJournalStore'
+
+const DAY = 24 * 60 * 60 * 1000
+const t0 = new Date('2026-01-01T14:00:00Z').getTime()
+
+function sessionState(overrides) {
+  const base = useSessionStore.getState()
+  return {
+    ...base,
+    sessionPhase: 'completed',
+    ...overrides,
+  }
+}
+
+function insightSession(sessionId, state, journalEntries = []) {
+  return { sessionId, isCurrent: false, data: getSessionData({ sessionState: state, journalEntries }) }
+}
+
+describe('sessionInsights', () => {
+  beforeEach(() => {
+    useSessionStore.getState().resetSession()
+    useJournalStore.getState().clearAllEntries()
+    useSessionHistoryStore.setState({ sessions: [] })
+  })
+
+  it('aggregates dosage, spacing, activities, helper categories, and come-up', () => {
+    const base = useSessionStore.getState()
+    const sessions = [
+      insightSession('b', sessionState({
+        sessionProfile: { plannedDosageMg: 100 },
+        substanceChecklist: { ingestionTime: t0 + 20 * DAY },
+        booster: { ...base.booster, status: 'skipped' },
+        modules: { items: [], history: [{ libraryId: 'felt-sense', title: 'Felt Sense', phase: 'peak', status: 'skipped' }] },
+      }), [
+        { id: 'h1', moduleTitle: 'Helper Modal', content: 'HELPER MODAL\n\nCategory: Grief\nActivity chosen: X', createdAt: 1 },
+      ]),
+      insightSession('a', sessionState({
+        sessionProfile: { plannedDosageMg: 120 },
+        substanceChecklist: { ingestionTime: t0 },
+        booster: { ...base.booster, status: 'taken', boosterDoseMg: 60 },
+        comeUpCheckIn: { responses: [{ minutesSinceIngestion: 30, response: 'starting' }, { minutesSinceIngestion: 55, response: 'fully-arrived' }] },
+        modules: { items: [], history: [{ libraryId: 'felt-sense', title: 'Felt Sense', phase: 'peak', status: 'completed' }] },
+      }), [
+        { id: 'h2', moduleTitle: 'Helper Modal', content: 'HELPER MODAL\n\nCategory: Grief', createdAt: 1 },
+        { id: 'h3', moduleTitle: 'Helper Modal', content: 'HELPER MODAL\n\nEmergency action: Call', createdAt: 2 },
+      ]),
+    ]
+
+    const insights = computeInsights(sessions, t0 + 30 * DAY)
+
+    expect(insights.doses.map((d) => [d.sessionId, d.initialMg, d.boosterMg])).toEqual([['a', 120, 60], ['b', 100, null]])
+    expect(insights.intervals).toHaveLength(1)
+    expect(insights.intervals[0].days).toBe(20)
+    expect(insights.spacing).toMatchObject({ shortestDays: 20, belowMinimum: 1, belowRecommended: 1, daysSinceLast: 10 })
+    expect(insights.modules).toEqual([{ libraryId: 'felt-sense', title: 'Felt Sense', completed: 1, skipped: 1 }])
+    expect(insights.helperCategories).toEqual([{ label: 'Grief', count: 2 }])
+    expect(insights.comeUp).toHaveLength(1)
+    expect(insights.comeUp[0].arrivedAtMinutes).toBe(55)
+  })
+
+  it('counts themes once per session, case-insensitively', () => {
+    const base = useSessionStore.getState()
+    const compass = (texts) => ({
+      ...base.transitionCaptures,
+      valuesCompass: { quadrants: { q1: texts.map((text) => ({ text })), q2: [], q3: [], q4: [] } },
+    })
+    const sessions = [
+      insightSession('a', sessionState({ transitionCaptures: compass(['Family', 'family']), transitionData: { ...base.transitionData, oneWord: 'Open' } })),
+      insightSession('b', sessionState({ transitionCaptures: compass(['family', 'work']), transitionData: { ...base.transitionData, oneWord: 'open' } })),
+    ]
+
+    const { themes } = computeInsights(sessions)
+
+    expect(themes.values).toEqual([{ value: 'Family', sessions: 2 }, { value: 'work', sessions: 1 }])
+    expect(themes.oneWords).toEqual([{ value: 'Open', sessions: 2 }])
+  })
+
+  it('collects readable archives and the live session, skipping archives too old to migrate', () => {
+    useSessionHistoryStore.setState({
+      sessions: [
+        { sessionId: 'new', version: SESSION_STORE_VERSION, sessionState: sessionState({}), journalEntries: [] },
+        { sessionId: 'ancient', version: 1, sessionState: {}, journalEntries: [] },
+      ],
+    })
+    useSessionStore.setState({ sessionId: 'live', sessionPhase: 'active' })
+
+    const collected = collectInsightSessions()
+
+    expect(collected.map((s) => [s.sessionId, s.isCurrent])).toEqual([['new', false], ['live', true]])
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Tests for the printable integration report
+ * IndexedDB isn't available in jsdom, so image storage is mocked.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../imageStorage', () => ({
+  getImage: vi.fn(async () => null),
+  getArchivedImage: vi.fn(async () => new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' })),
+}))
+
+import { getArchivedImage } from '../imageStorage'
+import { buildReportHtml, printSessionReport } from '../sessionReport'
+import { getSessionData } from '../downloadSessionData'
+import { useSessionStore, SESSION_STORE_VERSION } from '../../stores/useSessionStore'
+
+const t0 = new Date('2026-05-01T14:00:00Z').getTime()
+
+function buildData() {
+  const base = useSessionStore.getState()
+  return getSessionData({
+    sessionState: {
+      ...base,
+      sessionProfile: { holdingQuestion: 'What am I <protecting>?', touchstone: 'soft', plannedDosageMg: 110 },
+      substanceChecklist: { ingestionTime: t0 },
+      session: { finalDurationSeconds: 5 * 3600 },
+      modules: {
+        items: [],
+        history: [
+          { instanceId: 'a', libraryId: 'values-compass', title: 'Values Compass', phase: 'peak', status: 'completed', startedAt: t0 },
+        ],
+      },
+      transitionCaptures: {
+        ...base.transitionCaptures,
+        valuesCompass: { quadrants: { q1: [{ text: 'family' }], q2: [], q3: [], q4: [] } },
+      },
+      transitionData: { ...base.transitionData, oneWord: 'open', selfGratitude: 'I stayed' },
+      lifeGraph: { milestones: [{ label: 'Moved away', rating: 3 }] },
+    },
+    journalEntries: [
+      { id: 'vc', content: 'Compass', source: 'session', moduleTitle: 'Values Compass', hasImage: true, createdAt: t0 },
+      { id: 'lg', content: 'LIFE GRAPH', source: 'session', moduleTitle: 'Life Graph', hasImage: true, createdAt: t0 - 1 },
+      { id: 'm1', content: 'PRE-SESSION\n\nSetting up', source: 'session', createdAt: t0 - 2 },
+    ],
+  })
+}
+
+describe('sessionReport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('renders intention, captures, transitions, and closing reflections', () => {
+    const html = buildReportHtml(buildData())
+
+    expect(html).toContain('What am I &lt;protecting&gt;?')
+    expect(html).toContain('<p>5 hours</p>')
+    expect(html).not.toContain('N/A')
+    expect(html).toContain('<dt>What Matters</dt><dd>family</dd>')
+    expect(html).toContain('<dd>open</dd>')
+    expect(html).toContain('I stayed')
+    expect(html).toContain('Moved away (3/10)')
+    expect(html).toContain('Setting up')
+    expect(html).not.toContain('PRE-SESSION')
+  })
+
+  it('places images with their activity and the life graph', () => {
+    const html = buildReportHtml(buildData(), { vc: 'data:image/png;base64,VkM=', lg: 'data:image/png;base64,TEc=' })
+
+    const activities = html.slice(html.indexOf('<h2>Activities</h2>'), html.indexOf('<h2>Transitions</h2>'))
+    const lifeGraph = html.slice(html.indexOf('<h2>Life Graph</h2>'))
+    expect(activities).toContain('data:image/png;base64,VkM=')
+    expect(lifeGraph).toContain('data:image/png;base64,TEc=')
+    // Images shown in place aren't repeated in the journal section
+    expect(html.match(/VkM=/g)).toHaveLength(1)
+  })
+
+  it('reads archived session images from the archive namespace', async () => {
+    const archive = {
+      sessionId: 'past',
+      version: SESSION_STORE_VERSION,
+      sessionState: useSessionStore.getState(),
+      journalEntries: [{ id: 'e1', content: 'x', hasImage: true, createdAt: t0 }],
+    }
+    // jsdom can't print, so stand in for the frame's window
+    const print = vi.fn()
+    vi.spyOn(document.body, 'appendChild').mockImplementation((node) => {
+      Object.defineProperty(node, 'contentWindow', { value: { addEventListener: vi.fn(), focus: vi.fn(), print } })
+      node.onload()
+      return node
+    })
+
+    await printSessionReport({ archive })
+
+    expect(getArchivedImage).toHaveBeenCalledWith('past', 'e1')
+    expect(print).toHaveBeenCalled()
+    vi.restoreAllMocks()
+  })
+
+  it('refuses archives too old to migrate', async () => {
+    const archive = { sessionId: 'ancient', version: 1, sessionState: {}, journalEntries: [] }
+    await expect(printSessionReport({ archive })).rejects.toThrow(/older version/)
+  })
+})
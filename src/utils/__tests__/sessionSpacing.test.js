@@ -0,0 +1,77 @@
+/**
+ * Tests for the intake session-spacing safeguard
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { assessSessionSpacing, getLastRecordedIngestion, shouldWarnAboutSpacing } from '../sessionSpacing'
+import { getSpacingMessage, getSpacingReasons, getSpacingSources } from '../../content/intake/sessionSpacing'
+import { useSessionHistoryStore } from '../../stores/useSessionHistoryStore'
+
+const DAY = 24 * 60 * 60 * 1000
+const now = new Date('2026-06-01T12:00:00Z').getTime()
+
+describe('sessionSpacing', () => {
+  beforeEach(() => {
+    useSessionHistoryStore.setState({ sessions: [] })
+  })
+
+  it('finds the latest recorded ingestion, skipping the excluded session', () => {
+    useSessionHistoryStore.setState({
+      sessions: [
+        { sessionId: 'a', metadata: { startedAt: now - 200 * DAY } },
+        { sessionId: 'b', metadata: {}, sessionState: { substanceChecklist: { ingestionTime: now - 50 * DAY } } },
+        { sessionId: 'live', metadata: { startedAt: now - 1 * DAY } },
+      ],
+    })
+
+    expect(getLastRecordedIngestion({ excludeSessionId: 'live' })).toBe(now - 50 * DAY)
+    expect(getLastRecordedIngestion()).toBe(now - 1 * DAY)
+  })
+
+  it('uses the self-reported answer when there is no history', () => {
+    expect(assessSessionSpacing({ lastMDMAUse: 'more-than-3-months', lastIngestionAt: null, now }))
+      .toMatchObject({ level: 'ok', daysSinceLast: null, mismatch: false })
+    expect(assessSessionSpacing({ lastMDMAUse: '1-3-months', lastIngestionAt: null, now }).level).toBe('recent')
+    expect(assessSessionSpacing({ lastMDMAUse: 'unsure', lastIngestionAt: null, now }).level).toBeNull()
+  })
+
+  it('flags answers that understate the recorded interval', () => {
+    const assessment = assessSessionSpacing({ lastMDMAUse: 'more-than-3-months', lastIngestionAt: now - 20 * DAY, now })
+
+    expect(assessment).toMatchObject({ level: 'very-recent', daysSinceLast: 20, recordedLevel: 'very-recent', mismatch: true })
+    expect(shouldWarnAboutSpacing(assessment)).toBe(true)
+    expect(getSpacingMessage(assessment).title).toBe('Important Safety Information')
+  })
+
+  it('treats "first time" with recorded history as a mismatch even when spacing is fine', () => {
+    const assessment = assessSessionSpacing({ lastMDMAUse: 'first-time', lastIngestionAt: now - 120 * DAY, now })
+
+    expect(assessment).toMatchObject({ level: 'ok', mismatch: true })
+    expect(shouldWarnAboutSpacing(assessment)).toBe(true)
+    expect(getSpacingMessage(assessment).title).toBe('A Quick Check')
+  })
+
+  it('keeps the stricter answer when it is more cautious than the history', () => {
+    const assessment = assessSessionSpacing({ lastMDMAUse: 'less-than-1-month', lastIngestionAt: now - 100 * DAY, now })
+
+    expect(assessment).toMatchObject({ level: 'very-recent', recordedLevel: 'ok', mismatch: false })
+  })
+
+  it('falls back to history for "unsure" and does not warn when well spaced', () => {
+    expect(assessSessionSpacing({ lastMDMAUse: 'unsure', lastIngestionAt: now - 45 * DAY, now }))
+      .toMatchObject({ level: 'recent', mismatch: false })
+    expect(shouldWarnAboutSpacing(assessSessionSpacing({ lastMDMAUse: 'more-than-3-months', lastIngestionAt: now - 95 * DAY, now })))
+      .toBe(false)
+  })
+
+  it('explains the reasoning and cites sources', () => {
+    const lastIngestionAt = now - 20 * DAY
+    const assessment = assessSessionSpacing({ lastMDMAUse: 'more-than-3-months', lastIngestionAt, now })
+    const reasons = getSpacingReasons(assessment, 'more-than-3-months', lastIngestionAt)
+
+    expect(reasons[0]).toMatch(/20 days ago/)
+    expect(reasons[1]).toBe('You answered: more than 3 months ago.')
+    expect(reasons).toHaveLength(3)
+    expect(getSpacingSources().map((s) => s.name)).toContain('David Nutt')
+  })
+})
@@ -0,0 +1,101 @@
+/**
+ * Tests for the sketch stroke model: pressure handling, undoable clears,
+ * and how strokes are drawn onto a canvas context
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  SKETCH_BRUSHES,
+  DEFAULT_PRESSURE,
+  getPointPressure,
+  getStrokeWidth,
+  getVisibleStrokes,
+  drawStroke,
+} from '../sketchStrokes'
+
+// Records the calls drawStroke makes, and the state at each stroke()
+function mockContext() {
+  const calls = []
+  const ctx = {
+    calls,
+    save: () => calls.push('save'),
+    restore: () => calls.push('restore'),
+    beginPath: () => calls.push('beginPath'),
+    moveTo: () => {},
+    lineTo: () => {},
+    arc: () => calls.push('arc'),
+    fill: () => calls.push('fill'),
+    stroke: () => calls.push({
+      stroke: ctx.lineWidth,
+      composite: ctx.globalCompositeOperation,
+      alpha: ctx.globalAlpha,
+    }),
+  }
+  return ctx
+}
+
+const line = (brush, pressures) => ({
+  brush,
+  color: '#3A3A3A',
+  points: pressures.map((pressure, i) => ({ x: i / 10, y: 0.5, pressure })),
+})
+
+describe('getPointPressure', () => {
+  it('uses the default for mice and devices that report no pressure', () => {
+    expect(getPointPressure({ pointerType: 'mouse', pressure: 1 })).toBe(DEFAULT_PRESSURE)
+    expect(getPointPressure({ pointerType: 'touch', pressure: 0 })).toBe(DEFAULT_PRESSURE)
+    expect(getPointPressure({ pointerType: 'pen', pressure: 0.8 })).toBe(0.8)
+  })
+})
+
+describe('getStrokeWidth', () => {
+  it('scales pressure brushes around their nominal width', () => {
+    const pen = SKETCH_BRUSHES.pen
+    expect(getStrokeWidth(pen, DEFAULT_PRESSURE)).toBeCloseTo(pen.width)
+    expect(getStrokeWidth(pen, 0)).toBeLessThan(pen.width)
+    expect(getStrokeWidth(pen, 1)).toBeGreaterThan(pen.width)
+  })
+
+  it('keeps fixed-width brushes fixed', () => {
+    expect(getStrokeWidth(SKETCH_BRUSHES.marker, 1)).toBe(SKETCH_BRUSHES.marker.width)
+  })
+})
+
+describe('getVisibleStrokes', () => {
+  it('hides strokes before the last clear, and undoing the clear brings them back', () => {
+    const a = line('pen', [0.5, 0.5])
+    const b = line('pen', [0.5, 0.5])
+    const strokes = [a, { clear: true }, b]
+    expect(getVisibleStrokes(strokes)).toEqual([b])
+    expect(getVisibleStrokes(strokes.slice(0, 1))).toEqual([a])
+  })
+})
+
+describe('drawStroke', () => {
+  it('draws pressure brushes segment by segment with varying width', () => {
+    const ctx = mockContext()
+    drawStroke(ctx, line('pen', [0.2, 0.6, 1]), 100, 100)
+    const widths = ctx.calls.filter((c) => c.stroke).map((c) => c.stroke)
+    expect(widths).toHaveLength(2)
+    expect(widths[1]).toBeGreaterThan(widths[0])
+  })
+
+  it('draws translucent brushes as one path', () => {
+    const ctx = mockContext()
+    drawStroke(ctx, line('marker', [0.5, 0.5, 0.5]), 100, 100)
+    const strokes = ctx.calls.filter((c) => c.stroke)
+    expect(strokes).toEqual([{ stroke: SKETCH_BRUSHES.marker.width, composite: 'source-over', alpha: SKETCH_BRUSHES.marker.alpha }])
+  })
+
+  it('erases rather than paints with the eraser', () => {
+    const ctx = mockContext()
+    drawStroke(ctx, line('eraser', [0.5, 0.5]), 100, 100)
+    expect(ctx.calls.find((c) => c.stroke).composite).toBe('destination-out')
+  })
+
+  it('leaves a dot for a tap', () => {
+    const ctx = mockContext()
+    drawStroke(ctx, line('pen', [0.5]), 100, 100)
+    expect(ctx.calls).toEqual(['save', 'beginPath', 'arc', 'fill', 'restore'])
+  })
+})
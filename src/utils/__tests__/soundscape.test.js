@@ -0,0 +1,40 @@
+/**
+ * Tests for the soundscape envelope and per-module volume
+ */
+
+import { describe, it, expect } from 'vitest'
+import { getSoundscapeGain, getSoundscapeVolume, SOUNDSCAPE_GONG_FADE_SECONDS } from '../soundscape'
+import { DEFAULT_SOUNDSCAPE_VOLUME } from '../../content/soundscapes'
+
+const envelope = { totalDuration: 600, fadeInEnd: 8, hasClosingGong: true }
+
+describe('getSoundscapeGain', () => {
+  it('fades in under the opening gong and holds', () => {
+    expect(getSoundscapeGain(0, envelope)).toBe(0)
+    expect(getSoundscapeGain(4, envelope)).toBeCloseTo(0.5)
+    expect(getSoundscapeGain(300, envelope)).toBe(1)
+  })
+
+  it('fades out under the closing gong', () => {
+    const fadeStart = 600 - SOUNDSCAPE_GONG_FADE_SECONDS
+    expect(getSoundscapeGain(fadeStart, envelope)).toBe(1)
+    expect(getSoundscapeGain(600 - SOUNDSCAPE_GONG_FADE_SECONDS / 2, envelope)).toBeCloseTo(0.5)
+    expect(getSoundscapeGain(600, envelope)).toBe(0)
+  })
+
+  it('uses a short end fade without gongs and stays silent before composing', () => {
+    const noGongs = { totalDuration: 600, fadeInEnd: 0, hasClosingGong: false }
+    expect(getSoundscapeGain(0, noGongs)).toBe(1)
+    expect(getSoundscapeGain(598.5, noGongs)).toBeCloseTo(0.5)
+    expect(getSoundscapeGain(10, { ...envelope, totalDuration: 0 })).toBe(0)
+  })
+})
+
+describe('getSoundscapeVolume', () => {
+  it('prefers the module level and falls back to the default', () => {
+    const preferences = { soundscapeVolumes: { 'body-scan': 0.2, 'open-space': 0 } }
+    expect(getSoundscapeVolume(preferences, 'body-scan')).toBe(0.2)
+    expect(getSoundscapeVolume(preferences, 'open-space')).toBe(0)
+    expect(getSoundscapeVolume(preferences, 'leaves-on-a-stream')).toBe(DEFAULT_SOUNDSCAPE_VOLUME)
+  })
+})
@@ -0,0 +1,277 @@
+/**
+ * Assistant Tools
+ *
+ * The small set of actions the AI assistant may propose: add an activity to
+ * the timeline, open a Helper category, log a come-up check-in, or save a
+ * journal entry. The model only ever *proposes* — each call is stored on the
+ * assistant message and rendered as a confirm card in ChatMessage, and
+ * nothing touches the session or journal until the user taps Confirm.
+ *
+ * Definitions are provider-neutral ({ name, description, parameters });
+ * aiService.js converts them to each provider's function-calling format.
+ *
+ * Helper categories come from content/helper/categoryIndex.js rather than
+ * categories.js, so the Helper's content stays in its lazily loaded chunk.
+ */
+
+import { getModuleById, getModulesForPhase } from '../content/modules';
+import { helperCategoryIndex, getHelperCategoryIndexEntry } from '../content/helper/categoryIndex';
+import { useSessionStore } from '../stores/useSessionStore';
+import { useJournalStore } from '../stores/useJournalStore';
+import { useHelperStore } from '../stores/useHelperStore';
+import { useAIStore } from '../stores/useAIStore';
+
+const CHECK_IN_RESPONSES = {
+  waiting: 'Nothing yet',
+  starting: 'Starting to feel something',
+  'fully-arrived': 'Fully arrived',
+};
+
+const MAX_JOURNAL_LENGTH = 4000;
+
+// ============================================
+// PHASE HELPERS
+// ============================================
+
+function isLiveSession(sessionState) {
+  return sessionState.sessionPhase === 'active' || sessionState.sessionPhase === 'paused';
+}
+
+/**
+ * Timeline phase new modules would be inserted into — mirrors insertAtActive
+ */
+function getInsertPhase(sessionState) {
+  if (isLiveSession(sessionState)) return sessionState.timeline?.currentPhase || null;
+  if (sessionState.sessionPhase === 'completed') return 'follow-up';
+  return null;
+}
+
+function getInsertableModules(sessionState) {
+  const phase = getInsertPhase(sessionState);
+  if (!phase) return [];
+  return getModulesForPhase(phase).filter((m) => !m.hidden);
+}
+
+function getHelperCategoriesForSession(sessionState) {
+  if (isLiveSession(sessionState)) return helperCategoryIndex.filter((c) => c.phases?.includes('active'));
+  if (sessionState.sessionPhase === 'completed') return helperCategoryIndex.filter((c) => c.phases?.includes('follow-up'));
+  return [];
+}
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+/**
+ * Tools available right now. Enums are built from the current phase so the
+ * model can only name modules and categories that would actually work.
+ * @param {object} sessionState - useSessionStore state
+ * @returns {Array<{ name: string, description: string, parameters: object }>}
+ */
+export function getAssistantTools(sessionState) {
+  const tools = [];
+
+  const modules = getInsertableModules(sessionState);
+  if (modules.length > 0) {
+    tools.push({
+      name: 'insert_module',
+      description: 'Propose adding an activity at the current position in the user\'s timeline. The user sees a card and decides. Use the id of an activity from the Available Activities list.',
+      parameters: {
+        type: 'object',
+        properties: {
+          libraryId: { type: 'string', enum: modules.map((m) => m.id), description: 'Activity id' },
+          reason: { type: 'string', description: 'One short sentence on why this activity might help now' },
+        },
+        required: ['libraryId'],
+      },
+    });
+  }
+
+  const categories = getHelperCategoriesForSession(sessionState);
+  if (categories.length > 0) {
+    tools.push({
+      name: 'open_helper',
+      description: 'Propose opening the app\'s Helper on a specific category, which walks the user through a short guided check and suggests an activity. Categories: '
+        + categories.map((c) => `${c.id} (${c.label})`).join(', '),
+      parameters: {
+        type: 'object',
+        properties: {
+          categoryId: { type: 'string', enum: categories.map((c) => c.id) },
+          reason: { type: 'string', description: 'One short sentence on why' },
+        },
+        required: ['categoryId'],
+      },
+    });
+  }
+
+  if (isLiveSession(sessionState) && sessionState.timeline?.currentPhase === 'come-up') {
+    tools.push({
+      name: 'log_check_in',
+      description: 'Propose recording a come-up check-in when the user has told you how the effects feel so far.',
+      parameters: {
+        type: 'object',
+        properties: {
+          response: { type: 'string', enum: Object.keys(CHECK_IN_RESPONSES) },
+        },
+        required: ['response'],
+      },
+    });
+  }
+
+  tools.push({
+    name: 'add_journal_entry',
+    description: 'Propose saving a journal entry, e.g. an insight the user wants to keep. Write it in the user\'s own words as far as possible; the first line becomes the title.',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Entry text' },
+      },
+      required: ['content'],
+    },
+  });
+
+  return tools;
+}
+
+// ============================================
+// VALIDATION & DESCRIPTION
+// ============================================
+
+/**
+ * Check a proposed call against the current state
+ * @param {{ name: string, input: object }} call
+ * @param {object} sessionState
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateToolCall(call, sessionState) {
+  const input = call.input || {};
+
+  switch (call.name) {
+    case 'insert_module':
+      if (!getInsertableModules(sessionState).some((m) => m.id === input.libraryId)) {
+        return { valid: false, error: 'That activity isn\'t available right now' };
+      }
+      return { valid: true };
+    case 'open_helper':
+      if (!getHelperCategoriesForSession(sessionState).some((c) => c.id === input.categoryId)) {
+        return { valid: false, error: 'That Helper category isn\'t available right now' };
+      }
+      return { valid: true };
+    case 'log_check_in':
+      if (!isLiveSession(sessionState) || sessionState.timeline?.currentPhase !== 'come-up') {
+        return { valid: false, error: 'Check-ins are only logged during the come-up' };
+      }
+      if (!CHECK_IN_RESPONSES[input.response]) {
+        return { valid: false, error: 'Unknown check-in response' };
+      }
+      return { valid: true };
+    case 'add_journal_entry':
+      if (typeof input.content !== 'string' || !input.content.trim()) {
+        return { valid: false, error: 'The journal entry was empty' };
+      }
+      return { valid: true };
+    default:
+      return { valid: false, error: 'Unknown action' };
+  }
+}
+
+/**
+ * Card copy for a proposed call
+ * @returns {{ title: string, detail: string|null }}
+ */
+export function describeToolCall(call) {
+  const input = call.input || {};
+
+  switch (call.name) {
+    case 'insert_module': {
+      const title = getModuleById(input.libraryId)?.title || input.libraryId;
+      return { title: `Add "${title}" to your timeline`, detail: input.reason || null };
+    }
+    case 'open_helper': {
+      const label = getHelperCategoryIndexEntry(input.categoryId)?.label || input.categoryId;
+      return { title: `Open the Helper: ${label}`, detail: input.reason || null };
+    }
+    case 'log_check_in':
+      return { title: `Log check-in: ${CHECK_IN_RESPONSES[input.response] || input.response}`, detail: null };
+    case 'add_journal_entry':
+      return { title: 'Save to your journal', detail: input.content || null };
+    default:
+      return { title: call.name, detail: null };
+  }
+}
+
+/**
+ * Text the provider sees for a message in later turns. Proposed actions are
+ * summarised inline rather than replayed as native tool calls, so history
+ * stays valid across providers and the model knows what the user decided.
+ * @param {{ role: string, content: string, toolCalls?: Array }} message
+ * @returns {{ role: string, content: string }}
+ */
+export function formatMessageForProvider(message) {
+  if (!message.toolCalls?.length) {
+    return { role: message.role, content: message.content };
+  }
+
+  const notes = message.toolCalls.map((call) => {
+    const outcome = {
+      pending: 'awaiting the user',
+      confirmed: 'user confirmed',
+      dismissed: 'user declined',
+      failed: `failed: ${call.error}`,
+      unavailable: `not possible: ${call.error}`,
+    }[call.status] || call.status;
+    return `[Proposed action: ${describeToolCall(call).title} — ${outcome}]`;
+  });
+
+  return {
+    role: message.role,
+    content: [message.content, ...notes].filter(Boolean).join('\n\n'),
+  };
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+/**
+ * Carry out a confirmed call. Re-validates against the latest state first,
+ * since the session may have moved on since the card was shown.
+ * @param {{ name: string, input: object }} call
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function executeToolCall(call) {
+  const sessionState = useSessionStore.getState();
+  const check = validateToolCall(call, sessionState);
+  if (!check.valid) return { success: false, error: check.error };
+
+  const input = call.input;
+
+  switch (call.name) {
+    case 'insert_module': {
+      const result = sessionState.insertAtActive(input.libraryId);
+      return result.success ? { success: true } : { success: false, error: result.error };
+    }
+    case 'open_helper':
+      useHelperStore.getState().openHelper(input.categoryId);
+      // The assistant sits above the Helper, so step aside for it
+      useAIStore.getState().closeModal();
+      return { success: true };
+    case 'log_check_in':
+      sessionState.recordCheckInResponse(input.response);
+      // Same as closing the check-in modal: hide the bar and re-arm the prompt
+      sessionState.snoozeCheckIn();
+      return { success: true };
+    case 'add_journal_entry': {
+      const isSession = isLiveSession(sessionState) || sessionState.sessionPhase === 'completed';
+      useJournalStore.getState().addEntry({
+        content: input.content.trim().slice(0, MAX_JOURNAL_LENGTH),
+        source: isSession ? 'session' : 'manual',
+        sessionId: isSession ? sessionState.sessionId : null,
+        moduleTitle: 'AI Assistant',
+      });
+      return { success: true };
+    }
+    default:
+      return { success: false, error: 'Unknown action' };
+  }
+}
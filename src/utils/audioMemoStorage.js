@@ -0,0 +1,102 @@
+/**
+ * Audio Memo Storage Utility
+ *
+ * Uses IndexedDB to store voice memo blobs keyed by journal entry ID, the
+ * audio counterpart of imageStorage.js. Entries with a memo carry
+ * `audio: { duration, type }`; this file only holds the recordings.
+ *
+ * Same key scheme as images: live-session memos are keyed by bare entry ID,
+ * and move under `archive:<sessionId>:<entryId>` while their session is
+ * archived.
+ */
+
+import { createBlobStore } from './blobStore';
+
+const memos = createBlobStore('mdma-guide-audio-memos', 'memos');
+
+/**
+ * Save a voice memo for a journal entry
+ * @param {string} entryId - Journal entry ID
+ * @param {Blob} blob - MediaRecorder output
+ */
+export async function saveAudioMemo(entryId, blob) {
+  return memos.put(entryId, blob);
+}
+
+/**
+ * Get the voice memo of a journal entry
+ * @param {string} entryId - Journal entry ID
+ * @returns {Promise<Blob|null>} The recording, or null if not found
+ */
+export async function getAudioMemo(entryId) {
+  return memos.get(entryId);
+}
+
+/**
+ * Delete the voice memo of a journal entry
+ * @param {string} entryId - Journal entry ID
+ */
+export async function deleteAudioMemo(entryId) {
+  return memos.delete(entryId);
+}
+
+/**
+ * Get every stored memo with its key (used by full backups)
+ * @returns {Promise<Array<{key: string, blob: Blob}>>}
+ */
+export async function getAllAudioMemos() {
+  return memos.getAll();
+}
+
+/**
+ * Delete every stored memo (used when restoring a full backup)
+ */
+export async function clearAllAudioMemos() {
+  return memos.clear();
+}
+
+/**
+ * Move live journal memos into an archived session's namespace
+ * @param {string} sessionId - Archive the memos will belong to
+ * @param {string[]} entryIds - Journal entry IDs with memos
+ */
+export async function archiveAudioMemos(sessionId, entryIds) {
+  return memos.archive(sessionId, entryIds);
+}
+
+/**
+ * Move an archived session's memos back to live journal keys
+ * @param {string} sessionId - Archive being restored
+ * @param {string[]} entryIds - Journal entry IDs with memos
+ */
+export async function restoreArchivedAudioMemos(sessionId, entryIds) {
+  return memos.restoreArchived(sessionId, entryIds);
+}
+
+/**
+ * Get a memo owned by an archived session
+ * @param {string} sessionId - Archived session ID
+ * @param {string} entryId - Journal entry ID
+ * @returns {Promise<Blob|null>}
+ */
+export async function getArchivedAudioMemo(sessionId, entryId) {
+  return memos.getArchived(sessionId, entryId);
+}
+
+/**
+ * Delete every memo owned by an archived session
+ * @param {string} sessionId - Archived session ID
+ */
+export async function deleteArchivedAudioMemos(sessionId) {
+  return memos.deleteArchived(sessionId);
+}
+
+/**
+ * m:ss label for a memo length
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatMemoDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
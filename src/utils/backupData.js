@@ -0,0 +1,299 @@
+/**
+ * Full Backup Utility
+ * Creates and restores a single versioned backup file covering every
+ * persisted store plus the image, voice memo and recorded voice clip blobs
+ * in IndexedDB, so a
+ * user can move their data to a new device. Optionally passphrase-encrypted.
+ *
+ * Unlike downloadSessionData.js (a human-readable record), this file is a
+ * machine-readable snapshot meant to be read back by the app.
+ */
+
+import { useSessionStore } from '../stores/useSessionStore';
+import { useJournalStore } from '../stores/useJournalStore';
+import { useSessionHistoryStore } from '../stores/useSessionHistoryStore';
+import { useAIStore } from '../stores/useAIStore';
+import { useAppStore } from '../stores/useAppStore';
+import { useCustomMeditationStore } from '../stores/useCustomMeditationStore';
+import { useVoiceRecordingStore } from '../stores/useVoiceRecordingStore';
+import { getAllImages, clearAllImages, saveImage } from './imageStorage';
+import { getAllAudioMemos, clearAllAudioMemos, saveAudioMemo } from './audioMemoStorage';
+import { getAllVoiceClips, clearAllVoiceClips, restoreVoiceClip } from './voiceRecordingStorage';
+import {
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  bytesToBase64,
+  base64ToBytes,
+} from '../services/cryptoService';
+import { APP_VERSION } from '../constants';
+
+export const BACKUP_FORMAT = 'm-session-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Stores included in a backup, keyed by their section name in the file.
+ * `pick` limits a store to user data that is meaningful on another device:
+ * the AI API key is encrypted with a device-bound key and can't be moved,
+ * and transient navigation (current tab) shouldn't follow the user.
+ */
+const BACKUP_STORES = {
+  session: { store: useSessionStore },
+  journal: { store: useJournalStore },
+  sessionHistory: { store: useSessionHistoryStore },
+  ai: {
+    store: useAIStore,
+    pick: ['settings', 'conversations', 'activeConversationId', 'hasShownSecurityNotice'],
+  },
+  app: {
+    store: useAppStore,
+    pick: ['darkMode', 'preferences', 'dismissedBanners', 'favoriteModules'],
+  },
+  customMeditations: { store: useCustomMeditationStore },
+  voiceRecordings: { store: useVoiceRecordingStore },
+};
+
+/**
+ * Snapshot a store the same way its persist middleware would, minus actions
+ */
+function snapshotStore({ store, pick }) {
+  const { partialize, version } = store.persist.getOptions();
+  const persisted = partialize ? partialize(store.getState()) : store.getState();
+
+  const state = {};
+  for (const [key, value] of Object.entries(persisted)) {
+    if (typeof value === 'function') continue;
+    if (pick && !pick.includes(key)) continue;
+    state[key] = value;
+  }
+
+  return { version, state };
+}
+
+/**
+ * Read blobs out of IndexedDB as base64
+ * @param {Array<{key: string, blob: Blob}>} blobs
+ * @param {string} fallbackType - MIME type for blobs that don't carry one
+ */
+async function encodeBlobs(blobs, fallbackType) {
+  return Promise.all(
+    blobs.map(async ({ key, blob }) => ({
+      key,
+      type: blob.type || fallbackType,
+      data: bytesToBase64(await blob.arrayBuffer()),
+    }))
+  );
+}
+
+/**
+ * Read every image blob out of IndexedDB as base64
+ */
+async function collectImages() {
+  return encodeBlobs(await getAllImages(), 'image/png');
+}
+
+/**
+ * Read every voice memo out of IndexedDB as base64
+ */
+async function collectAudioMemos() {
+  return encodeBlobs(await getAllAudioMemos(), 'audio/webm');
+}
+
+/**
+ * Read every recorded meditation clip out of IndexedDB as base64
+ */
+async function collectVoiceClips() {
+  return encodeBlobs(await getAllVoiceClips(), 'audio/webm');
+}
+
+/**
+ * Write base64 blobs from a backup back into IndexedDB
+ */
+async function restoreBlobs(encoded, save) {
+  for (const { key, type, data } of encoded) {
+    await save(key, new Blob([base64ToBytes(data)], { type }));
+  }
+}
+
+/**
+ * Build the backup file contents
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Encrypt the payload when provided
+ * @returns {Promise<string>} JSON text ready to download
+ */
+export async function createBackup({ passphrase = '' } = {}) {
+  const stores = {};
+  for (const [name, config] of Object.entries(BACKUP_STORES)) {
+    stores[name] = snapshotStore(config);
+  }
+
+  const payload = {
+    stores,
+    images: await collectImages(),
+    audioMemos: await collectAudioMemos(),
+    voiceClips: await collectVoiceClips(),
+  };
+
+  const envelope = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt: Date.now(),
+    appVersion: APP_VERSION,
+    encrypted: !!passphrase,
+  };
+
+  if (passphrase) {
+    envelope.encryption = await encryptWithPassphrase(JSON.stringify(payload), passphrase);
+  } else {
+    envelope.payload = payload;
+  }
+
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Parse and validate a backup file without touching any store
+ * @param {string} text - Raw file contents
+ * @returns {object} The backup envelope
+ * @throws {Error} If the file isn't a backup or was made by a newer app version
+ */
+export function readBackupFile(text) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (_error) {
+    throw new Error('This file is not a valid backup.');
+  }
+
+  if (!envelope || envelope.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not an m-session backup.');
+  }
+  if (typeof envelope.formatVersion !== 'number' || envelope.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+  }
+  if (envelope.encrypted ? !envelope.encryption : !envelope.payload) {
+    throw new Error('This backup is incomplete.');
+  }
+
+  return envelope;
+}
+
+/**
+ * Decrypt (if needed) and return the backup payload
+ */
+async function openPayload(envelope, passphrase) {
+  if (!envelope.encrypted) return envelope.payload;
+  if (!passphrase) {
+    throw new Error('This backup is encrypted. Enter its passphrase to restore it.');
+  }
+  const json = await decryptWithPassphrase(envelope.encryption, passphrase);
+  return JSON.parse(json);
+}
+
+/**
+ * Run each store's persist migration on its backed-up state.
+ * Done for every store before anything is written, so a backup that can't be
+ * migrated leaves the current data untouched.
+ */
+function migrateStores(backupStores) {
+  const migrated = {};
+
+  for (const [name, config] of Object.entries(BACKUP_STORES)) {
+    const entry = backupStores?.[name];
+    if (!entry?.state) continue;
+
+    const { version, migrate } = config.store.persist.getOptions();
+    if (typeof entry.version !== 'number' || entry.version > version) {
+      throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+    }
+
+    let state = entry.state;
+    if (entry.version < version && migrate) {
+      state = migrate(structuredClone(state), entry.version);
+      if (!state) {
+        throw new Error('This backup is too old to restore.');
+      }
+    }
+
+    // Never let a backup overwrite keys outside the store's allow-list
+    if (config.pick) {
+      state = Object.fromEntries(Object.entries(state).filter(([key]) => config.pick.includes(key)));
+    }
+
+    migrated[name] = state;
+  }
+
+  return migrated;
+}
+
+/**
+ * Restore a backup into the live stores, replacing current data.
+ * @param {object} envelope - Result of readBackupFile
+ * @param {string} [passphrase] - Required when envelope.encrypted
+ * @returns {Promise<{sessions: number, journalEntries: number, images: number, audioMemos: number, voiceClips: number}>} Restore summary
+ */
+export async function restoreBackup(envelope, passphrase = '') {
+  const payload = await openPayload(envelope, passphrase);
+  const states = migrateStores(payload.stores);
+
+  if (states.session) {
+    // Start from a clean slate so transient runtime state (meditation
+    // playback, open pre-session module) from the current session is cleared.
+    useSessionStore.getState().resetSession();
+    useSessionStore.setState(states.session);
+  }
+  if (states.journal) {
+    useJournalStore.setState({
+      ...states.journal,
+      navigation: { currentView: 'editor', activeEntryId: null },
+    });
+  }
+  if (states.sessionHistory) {
+    // A v1 backup's blobs are restored under the keys they were saved with,
+    // so the hydration-time blob move flagged by its migration doesn't apply
+    const { hasOrphanedArchiveBlobs: _hasOrphanedArchiveBlobs, ...sessionHistory } = states.sessionHistory;
+    useSessionHistoryStore.setState(sessionHistory);
+  }
+  if (states.ai) {
+    useAIStore.setState(states.ai);
+  }
+  if (states.app) {
+    useAppStore.setState(states.app);
+  }
+  if (states.customMeditations) {
+    useCustomMeditationStore.setState(states.customMeditations);
+  }
+  // The clips are always replaced below, so the metadata must be too — even
+  // for backups made before recorded voices, which have neither
+  useVoiceRecordingStore.setState(states.voiceRecordings || { clips: {} });
+
+  const images = payload.images || [];
+  await clearAllImages();
+  await restoreBlobs(images, saveImage);
+
+  // Backups made before voice memos have no audioMemos section
+  const audioMemos = payload.audioMemos || [];
+  await clearAllAudioMemos();
+  await restoreBlobs(audioMemos, saveAudioMemo);
+
+  const voiceClips = payload.voiceClips || [];
+  await clearAllVoiceClips();
+  await restoreBlobs(voiceClips, restoreVoiceClip);
+
+  useAppStore.getState().setCurrentTab('home');
+
+  return {
+    sessions: states.sessionHistory?.sessions?.length || 0,
+    journalEntries: states.journal?.entries?.length || 0,
+    images: images.length,
+    audioMemos: audioMemos.length,
+    voiceClips: voiceClips.length,
+  };
+}
+
+/**
+ * Get the backup filename with date
+ */
+export function getBackupFilename() {
+  const date = new Date().toISOString().split('T')[0];
+  return `m-session-backup-${date}.json`;
+}
@@ -0,0 +1,189 @@
+/**
+ * Blob Store Utility
+ *
+ * A keyed IndexedDB object store for binary data that shouldn't go in
+ * localStorage: journal images (imageStorage.js), voice memos
+ * (audioMemoStorage.js) and recorded meditation clips
+ * (voiceRecordingStorage.js). Each of those wraps one store created here
+ * and keeps its own key scheme and exported API.
+ *
+ * Archive support: blobs belonging to the live session are keyed by bare
+ * entry ID. When a session is archived they move under
+ * `archive:<sessionId>:<entryId>` so each archive owns its blobs, and move
+ * back when the session is loaded.
+ *
+ * Every store is encrypted at rest while the app lock is on (sealBlob /
+ * openBlob in encryptedStorage.js), re-saved when the lock is turned on or
+ * off, and erased along with the locked stores if the PIN is forgotten.
+ * Moves between keys copy the stored value as-is, encrypted or not.
+ */
+
+import { sealBlob, openBlob, registerLockedBlobStore } from './encryptedStorage';
+
+const DB_VERSION = 1;
+const ARCHIVE_PREFIX = 'archive';
+
+/**
+ * Storage key for a blob owned by an archived session
+ */
+function archiveKey(sessionId, entryId) {
+  return `${ARCHIVE_PREFIX}:${sessionId}:${entryId}`;
+}
+
+/**
+ * @param {string} dbName - IndexedDB database name
+ * @param {string} storeName - Object store inside it
+ */
+export function createBlobStore(dbName, storeName) {
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run `work(store)` in a read-write transaction and resolve once it commits
+   */
+  async function write(work) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readwrite');
+      work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Blob|null>} The blob, or null if not found
+   */
+  async function get(key) {
+    const db = await openDB();
+    const value = await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return openBlob(value);
+  }
+
+  /**
+   * Every stored value with its key, still encrypted if the lock is on
+   * @returns {Promise<Array<{key: string, value: Blob|object}>>}
+   */
+  async function getAllStored() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const store = tx.objectStore(storeName);
+      const keysRequest = store.getAllKeys();
+      const valuesRequest = store.getAll();
+      tx.oncomplete = () => {
+        resolve(keysRequest.result.map((key, i) => ({ key, value: valuesRequest.result[i] })));
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Every stored blob with its key (used by full backups)
+   * @returns {Promise<Array<{key: string, blob: Blob}>>}
+   */
+  async function getAll() {
+    const stored = await getAllStored();
+    const blobs = await Promise.all(stored.map(async ({ key, value }) => ({ key, blob: await openBlob(value) })));
+    return blobs.filter(({ blob }) => blob);
+  }
+
+  /**
+   * Re-save every blob in the current app lock mode. Blobs that can't be
+   * decrypted are left untouched rather than lost.
+   */
+  async function reseal() {
+    const resealed = [];
+    for (const { key, value } of await getAllStored()) {
+      try {
+        const blob = await openBlob(value);
+        if (blob) resealed.push({ key, value: await sealBlob(blob) });
+      } catch (error) {
+        console.error(`Could not re-save ${dbName}/${key}`, error);
+      }
+    }
+    if (resealed.length === 0) return;
+    return write((store) => resealed.forEach(({ key, value }) => store.put(value, key)));
+  }
+
+  /**
+   * Delete every key starting with `prefix`
+   */
+  function deleteByPrefix(prefix) {
+    return write((store) => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  }
+
+  /**
+   * Move blobs between keys in a single transaction. Missing sources are
+   * skipped, which makes every move idempotent.
+   * @param {Array<{from: string, to: string}>} moves
+   */
+  async function move(moves) {
+    if (moves.length === 0) return;
+    return write((store) => {
+      for (const { from, to } of moves) {
+        const request = store.get(from);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          store.put(request.result, to);
+          store.delete(from);
+        };
+      }
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @param {Blob} blob
+   */
+  async function put(key, blob) {
+    // Encrypt before the transaction opens: it would auto-commit while awaiting
+    const value = await sealBlob(blob);
+    return write((store) => store.put(value, key));
+  }
+
+  const blobStore = {
+    get,
+    getAll,
+    put,
+    delete: (key) => write((store) => store.delete(key)),
+    clear: () => write((store) => store.clear()),
+    deleteByPrefix,
+    reseal,
+
+    /** Move live blobs into an archived session's namespace */
+    archive: (sessionId, entryIds) =>
+      move(entryIds.map((entryId) => ({ from: entryId, to: archiveKey(sessionId, entryId) }))),
+
+    /** Move an archived session's blobs back to live keys */
+    restoreArchived: (sessionId, entryIds) =>
+      move(entryIds.map((entryId) => ({ from: archiveKey(sessionId, entryId), to: entryId }))),
+
+    getArchived: (sessionId, entryId) => get(archiveKey(sessionId, entryId)),
+
+    /** Delete every blob owned by an archived session */
+    deleteArchived: (sessionId) => deleteByPrefix(`${ARCHIVE_PREFIX}:${sessionId}:`),
+  };
+
+  registerLockedBlobStore(blobStore);
+  return blobStore;
+}
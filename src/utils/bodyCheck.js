@@ -0,0 +1,145 @@
+/**
+ * Body Check Assessment
+ *
+ * Reads the body check log (useSessionStore.bodyCheck.entries) together with
+ * ingestion time and module activity, and decides which physical-safety
+ * warnings apply: too little water, too much water, overheating, and a
+ * break after dancing. Pure — no store access — so the tracker UI, exports
+ * and the AI context all read the same numbers.
+ */
+
+import { TEMPERATURE_LABELS } from '../content/bodyCheck';
+
+const MINUTE_MS = 60 * 1000;
+
+// Movement-heavy modules that call for a rest and a drink afterwards
+export const DANCE_MODULE_IDS = ['lets-dance', 'shaking-the-tree'];
+
+// Over-hydration: rolling windows. ~250 ml/h resting and ~500 ml/h when
+// active is plenty; a litre within an hour risks hyponatremia.
+const HOUR_URGENT_ML = 1000;
+const HOUR_CAUTION_ML = 500;
+const THREE_HOUR_CAUTION_ML = 1500;
+
+// Under-hydration: how long without a drink before nudging, once effects
+// are underway. Shorter when warm or after dancing.
+const UNDER_HYDRATION_START_MINUTES = 60;
+const DRY_SPELL_MINUTES = 90;
+const DRY_SPELL_ACTIVE_MINUTES = 45;
+
+// How long a temperature reading or a dance module stays relevant
+const TEMPERATURE_FRESH_MINUTES = 45;
+const DANCE_RECENT_MINUTES = 30;
+const DANCE_LONG_MINUTES = 20;
+
+function sumWater(entries, since) {
+  return entries
+    .filter((e) => e.type === 'water' && e.timestamp >= since)
+    .reduce((total, e) => total + (e.amountMl || 0), 0);
+}
+
+/**
+ * Most recent dance activity: a dance module completed within the last
+ * DANCE_RECENT_MINUTES, or one still running past DANCE_LONG_MINUTES.
+ */
+function findRecentDance(moduleItems, now) {
+  const dances = (moduleItems || []).filter((m) => DANCE_MODULE_IDS.includes(m.libraryId));
+  const running = dances.find((m) => m.status === 'active' && m.startedAt && now - m.startedAt >= DANCE_LONG_MINUTES * MINUTE_MS);
+  if (running) return { libraryId: running.libraryId, title: running.title, since: running.startedAt };
+
+  const completed = dances
+    .filter((m) => m.status === 'completed' && m.completedAt && now - m.completedAt <= DANCE_RECENT_MINUTES * MINUTE_MS)
+    .sort((a, b) => b.completedAt - a.completedAt)[0];
+  return completed ? { libraryId: completed.libraryId, title: completed.title, since: completed.startedAt || completed.completedAt } : null;
+}
+
+/**
+ * Assess the body check log
+ * @param {object} params
+ * @param {Array} params.entries - bodyCheck.entries
+ * @param {number|null} params.ingestionTime
+ * @param {Array} [params.moduleItems] - modules.items (for dance detection)
+ * @param {number} [params.now]
+ * @returns {{
+ *   waterTotalMl: number,
+ *   waterLastHourMl: number,
+ *   minutesSinceWater: number|null,
+ *   latestTemperature: object|null,
+ *   recentDance: object|null,
+ *   warnings: string[],
+ * }} `warnings` are ids into BODY_CHECK_WARNINGS, most urgent first
+ */
+export function assessBodyCheck({ entries = [], ingestionTime = null, moduleItems = [], now = Date.now() }) {
+  const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+  const waters = sorted.filter((e) => e.type === 'water');
+  const temperatures = sorted.filter((e) => e.type === 'temperature');
+  const breaks = sorted.filter((e) => e.type === 'break');
+
+  const lastWater = waters[waters.length - 1] || null;
+  const latestTemperature = temperatures[temperatures.length - 1] || null;
+  const freshTemperature = latestTemperature && now - latestTemperature.timestamp <= TEMPERATURE_FRESH_MINUTES * MINUTE_MS
+    ? latestTemperature
+    : null;
+  const recentDance = findRecentDance(moduleItems, now);
+
+  const waterTotalMl = sumWater(sorted, ingestionTime ?? 0);
+  const waterLastHourMl = sumWater(sorted, now - 60 * MINUTE_MS);
+  const waterLastThreeHoursMl = sumWater(sorted, now - 180 * MINUTE_MS);
+  const minutesSinceWater = lastWater ? Math.floor((now - lastWater.timestamp) / MINUTE_MS) : null;
+
+  const warnings = [];
+
+  // Over-hydration outranks everything — it's the risk people don't expect
+  if (waterLastHourMl > HOUR_URGENT_ML) {
+    warnings.push('over-hydration-urgent');
+  } else if (waterLastHourMl > HOUR_CAUTION_ML || waterLastThreeHoursMl > THREE_HOUR_CAUTION_ML) {
+    warnings.push('over-hydration');
+  }
+
+  if (freshTemperature?.level === 'hot') {
+    warnings.push('overheating');
+  } else if (freshTemperature?.level === 'warm') {
+    warnings.push('running-warm');
+  }
+
+  const tookBreakSinceDance = recentDance && breaks.some((b) => b.timestamp >= recentDance.since);
+  if (recentDance && !tookBreakSinceDance) {
+    warnings.push('dance-break');
+  }
+
+  const isOverHydrated = warnings.includes('over-hydration-urgent') || warnings.includes('over-hydration');
+  if (ingestionTime && !isOverHydrated && now - ingestionTime >= UNDER_HYDRATION_START_MINUTES * MINUTE_MS) {
+    const isActive = !!recentDance || freshTemperature?.level === 'warm' || freshTemperature?.level === 'hot';
+    const drySpell = isActive ? DRY_SPELL_ACTIVE_MINUTES : DRY_SPELL_MINUTES;
+    const lastDrinkAt = lastWater?.timestamp ?? ingestionTime;
+    if (now - lastDrinkAt >= drySpell * MINUTE_MS) {
+      warnings.push('under-hydration');
+    }
+  }
+
+  return {
+    waterTotalMl,
+    waterLastHourMl,
+    minutesSinceWater,
+    latestTemperature,
+    recentDance,
+    warnings,
+  };
+}
+
+/**
+ * One-line description of a log entry, shared by the tracker, exports and
+ * the AI context
+ */
+export function describeBodyCheckEntry(entry) {
+  if (entry.type === 'water') {
+    return `${entry.drink === 'electrolytes' ? 'Electrolyte drink' : 'Water'}, ${entry.amountMl} ml`;
+  }
+  if (entry.type === 'temperature') {
+    return `Felt ${(TEMPERATURE_LABELS[entry.level] || entry.level).toLowerCase()}`;
+  }
+  if (entry.type === 'break') {
+    return entry.afterModuleTitle ? `Took a break after ${entry.afterModuleTitle}` : 'Took a break from moving';
+  }
+  return entry.type;
+}
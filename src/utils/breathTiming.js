@@ -0,0 +1,228 @@
+/**
+ * Breath Timing
+ *
+ * Pure breath-sequence math. Everything the breath UI shows — phase, phase
+ * progress, orb expansion, moon angle, cycle counts — is derived from the
+ * seconds elapsed since the sequence started, so it can follow a wall-clock
+ * or composed-audio timer and recover exactly after the page is backgrounded.
+ *
+ * Sequence types:
+ *   { type: 'cycles', count, pattern }     — a fixed number of breaths
+ *   { type: 'duration', seconds, pattern } — whole breaths until `seconds` is
+ *                                            reached (never cut off mid-breath)
+ *   { type: 'idle', duration, label? }     — timed rest with no breath guidance
+ *
+ * Patterns: { inhale, secondInhale?, hold, exhale, holdAfterExhale } in seconds.
+ * `secondInhale` is the short top-up breath of a physiological sigh.
+ */
+
+/**
+ * Breath phases in order (phases with 0 duration are skipped)
+ */
+export const BREATH_PHASES = ['inhale', 'secondInhale', 'hold', 'exhale', 'holdAfterExhale'];
+
+// How full the orb is after the first inhale of a physiological sigh
+const FIRST_INHALE_FULLNESS = 0.8;
+
+/**
+ * Total seconds of one breath cycle
+ * @param {Object} pattern
+ * @returns {number}
+ */
+export function getCycleDuration(pattern) {
+  return BREATH_PHASES.reduce((sum, phase) => sum + (pattern?.[phase] || 0), 0);
+}
+
+/**
+ * Number of whole breaths a sequence runs for
+ * @param {Object} sequence
+ * @returns {number} 0 for idle sequences
+ */
+export function getSequenceCycles(sequence) {
+  if (sequence.type === 'cycles') return sequence.count;
+  if (sequence.type === 'duration') {
+    const cycle = getCycleDuration(sequence.pattern);
+    // Small epsilon so an exact multiple doesn't add an extra breath
+    return cycle > 0 ? Math.ceil(sequence.seconds / cycle - 1e-9) : 0;
+  }
+  return 0;
+}
+
+/**
+ * Length of a sequence in seconds
+ * @param {Object} sequence
+ * @returns {number}
+ */
+export function getSequenceDuration(sequence) {
+  if (sequence.type === 'idle') return sequence.duration || 0;
+  return getSequenceCycles(sequence) * getCycleDuration(sequence.pattern);
+}
+
+/**
+ * Length of all sequences together in seconds
+ * @param {Array} sequences
+ * @returns {number}
+ */
+export function getBreathTotalDuration(sequences) {
+  return sequences.reduce((sum, seq) => sum + getSequenceDuration(seq), 0);
+}
+
+/**
+ * Orb expansion (0 = empty, 1 = full) for a phase and its progress
+ */
+function getExpansion(phase, phaseProgress, pattern) {
+  switch (phase) {
+    case 'inhale':
+      return (pattern.secondInhale ? FIRST_INHALE_FULLNESS : 1) * phaseProgress;
+    case 'secondInhale':
+      return FIRST_INHALE_FULLNESS + (1 - FIRST_INHALE_FULLNESS) * phaseProgress;
+    case 'hold':
+      return 1;
+    case 'exhale':
+      return 1 - phaseProgress;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Moon angle (0-360) for a given orb expansion and direction.
+ *
+ * Movement: bottom (180°) → left (270°) → top (360°/0°) → right (90°) → bottom (180°)
+ * - Filling (inhale, top-up): 180° → 360° via the left side
+ * - Hold (after inhale): stays at 0° (top)
+ * - Exhale: 0° → 180° via the right side
+ * - Hold (after exhale): stays at 180° (bottom)
+ *
+ * 0° is used for the top hold to avoid the 360°→0° discontinuity.
+ */
+function getMoonAngle(phase, expansion) {
+  switch (phase) {
+    case 'inhale':
+    case 'secondInhale':
+      return 180 + expansion * 180;
+    case 'hold':
+      return 0;
+    case 'exhale':
+      return (1 - expansion) * 180;
+    default:
+      return 180;
+  }
+}
+
+/**
+ * Breath state at a point in a sequence list
+ *
+ * @param {Array} sequences
+ * @param {number} elapsedSeconds - Seconds since the first sequence started
+ * @returns {Object} phase, phaseDuration, phaseProgress, phaseSecondsRemaining,
+ *   expansion, moonAngle, currentPattern, currentCycle, totalCyclesInSequence,
+ *   currentSequenceIndex, isIdleSegment, currentSegmentLabel,
+ *   sequenceElapsedTime, overallProgress (0-100), isComplete
+ */
+export function getBreathState(sequences, elapsedSeconds) {
+  const totalDuration = getBreathTotalDuration(sequences);
+  const elapsed = Math.max(0, elapsedSeconds || 0);
+
+  let sequenceStart = 0;
+  let index = 0;
+  while (index < sequences.length - 1 && elapsed >= sequenceStart + getSequenceDuration(sequences[index])) {
+    sequenceStart += getSequenceDuration(sequences[index]);
+    index++;
+  }
+
+  const sequence = sequences[index] || null;
+  const isComplete = sequences.length > 0 && elapsed >= totalDuration;
+  const overallProgress = totalDuration > 0 ? Math.min(100, (elapsed / totalDuration) * 100) : 0;
+  const sequenceElapsedTime = Math.min(elapsed - sequenceStart, sequence ? getSequenceDuration(sequence) : 0);
+  const base = {
+    currentSequenceIndex: index,
+    currentSegmentLabel: sequence?.label || null,
+    sequenceElapsedTime,
+    overallProgress,
+    isComplete,
+  };
+
+  if (!sequence || sequence.type === 'idle') {
+    const duration = sequence?.duration || 0;
+    const progress = duration > 0 ? Math.min(1, sequenceElapsedTime / duration) : 0;
+    return {
+      ...base,
+      phase: 'idle',
+      phaseDuration: duration,
+      phaseProgress: progress,
+      phaseSecondsRemaining: Math.ceil(Math.max(0, duration - sequenceElapsedTime)),
+      expansion: 0,
+      moonAngle: 180,
+      currentPattern: null,
+      currentCycle: 0,
+      totalCyclesInSequence: null,
+      isIdleSegment: !!sequence,
+    };
+  }
+
+  const pattern = sequence.pattern;
+  const cycleDuration = getCycleDuration(pattern);
+  const totalCycles = getSequenceCycles(sequence);
+
+  // Once the last breath is done, rest on its final phase
+  const currentCycle = Math.min(Math.floor(sequenceElapsedTime / cycleDuration), totalCycles - 1);
+  let intoCycle = Math.min(sequenceElapsedTime - currentCycle * cycleDuration, cycleDuration);
+
+  let phase = BREATH_PHASES.find((p) => pattern[p] > 0);
+  for (const p of BREATH_PHASES) {
+    const duration = pattern[p] || 0;
+    if (duration <= 0) continue;
+    phase = p;
+    if (intoCycle < duration) break;
+    intoCycle -= duration;
+  }
+
+  const phaseDuration = pattern[phase];
+  const phaseElapsed = Math.min(intoCycle, phaseDuration);
+  const phaseProgress = phaseDuration > 0 ? phaseElapsed / phaseDuration : 0;
+  const expansion = getExpansion(phase, phaseProgress, pattern);
+
+  return {
+    ...base,
+    phase,
+    phaseDuration,
+    phaseProgress,
+    phaseSecondsRemaining: Math.ceil(Math.max(0, phaseDuration - phaseElapsed)),
+    expansion,
+    moonAngle: getMoonAngle(phase, expansion),
+    currentPattern: pattern,
+    currentCycle,
+    totalCyclesInSequence: sequence.type === 'cycles' ? sequence.count : null,
+    isIdleSegment: false,
+  };
+}
+
+/**
+ * Start time of every breath phase, e.g. for composing audio cues or
+ * scheduling haptics
+ *
+ * @param {Array} sequences
+ * @returns {Array<{ at: number, phase: string }>} Seconds from the start, in order
+ */
+export function getBreathPhaseTimes(sequences) {
+  const times = [];
+  let t = 0;
+  for (const sequence of sequences) {
+    if (sequence.type === 'idle') {
+      times.push({ at: t, phase: 'idle' });
+      t += sequence.duration || 0;
+      continue;
+    }
+    const cycles = getSequenceCycles(sequence);
+    for (let c = 0; c < cycles; c++) {
+      for (const phase of BREATH_PHASES) {
+        const duration = sequence.pattern[phase] || 0;
+        if (duration <= 0) continue;
+        times.push({ at: t, phase });
+        t += duration;
+      }
+    }
+  }
+  return times;
+}
@@ -8,6 +8,8 @@ import {
   getRecommendedModulesForPhase,
   FRAMEWORKS,
 } from '../content/modules';
+import { assessBodyCheck, describeBodyCheckEntry } from './bodyCheck';
+import { BODY_CHECK_WARNINGS } from '../content/bodyCheck';
 
 /**
  * Default context settings — all enabled.
@@ -22,6 +24,7 @@ export const CONTEXT_DEFAULTS = {
   includeJournal: true,
   includeIntention: true,
   includeHelperModal: true,
+  includeBodyCheck: true,
   includeModuleLibrary: true,
   includeEmergencyContact: true,
 };
@@ -115,6 +118,36 @@ function buildHelperModalSummary(journalEntries) {
   return summaries.join('\n\n');
 }
 
+/**
+ * Build a summary of the body check log (water, temperature, breaks) with
+ * any hydration or overheating warnings currently showing to the user.
+ * Returns null if nothing has been logged.
+ */
+function buildBodyCheckSummary(sessionState) {
+  const entries = sessionState?.bodyCheck?.entries || [];
+  if (entries.length === 0) return null;
+
+  const assessment = assessBodyCheck({
+    entries,
+    ingestionTime: sessionState?.substanceChecklist?.ingestionTime ?? null,
+    moduleItems: sessionState?.modules?.items || [],
+  });
+
+  const parts = [
+    `Water since ingestion: ${assessment.waterTotalMl} ml (last hour: ${assessment.waterLastHourMl} ml)`,
+  ];
+  const recent = [...entries]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-6)
+    .map((e) => `- ${e.minutesSinceIngestion ?? '?'}min: ${describeBodyCheckEntry(e)}`);
+  parts.push(`Recent log:\n${recent.join('\n')}`);
+  if (assessment.warnings.length > 0) {
+    parts.push(`Warnings shown to the user: ${assessment.warnings.map((id) => BODY_CHECK_WARNINGS[id].title).join('; ')}`);
+  }
+
+  return parts.join('\n');
+}
+
 /**
  * Build a condensed reference of available modules for the current phase.
  * Returns null if no phase is active.
@@ -156,6 +189,19 @@ function buildModuleLibrarySummary(currentPhase) {
   return `Available activities for ${currentPhase} phase:\n${parts.join('\n')}`;
 }
 
+/**
+ * Guidance for proposing actions through the assistant tools. Only added
+ * when tools are sent with the request; see utils/assistantTools.js.
+ */
+function buildActionsGuidance() {
+  return `## Proposing Actions
+You have tools to propose an action: adding an activity, opening a Helper category, logging a come-up check-in, or saving a journal entry. A proposal appears as a card the user confirms or declines — nothing happens without their tap.
+- Propose at most one action per reply, and only when it clearly fits what they've said
+- Always say in plain words what you're proposing and why; never rely on the card alone
+- If they decline, don't propose the same thing again unless they ask
+- Earlier proposals and what the user decided appear in the conversation as [Proposed action: ...] notes`;
+}
+
 /**
  * Format time in a human-readable way
  */
@@ -205,10 +251,13 @@ function getPhaseGuidance(phase) {
  * @param {object} sessionState - State from useSessionStore
  * @param {object} journalState - State from useJournalStore
  * @param {object} [contextSettings] - Optional settings to control what context is included
+ * @param {object} [options]
+ * @param {boolean} [options.canProposeActions] - Tools are sent with the request
  * @returns {string} Complete system prompt
  */
-export function buildSystemPrompt(sessionState, journalState, contextSettings = null) {
-  const ctx = contextSettings || { ...CONTEXT_DEFAULTS };
+export function buildSystemPrompt(sessionState, journalState, contextSettings = null, { canProposeActions = false } = {}) {
+  // Saved settings predate any toggle added since, so fill gaps from the defaults
+  const ctx = { ...CONTEXT_DEFAULTS, ...contextSettings };
 
   // Extract session data safely
   const sessionPhase = sessionState?.sessionPhase || 'not-started';
@@ -318,6 +367,13 @@ export function buildSystemPrompt(sessionState, journalState, contextSettings =
     }
   }
 
+  if (ctx.includeBodyCheck) {
+    const bodyCheckSummary = buildBodyCheckSummary(sessionState);
+    if (bodyCheckSummary) {
+      optionalSections.push(`## Body Check (water, temperature, breaks)\n${bodyCheckSummary}`);
+    }
+  }
+
   if (ctx.includeModuleLibrary) {
     const librarySummary = buildModuleLibrarySummary(currentPhase);
     if (librarySummary) {
@@ -335,6 +391,10 @@ export function buildSystemPrompt(sessionState, journalState, contextSettings =
     }
   }
 
+  if (canProposeActions) {
+    optionalSections.push(buildActionsGuidance());
+  }
+
   // Phase-specific guidance
   const phaseGuidance = getPhaseGuidance(currentPhase);
 
@@ -374,14 +434,14 @@ ${optionalSections.join('\n\n')}
 
 4. General approach:
    - Match their energy level (if they're expansive, you can be too; if they're quiet, be gentle)
-   - You can reference session data but cannot modify the app
+   - ${canProposeActions ? 'You can reference session data; the app only changes when the user confirms an action you propose' : 'You can reference session data but cannot modify the app'}
    - If they mention medical concerns or emergencies, always recommend professional help
    - Remember: less is often more during an experience
 ${phaseGuidance ? `\n5. Current phase note:\n   - ${phaseGuidance}` : ''}
 
 ## Important Boundaries
-- You cannot control the app, skip modules, or change settings
-- You can suggest activities from the available list — the user can add them through the app's activity browser
+- You cannot ${canProposeActions ? 'skip modules or change settings' : 'control the app, skip modules, or change settings'}
+- You can suggest activities from the available list — ${canProposeActions ? 'propose adding one, or the user' : 'the user'} can add them through the app's activity browser
 - You cannot provide medical advice
 - If they need emergency help, direct them to their emergency contact or professional services`.trim();
 }
@@ -393,10 +453,12 @@ ${phaseGuidance ? `\n5. Current phase note:\n   - ${phaseGuidance}` : ''}
  * @param {object} sessionState - State from useSessionStore
  * @param {object} journalState - State from useJournalStore
  * @param {object} [contextSettings] - Optional context settings
+ * @param {object} [options]
+ * @param {boolean} [options.canProposeActions] - Tools are sent with the request
  * @returns {string} System prompt for completed session
  */
-export function buildCompletedSessionPrompt(sessionState, journalState, contextSettings = null) {
-  const ctx = contextSettings || { ...CONTEXT_DEFAULTS };
+export function buildCompletedSessionPrompt(sessionState, journalState, contextSettings = null, { canProposeActions = false } = {}) {
+  const ctx = { ...CONTEXT_DEFAULTS, ...contextSettings };
 
   const sessionProfile = sessionState?.sessionProfile || {};
   const session = sessionState?.session || {};
@@ -491,10 +553,10 @@ ${optionalSections.join('\n\n')}
 4. General approach:
    - Match their energy level
    - If they mention medical concerns, recommend professional help
-   - You can reference session data but cannot modify the app
-
+   - ${canProposeActions ? 'You can reference session data; the app only changes when the user confirms an action you propose' : 'You can reference session data but cannot modify the app'}
+${canProposeActions ? `\n${buildActionsGuidance()}\n` : ''}
 ## Important Boundaries
-- You cannot control the app or change settings
+- You cannot ${canProposeActions ? 'change settings' : 'control the app or change settings'}
 - You cannot provide medical advice
 - If they need support, suggest professional resources`.trim();
 }
@@ -0,0 +1,113 @@
+/**
+ * Companion Projection
+ * Builds the snapshot a sitter/partner device receives in companion mode.
+ *
+ * This is the privacy boundary for companion mode: only what a sitter needs
+ * to look after someone is included — where they are in the session, how
+ * long since ingestion, booster status, whether they've reached for the
+ * Helper, how their latest check-ins went, and who to call. Intentions,
+ * journal text, transition captures, and activity responses never leave
+ * the primary device.
+ */
+
+import {
+  parseHelperModalCategory,
+  parseHelperModalEmergencyAction,
+} from '../content/helper/formatLog';
+
+export const COMPANION_SNAPSHOT_VERSION = 1;
+
+const PHASE_KEYS = {
+  'come-up': 'comeUp',
+  peak: 'peak',
+  integration: 'integration',
+};
+
+function getCurrentModule(modules) {
+  if (!modules?.currentModuleInstanceId) return null;
+  const item = modules.items?.find((m) => m.instanceId === modules.currentModuleInstanceId);
+  if (!item) return null;
+  return {
+    title: item.title || null,
+    startedAt: item.startedAt || null,
+    duration: item.duration || null,
+  };
+}
+
+function getHelperActivity(journalEntries, sessionId, isOpen) {
+  const logs = (journalEntries || [])
+    .filter((e) => e.moduleTitle === 'Helper Modal' && (!sessionId || !e.sessionId || e.sessionId === sessionId))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const last = logs[logs.length - 1];
+  const lastEmergency = [...logs].reverse().find((e) => parseHelperModalEmergencyAction(e.content));
+
+  return {
+    isOpen: !!isOpen,
+    useCount: logs.length,
+    lastUsedAt: last?.createdAt ?? null,
+    lastCategory: last ? parseHelperModalCategory(last.content) : null,
+    lastEmergencyAction: lastEmergency
+      ? { action: parseHelperModalEmergencyAction(lastEmergency.content), at: lastEmergency.createdAt }
+      : null,
+  };
+}
+
+// Latest come-up answer plus the booster check-in — both are multiple-choice
+// state reports, not free text
+function getCheckIns(sessionState) {
+  const comeUpResponses = sessionState.comeUpCheckIn?.responses || [];
+  const latestComeUp = comeUpResponses[comeUpResponses.length - 1];
+  const booster = sessionState.booster?.checkInResponses || {};
+  const hasBooster = !!(booster.experienceQuality || booster.physicalState || booster.trajectory);
+
+  return {
+    comeUp: latestComeUp
+      ? { response: latestComeUp.response, at: latestComeUp.timestamp ?? null }
+      : null,
+    booster: hasBooster
+      ? {
+        experienceQuality: booster.experienceQuality || null,
+        physicalState: booster.physicalState || null,
+        trajectory: booster.trajectory || null,
+        at: sessionState.booster.boosterDecisionAt || null,
+      }
+      : null,
+  };
+}
+
+/**
+ * Build the companion snapshot
+ * @param {object} params
+ * @param {object} params.sessionState - useSessionStore state
+ * @param {Array} params.journalEntries - useJournalStore entries (only Helper Modal logs are read)
+ * @param {boolean} [params.helperOpen] - Whether the Helper Modal is open right now
+ * @param {number} [params.now]
+ */
+export function buildCompanionSnapshot({ sessionState, journalEntries = [], helperOpen = false, now = Date.now() }) {
+  const currentPhase = sessionState.timeline?.currentPhase || null;
+  const phaseKey = PHASE_KEYS[currentPhase];
+  const contact = sessionState.sessionProfile?.emergencyContactDetails || {};
+
+  return {
+    version: COMPANION_SNAPSHOT_VERSION,
+    sentAt: now,
+    sessionMode: sessionState.sessionProfile?.sessionMode || null,
+    sessionPhase: sessionState.sessionPhase,
+    currentPhase,
+    phaseStartedAt: phaseKey ? sessionState.timeline.phases?.[phaseKey]?.startedAt ?? null : null,
+    activeTransition: sessionState.phaseTransitions?.activeTransition || null,
+    ingestionTime: sessionState.substanceChecklist?.ingestionTime || null,
+    currentModule: getCurrentModule(sessionState.modules),
+    inOpenSpace: !!sessionState.modules?.inOpenSpace,
+    booster: {
+      status: sessionState.booster?.status || null,
+      takenAt: sessionState.booster?.boosterTakenAt || null,
+      nextPromptAt: sessionState.booster?.nextPromptAt || null,
+    },
+    checkIns: getCheckIns(sessionState),
+    helper: getHelperActivity(journalEntries, sessionState.sessionId, helperOpen),
+    emergencyContact: contact.name || contact.phone
+      ? { name: contact.name || '', phone: contact.phone || '', notes: contact.notes || '' }
+      : null,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Crisis Language Detection
+ *
+ * On-device check for self-harm, medical-emergency and severe-panic language
+ * in text the user types into the AI chat or the journal. Scores each
+ * sentence against the weighted lexicon in content/crisisLanguage.js,
+ * dropping negated terms ("no chest pain") and scaling down distanced ones
+ * (the past, a film, a general question). No network, no store access.
+ *
+ * A hit routes the user to the Helper's emergency view; medical emergencies
+ * in the chat also skip the LLM call entirely (see AIAssistantModal).
+ */
+
+import {
+  CRISIS_THRESHOLD,
+  CRISIS_CATEGORY_ORDER,
+  CRISIS_LEXICON,
+  NEGATION_PATTERN,
+  NEGATION_WINDOW_WORDS,
+  DISTANCING_PATTERN,
+  DISTANCING_FACTOR,
+} from '../content/crisisLanguage';
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[‘’ʼ]/g, '\'');
+}
+
+function splitSentences(text) {
+  return text.split(/[.!?;\n]+/).map((s) => s.trim()).filter(Boolean);
+}
+
+function isNegated(sentence, matchIndex) {
+  const before = sentence.slice(0, matchIndex).split(/[\s,]+/).filter(Boolean);
+  return NEGATION_PATTERN.test(before.slice(-NEGATION_WINDOW_WORDS).join(' '));
+}
+
+/**
+ * Score a piece of text for crisis language
+ * @param {string} text
+ * @returns {{ category: string, categories: string[], scores: object, matches: Array<{ category: string, phrase: string, weight: number }> } | null}
+ *   The most urgent flagged category first, or null when nothing reaches the threshold
+ */
+export function detectCrisisLanguage(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const scores = Object.fromEntries(CRISIS_CATEGORY_ORDER.map((id) => [id, 0]));
+  const matches = [];
+
+  for (const sentence of splitSentences(normalize(text))) {
+    const factor = DISTANCING_PATTERN.test(sentence) ? DISTANCING_FACTOR : 1;
+
+    for (const category of CRISIS_CATEGORY_ORDER) {
+      for (const term of CRISIS_LEXICON[category]) {
+        const match = term.pattern.exec(sentence);
+        if (!match || isNegated(sentence, match.index)) continue;
+
+        const weight = term.weight * factor;
+        // Rounded so combinations like 0.7 + 0.3 land on the threshold
+        scores[category] = Math.round((scores[category] + weight) * 100) / 100;
+        matches.push({ category, phrase: match[0], weight });
+      }
+    }
+  }
+
+  const categories = CRISIS_CATEGORY_ORDER.filter((id) => scores[id] >= CRISIS_THRESHOLD);
+  if (categories.length === 0) return null;
+
+  return {
+    category: categories[0],
+    categories,
+    scores,
+    matches: matches.filter((m) => categories.includes(m.category)),
+  };
+}
@@ -1,17 +1,21 @@
 /**
  * Session Data Download Utility
- * Generates and downloads session data in text or JSON format
+ * Generates and downloads session data as text, Markdown, or JSON.
+ * All three renderers are fed by the same getSessionData() snapshot.
  */
 
 import { useSessionStore } from '../stores/useSessionStore';
 import { useJournalStore } from '../stores/useJournalStore';
 import { getProtectorName } from '../content/modules/master/protectorDialogueShared';
+import { sensationLabelById } from '../content/transitions/somaticSensations';
 import { getImage } from './imageStorage';
+import { getAudioMemo, formatMemoDuration } from './audioMemoStorage';
+import { describeBodyCheckEntry } from './bodyCheck';
 
 /**
  * Format a date nicely for display
  */
-function formatDate(date) {
+export function formatDate(date) {
   if (!date) return 'N/A';
   return new Intl.DateTimeFormat('en-US', {
     weekday: 'long',
@@ -26,7 +30,7 @@ function formatDate(date) {
 /**
  * Format duration in seconds to human-readable string
  */
-function formatDuration(seconds) {
+export function formatDuration(seconds) {
   if (!seconds) return 'N/A';
   const hours = Math.floor(seconds / 3600);
   const minutes = Math.floor((seconds % 3600) / 60);
@@ -42,17 +46,91 @@ function formatDuration(seconds) {
 /**
  * Format a timestamp to short time (e.g., "2:30 PM")
  */
-function formatTime(ts) {
+export function formatTime(ts) {
   if (!ts) return '';
   return new Date(ts).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
 }
 
+// Journal entries written by pre-session activities carry this prefix
+export const PRE_SESSION_PREFIX = 'PRE-SESSION\n\n';
+
+// moduleTitle (and first line) of the journal entry holding the AI-written
+// integration summary (see utils/integrationSummary.js)
+export const INTEGRATION_SUMMARY_TITLE = 'Integration Summary';
+
+const STAY_WITH_IT_LABELS = { 'lighter': 'Lighter, like something loosened', 'still-processing': 'Still processing, not sure yet', 'heavy': 'Heavy or weighed down', 'numb': 'Blank or numb', 'activated': 'Anxious, restless, or stirred up' };
+const VALUES_COMPASS_LABELS = { q1: 'What Matters', q2: 'Inner Obstacles', q3: 'Away Moves', q4: 'Toward Moves' };
+const COME_UP_LABELS = {
+  'waiting': 'Still waiting',
+  'starting': 'Starting to feel it',
+  'fully-arrived': 'Fully arrived',
+};
+const BOOSTER_EXPERIENCE_LABELS = { 'deep-meaningful': 'Deep and meaningful', 'pleasant-open': 'Pleasant and open', 'settled': 'Settled but ready to shift', 'intense': 'Intense', 'uncertain': 'Uncertain' };
+const BOOSTER_PHYSICAL_LABELS = { 'comfortable': 'Comfortable', 'some-tension': 'Some tension', 'temperature': 'Temperature fluctuations', 'noticeable': 'Noticeable physical effects', 'uncomfortable': 'Uncomfortable' };
+const BOOSTER_TRAJECTORY_LABELS = { 'more-to-explore': 'More to explore', 'middle-of-something': 'In the middle of something', 'complete': 'Feeling complete', 'ready-to-integrate': 'Ready to integrate' };
+
+const INTAKE_OPTION_LABELS = {
+  experienceLevel: { 'first-time': 'First time', 'beginner': '1–3 sessions', 'experienced': '4+ sessions' },
+  sessionMode: { 'solo': 'Solo', 'with-partner': 'With a partner', 'with-sitter': 'With a sitter', 'group': 'Group setting' },
+  primaryFocus: { 'self-understanding': 'Self-understanding', 'healing': 'Emotional healing', 'relationship': 'Relationship exploration', 'creativity': 'Creativity & insight', 'open': 'Open exploration' },
+  guidanceLevel: { 'full': 'Full guidance', 'moderate': 'Moderate guidance', 'minimal': 'Minimal — mostly open space' },
+  hasTested: { 'yes': 'Yes', 'not-yet': 'Not yet' },
+  considerBooster: { 'yes': 'Yes', 'no': 'No, just one dose', 'decide-later': 'Decide during session' },
+  physicalPreparation: { 'yes': 'Yes', 'not-yet': 'Not yet' },
+  lastMDMAUse: { 'first-time': 'First time', 'more-than-3-months': 'More than 3 months ago', '1-3-months': '1–3 months ago', 'less-than-1-month': 'Less than 1 month ago', 'unsure': 'Not sure' },
+  emergencyContact: { 'yes': 'Yes', 'no-okay': 'No, but comfortable', 'no-fine': 'No' },
+  contraindicatedMedications: { 'yes': 'Yes', 'no': 'No' },
+  heartConditions: { 'yes': 'Yes', 'no': 'No' },
+  psychiatricHistory: { 'yes': 'Yes', 'no': 'No' },
+};
+
+const INTAKE_FIELD_LABELS = {
+  experienceLevel: 'Experience Level',
+  sessionMode: 'Session Mode',
+  primaryFocus: 'Primary Focus',
+  holdingQuestion: 'Intention',
+  guidanceLevel: 'Guidance Level',
+  activityPreferences: 'Activity Preferences',
+  hasTested: 'Has Tested',
+  considerBooster: 'Consider Booster',
+  physicalPreparation: 'Physical Preparation',
+  lastMDMAUse: 'Last MDMA Use',
+  emergencyContact: 'Emergency Contact',
+  emergencyContactDetails: 'Emergency Contact Details',
+  contraindicatedMedications: 'Contraindicated Medications',
+  heartConditions: 'Heart Conditions',
+  psychiatricHistory: 'Psychiatric History',
+  hasResearchedDosage: 'Researched Dosage',
+  medications: 'Medications',
+};
+
+// Map libraryId to capture type for matching modules to their content
+export const LIBRARY_ID_TO_CAPTURE_TYPE = {
+  'protector-dialogue-p1': 'protector', 'protector-dialogue-p2': 'protector',
+  'stay-with-it': 'stayWithIt', 'values-compass': 'valuesCompass',
+  'felt-sense': 'feltSense', 'the-descent': 'theDescent', 'the-cycle': 'theCycle',
+  'mapping-territory': 'mappingTerritory', 'pendulation': 'pendulation',
+  'shaking-the-tree': 'shakingTheTree',
+};
+
+const SESSION_PHASES = [
+  { key: 'come-up', label: 'Phase 1 — Come-Up' },
+  { key: 'peak', label: 'Phase 2 — Peak' },
+  { key: 'integration', label: 'Phase 3 — Synthesis' },
+];
+
 /**
- * Get session data from stores
+ * Get session data from stores.
+ * Defaults to the live session; pass an archived session's state and journal
+ * entries to render a past session instead.
+ * @param {object} [source]
+ * @param {object} [source.sessionState] - useSessionStore state (live or archived)
+ * @param {Array} [source.journalEntries] - Journal entries belonging to that session
  */
-function getSessionData() {
-  const sessionState = useSessionStore.getState();
-  const journalState = useJournalStore.getState();
+export function getSessionData({
+  sessionState = useSessionStore.getState(),
+  journalEntries = useJournalStore.getState().entries,
+} = {}) {
 
   const {
     sessionProfile,
@@ -64,11 +142,13 @@ function getSessionData() {
     modules,
     timeline,
     lifeGraph,
+    transitionData,
+    bodyCheck,
   } = sessionState;
 
   // Get ALL journal entries (both session-created and manual)
   // Sort by creation time, oldest first
-  const allJournalEntries = [...journalState.entries].sort(
+  const allJournalEntries = [...(journalEntries || [])].sort(
     (a, b) => a.createdAt - b.createdAt
   );
 
@@ -106,6 +186,9 @@ function getSessionData() {
       responses: comeUpCheckIn.responses,
     } : null,
     transitionCaptures,
+    // TransitionModule captures (store v26+): touchstones, intention additions,
+    // focus changes, closing reflections
+    transitionData: transitionData || null,
     // Include module completion history
     moduleHistory: modules?.history?.length > 0 ? modules.history.map((item) => ({
       instanceId: item.instanceId,
@@ -151,12 +234,18 @@ function getSessionData() {
       source: entry.source, // 'session' or 'manual'
       moduleTitle: entry.moduleTitle,
       tags: entry.tags,
+      hasImage: !!entry.hasImage,
+      audio: entry.audio || null,
     })),
     // Life Graph milestones
     lifeGraph: lifeGraph?.milestones?.length > 0 ? {
       milestones: lifeGraph.milestones,
       journalEntryId: lifeGraph.journalEntryId,
     } : null,
+    // Body check log (water, temperature, breaks from dancing)
+    bodyCheck: bodyCheck?.entries?.length > 0 ? {
+      entries: [...bodyCheck.entries].sort((a, b) => a.timestamp - b.timestamp),
+    } : null,
     // Phase timestamps
     phaseTimestamps: {
       comeUp: { startedAt: timeline?.phases?.comeUp?.startedAt, endedAt: timeline?.phases?.comeUp?.endedAt },
@@ -165,6 +254,7 @@ function getSessionData() {
     },
     // All module items (for timeline reconstruction including upcoming/skipped)
     moduleItems: modules?.items?.map((item) => ({
+      libraryId: item.libraryId,
       title: item.title,
       phase: item.phase,
       status: item.status,
@@ -175,11 +265,306 @@ function getSessionData() {
   };
 }
 
+/**
+ * Body check log as display rows, oldest first, plus total water
+ */
+function getBodyCheckSummary(data) {
+  const entries = data.bodyCheck?.entries || [];
+  const totalWaterMl = entries
+    .filter((e) => e.type === 'water')
+    .reduce((total, e) => total + (e.amountMl || 0), 0);
+  return {
+    totalWaterMl,
+    rows: entries.map((entry) => ({
+      at: entry.minutesSinceIngestion !== null && entry.minutesSinceIngestion !== undefined
+        ? `${entry.minutesSinceIngestion} min`
+        : formatTime(entry.timestamp),
+      text: describeBodyCheckEntry(entry),
+    })),
+  };
+}
+
+/**
+ * Collect activity captures that have content, keyed by capture type
+ */
+export function collectActivityCaptures(data) {
+  const activityCaptures = {};
+
+  // Prefer the identity-scoped sessionProfile.protector path (exported as
+  // `intake`). Fall back to the legacy transitionCaptures.protectorDialogue
+  // slot for any session that hasn't migrated yet. The fallback also
+  // normalizes field names so downstream renderers see a single shape.
+  const newProtector = data.intake?.protector;
+  const legacyProtector = data.transitionCaptures?.protectorDialogue;
+  if (newProtector?.name) {
+    activityCaptures.protector = {
+      protectorName: newProtector.name,
+      protectorDescription: newProtector.description,
+      bodyLocation: newProtector.bodyLocation,
+      protectorMessage: newProtector.message,
+    };
+  } else if (legacyProtector?.protectorName) {
+    activityCaptures.protector = legacyProtector;
+  }
+
+  const stayWithIt = data.transitionCaptures?.stayWithIt;
+  if (stayWithIt?.checkInResponse) activityCaptures.stayWithIt = stayWithIt;
+
+  const valuesCompass = data.transitionCaptures?.valuesCompass;
+  if (valuesCompass?.quadrants) {
+    const hasChips = ['q1', 'q2', 'q3', 'q4'].some((q) => valuesCompass.quadrants[q]?.length > 0);
+    if (hasChips) activityCaptures.valuesCompass = valuesCompass;
+  }
+
+  const feltSense = data.transitionCaptures?.feltSense;
+  if (feltSense?.shiftCheckIn) activityCaptures.feltSense = feltSense;
+
+  const theDescent = data.transitionCaptures?.theDescent;
+  if (theDescent && (theDescent.quickCapture || theDescent.unsaidMessage || theDescent.primaryEmotion)) activityCaptures.theDescent = theDescent;
+
+  const theCycle = data.transitionCaptures?.theCycle;
+  if (theCycle && (theCycle.position || theCycle.friction || theCycle.journalResponses)) activityCaptures.theCycle = theCycle;
+
+  const mappingTerritory = data.transitionCaptures?.mappingTerritory;
+  if (mappingTerritory && (mappingTerritory.copingPattern || mappingTerritory.approachStyle)) activityCaptures.mappingTerritory = mappingTerritory;
+
+  const pendulation = data.transitionCaptures?.pendulation;
+  if (pendulation?.checkpoints?.length > 0) activityCaptures.pendulation = pendulation;
+
+  const shakingTheTree = data.transitionCaptures?.shakingTheTree;
+  if (shakingTheTree?.bodySensations?.length > 0) activityCaptures.shakingTheTree = shakingTheTree;
+
+  return activityCaptures;
+}
+
+/**
+ * Describe an activity capture as a titled list of label/value rows.
+ * Shared by the Markdown export and the printable report.
+ * @returns {{title: string, rows: Array<{label: string, value: string}>}|null}
+ */
+export function describeCapture(type, capture) {
+  if (!capture) return null;
+  const rows = [];
+  const add = (label, value) => { if (value) rows.push({ label, value: String(value) }); };
+
+  switch (type) {
+    case 'protector':
+      add('Protector', getProtectorName(capture.protectorName));
+      add('Description', capture.protectorDescription);
+      add('Body Location', capture.bodyLocation);
+      add('Message to Protector', capture.protectorMessage);
+      return { title: 'Protector Dialogue', rows };
+    case 'stayWithIt':
+      add('Response', STAY_WITH_IT_LABELS[capture.checkInResponse] || capture.checkInResponse);
+      return { title: 'Stay With It', rows };
+    case 'valuesCompass':
+      for (const qId of ['q1', 'q2', 'q3', 'q4']) {
+        const chips = capture.quadrants[qId];
+        if (chips?.length > 0) add(VALUES_COMPASS_LABELS[qId], chips.map((chip) => chip.text).join(', '));
+      }
+      return { title: 'Values Compass', rows };
+    case 'feltSense':
+      add('Shift Check-In', capture.shiftCheckIn);
+      return { title: 'Felt Sense', rows };
+    case 'theDescent':
+      add('Quick Capture', capture.quickCapture);
+      add('Primary Emotion', capture.primaryEmotion);
+      add('Surface Reaction', capture.surfaceReaction);
+      add('Unsaid Message', capture.unsaidMessage);
+      return { title: 'The Descent', rows };
+    case 'theCycle':
+      add('Position', capture.position);
+      add('Friction', capture.friction);
+      if (capture.moves?.length > 0) add('Moves', capture.moves.join(', '));
+      if (capture.emotions?.length > 0) add('Emotions', capture.emotions.join(', '));
+      if (capture.journalResponses && typeof capture.journalResponses === 'object') {
+        Object.entries(capture.journalResponses).forEach(([key, value]) => add(key, value));
+      }
+      return { title: 'The Cycle', rows };
+    case 'mappingTerritory':
+      add('Coping Pattern', capture.copingPattern);
+      add('Approach Style', capture.approachStyle);
+      if (capture.journals && typeof capture.journals === 'object') {
+        Object.entries(capture.journals).forEach(([key, value]) => add(key, value));
+      }
+      return { title: 'Mapping the Territory', rows };
+    case 'pendulation':
+      capture.checkpoints.forEach((cp, i) => {
+        add(`Checkpoint ${i + 1}`, typeof cp === 'string' ? cp : JSON.stringify(cp));
+      });
+      return { title: 'Pendulation', rows };
+    case 'shakingTheTree':
+      if (capture.bodySensations?.length > 0) add('Body Sensations', capture.bodySensations.join(', '));
+      add('Response', capture.responseKey);
+      return { title: 'Shaking the Tree', rows };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve peak-transition captures. New source of truth is `transitionData`
+ * (store v26+); falls back to the legacy `transitionCaptures.peak`.
+ */
+export function getPeakTransition(data) {
+  const td = data.transitionData || {};
+  const peak = data.transitionCaptures?.peak || {};
+  const somatic = td.somaticCheckIns?.peak;
+  return {
+    oneWord: td.oneWord || peak.oneWord,
+    bodySensations: somatic?.length ? somatic.map(sensationLabelById) : peak.bodySensations || [],
+  };
+}
+
+/**
+ * Resolve synthesis-transition captures. New source of truth is
+ * `transitionData` (store v26+); falls back to the legacy
+ * `transitionCaptures.integration` for pre-v26 archives.
+ */
+export function getSynthesisTransition(data) {
+  const td = data.transitionData || {};
+  const integration = data.transitionCaptures?.integration || {};
+  return {
+    intentionAddition: td.intentionAdditions?.integration || integration.editedIntention,
+    newFocus: td.newFocus || integration.newFocus,
+    focusSubtype: td.focusSubtype || td.newRelationshipType || integration.newRelationshipType,
+    tailoredActivityResponse: integration.tailoredActivityResponse,
+  };
+}
+
+/**
+ * Resolve closing-ritual reflections. New source of truth is
+ * `transitionData` (store v26+); falls back to the legacy
+ * `transitionCaptures.closing` for pre-v26 archives.
+ */
+export function getClosingReflections(data) {
+  const td = data.transitionData || {};
+  const closing = data.transitionCaptures?.closing || {};
+  return {
+    selfGratitude: td.selfGratitude || closing.selfGratitude,
+    futureMessage: td.futureMessage || closing.futureMessage,
+    commitment: td.commitment || closing.commitment,
+  };
+}
+
+/**
+ * The latest saved integration summary, with the title line stripped.
+ * Rendered as its own section rather than with the journal entries.
+ * @returns {{ id: string, timestamp: number, content: string }|null}
+ */
+export function getIntegrationSummary(data) {
+  const entry = (data.journalEntries || [])
+    .filter((e) => e.moduleTitle === INTEGRATION_SUMMARY_TITLE)
+    .at(-1);
+  if (!entry) return null;
+  const prefix = `${INTEGRATION_SUMMARY_TITLE}\n`;
+  const content = entry.content.startsWith(prefix) ? entry.content.slice(prefix.length) : entry.content;
+  return { id: entry.id, timestamp: entry.timestamp, content: content.trim() };
+}
+
+/**
+ * Format a single intake answer for display, or null if it should be skipped.
+ * Emergency contact details expand into two rows (contact + notes).
+ * @returns {Array<{label: string, value: string}>|null}
+ */
+function formatIntakeField(key, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const label = INTAKE_FIELD_LABELS[key] || key;
+  if (Array.isArray(value)) {
+    return [{ label, value: value.join(', ') }];
+  }
+  if (key === 'emergencyContactDetails' && typeof value === 'object') {
+    const rows = [];
+    const parts = [value.name, value.phone].filter(Boolean);
+    if (parts.length > 0) rows.push({ label, value: parts.join(' — ') });
+    if (value.notes && value.notes.trim()) {
+      rows.push({ label: 'Emergency Contact Notes', value: value.notes.trim() });
+    }
+    return rows;
+  }
+  if (key === 'medications' && typeof value === 'object') {
+    return [{ label, value: value.taking ? ['Yes', value.details].filter(Boolean).join(' — ') : 'No' }];
+  }
+  // Other nested objects (e.g. protector) are rendered with their activity
+  if (typeof value === 'object') return null;
+  if (INTAKE_OPTION_LABELS[key]?.[value]) {
+    return [{ label, value: INTAKE_OPTION_LABELS[key][value] }];
+  }
+  return [{ label, value: String(value) }];
+}
+
+/**
+ * Summary counts shown at the top of the text and Markdown exports
+ */
+function getSessionStats(data) {
+  const preSessionCompleted = data.preSessionModules
+    ? data.preSessionModules.filter((m) => m.status === 'completed').length
+    : 0;
+  const sessionCompleted = data.moduleHistory
+    ? data.moduleHistory.filter((m) => m.phase !== 'pre-session' && m.phase !== 'follow-up' && m.status === 'completed').length
+    : 0;
+  const followUpCompleted = (data.followUpModules || []).filter(
+    (m) => m.status === 'completed'
+  ).length;
+  const longestModule = data.moduleHistory
+    ? data.moduleHistory.reduce((longest, m) => {
+        if (!m.actualDuration) return longest;
+        return !longest || m.actualDuration > longest.actualDuration ? m : longest;
+      }, null)
+    : null;
+  const longestText = longestModule
+    ? `${longestModule.title} (${Math.round(longestModule.actualDuration / 60)}m)`
+    : 'N/A';
+  const journalCount = data.journalEntries ? data.journalEntries.length : 0;
+
+  return { preSessionCompleted, sessionCompleted, followUpCompleted, longestText, journalCount };
+}
+
+/**
+ * Filename used for a journal image, shared by downloadSessionImages() and
+ * the Markdown export's image references so the two line up on disk.
+ * Ends with an ID fragment when the entry has one, since a session can hold
+ * several sketches under the same module.
+ */
+export function getImageFilename(entry, date = new Date()) {
+  const label = (entry.moduleTitle || 'image')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const suffix = entry.id ? `-${entry.id.slice(-4)}` : '';
+  return `${label}-${date.toISOString().split('T')[0]}${suffix}.png`;
+}
+
+// MediaRecorder container → file extension (Chrome/Firefox record webm, Safari mp4)
+function getAudioExtension(type = '') {
+  if (type.includes('mp4')) return 'm4a';
+  if (type.includes('ogg')) return 'ogg';
+  return 'webm';
+}
+
+/**
+ * Filename used for a voice memo, shared by downloadSessionAudio() and the
+ * exports' memo references. Includes the entry's time and an ID fragment,
+ * since one module can hold several memos.
+ * @param {object} entry - Journal entry, or its getSessionData() form
+ */
+export function getAudioFilename(entry) {
+  const label = (entry.moduleTitle || 'journal')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const time = new Date(entry.timestamp ?? entry.createdAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  return `voice-memo-${label}-${time}-${entry.id.slice(-4)}.${getAudioExtension(entry.audio?.type)}`;
+}
+
+/**
+ * One-line reference to an entry's voice memo, for the text exports
+ */
+function describeAudioMemo(entry) {
+  return `[Voice memo, ${formatMemoDuration(entry.audio.duration)}: audio/${getAudioFilename(entry)}]`;
+}
+
 /**
  * Generate human-readable text export
+ * @param {object} [data] - Output of getSessionData() (defaults to the live session)
  */
-export function generateTextExport() {
-  const data = getSessionData();
+export function generateTextExport(data = getSessionData()) {
   const W = 60;
   const border = '═'.repeat(W);
 
@@ -234,25 +619,7 @@ ${centerText(`Exported ${exportDate}`)}
   }
 
   // Session stats
-  const preSessionCompleted = data.preSessionModules
-    ? data.preSessionModules.filter((m) => m.status === 'completed').length
-    : 0;
-  const sessionCompleted = data.moduleHistory
-    ? data.moduleHistory.filter((m) => m.phase !== 'pre-session' && m.phase !== 'follow-up' && m.status === 'completed').length
-    : 0;
-  const followUpCompleted = (data.followUpModules || []).filter(
-    (m) => m.status === 'completed'
-  ).length;
-  const longestModule = data.moduleHistory
-    ? data.moduleHistory.reduce((longest, m) => {
-        if (!m.actualDuration) return longest;
-        return !longest || m.actualDuration > longest.actualDuration ? m : longest;
-      }, null)
-    : null;
-  const longestText = longestModule
-    ? `${longestModule.title} (${Math.round(longestModule.actualDuration / 60)}m)`
-    : 'N/A';
-  const journalCount = data.journalEntries ? data.journalEntries.length : 0;
+  const { preSessionCompleted, sessionCompleted, followUpCompleted, longestText, journalCount } = getSessionStats(data);
 
   text += `\n\n  Pre-session activities:  ${preSessionCompleted}`;
   text += `\n  Session activities:      ${sessionCompleted}`;
@@ -317,7 +684,6 @@ ${centerText(`Exported ${exportDate}`)}
 
   // ── Pre-session activities ──────────────────────────────
 
-  const PRE_SESSION_PREFIX = 'PRE-SESSION\n\n';
   const preSessionEntries = data.journalEntries?.filter((e) => e.content.startsWith(PRE_SESSION_PREFIX)) || [];
   const hasPreSession = data.preSessionModules?.length > 0 || preSessionEntries.length > 0;
   if (hasPreSession) {
@@ -357,52 +723,7 @@ ${centerText(`Exported ${exportDate}`)}
   // ── Build activity captures lookup ──────────────────────
   // Collect all activity content keyed by type for rendering within phases
 
-  const activityCaptures = {};
-
-  // Prefer the new identity-scoped sessionProfile.protector path. Fall back to
-  // the legacy transitionCaptures.protectorDialogue slot for any session that
-  // hasn't migrated yet (and for the test window before the legacy modules are
-  // deleted). The fallback also normalizes field names so downstream renderers
-  // see a single shape.
-  const newProtector = data.sessionProfile?.protector;
-  const legacyProtector = data.transitionCaptures?.protectorDialogue;
-  if (newProtector?.name) {
-    activityCaptures.protector = {
-      protectorName: newProtector.name,
-      protectorDescription: newProtector.description,
-      bodyLocation: newProtector.bodyLocation,
-      protectorMessage: newProtector.message,
-    };
-  } else if (legacyProtector?.protectorName) {
-    activityCaptures.protector = legacyProtector;
-  }
-
-  const stayWithIt = data.transitionCaptures?.stayWithIt;
-  if (stayWithIt?.checkInResponse) activityCaptures.stayWithIt = stayWithIt;
-
-  const valuesCompass = data.transitionCaptures?.valuesCompass;
-  if (valuesCompass?.quadrants) {
-    const hasChips = ['q1', 'q2', 'q3', 'q4'].some((q) => valuesCompass.quadrants[q]?.length > 0);
-    if (hasChips) activityCaptures.valuesCompass = valuesCompass;
-  }
-
-  const feltSense = data.transitionCaptures?.feltSense;
-  if (feltSense?.shiftCheckIn) activityCaptures.feltSense = feltSense;
-
-  const theDescent = data.transitionCaptures?.theDescent;
-  if (theDescent && (theDescent.quickCapture || theDescent.unsaidMessage || theDescent.primaryEmotion)) activityCaptures.theDescent = theDescent;
-
-  const theCycle = data.transitionCaptures?.theCycle;
-  if (theCycle && (theCycle.position || theCycle.friction || theCycle.journalResponses)) activityCaptures.theCycle = theCycle;
-
-  const mappingTerritory = data.transitionCaptures?.mappingTerritory;
-  if (mappingTerritory && (mappingTerritory.copingPattern || mappingTerritory.approachStyle)) activityCaptures.mappingTerritory = mappingTerritory;
-
-  const pendulation = data.transitionCaptures?.pendulation;
-  if (pendulation?.checkpoints?.length > 0) activityCaptures.pendulation = pendulation;
-
-  const shakingTheTree = data.transitionCaptures?.shakingTheTree;
-  if (shakingTheTree?.bodySensations?.length > 0) activityCaptures.shakingTheTree = shakingTheTree;
+  const activityCaptures = collectActivityCaptures(data);
 
   // Helper: render activity capture content for a given type
   function renderCapture(type) {
@@ -417,17 +738,15 @@ ${centerText(`Exported ${exportDate}`)}
       if (p.protectorMessage) out += `\n\n  Message to Protector:\n  ${p.protectorMessage}`;
     }
     if (type === 'stayWithIt' && activityCaptures.stayWithIt) {
-      const responseLabels = { 'lighter': 'Lighter, like something loosened', 'still-processing': 'Still processing, not sure yet', 'heavy': 'Heavy or weighed down', 'numb': 'Blank or numb', 'activated': 'Anxious, restless, or stirred up' };
       out += `\n\n  Stay With It:`;
-      out += `\n  Response: ${responseLabels[activityCaptures.stayWithIt.checkInResponse] || activityCaptures.stayWithIt.checkInResponse}`;
+      out += `\n  Response: ${STAY_WITH_IT_LABELS[activityCaptures.stayWithIt.checkInResponse] || activityCaptures.stayWithIt.checkInResponse}`;
     }
     if (type === 'valuesCompass' && activityCaptures.valuesCompass) {
-      const qLabels = { q1: 'What Matters', q2: 'Inner Obstacles', q3: 'Away Moves', q4: 'Toward Moves' };
       out += `\n\n  Values Compass:`;
       for (const qId of ['q1', 'q2', 'q3', 'q4']) {
         const chips = activityCaptures.valuesCompass.quadrants[qId];
         if (chips?.length > 0) {
-          out += `\n  ${qLabels[qId]}:`;
+          out += `\n  ${VALUES_COMPASS_LABELS[qId]}:`;
           chips.forEach((chip) => { out += `\n    - ${chip.text}`; });
         }
       }
@@ -478,15 +797,6 @@ ${centerText(`Exported ${exportDate}`)}
     return out;
   }
 
-  // Map libraryId to capture type for matching modules to their content
-  const libraryIdToCaptureType = {
-    'protector-dialogue-p1': 'protector', 'protector-dialogue-p2': 'protector',
-    'stay-with-it': 'stayWithIt', 'values-compass': 'valuesCompass',
-    'felt-sense': 'feltSense', 'the-descent': 'theDescent', 'the-cycle': 'theCycle',
-    'mapping-territory': 'mappingTerritory', 'pendulation': 'pendulation',
-    'shaking-the-tree': 'shakingTheTree',
-  };
-
   // Track session journal entry IDs rendered inline (to exclude from final journal section)
   const renderedJournalIds = new Set();
 
@@ -513,7 +823,7 @@ ${centerText(`Exported ${exportDate}`)}
       }
 
       // Render any activity capture content for this module
-      const captureType = libraryIdToCaptureType[module.libraryId];
+      const captureType = LIBRARY_ID_TO_CAPTURE_TYPE[module.libraryId];
       if (captureType && activityCaptures[captureType] && !renderedCaptures.has(captureType)) {
         out += renderCapture(captureType);
         renderedCaptures.add(captureType);
@@ -523,6 +833,7 @@ ${centerText(`Exported ${exportDate}`)}
       const moduleEntries = sessionJournalEntries.filter((e) => e.moduleTitle === module.title);
       moduleEntries.forEach((entry) => {
         out += `\n\n    ${entry.content}`;
+        if (entry.audio) out += `\n    ${describeAudioMemo(entry)}`;
         renderedJournalIds.add(entry.id);
       });
     });
@@ -538,25 +849,20 @@ ${centerText(`Exported ${exportDate}`)}
 
   if (data.comeUpCheckIn?.responses?.length > 0) {
     text += `\n\n\n${section('COME-UP CHECK-INS')}\n`;
-    const labels = {
-      'waiting': 'Still waiting',
-      'starting': 'Starting to feel it',
-      'fully-arrived': 'Fully arrived',
-    };
     data.comeUpCheckIn.responses.forEach((r) => {
-      text += `\n  [${r.minutesSinceIngestion} min]  ${labels[r.response] || r.response}`;
+      text += `\n  [${r.minutesSinceIngestion} min]  ${COME_UP_LABELS[r.response] || r.response}`;
     });
   }
 
   // ── Peak transition ────────────────────────────────────
 
-  const peak = data.transitionCaptures?.peak;
-  if (peak && (peak.bodySensations?.length || peak.oneWord)) {
+  const peak = getPeakTransition(data);
+  if (peak.bodySensations.length || peak.oneWord) {
     text += `\n\n\n${section('PEAK TRANSITION')}\n`;
     if (peak.oneWord) {
       text += `\n  One Word:         ${peak.oneWord}`;
     }
-    if (peak.bodySensations?.length) {
+    if (peak.bodySensations.length) {
       text += `\n  Body Sensations:  ${peak.bodySensations.join(', ')}`;
     }
   }
@@ -575,13 +881,9 @@ ${centerText(`Exported ${exportDate}`)}
       text += `\n\n\n${section('BOOSTER CHECK-IN')}\n`;
 
       if (hasCheckIn) {
-        const expLabels = { 'deep-meaningful': 'Deep and meaningful', 'pleasant-open': 'Pleasant and open', 'settled': 'Settled but ready to shift', 'intense': 'Intense', 'uncertain': 'Uncertain' };
-        const physLabels = { 'comfortable': 'Comfortable', 'some-tension': 'Some tension', 'temperature': 'Temperature fluctuations', 'noticeable': 'Noticeable physical effects', 'uncomfortable': 'Uncomfortable' };
-        const trajLabels = { 'more-to-explore': 'More to explore', 'middle-of-something': 'In the middle of something', 'complete': 'Feeling complete', 'ready-to-integrate': 'Ready to integrate' };
-
-        if (r.experienceQuality) text += `\n  Experience Quality:  ${expLabels[r.experienceQuality] || r.experienceQuality}`;
-        if (r.physicalState) text += `\n  Physical State:      ${physLabels[r.physicalState] || r.physicalState}`;
-        if (r.trajectory) text += `\n  Trajectory:          ${trajLabels[r.trajectory] || r.trajectory}`;
+        if (r.experienceQuality) text += `\n  Experience Quality:  ${BOOSTER_EXPERIENCE_LABELS[r.experienceQuality] || r.experienceQuality}`;
+        if (r.physicalState) text += `\n  Physical State:      ${BOOSTER_PHYSICAL_LABELS[r.physicalState] || r.physicalState}`;
+        if (r.trajectory) text += `\n  Trajectory:          ${BOOSTER_TRAJECTORY_LABELS[r.trajectory] || r.trajectory}`;
       }
 
       if (data.booster.status === 'taken') {
@@ -602,15 +904,8 @@ ${centerText(`Exported ${exportDate}`)}
   }
 
   // ── Integration transition ─────────────────────────────
-  // New source of truth: `transitionData` (store v26+). Falls back to the
-  // legacy `transitionCaptures.integration` for pre-v26 archives.
 
-  const td = data.transitionData || {};
-  const integration = data.transitionCaptures?.integration || {};
-  const intentionAddition = td.intentionAdditions?.integration || integration.editedIntention;
-  const newFocus = td.newFocus || integration.newFocus;
-  const focusSubtype = td.focusSubtype || td.newRelationshipType || integration.newRelationshipType;
-  const tailoredActivityResponse = integration.tailoredActivityResponse;
+  const { intentionAddition, newFocus, focusSubtype, tailoredActivityResponse } = getSynthesisTransition(data);
 
   if (intentionAddition || newFocus || focusSubtype || tailoredActivityResponse) {
     text += `\n\n\n${section('SYNTHESIS TRANSITION')}\n`;
@@ -632,8 +927,8 @@ ${centerText(`Exported ${exportDate}`)}
 
   // ── Closing reflections ────────────────────────────────
 
-  const closing = data.transitionCaptures?.closing;
-  if (closing && (closing.selfGratitude || closing.futureMessage || closing.commitment)) {
+  const closing = getClosingReflections(data);
+  if (closing.selfGratitude || closing.futureMessage || closing.commitment) {
     text += `\n\n\n${section('CLOSING REFLECTIONS')}\n`;
     if (closing.selfGratitude) {
       text += `\n  One thing about myself I appreciate:\n  ${closing.selfGratitude}`;
@@ -646,6 +941,27 @@ ${centerText(`Exported ${exportDate}`)}
     }
   }
 
+  // ── Integration summary ────────────────────────────────
+
+  const summary = getIntegrationSummary(data);
+  if (summary) {
+    text += `\n\n\n${section('INTEGRATION SUMMARY')}\n`;
+    text += `\n  Written by the AI assistant on ${formatDate(summary.timestamp)}\n`;
+    text += `\n${summary.content.split('\n').map((line) => `  ${line}`.trimEnd()).join('\n')}`;
+    renderedJournalIds.add(summary.id);
+  }
+
+  // ── Body check ─────────────────────────────────────────
+
+  const bodyCheck = getBodyCheckSummary(data);
+  if (bodyCheck.rows.length > 0) {
+    text += `\n\n\n${section('BODY CHECK')}\n`;
+    bodyCheck.rows.forEach((row) => {
+      text += `\n  ${row.at.padEnd(10)}${row.text}`;
+    });
+    text += `\n\n  Total Water:         ${bodyCheck.totalWaterMl} ml`;
+  }
+
   // Follow-up activities are library modules (phase='follow-up') with their
   // own module entries in moduleHistory and journalEntries. Their completed
   // run metadata is rendered via the timeline/activity sections above, and
@@ -665,6 +981,7 @@ ${centerText(`Exported ${exportDate}`)}
       if (entry.moduleTitle) text += ` — ${entry.moduleTitle}`;
       else if (entry.source === 'manual') text += ` — Personal Entry`;
       text += `\n  ${entry.content}\n`;
+      if (entry.audio) text += `  ${describeAudioMemo(entry)}\n`;
     });
   }
 
@@ -672,58 +989,13 @@ ${centerText(`Exported ${exportDate}`)}
 
   const intake = data.intake;
   if (intake && Object.keys(intake).length > 0) {
-    const optionLabels = {
-      experienceLevel: { 'first-time': 'First time', 'beginner': '1–3 sessions', 'experienced': '4+ sessions' },
-      sessionMode: { 'solo': 'Solo', 'with-partner': 'With a partner', 'with-sitter': 'With a sitter', 'group': 'Group setting' },
-      primaryFocus: { 'self-understanding': 'Self-understanding', 'healing': 'Emotional healing', 'relationship': 'Relationship exploration', 'creativity': 'Creativity & insight', 'open': 'Open exploration' },
-      guidanceLevel: { 'full': 'Full guidance', 'moderate': 'Moderate guidance', 'minimal': 'Minimal — mostly open space' },
-      hasTested: { 'yes': 'Yes', 'not-yet': 'Not yet' },
-      considerBooster: { 'yes': 'Yes', 'no': 'No, just one dose', 'decide-later': 'Decide during session' },
-      physicalPreparation: { 'yes': 'Yes', 'not-yet': 'Not yet' },
-      lastMDMAUse: { 'first-time': 'First time', 'more-than-3-months': 'More than 3 months ago', '1-3-months': '1–3 months ago', 'less-than-1-month': 'Less than 1 month ago', 'unsure': 'Not sure' },
-      emergencyContact: { 'yes': 'Yes', 'no-okay': 'No, but comfortable', 'no-fine': 'No' },
-      contraindicatedMedications: { 'yes': 'Yes', 'no': 'No' },
-      heartConditions: { 'yes': 'Yes', 'no': 'No' },
-      psychiatricHistory: { 'yes': 'Yes', 'no': 'No' },
-    };
-
-    const fieldLabels = {
-      experienceLevel: 'Experience Level',
-      sessionMode: 'Session Mode',
-      primaryFocus: 'Primary Focus',
-      holdingQuestion: 'Intention',
-      guidanceLevel: 'Guidance Level',
-      activityPreferences: 'Activity Preferences',
-      hasTested: 'Has Tested',
-      considerBooster: 'Consider Booster',
-      physicalPreparation: 'Physical Preparation',
-      lastMDMAUse: 'Last MDMA Use',
-      emergencyContact: 'Emergency Contact',
-      emergencyContactDetails: 'Emergency Contact Details',
-      contraindicatedMedications: 'Contraindicated Medications',
-      heartConditions: 'Heart Conditions',
-      psychiatricHistory: 'Psychiatric History',
-      hasResearchedDosage: 'Researched Dosage',
-    };
-
     text += `\n\n\n${section('INTAKE FORM')}\n`;
 
     for (const [key, value] of Object.entries(intake)) {
-      if (value === null || value === undefined || value === '') continue;
-      const label = fieldLabels[key] || key;
-      if (Array.isArray(value)) {
-        text += `\n  ${label}:  ${value.join(', ')}`;
-      } else if (key === 'emergencyContactDetails' && typeof value === 'object') {
-        const parts = [value.name, value.phone].filter(Boolean);
-        if (parts.length > 0) text += `\n  ${label}:  ${parts.join(' — ')}`;
-        if (value.notes && value.notes.trim()) {
-          text += `\n  Emergency Contact Notes:  ${value.notes.trim()}`;
-        }
-      } else if (optionLabels[key]?.[value]) {
-        text += `\n  ${label}:  ${optionLabels[key][value]}`;
-      } else {
-        text += `\n  ${label}:  ${value}`;
-      }
+      const rows = formatIntakeField(key, value);
+      rows?.forEach((row) => {
+        text += `\n  ${row.label}:  ${row.value}`;
+      });
     }
   }
 
@@ -744,6 +1016,294 @@ ${border}
   return text;
 }
 
+// ============================================
+// JSON EXPORT
+// ============================================
+
+export const JSON_EXPORT_SCHEMA = 'm-session-export';
+// Bump when the shape of getSessionData() changes in a way readers must handle
+export const JSON_EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Generate a schema-versioned JSON export of the session.
+ * The `data` field is exactly the getSessionData() snapshot, so the export
+ * round-trips through parseJsonExport() without loss.
+ * @param {object} [data] - Output of getSessionData() (defaults to the live session)
+ * @returns {string} Pretty-printed JSON
+ */
+export function generateJsonExport(data = getSessionData()) {
+  return JSON.stringify({
+    schema: JSON_EXPORT_SCHEMA,
+    schemaVersion: JSON_EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  }, null, 2);
+}
+
+/**
+ * Parse a JSON export back into session data
+ * @param {string} text - Contents of a file produced by generateJsonExport()
+ * @returns {object} The exported session data
+ * @throws {Error} If the file isn't a session export or uses a newer schema
+ */
+export function parseJsonExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_error) {
+    throw new Error('This file is not a valid session export.');
+  }
+
+  if (!parsed || parsed.schema !== JSON_EXPORT_SCHEMA || !parsed.data) {
+    throw new Error('This file is not an m-session export.');
+  }
+  if (typeof parsed.schemaVersion !== 'number' || parsed.schemaVersion > JSON_EXPORT_SCHEMA_VERSION) {
+    throw new Error('This export was made by a newer version of the app.');
+  }
+
+  return parsed.data;
+}
+
+// ============================================
+// MARKDOWN EXPORT
+// ============================================
+
+/**
+ * Escape a value for use inside a Markdown table cell
+ */
+function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render free text as a Markdown blockquote (keeps user line breaks)
+ */
+function mdQuote(value) {
+  return String(value).split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+}
+
+/**
+ * Generate a Markdown export of the session.
+ * Mirrors the section order of the text export. Journal images are
+ * referenced as `images/<filename>`, matching downloadSessionImages(), and
+ * voice memos as `audio/<filename>`, matching downloadSessionAudio().
+ * @param {object} [data] - Output of getSessionData() (defaults to the live session)
+ */
+export function generateMarkdownExport(data = getSessionData()) {
+  const lines = [];
+  const push = (...items) => lines.push(...items);
+  const heading = (level, title) => push('', `${'#'.repeat(level)} ${title}`, '');
+  const field = (label, value) => { if (value) push(`- **${label}:** ${value}`); };
+
+  // ── Overview ────────────────────────────────────────────
+
+  push('# Session Record', '', `_Exported ${formatDate(new Date())}_`);
+
+  heading(2, 'Overview');
+  field('Started', formatDate(data.session.startedAt));
+  field('Ended', formatDate(data.session.closedAt));
+  field('Duration', formatDuration(data.session.finalDurationSeconds));
+  if (data.substanceChecklist.plannedDosageMg) {
+    const feedback = data.substanceChecklist.dosageFeedback ? ` (${data.substanceChecklist.dosageFeedback})` : '';
+    field('Dosage', `${data.substanceChecklist.plannedDosageMg}mg${feedback}`);
+  }
+  if (data.booster?.status === 'taken') {
+    field('Booster', `${data.booster.doseMg ? data.booster.doseMg + 'mg taken' : 'Taken'} at ${formatDate(data.booster.takenAt)}`);
+  } else if (data.booster?.status === 'skipped') {
+    field('Booster', 'Skipped');
+  } else if (data.booster?.status === 'expired') {
+    field('Booster', 'Expired (not taken within window)');
+  }
+
+  const stats = getSessionStats(data);
+  push('');
+  push(`- Pre-session activities: ${stats.preSessionCompleted}`);
+  push(`- Session activities: ${stats.sessionCompleted}`);
+  push(`- Follow-up activities: ${stats.followUpCompleted}`);
+  push(`- Longest activity: ${stats.longestText}`);
+  push(`- Journal entries: ${stats.journalCount}`);
+
+  // ── Intention ───────────────────────────────────────────
+
+  if (data.intention.original || data.intention.touchstone) {
+    heading(2, 'Intention');
+    if (data.intention.original) push(mdQuote(data.intention.original));
+    if (data.intention.touchstone) push('', `**Touchstone:** ${data.intention.touchstone}`);
+  }
+
+  // ── Timeline ────────────────────────────────────────────
+
+  const history = (data.moduleHistory || []).filter((m) => m.phase !== 'pre-session' && m.phase !== 'follow-up');
+  if (history.length > 0) {
+    heading(2, 'Timeline');
+    push('| Phase | Activity | Status | Time | Duration |', '| --- | --- | --- | --- | --- |');
+    history.forEach((m) => {
+      const phase = SESSION_PHASES.find((p) => p.key === m.phase)?.label || m.phase;
+      const time = m.startedAt ? `${formatTime(m.startedAt)}${m.completedAt ? ` – ${formatTime(m.completedAt)}` : ''}` : '';
+      push(`| ${mdCell(phase)} | ${mdCell(m.title)} | ${mdCell(m.status)} | ${mdCell(time)} | ${mdCell(m.actualDuration ? formatDuration(m.actualDuration) : '')} |`);
+    });
+  }
+
+  // ── Pre-session ─────────────────────────────────────────
+
+  const preSessionEntries = (data.journalEntries || []).filter((e) => e.content.startsWith(PRE_SESSION_PREFIX));
+  if (data.preSessionModules?.length > 0 || preSessionEntries.length > 0) {
+    heading(2, 'Pre-Session Activities');
+    (data.preSessionModules || []).forEach((mod) => {
+      push(`- ${mod.title} (${mod.status})${mod.completedAt ? ` — ${formatDate(mod.completedAt)}` : ''}`);
+    });
+    preSessionEntries.forEach((entry) => {
+      heading(3, entry.moduleTitle || formatDate(entry.timestamp));
+      push(mdQuote(entry.content.replace(PRE_SESSION_PREFIX, '')));
+    });
+    if (data.lifeGraph?.milestones?.length > 0) {
+      heading(3, 'Life Graph');
+      data.lifeGraph.milestones.forEach((m) => {
+        push(`- ${m.label} (${m.rating}/10)${m.note ? ` — ${m.note}` : ''}`);
+      });
+    }
+  }
+
+  // ── Session phases ──────────────────────────────────────
+
+  const activityCaptures = collectActivityCaptures(data);
+  const renderedCaptures = new Set();
+  const renderedJournalIds = new Set();
+  const sessionJournalEntries = (data.journalEntries || []).filter((e) => e.source === 'session');
+
+  const renderJournalEntry = (entry) => {
+    push('', mdQuote(entry.content));
+    if (entry.hasImage) {
+      push('', `![${entry.moduleTitle || 'Journal image'}](images/${getImageFilename(entry)})`);
+    }
+    if (entry.audio) {
+      push('', `[Voice memo (${formatMemoDuration(entry.audio.duration)})](audio/${getAudioFilename(entry)})`);
+    }
+  };
+
+  const renderPhase = (phase) => {
+    const modules = (data.moduleHistory || []).filter((m) => m.phase === phase.key);
+    if (modules.length === 0) return;
+    heading(2, phase.label);
+    modules.forEach((module) => {
+      heading(3, module.title);
+      if (module.status === 'skipped') {
+        push('_Skipped_');
+      } else if (module.startedAt) {
+        const duration = module.actualDuration ? ` (${formatDuration(module.actualDuration)})` : '';
+        push(`_${formatTime(module.startedAt)}${module.completedAt ? ` – ${formatTime(module.completedAt)}` : ''}${duration}_`);
+      }
+
+      const captureType = LIBRARY_ID_TO_CAPTURE_TYPE[module.libraryId];
+      if (captureType && !renderedCaptures.has(captureType)) {
+        const capture = describeCapture(captureType, activityCaptures[captureType]);
+        if (capture?.rows.length > 0) {
+          push('', `**${capture.title}**`, '');
+          capture.rows.forEach((row) => field(row.label, row.value));
+          renderedCaptures.add(captureType);
+        }
+      }
+
+      sessionJournalEntries
+        .filter((e) => e.moduleTitle === module.title)
+        .forEach((entry) => {
+          renderJournalEntry(entry);
+          renderedJournalIds.add(entry.id);
+        });
+    });
+  };
+
+  const [comeUpPhase, peakPhase, integrationPhase] = SESSION_PHASES;
+
+  renderPhase(comeUpPhase);
+
+  if (data.comeUpCheckIn?.responses?.length > 0) {
+    heading(2, 'Come-Up Check-Ins');
+    data.comeUpCheckIn.responses.forEach((r) => {
+      push(`- ${r.minutesSinceIngestion} min — ${COME_UP_LABELS[r.response] || r.response}`);
+    });
+  }
+
+  const peak = getPeakTransition(data);
+  if (peak.bodySensations.length || peak.oneWord) {
+    heading(2, 'Peak Transition');
+    field('One Word', peak.oneWord);
+    if (peak.bodySensations.length) field('Body Sensations', peak.bodySensations.join(', '));
+  }
+
+  renderPhase(peakPhase);
+
+  const r = data.booster?.checkInResponses;
+  if (r && (r.experienceQuality || r.physicalState || r.trajectory)) {
+    heading(2, 'Booster Check-In');
+    field('Experience Quality', BOOSTER_EXPERIENCE_LABELS[r.experienceQuality] || r.experienceQuality);
+    field('Physical State', BOOSTER_PHYSICAL_LABELS[r.physicalState] || r.physicalState);
+    field('Trajectory', BOOSTER_TRAJECTORY_LABELS[r.trajectory] || r.trajectory);
+  }
+
+  const synthesis = getSynthesisTransition(data);
+  if (synthesis.intentionAddition || synthesis.newFocus || synthesis.focusSubtype) {
+    heading(2, 'Synthesis Transition');
+    field('Intention Addition', synthesis.intentionAddition);
+    field('Focus Changed To', synthesis.newFocus);
+    field('Focus Detail', synthesis.focusSubtype);
+  }
+
+  renderPhase(integrationPhase);
+
+  const closing = getClosingReflections(data);
+  if (closing.selfGratitude || closing.futureMessage || closing.commitment) {
+    heading(2, 'Closing Reflections');
+    if (closing.selfGratitude) push('**One thing about myself I appreciate**', '', mdQuote(closing.selfGratitude), '');
+    if (closing.futureMessage) push('**Message to my future self**', '', mdQuote(closing.futureMessage), '');
+    if (closing.commitment) push('**One thing I want to do differently**', '', mdQuote(closing.commitment));
+  }
+
+  const summary = getIntegrationSummary(data);
+  if (summary) {
+    heading(2, 'Integration Summary');
+    push(`_Written by the AI assistant on ${formatDate(summary.timestamp)}_`, '');
+    // Nest the summary's own headings under this section
+    push(summary.content.replace(/^(#{1,4}) /gm, '#$1 '));
+    renderedJournalIds.add(summary.id);
+  }
+
+  const bodyCheck = getBodyCheckSummary(data);
+  if (bodyCheck.rows.length > 0) {
+    heading(2, 'Body Check');
+    bodyCheck.rows.forEach((row) => push(`- ${row.at} — ${row.text}`));
+    push('', `Total water: ${bodyCheck.totalWaterMl} ml`);
+  }
+
+  // ── Journal entries ─────────────────────────────────────
+
+  const remainingEntries = (data.journalEntries || []).filter((e) =>
+    !e.content.startsWith(PRE_SESSION_PREFIX) && !renderedJournalIds.has(e.id)
+  );
+  if (remainingEntries.length > 0) {
+    heading(2, 'Journal Entries');
+    remainingEntries.forEach((entry) => {
+      const title = entry.moduleTitle || (entry.source === 'manual' ? 'Personal Entry' : 'Entry');
+      heading(3, `${title} — ${formatDate(entry.timestamp)}`);
+      renderJournalEntry(entry);
+    });
+  }
+
+  // ── Intake ──────────────────────────────────────────────
+
+  const intakeRows = Object.entries(data.intake || {})
+    .flatMap(([key, value]) => formatIntakeField(key, value) || []);
+  if (intakeRows.length > 0) {
+    heading(2, 'Intake Form');
+    push('| Question | Answer |', '| --- | --- |');
+    intakeRows.forEach((row) => push(`| ${mdCell(row.label)} | ${mdCell(row.value)} |`));
+  }
+
+  push('', '---', '', '_Generated by m-session · m-session.com. m-session is a free, open-source harm reduction tool. It is not a substitute for professional medical advice, therapy, or clinical supervision._', '');
+
+  return lines.join('\n');
+}
+
 /**
  * Trigger file download in browser
  */
@@ -768,22 +1328,17 @@ function getFilename(extension) {
 }
 
 /**
- * Download any session images (Values Compass PNG) as separate files.
+ * Download every journal image (generated PNGs like the Values Compass,
+ * and sketches from sessions or the journal) as separate files.
  */
 export async function downloadSessionImages() {
-  const journalState = useJournalStore.getState();
-  const imageEntries = journalState.entries.filter(
-    (e) => e.hasImage && e.source === 'session'
-  );
+  const imageEntries = useJournalStore.getState().entries.filter((e) => e.hasImage);
 
   for (const entry of imageEntries) {
     try {
       const blob = await getImage(entry.id);
       if (blob) {
-        const label = (entry.moduleTitle || 'image')
-          .toLowerCase().replace(/[^a-z0-9]+/g, '-');
-        const date = new Date().toISOString().split('T')[0];
-        downloadFile(blob, `${label}-${date}.png`, 'image/png');
+        downloadFile(blob, getImageFilename(entry), 'image/png');
       }
     } catch (err) {
       console.warn('Failed to export image for entry', entry.id, err);
@@ -792,9 +1347,35 @@ export async function downloadSessionImages() {
 }
 
 /**
- * Download session data as a text file
+ * Download every journal voice memo (session and personal) as separate files.
+ */
+export async function downloadSessionAudio() {
+  const audioEntries = useJournalStore.getState().entries.filter((e) => e.audio);
+
+  for (const entry of audioEntries) {
+    try {
+      const blob = await getAudioMemo(entry.id);
+      if (blob) {
+        downloadFile(blob, getAudioFilename(entry), entry.audio.type || blob.type);
+      }
+    } catch (err) {
+      console.warn('Failed to export voice memo for entry', entry.id, err);
+    }
+  }
+}
+
+const EXPORT_FORMATS = {
+  txt: { generate: generateTextExport, type: 'text/plain' },
+  md: { generate: generateMarkdownExport, type: 'text/markdown' },
+  json: { generate: generateJsonExport, type: 'application/json' },
+};
+
+/**
+ * Download session data in the chosen format
+ * @param {'txt'|'md'|'json'} [format='txt']
  */
-export function downloadSessionData() {
-  const content = generateTextExport();
-  downloadFile(content, getFilename('txt'), 'text/plain');
+export function downloadSessionData(format = 'txt') {
+  const { generate, type } = EXPORT_FORMATS[format] || EXPORT_FORMATS.txt;
+  const extension = EXPORT_FORMATS[format] ? format : 'txt';
+  downloadFile(generate(), getFilename(extension), type);
 }
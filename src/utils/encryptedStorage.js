@@ -0,0 +1,241 @@
+/**
+ * Encrypted Storage
+ * A zustand persist storage adapter (use via createJSONStorage) that keeps
+ * the journal, session, history, AI assistant, custom meditation and voice
+ * recording stores encrypted at rest while the app lock is on. sealBlob/openBlob do the same for the IndexedDB
+ * blob stores (utils/blobStore.js): images, voice memos and voice clips.
+ *
+ * The adapter holds the app lock data key in memory only. Without it:
+ * - encrypted values read as "nothing stored" and their names are sealed,
+ * - writes that would need encrypting are dropped,
+ * so a locked app never overwrites data it could not read. Plaintext values
+ * (written before the lock was turned on) still read and write synchronously,
+ * exactly like localStorage.
+ *
+ * Encryption is async, so writes for each name go through a queue that only
+ * ever keeps the latest value — rapid store updates collapse into one write.
+ */
+
+import {
+  encryptWithKey,
+  decryptWithKey,
+  encryptBytesWithKey,
+  decryptBytesWithKey,
+} from '../services/cryptoService';
+
+// Encrypted values are stored as {"appLock":1,"iv":...,"ciphertext":...}
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_PREFIX = `{"appLock":${ENVELOPE_VERSION},`;
+
+// Suffix for encrypted values that failed to decrypt with the current key —
+// kept aside rather than overwritten
+const UNREADABLE_SUFFIX = '-unreadable';
+
+let dataKey = null;
+let encryptionRequired = false;
+const sealedNames = new Set();
+const hydratingNames = new Set();
+const pendingWrites = new Map();
+const inFlightWrites = new Map();
+const lockedStores = [];
+const lockedBlobStores = [];
+
+const isEnvelope = (raw) => typeof raw === 'string' && raw.startsWith(ENVELOPE_PREFIX);
+
+const needsEncryption = (name) => encryptionRequired || sealedNames.has(name);
+
+// Encrypted blobs are stored as { appLock: 1, type, iv, ciphertext } records
+const isSealedBlob = (value) => !!value && !(value instanceof Blob) && value.appLock === ENVELOPE_VERSION;
+
+async function decryptItem(name, raw) {
+  hydratingNames.add(name);
+  try {
+    const value = await decryptWithKey(JSON.parse(raw), dataKey);
+    sealedNames.delete(name);
+    return value;
+  } catch (error) {
+    console.error(`Could not decrypt ${name}; keeping a copy aside`, error);
+    localStorage.setItem(name + UNREADABLE_SUFFIX, raw);
+    sealedNames.delete(name);
+    return null;
+  } finally {
+    hydratingNames.delete(name);
+  }
+}
+
+async function writeItem(name, value) {
+  // Drop writes racing a decrypt — hydration replaces that state anyway
+  if (hydratingNames.has(name)) return;
+
+  if (!needsEncryption(name)) {
+    localStorage.setItem(name, value);
+    return;
+  }
+  if (!dataKey) return;
+
+  const encrypted = await encryptWithKey(value, dataKey);
+  localStorage.setItem(name, JSON.stringify({ appLock: ENVELOPE_VERSION, ...encrypted }));
+}
+
+async function drainWrites(name) {
+  while (pendingWrites.has(name)) {
+    const value = pendingWrites.get(name);
+    pendingWrites.delete(name);
+    try {
+      await writeItem(name, value);
+    } catch (error) {
+      console.error(`Could not save ${name}`, error);
+    }
+  }
+}
+
+export const encryptedStorage = {
+  getItem: (name) => {
+    const raw = localStorage.getItem(name);
+    if (!isEnvelope(raw)) return raw;
+
+    if (!dataKey) {
+      sealedNames.add(name);
+      return null;
+    }
+    return decryptItem(name, raw);
+  },
+
+  setItem: (name, value) => {
+    // Fast path: plaintext with nothing queued behaves exactly like localStorage
+    if (!needsEncryption(name) && !inFlightWrites.has(name) && !hydratingNames.has(name)) {
+      localStorage.setItem(name, value);
+      return;
+    }
+
+    pendingWrites.set(name, value);
+    if (inFlightWrites.has(name)) return;
+    const run = drainWrites(name).finally(() => inFlightWrites.delete(name));
+    inFlightWrites.set(name, run);
+  },
+
+  removeItem: (name) => {
+    pendingWrites.delete(name);
+    sealedNames.delete(name);
+    localStorage.removeItem(name);
+  },
+};
+
+/**
+ * Prepare a blob for IndexedDB: encrypted while the lock is on, as-is otherwise
+ * @param {Blob} blob
+ * @returns {Promise<Blob|object>}
+ * @throws {Error} While the lock is on and the key isn't in memory
+ */
+export async function sealBlob(blob) {
+  if (!encryptionRequired) return blob;
+  if (!dataKey) throw new Error('Unlock the app first');
+
+  const encrypted = await encryptBytesWithKey(new Uint8Array(await blob.arrayBuffer()), dataKey);
+  return { appLock: ENVELOPE_VERSION, type: blob.type, ...encrypted };
+}
+
+/**
+ * Turn a value read from IndexedDB back into a blob
+ * @param {Blob|object|undefined} value - What sealBlob stored
+ * @returns {Promise<Blob|null>} null when nothing is stored, or when it is
+ *   encrypted and the key isn't in memory
+ */
+export async function openBlob(value) {
+  if (!isSealedBlob(value)) return value || null;
+  if (!dataKey) return null;
+
+  const bytes = await decryptBytesWithKey(value, dataKey);
+  return new Blob([bytes], { type: value.type });
+}
+
+/**
+ * Set whether new writes must be encrypted (true while the app lock is on)
+ * @param {boolean} required
+ */
+export function setEncryptionRequired(required) {
+  encryptionRequired = required;
+}
+
+/**
+ * Hand the adapter the data key, or null to forget it
+ * @param {CryptoKey|null} key
+ */
+export function setStorageKey(key) {
+  dataKey = key;
+}
+
+/**
+ * The data key the adapter currently holds (null while locked at launch)
+ * @returns {CryptoKey|null}
+ */
+export function getStorageKey() {
+  return dataKey;
+}
+
+/**
+ * Track a persisted store that uses this adapter, so it can be hydrated on
+ * unlock and rewritten when the lock is turned on or off
+ * @param {object} store - A zustand store created with persist
+ */
+export function registerLockedStore(store) {
+  lockedStores.push(store);
+}
+
+/**
+ * Track an IndexedDB blob store, so its blobs are re-saved when the lock is
+ * turned on or off and erased with the locked stores
+ * @param {{ reseal: () => Promise<void>, clear: () => Promise<void> }} blobStore
+ */
+export function registerLockedBlobStore(blobStore) {
+  lockedBlobStores.push(blobStore);
+}
+
+/**
+ * Wait until every queued write has reached localStorage
+ * @returns {Promise<void>}
+ */
+export async function flushEncryptedStorage() {
+  while (inFlightWrites.size > 0) {
+    await Promise.all([...inFlightWrites.values()]);
+  }
+}
+
+/**
+ * Supply the data key and hydrate every locked store that has not loaded yet
+ * @param {CryptoKey} key
+ * @returns {Promise<void>}
+ */
+export async function unlockLockedStores(key) {
+  dataKey = key;
+  await Promise.all(
+    lockedStores
+      .filter((store) => !store.persist.hasHydrated())
+      .map((store) => store.persist.rehydrate())
+  );
+}
+
+/**
+ * Re-save every locked store and blob store in the current mode — encrypted
+ * after the lock is turned on, plaintext after it is turned off
+ * @returns {Promise<void>}
+ */
+export async function rewriteLockedStores() {
+  // An empty update still runs persist's setItem with the full state
+  lockedStores.forEach((store) => store.setState({}));
+  await flushEncryptedStorage();
+  for (const blobStore of lockedBlobStores) {
+    await blobStore.reseal();
+  }
+}
+
+/**
+ * Delete the persisted data of every locked store and blob store
+ * Used when the PIN is forgotten: the key is gone, so the data is too.
+ * @returns {Promise<void>}
+ */
+export async function clearLockedStores() {
+  dataKey = null;
+  lockedStores.forEach((store) => store.persist.clearStorage());
+  await Promise.all(lockedBlobStores.map((blobStore) => blobStore.clear()));
+}
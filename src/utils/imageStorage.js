@@ -3,27 +3,15 @@
  *
  * Uses IndexedDB to store image blobs keyed by journal entry ID.
  * Keeps binary data out of localStorage to avoid size limits.
+ *
+ * Images belonging to the live session are keyed by bare entry ID. When a
+ * session is archived its images move under `archive:<sessionId>:<entryId>`
+ * (see blobStore.js) and move back when the session is loaded.
  */
 
-const DB_NAME = 'mdma-guide-images';
-const DB_VERSION = 1;
-const STORE_NAME = 'images';
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+import { createBlobStore } from './blobStore';
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
-      }
-    };
-
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-}
+const images = createBlobStore('mdma-guide-images', 'images');
 
 /**
  * Save an image blob for a journal entry
@@ -31,13 +19,7 @@ function openDB() {
  * @param {Blob} blob - Image blob (PNG)
  */
 export async function saveImage(entryId, blob) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).put(blob, entryId);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
+  return images.put(entryId, blob);
 }
 
 /**
@@ -46,13 +28,7 @@ export async function saveImage(entryId, blob) {
  * @returns {Promise<Blob|null>} The image blob, or null if not found
  */
 export async function getImage(entryId) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const request = tx.objectStore(STORE_NAME).get(entryId);
-    request.onsuccess = () => resolve(request.result || null);
-    request.onerror = () => reject(request.error);
-  });
+  return images.get(entryId);
 }
 
 /**
@@ -60,11 +36,56 @@ export async function getImage(entryId) {
  * @param {string} entryId - Journal entry ID
  */
 export async function deleteImage(entryId) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).delete(entryId);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
+  return images.delete(entryId);
+}
+
+/**
+ * Get every stored image with its key (used by full backups)
+ * @returns {Promise<Array<{key: string, blob: Blob}>>}
+ */
+export async function getAllImages() {
+  return images.getAll();
+}
+
+/**
+ * Delete every stored image (used when restoring a full backup)
+ */
+export async function clearAllImages() {
+  return images.clear();
+}
+
+/**
+ * Move live journal images into an archived session's namespace
+ * @param {string} sessionId - Archive the images will belong to
+ * @param {string[]} entryIds - Journal entry IDs with images
+ */
+export async function archiveImages(sessionId, entryIds) {
+  return images.archive(sessionId, entryIds);
+}
+
+/**
+ * Move an archived session's images back to live journal keys
+ * @param {string} sessionId - Archive being restored
+ * @param {string[]} entryIds - Journal entry IDs with images
+ */
+export async function restoreArchivedImages(sessionId, entryIds) {
+  return images.restoreArchived(sessionId, entryIds);
+}
+
+/**
+ * Get an image blob owned by an archived session
+ * @param {string} sessionId - Archived session ID
+ * @param {string} entryId - Journal entry ID
+ * @returns {Promise<Blob|null>}
+ */
+export async function getArchivedImage(sessionId, entryId) {
+  return images.getArchived(sessionId, entryId);
+}
+
+/**
+ * Delete every image owned by an archived session
+ * @param {string} sessionId - Archived session ID
+ */
+export async function deleteArchivedImages(sessionId) {
+  return images.deleteArchived(sessionId);
 }
@@ -0,0 +1,159 @@
+/**
+ * Integration Summary
+ *
+ * Builds the request for an AI-written synthesis of a completed session
+ * (themes, insights tied to the intention, suggested follow-up modules) and
+ * turns the reply into the journal entry that exports and the print report
+ * pick up. Fed by getSessionData(), so live and archived sessions work the
+ * same way. Streaming and saving live in hooks/useIntegrationSummary.js.
+ */
+
+import { getFollowUpModules } from '../content/modules';
+import {
+  INTEGRATION_SUMMARY_TITLE,
+  PRE_SESSION_PREFIX,
+  getClosingReflections,
+  getSynthesisTransition,
+} from './downloadSessionData';
+
+export { INTEGRATION_SUMMARY_TITLE };
+
+// Keep the request a reasonable size for sessions with a lot of writing
+const MAX_ENTRY_CHARS = 800;
+const MAX_JOURNAL_CHARS = 12000;
+
+// "- [module-id] reason" lines in the Suggested follow-up section
+const SUGGESTION_PATTERN = /^(\s*[-*]\s*)\[([a-z0-9-]+)\]\s*(?:[—–:-]\s*)?(.*)$/;
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3).trimEnd()}...` : text;
+}
+
+// ============================================
+// REQUEST
+// ============================================
+
+function buildJournalSection(journalEntries) {
+  let used = 0;
+  const blocks = [];
+  const entries = journalEntries || [];
+  for (const [index, entry] of entries.entries()) {
+    if (entry.moduleTitle === INTEGRATION_SUMMARY_TITLE || !entry.content?.trim()) continue;
+    const content = entry.content.startsWith(PRE_SESSION_PREFIX)
+      ? entry.content.slice(PRE_SESSION_PREFIX.length)
+      : entry.content;
+    const block = `### ${entry.moduleTitle || 'Personal entry'}\n${truncate(content.trim(), MAX_ENTRY_CHARS)}`;
+    if (used + block.length > MAX_JOURNAL_CHARS) {
+      blocks.push(`(${entries.length - index} more entries not included)`);
+      break;
+    }
+    blocks.push(block);
+    used += block.length;
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Build the system prompt and user message for a summary request
+ * @param {object} data - Output of getSessionData()
+ * @returns {{ systemPrompt: string, userMessage: string }}
+ */
+export function buildIntegrationSummaryRequest(data) {
+  const followUps = getFollowUpModules()
+    .map((m) => `- [${m.id}] ${m.title}: ${m.description}`)
+    .join('\n');
+
+  const systemPrompt = `## Role
+You are a supportive integration guide inside an MDMA therapy session guide app. The user has finished a session and asked for a written synthesis of it.
+
+## Task
+Read the session record and write an integration summary in the user's own terms. Be warm, grounded and specific: quote or paraphrase what they wrote rather than generalizing. Don't diagnose, don't give medical advice, and don't invent anything the record doesn't say.
+
+## Format
+Reply with exactly these three sections, in this order, using these headings:
+
+## Themes
+2–4 bullet points naming what kept coming up.
+
+## Insights and your intention
+A short paragraph or a few bullets relating what emerged to their intention. If there was no intention, say what the session seemed to be about instead.
+
+## Suggested follow-up
+1–3 bullets, each choosing one module from the list below by its id in square brackets, followed by one sentence on why it fits, e.g. "- [module-id] Why it fits".
+
+## Follow-up modules
+${followUps}`;
+
+  const synthesis = getSynthesisTransition(data);
+  const closing = getClosingReflections(data);
+  const td = data.transitionData || {};
+
+  const sections = [];
+  const intention = [
+    data.intention?.original && `Intention: "${data.intention.original}"`,
+    data.intention?.touchstone && `Touchstone: ${data.intention.touchstone}`,
+    td.touchstoneArcReflection && `Looking across the touchstones: ${td.touchstoneArcReflection}`,
+    synthesis.intentionAddition && `Added during synthesis: ${synthesis.intentionAddition}`,
+    synthesis.newFocus && `Focus shifted to: ${[synthesis.newFocus, synthesis.focusSubtype].filter(Boolean).join(' — ')}`,
+  ].filter(Boolean);
+  if (intention.length > 0) sections.push(`## Intention\n${intention.join('\n')}`);
+
+  const activities = (data.moduleHistory || [])
+    .filter((m) => m.status !== 'skipped')
+    .map((m) => `- ${m.title} (${m.phase})`);
+  if (activities.length > 0) sections.push(`## Activities completed\n${activities.join('\n')}`);
+
+  const reflections = [
+    closing.selfGratitude && `Something I appreciate about myself: ${closing.selfGratitude}`,
+    closing.futureMessage && `Message to my future self: ${closing.futureMessage}`,
+    closing.commitment && `Something I want to do differently: ${closing.commitment}`,
+  ].filter(Boolean);
+  if (reflections.length > 0) sections.push(`## Closing reflections\n${reflections.join('\n')}`);
+
+  const journal = buildJournalSection(data.journalEntries);
+  if (journal) sections.push(`## Journal\n${journal}`);
+
+  const userMessage = sections.length > 0
+    ? `Please summarize my session.\n\n${sections.join('\n\n')}`
+    : 'Please summarize my session. I didn\'t write much down, so keep it short.';
+
+  return { systemPrompt, userMessage };
+}
+
+// ============================================
+// REPLY
+// ============================================
+
+/**
+ * Swap "[module-id]" suggestions for module titles. Suggestions naming a
+ * module that isn't in the library are dropped. Safe on partial text, so
+ * it's used while streaming too.
+ * @param {string} text - Model reply
+ * @returns {string}
+ */
+export function formatIntegrationSummary(text) {
+  if (!text) return '';
+  const titles = new Map(getFollowUpModules().map((m) => [m.id, m.title]));
+  return text
+    .split('\n')
+    .flatMap((line) => {
+      const match = line.match(SUGGESTION_PATTERN);
+      if (!match) return [line];
+      const title = titles.get(match[2]);
+      if (!title) return [];
+      return [`${match[1]}${title}${match[3] ? ` — ${match[3]}` : ''}`];
+    })
+    .join('\n')
+    .trim();
+}
+
+/**
+ * The most recent saved summary among a session's journal entries
+ * @param {Array} journalEntries - Store entries or getSessionData().journalEntries
+ * @returns {object|null}
+ */
+export function findIntegrationSummary(journalEntries) {
+  return (journalEntries || [])
+    .filter((e) => e.moduleTitle === INTEGRATION_SUMMARY_TITLE)
+    .reduce((latest, e) => (!latest || (e.createdAt ?? e.timestamp) > (latest.createdAt ?? latest.timestamp) ? e : latest), null);
+}
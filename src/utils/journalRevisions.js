@@ -0,0 +1,179 @@
+/**
+ * Journal Revisions
+ *
+ * Earlier versions of a journal entry, so editing an entry never loses
+ * what was first written. Each entry carries `revisions`: snapshots of its
+ * content as it was before an editing burst, oldest first. The editor
+ * autosaves every half second, so a burst is any run of saves less than
+ * REVISION_GAP_MS apart; only the content from before the burst is kept.
+ *
+ * The log is bounded. The first revision is the entry's original text and
+ * is never dropped; beyond that, the revision closest in time to the one
+ * after it is merged away first, so old, spread-out versions survive
+ * longest.
+ *
+ * Also a small LCS diff for the side-by-side view: lines first, then the
+ * words of changed lines.
+ */
+
+// Saves closer together than this belong to the same editing burst
+export const REVISION_GAP_MS = 5 * 60 * 1000;
+
+// Revisions kept per entry, including the original
+export const MAX_REVISIONS = 20;
+
+/**
+ * Drop revisions until the log fits, never the original
+ * @param {Array<{ content: string, savedAt: number }>} revisions
+ * @returns {Array}
+ */
+export function compactRevisions(revisions) {
+  const kept = [...revisions];
+  while (kept.length > MAX_REVISIONS) {
+    // Closest pair after the original: drop the earlier of the two
+    let dropIndex = 1;
+    let smallestGap = Infinity;
+    for (let i = 1; i < kept.length - 1; i++) {
+      const gap = kept[i + 1].savedAt - kept[i].savedAt;
+      if (gap < smallestGap) {
+        smallestGap = gap;
+        dropIndex = i;
+      }
+    }
+    kept.splice(dropIndex, 1);
+  }
+  return kept;
+}
+
+/**
+ * Whether a save still belongs to the burst in which the entry was written.
+ * The editor creates a manual entry on its first autosave, so until that
+ * burst ends the "original" is only a half-typed fragment. Session entries
+ * arrive complete from a module, so their first edit is already a revision.
+ */
+function isCreationBurst(entry, now) {
+  if (entry.source !== 'manual' || (entry.revisions || []).length > 0) return false;
+  const createdAt = entry.createdAt ?? entry.updatedAt;
+  return now - createdAt < REVISION_GAP_MS || now - entry.updatedAt < REVISION_GAP_MS;
+}
+
+/**
+ * The entry's revision log after saving `nextContent`. The current content
+ * is snapshotted on the first edit ever, and on the first save of each
+ * later burst. For manual entries, saves during the creation burst (within
+ * REVISION_GAP_MS of `createdAt`, or of the previous save) are part of
+ * writing the entry, not edits to it.
+ *
+ * @param {Object} entry - Entry before the save
+ * @param {string} nextContent
+ * @param {number} [now]
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Snapshot even mid-burst (restores)
+ * @returns {Array} Same array when nothing needs recording
+ */
+export function recordRevision(entry, nextContent, now = Date.now(), { force = false } = {}) {
+  const revisions = entry.revisions || [];
+  if (nextContent === entry.content) return revisions;
+  if (revisions.length > 0 && revisions[revisions.length - 1].content === entry.content) return revisions;
+
+  if (isCreationBurst(entry, now) && !force) return revisions;
+
+  const isFirstEdit = revisions.length === 0;
+  const isNewBurst = now - entry.updatedAt >= REVISION_GAP_MS;
+  if (!isFirstEdit && !isNewBurst && !force) return revisions;
+
+  return compactRevisions([...revisions, { content: entry.content, savedAt: entry.updatedAt }]);
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+/**
+ * Longest-common-subsequence diff of two token arrays.
+ * @returns {Array<{ type: 'same'|'removed'|'added', value: string }>}
+ */
+export function diffTokens(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint16Array(cols));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', value: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'removed', value: a[i++] });
+    } else {
+      ops.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', value: b[j++] });
+  return ops;
+}
+
+// Words with their trailing whitespace, so segments rejoin exactly
+const splitWords = (line) => line.match(/\S+\s*|\s+/g) || [];
+
+/**
+ * Word segments for the two sides of a changed line
+ * @returns {{ left: Array<{ text, changed }>, right: Array<{ text, changed }> }}
+ */
+function diffWords(before, after) {
+  const left = [];
+  const right = [];
+  diffTokens(splitWords(before), splitWords(after)).forEach(({ type, value }) => {
+    if (type !== 'added') left.push({ text: value, changed: type === 'removed' });
+    if (type !== 'removed') right.push({ text: value, changed: type === 'added' });
+  });
+  return { left, right };
+}
+
+/**
+ * Side-by-side rows comparing two versions of an entry. Runs of removed
+ * and added lines are paired into 'changed' rows with word highlights;
+ * leftovers are 'removed' (left only) or 'added' (right only).
+ *
+ * @param {string} before - Older version (left)
+ * @param {string} after - Newer version (right)
+ * @returns {Array<{ type: 'same'|'changed'|'removed'|'added', left: Array|null, right: Array|null }>}
+ *   Each side is a list of { text, changed } segments, or null when the row has no line on that side
+ */
+export function diffEntryVersions(before, after) {
+  const ops = diffTokens((before || '').split('\n'), (after || '').split('\n'));
+  const rows = [];
+  const plain = (text) => [{ text, changed: false }];
+  const marked = (text) => [{ text, changed: true }];
+
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === 'same') {
+      rows.push({ type: 'same', left: plain(ops[k].value), right: plain(ops[k].value) });
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type !== 'same') {
+      (ops[k].type === 'removed' ? removed : added).push(ops[k].value);
+      k++;
+    }
+    const paired = Math.min(removed.length, added.length);
+    for (let p = 0; p < paired; p++) {
+      rows.push({ type: 'changed', ...diffWords(removed[p], added[p]) });
+    }
+    removed.slice(paired).forEach((line) => rows.push({ type: 'removed', left: marked(line), right: null }));
+    added.slice(paired).forEach((line) => rows.push({ type: 'added', left: null, right: marked(line) }));
+  }
+  return rows;
+}
@@ -0,0 +1,242 @@
+/**
+ * Journal Search
+ *
+ * Full-text search over journal entries, the live journal and every
+ * archived session's, with tags and faceted filters. Pure functions: the
+ * journal store builds the index and caches it (see searchJournal in
+ * useJournalStore); the list renders results with getHighlightSegments.
+ *
+ * Search matches every query word as the start of a word in the entry's
+ * title, content, module title or tags ("breath" finds "breathing").
+ * Entries carry user tags; auto-tags come from the module that wrote the
+ * entry and the session phase it was written in.
+ */
+
+// Phase an entry was written in → label. "integration" is "Synthesis" in the UI.
+export const JOURNAL_PHASES = [
+  { id: 'pre-session', label: 'Before the Session' },
+  { id: 'come-up', label: 'Come-Up' },
+  { id: 'peak', label: 'Peak' },
+  { id: 'integration', label: 'Synthesis' },
+  { id: 'follow-up', label: 'Follow-Up' },
+];
+
+// Filter state with nothing set
+export const EMPTY_JOURNAL_FILTERS = { module: '', phase: '', tag: '', from: '', to: '', hasImage: false };
+
+const PHASE_LABELS = Object.fromEntries(JOURNAL_PHASES.map((p) => [p.id, p.label]));
+
+// Characters either side of the first match in a content snippet
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Lowercase word tokens of a string
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Clean up a user-typed tag: trimmed, collapsed spaces, no leading '#'
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+  return (tag || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Which session phase an entry was written in, from the session's phase
+ * start times. Null for manual entries written outside a session.
+ *
+ * @param {Object} entry - Journal entry
+ * @param {Object|null} sessionState - Live or archived session state
+ * @returns {string|null} One of JOURNAL_PHASES ids
+ */
+export function getEntryPhase(entry, sessionState) {
+  const phases = sessionState?.timeline?.phases;
+  const closedAt = sessionState?.session?.closedAt;
+  const time = entry.createdAt;
+  if (closedAt && time > closedAt) return 'follow-up';
+  if (phases?.integration?.startedAt && time >= phases.integration.startedAt) return 'integration';
+  if (phases?.peak?.startedAt && time >= phases.peak.startedAt) return 'peak';
+  if (phases?.comeUp?.startedAt && time >= phases.comeUp.startedAt) return 'come-up';
+  return entry.source === 'session' ? 'pre-session' : null;
+}
+
+/**
+ * Auto-tags for an entry: its module and its phase
+ * @returns {string[]}
+ */
+export function getAutoTags(entry, phase) {
+  const tags = [];
+  if (entry.moduleTitle) tags.push(entry.moduleTitle);
+  if (phase) tags.push(PHASE_LABELS[phase]);
+  return tags;
+}
+
+/**
+ * Build a search index over the live journal and archived sessions.
+ *
+ * @param {Object} sources
+ * @param {Array} sources.entries - Live journal entries
+ * @param {Object|null} sources.sessionState - Live session state, for phases
+ * @param {Array} [sources.archives] - useSessionHistoryStore sessions
+ * @returns {{ docs: Array, terms: Map<string, Set<number>> }}
+ */
+export function buildJournalIndex({ entries, sessionState, archives = [] }) {
+  const docs = [];
+  const terms = new Map();
+
+  const addDoc = (entry, session, archive) => {
+    const phase = getEntryPhase(entry, session);
+    const doc = {
+      key: archive ? `${archive.sessionId}/${entry.id}` : entry.id,
+      entry,
+      archiveId: archive?.sessionId ?? null,
+      archivedAt: archive ? (archive.metadata?.closedAt || archive.archivedAt) : null,
+      phase,
+      autoTags: getAutoTags(entry, phase),
+      tags: entry.tags || [],
+    };
+    const index = docs.length;
+    docs.push(doc);
+    const words = tokenize([entry.title, entry.content, entry.moduleTitle, ...doc.tags].join(' '));
+    words.forEach((word) => {
+      if (!terms.has(word)) terms.set(word, new Set());
+      terms.get(word).add(index);
+    });
+  };
+
+  (entries || []).forEach((entry) => addDoc(entry, sessionState, null));
+  archives.forEach((archive) => {
+    (archive.journalEntries || []).forEach((entry) => addDoc(entry, archive.sessionState, archive));
+  });
+
+  return { docs, terms };
+}
+
+/**
+ * Values present in the index for each facet, for the filter pickers
+ * @returns {{ modules: string[], phases: string[], tags: string[] }}
+ */
+export function getJournalFacets(index) {
+  const modules = new Set();
+  const phases = new Set();
+  const tags = new Set();
+  index.docs.forEach((doc) => {
+    if (doc.entry.moduleTitle) modules.add(doc.entry.moduleTitle);
+    if (doc.phase) phases.add(doc.phase);
+    doc.tags.forEach((tag) => tags.add(tag));
+  });
+  return {
+    modules: [...modules].sort(),
+    phases: JOURNAL_PHASES.map((p) => p.id).filter((id) => phases.has(id)),
+    tags: [...tags].sort(),
+  };
+}
+
+// Day bounds from 'YYYY-MM-DD' input values, in local time
+const startOfDay = (value) => new Date(`${value}T00:00:00`).getTime();
+const endOfDay = (value) => new Date(`${value}T23:59:59.999`).getTime();
+
+/**
+ * True when any filter or query is set
+ */
+export function hasActiveSearch(query, filters = {}) {
+  return Boolean(query?.trim()) || Object.values(filters).some((value) => value !== null && value !== '' && value !== false);
+}
+
+/**
+ * Search the index.
+ *
+ * @param {Object} index - From buildJournalIndex
+ * @param {string} query - Free text; every word must match
+ * @param {Object} [filters]
+ * @param {string} [filters.module] - moduleTitle
+ * @param {string} [filters.phase] - JOURNAL_PHASES id
+ * @param {string} [filters.tag] - User tag
+ * @param {string} [filters.from] - 'YYYY-MM-DD', inclusive
+ * @param {string} [filters.to] - 'YYYY-MM-DD', inclusive
+ * @param {boolean} [filters.hasImage]
+ * @returns {{ results: Array, terms: string[] }} Matching docs, newest
+ *   first, and the query words for highlighting
+ */
+export function searchJournalIndex(index, query, filters = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+
+  let candidates = null;
+  queryTerms.forEach((term) => {
+    const matches = new Set();
+    index.terms.forEach((docIds, word) => {
+      if (word.startsWith(term)) docIds.forEach((id) => matches.add(id));
+    });
+    candidates = candidates ? new Set([...candidates].filter((id) => matches.has(id))) : matches;
+  });
+
+  const pool = candidates ? [...candidates].map((id) => index.docs[id]) : index.docs;
+  const from = filters.from ? startOfDay(filters.from) : null;
+  const to = filters.to ? endOfDay(filters.to) : null;
+
+  const results = pool.filter((doc) => {
+    const { entry } = doc;
+    if (filters.module && entry.moduleTitle !== filters.module) return false;
+    if (filters.phase && doc.phase !== filters.phase) return false;
+    if (filters.tag && !doc.tags.includes(filters.tag)) return false;
+    if (filters.hasImage && !entry.hasImage) return false;
+    if (from !== null && entry.createdAt < from) return false;
+    if (to !== null && entry.createdAt > to) return false;
+    return true;
+  });
+
+  results.sort((a, b) => b.entry.updatedAt - a.entry.updatedAt);
+  return { results, terms: queryTerms };
+}
+
+/**
+ * Split text into plain and matched segments for highlighting. A match is
+ * a query term at the start of a word.
+ *
+ * @param {string} text
+ * @param {string[]} terms - Lowercase query terms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function getHighlightSegments(text, terms) {
+  if (!text) return [];
+  if (!terms?.length) return [{ text, match: false }];
+
+  const escaped = [...terms].sort((a, b) => b.length - a.length).map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}'])(${escaped.join('|')})`, 'giu');
+
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+}
+
+/**
+ * A short piece of content around the first match, or the entry preview
+ * when nothing in the content matches
+ *
+ * @param {Object} entry
+ * @param {string[]} terms
+ * @returns {string}
+ */
+export function getMatchSnippet(entry, terms) {
+  const content = (entry.content || '').replace(/\s+/g, ' ').trim();
+  const segments = getHighlightSegments(content, terms);
+  const first = segments.findIndex((s) => s.match);
+  if (first === -1) return entry.preview || '';
+
+  const offset = segments.slice(0, first).reduce((sum, s) => sum + s.text.length, 0);
+  const start = Math.max(0, offset - SNIPPET_CONTEXT);
+  const end = Math.min(content.length, offset + SNIPPET_CONTEXT * 2);
+  return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+}
@@ -0,0 +1,296 @@
+/**
+ * PII Redaction
+ *
+ * Swaps personal details for placeholders before the system prompt and chat
+ * history leave the device, and swaps them back in what the model streams
+ * back. Covered: the emergency contact, phone numbers, email addresses,
+ * street addresses, and names and places the user mentions with a clear cue
+ * ("my sister Ana", "I live in Porto").
+ *
+ * Placeholders are stable within a conversation: the value → placeholder
+ * pairs are kept on the conversation (useAIStore) and passed back in on the
+ * next turn, so "[NAME_1]" means the same person every time the model sees
+ * it. A name learned once is replaced wherever it appears afterwards.
+ *
+ * Cue-based names and places are only learned from text the user wrote;
+ * app-authored prompt text is only checked for values already learned and
+ * for the pattern types (phones, emails, addresses).
+ */
+
+// ============================================
+// PATTERNS
+// ============================================
+
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+
+// Phone-like groupings only, so runs of numbers ("10 10 10 10") are left
+// alone: a country code, a bracketed area code, a leading trunk 0, 3-3-4
+// groups, or 10+ digits written together. Dates are skipped below.
+const PHONE_PATTERN = new RegExp([
+  String.raw`\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,4}`, // +44 20 7946 0958, +1 (555) 123-4567
+  String.raw`\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{4}`, // (555) 123-4567
+  String.raw`\b0\d{1,4}[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b`, // 020 7946 0958, 07700 900123
+  String.raw`\b0\d(?:[\s.-]?\d{2}){4}\b`, // 06 12 34 56 78
+  String.raw`\b\d{3}[\s.-]\d{3}[\s.-]\d{4}\b`, // 555-123-4567
+  String.raw`\b\d{10,15}\b`, // 5551234567
+].join('|'), 'g');
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/;
+const MIN_PHONE_DIGITS = 7;
+
+const ADDRESS_PATTERN = /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Terrace|Close|Crescent)\b\.?/g;
+
+const CAPITALIZED = '([A-Z][a-zà-ÿ\'’-]+(?:\\s+[A-Z][a-zà-ÿ\'’-]+)?)';
+
+const RELATIONS = [
+  'friend', 'best friend', 'partner', 'wife', 'husband', 'girlfriend', 'boyfriend', 'fiance', 'fiancé', 'fiancée',
+  'mom', 'mum', 'mother', 'dad', 'father', 'brother', 'sister', 'son', 'daughter', 'cousin', 'aunt', 'uncle',
+  'grandma', 'grandmother', 'grandpa', 'grandfather', 'therapist', 'sitter', 'guide', 'ex', 'boss',
+  'colleague', 'coworker', 'roommate', 'flatmate', 'neighbor', 'neighbour',
+];
+
+const NAME_CUES = [
+  new RegExp(`\\b(?:[Mm]y|[Oo]ur)\\s+(?:${RELATIONS.join('|')})\\s*,?\\s+${CAPITALIZED}`, 'g'),
+  new RegExp(`\\b(?:[Mm]y name is|[Mm]y name's|[Nn]amed)\\s+${CAPITALIZED}`, 'g'),
+];
+
+const LOCATION_CUES = [
+  new RegExp(`\\b(?:live in|living in|lived in|moved to|grew up in|born in|based in|staying in|visiting|trip to|flew to|(?:I'm|I am|we're|we are) from)\\s+${CAPITALIZED}`, 'g'),
+];
+
+// Capitalized words that follow a cue but aren't personal details
+const STOP_WORDS = new Set([
+  'I', 'The', 'A', 'An', 'And', 'But', 'Or', 'So', 'He', 'She', 'They', 'We', 'You', 'It', 'His', 'Her', 'Their',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December',
+  'God', 'MDMA', 'AI',
+]);
+
+const PLACEHOLDER_PATTERN = /\[[A-Z]+(?:_[A-Z]+)*(?:_\d+)?\]/g;
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+// Drop leading/trailing stop words: "Ana And" → "Ana", "The" → ''
+function cleanCapture(capture) {
+  const words = capture.split(/\s+/).filter((w) => !STOP_WORDS.has(w));
+  return words.join(' ');
+}
+
+// ============================================
+// KNOWN ENTITIES
+// ============================================
+
+/**
+ * Personal details the app already holds, with fixed placeholders
+ * @param {object} sessionState - useSessionStore state
+ * @returns {Array<[string, string]>} [value, placeholder] pairs
+ */
+export function getKnownEntities(sessionState) {
+  const contact = sessionState?.sessionProfile?.emergencyContactDetails;
+  const entities = [];
+
+  const name = contact?.name?.trim();
+  if (name) {
+    entities.push([name, '[CONTACT_NAME]']);
+    const first = name.split(/\s+/)[0];
+    if (first !== name && first.length > 1) entities.push([first, '[CONTACT_FIRST_NAME]']);
+  }
+
+  const phone = contact?.phone?.trim();
+  if (phone && digitsOf(phone).length >= MIN_PHONE_DIGITS) {
+    entities.push([phone, '[CONTACT_PHONE]']);
+  }
+
+  return entities;
+}
+
+// ============================================
+// REDACTOR
+// ============================================
+
+/**
+ * @param {object} [options]
+ * @param {Array<[string, string]>} [options.known] - Fixed pairs, e.g. from getKnownEntities()
+ * @param {Array<[string, string]>} [options.entries] - Pairs saved from earlier turns
+ */
+export function createRedactor({ known = [], entries = [] } = {}) {
+  // value → placeholder (matched case-sensitively, so a friend called Hope
+  // doesn't swallow "I hope"), plus placeholder → value as first seen
+  const byValue = new Map();
+  const byPlaceholder = new Map();
+  const counters = {};
+
+  const register = (value, placeholder) => {
+    if (byValue.has(value)) return byValue.get(value);
+    byValue.set(value, placeholder);
+    if (!byPlaceholder.has(placeholder)) byPlaceholder.set(placeholder, value);
+
+    const numbered = placeholder.match(/^\[([A-Z]+)_(\d+)\]$/);
+    if (numbered) counters[numbered[1]] = Math.max(counters[numbered[1]] || 0, Number(numbered[2]));
+    return placeholder;
+  };
+
+  const add = (value, type) => {
+    if (!value || byValue.has(value)) return;
+    counters[type] = (counters[type] || 0) + 1;
+    register(value, `[${type}_${counters[type]}]`);
+  };
+
+  for (const [value, placeholder] of [...known, ...entries]) register(value, placeholder);
+
+  const addPhone = (value) => {
+    const digits = digitsOf(value);
+    if (digits.length < MIN_PHONE_DIGITS || DATE_PATTERN.test(value.trim())) return;
+    // The same number written differently keeps its placeholder
+    for (const [key, placeholder] of byValue) {
+      if (digitsOf(key) === digits) {
+        register(value.trim(), placeholder);
+        return;
+      }
+    }
+    add(value.trim(), 'PHONE');
+  };
+
+  /**
+   * Pick up personal details from text without changing it
+   * @param {string} text
+   * @param {{ userText?: boolean }} [options] - userText: also learn cue-based names and places
+   */
+  const learn = (text, { userText = true } = {}) => {
+    if (!text) return;
+    for (const match of text.matchAll(EMAIL_PATTERN)) add(match[0], 'EMAIL');
+    for (const match of text.matchAll(PHONE_PATTERN)) addPhone(match[0]);
+    for (const match of text.matchAll(ADDRESS_PATTERN)) add(match[0].replace(/\.$/, ''), 'LOCATION');
+    if (!userText) return;
+    for (const cue of NAME_CUES) {
+      for (const match of text.matchAll(cue)) add(cleanCapture(match[1]), 'NAME');
+    }
+    for (const cue of LOCATION_CUES) {
+      for (const match of text.matchAll(cue)) add(cleanCapture(match[1]), 'LOCATION');
+    }
+  };
+
+  /**
+   * Learn from text, then replace every known value with its placeholder
+   * @returns {{ text: string, count: number }}
+   */
+  const redact = (text, options) => {
+    if (!text) return { text: text || '', count: 0 };
+    learn(text, options);
+
+    // Longest first so "Sam Lee" wins over "Sam"
+    const values = [...byValue.keys()].sort((a, b) => b.length - a.length);
+    if (values.length === 0) return { text, count: 0 };
+
+    const pattern = new RegExp(
+      values.map((v) => `(?<![\\w+])${escapeRegExp(v)}(?![\\w@])`).join('|'),
+      'g'
+    );
+    let count = 0;
+    const redacted = text.replace(pattern, (match) => {
+      count += 1;
+      return byValue.get(match);
+    });
+    return { text: redacted, count };
+  };
+
+  const rehydrate = (text) => {
+    if (!text || byPlaceholder.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (token) => byPlaceholder.get(token) ?? token);
+  };
+
+  // Tool call inputs: rehydrate every string inside
+  const rehydrateDeep = (value) => {
+    if (typeof value === 'string') return rehydrate(value);
+    if (Array.isArray(value)) return value.map(rehydrateDeep);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rehydrateDeep(v)]));
+    }
+    return value;
+  };
+
+  /**
+   * Rehydrate streamed text whose chunks may split a placeholder ("[NAM" +
+   * "E_1]"). A possible partial placeholder at the end is held back until
+   * the next chunk or flush().
+   */
+  const createStreamRehydrator = () => {
+    let pending = '';
+    return {
+      push(chunk) {
+        pending += chunk;
+        const open = pending.lastIndexOf('[');
+        if (open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH) {
+          const ready = pending.slice(0, open);
+          pending = pending.slice(open);
+          return rehydrate(ready);
+        }
+        const ready = pending;
+        pending = '';
+        return rehydrate(ready);
+      },
+      flush() {
+        const rest = pending;
+        pending = '';
+        return rehydrate(rest);
+      },
+    };
+  };
+
+  return {
+    learn,
+    redact,
+    rehydrate,
+    rehydrateDeep,
+    createStreamRehydrator,
+    /** Learned pairs to save on the conversation (fixed known pairs excluded) */
+    getEntries: () => {
+      const fixed = new Set(known.map(([value]) => value));
+      return [...byValue.entries()].filter(([value]) => !fixed.has(value));
+    },
+  };
+}
+
+// ============================================
+// OUTGOING REQUEST
+// ============================================
+
+/**
+ * Redact everything about to be sent for one turn. Names and places are
+ * learned from all user-written text first (messages, journal, intention,
+ * contact notes), so a name mentioned late in the history is still replaced
+ * in earlier messages and wherever the prompt quotes it.
+ * @param {object} params
+ * @param {string} params.systemPrompt
+ * @param {Array<{ role: string, content: string }>} params.messages - Provider-ready messages
+ * @param {object} params.sessionState
+ * @param {object} params.journalState
+ * @param {Array<[string, string]>} [params.entries] - The conversation's saved pairs
+ * @returns {{ systemPrompt: string, messages: Array, redactor: object, count: number }}
+ */
+export function redactOutgoing({ systemPrompt, messages, sessionState, journalState, entries = [] }) {
+  const redactor = createRedactor({ known: getKnownEntities(sessionState), entries });
+
+  const profile = sessionState?.sessionProfile;
+  redactor.learn(profile?.holdingQuestion);
+  redactor.learn(profile?.emergencyContactDetails?.notes);
+  for (const entry of journalState?.entries || []) redactor.learn(entry.content);
+  for (const message of messages) redactor.learn(message.content);
+
+  let count = 0;
+  const redactedMessages = messages.map((message) => {
+    const result = redactor.redact(message.content);
+    count += result.count;
+    return { ...message, content: result.text };
+  });
+  const prompt = redactor.redact(systemPrompt, { userText: false });
+  count += prompt.count;
+
+  return { systemPrompt: prompt.text, messages: redactedMessages, redactor, count };
+}
@@ -0,0 +1,90 @@
+/**
+ * Reminder Schedule
+ *
+ * Derives the upcoming local reminders from session state: water during the
+ * active session, the booster window, the come-up check-in re-prompt, and the
+ * follow-up unlock. Pure — the scheduler (services/reminderService.js) owns
+ * delivery, this only decides what should fire and when.
+ */
+
+import { getBoosterTriggerMinutes } from '../stores/useSessionStore';
+import { REMINDER_NOTIFICATIONS } from '../content/reminders';
+
+const MINUTE_MS = 60 * 1000;
+
+// Water reminders run from early in the come-up until the session tapers
+export const HYDRATION_FIRST_MINUTES = 30;
+export const HYDRATION_INTERVAL_MINUTES = 45;
+export const HYDRATION_LAST_MINUTES = 360;
+
+// Match shouldShowBooster(): an untouched prompt expires at 150 minutes,
+// and nothing is shown past 180
+const BOOSTER_PENDING_CUTOFF_MINUTES = 150;
+const BOOSTER_HARD_CUTOFF_MINUTES = 180;
+
+function hydrationTimes({ sessionPhase, substanceChecklist }) {
+  const ingestionTime = substanceChecklist?.ingestionTime;
+  if (sessionPhase !== 'active' || !ingestionTime) return [];
+  const times = [];
+  for (let minutes = HYDRATION_FIRST_MINUTES; minutes <= HYDRATION_LAST_MINUTES; minutes += HYDRATION_INTERVAL_MINUTES) {
+    times.push(ingestionTime + minutes * MINUTE_MS);
+  }
+  return times;
+}
+
+function boosterTimes({ sessionPhase, booster, substanceChecklist, comeUpCheckIn }) {
+  const ingestionTime = substanceChecklist?.ingestionTime;
+  if (sessionPhase !== 'active' || !ingestionTime || !booster?.considerBooster) return [];
+
+  if (booster.status === 'pending') {
+    const triggerMinutes = getBoosterTriggerMinutes(comeUpCheckIn);
+    return triggerMinutes < BOOSTER_PENDING_CUTOFF_MINUTES
+      ? [ingestionTime + triggerMinutes * MINUTE_MS]
+      : [];
+  }
+  if (booster.status === 'snoozed' && booster.nextPromptAt) {
+    return booster.nextPromptAt < ingestionTime + BOOSTER_HARD_CUTOFF_MINUTES * MINUTE_MS
+      ? [booster.nextPromptAt]
+      : [];
+  }
+  return [];
+}
+
+function comeUpCheckInTimes({ sessionPhase, timeline, comeUpCheckIn }) {
+  if (sessionPhase !== 'active' || timeline?.currentPhase !== 'come-up') return [];
+  return comeUpCheckIn?.nextPromptAt ? [comeUpCheckIn.nextPromptAt] : [];
+}
+
+function followUpTimes({ sessionPhase, followUp }) {
+  if (sessionPhase !== 'completed' || !followUp?.phaseUnlockTime) return [];
+  return [followUp.phaseUnlockTime];
+}
+
+const TIME_RESOLVERS = {
+  hydration: hydrationTimes,
+  booster: boosterTimes,
+  comeUpCheckIn: comeUpCheckInTimes,
+  followUp: followUpTimes,
+};
+
+/**
+ * Build the list of reminders still to come
+ * @param {object} params
+ * @param {object} params.sessionState - useSessionStore state
+ * @param {object} params.enabled - Per-type opt-in, e.g. { hydration: true }
+ * @param {number} [params.now]
+ * @returns {Array<{id: string, type: string, fireAt: number, title: string, body: string}>}
+ *   Sorted by fireAt. `id` is stable for a given type and time, so a
+ *   re-sync doesn't reschedule reminders that haven't changed.
+ */
+export function buildReminderSchedule({ sessionState, enabled = {}, now = Date.now() }) {
+  const reminders = [];
+  for (const [type, resolveTimes] of Object.entries(TIME_RESOLVERS)) {
+    if (!enabled[type]) continue;
+    for (const fireAt of resolveTimes(sessionState)) {
+      if (fireAt <= now) continue;
+      reminders.push({ id: `${type}:${fireAt}`, type, fireAt, ...REMINDER_NOTIFICATIONS[type] });
+    }
+  }
+  return reminders.sort((a, b) => a.fireAt - b.fireAt);
+}
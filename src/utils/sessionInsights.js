@@ -0,0 +1,202 @@
+/**
+ * Session Insights
+ * Aggregates trends across archived sessions (plus the current one):
+ * dosage and booster history, spacing between sessions, activity
+ * completion, Helper Modal categories, come-up trajectories, and themes
+ * that recur in transition captures.
+ *
+ * Everything is computed locally from the persisted stores. Each session is
+ * read through getSessionData() so the same capture fallbacks apply as in
+ * the exports.
+ */
+
+import { useSessionStore } from '../stores/useSessionStore';
+import { useJournalStore } from '../stores/useJournalStore';
+import { useSessionHistoryStore, getArchivedSessionState } from '../stores/useSessionHistoryStore';
+import { parseHelperModalCategory } from '../content/helper/formatLog';
+import {
+  getSessionData,
+  collectActivityCaptures,
+  getPeakTransition,
+  getSynthesisTransition,
+} from './downloadSessionData';
+import { RECOMMENDED_SESSION_SPACING_DAYS, MINIMUM_SESSION_SPACING_DAYS } from './sessionSpacing';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gather every session worth analysing: all archives that can still be read
+ * at the current store version, plus the live session if it has data.
+ * @returns {Array<{sessionId: string, isCurrent: boolean, data: object}>}
+ */
+export function collectInsightSessions() {
+  const sessions = [];
+
+  for (const archive of useSessionHistoryStore.getState().sessions) {
+    const sessionState = getArchivedSessionState(archive);
+    if (!sessionState) continue;
+    sessions.push({
+      sessionId: archive.sessionId,
+      isCurrent: false,
+      data: getSessionData({ sessionState, journalEntries: archive.journalEntries || [] }),
+    });
+  }
+
+  const live = useSessionStore.getState();
+  const liveEntries = useJournalStore.getState().entries;
+  if (live.sessionPhase !== 'not-started' || liveEntries.length > 0) {
+    sessions.push({
+      sessionId: live.sessionId || 'current',
+      isCurrent: true,
+      data: getSessionData({ sessionState: live, journalEntries: liveEntries }),
+    });
+  }
+
+  return sessions;
+}
+
+/**
+ * Count how many sessions each value appears in (not total mentions), so a
+ * word repeated within one session doesn't read as a recurring theme.
+ */
+function countAcrossSessions(valueLists) {
+  const counts = new Map();
+  for (const values of valueLists) {
+    const seen = new Set();
+    for (const raw of values) {
+      const value = String(raw || '').trim();
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) continue;
+      seen.add(key);
+      const existing = counts.get(key);
+      counts.set(key, { value: existing?.value || value, sessions: (existing?.sessions || 0) + 1 });
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.sessions - a.sessions || a.value.localeCompare(b.value));
+}
+
+function sessionThemes(data) {
+  const captures = collectActivityCaptures(data);
+  const peak = getPeakTransition(data);
+  const synthesis = getSynthesisTransition(data);
+  const quadrants = captures.valuesCompass?.quadrants || {};
+  return {
+    values: Object.values(quadrants).flat().map((chip) => chip?.text),
+    oneWords: [peak.oneWord],
+    bodySensations: peak.bodySensations,
+    focuses: [synthesis.newFocus],
+    protectors: [captures.protector?.protectorName],
+  };
+}
+
+/**
+ * Aggregate insights across sessions
+ * @param {Array<{sessionId: string, isCurrent: boolean, data: object}>} sessions - From collectInsightSessions()
+ * @param {number} [now] - Reference time for "days since last session"
+ */
+export function computeInsights(sessions, now = Date.now()) {
+  const dated = sessions
+    .filter((s) => s.data.session.startedAt)
+    .sort((a, b) => a.data.session.startedAt - b.data.session.startedAt);
+
+  // ── Dosage & booster ────────────────────────────────────
+
+  const doses = dated.map(({ sessionId, isCurrent, data }) => ({
+    sessionId,
+    isCurrent,
+    startedAt: data.session.startedAt,
+    initialMg: data.substanceChecklist.plannedDosageMg || null,
+    boosterMg: data.booster?.status === 'taken' ? data.booster.doseMg || null : null,
+    boosterStatus: data.booster?.status || null,
+  }));
+
+  // ── Spacing ─────────────────────────────────────────────
+
+  const intervals = [];
+  for (let i = 1; i < dated.length; i++) {
+    intervals.push({
+      fromSessionId: dated[i - 1].sessionId,
+      toSessionId: dated[i].sessionId,
+      startedAt: dated[i].data.session.startedAt,
+      days: Math.round((dated[i].data.session.startedAt - dated[i - 1].data.session.startedAt) / DAY_MS),
+    });
+  }
+  const intervalDays = intervals.map((i) => i.days);
+  const lastStartedAt = dated.length > 0 ? dated[dated.length - 1].data.session.startedAt : null;
+  const spacing = {
+    shortestDays: intervalDays.length > 0 ? Math.min(...intervalDays) : null,
+    averageDays: intervalDays.length > 0
+      ? Math.round(intervalDays.reduce((sum, d) => sum + d, 0) / intervalDays.length)
+      : null,
+    belowMinimum: intervalDays.filter((d) => d < MINIMUM_SESSION_SPACING_DAYS).length,
+    belowRecommended: intervalDays.filter((d) => d < RECOMMENDED_SESSION_SPACING_DAYS).length,
+    daysSinceLast: lastStartedAt ? Math.floor((now - lastStartedAt) / DAY_MS) : null,
+  };
+
+  // ── Activities ──────────────────────────────────────────
+
+  const moduleCounts = new Map();
+  for (const { data } of sessions) {
+    for (const m of data.moduleHistory || []) {
+      if (m.status !== 'completed' && m.status !== 'skipped') continue;
+      const key = m.libraryId || m.title;
+      const entry = moduleCounts.get(key) || { libraryId: m.libraryId, title: m.title, completed: 0, skipped: 0 };
+      entry[m.status] += 1;
+      moduleCounts.set(key, entry);
+    }
+  }
+  const modules = [...moduleCounts.values()].sort(
+    (a, b) => (b.completed + b.skipped) - (a.completed + a.skipped) || a.title.localeCompare(b.title)
+  );
+
+  // ── Helper Modal categories ─────────────────────────────
+
+  const helperCounts = new Map();
+  for (const { data } of sessions) {
+    for (const entry of data.journalEntries || []) {
+      if (entry.moduleTitle !== 'Helper Modal') continue;
+      const label = parseHelperModalCategory(entry.content);
+      if (label) helperCounts.set(label, (helperCounts.get(label) || 0) + 1);
+    }
+  }
+  const helperCategories = [...helperCounts.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+  // ── Come-up trajectories ────────────────────────────────
+
+  const comeUp = dated
+    .filter(({ data }) => data.comeUpCheckIn?.responses?.length > 0)
+    .map(({ sessionId, isCurrent, data }) => {
+      const responses = data.comeUpCheckIn.responses.map((r) => ({
+        minutes: r.minutesSinceIngestion,
+        response: r.response,
+      }));
+      return {
+        sessionId,
+        isCurrent,
+        startedAt: data.session.startedAt,
+        responses,
+        arrivedAtMinutes: responses.find((r) => r.response === 'fully-arrived')?.minutes ?? null,
+      };
+    });
+
+  // ── Recurring themes ────────────────────────────────────
+
+  const perSession = sessions.map(({ data }) => sessionThemes(data));
+  const themes = {};
+  for (const key of ['values', 'oneWords', 'bodySensations', 'focuses', 'protectors']) {
+    themes[key] = countAcrossSessions(perSession.map((t) => t[key]));
+  }
+
+  return {
+    sessionCount: sessions.length,
+    doses,
+    intervals,
+    spacing,
+    modules,
+    helperCategories,
+    comeUp,
+    themes,
+  };
+}
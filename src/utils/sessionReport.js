@@ -0,0 +1,393 @@
+/**
+ * Printable Session Report
+ * Builds a paginated, print-optimized HTML integration report from
+ * getSessionData() and hands it to the browser's print dialog (which also
+ * offers "Save as PDF"). Everything is generated on device.
+ *
+ * Works for the live session and for archived sessions from
+ * useSessionHistoryStore — archived images are read from their namespaced
+ * IndexedDB keys.
+ */
+
+import {
+  getSessionData,
+  collectActivityCaptures,
+  describeCapture,
+  getPeakTransition,
+  getSynthesisTransition,
+  getClosingReflections,
+  getIntegrationSummary,
+  PRE_SESSION_PREFIX,
+  LIBRARY_ID_TO_CAPTURE_TYPE,
+  formatDate,
+  formatTime,
+  formatDuration,
+} from './downloadSessionData';
+import { getImage, getArchivedImage } from './imageStorage';
+import { formatMemoDuration } from './audioMemoStorage';
+import { getArchivedSessionState } from '../stores/useSessionHistoryStore';
+
+const REPORT_PHASES = [
+  { key: 'come-up', label: 'Come-Up' },
+  { key: 'peak', label: 'Peak' },
+  { key: 'integration', label: 'Synthesis' },
+];
+
+const TOUCHSTONE_LABELS = {
+  openingTouchstone: 'Opening',
+  peakTouchstone: 'Peak',
+  synthesisTouchstone: 'Synthesis',
+  closingTouchstone: 'Closing',
+};
+
+// How long to keep the print frame around if the browser never fires afterprint
+const PRINT_FRAME_CLEANUP_MS = 60000;
+
+/**
+ * Escape user text for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ============================================
+// HTML RENDERING
+// ============================================
+
+const REPORT_STYLES = `
+  @page { margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: Georgia, 'Times New Roman', serif;
+    font-size: 11pt;
+    line-height: 1.5;
+    color: #111;
+    background: #fff;
+  }
+  .report { max-width: 170mm; margin: 0 auto; }
+  .label {
+    font-family: 'Azeret Mono', ui-monospace, Menlo, monospace;
+    font-size: 7.5pt;
+    letter-spacing: 0.12em;
+    text-transform: uppercase;
+    color: #666;
+  }
+  header { border-bottom: 2px solid #111; padding-bottom: 6mm; margin-bottom: 8mm; }
+  h1 { font-size: 24pt; font-weight: normal; margin: 2mm 0 4mm; }
+  h2 {
+    font-family: 'Azeret Mono', ui-monospace, Menlo, monospace;
+    font-size: 9pt;
+    font-weight: normal;
+    letter-spacing: 0.14em;
+    text-transform: uppercase;
+    border-bottom: 1px solid #999;
+    padding-bottom: 1.5mm;
+    margin: 9mm 0 4mm;
+    break-after: avoid;
+  }
+  h3 { font-size: 12pt; font-weight: normal; margin: 5mm 0 1mm; break-after: avoid; }
+  p { margin: 0 0 3mm; }
+  .meta { display: grid; grid-template-columns: repeat(3, 1fr); gap: 3mm 6mm; }
+  .meta div p { margin: 0; }
+  .quote {
+    font-size: 13pt;
+    border-left: 3px solid #111;
+    padding-left: 4mm;
+    white-space: pre-wrap;
+  }
+  .text { white-space: pre-wrap; }
+  .block { break-inside: avoid; margin-bottom: 4mm; }
+  dl { margin: 0 0 3mm; display: grid; grid-template-columns: 40mm 1fr; gap: 1mm 4mm; }
+  dt { font-family: 'Azeret Mono', ui-monospace, Menlo, monospace; font-size: 8pt; color: #666; padding-top: 0.8mm; }
+  dd { margin: 0; white-space: pre-wrap; }
+  figure { margin: 3mm 0 5mm; break-inside: avoid; text-align: center; }
+  figure img { max-width: 100%; max-height: 120mm; border: 1px solid #ddd; }
+  figcaption { margin-top: 1.5mm; }
+  ul { margin: 0 0 3mm; padding-left: 5mm; }
+  .skipped { color: #888; }
+  footer { margin-top: 12mm; border-top: 1px solid #999; padding-top: 3mm; font-size: 8pt; color: #666; }
+`;
+
+function renderRows(rows) {
+  if (rows.length === 0) return '';
+  return `<dl>${rows.map((row) => `<dt>${escapeHtml(row.label)}</dt><dd>${escapeHtml(row.value)}</dd>`).join('')}</dl>`;
+}
+
+function renderFigure(entry, images) {
+  const src = images[entry.id];
+  if (!src) return '';
+  return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(entry.moduleTitle || 'Journal image')}" />`
+    + `<figcaption class="label">${escapeHtml(entry.moduleTitle || 'Journal image')}</figcaption></figure>`;
+}
+
+/**
+ * Build the full report document as an HTML string
+ * @param {object} data - Output of getSessionData()
+ * @param {Object<string, string>} [images] - Image src (data URL) by journal entry ID
+ * @returns {string} A complete HTML document
+ */
+export function buildReportHtml(data, images = {}) {
+  const sections = [];
+  const section = (title, body) => {
+    if (body) sections.push(`<section><h2>${escapeHtml(title)}</h2>${body}</section>`);
+  };
+
+  // ── Header ──────────────────────────────────────────────
+
+  const meta = [
+    { label: 'Date', value: data.session.startedAt && formatDate(data.session.startedAt) },
+    { label: 'Duration', value: data.session.finalDurationSeconds && formatDuration(data.session.finalDurationSeconds) },
+    {
+      label: 'Dose',
+      value: data.substanceChecklist.plannedDosageMg
+        ? `${data.substanceChecklist.plannedDosageMg}mg${data.booster?.status === 'taken' && data.booster.doseMg ? ` + ${data.booster.doseMg}mg booster` : ''}`
+        : null,
+    },
+  ].filter((item) => item.value);
+
+  const header = `<header>
+    <p class="label">m-session · Integration Report</p>
+    <h1>Session Reflections</h1>
+    <div class="meta">${meta.map((item) => `<div><p class="label">${escapeHtml(item.label)}</p><p>${escapeHtml(item.value)}</p></div>`).join('')}</div>
+  </header>`;
+
+  // ── Intention & touchstones ─────────────────────────────
+
+  const synthesis = getSynthesisTransition(data);
+  const td = data.transitionData || {};
+  let intention = '';
+  if (data.intention.original) intention += `<p class="quote">${escapeHtml(data.intention.original)}</p>`;
+  if (synthesis.intentionAddition) {
+    intention += `<p class="label">Added during synthesis</p><p class="text">${escapeHtml(synthesis.intentionAddition)}</p>`;
+  }
+  const touchstones = [
+    data.intention.touchstone && { label: 'Touchstone', value: data.intention.touchstone },
+    ...Object.entries(TOUCHSTONE_LABELS).map(([key, label]) => td[key] && { label, value: td[key] }),
+  ].filter(Boolean);
+  intention += renderRows(touchstones);
+  if (td.touchstoneArcReflection) {
+    intention += `<p class="label">Looking across the touchstones</p><p class="text">${escapeHtml(td.touchstoneArcReflection)}</p>`;
+  }
+  section('Intention', intention);
+
+  // ── Activities by phase ─────────────────────────────────
+
+  const activityCaptures = collectActivityCaptures(data);
+  const renderedCaptures = new Set();
+  const renderedEntryIds = new Set();
+  const sessionEntries = (data.journalEntries || []).filter((e) => e.source === 'session');
+
+  let activities = '';
+  for (const phase of REPORT_PHASES) {
+    const modules = (data.moduleHistory || []).filter((m) => m.phase === phase.key);
+    if (modules.length === 0) continue;
+    activities += `<h3>${escapeHtml(phase.label)}</h3>`;
+    modules.forEach((module) => {
+      if (module.status === 'skipped') {
+        activities += `<p class="skipped">${escapeHtml(module.title)} — skipped</p>`;
+        return;
+      }
+      const time = [formatTime(module.startedAt), module.actualDuration && formatDuration(module.actualDuration)].filter(Boolean).join(' · ');
+      let block = `<p><strong>${escapeHtml(module.title)}</strong>${time ? ` <span class="label">${escapeHtml(time)}</span>` : ''}</p>`;
+
+      const captureType = LIBRARY_ID_TO_CAPTURE_TYPE[module.libraryId];
+      if (captureType && !renderedCaptures.has(captureType)) {
+        const capture = describeCapture(captureType, activityCaptures[captureType]);
+        if (capture?.rows.length > 0) {
+          block += renderRows(capture.rows);
+          renderedCaptures.add(captureType);
+        }
+      }
+
+      // Images that belong to this activity (e.g. the Values Compass) print with it
+      sessionEntries
+        .filter((e) => e.moduleTitle === module.title && e.hasImage && images[e.id])
+        .forEach((entry) => {
+          block += renderFigure(entry, images);
+          renderedEntryIds.add(entry.id);
+        });
+
+      activities += `<div class="block">${block}</div>`;
+    });
+  }
+  section('Activities', activities);
+
+  // ── Transitions ─────────────────────────────────────────
+
+  const peak = getPeakTransition(data);
+  const transitionRows = [
+    peak.oneWord && { label: 'Peak in one word', value: peak.oneWord },
+    peak.bodySensations.length > 0 && { label: 'Body at the peak', value: peak.bodySensations.join(', ') },
+    synthesis.newFocus && { label: 'Focus shifted to', value: [synthesis.newFocus, synthesis.focusSubtype].filter(Boolean).join(' — ') },
+  ].filter(Boolean);
+  section('Transitions', renderRows(transitionRows));
+
+  // ── Closing reflections ─────────────────────────────────
+
+  const closing = getClosingReflections(data);
+  const closingBlocks = [
+    closing.selfGratitude && ['One thing about myself I appreciate', closing.selfGratitude],
+    closing.futureMessage && ['Message to my future self', closing.futureMessage],
+    closing.commitment && ['One thing I want to do differently', closing.commitment],
+  ].filter(Boolean);
+  section('Closing Reflections', closingBlocks
+    .map(([label, value]) => `<div class="block"><p class="label">${escapeHtml(label)}</p><p class="quote">${escapeHtml(value)}</p></div>`)
+    .join(''));
+
+  // ── Integration summary ─────────────────────────────────
+
+  const summary = getIntegrationSummary(data);
+  if (summary) {
+    // The summary's own "## Themes"-style headings become subheadings
+    const body = summary.content
+      .split(/\n(?=#{1,4} )/)
+      .map((part) => {
+        const [first, ...rest] = part.split('\n');
+        const heading = first.match(/^#{1,4} (.*)$/);
+        const text = (heading ? rest.join('\n') : part).trim();
+        return `${heading ? `<h3>${escapeHtml(heading[1])}</h3>` : ''}${text ? `<p class="text">${escapeHtml(text)}</p>` : ''}`;
+      })
+      .join('');
+    section('Integration Summary', body);
+    renderedEntryIds.add(summary.id);
+  }
+
+  // ── Life Graph ──────────────────────────────────────────
+
+  const lifeGraphEntry = (data.journalEntries || []).find((e) => e.moduleTitle === 'Life Graph' && images[e.id]);
+  let lifeGraph = '';
+  if (lifeGraphEntry) {
+    lifeGraph += renderFigure(lifeGraphEntry, images);
+    renderedEntryIds.add(lifeGraphEntry.id);
+  }
+  if (data.lifeGraph?.milestones?.length > 0) {
+    lifeGraph += `<ul>${data.lifeGraph.milestones
+      .map((m) => `<li>${escapeHtml(m.label)} (${escapeHtml(m.rating)}/10)${m.note ? ` — ${escapeHtml(m.note)}` : ''}</li>`)
+      .join('')}</ul>`;
+  }
+  section('Life Graph', lifeGraph);
+
+  // ── Journal ─────────────────────────────────────────────
+
+  const journal = (data.journalEntries || [])
+    .filter((e) => !renderedEntryIds.has(e.id))
+    .map((entry) => {
+      const title = entry.moduleTitle || (entry.source === 'manual' ? 'Personal Entry' : 'Entry');
+      const content = entry.content.startsWith(PRE_SESSION_PREFIX)
+        ? entry.content.slice(PRE_SESSION_PREFIX.length)
+        : entry.content;
+      const date = entry.timestamp ? ` · ${escapeHtml(formatDate(entry.timestamp))}` : '';
+      return `<div class="block"><p class="label">${escapeHtml(title)}${date}</p>`
+        + `<p class="text">${escapeHtml(content)}</p>`
+        + `${entry.audio ? `<p class="label">Voice memo · ${formatMemoDuration(entry.audio.duration)}</p>` : ''}`
+        + `${entry.hasImage ? renderFigure(entry, images) : ''}</div>`;
+    })
+    .join('');
+  section('Journal', journal);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Integration Report${data.session.startedAt ? ` — ${escapeHtml(formatDate(data.session.startedAt))}` : ''}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main class="report">
+${header}
+${sections.join('\n')}
+<footer>Generated on device by m-session · m-session.com. Not a substitute for professional medical advice, therapy, or clinical supervision.</footer>
+</main>
+</body>
+</html>`;
+}
+
+// ============================================
+// PRINTING
+// ============================================
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Load journal images as data URLs so the print frame doesn't depend on
+ * object URLs outliving this call. Missing images are skipped.
+ */
+async function loadReportImages(journalEntries, archiveSessionId) {
+  const images = {};
+  for (const entry of journalEntries || []) {
+    if (!entry.hasImage) continue;
+    try {
+      const blob = archiveSessionId
+        ? await getArchivedImage(archiveSessionId, entry.id)
+        : await getImage(entry.id);
+      if (blob) images[entry.id] = await blobToDataUrl(blob);
+    } catch (err) {
+      console.warn('Failed to load image for report entry', entry.id, err);
+    }
+  }
+  return images;
+}
+
+/**
+ * Print the report through a hidden same-origin iframe. A popup window
+ * would be blocked once we've awaited image loading (no user gesture left).
+ */
+function printHtml(html) {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+
+  return new Promise((resolve) => {
+    let cleanupTimer = null;
+    const cleanup = () => {
+      clearTimeout(cleanupTimer);
+      frame.remove();
+    };
+
+    frame.onload = () => {
+      const win = frame.contentWindow;
+      win.addEventListener('afterprint', cleanup);
+      cleanupTimer = setTimeout(cleanup, PRINT_FRAME_CLEANUP_MS);
+      win.focus();
+      win.print();
+      resolve();
+    };
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+}
+
+/**
+ * Print the integration report for the live session or an archived one
+ * @param {object} [options]
+ * @param {object} [options.archive] - An entry from useSessionHistoryStore.sessions
+ * @throws {Error} If an archived session is too old to read
+ */
+export async function printSessionReport({ archive = null } = {}) {
+  let source;
+  if (archive) {
+    const sessionState = getArchivedSessionState(archive);
+    if (!sessionState) {
+      throw new Error('This session was saved by an older version of the app and can\'t be printed.');
+    }
+    source = { sessionState, journalEntries: archive.journalEntries || [] };
+  }
+
+  const data = getSessionData(source);
+  const images = await loadReportImages(data.journalEntries, archive?.sessionId);
+  await printHtml(buildReportHtml(data, images));
+}
@@ -0,0 +1,94 @@
+/**
+ * Session Spacing
+ * Reconciles the intake's self-reported `lastMDMAUse` answer with the
+ * ingestion times the app has actually recorded in archived sessions, so
+ * the intake can warn when sessions are closer together than recommended.
+ */
+
+import { useSessionHistoryStore } from '../stores/useSessionHistoryStore';
+
+// Harm-reduction guidance: at least 3 months between sessions; under a month
+// is treated as a serious risk. Matches the lastMDMAUse answer bands.
+export const RECOMMENDED_SESSION_SPACING_DAYS = 90;
+export const MINIMUM_SESSION_SPACING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Severity of each lastMDMAUse answer. 'unsure' carries no information.
+const REPORTED_LEVELS = {
+  'first-time': 'ok',
+  'more-than-3-months': 'ok',
+  '1-3-months': 'recent',
+  'less-than-1-month': 'very-recent',
+  unsure: null,
+};
+
+const LEVEL_RANK = { ok: 0, recent: 1, 'very-recent': 2 };
+
+/**
+ * Spacing level for a number of days since the last session
+ * @returns {'ok'|'recent'|'very-recent'}
+ */
+export function getSpacingLevel(days) {
+  if (days < MINIMUM_SESSION_SPACING_DAYS) return 'very-recent';
+  if (days < RECOMMENDED_SESSION_SPACING_DAYS) return 'recent';
+  return 'ok';
+}
+
+/**
+ * Most recent ingestion time recorded in any archived session
+ * @param {object} [options]
+ * @param {string} [options.excludeSessionId] - Ignore this session (e.g. the one being set up)
+ * @returns {number|null} Timestamp in ms
+ */
+export function getLastRecordedIngestion({ excludeSessionId = null } = {}) {
+  let latest = null;
+  for (const archive of useSessionHistoryStore.getState().sessions) {
+    if (excludeSessionId && archive.sessionId === excludeSessionId) continue;
+    const ingestionTime = archive.metadata?.startedAt ?? archive.sessionState?.substanceChecklist?.ingestionTime;
+    if (ingestionTime && (!latest || ingestionTime > latest)) latest = ingestionTime;
+  }
+  return latest;
+}
+
+/**
+ * Compare the self-reported answer with recorded history
+ * @param {object} params
+ * @param {string|null} params.lastMDMAUse - Intake answer
+ * @param {number|null} params.lastIngestionAt - From getLastRecordedIngestion()
+ * @param {number} [params.now]
+ * @returns {{
+ *   level: 'ok'|'recent'|'very-recent'|null,
+ *   daysSinceLast: number|null,
+ *   recordedLevel: string|null,
+ *   reportedLevel: string|null,
+ *   mismatch: boolean,
+ * }} `level` is the stricter of the two signals; `mismatch` is true when the
+ *   answer understates what's recorded
+ */
+export function assessSessionSpacing({ lastMDMAUse, lastIngestionAt, now = Date.now() }) {
+  const daysSinceLast = lastIngestionAt ? Math.max(0, Math.floor((now - lastIngestionAt) / DAY_MS)) : null;
+  const recordedLevel = daysSinceLast !== null ? getSpacingLevel(daysSinceLast) : null;
+  const reportedLevel = REPORTED_LEVELS[lastMDMAUse] ?? null;
+
+  const levels = [recordedLevel, reportedLevel].filter(Boolean);
+  const level = levels.length > 0
+    ? levels.reduce((a, b) => (LEVEL_RANK[b] > LEVEL_RANK[a] ? b : a))
+    : null;
+
+  // Saying "first time" with a recorded session is always a mismatch;
+  // otherwise only flag answers that understate the recorded risk.
+  const mismatch = recordedLevel !== null && (
+    lastMDMAUse === 'first-time' ||
+    (reportedLevel !== null && LEVEL_RANK[recordedLevel] > LEVEL_RANK[reportedLevel])
+  );
+
+  return { level, daysSinceLast, recordedLevel, reportedLevel, mismatch };
+}
+
+/**
+ * Whether an assessment warrants a warning
+ */
+export function shouldWarnAboutSpacing(assessment) {
+  return assessment.mismatch || assessment.level === 'recent' || assessment.level === 'very-recent';
+}
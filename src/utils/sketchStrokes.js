@@ -0,0 +1,149 @@
+/**
+ * Sketch Strokes Utility
+ *
+ * Drawing model behind SketchCanvas. A sketch is a list of strokes, each
+ * recorded as the points the pointer passed through, so undo is just
+ * dropping the last item and redrawing. Points are stored as fractions of
+ * the canvas size, so a sketch redraws correctly after the canvas resizes.
+ *
+ * A `{ clear: true }` item wipes everything before it, which keeps Clear
+ * undoable like any other stroke.
+ */
+
+/**
+ * Brushes offered in the toolbar. `width` is in CSS pixels at full pressure
+ * response; `pressure` brushes vary their width with stylus/touch pressure.
+ */
+export const SKETCH_BRUSHES = {
+  pen: { label: 'Pen', width: 3, alpha: 1, pressure: true },
+  brush: { label: 'Brush', width: 10, alpha: 0.85, pressure: true },
+  marker: { label: 'Marker', width: 14, alpha: 0.4, pressure: false },
+  eraser: { label: 'Eraser', width: 24, alpha: 1, pressure: false, erase: true },
+};
+
+/**
+ * Ink colors, as design tokens. Each is resolved to its current value when
+ * a stroke starts, so a sketch keeps its colors if the theme changes later.
+ */
+export const SKETCH_COLOR_TOKENS = ['--text-primary', '--text-secondary', '--text-tertiary', '--accent', '--border'];
+
+// Pressure for input that doesn't report any (mouse, most fingers)
+export const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * Pressure of a pointer event, falling back to DEFAULT_PRESSURE when the
+ * device doesn't report it. Mouse buttons report 0.5 and fingers often 0 or 1.
+ * @param {PointerEvent} event
+ * @returns {number} 0..1
+ */
+export function getPointPressure(event) {
+  if (event.pointerType === 'mouse' || !event.pressure) return DEFAULT_PRESSURE;
+  return Math.min(1, Math.max(0, event.pressure));
+}
+
+/**
+ * Line width for a brush at a given pressure. Default pressure draws at the
+ * brush's nominal width; a light touch thins to 40% and a firm one thickens
+ * to 160%.
+ * @param {object} brush - A SKETCH_BRUSHES entry
+ * @param {number} pressure - 0..1
+ */
+export function getStrokeWidth(brush, pressure = DEFAULT_PRESSURE) {
+  if (!brush.pressure) return brush.width;
+  return brush.width * (0.4 + pressure * 1.2);
+}
+
+/**
+ * Strokes still visible: everything after the last clear
+ * @param {Array<object>} strokes
+ */
+export function getVisibleStrokes(strokes) {
+  let start = 0;
+  strokes.forEach((stroke, index) => {
+    if (stroke.clear) start = index + 1;
+  });
+  return strokes.slice(start);
+}
+
+/**
+ * Draw one stroke
+ * @param {CanvasRenderingContext2D} ctx - Context in CSS pixel units
+ * @param {object} stroke - { brush, color, points: [{ x, y, pressure }] }
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ */
+export function drawStroke(ctx, stroke, width, height) {
+  const brush = SKETCH_BRUSHES[stroke.brush] || SKETCH_BRUSHES.pen;
+  const points = stroke.points.map((p) => ({ x: p.x * width, y: p.y * height, pressure: p.pressure }));
+  if (points.length === 0) return;
+
+  ctx.save();
+  ctx.globalCompositeOperation = brush.erase ? 'destination-out' : 'source-over';
+  ctx.globalAlpha = brush.alpha;
+  ctx.strokeStyle = stroke.color;
+  ctx.fillStyle = stroke.color;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (points.length === 1) {
+    // A tap leaves a dot
+    const [p] = points;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, getStrokeWidth(brush, p.pressure) / 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (!brush.pressure) {
+    // One path, so translucent brushes don't darken where segments overlap
+    ctx.lineWidth = brush.width;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((p) => ctx.lineTo(p.x, p.y));
+    ctx.stroke();
+  } else {
+    // Segment by segment, each at the average pressure of its two ends
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      ctx.lineWidth = getStrokeWidth(brush, (from.pressure + to.pressure) / 2);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Redraw a whole sketch
+ * @param {CanvasRenderingContext2D} ctx - Context in CSS pixel units
+ * @param {Array<object>} strokes
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ */
+export function renderSketch(ctx, strokes, width, height) {
+  ctx.clearRect(0, 0, width, height);
+  getVisibleStrokes(strokes).forEach((stroke) => drawStroke(ctx, stroke, width, height));
+}
+
+/**
+ * Flatten a sketch canvas onto a solid background and encode it as PNG.
+ * The drawing canvas stays transparent so the eraser can't cut through the
+ * background; the background is only added here.
+ * @param {HTMLCanvasElement} canvas - The drawing canvas (device pixels)
+ * @param {string} background - CSS color to paint behind the strokes
+ * @returns {Promise<Blob>}
+ */
+export function exportSketch(canvas, background) {
+  const output = document.createElement('canvas');
+  output.width = canvas.width;
+  output.height = canvas.height;
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.drawImage(canvas, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    output.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode sketch'))), 'image/png');
+  });
+}
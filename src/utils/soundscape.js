@@ -0,0 +1,46 @@
+/**
+ * Soundscape Utilities
+ * Volume envelope for the background soundscape layer (see
+ * hooks/useSoundscapeLayer.js). The layer fades in under the opening gong
+ * and out under the closing gong, so the bell always rings over it.
+ */
+
+import { DEFAULT_SOUNDSCAPE_VOLUME } from '../content/soundscapes';
+
+// Closing fade when the closing gong plays (1s lead-in + ~7.5s gong)
+export const SOUNDSCAPE_GONG_FADE_SECONDS = 8.5;
+// Closing fade when there's no gong
+export const SOUNDSCAPE_END_FADE_SECONDS = 3;
+
+/**
+ * Fade multiplier (0–1) at a position in the composed audio.
+ *
+ * @param {number} position - Seconds into the composed audio
+ * @param {Object} envelope
+ * @param {number} envelope.totalDuration - Length of the composed audio
+ * @param {number} envelope.fadeInEnd - Fully faded in by here (end of the opening preamble)
+ * @param {boolean} envelope.hasClosingGong - Whether the composed audio ends with a gong
+ * @returns {number}
+ */
+export function getSoundscapeGain(position, { totalDuration, fadeInEnd, hasClosingGong }) {
+  if (!(totalDuration > 0)) return 0;
+  const fadeOutLength = Math.min(
+    hasClosingGong ? SOUNDSCAPE_GONG_FADE_SECONDS : SOUNDSCAPE_END_FADE_SECONDS,
+    totalDuration
+  );
+  const fadeIn = fadeInEnd > 0 ? position / fadeInEnd : 1;
+  const fadeOut = (totalDuration - position) / fadeOutLength;
+  return Math.max(0, Math.min(1, fadeIn, fadeOut));
+}
+
+/**
+ * Soundscape volume for a module: the level saved for it, else the default.
+ *
+ * @param {Object} preferences - useAppStore preferences
+ * @param {string} moduleKey - Library ID (or meditation ID for activities)
+ * @returns {number} 0–1
+ */
+export function getSoundscapeVolume(preferences, moduleKey) {
+  const moduleVolume = preferences?.soundscapeVolumes?.[moduleKey];
+  return typeof moduleVolume === 'number' ? moduleVolume : DEFAULT_SOUNDSCAPE_VOLUME;
+}
@@ -0,0 +1,57 @@
+/**
+ * Storage Persistence Utility
+ *
+ * Reports how much of the browser's storage quota this app uses, and asks
+ * for persistent storage so cached audio, images and recordings aren't
+ * evicted when the device runs low on space. Both degrade to null/false
+ * where the Storage API isn't available.
+ */
+
+/**
+ * Current storage use for this origin
+ * @returns {Promise<{ usage: number, quota: number, persisted: boolean }|null>}
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return { usage, quota, persisted };
+  } catch (err) {
+    console.warn('[Storage] estimate failed:', err);
+    return null;
+  }
+}
+
+/**
+ * Ask the browser to keep this origin's storage through storage pressure.
+ * Some browsers grant or refuse silently (e.g. based on install state).
+ * @returns {Promise<boolean>} Whether storage is now persistent
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch (err) {
+    console.warn('[Storage] persist request failed:', err);
+    return false;
+  }
+}
+
+/**
+ * Format a byte count for display ("12.4 MB")
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
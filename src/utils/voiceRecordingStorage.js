@@ -0,0 +1,74 @@
+/**
+ * Voice Recording Storage Utility
+ *
+ * Uses IndexedDB to store the user's recorded meditation clips, keyed by
+ * `<meditationId>/<promptId>`. Metadata (durations, recorded time) lives in
+ * useVoiceRecordingStore; this file only holds the audio blobs.
+ */
+
+import { createBlobStore } from './blobStore';
+
+const clips = createBlobStore('mdma-guide-voice-recordings', 'clips');
+
+/**
+ * Storage key for one recorded prompt
+ */
+function clipKey(meditationId, promptId) {
+  return `${meditationId}/${promptId}`;
+}
+
+/**
+ * Save a recorded clip
+ * @param {string} meditationId
+ * @param {string} promptId
+ * @param {Blob} blob - MediaRecorder output
+ */
+export async function saveVoiceClip(meditationId, promptId, blob) {
+  return clips.put(clipKey(meditationId, promptId), blob);
+}
+
+/**
+ * Get a recorded clip
+ * @returns {Promise<Blob|null>} The clip, or null if not recorded
+ */
+export async function getVoiceClip(meditationId, promptId) {
+  return clips.get(clipKey(meditationId, promptId));
+}
+
+/**
+ * Delete a recorded clip
+ */
+export async function deleteVoiceClip(meditationId, promptId) {
+  return clips.delete(clipKey(meditationId, promptId));
+}
+
+/**
+ * Delete every recorded clip of a meditation
+ */
+export async function deleteMeditationVoiceClips(meditationId) {
+  return clips.deleteByPrefix(`${meditationId}/`);
+}
+
+/**
+ * Get every recorded clip with its storage key (used by full backups)
+ * @returns {Promise<Array<{key: string, blob: Blob}>>}
+ */
+export async function getAllVoiceClips() {
+  return clips.getAll();
+}
+
+/**
+ * Save a clip under a key from getAllVoiceClips (used when restoring a full backup)
+ * @param {string} key
+ * @param {Blob} blob
+ */
+export async function restoreVoiceClip(key, blob) {
+  return clips.put(key, blob);
+}
+
+/**
+ * Delete every recorded clip (used when restoring a full backup)
+ */
+export async function clearAllVoiceClips() {
+  return clips.clear();
+}
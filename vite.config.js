@@ -64,6 +64,8 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,woff,woff2}'],
+        // Reminder delivery fallback + notification taps (see public/reminder-sw.js)
+        importScripts: ['reminder-sw.js'],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
@@ -100,7 +102,9 @@ export default defineConfig({
             options: {
               cacheName: 'audio-cache',
               expiration: {
-                maxEntries: 200,
+                // A full timeline plus the rituals can need several hundred
+                // clips; a lower cap evicted them before the session
+                maxEntries: 1000,
                 maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
               },
               cacheableResponse: {